@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import { BarChart, Bar, LineChart, Line, AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell, ComposedChart } from 'recharts';
-import { Star, Calendar, Phone, Users, Target, Award, TrendingUp, Settings, Plus, Minus, Trash2, Edit2, Check, X, MessageSquare, ThumbsUp, Search, Download, Wifi, WifiOff, Bot, Send, Mic, MicOff, Volume2, Key, Sliders, Eye, EyeOff, Square, Sun, Moon, CheckCircle, Clock, XCircle, AlertCircle, RefreshCw, Bell, Shield, Accessibility, Palette, Package, FileDown, Terminal, Trophy } from 'lucide-react';
+import { Star, Calendar, Phone, DoorOpen, Ruler, Store, Users, Target, Award, TrendingUp, Settings, Plus, Minus, Trash2, Edit2, Check, X, MessageSquare, ThumbsUp, Search, Download, Wifi, WifiOff, Bot, Send, Mic, MicOff, Volume2, Key, Sliders, Eye, EyeOff, Square, Sun, Moon, CheckCircle, Clock, XCircle, AlertCircle, RefreshCw, Bell, Shield, Accessibility, Palette, Package, FileDown, Terminal, Trophy, Upload, ChevronLeft, ChevronRight, List, CalendarDays, AlertTriangle, Contact, KanbanSquare } from 'lucide-react';
 import './storage'; // Initialize IndexedDB storage adapter
 import { supabase, isSupabaseConfigured } from './lib/supabase';
 import { getTheme, listenToSystemThemeChanges } from './lib/theme';
@@ -9,7 +9,18 @@ import {
   queueSyncOperation, 
   initSyncQueue, 
   startSyncInterval, 
-  stopSyncInterval 
+  stopSyncInterval,
+  onSyncStatusChange,
+  retryFailedOperation,
+  discardFailedOperation,
+  resolveSyncConflict,
+  describeSyncOperation,
+  syncNotificationsFromSupabase,
+  transformAppointment,
+  setSyncSessionUser,
+  checkSyncSession,
+  isPullStale,
+  rememberServerRows,
 } from './lib/sync';
 import {
   initializePresence,
@@ -43,6 +54,173 @@ import {
   initializeSnapshots,
   getLocalSnapshots,
 } from './lib/snapshots';
+import {
+  validatePin,
+  createPinCredential,
+  hasCredentials,
+  authenticatePin,
+  bindPendingPinSession,
+  setUserPin,
+  createFirstUser,
+  startPinSession,
+  sendMagicLink,
+  getSessionUser,
+  onAuthChange,
+  signOut,
+  PIN_MAX_LENGTH,
+} from './lib/auth';
+import {
+  DEFAULT_ACHIEVEMENTS,
+  computeAchievementStats,
+  evaluateAchievements,
+  isSameProgress,
+  getAchievementPostContent,
+} from './lib/achievements';
+import {
+  DEFAULT_XP_CURVE,
+  XP_CURVE_SETTING_KEY,
+  normalizeXpCurve,
+  validateXpCurve,
+  calculateLevel,
+  getLevelProgress,
+  calculateActivityXP,
+  calculateDailyXP,
+} from './lib/xp';
+import {
+  STORE_CALENDAR_SETTING_KEY,
+  DEFAULT_STORE_CALENDAR,
+  DAY_NAMES,
+  configureStoreCalendar,
+  normalizeStoreCalendar,
+  validateStoreCalendar,
+  getToday,
+  getWeekStart,
+  getMonthStart,
+  addMonths,
+  addDays,
+  getDayName,
+  daysBetween,
+  eachDayInRange,
+} from './lib/dates';
+import {
+  normalizeCategories,
+  getActiveCategories,
+  getCategoryXp,
+  getDefaultGoals,
+  getCategoryCounts,
+  sumCategoryCounts,
+  toCategoryId,
+  transformCategoryToDatabase,
+  validateCategory,
+} from './lib/categories';
+import {
+  GOAL_PERIODS,
+  MAX_GOAL,
+  getUserGoals,
+  getGoalProgress,
+  calculatePeriodStreak,
+  validateGoalValue,
+} from './lib/goals';
+import {
+  createTemplateStep,
+  compactTemplateStep,
+  getPendingAssignments,
+  describeTemplateStep,
+  applyTemplateStep,
+  transformGoalTemplateToDatabase,
+  transformGoalAssignmentToDatabase,
+  validateGoalTemplate,
+} from './lib/goalTemplates';
+import {
+  CUSTOMER_SOURCES,
+  transformCustomerToDatabase,
+  findDuplicateCustomer,
+  validateCustomer,
+  searchCustomers,
+  getCustomerAppointments,
+  summarizeCustomerAppointments,
+} from './lib/customers';
+import {
+  CLOSED_DEAL_STAGES,
+  DEAL_STAGE_PROBABILITY,
+  isClosedDeal,
+  transformDealToDatabase,
+  validateDeal,
+  getDealProbability,
+  moveDeal,
+  getDealStageForOutcome,
+  findOpenDeal,
+  summarizePipeline,
+  getSales,
+  sumSales,
+  formatCurrency,
+} from './lib/deals';
+import { TASK_CATEGORY, applyAppointmentToTasks, describeTask, getDueTasks } from './lib/tasks';
+import {
+  createActivityEvent,
+  applyActivityEvent,
+  transformActivityEventToDatabase,
+  toActivityEventOperation,
+} from './lib/activityEvents';
+import {
+  IMPORT_MODES,
+  buildBackup,
+  countBackupRecords,
+  validateBackup,
+  diffBackup,
+  getImportPlan,
+  applyBackup,
+  toImportOperations,
+} from './lib/backup';
+import { listServerBackups, runServerBackup, restoreServerBackup, downloadServerBackup } from './lib/serverBackups';
+import { downloadBlob } from './lib/spreadsheet';
+import { REPORT_DATASETS, buildReportFile } from './lib/reports';
+import {
+  getNextStatuses,
+  OUTCOME_STATUSES,
+  validateAppointmentChanges,
+  applyAppointmentChanges,
+  timeToMinutes,
+  minutesToTime,
+  getConflicts,
+  findDoubleBookings,
+  layoutDayAppointments,
+} from './lib/appointments';
+import { WEBHOOK_EVENTS, emitAppointmentUpdated, getAppointmentUpdatedPayload } from './lib/webhooks';
+import {
+  subscribeToRowChanges,
+  persistRowChange,
+  patchDailyLogs,
+  patchFeedPosts,
+  patchFeedReactions,
+  patchAppointments,
+  patchChallenges,
+  patchUserChallenges,
+  patchNotifications,
+  patchCustomers,
+  patchDeals,
+  patchTasks,
+} from './lib/realtime';
+import {
+  NOTIFICATION_TYPES,
+  getUserNotifications,
+  countUnread,
+  markNotificationsRead,
+  toMarkReadOperations,
+} from './lib/inbox';
+import { onUpdateAvailable, applyUpdate } from './serviceWorkerRegistration';
+import {
+  NOTIFICATION_VIEWS,
+  getNotificationPermission,
+  requestNotificationPermission,
+  onNotificationClick,
+  deliverNotification,
+  scheduleReminders,
+  detectFeedNotifications,
+  getWeeklyRank,
+  detectRankDrop,
+} from './lib/notifications';
+import { PUSH_EVENTS, isPushSupported, getPushSubscription, enablePush, disablePush, syncPushSubscription } from './lib/push';
 import DebugLogger from './components/DebugLogger';
 import OnboardingFlow from './components/OnboardingFlow';
 import {
@@ -69,11 +247,18 @@ import {
 // CONSTANTS
 // ========================================
 
-const CATEGORIES = [
-  { id: 'reviews', name: 'Reviews', icon: Star, color: '#FFC107', defaultGoal: 5 },
-  { id: 'demos', name: 'Demos', icon: Calendar, color: '#28A745', defaultGoal: 3 },
-  { id: 'callbacks', name: 'Callbacks', icon: Phone, color: '#0056A4', defaultGoal: 10 },
-];
+// Icons a category can use (categories.icon holds the lucide-react name)
+const CATEGORY_ICONS = { Star, Calendar, Phone, DoorOpen, Ruler, Store, Target, Users, Award, TrendingUp, MessageSquare, Trophy };
+
+const getCategoryIcon = (category) => CATEGORY_ICONS[category.icon] || Target;
+
+// Built-in categories use the theme gradients, others their own color
+const getCategoryGradient = (category, theme) => {
+  if (category.id === 'reviews') return theme.gradients.warning;
+  if (category.id === 'demos') return theme.gradients.success;
+  if (category.id === 'callbacks') return theme.gradients.primary;
+  return category.color;
+};
 
 const PRODUCT_INTERESTS = [
   { id: 'windows', label: 'Windows', color: '#0056A4' },
@@ -105,6 +290,15 @@ const APPOINTMENT_OUTCOMES = [
   { id: 'thinking_it_over', label: 'Thinking It Over', color: '#9333EA' },
 ];
 
+// Display info for the pipeline stages in src/lib/deals.js
+const DEAL_STAGES = [
+  { id: 'lead', label: 'Lead', color: '#6B7280' },
+  { id: 'demo_scheduled', label: 'Demo Scheduled', color: '#0056A4' },
+  { id: 'proposal_sent', label: 'Proposal Sent', color: '#17A2B8' },
+  { id: 'sold', label: 'Sold', color: '#28A745' },
+  { id: 'lost', label: 'Lost', color: '#DC3545' },
+];
+
 const TIME_SLOTS = Array.from({ length: 20 }, (_, i) => {
   const hour = Math.floor(i / 2) + 8;
   const minute = i % 2 === 0 ? '00' : '30';
@@ -113,6 +307,22 @@ const TIME_SLOTS = Array.from({ length: 20 }, (_, i) => {
   return `${displayHour}:${minute} ${period}`;
 });
 
+// '2:30 PM' → '14:30', the value stored in appointments.time
+const toTimeSlotValue = (slot) => {
+  const [clock, period] = slot.split(' ');
+  const [hour, minute] = clock.split(':').map(Number);
+  const hour24 = period === 'PM' && hour !== 12 ? hour + 12 : hour;
+  return `${String(hour24).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+// '14:30' → '2:30 PM'
+const toTimeLabel = (time) => {
+  const minutes = timeToMinutes(time);
+  if (minutes === null) return time || '';
+  const hour = Math.floor(minutes / 60);
+  return `${hour % 12 || 12}:${String(minutes % 60).padStart(2, '0')} ${hour >= 12 ? 'PM' : 'AM'}`;
+};
+
 const DURATIONS = [
   { value: 30, label: '30 minutes' },
   { value: 60, label: '1 hour' },
@@ -163,15 +373,17 @@ const VALIDATIONS = {
     if (!/^[a-zA-Z0-9\s\-']+$/.test(trimmed)) return 'Name contains invalid characters';
     return null;
   },
-  
-  goalValue: (value) => {
-    const num = parseInt(value, 10);
-    if (isNaN(num)) return 'Must be a valid number';
-    if (num < 0) return 'Must be positive';
-    if (num > 100) return 'Maximum goal is 100';
+
+  email: (email) => {
+    if (!email || typeof email !== 'string') return 'Email is required';
+    const trimmed = email.trim();
+    if (trimmed.length > 254) return 'Email is too long';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmed)) return 'Enter a valid email address';
     return null;
   },
   
+  goalValue: (value, period = 'day') => validateGoalValue(value, period),
+  
   date: (dateString) => {
     if (!dateString) return null; // Optional
     const date = new Date(dateString + 'T00:00:00'); // Add time to avoid timezone issues
@@ -283,29 +495,18 @@ const storage = {
 // UTILITY FUNCTIONS
 // ========================================
 
-const getToday = () => {
-  const now = new Date();
-  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
-};
-
-const getWeekStart = () => {
-  const now = new Date();
-  const day = now.getDay();
-  const diff = now.getDate() - day;
-  const weekStart = new Date(now.setDate(diff));
-  return `${weekStart.getFullYear()}-${String(weekStart.getMonth() + 1).padStart(2, '0')}-${String(weekStart.getDate()).padStart(2, '0')}`;
-};
-
-const getMonthStart = () => {
-  const now = new Date();
-  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-01`;
-};
-
 const formatDate = (dateString) => {
   if (!dateString) return '';
-  const date = new Date(dateString);
+  // YYYY-MM-DD keys are calendar days, not instants - don't shift them into the device timezone
+  const isDateKey = /^\d{4}-\d{2}-\d{2}$/.test(dateString);
+  const date = new Date(isDateKey ? `${dateString}T00:00:00Z` : dateString);
   if (isNaN(date.getTime())) return dateString;
-  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  return date.toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    ...(isDateKey && { timeZone: 'UTC' }),
+  });
 };
 
 // Human-readable relative time formatting
@@ -335,6 +536,7 @@ const formatRelativeTime = (timestamp) => {
 };
 
 
+
 // ========================================
 // MAIN COMPONENT
 // ========================================
@@ -360,13 +562,23 @@ export default function WindowDepotTracker() {
   });
   const [pinnedPosts, setPinnedPosts] = useState({});
   const [unreadPosts, setUnreadPosts] = useState(new Set());
-  const [activeView, setActiveView] = useState('dashboard');
+  // Notifications open the app on a view with ?view=
+  const [activeView, setActiveView] = useState(() => {
+    const view = new URLSearchParams(window.location.search).get('view');
+    return NOTIFICATION_VIEWS.includes(view) ? view : 'dashboard';
+  });
   const [isLoading, setIsLoading] = useState(true);
   const [isOnline, setIsOnline] = useState(typeof navigator !== 'undefined' ? navigator.onLine : true);
   const [isInitialized, setIsInitialized] = useState(false);
   const [toast, setToast] = useState(null);
   const [showCelebration, setShowCelebration] = useState(false);
+  const [syncStatus, setSyncStatus] = useState({ pending: 0, needsSignIn: false, failed: [], conflicts: [], pull: { isPulling: false, completed: 0, total: 0, lastPulledAt: null, tables: {} } });
+  const [showSyncIssues, setShowSyncIssues] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [showNotificationCenter, setShowNotificationCenter] = useState(false);
+  const [updateAvailable, setUpdateAvailable] = useState(false);
   const [rememberUser, setRememberUser] = useState(false);
+  const [authError, setAuthError] = useState(null);
   const [activeUsers, setActiveUsers] = useState([]);
   const [appSettings, setAppSettings] = useState({
     ai: {
@@ -411,6 +623,7 @@ export default function WindowDepotTracker() {
       likeNotifications: true,
       appointmentSharedNotifications: true,
       leaderboardChangeAlerts: true,
+      mutedPushEvents: [],
     },
     privacy: {
       optOutOfLeaderboard: false,
@@ -433,11 +646,22 @@ export default function WindowDepotTracker() {
   const [activeSettingsTab, setActiveSettingsTab] = useState('ai');
   const [challenges, setChallenges] = useState([]);
   const [userChallenges, setUserChallenges] = useState([]);
+  const [xpCurveSetting, setXpCurveSetting] = useState(DEFAULT_XP_CURVE);
+  const [categories, setCategories] = useState(() => normalizeCategories([]));
+  const [storeCalendar, setStoreCalendar] = useState(DEFAULT_STORE_CALENDAR);
+  const [goalTemplates, setGoalTemplates] = useState([]);
+  const [goalAssignments, setGoalAssignments] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [deals, setDeals] = useState([]);
+  const [tasks, setTasks] = useState([]);
+  const [selectedCustomerId, setSelectedCustomerId] = useState(null);
 
   // Refs for initialization tracking
   const hasInitialized = useRef(false);
   const initAttempts = useRef(0);
   const subscriptionsRef = useRef([]);
+  const hasSubscribedRef = useRef(false);
+  const usersRef = useRef(users);
   const presenceChannelRef = useRef(null);
   
   // ========================================
@@ -468,10 +692,9 @@ export default function WindowDepotTracker() {
         // Load all data with timeout protection (from IndexedDB, which may have been updated by sync)
         const loadPromises = [
           storage.get('users', []),
-          storage.get('dailyLogs', {}),
-          storage.get('appointments', []),
-          storage.get('feed', []),
-          storage.get('currentUser', null),
+          storage.dailyLogs.getAll(),
+          storage.appointments.getAll(),
+          storage.feed.getAll(),
           storage.get('rememberUser', false),
           storage.get('appSettings', null),
           storage.get('themeMode', 'light'),
@@ -489,7 +712,7 @@ export default function WindowDepotTracker() {
           timeout
         ]);
 
-        const [loadedUsers, loadedLogs, loadedAppts, loadedFeed, savedUser, shouldRemember, savedSettings, savedThemeMode, loadedSnapshots, loadedChallenges, loadedUserChallenges] = results;
+        const [loadedUsers, loadedLogs, loadedAppts, loadedFeed, shouldRemember, savedSettings, savedThemeMode, loadedSnapshots, loadedChallenges, loadedUserChallenges] = results;
 
         // Use synced data if available, otherwise use local
         const finalUsers = syncedData?.users || loadedUsers || [];
@@ -502,6 +725,18 @@ export default function WindowDepotTracker() {
         setChallenges(loadedChallenges || []);
         setUserChallenges(loadedUserChallenges || []);
 
+        setCategories(normalizeCategories(syncedData?.categories || await storage.get('categories', [])));
+        setGoalTemplates(syncedData?.goalTemplates || await storage.get('goalTemplates', []));
+        setGoalAssignments(syncedData?.goalAssignments || await storage.get('goalAssignments', []));
+        setNotifications(syncedData?.notifications || await storage.get('notifications', []));
+        setCustomers(syncedData?.customers || await storage.get('customers', []));
+        setDeals(syncedData?.deals || await storage.get('deals', []));
+        setTasks(syncedData?.tasks || await storage.get('tasks', []));
+
+        const systemSettings = syncedData?.systemSettings || await storage.get('systemSettings', {});
+        setXpCurveSetting(normalizeXpCurve(systemSettings?.[XP_CURVE_SETTING_KEY]));
+        setStoreCalendar(configureStoreCalendar(systemSettings?.[STORE_CALENDAR_SETTING_KEY]));
+
         // Initialize snapshots from Supabase
         if (navigator.onLine && isSupabaseConfigured) {
           try {
@@ -553,17 +788,15 @@ export default function WindowDepotTracker() {
           setThemeMode(savedThemeMode);
         }
 
-        // Restore current user from synced users if remembered
-        if (shouldRemember && savedUser) {
-          // Find the user in the synced users array by ID to ensure we have the latest data
-          const foundUser = finalUsers.find(u => u.id === savedUser.id);
-          if (foundUser) {
-            setCurrentUser(foundUser);
-          } else if (savedUser) {
-            // If user not found in synced data, use saved user (might be local-only)
-            setCurrentUser(savedUser);
-          }
+        // Restore the signed-in user from the auth session (magic link or PIN)
+        const { user: sessionUser, error: sessionError } = await getSessionUser(finalUsers);
+        if (sessionUser) {
+          setCurrentUser(sessionUser);
+        } else if (sessionError) {
+          setAuthError(sessionError);
         }
+        // Drop the pre-auth "remembered" user selection
+        await storage.delete('currentUser');
 
         // Initialization complete - wait a bit before allowing saves
         await new Promise(resolve => setTimeout(resolve, 500));
@@ -597,6 +830,30 @@ export default function WindowDepotTracker() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
   
+  // ========================================
+  // AUTH SESSION
+  // ========================================
+
+  useEffect(() => {
+    if (!isInitialized) return;
+
+    const unsubscribe = onAuthChange(async (event) => {
+      if (event === 'SIGNED_IN') {
+        const { user, error } = await getSessionUser(users);
+        if (user) {
+          setCurrentUser(user);
+          setAuthError(null);
+        } else if (error) {
+          setAuthError(error);
+        }
+      } else if (event === 'SIGNED_OUT') {
+        setCurrentUser(null);
+      }
+    });
+
+    return unsubscribe;
+  }, [isInitialized, users]);
+
   // ========================================
   // ONLINE/OFFLINE DETECTION
   // ========================================
@@ -607,10 +864,8 @@ export default function WindowDepotTracker() {
     const handleOnline = () => {
       setIsOnline(true);
       showToast('Back online', 'success');
-      // Process sync queue when coming back online
-      import('./lib/sync').then(({ processSyncQueue }) => {
-        processSyncQueue();
-      });
+      // Bind the server session to whoever signed in offline, then process the sync queue
+      if (isSupabaseConfigured) bindSyncSession();
     };
     
     const handleOffline = () => {
@@ -649,6 +904,18 @@ export default function WindowDepotTracker() {
 
   const currentTheme = useMemo(() => getTheme(themeMode), [themeMode]);
 
+  // ========================================
+  // ACTIVITY CATEGORIES & XP CURVE
+  // ========================================
+
+  const activeCategories = useMemo(() => getActiveCategories(categories), [categories]);
+
+  // XP per activity comes from the categories, the rest of the curve from system settings
+  const xpCurve = useMemo(
+    () => normalizeXpCurve({ ...xpCurveSetting, categoryXp: getCategoryXp(categories) }),
+    [xpCurveSetting, categories]
+  );
+
   // ========================================
   // TOAST NOTIFICATION SYSTEM
   // ========================================
@@ -658,6 +925,131 @@ export default function WindowDepotTracker() {
     setTimeout(() => setToast(null), 3000);
   }, []);
 
+  // ========================================
+  // SYNC ISSUES (failed operations and conflicts)
+  // ========================================
+
+  useEffect(() => onSyncStatusChange(setSyncStatus), []);
+
+  // The session could not be bound (the app was reloaded since signing in
+  // offline, or the PIN changed): sign in again before anything syncs
+  useEffect(() => {
+    if (!syncStatus.needsSignIn || !currentUser) return;
+    signOut().then(() => {
+      setCurrentUser(null);
+      setAuthError('Sign in again to sync your changes. They are saved on this device.');
+    });
+  }, [syncStatus.needsSignIn, currentUser]);
+
+  // A new build was installed by the service worker and is waiting to take over
+  useEffect(() => onUpdateAvailable(() => setUpdateAvailable(true)), []);
+
+  // Reload everything from Supabase; unsynced local edits are kept on top
+  const reloadFromSupabase = useCallback(async () => {
+    if (!navigator.onLine || !isSupabaseConfigured) return;
+    const synced = await syncAllFromSupabase();
+    if (!synced) return;
+    if (synced.users) setUsers(synced.users);
+    if (synced.dailyLogs) setDailyLogs(synced.dailyLogs);
+    if (synced.appointments) setAppointments(synced.appointments);
+    if (synced.feed) setFeed(synced.feed);
+    if (synced.categories) setCategories(synced.categories);
+    if (synced.goalTemplates) setGoalTemplates(synced.goalTemplates);
+    if (synced.goalAssignments) setGoalAssignments(synced.goalAssignments);
+    if (synced.notifications) setNotifications(synced.notifications);
+    if (synced.customers) setCustomers(synced.customers);
+    if (synced.deals) setDeals(synced.deals);
+    if (synced.tasks) setTasks(synced.tasks);
+    if (synced.users) setCurrentUser(prev => (prev && synced.users.find(u => u.id === prev.id)) || prev);
+  }, []);
+
+  // Bind the server session to the signed-in user, then sync the queue. Team
+  // data is only readable once bound, so pull again if the last pull ran
+  // before signing in or as someone else.
+  const bindSyncSession = useCallback(async () => {
+    if (await checkSyncSession() && isPullStale()) await reloadFromSupabase();
+  }, [reloadFromSupabase]);
+
+  // Queued writes only sync while the server session is bound to the
+  // signed-in user; a PIN entered offline binds it once back online
+  const sessionUserId = currentUser && !currentUser.id.startsWith('temp_') ? currentUser.id : null;
+  useEffect(() => {
+    if (!isSupabaseConfigured) return;
+    setSyncSessionUser(sessionUserId, sessionUserId ? () => bindPendingPinSession(sessionUserId) : null);
+    if (sessionUserId) bindSyncSession();
+  }, [sessionUserId, bindSyncSession]);
+
+  const handleRetryFailedSync = useCallback(async (opId) => {
+    await retryFailedOperation(opId);
+    showToast('Retrying change...', 'info');
+  }, [showToast]);
+
+  const handleDiscardFailedSync = useCallback(async (opId) => {
+    if (!window.confirm('Discard this change? It will not be saved.')) return;
+    await discardFailedOperation(opId);
+    await reloadFromSupabase();
+    showToast('Change discarded', 'success');
+  }, [showToast, reloadFromSupabase]);
+
+  const handleResolveSyncConflict = useCallback(async (opId, resolution) => {
+    await resolveSyncConflict(opId, resolution);
+    if (resolution === 'theirs') await reloadFromSupabase();
+    showToast(resolution === 'mine' ? 'Saving your version...' : 'Using the other version', 'success');
+  }, [showToast, reloadFromSupabase]);
+
+  // ========================================
+  // NOTIFICATION INBOX
+  // ========================================
+
+  const userNotifications = useMemo(
+    () => getUserNotifications(notifications, currentUser?.id),
+    [notifications, currentUser?.id]
+  );
+  const unreadNotificationCount = countUnread(userNotifications);
+
+  // The inbox is per user; fetch it whenever someone signs in
+  useEffect(() => {
+    if (!currentUser || currentUser.id.startsWith('temp_') || !navigator.onLine || !isSupabaseConfigured) return;
+    syncNotificationsFromSupabase().then(updated => {
+      if (updated) setNotifications(updated);
+    });
+  }, [currentUser?.id]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const handleMarkNotificationsRead = useCallback(async (ids) => {
+    const unreadIds = ids.filter(id => notifications.some(n => n.id === id && !n.readAt));
+    if (unreadIds.length === 0) return;
+
+    const readAt = new Date().toISOString();
+    const updated = markNotificationsRead(notifications, unreadIds, readAt);
+    setNotifications(updated);
+    await storage.set('notifications', updated);
+
+    try {
+      if (navigator.onLine && isSupabaseConfigured) {
+        const { error } = await supabase
+          .from('notifications')
+          .update({ read_at: readAt })
+          .in('id', unreadIds);
+        if (error) throw error;
+      } else if (isSupabaseConfigured) {
+        for (const operation of toMarkReadOperations(unreadIds, readAt)) {
+          await queueSyncOperation(operation);
+        }
+      }
+    } catch (error) {
+      console.error('Failed to mark notifications read:', error);
+      for (const operation of toMarkReadOperations(unreadIds, readAt)) {
+        await queueSyncOperation(operation);
+      }
+    }
+  }, [notifications]);
+
+  const handleOpenNotification = useCallback((notification) => {
+    handleMarkNotificationsRead([notification.id]);
+    if (notification.view) setActiveView(notification.view);
+    setShowNotificationCenter(false);
+  }, [handleMarkNotificationsRead]);
+
   // ========================================
   // CHALLENGE PROGRESS CALCULATION
   // ========================================
@@ -671,61 +1063,45 @@ export default function WindowDepotTracker() {
   // TRACKING FUNCTIONS
   // ========================================
 
-  const handleIncrement = useCallback(async (category) => {
-    if (!currentUser) return;
-    
-    const today = getToday();
-    const currentCount = dailyLogs[today]?.[currentUser.id]?.[category] || 0;
-    const goal = currentUser.goals[category];
-    const newCount = currentCount + 1;
-    
-    // Update local state immediately
-    const updatedLogs = {
-      ...dailyLogs,
-      [today]: {
-        ...dailyLogs[today],
-        [currentUser.id]: {
-          ...dailyLogs[today]?.[currentUser.id],
-          [category]: newCount,
-        },
-      },
-    };
-    
+  // Apply an activity event locally, then send it to Supabase (or queue it offline).
+  // The server adds it to daily_logs, so concurrent devices never overwrite each other.
+  // An event the server logs itself (a completed callback task) is only shown here.
+  const recordActivityEvent = useCallback(async (event, { loggedByServer = false } = {}) => {
+    const updatedLogs = applyActivityEvent(dailyLogs, event);
     setDailyLogs(updatedLogs);
-    await storage.set('dailyLogs', updatedLogs);
+    await storage.dailyLogs.save(updatedLogs);
+    
+    if (loggedByServer || !isSupabaseConfigured || event.userId.startsWith('temp_')) return;
     
-    // Sync to Supabase
     try {
-      if (navigator.onLine && isSupabaseConfigured && !currentUser.id.startsWith('temp_')) {
+      if (navigator.onLine) {
         const { error } = await supabase
-          .from('daily_logs')
-          .upsert({
-            user_id: currentUser.id,
-            date: today,
-            category: category,
-            count: newCount,
-          }, {
-            onConflict: 'user_id,date,category',
-          });
+          .from('activity_events')
+          .insert(transformActivityEventToDatabase(event));
         
         if (error) throw error;
-      } else if (isSupabaseConfigured && !currentUser.id.startsWith('temp_')) {
-        // Queue for sync if offline
-        await queueSyncOperation({
-          type: 'upsert',
-          table: 'daily_logs',
-          conflictKey: 'user_id,date,category',
-          data: {
-            user_id: currentUser.id,
-            date: today,
-            category: category,
-            count: newCount,
-          },
-        });
+      } else {
+        await queueSyncOperation(toActivityEventOperation(event));
       }
     } catch (error) {
-      console.error('Failed to sync daily log:', error);
+      console.error('Failed to sync activity event:', error);
+      // Keep the event so it is not lost; the queue skips it if the insert did land
+      await queueSyncOperation(toActivityEventOperation(event));
     }
+  }, [dailyLogs]);
+  
+  const handleIncrement = useCallback(async (category, { loggedByServer = false } = {}) => {
+    if (!currentUser) return;
+    
+    const today = getToday();
+    const currentCount = dailyLogs[today]?.[currentUser.id]?.[category] || 0;
+    const goal = currentUser.goals[category];
+    const newCount = currentCount + 1;
+    
+    await recordActivityEvent(
+      createActivityEvent({ userId: currentUser.id, category, delta: 1, date: today }),
+      { loggedByServer }
+    );
     
     // Auto-post to feed for reviews and callbacks
     if (category === 'reviews' || category === 'callbacks') {
@@ -762,6 +1138,7 @@ export default function WindowDepotTracker() {
             .single();
           
           if (!postError && postData) {
+            await rememberServerRows('feed_posts', [postData]);
             const newPost = {
               id: postData.id,
               userId: postData.user_id,
@@ -774,7 +1151,7 @@ export default function WindowDepotTracker() {
             };
             const updatedFeed = [newPost, ...feed];
             setFeed(updatedFeed);
-            await storage.set('feed', updatedFeed);
+            await storage.feed.save(updatedFeed);
           }
         } else {
           // Offline: create local post, queue for sync
@@ -791,7 +1168,7 @@ export default function WindowDepotTracker() {
           };
           const updatedFeed = [newPost, ...feed];
           setFeed(updatedFeed);
-          await storage.set('feed', updatedFeed);
+          await storage.feed.save(updatedFeed);
           
           if (!currentUser.id.startsWith('temp_')) {
             await queueSyncOperation({
@@ -816,7 +1193,171 @@ export default function WindowDepotTracker() {
       setTimeout(() => setShowCelebration(false), 2000);
       showToast(`🎉 ${category} goal complete!`, 'success');
     }
-  }, [currentUser, dailyLogs, showToast, feed]);
+  }, [currentUser, dailyLogs, showToast, feed, recordActivityEvent]);
+
+  // ========================================
+  // ACHIEVEMENT EVALUATION
+  // ========================================
+
+  // With Supabase, evaluate_achievements() runs server-side on every write and
+  // owns XP and unlock posts. Evaluating here gives instant feedback and is the
+  // only evaluator in local-only mode.
+  useEffect(() => {
+    if (!isInitialized || !currentUser) return;
+    let cancelled = false;
+
+    const checkAchievements = async () => {
+      const storedAchievements = await storage.get('achievements', []);
+      const achievementList = storedAchievements.length > 0 ? storedAchievements : DEFAULT_ACHIEVEMENTS;
+      const stats = computeAchievementStats(currentUser, {
+        users,
+        dailyLogs,
+        appointments,
+        deals,
+        feed,
+        today: getToday(),
+        xpCurve,
+      });
+      const result = evaluateAchievements(currentUser, achievementList, stats, Date.now(), xpCurve);
+      if (cancelled) return;
+
+      const unchanged =
+        result.newlyUnlocked.length === 0 &&
+        isSameProgress(result.achievementProgress, currentUser.achievementProgress) &&
+        result.xp === (currentUser.xp || 0) &&
+        result.level === (currentUser.level || 1) &&
+        result.currentStreak === (currentUser.currentStreak || 0) &&
+        result.longestStreak === (currentUser.longestStreak || 0);
+      if (unchanged) return;
+
+      const updates = {
+        achievements: result.achievements,
+        achievementProgress: result.achievementProgress,
+        bonusXp: result.bonusXp,
+        activityXp: result.activityXp,
+        xp: result.xp,
+        level: result.level,
+        currentStreak: result.currentStreak,
+        longestStreak: result.longestStreak,
+        lastActivityDate: result.lastActivityDate,
+      };
+      setCurrentUser(prev => (prev?.id === currentUser.id ? { ...prev, ...updates } : prev));
+      const updatedUsers = users.map(u => (u.id === currentUser.id ? { ...u, ...updates } : u));
+      setUsers(updatedUsers);
+      await storage.set('users', updatedUsers);
+
+      if (result.newlyUnlocked.length === 0) return;
+
+      if (appSettings.notifications?.achievementAlerts !== false) {
+        const [first] = result.newlyUnlocked;
+        const more = result.newlyUnlocked.length > 1 ? ` (+${result.newlyUnlocked.length - 1} more)` : '';
+        const message = `🏆 ${first.icon} ${first.name} unlocked! +${result.xpGained} XP${more}`;
+        deliverNotification(
+          { title: 'Achievement unlocked', body: message, tag: 'achievement', view: 'dashboard' },
+          () => {
+            setShowCelebration(true);
+            setTimeout(() => setShowCelebration(false), 2000);
+            showToast(message, 'success');
+          }
+        );
+      }
+
+      const serverEvaluates = isSupabaseConfigured && !currentUser.id.startsWith('temp_');
+      if (serverEvaluates || appSettings.privacy?.privateMode) return;
+
+      const now = Date.now();
+      const achievementPosts = result.newlyUnlocked.map((achievement, index) => ({
+        id: `local_${now}_${index}`,
+        userId: currentUser.id,
+        userName: currentUser.name,
+        content: getAchievementPostContent(currentUser, achievement),
+        timestamp: now,
+        likes: [],
+        comments: [],
+        isAuto: true,
+      }));
+      const updatedFeed = [...achievementPosts, ...feed];
+      setFeed(updatedFeed);
+      await storage.feed.save(updatedFeed);
+    };
+
+    checkAchievements().catch(error => console.error('Failed to evaluate achievements:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [isInitialized, currentUser, users, dailyLogs, appointments, deals, feed, appSettings, xpCurve, showToast]);
+
+  // ========================================
+  // NOTIFICATIONS (Settings → Notifications)
+  // ========================================
+
+  const showNotificationToast = useCallback((notification) => {
+    showToast(`${notification.title}: ${notification.body}`, 'info');
+  }, [showToast]);
+
+  // Latest state for reminders, which check once a minute
+  const reminderContextRef = useRef({});
+  useEffect(() => {
+    reminderContextRef.current = {
+      settings: appSettings.notifications,
+      user: currentUser,
+      dailyLogs,
+      categories,
+    };
+  }, [appSettings.notifications, currentUser, dailyLogs, categories]);
+
+  const hasCurrentUser = Boolean(currentUser);
+  useEffect(() => {
+    if (!isInitialized || !hasCurrentUser) return undefined;
+    return scheduleReminders({
+      getContext: () => reminderContextRef.current,
+      deliver: (notification) => deliverNotification(notification, showNotificationToast),
+    });
+  }, [isInitialized, hasCurrentUser, showNotificationToast]);
+
+  useEffect(() => onNotificationClick(({ view }) => {
+    if (NOTIFICATION_VIEWS.includes(view)) setActiveView(view);
+  }), []);
+
+  // Likes, comments and team posts that arrived since the last feed update
+  const previousFeedRef = useRef(null);
+  useEffect(() => {
+    const previous = previousFeedRef.current;
+    previousFeedRef.current = { userId: currentUser?.id, feed };
+    // Skip the first load and user switches; everything would look new
+    if (!isInitialized || !currentUser || !previous || previous.userId !== currentUser.id || previous.feed.length === 0) return;
+
+    const getUserName = (userId) => users.find(u => u.id === userId)?.name;
+    detectFeedNotifications(previous.feed, feed, currentUser.id, appSettings.notifications, getUserName)
+      .forEach(notification => deliverNotification(notification, showNotificationToast));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [feed]);
+
+  // Drops on this week's leaderboard
+  const previousRankRef = useRef(null);
+  useEffect(() => {
+    if (!isInitialized || !currentUser) {
+      previousRankRef.current = null;
+      return;
+    }
+    const rank = { ...getWeeklyRank(users, dailyLogs, currentUser.id), userId: currentUser.id };
+    const previous = previousRankRef.current;
+    previousRankRef.current = rank;
+    if (previous?.userId !== currentUser.id || !appSettings.notifications?.leaderboardChangeAlerts) return;
+
+    const notification = detectRankDrop(previous, rank);
+    if (notification) deliverNotification(notification, showNotificationToast);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isInitialized, currentUser?.id, users, dailyLogs]);
+
+  // Keep this device's push subscription bound to whoever is signed in,
+  // with the team events they muted
+  const mutedPushEvents = (appSettings.notifications?.mutedPushEvents || []).join(',');
+  useEffect(() => {
+    if (!isInitialized || !currentUser || !isOnline) return;
+    syncPushSubscription(mutedPushEvents ? mutedPushEvents.split(',') : []);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isInitialized, currentUser?.id, isOnline, mutedPushEvents]);
 
   // ========================================
   // ONBOARDING CHECK
@@ -859,24 +1400,12 @@ export default function WindowDepotTracker() {
         // Don't trigger if user is typing in an input
         if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') return;
 
-        switch (e.key.toLowerCase()) {
-          case 'r':
-            e.preventDefault();
-            handleIncrement('reviews');
-            showToast('Review added! (Press R to add more)', 'success');
-            break;
-          case 'd':
-            e.preventDefault();
-            handleIncrement('demos');
-            showToast('Demo added! (Press D to add more)', 'success');
-            break;
-          case 'c':
-            e.preventDefault();
-            handleIncrement('callbacks');
-            showToast('Callback added! (Press C to add more)', 'success');
-            break;
-          default:
-            break;
+        // First letter of a category name (the first category wins when letters clash)
+        const category = activeCategories.find(c => c.name[0].toLowerCase() === e.key.toLowerCase());
+        if (category) {
+          e.preventDefault();
+          handleIncrement(category.id);
+          showToast(`${category.name} +1! (Press ${category.name[0].toUpperCase()} to add more)`, 'success');
         }
       }
 
@@ -921,12 +1450,17 @@ export default function WindowDepotTracker() {
       window.removeEventListener('keydown', handleKeyDown);
       accessibilityAnnouncer.cleanup();
     };
-  }, [showOnboarding, activeView, handleIncrement, showToast]);
+  }, [showOnboarding, activeView, activeCategories, handleIncrement, showToast]);
 
   // ========================================
   // REAL-TIME SUBSCRIPTIONS
   // ========================================
   
+  // Realtime handlers look up post authors without resubscribing on every users change
+  useEffect(() => {
+    usersRef.current = users;
+  }, [users]);
+
   useEffect(() => {
     if (!isInitialized || !isOnline || !isSupabaseConfigured) {
       console.log('Real-time subscriptions: waiting for initialization, online status, or Supabase config', { 
@@ -947,56 +1481,6 @@ export default function WindowDepotTracker() {
     });
     subscriptionsRef.current = [];
     
-    // Subscribe to feed_posts changes
-    const feedSubscription = supabase
-      .channel('feed_posts_changes')
-      .on('postgres_changes', 
-        { event: '*', schema: 'public', table: 'feed_posts' },
-        async (payload) => {
-          console.log('Feed post change received!', payload);
-          // Reload feed from Supabase
-          const { syncFeedFromSupabase } = await import('./lib/sync');
-          const updatedFeed = await syncFeedFromSupabase();
-          if (updatedFeed) {
-            setFeed(updatedFeed);
-          }
-        }
-      )
-      .subscribe((status, err) => {
-        console.log('Feed posts subscription status:', status);
-        if (status === 'SUBSCRIBED') {
-          console.log('✅ Feed posts subscription active');
-        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
-          console.error('❌ Feed posts subscription failed:', err);
-        }
-      });
-    subscriptionsRef.current.push(feedSubscription);
-    
-    // Subscribe to feed_likes changes
-    const likesSubscription = supabase
-      .channel('feed_likes_changes')
-      .on('postgres_changes',
-        { event: '*', schema: 'public', table: 'feed_likes' },
-        async (payload) => {
-          console.log('Feed like change received!', payload);
-          // Reload feed to get updated likes
-          const { syncFeedFromSupabase } = await import('./lib/sync');
-          const updatedFeed = await syncFeedFromSupabase();
-          if (updatedFeed) {
-            setFeed(updatedFeed);
-          }
-        }
-      )
-      .subscribe((status, err) => {
-        console.log('Feed likes subscription status:', status);
-        if (status === 'SUBSCRIBED') {
-          console.log('✅ Feed likes subscription active');
-        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
-          console.error('❌ Feed likes subscription failed:', err);
-        }
-      });
-    subscriptionsRef.current.push(likesSubscription);
-    
     // Subscribe to feed_comments changes
     const commentsSubscription = supabase
       .channel('feed_comments_changes')
@@ -1022,56 +1506,6 @@ export default function WindowDepotTracker() {
       });
     subscriptionsRef.current.push(commentsSubscription);
     
-    // Subscribe to daily_logs changes
-    const dailyLogsSubscription = supabase
-      .channel('daily_logs_changes')
-      .on('postgres_changes',
-        { event: '*', schema: 'public', table: 'daily_logs' },
-        async (payload) => {
-          console.log('Daily log change received!', payload);
-          // Reload daily logs from Supabase
-          const { syncDailyLogsFromSupabase } = await import('./lib/sync');
-          const updatedLogs = await syncDailyLogsFromSupabase();
-          if (updatedLogs) {
-            setDailyLogs(updatedLogs);
-          }
-        }
-      )
-      .subscribe((status, err) => {
-        console.log('Daily logs subscription status:', status);
-        if (status === 'SUBSCRIBED') {
-          console.log('✅ Daily logs subscription active');
-        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
-          console.error('❌ Daily logs subscription failed:', err);
-        }
-      });
-    subscriptionsRef.current.push(dailyLogsSubscription);
-    
-    // Subscribe to appointments changes
-    const appointmentsSubscription = supabase
-      .channel('appointments_changes')
-      .on('postgres_changes',
-        { event: '*', schema: 'public', table: 'appointments' },
-        async (payload) => {
-          console.log('Appointment change received!', payload);
-          // Reload appointments from Supabase
-          const { syncAppointmentsFromSupabase } = await import('./lib/sync');
-          const updatedAppts = await syncAppointmentsFromSupabase();
-          if (updatedAppts) {
-            setAppointments(updatedAppts);
-          }
-        }
-      )
-      .subscribe((status, err) => {
-        console.log('Appointments subscription status:', status);
-        if (status === 'SUBSCRIBED') {
-          console.log('✅ Appointments subscription active');
-        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
-          console.error('❌ Appointments subscription failed:', err);
-        }
-      });
-    subscriptionsRef.current.push(appointmentsSubscription);
-    
     // Subscribe to users changes
     const usersSubscription = supabase
       .channel('users_changes')
@@ -1104,36 +1538,172 @@ export default function WindowDepotTracker() {
       });
     subscriptionsRef.current.push(usersSubscription);
 
-    // Subscribe to challenges changes
-    const challengesSubscription = supabase
-      .channel('challenges_changes')
+    // Subscribe to system settings changes (XP curve, store calendar)
+    const systemSettingsSubscription = supabase
+      .channel('system_settings_changes')
       .on('postgres_changes',
-        { event: '*', schema: 'public', table: 'challenges' },
+        { event: '*', schema: 'public', table: 'system_settings' },
         async (payload) => {
-          console.log('Challenge change received!', payload);
-          // Reload challenges from storage
-          const loadedChallenges = await storage.get('challenges', []);
-          setChallenges(loadedChallenges);
+          console.log('System settings change received!', payload);
+          const { syncSystemSettingsFromSupabase } = await import('./lib/sync');
+          const updatedSettings = await syncSystemSettingsFromSupabase();
+          if (updatedSettings) {
+            setXpCurveSetting(normalizeXpCurve(updatedSettings[XP_CURVE_SETTING_KEY]));
+            setStoreCalendar(configureStoreCalendar(updatedSettings[STORE_CALENDAR_SETTING_KEY]));
+          }
         }
       )
       .subscribe((status, err) => {
-        console.log('Challenges subscription status:', status);
-        if (status === 'SUBSCRIBED') {
-          console.log('✅ Challenges subscription active');
-        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
-          console.error('❌ Challenges subscription failed:', err);
+        console.log('System settings subscription status:', status);
+        if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          console.error('❌ System settings subscription failed:', err);
         }
       });
-    subscriptionsRef.current.push(challengesSubscription);
+    subscriptionsRef.current.push(systemSettingsSubscription);
 
-    console.log('Real-time subscriptions set up successfully');
-    
-    // Cleanup subscriptions on unmount
-    return () => {
-      console.log('Cleaning up real-time subscriptions');
-      subscriptionsRef.current.forEach(sub => {
-        if (sub && typeof sub.unsubscribe === 'function') {
-          sub.unsubscribe();
+    // Subscribe to activity category changes
+    const categoriesSubscription = supabase
+      .channel('categories_changes')
+      .on('postgres_changes',
+        { event: '*', schema: 'public', table: 'categories' },
+        async (payload) => {
+          console.log('Category change received!', payload);
+          const { syncCategoriesFromSupabase } = await import('./lib/sync');
+          const updatedCategories = await syncCategoriesFromSupabase();
+          if (updatedCategories) {
+            setCategories(normalizeCategories(updatedCategories));
+          }
+        }
+      )
+      .subscribe((status, err) => {
+        console.log('Categories subscription status:', status);
+        if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          console.error('❌ Categories subscription failed:', err);
+        }
+      });
+    subscriptionsRef.current.push(categoriesSubscription);
+
+    // Subscribe to goal template and assignment changes
+    const goalTemplatesSubscription = supabase
+      .channel('goal_templates_changes')
+      .on('postgres_changes',
+        { event: '*', schema: 'public', table: 'goal_templates' },
+        async (payload) => {
+          console.log('Goal template change received!', payload);
+          const { syncGoalTemplatesFromSupabase } = await import('./lib/sync');
+          const updatedTemplates = await syncGoalTemplatesFromSupabase();
+          if (updatedTemplates) {
+            setGoalTemplates(updatedTemplates);
+          }
+        }
+      )
+      .on('postgres_changes',
+        { event: '*', schema: 'public', table: 'goal_assignments' },
+        async (payload) => {
+          console.log('Goal assignment change received!', payload);
+          const { syncGoalAssignmentsFromSupabase } = await import('./lib/sync');
+          const updatedAssignments = await syncGoalAssignmentsFromSupabase();
+          if (updatedAssignments) {
+            setGoalAssignments(updatedAssignments);
+          }
+        }
+      )
+      .subscribe((status, err) => {
+        console.log('Goal templates subscription status:', status);
+        if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          console.error('❌ Goal templates subscription failed:', err);
+        }
+      });
+    subscriptionsRef.current.push(goalTemplatesSubscription);
+
+    // Patch daily logs, feed, appointments, challenges, customers, deals and tasks row by row.
+    // After a dropped connection (or coming back online) the missed changes are backfilled.
+    const getUserName = (userId) => usersRef.current.find(u => u.id === userId)?.name;
+    const unsubscribeRowChanges = subscribeToRowChanges({
+      onChange: (table, payload) => {
+        switch (table) {
+          case 'daily_logs':
+            setDailyLogs(prev => patchDailyLogs(prev, payload));
+            break;
+          case 'feed_posts':
+            setFeed(prev => patchFeedPosts(prev, payload, getUserName));
+            break;
+          case 'feed_reactions':
+            setFeed(prev => patchFeedReactions(prev, payload));
+            break;
+          case 'appointments':
+            setAppointments(prev => patchAppointments(prev, payload));
+            break;
+          case 'challenges':
+            setChallenges(prev => patchChallenges(prev, payload));
+            break;
+          case 'user_challenges':
+            setUserChallenges(prev => patchUserChallenges(prev, payload));
+            break;
+          case 'notifications':
+            setNotifications(prev => patchNotifications(prev, payload));
+            break;
+          case 'customers':
+            setCustomers(prev => patchCustomers(prev, payload));
+            break;
+          case 'deals':
+            setDeals(prev => patchDeals(prev, payload));
+            break;
+          case 'tasks':
+            setTasks(prev => patchTasks(prev, payload));
+            break;
+          default:
+        }
+        persistRowChange(table, payload, getUserName);
+      },
+      onBackfill: async () => {
+        const {
+          syncDailyLogsFromSupabase,
+          syncFeedFromSupabase,
+          syncAppointmentsFromSupabase,
+          syncChallengesFromSupabase,
+          syncUserChallengesFromSupabase,
+          syncCustomersFromSupabase,
+          syncDealsFromSupabase,
+          syncTasksFromSupabase,
+        } = await import('./lib/sync');
+        const [
+          updatedLogs, updatedFeed, updatedAppts, updatedChallenges, updatedUserChallenges, updatedNotifications,
+          updatedCustomers, updatedDeals, updatedTasks,
+        ] = await Promise.all([
+          syncDailyLogsFromSupabase(),
+          syncFeedFromSupabase(),
+          syncAppointmentsFromSupabase(),
+          syncChallengesFromSupabase(),
+          syncUserChallengesFromSupabase(),
+          syncNotificationsFromSupabase(),
+          syncCustomersFromSupabase(),
+          syncDealsFromSupabase(),
+          syncTasksFromSupabase(),
+        ]);
+        if (updatedLogs) setDailyLogs(updatedLogs);
+        if (updatedFeed) setFeed(updatedFeed);
+        if (updatedAppts) setAppointments(updatedAppts);
+        if (updatedChallenges) setChallenges(updatedChallenges);
+        if (updatedUserChallenges) setUserChallenges(updatedUserChallenges);
+        if (updatedNotifications) setNotifications(updatedNotifications);
+        if (updatedCustomers) setCustomers(updatedCustomers);
+        if (updatedDeals) setDeals(updatedDeals);
+        if (updatedTasks) setTasks(updatedTasks);
+      },
+      backfillOnSubscribe: hasSubscribedRef.current,
+    });
+    hasSubscribedRef.current = true;
+    subscriptionsRef.current.push({ unsubscribe: unsubscribeRowChanges });
+
+    console.log('Real-time subscriptions set up successfully');
+    
+    // Cleanup subscriptions on unmount
+    return () => {
+      console.log('Cleaning up real-time subscriptions');
+      subscriptionsRef.current.forEach(sub => {
+        if (sub && typeof sub.unsubscribe === 'function') {
+          sub.unsubscribe();
         }
       });
       subscriptionsRef.current = [];
@@ -1223,14 +1793,19 @@ export default function WindowDepotTracker() {
   // ========================================
 
   useEffect(() => {
-    if (!isInitialized || !users.length || !Object.keys(dailyLogs).length) {
+    if (!isInitialized || !currentUser || !users.length || !Object.keys(dailyLogs).length) {
       return;
     }
 
+    // Row-level security only lets managers write snapshots for teammates
+    const snapshotUsers = currentUser.role === 'manager'
+      ? users
+      : users.filter(u => u.id === currentUser.id);
+
     // Create snapshots for yesterday if not already created
     const ensureSnapshots = async () => {
       try {
-        await ensureDailySnapshots(users, dailyLogs);
+        await ensureDailySnapshots(snapshotUsers, dailyLogs);
         // Reload snapshots from storage
         const updatedSnapshots = await getLocalSnapshots();
         setDailySnapshots(updatedSnapshots);
@@ -1241,7 +1816,7 @@ export default function WindowDepotTracker() {
 
     ensureSnapshots();
   // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [isInitialized, users.length, Object.keys(dailyLogs).length]);
+  }, [isInitialized, currentUser?.id, users.length, Object.keys(dailyLogs).length]);
 
   // ========================================
   // AUTO-SAVE WITH DEBOUNCING
@@ -1266,7 +1841,7 @@ export default function WindowDepotTracker() {
     
     const saveTimeout = setTimeout(async () => {
       try {
-        await storage.set('dailyLogs', dailyLogs);
+        await storage.dailyLogs.save(dailyLogs);
       } catch (error) {
         console.error('Auto-save logs failed:', error);
       }
@@ -1280,7 +1855,7 @@ export default function WindowDepotTracker() {
     
     const saveTimeout = setTimeout(async () => {
       try {
-        await storage.set('appointments', appointments);
+        await storage.appointments.save(appointments);
       } catch (error) {
         console.error('Auto-save appointments failed:', error);
       }
@@ -1294,7 +1869,7 @@ export default function WindowDepotTracker() {
     
     const saveTimeout = setTimeout(async () => {
       try {
-        await storage.set('feed', feed);
+        await storage.feed.save(feed);
       } catch (error) {
         console.error('Auto-save feed failed:', error);
       }
@@ -1308,9 +1883,6 @@ export default function WindowDepotTracker() {
 
     const saveTimeout = setTimeout(async () => {
       try {
-        if (rememberUser) {
-          await storage.set('currentUser', currentUser);
-        }
         await storage.set('rememberUser', rememberUser);
       } catch (error) {
         console.error('Auto-save user preference failed:', error);
@@ -1318,7 +1890,7 @@ export default function WindowDepotTracker() {
     }, 500);
 
     return () => clearTimeout(saveTimeout);
-  }, [currentUser, rememberUser]);
+  }, [rememberUser]);
 
   useEffect(() => {
     if (!hasInitialized.current) return;
@@ -1338,7 +1910,7 @@ export default function WindowDepotTracker() {
   // USER MANAGEMENT
   // ========================================
   
-  const createUser = useCallback(async (name, role) => {
+  const createUser = useCallback(async (name, role, credentials = {}) => {
     const validationError = VALIDATIONS.userName(name);
     if (validationError) {
       showToast(validationError, 'error');
@@ -1351,43 +1923,112 @@ export default function WindowDepotTracker() {
       showToast('User with this name already exists', 'error');
       return false;
     }
+
+    const email = credentials.email?.trim().toLowerCase() || null;
+    if (email) {
+      const emailError = VALIDATIONS.email(email);
+      if (emailError) {
+        showToast(emailError, 'error');
+        return false;
+      }
+      if (users.some(u => u.email?.toLowerCase() === email)) {
+        showToast('User with this email already exists', 'error');
+        return false;
+      }
+    }
+
+    let pinCredential = { pinHash: null, pinSalt: null };
+    if (credentials.pin) {
+      const pinError = validatePin(credentials.pin);
+      if (pinError) {
+        showToast(pinError, 'error');
+        return false;
+      }
+      pinCredential = await createPinCredential(credentials.pin);
+    }
+
+    if (!email && !pinCredential.pinHash) {
+      showToast('Set a PIN or an email so the user can sign in', 'error');
+      return false;
+    }
+
+    // The very first account bootstraps the team and signs straight in
+    const isBootstrap = !currentUser;
     
-    const goals = {
-      reviews: 5,
-      demos: 3,
-      callbacks: 10,
-    };
+    const goals = getDefaultGoals(categories);
     
     try {
       // Insert into Supabase if configured and online
       if (navigator.onLine && isSupabaseConfigured) {
-        const { data, error } = await supabase
-          .from('users')
-          .insert({
-            name: sanitizedName,
-            role: role || 'employee',
-            goals: goals,
-          })
-          .select()
-          .single();
+        let data;
+        if (isBootstrap) {
+          // Created, given its PIN and signed in by one call (013_row_level_security.sql)
+          const result = await createFirstUser({ name: sanitizedName, goals, email, pin: credentials.pin });
+          if (!result.success) {
+            showToast(result.error, 'error');
+            return false;
+          }
+          data = result.user;
+        } else {
+          const { data: inserted, error } = await supabase
+            .from('users')
+            .insert({
+              name: sanitizedName,
+              role: role || 'employee',
+              goals: goals,
+              email: email,
+            })
+            .select()
+            .single();
 
-        if (error) throw error;
+          if (error) throw error;
+          data = inserted;
+          await rememberServerRows('users', [inserted]);
+
+          // The server hashes and stores the PIN; it never travels with the row
+          if (pinCredential.pinHash) {
+            const pinResult = await setUserPin(data.id, credentials.pin);
+            if (!pinResult.success) {
+              showToast(`${sanitizedName} was added, but the PIN was not set: ${pinResult.error}`, 'warning');
+              pinCredential = { pinHash: null, pinSalt: null };
+            }
+          }
+        }
 
         const newUser = {
           id: data.id,
           name: data.name,
           role: data.role,
           goals: data.goals,
+          periodGoals: data.period_goals || {},
           createdAt: data.created_at,
+          email: data.email || null,
+          authUserId: null,
+          hasPin: !!pinCredential.pinHash,
+          pinHash: pinCredential.pinHash,
+          pinSalt: pinCredential.pinSalt,
+          pinUpdatedAt: data.pin_updated_at || null,
         };
 
         const updatedUsers = [...users, newUser];
         setUsers(updatedUsers);
-        setCurrentUser(newUser);
         await storage.set('users', updatedUsers);
-        showToast(`Welcome, ${sanitizedName}!`, 'success');
-        return true;
+        if (isBootstrap) {
+          await startPinSession(newUser, rememberUser);
+          setCurrentUser(newUser);
+          showToast(`Welcome, ${sanitizedName}!`, 'success');
+        } else if (pinCredential.pinHash || !credentials.pin) {
+          showToast(`${sanitizedName} added to the team`, 'success');
+        }
+        return newUser;
       } else {
+        // PINs are hashed by the server, so one can only be set online
+        if (isSupabaseConfigured && pinCredential.pinHash) {
+          showToast('Connect to the internet to add a user with a PIN', 'error');
+          return false;
+        }
+
+
         // Offline or Supabase not configured: create with temporary ID, queue for sync
         const tempId = `temp_${Date.now()}`;
         const newUser = {
@@ -1395,12 +2036,17 @@ export default function WindowDepotTracker() {
           name: sanitizedName,
           role: role || 'employee',
           goals: goals,
+          periodGoals: {},
           createdAt: new Date().toISOString(),
+          email: email,
+          authUserId: null,
+          hasPin: !!pinCredential.pinHash,
+          pinHash: pinCredential.pinHash,
+          pinSalt: pinCredential.pinSalt,
         };
 
         const updatedUsers = [...users, newUser];
         setUsers(updatedUsers);
-        setCurrentUser(newUser);
         await storage.set('users', updatedUsers);
 
         // Queue for sync when both online and configured
@@ -1412,19 +2058,191 @@ export default function WindowDepotTracker() {
               name: sanitizedName,
               role: role || 'employee',
               goals: goals,
+              email: email,
             },
           });
         }
 
-        showToast(`Welcome, ${sanitizedName}!`, 'success');
-        return true;
+        if (isBootstrap && newUser.pinHash) {
+          await startPinSession(newUser, rememberUser);
+          setCurrentUser(newUser);
+          showToast(`Welcome, ${sanitizedName}!`, 'success');
+        } else {
+          showToast(`${sanitizedName} added to the team`, 'success');
+        }
+        return newUser;
       }
     } catch (error) {
       console.error('Failed to create user:', error);
       showToast('Failed to create user. Please try again.', 'error');
       return false;
     }
-  }, [users, showToast]);
+  }, [users, currentUser, rememberUser, showToast]);
+
+  // ========================================
+  // SIGN IN / SIGN OUT
+  // ========================================
+
+  // Cache the verified hash on this device so the user can sign in offline
+  const completePinSignIn = useCallback(async (user, credential = {}) => {
+    const signedInUser = { ...user, ...credential, hasPin: true };
+    const updatedUsers = users.map(u => (u.id === user.id ? signedInUser : u));
+    setUsers(updatedUsers);
+    await storage.set('users', updatedUsers);
+    await startPinSession(signedInUser, rememberUser);
+    setCurrentUser(signedInUser);
+    setAuthError(null);
+  }, [users, rememberUser]);
+
+  const signInWithPin = useCallback(async (userId, pin) => {
+    const user = users.find(u => u.id === userId);
+    if (!user || user.archived) {
+      showToast('Account not found', 'error');
+      return false;
+    }
+
+    const pinError = validatePin(pin);
+    if (pinError) {
+      showToast(pinError, 'error');
+      return false;
+    }
+
+    const result = await authenticatePin(user, pin);
+    if (!result.success) {
+      showToast(result.error || 'Incorrect PIN', 'error');
+      return false;
+    }
+
+    await completePinSignIn(user, { pinHash: result.pinHash, pinSalt: result.pinSalt });
+    showToast(`Welcome back, ${user.name}!`, 'success');
+    return true;
+  }, [users, completePinSignIn, showToast]);
+
+  const requestMagicLink = useCallback(async (email) => {
+    const emailError = VALIDATIONS.email(email);
+    if (emailError) {
+      showToast(emailError, 'error');
+      return false;
+    }
+
+    const result = await sendMagicLink(email);
+    if (!result.success) {
+      showToast(result.error || 'Failed to send sign-in link', 'error');
+      return false;
+    }
+
+    showToast('Check your email for a sign-in link', 'success');
+    return true;
+  }, [showToast]);
+
+  const handleSignOut = useCallback(async () => {
+    await signOut();
+    setCurrentUser(null);
+    setActiveView('dashboard');
+  }, []);
+
+  const updateUserCredentials = useCallback(async (userId, { pin, email } = {}) => {
+    const updates = {};
+
+    if (pin !== undefined) {
+      const pinError = validatePin(pin);
+      if (pinError) {
+        showToast(pinError, 'error');
+        return false;
+      }
+      if (isSupabaseConfigured && userId.startsWith('temp_')) {
+        showToast('This user has not synced yet; set the PIN once they have', 'warning');
+        return false;
+      }
+      const { pinHash, pinSalt } = await createPinCredential(pin);
+      updates.pinHash = pinHash;
+      updates.pinSalt = pinSalt;
+      updates.hasPin = true;
+    }
+
+    if (email !== undefined) {
+      const normalized = email.trim().toLowerCase() || null;
+      if (normalized) {
+        const emailError = VALIDATIONS.email(normalized);
+        if (emailError) {
+          showToast(emailError, 'error');
+          return false;
+        }
+        if (users.some(u => u.id !== userId && u.email?.toLowerCase() === normalized)) {
+          showToast('Another user already has this email', 'error');
+          return false;
+        }
+      }
+      updates.email = normalized;
+    }
+
+    const dbUpdates = {};
+    if (email !== undefined) {
+      dbUpdates.email = updates.email;
+    }
+
+    try {
+      if (isSupabaseConfigured && updates.pinHash) {
+        const pinResult = await setUserPin(userId, pin);
+        if (!pinResult.success) {
+          showToast(pinResult.error, 'error');
+          return false;
+        }
+      }
+
+      if (isSupabaseConfigured && !userId.startsWith('temp_') && Object.keys(dbUpdates).length > 0) {
+        if (navigator.onLine) {
+          const { data, error } = await supabase
+            .from('users')
+            .update(dbUpdates)
+            .eq('id', userId)
+            .select()
+            .single();
+
+          if (error) throw error;
+          await rememberServerRows('users', [data]);
+        } else {
+          await queueSyncOperation({
+            type: 'update',
+            table: 'users',
+            id: userId,
+            data: dbUpdates,
+          });
+        }
+      }
+
+      const updatedUsers = users.map(u => (u.id === userId ? { ...u, ...updates } : u));
+      setUsers(updatedUsers);
+      await storage.set('users', updatedUsers);
+      if (currentUser?.id === userId) {
+        setCurrentUser(prev => ({ ...prev, ...updates }));
+      }
+
+      showToast('Sign-in details updated', 'success');
+      return updatedUsers.find(u => u.id === userId);
+    } catch (error) {
+      console.error('Failed to update credentials:', error);
+      showToast('Failed to update sign-in details', 'error');
+      return false;
+    }
+  }, [users, currentUser, showToast]);
+
+  // Without Supabase, legacy accounts (no PIN, no email) choose their PIN on
+  // first sign-in; with it, a manager sets their PIN from the Admin Panel
+  const setupPinAndSignIn = useCallback(async (userId, pin) => {
+    const user = users.find(u => u.id === userId);
+    if (!user || hasCredentials(user) || isSupabaseConfigured) return false;
+
+    const pinError = validatePin(pin);
+    if (pinError) {
+      showToast(pinError, 'error');
+      return false;
+    }
+
+    await completePinSignIn(user, await createPinCredential(pin));
+    showToast(`Welcome, ${user.name}!`, 'success');
+    return true;
+  }, [users, completePinSignIn, showToast]);
   
   const deleteUser = useCallback(async (userId) => {
     if (!window.confirm('Are you sure you want to delete this user? All their data will be lost.')) {
@@ -1468,9 +2286,9 @@ export default function WindowDepotTracker() {
 
       // Update storage with the same computed values
       await storage.set('users', updatedUsers);
-      await storage.set('dailyLogs', updatedDailyLogs);
-      await storage.set('appointments', updatedAppointments);
-      await storage.set('feed', updatedFeed);
+      await storage.dailyLogs.save(updatedDailyLogs);
+      await storage.appointments.save(updatedAppointments);
+      await storage.feed.save(updatedFeed);
       
       if (currentUser?.id === userId) {
         setCurrentUser(null);
@@ -1483,11 +2301,12 @@ export default function WindowDepotTracker() {
     }
   }, [currentUser, showToast, users, dailyLogs, appointments, feed]);
   
-  const updateUserGoals = useCallback(async (userId, goals) => {
+  // period is 'day' (users.goals) or 'week'/'month' (users.period_goals)
+  const updateUserGoals = useCallback(async (userId, goals, period = 'day') => {
     const errors = [];
     
     Object.entries(goals).forEach(([key, value]) => {
-      const error = VALIDATIONS.goalValue(value);
+      const error = VALIDATIONS.goalValue(value, period);
       if (error) errors.push(`${key}: ${error}`);
     });
     
@@ -1497,29 +2316,44 @@ export default function WindowDepotTracker() {
     }
     
     try {
+      const applyGoals = (u) => {
+        if (period === 'day') return { ...u, goals: { ...u.goals, ...goals } };
+        // Weekly and monthly goals of 0 are removed rather than stored
+        const periodGoals = { ...u.periodGoals?.[period], ...goals };
+        Object.keys(periodGoals).forEach(key => {
+          if (!(periodGoals[key] > 0)) delete periodGoals[key];
+        });
+        return { ...u, periodGoals: { ...u.periodGoals, [period]: periodGoals } };
+      };
       const updatedUsers = users.map(u => 
-        u.id === userId ? { ...u, goals: { ...u.goals, ...goals } } : u
+        u.id === userId ? applyGoals(u) : u
       );
       const updatedUser = updatedUsers.find(u => u.id === userId);
+      const data = period === 'day'
+        ? { goals: updatedUser.goals }
+        : { period_goals: updatedUser.periodGoals };
       
       setUsers(updatedUsers);
       await storage.set('users', updatedUsers);
       
       // Update in Supabase
       if (navigator.onLine && isSupabaseConfigured && !userId.startsWith('temp_')) {
-        const { error } = await supabase
+        const { data: updatedRow, error } = await supabase
           .from('users')
-          .update({ goals: updatedUser.goals })
-          .eq('id', userId);
+          .update(data)
+          .eq('id', userId)
+          .select()
+          .single();
         
         if (error) throw error;
+        await rememberServerRows('users', [updatedRow]);
       } else if (isSupabaseConfigured && !userId.startsWith('temp_')) {
         // Queue for sync if offline
         await queueSyncOperation({
           type: 'update',
           table: 'users',
           id: userId,
-          data: { goals: updatedUser.goals },
+          data,
         });
       }
       
@@ -1529,3104 +2363,3274 @@ export default function WindowDepotTracker() {
       showToast('Failed to update goals', 'error');
     }
   }, [showToast, users]);
-  
-  // ========================================
-  // SETTINGS FUNCTIONS
-  // ========================================
 
-  const saveSettings = useCallback(async (newSettings) => {
+  // Write a system_settings value to Supabase (or the sync queue) and local storage
+  const saveSystemSetting = useCallback(async (key, value) => {
+    const setting = {
+      key,
+      value,
+      updated_by: currentUser.id.startsWith('temp_') ? null : currentUser.id,
+      updated_at: new Date().toISOString(),
+    };
+
+    if (navigator.onLine && isSupabaseConfigured) {
+      const { data, error } = await supabase
+        .from('system_settings')
+        .upsert(setting, { onConflict: 'key' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      await rememberServerRows('system_settings', [data]);
+    } else if (isSupabaseConfigured) {
+      await queueSyncOperation({
+        type: 'upsert',
+        table: 'system_settings',
+        conflictKey: 'key',
+        data: setting,
+      });
+    }
+
+    const systemSettings = await storage.get('systemSettings', {});
+    await storage.set('systemSettings', { ...systemSettings, [key]: value });
+  }, [currentUser]);
+
+  const updateXpCurve = useCallback(async (curve) => {
+    if (currentUser?.role !== 'manager') {
+      showToast('Only managers can change the XP curve', 'error');
+      return false;
+    }
+
+    // XP per activity is saved on the categories, not in the curve
+    const { categoryXp, ...normalized } = normalizeXpCurve(curve);
+    const validationError = validateXpCurve(normalized);
+    if (validationError) {
+      showToast(validationError, 'error');
+      return false;
+    }
+
     try {
-      const updatedSettings = { ...appSettings, ...newSettings };
-      setAppSettings(updatedSettings);
-      await storage.set('appSettings', updatedSettings);
+      await saveSystemSetting(XP_CURVE_SETTING_KEY, normalized);
+      setXpCurveSetting(normalizeXpCurve(normalized));
 
-      // Apply AI settings immediately
-      if (newSettings.ai) {
-        configureAI({
-          apiKey: newSettings.ai.apiKey ?? updatedSettings.ai.apiKey,
-          model: newSettings.ai.textModel ?? updatedSettings.ai.textModel,
-          rateLimit: newSettings.ai.rateLimit ?? updatedSettings.ai.rateLimit,
-        });
-      }
+      showToast('XP curve updated', 'success');
+      return true;
+    } catch (error) {
+      console.error('Failed to update XP curve:', error);
+      showToast('Failed to update XP curve', 'error');
+      return false;
+    }
+  }, [currentUser, saveSystemSetting, showToast]);
 
-      // Handle theme mode if included in settings
-      if (newSettings.themeMode) {
-        setThemeMode(newSettings.themeMode);
-        await storage.set('themeMode', newSettings.themeMode);
-      }
+  const updateStoreCalendar = useCallback(async (calendar) => {
+    if (currentUser?.role !== 'manager') {
+      showToast('Only managers can change the store calendar', 'error');
+      return false;
+    }
 
-      showToast('Settings saved', 'success');
+    const validationError = validateStoreCalendar(calendar);
+    if (validationError) {
+      showToast(validationError, 'error');
+      return false;
+    }
+
+    try {
+      const normalized = normalizeStoreCalendar(calendar);
+      await saveSystemSetting(STORE_CALENDAR_SETTING_KEY, normalized);
+      setStoreCalendar(configureStoreCalendar(normalized));
+
+      showToast('Store calendar updated', 'success');
       return true;
     } catch (error) {
-      console.error('Failed to save settings:', error);
-      showToast('Failed to save settings', 'error');
+      console.error('Failed to update store calendar:', error);
+      showToast('Failed to update store calendar', 'error');
       return false;
     }
-  }, [appSettings, showToast]);
+  }, [currentUser, saveSystemSetting, showToast]);
 
-  // ========================================
-  // TRACKING FUNCTIONS (continued)
-  // ========================================
-  
-  const handleDecrement = useCallback(async (category) => {
-    if (!currentUser) return;
-    
-    const today = getToday();
-    const currentCount = dailyLogs[today]?.[currentUser.id]?.[category] || 0;
-    
-    if (currentCount === 0) return;
-    
-    // Confirmation for large decrements
-    if (currentCount > 5) {
-      if (!window.confirm(`Are you sure you want to decrease ${category} from ${currentCount} to ${currentCount - 1}?`)) {
-        return;
-      }
+  const saveCategory = useCallback(async (category, isNew = false) => {
+    if (currentUser?.role !== 'manager') {
+      showToast('Only managers can change activity categories', 'error');
+      return false;
     }
-    
-    const newCount = Math.max(0, currentCount - 1);
-    
-    // Update local state immediately
-    const updatedLogs = {
-      ...dailyLogs,
-      [today]: {
-        ...dailyLogs[today],
-        [currentUser.id]: {
-          ...dailyLogs[today]?.[currentUser.id],
-          [category]: newCount,
-        },
-      },
+
+    const validationError = validateCategory(category, categories, isNew);
+    if (validationError) {
+      showToast(validationError, 'error');
+      return false;
+    }
+
+    const previous = categories.find(c => c.id === category.id);
+    const saved = {
+      ...category,
+      name: category.name.trim(),
+      sortOrder: previous?.sortOrder ?? Math.max(0, ...categories.map(c => c.sortOrder)) + 1,
     };
-    
-    setDailyLogs(updatedLogs);
-    await storage.set('dailyLogs', updatedLogs);
-    
-    // Sync to Supabase
+
     try {
-      if (navigator.onLine && isSupabaseConfigured && !currentUser.id.startsWith('temp_')) {
-        const { error } = await supabase
-          .from('daily_logs')
-          .upsert({
-            user_id: currentUser.id,
-            date: today,
-            category: category,
-            count: newCount,
-          }, {
-            onConflict: 'user_id,date,category',
-          });
-        
+      if (navigator.onLine && isSupabaseConfigured) {
+        const { data, error } = await supabase
+          .from('categories')
+          .upsert(transformCategoryToDatabase(saved), { onConflict: 'id' })
+          .select()
+          .single();
+
         if (error) throw error;
-      } else if (isSupabaseConfigured && !currentUser.id.startsWith('temp_')) {
-        // Queue for sync if offline
+        await rememberServerRows('categories', [data]);
+      } else if (isSupabaseConfigured) {
         await queueSyncOperation({
           type: 'upsert',
-          table: 'daily_logs',
-          conflictKey: 'user_id,date,category',
-          data: {
-            user_id: currentUser.id,
-            date: today,
-            category: category,
-            count: newCount,
-          },
+          table: 'categories',
+          conflictKey: 'id',
+          data: transformCategoryToDatabase(saved),
         });
       }
+
+      const updatedCategories = normalizeCategories(
+        previous ? categories.map(c => (c.id === saved.id ? saved : c)) : [...categories, saved]
+      );
+      setCategories(updatedCategories);
+      await storage.set('categories', updatedCategories);
+
+      // Deactivated categories no longer have goals (the server does the same)
+      if (previous?.active && !saved.active) {
+        const withoutCategory = (goals) => {
+          const { [saved.id]: removed, ...rest } = goals || {};
+          return rest;
+        };
+        const updatedUsers = users.map(u => ({
+          ...u,
+          goals: withoutCategory(u.goals),
+          periodGoals: {
+            ...u.periodGoals,
+            ...(u.periodGoals?.week && { week: withoutCategory(u.periodGoals.week) }),
+            ...(u.periodGoals?.month && { month: withoutCategory(u.periodGoals.month) }),
+          },
+        }));
+        setUsers(updatedUsers);
+        await storage.set('users', updatedUsers);
+        const updatedCurrentUser = updatedUsers.find(u => u.id === currentUser.id);
+        if (updatedCurrentUser) setCurrentUser(updatedCurrentUser);
+      }
+
+      showToast(isNew ? 'Category added' : 'Category updated', 'success');
+      return true;
     } catch (error) {
-      console.error('Failed to sync daily log:', error);
+      console.error('Failed to save category:', error);
+      showToast('Failed to save category', 'error');
+      return false;
     }
-  }, [currentUser, dailyLogs]);
-  
+  }, [currentUser, categories, users, showToast]);
+
   // ========================================
-  // APPOINTMENT MANAGEMENT
+  // GOAL TEMPLATE FUNCTIONS
   // ========================================
-  
-  const addAppointment = useCallback(async (appointmentData) => {
-    const validationError = VALIDATIONS.customerName(appointmentData.customerName);
-    if (validationError) {
-      showToast(validationError, 'error');
-      return false;
-    }
-    
-    const dateError = VALIDATIONS.date(appointmentData.date);
-    if (dateError) {
-      showToast(dateError, 'error');
+
+  const saveGoalTemplate = useCallback(async (template) => {
+    if (currentUser?.role !== 'manager') {
+      showToast('Only managers can change goal templates', 'error');
       return false;
     }
-    
-    const notesError = VALIDATIONS.notes(appointmentData.notes);
-    if (notesError) {
-      showToast(notesError, 'error');
+
+    const previous = goalTemplates.find(t => t.id === template.id);
+    const saved = {
+      ...template,
+      id: template.id || crypto.randomUUID(),
+      name: (template.name || '').trim(),
+      description: (template.description || '').trim(),
+      steps: (template.steps || []).map(compactTemplateStep).sort((a, b) => a.week - b.week),
+      createdBy: template.createdBy || currentUser.id,
+    };
+
+    const validationError = validateGoalTemplate(saved, goalTemplates);
+    if (validationError) {
+      showToast(validationError, 'error');
       return false;
     }
-    
+
     try {
-      // Ensure date is in YYYY-MM-DD format to avoid timezone issues
-      let appointmentDate = appointmentData.date || getToday();
-      // Parse and reformat to ensure consistent date handling
-      const dateObj = new Date(appointmentDate + 'T12:00:00'); // Use noon to avoid timezone shifts
-      appointmentDate = `${dateObj.getFullYear()}-${String(dateObj.getMonth() + 1).padStart(2, '0')}-${String(dateObj.getDate()).padStart(2, '0')}`;
-      const appointmentDataForDB = {
-        user_id: currentUser.id,
-        customer_name: sanitizeInput(appointmentData.customerName),
-        products: appointmentData.products || [],
-        notes: sanitizeInput(appointmentData.notes || ''),
-        date: appointmentDate,
-        time: appointmentData.time || null,
-        counts_as_demo: appointmentData.countsAsDemo !== false,
-      };
-      
-      let newAppt;
-      
-      // Insert into Supabase
-      if (navigator.onLine && isSupabaseConfigured && !currentUser.id.startsWith('temp_')) {
+      if (navigator.onLine && isSupabaseConfigured) {
         const { data, error } = await supabase
-          .from('appointments')
-          .insert(appointmentDataForDB)
+          .from('goal_templates')
+          .upsert(transformGoalTemplateToDatabase(saved), { onConflict: 'id' })
           .select()
           .single();
-        
+
         if (error) throw error;
-        
-        newAppt = {
-          id: data.id,
-          userId: data.user_id,
-          userName: currentUser.name,
-          customerName: data.customer_name,
-          products: data.products || [],
-          notes: data.notes || '',
-          date: data.date,
-          time: data.time,
-          timestamp: new Date(data.created_at).getTime(),
-          countsAsDemo: data.counts_as_demo,
-        };
-      } else {
-        // Offline: create with temporary ID
-        const tempId = `temp_${Date.now()}`;
-        newAppt = {
-          id: tempId,
-          userId: currentUser.id,
-          userName: currentUser.name,
-          customerName: sanitizeInput(appointmentData.customerName),
-          products: appointmentData.products || [],
-          notes: sanitizeInput(appointmentData.notes || ''),
-          date: appointmentDate,
-          time: appointmentData.time,
-          timestamp: Date.now(),
-          countsAsDemo: appointmentData.countsAsDemo !== false,
-        };
-        
-        // Queue for sync
-        if (!currentUser.id.startsWith('temp_')) {
-          await queueSyncOperation({
-            type: 'insert',
-            table: 'appointments',
-            data: appointmentDataForDB,
-          });
-        }
+        await rememberServerRows('goal_templates', [data]);
+      } else if (isSupabaseConfigured) {
+        await queueSyncOperation({
+          type: 'upsert',
+          table: 'goal_templates',
+          conflictKey: 'id',
+          data: transformGoalTemplateToDatabase(saved),
+        });
       }
-      
-      const updatedAppointments = [newAppt, ...appointments];
-      setAppointments(updatedAppointments);
-      await storage.set('appointments', updatedAppointments);
-      
-      // If counts as demo, increment demo count
-      if (newAppt.countsAsDemo) {
-        await handleIncrement('demos');
+
+      const updatedTemplates = (previous
+        ? goalTemplates.map(t => (t.id === saved.id ? saved : t))
+        : [...goalTemplates, saved]
+      ).sort((a, b) => a.name.localeCompare(b.name));
+      setGoalTemplates(updatedTemplates);
+      await storage.set('goalTemplates', updatedTemplates);
+
+      // Edited steps are written again to everyone following the template (the server does the same)
+      if (previous) {
+        const updatedAssignments = goalAssignments.map(a =>
+          a.templateId === saved.id ? { ...a, appliedWeek: null } : a
+        );
+        setGoalAssignments(updatedAssignments);
+        await storage.set('goalAssignments', updatedAssignments);
       }
-      
-      showToast('Appointment logged successfully', 'success');
+
+      showToast(previous ? 'Goal template updated' : 'Goal template added', 'success');
       return true;
     } catch (error) {
-      console.error('Failed to add appointment:', error);
-      showToast('Failed to add appointment', 'error');
+      console.error('Failed to save goal template:', error);
+      showToast('Failed to save goal template', 'error');
       return false;
     }
-  }, [currentUser, showToast, handleIncrement, appointments]);
-  
-  const deleteAppointment = useCallback(async (apptId) => {
-    if (!window.confirm('Delete this appointment?')) return;
-    
+  }, [currentUser, goalTemplates, goalAssignments, showToast]);
+
+  const deleteGoalTemplate = useCallback(async (templateId) => {
+    if (currentUser?.role !== 'manager') {
+      showToast('Only managers can change goal templates', 'error');
+      return false;
+    }
+
     try {
-      // Delete from Supabase
-      if (navigator.onLine && isSupabaseConfigured && !apptId.startsWith('temp_')) {
+      if (navigator.onLine && isSupabaseConfigured) {
         const { error } = await supabase
-          .from('appointments')
+          .from('goal_templates')
           .delete()
-          .eq('id', apptId);
-        
+          .eq('id', templateId);
+
         if (error) throw error;
-      } else if (isSupabaseConfigured && !apptId.startsWith('temp_')) {
-        // Queue for sync if offline
+      } else if (isSupabaseConfigured) {
         await queueSyncOperation({
           type: 'delete',
-          table: 'appointments',
-          id: apptId,
+          table: 'goal_templates',
+          id: templateId,
         });
       }
-      
-      const updatedAppointments = appointments.filter(a => a.id !== apptId);
-      setAppointments(updatedAppointments);
-      await storage.set('appointments', updatedAppointments);
-      showToast('Appointment deleted', 'success');
+
+      // Assignments go with the template; users keep the goals they have now
+      const updatedTemplates = goalTemplates.filter(t => t.id !== templateId);
+      const updatedAssignments = goalAssignments.filter(a => a.templateId !== templateId);
+      setGoalTemplates(updatedTemplates);
+      setGoalAssignments(updatedAssignments);
+      await storage.set('goalTemplates', updatedTemplates);
+      await storage.set('goalAssignments', updatedAssignments);
+
+      showToast('Goal template deleted', 'success');
+      return true;
     } catch (error) {
-      console.error('Failed to delete appointment:', error);
-      showToast('Failed to delete appointment', 'error');
+      console.error('Failed to delete goal template:', error);
+      showToast('Failed to delete goal template', 'error');
+      return false;
     }
-  }, [showToast, appointments]);
-  
-  // ========================================
-  // FEED MANAGEMENT
-  // ========================================
-  
-  const addPost = useCallback(async (content) => {
-    const validationError = VALIDATIONS.postContent(content);
-    if (validationError) {
-      showToast(validationError, 'error');
+  }, [currentUser, goalTemplates, goalAssignments, showToast]);
+
+  // Assign a template to many users at once; pass templateId null to unassign
+  const assignGoalTemplate = useCallback(async (templateId, userIds, startsOn = getToday()) => {
+    if (currentUser?.role !== 'manager') {
+      showToast('Only managers can assign goal templates', 'error');
       return false;
     }
-    
+
+    const template = goalTemplates.find(t => t.id === templateId);
+    if (templateId && !template) {
+      showToast('Goal template not found', 'error');
+      return false;
+    }
+    if (!userIds || userIds.length === 0) {
+      showToast('Select at least one user', 'error');
+      return false;
+    }
+    const dateError = VALIDATIONS.date(startsOn);
+    if (!startsOn || dateError) {
+      showToast(dateError || 'Start date is required', 'error');
+      return false;
+    }
+
+    const assignments = templateId
+      ? userIds.map(userId => ({ userId, templateId, startsOn, appliedWeek: null, assignedBy: currentUser.id }))
+      : [];
+    const syncedUserIds = userIds.filter(id => !id.startsWith('temp_'));
+
     try {
-      const sanitizedContent = sanitizeInput(content);
-      let newPost;
-      
-      // Insert into Supabase
-      if (navigator.onLine && isSupabaseConfigured && !currentUser.id.startsWith('temp_')) {
-        const { data, error } = await supabase
-          .from('feed_posts')
-          .insert({
-            user_id: currentUser.id,
-            content: sanitizedContent,
-            type: 'manual',
-          })
-          .select(`
-            *,
-            user:users(name)
-          `)
-          .single();
-        
+      if (navigator.onLine && isSupabaseConfigured && syncedUserIds.length > 0) {
+        const { data, error } = templateId
+          ? await supabase
+            .from('goal_assignments')
+            .upsert(
+              assignments.filter(a => syncedUserIds.includes(a.userId)).map(transformGoalAssignmentToDatabase),
+              { onConflict: 'user_id' }
+            )
+            .select()
+          : await supabase
+            .from('goal_assignments')
+            .delete()
+            .in('user_id', syncedUserIds);
+
         if (error) throw error;
-        
-        newPost = {
-          id: data.id,
-          userId: data.user_id,
-          userName: data.user?.name || currentUser.name,
-          content: data.content,
-          timestamp: new Date(data.created_at).getTime(),
-          likes: [],
-          comments: [],
-          isAuto: false,
-        };
-      } else {
-        // Offline: create with temporary ID
-        const tempId = `temp_${Date.now()}`;
-        newPost = {
-          id: tempId,
-          userId: currentUser.id,
-          userName: currentUser.name,
-          content: sanitizedContent,
-          timestamp: Date.now(),
-          likes: [],
-          comments: [],
-          isAuto: false,
-        };
-        
-        // Queue for sync
-        if (!currentUser.id.startsWith('temp_')) {
-          await queueSyncOperation({
-            type: 'insert',
-            table: 'feed_posts',
-            data: {
-              user_id: currentUser.id,
-              content: sanitizedContent,
-              type: 'manual',
-            },
-          });
+        if (templateId) await rememberServerRows('goal_assignments', data);
+      } else if (isSupabaseConfigured) {
+        for (const userId of syncedUserIds) {
+          const assignment = assignments.find(a => a.userId === userId);
+          await queueSyncOperation(assignment
+            ? {
+              type: 'upsert',
+              table: 'goal_assignments',
+              conflictKey: 'user_id',
+              data: transformGoalAssignmentToDatabase(assignment),
+            }
+            : {
+              type: 'delete',
+              table: 'goal_assignments',
+              conflictKey: 'user_id',
+              id: userId,
+            });
         }
       }
-      
-      const updatedFeed = [newPost, ...feed];
-      setFeed(updatedFeed);
-      await storage.set('feed', updatedFeed);
-      showToast('Post created', 'success');
+
+      const updatedAssignments = [
+        ...goalAssignments.filter(a => !userIds.includes(a.userId)),
+        ...assignments,
+      ];
+      setGoalAssignments(updatedAssignments);
+      await storage.set('goalAssignments', updatedAssignments);
+
+      const who = userIds.length === 1 ? '1 user' : `${userIds.length} users`;
+      showToast(template ? `${template.name} assigned to ${who}` : `Goal template removed from ${who}`, 'success');
       return true;
     } catch (error) {
-      console.error('Failed to add post:', error);
-      showToast('Failed to create post', 'error');
+      console.error('Failed to assign goal template:', error);
+      showToast('Failed to assign goal template', 'error');
       return false;
     }
-  }, [currentUser, showToast, feed]);
-  
-  const toggleLike = useCallback(async (postId) => {
+  }, [currentUser, goalTemplates, goalAssignments, showToast]);
+
+  // Write newly effective template steps to users' goals so ramp-ups advance
+  // on their own. The server does the same in apply_goal_assignments(); offline
+  // the goals change on this device only and the server catches up on the next load.
+  useEffect(() => {
     if (!currentUser) return;
-    
-    const post = feed.find(p => p.id === postId);
-    if (!post) return;
-    
-    const likes = post.likes || [];
-    const hasLiked = likes.includes(currentUser.id);
-    
+    const pending = getPendingAssignments(goalAssignments, goalTemplates);
+    if (pending.length === 0) return;
+
+    const applyPendingSteps = async () => {
+      const updatedUsers = users.map(u => {
+        const match = pending.find(p => p.assignment.userId === u.id);
+        return match ? applyTemplateStep(u, match.step) : u;
+      });
+      const updatedAssignments = goalAssignments.map(a => {
+        const match = pending.find(p => p.assignment.userId === a.userId);
+        return match ? { ...a, appliedWeek: match.step.week } : a;
+      });
+
+      setUsers(updatedUsers);
+      setGoalAssignments(updatedAssignments);
+      await storage.set('users', updatedUsers);
+      await storage.set('goalAssignments', updatedAssignments);
+      const updatedCurrentUser = updatedUsers.find(u => u.id === currentUser.id);
+      if (updatedCurrentUser) setCurrentUser(updatedCurrentUser);
+
+      if (navigator.onLine && isSupabaseConfigured) {
+        const { error } = await supabase.rpc('apply_goal_assignments');
+        if (error) console.error('Failed to apply goal templates:', error);
+      }
+    };
+
+    applyPendingSteps();
+  }, [currentUser, users, goalAssignments, goalTemplates, storeCalendar]);
+  
+  // ========================================
+  // SETTINGS FUNCTIONS
+  // ========================================
+
+  const saveSettings = useCallback(async (newSettings) => {
     try {
-      if (navigator.onLine && !postId.startsWith('temp_') && !currentUser.id.startsWith('temp_')) {
-        if (hasLiked) {
-          // Remove like
-          const { error } = await supabase
-            .from('feed_likes')
-            .delete()
-            .eq('post_id', postId)
-            .eq('user_id', currentUser.id);
-          
-          if (error) throw error;
-        } else {
-          // Add like
-          const { error } = await supabase
-            .from('feed_likes')
-            .upsert({
-              post_id: postId,
-              user_id: currentUser.id,
-            }, {
-              onConflict: 'post_id,user_id',
-            });
-          
-          if (error) throw error;
-        }
-      } else if (!postId.startsWith('temp_') && !currentUser.id.startsWith('temp_')) {
-        // Queue for sync if offline
-        await queueSyncOperation({
-          type: hasLiked ? 'delete' : 'upsert',
-          table: 'feed_likes',
-          id: hasLiked ? postId : undefined,
-          conflictKey: 'post_id,user_id',
-          data: hasLiked ? undefined : {
-            post_id: postId,
-            user_id: currentUser.id,
-          },
+      const updatedSettings = { ...appSettings, ...newSettings };
+      setAppSettings(updatedSettings);
+      await storage.set('appSettings', updatedSettings);
+
+      // Apply AI settings immediately
+      if (newSettings.ai) {
+        configureAI({
+          apiKey: newSettings.ai.apiKey ?? updatedSettings.ai.apiKey,
+          model: newSettings.ai.textModel ?? updatedSettings.ai.textModel,
+          rateLimit: newSettings.ai.rateLimit ?? updatedSettings.ai.rateLimit,
         });
       }
-      
-      // Update local state
-      const updatedFeed = feed.map(p => {
-        if (p.id !== postId) return p;
-        return {
-          ...p,
-          likes: hasLiked 
-            ? likes.filter(id => id !== currentUser.id)
-            : [...likes, currentUser.id],
-        };
-      });
-      
-      setFeed(updatedFeed);
-      await storage.set('feed', updatedFeed);
+
+      // Handle theme mode if included in settings
+      if (newSettings.themeMode) {
+        setThemeMode(newSettings.themeMode);
+        await storage.set('themeMode', newSettings.themeMode);
+      }
+
+      showToast('Settings saved', 'success');
+      return true;
     } catch (error) {
-      console.error('Failed to toggle like:', error);
-    }
-  }, [currentUser, feed]);
-  
-  const addComment = useCallback(async (postId, content) => {
-    const validationError = VALIDATIONS.comment(content);
-    if (validationError) {
-      showToast(validationError, 'error');
+      console.error('Failed to save settings:', error);
+      showToast('Failed to save settings', 'error');
       return false;
     }
+  }, [appSettings, showToast]);
+
+  // ========================================
+  // TRACKING FUNCTIONS (continued)
+  // ========================================
+  
+  const handleDecrement = useCallback(async (category) => {
+    if (!currentUser) return;
     
-    try {
-      const sanitizedContent = sanitizeInput(content);
-      let newComment;
-      
-      // Insert into Supabase
-      if (navigator.onLine && !postId.startsWith('temp_') && !currentUser.id.startsWith('temp_')) {
-        const { data, error } = await supabase
-          .from('feed_comments')
-          .insert({
-            post_id: postId,
-            user_id: currentUser.id,
-            content: sanitizedContent,
-          })
-          .select(`
-            *,
-            user:users(name)
-          `)
-          .single();
-        
-        if (error) throw error;
-        
-        newComment = {
-          id: data.id,
-          userId: data.user_id,
-          userName: data.user?.name || currentUser.name,
-          content: data.content,
-          timestamp: new Date(data.created_at).getTime(),
-        };
-      } else {
-        // Offline: create with temporary ID
-        const tempId = `temp_${Date.now()}`;
-        newComment = {
-          id: tempId,
-          userId: currentUser.id,
-          userName: currentUser.name,
-          content: sanitizedContent,
-          timestamp: Date.now(),
-        };
-        
-        // Queue for sync
-        if (!postId.startsWith('temp_') && !currentUser.id.startsWith('temp_')) {
-          await queueSyncOperation({
-            type: 'insert',
-            table: 'feed_comments',
-            data: {
-              post_id: postId,
-              user_id: currentUser.id,
-              content: sanitizedContent,
-            },
-          });
-        }
+    const today = getToday();
+    const currentCount = dailyLogs[today]?.[currentUser.id]?.[category] || 0;
+    
+    if (currentCount === 0) return;
+    
+    // Confirmation for large decrements
+    if (currentCount > 5) {
+      if (!window.confirm(`Are you sure you want to decrease ${category} from ${currentCount} to ${currentCount - 1}?`)) {
+        return;
       }
-      
-      const updatedFeed = feed.map(post => 
-        post.id === postId 
-          ? { ...post, comments: [...(post.comments || []), newComment] }
-          : post
-      );
-      
-      setFeed(updatedFeed);
-      await storage.set('feed', updatedFeed);
-      return true;
-    } catch (error) {
-      console.error('Failed to add comment:', error);
-      showToast('Failed to add comment', 'error');
-      return false;
     }
-  }, [currentUser, showToast, feed]);
+    
+    await recordActivityEvent(createActivityEvent({ userId: currentUser.id, category, delta: -1, date: today }));
+  }, [currentUser, dailyLogs, recordActivityEvent]);
   
-  const editPost = useCallback(async (postId, newContent) => {
-    const validationError = VALIDATIONS.postContent(newContent);
+  // ========================================
+  // APPOINTMENT MANAGEMENT
+  // ========================================
+  
+  // ========================================
+  // CUSTOMER FUNCTIONS
+  // ========================================
+
+  /**
+   * Add or update a customer
+   * @param {object} customer - App-format customer; without an id it is new
+   * @param {{quiet?: boolean}} options - quiet skips the success toast
+   * @returns {Promise<object|null>} The saved customer, or null if it was not saved
+   */
+  const saveCustomer = useCallback(async (customer, { quiet = false } = {}) => {
+    const previous = customers.find(c => c.id === customer.id);
+    const saved = {
+      ...previous,
+      ...customer,
+      id: customer.id || crypto.randomUUID(),
+      name: sanitizeInput(customer.name || ''),
+      address: sanitizeInput(customer.address || ''),
+      phone: sanitizeInput(customer.phone || ''),
+      email: sanitizeInput(customer.email || ''),
+      notes: sanitizeInput(customer.notes || ''),
+      productInterests: customer.productInterests || [],
+      createdBy: previous?.createdBy || currentUser.id,
+      createdAt: previous?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    const validationError = validateCustomer(saved, customers);
     if (validationError) {
       showToast(validationError, 'error');
-      return false;
+      return null;
     }
 
-    const sanitizedContent = sanitizeInput(newContent);
-
     try {
-      // Update in Supabase
-      if (navigator.onLine && isSupabaseConfigured && !postId.startsWith('temp_')) {
-        const { error } = await supabase
-          .from('feed_posts')
-          .update({ content: sanitizedContent })
-          .eq('id', postId);
+      if (navigator.onLine && isSupabaseConfigured && !currentUser.id.startsWith('temp_')) {
+        const { data, error } = await supabase
+          .from('customers')
+          .upsert(transformCustomerToDatabase(saved), { onConflict: 'id' })
+          .select()
+          .single();
 
         if (error) throw error;
-      } else if (isSupabaseConfigured && !postId.startsWith('temp_')) {
-        // Queue for sync if offline
+        await rememberServerRows('customers', [data]);
+      } else if (isSupabaseConfigured && !currentUser.id.startsWith('temp_')) {
         await queueSyncOperation({
-          type: 'update',
-          table: 'feed_posts',
-          id: postId,
-          data: { content: sanitizedContent },
+          type: 'upsert',
+          table: 'customers',
+          conflictKey: 'id',
+          data: transformCustomerToDatabase(saved),
         });
       }
 
-      // Update local state
-      const updatedFeed = feed.map(post =>
-        post.id === postId
-          ? {
-              ...post,
-              content: sanitizedContent,
-              edited: true,
-              editedAt: Date.now(),
-            }
-          : post
-      );
-
-      setFeed(updatedFeed);
-      await storage.set('feed', updatedFeed);
+      const updatedCustomers = (previous
+        ? customers.map(c => (c.id === saved.id ? saved : c))
+        : [...customers, saved]
+      ).sort((a, b) => a.name.localeCompare(b.name));
+      setCustomers(updatedCustomers);
+      await storage.set('customers', updatedCustomers);
 
-      showToast('Post updated', 'success');
-      return true;
+      if (!quiet) showToast(previous ? 'Customer updated' : 'Customer added', 'success');
+      return saved;
     } catch (error) {
-      console.error('Failed to edit post:', error);
-      showToast('Failed to update post', 'error');
+      console.error('Failed to save customer:', error);
+      // Another device saved the same phone number or email first
+      showToast(error?.code === '23505'
+        ? 'A customer with this phone number or email already exists'
+        : 'Failed to save customer', 'error');
+      return null;
+    }
+  }, [customers, currentUser, showToast]);
+
+  const deleteCustomer = useCallback(async (customerId) => {
+    if (currentUser?.role !== 'manager') {
+      showToast('Only managers can delete customers', 'error');
       return false;
     }
-  }, [showToast, feed]);
-  
-  const deletePost = useCallback(async (postId) => {
-    if (!window.confirm('Delete this post?')) return;
-    
+    if (!window.confirm('Delete this customer? Their appointments are kept.')) return false;
+
     try {
-      // Delete from Supabase (cascade will handle likes and comments)
-      if (navigator.onLine && isSupabaseConfigured && !postId.startsWith('temp_')) {
+      if (navigator.onLine && isSupabaseConfigured) {
         const { error } = await supabase
-          .from('feed_posts')
+          .from('customers')
           .delete()
-          .eq('id', postId);
-        
+          .eq('id', customerId);
+
         if (error) throw error;
-      } else if (isSupabaseConfigured && !postId.startsWith('temp_')) {
-        // Queue for sync if offline
+      } else if (isSupabaseConfigured) {
         await queueSyncOperation({
           type: 'delete',
-          table: 'feed_posts',
-          id: postId,
+          table: 'customers',
+          id: customerId,
         });
       }
-      
-      const updatedFeed = feed.filter(p => p.id !== postId);
-      setFeed(updatedFeed);
-      await storage.set('feed', updatedFeed);
-      showToast('Post deleted', 'success');
+
+      const updatedCustomers = customers.filter(c => c.id !== customerId);
+      setCustomers(updatedCustomers);
+      await storage.set('customers', updatedCustomers);
+
+      // The server unlinks them too (ON DELETE SET NULL)
+      const updatedAppointments = appointments.map(a => (a.customerId === customerId ? { ...a, customerId: null } : a));
+      setAppointments(updatedAppointments);
+      await storage.appointments.save(updatedAppointments);
+
+      showToast('Customer deleted', 'success');
+      return true;
     } catch (error) {
-      console.error('Failed to delete post:', error);
-      showToast('Failed to delete post', 'error');
+      console.error('Failed to delete customer:', error);
+      showToast('Failed to delete customer', 'error');
+      return false;
     }
-  }, [showToast, feed]);
+  }, [currentUser, customers, appointments, showToast]);
 
-  const addReaction = useCallback(async (postId, emoji) => {
-    if (!currentUser || !postId) return;
+  const openCustomer = useCallback((customerId) => {
+    setSelectedCustomerId(customerId);
+    setActiveView('customers');
+  }, []);
 
-    try {
-      const reactionKey = `${postId}_reactions`;
-      const reactions = feedReactions[reactionKey] || {};
-      const userReactions = reactions[currentUser.id] || [];
-      const hasReacted = userReactions.includes(emoji);
+  /**
+   * Add or update a deal in the sales pipeline (src/lib/deals.js). Moving a
+   * deal between stages on the board saves it through here too.
+   * @param {object} deal - App-format deal; without an id it is new
+   * @param {{quiet?: boolean}} options - quiet skips the success toast
+   * @returns {Promise<object|null>} The saved deal, or null if it was not saved
+   */
+  const saveDeal = useCallback(async (deal, { quiet = false } = {}) => {
+    const previous = deals.find(d => d.id === deal.id);
+    if (previous && previous.userId !== currentUser.id && currentUser.role !== 'manager') {
+      showToast('You can only change your own deals', 'error');
+      return null;
+    }
 
-      if (hasReacted) {
-        const updatedUserReactions = userReactions.filter(e => e !== emoji);
-        const updatedReactions = {
-          ...reactions,
-          [currentUser.id]: updatedUserReactions.length > 0 ? updatedUserReactions : undefined,
-        };
-        if (!updatedUserReactions.length) delete updatedReactions[currentUser.id];
+    const amount = deal.amount === '' || deal.amount == null ? null : Number(deal.amount);
+    const probability = deal.probability === '' || deal.probability == null ? null : Number(deal.probability);
+    const moved = moveDeal({ ...previous, ...deal }, deal.stage || 'lead', getToday());
+    const saved = {
+      ...moved,
+      id: deal.id || crypto.randomUUID(),
+      userId: previous?.userId || deal.userId || currentUser.id,
+      customerName: sanitizeInput(deal.customerName || ''),
+      amount,
+      probability,
+      products: deal.products || [],
+      lostReason: sanitizeInput(moved.lostReason || ''),
+      notes: sanitizeInput(deal.notes || ''),
+      createdAt: previous?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
 
-        setFeedReactions(prev => ({
-          ...prev,
-          [reactionKey]: updatedReactions,
-        }));
-      } else {
-        setFeedReactions(prev => ({
-          ...prev,
-          [reactionKey]: {
-            ...reactions,
-            [currentUser.id]: [...userReactions, emoji],
-          },
-        }));
-      }
+    const validationError = validateDeal(saved);
+    if (validationError) {
+      showToast(validationError, 'error');
+      return null;
+    }
 
-      if (navigator.onLine && isSupabaseConfigured && !postId.startsWith('temp_')) {
+    try {
+      if (navigator.onLine && isSupabaseConfigured && !currentUser.id.startsWith('temp_')) {
+        const { data, error } = await supabase
+          .from('deals')
+          .upsert(transformDealToDatabase(saved), { onConflict: 'id' })
+          .select()
+          .single();
+
+        if (error) throw error;
+        await rememberServerRows('deals', [data]);
+      } else if (isSupabaseConfigured && !currentUser.id.startsWith('temp_')) {
         await queueSyncOperation({
-          type: hasReacted ? 'delete' : 'upsert',
-          table: 'feed_reactions',
-          data: {
-            post_id: postId,
-            user_id: currentUser.id,
-            emoji,
-          },
+          type: 'upsert',
+          table: 'deals',
+          conflictKey: 'id',
+          data: transformDealToDatabase(saved),
         });
       }
-    } catch (error) {
-      console.error('Failed to add reaction:', error);
-    }
-  }, [currentUser, feedReactions]);
-
-  const togglePinPost = useCallback(async (postId) => {
-    if (!currentUser || currentUser.role !== 'manager') return;
-
-    try {
-      const isPinned = pinnedPosts[postId];
 
-      if (isPinned) {
-        const updated = { ...pinnedPosts };
-        delete updated[postId];
-        setPinnedPosts(updated);
-      } else {
-        const pinnedCount = Object.values(pinnedPosts).filter(Boolean).length;
-        if (pinnedCount < 3) {
-          setPinnedPosts(prev => ({ ...prev, [postId]: true }));
-        } else {
-          showToast('Maximum 3 pinned posts allowed', 'warning');
-          return;
+      const updatedDeals = (previous
+        ? deals.map(d => (d.id === saved.id ? saved : d))
+        : [saved, ...deals]
+      ).sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+      setDeals(updatedDeals);
+      await storage.set('deals', updatedDeals);
+
+      // The server counts a sold deal as a sale (029_deals.sql); match it here
+      const saleDelta = (saved.stage === 'sold' ? 1 : 0) - (previous?.stage === 'sold' ? 1 : 0);
+      if (saleDelta !== 0) {
+        const updatedUsers = users.map(u =>
+          u.id === saved.userId ? { ...u, totalSales: Math.max(0, (u.totalSales || 0) + saleDelta) } : u
+        );
+        setUsers(updatedUsers);
+        await storage.set('users', updatedUsers);
+        if (currentUser.id === saved.userId) {
+          setCurrentUser(updatedUsers.find(u => u.id === currentUser.id));
         }
       }
 
-      if (navigator.onLine && isSupabaseConfigured) {
-        await queueSyncOperation({
-          type: 'update',
-          table: 'feed_posts',
-          id: postId,
-          data: { is_pinned: !isPinned },
-        });
+      if (!quiet) {
+        if (saleDelta > 0) {
+          showToast('Deal sold! 🎉', 'success');
+        } else {
+          showToast(previous ? 'Deal updated' : 'Deal added', 'success');
+        }
       }
+      return saved;
     } catch (error) {
-      console.error('Failed to toggle pin:', error);
+      console.error('Failed to save deal:', error);
+      showToast('Failed to save deal', 'error');
+      return null;
     }
-  }, [currentUser, pinnedPosts, showToast]);
+  }, [deals, users, currentUser, showToast]);
 
-  const updateFeedFilters = useCallback((newFilters) => {
-    setFeedFilters(prev => ({ ...prev, ...newFilters }));
-  }, []);
+  const deleteDeal = useCallback(async (dealId) => {
+    const deal = deals.find(d => d.id === dealId);
+    if (!deal) return false;
+    if (deal.userId !== currentUser.id && currentUser.role !== 'manager') {
+      showToast('You can only delete your own deals', 'error');
+      return false;
+    }
+    if (!window.confirm('Delete this deal? Its appointments are kept.')) return false;
 
-  const markPostsAsRead = useCallback(() => {
-    setUnreadPosts(new Set());
-  }, []);
+    try {
+      if (navigator.onLine && isSupabaseConfigured) {
+        const { error } = await supabase
+          .from('deals')
+          .delete()
+          .eq('id', dealId);
 
-  const getFilteredAndSortedFeed = useCallback(() => {
-    let filtered = feed.filter(post => {
-      if (feedFilters.type !== 'all' && post.type !== feedFilters.type) return false;
-      if (feedFilters.userId && post.userId !== feedFilters.userId) return false;
-      if (feedFilters.showOnlyMine && post.userId !== currentUser?.id) return false;
-      if (feedFilters.showOnlyLiked && !(post.likes || []).includes(currentUser?.id)) return false;
-      if (feedFilters.search) {
-        const searchLower = feedFilters.search.toLowerCase();
-        return post.content.toLowerCase().includes(searchLower) ||
-               post.userName.toLowerCase().includes(searchLower);
+        if (error) throw error;
+      } else if (isSupabaseConfigured) {
+        await queueSyncOperation({
+          type: 'delete',
+          table: 'deals',
+          id: dealId,
+        });
       }
-      return true;
-    });
 
-    const pinned = filtered.filter(p => pinnedPosts[p.id]);
-    const unpinned = filtered.filter(p => !pinnedPosts[p.id]);
+      const updatedDeals = deals.filter(d => d.id !== dealId);
+      setDeals(updatedDeals);
+      await storage.set('deals', updatedDeals);
 
-    unpinned.sort((a, b) => {
-      switch (feedFilters.sortBy) {
-        case 'popular':
-          return (b.likes?.length || 0) - (a.likes?.length || 0);
-        case 'commented':
-          return (b.comments?.length || 0) - (a.comments?.length || 0);
-        case 'trending':
-          const scoreB = ((b.likes?.length || 0) * 1.5) + (b.comments?.length || 0);
-          const scoreA = ((a.likes?.length || 0) * 1.5) + (a.comments?.length || 0);
-          if (scoreB !== scoreA) return scoreB - scoreA;
-          return b.timestamp - a.timestamp;
-        case 'recent':
-        default:
-          return b.timestamp - a.timestamp;
-      }
-    });
+      // The server unlinks them too (ON DELETE SET NULL)
+      const updatedAppointments = appointments.map(a => (a.dealId === dealId ? { ...a, dealId: null } : a));
+      setAppointments(updatedAppointments);
+      await storage.appointments.save(updatedAppointments);
 
-    return [...pinned, ...unpinned];
-  }, [feed, feedFilters, currentUser, pinnedPosts]);
+      showToast('Deal deleted', 'success');
+      return true;
+    } catch (error) {
+      console.error('Failed to delete deal:', error);
+      showToast('Failed to delete deal', 'error');
+      return false;
+    }
+  }, [currentUser, deals, appointments, showToast]);
 
-  // ========================================
-  // CALCULATED DATA
-  // ========================================
-  
-  const todayStats = useMemo(() => {
-    if (!currentUser) return { reviews: 0, demos: 0, callbacks: 0 };
-    const today = getToday();
-    return dailyLogs[today]?.[currentUser.id] || { reviews: 0, demos: 0, callbacks: 0 };
-  }, [currentUser, dailyLogs]);
-  
-  const weekStats = useMemo(() => {
-    if (!currentUser) return { reviews: 0, demos: 0, callbacks: 0 };
-    
-    const stats = { reviews: 0, demos: 0, callbacks: 0 };
-    const weekStart = getWeekStart();
-    
-    Object.entries(dailyLogs).forEach(([date, users]) => {
-      if (date >= weekStart && users[currentUser.id]) {
-        stats.reviews += users[currentUser.id].reviews || 0;
-        stats.demos += users[currentUser.id].demos || 0;
-        stats.callbacks += users[currentUser.id].callbacks || 0;
-      }
-    });
+  const addAppointment = useCallback(async (appointmentData) => {
+    const validationError = VALIDATIONS.customerName(appointmentData.customerName);
+    if (validationError) {
+      showToast(validationError, 'error');
+      return false;
+    }
     
-    return stats;
-  }, [currentUser, dailyLogs]);
-  
-  const leaderboard = useMemo(() => {
-    const weekStart = getWeekStart();
+    const dateError = VALIDATIONS.date(appointmentData.date);
+    if (dateError) {
+      showToast(dateError, 'error');
+      return false;
+    }
     
-    const scores = users.map(user => {
-      let total = 0;
-      
-      Object.entries(dailyLogs).forEach(([date, usersData]) => {
-        if (date >= weekStart && usersData[user.id]) {
-          total += (usersData[user.id].reviews || 0);
-          total += (usersData[user.id].demos || 0);
-          total += (usersData[user.id].callbacks || 0);
-        }
-      });
-      
-      return { ...user, weeklyTotal: total };
-    });
+    const notesError = VALIDATIONS.notes(appointmentData.notes);
+    if (notesError) {
+      showToast(notesError, 'error');
+      return false;
+    }
     
-    return scores.sort((a, b) => b.weeklyTotal - a.weeklyTotal);
-  }, [users, dailyLogs]);
-  
-  // ========================================
-  // EXPORT FUNCTIONALITY
-  // ========================================
-  
-  const exportData = useCallback(() => {
+    // New customers are saved first, so the appointment can link to them
+    let customer = customers.find(c => c.id === appointmentData.customerId);
+    if (!customer) {
+      customer = await saveCustomer({
+        name: appointmentData.customerName,
+        ...appointmentData.newCustomer,
+        productInterests: appointmentData.products || [],
+      }, { quiet: true });
+      if (!customer) return false;
+    }
+
+    // Demos belong to the customer's open deal; a new one starts it
+    let deal = findOpenDeal(deals, customer.id);
+    if (!deal) {
+      deal = await saveDeal({
+        customerId: customer.id,
+        customerName: customer.name,
+        stage: 'demo_scheduled',
+        products: appointmentData.products || [],
+      }, { quiet: true });
+      if (!deal) return false;
+    }
+
     try {
-      const data = {
-        users,
-        dailyLogs,
-        appointments,
-        feed,
-        exportDate: new Date().toISOString(),
-        version: '1.0',
+      // Ensure date is in YYYY-MM-DD format to avoid timezone issues
+      let appointmentDate = appointmentData.date || getToday();
+      // Parse and reformat to ensure consistent date handling
+      const dateObj = new Date(appointmentDate + 'T12:00:00'); // Use noon to avoid timezone shifts
+      appointmentDate = `${dateObj.getFullYear()}-${String(dateObj.getMonth() + 1).padStart(2, '0')}-${String(dateObj.getDate()).padStart(2, '0')}`;
+      const appointmentDataForDB = {
+        id: crypto.randomUUID(),
+        user_id: currentUser.id,
+        customer_id: customer.id,
+        deal_id: deal.id,
+        customer_name: customer.name,
+        products: appointmentData.products || [],
+        notes: sanitizeInput(appointmentData.notes || ''),
+        date: appointmentDate,
+        time: appointmentData.time || null,
+        counts_as_demo: appointmentData.countsAsDemo !== false,
+        status: appointmentData.status || 'scheduled',
+        duration: appointmentData.duration || 60,
       };
       
-      const blob = new Blob([JSON.stringify(data, null, 2)], {
-        type: 'application/json',
-      });
+      let newAppt;
       
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `window-depot-backup-${Date.now()}.json`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
+      // Insert into Supabase
+      if (navigator.onLine && isSupabaseConfigured && !currentUser.id.startsWith('temp_')) {
+        const { data, error } = await supabase
+          .from('appointments')
+          .insert(appointmentDataForDB)
+          .select()
+          .single();
+        
+        if (error) throw error;
+        await rememberServerRows('appointments', [data]);
+        
+        newAppt = {
+          ...transformAppointment(data),
+          userName: currentUser.name,
+        };
+      } else {
+        // Offline or local-only: the same id is used once the insert syncs
+        newAppt = {
+          id: appointmentDataForDB.id,
+          userId: currentUser.id,
+          userName: currentUser.name,
+          customerId: customer.id,
+          dealId: deal.id,
+          customerName: customer.name,
+          products: appointmentData.products || [],
+          notes: sanitizeInput(appointmentData.notes || ''),
+          date: appointmentDate,
+          time: appointmentData.time,
+          timestamp: Date.now(),
+          countsAsDemo: appointmentData.countsAsDemo !== false,
+          status: appointmentDataForDB.status,
+          duration: appointmentDataForDB.duration,
+          outcome: null,
+          rescheduleHistory: [],
+        };
+        
+        // Queue for sync
+        if (!currentUser.id.startsWith('temp_')) {
+          await queueSyncOperation({
+            type: 'insert',
+            table: 'appointments',
+            data: appointmentDataForDB,
+          });
+        }
+      }
       
-      showToast('Data exported successfully', 'success');
+      const updatedAppointments = [newAppt, ...appointments];
+      setAppointments(updatedAppointments);
+      await storage.appointments.save(updatedAppointments);
+
+      // The server moves a lead on once its demo is booked (029_deals.sql)
+      if (deal.stage === 'lead') {
+        const updatedDeals = deals.map(d => (d.id === deal.id ? { ...d, stage: 'demo_scheduled' } : d));
+        setDeals(updatedDeals);
+        await storage.set('deals', updatedDeals);
+      }
+      
+      // If counts as demo, increment demo count
+      if (newAppt.countsAsDemo) {
+        await handleIncrement('demos');
+      }
+      
+      showToast('Appointment logged successfully', 'success');
+      return true;
     } catch (error) {
-      showToast('Failed to export data', 'error');
+      console.error('Failed to add appointment:', error);
+      showToast('Failed to add appointment', 'error');
+      return false;
     }
-  }, [users, dailyLogs, appointments, feed, showToast]);
-  
-  // ========================================
-  // RENDER: LOADING STATE
-  // ========================================
+  }, [currentUser, showToast, handleIncrement, appointments, customers, saveCustomer, deals, saveDeal]);
   
-  if (isLoading) {
-    return (
-      <div style={{
-        display: 'flex',
-        alignItems: 'center',
-        justifyContent: 'center',
-        minHeight: '100vh',
-        background: currentTheme.secondary,
-        fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
-      }}>
-        <div style={{ textAlign: 'center' }}>
-          <div style={{
-            width: '60px',
-            height: '60px',
-            border: `4px solid ${currentTheme.accent}`,
-            borderTop: `4px solid ${currentTheme.primary}`,
-            borderRadius: '50%',
-            margin: '0 auto 20px',
-            animation: 'spin 1s linear infinite',
-          }} />
-          <style>{`
-            @keyframes spin {
-              0% { transform: rotate(0deg); }
-              100% { transform: rotate(360deg); }
-            }
-          `}</style>
-          <div style={{ color: currentTheme.text, fontSize: '18px', fontWeight: '600' }}>
-            Loading Window Depot Tracker...
-          </div>
-        </div>
-      </div>
-    );
-  }
-  
-  // ========================================
-  // RENDER: USER SELECTION
-  // ========================================
-  
-  if (!currentUser) {
-    return <UserSelection
-      users={users}
-      onSelectUser={setCurrentUser}
-      onCreateUser={createUser}
-      rememberUser={rememberUser}
-      onRememberChange={setRememberUser}
-      theme={currentTheme}
-    />;
-  }
+  /**
+   * Move an appointment through its lifecycle: status, outcome, follow-up,
+   * cancellation or a new date and time (src/lib/appointments.js). The
+   * server counts sales (027_appointment_lifecycle.sql), moves the
+   * appointment's deal (029_deals.sql) and creates its follow-up task
+   * (030_tasks.sql); all three are updated here too so the change shows
+   * straight away.
+   */
+  const updateAppointment = useCallback(async (apptId, changes) => {
+    const appointment = appointments.find(a => a.id === apptId);
+    if (!appointment) return false;
+    if (isSupabaseConfigured && apptId.startsWith('temp_')) {
+      showToast('This appointment has not synced yet; try again once it has', 'warning');
+      return false;
+    }
 
-  // ========================================
-  // RENDER: ONBOARDING FLOW
-  // ========================================
+    const validationError = validateAppointmentChanges(appointment, changes);
+    if (validationError) {
+      showToast(validationError, 'error');
+      return false;
+    }
 
-  if (showOnboarding) {
-    return (
-      <OnboardingFlow
-        onComplete={() => {
-          setShowOnboarding(false);
-          accessibilityAnnouncer.announce('Onboarding completed. Welcome to Goal Tracker!', false);
-        }}
-        theme={currentTheme}
-      />
+    const { appointment: updated, data: updateData, rescheduled, saleDelta } = applyAppointmentChanges(
+      appointment,
+      {
+        ...changes,
+        cancellationReason: changes.cancellationReason !== undefined ? sanitizeInput(changes.cancellationReason) : undefined,
+        rescheduleReason: changes.rescheduleReason !== undefined ? sanitizeInput(changes.rescheduleReason) : undefined,
+        customerName: changes.customerName !== undefined ? sanitizeInput(changes.customerName) : undefined,
+      },
+      currentUser
     );
-  }
 
-  // ========================================
-  // RENDER: MAIN APP
-  // ========================================
+    try {
+      if (navigator.onLine && isSupabaseConfigured) {
+        const { data, error } = await supabase
+          .from('appointments')
+          .update(updateData)
+          .eq('id', apptId)
+          .select()
+          .single();
 
-  return (
-    <>
-      {/* Global Responsive Styles */}
-      <style>{`
-        /* Prevent horizontal overflow */
-        html, body, #root {
-          width: 100%;
-          max-width: 100vw;
-          overflow-x: hidden;
-          box-sizing: border-box;
+        if (error) throw error;
+        await rememberServerRows('appointments', [data]);
+        emitAppointmentUpdated(data, currentUser.id);
+      } else if (isSupabaseConfigured) {
+        // Queue for sync if offline; the event is sent once the edit syncs
+        await queueSyncOperation({
+          type: 'update',
+          table: 'appointments',
+          id: apptId,
+          data: updateData,
+          event: {
+            type: WEBHOOK_EVENTS.APPOINTMENT_UPDATED,
+            payload: getAppointmentUpdatedPayload({
+              id: apptId,
+              user_id: appointment.userId,
+              customer_name: appointment.customerName,
+              ...updateData,
+            }),
+            userId: currentUser.id,
+          },
+        });
+      }
+
+      const updatedAppointments = appointments.map(a => (a.id === apptId ? updated : a));
+      setAppointments(updatedAppointments);
+      await storage.appointments.save(updatedAppointments);
+
+      const updatedTasks = applyAppointmentToTasks(tasks, updated);
+      if (updatedTasks !== tasks) {
+        setTasks(updatedTasks);
+        await storage.set('tasks', updatedTasks);
+      }
+
+      // A sale on a deal's appointment counts through the deal instead
+      let salesChange = saleDelta;
+      const deal = deals.find(d => d.id === appointment.dealId);
+      if (deal) {
+        const stage = getDealStageForOutcome(deal.stage, updated.outcome, appointment.outcome);
+        const amount = updated.outcome === 'sale' && updated.saleAmount != null ? updated.saleAmount : deal.amount;
+        salesChange = (stage === 'sold' ? 1 : 0) - (deal.stage === 'sold' ? 1 : 0);
+        if (stage !== deal.stage || amount !== deal.amount) {
+          const movedDeal = {
+            ...(stage !== deal.stage ? moveDeal(deal, stage, updated.date) : deal),
+            amount,
+            updatedAt: new Date().toISOString(),
+          };
+          const updatedDeals = deals.map(d => (d.id === deal.id ? movedDeal : d));
+          setDeals(updatedDeals);
+          await storage.set('deals', updatedDeals);
         }
-        
-        * {
-          box-sizing: border-box;
+      }
+
+      if (salesChange !== 0) {
+        const updatedUsers = users.map(u =>
+          u.id === appointment.userId ? { ...u, totalSales: Math.max(0, (u.totalSales || 0) + salesChange) } : u
+        );
+        setUsers(updatedUsers);
+        await storage.set('users', updatedUsers);
+        if (currentUser.id === appointment.userId) {
+          setCurrentUser(updatedUsers.find(u => u.id === currentUser.id));
         }
+      }
+
+      if (saleDelta > 0 || salesChange > 0) {
+        showToast('Sale recorded! 🎉', 'success');
+      } else {
+        showToast(rescheduled ? 'Appointment rescheduled' : 'Appointment updated', 'success');
+      }
+      return true;
+    } catch (error) {
+      console.error('Failed to update appointment:', error);
+      showToast('Failed to update appointment', 'error');
+      return false;
+    }
+  }, [appointments, deals, tasks, users, currentUser, showToast]);
+
+  const deleteAppointment = useCallback(async (apptId) => {
+    if (!window.confirm('Delete this appointment?')) return;
+    
+    try {
+      // Delete from Supabase
+      if (navigator.onLine && isSupabaseConfigured && !apptId.startsWith('temp_')) {
+        const { error } = await supabase
+          .from('appointments')
+          .delete()
+          .eq('id', apptId);
         
-        /* Responsive font sizes */
-        @media (max-width: 480px) {
-          h1 { font-size: clamp(20px, 6vw, 28px) !important; }
-          h2 { font-size: clamp(18px, 5vw, 24px) !important; }
-          h3 { font-size: clamp(16px, 4vw, 20px) !important; }
+        if (error) throw error;
+      } else if (isSupabaseConfigured && !apptId.startsWith('temp_')) {
+        // Queue for sync if offline
+        await queueSyncOperation({
+          type: 'delete',
+          table: 'appointments',
+          id: apptId,
+        });
+      }
+      
+      const updatedAppointments = appointments.filter(a => a.id !== apptId);
+      setAppointments(updatedAppointments);
+      await storage.appointments.save(updatedAppointments);
+
+      // The server deletes its tasks too (ON DELETE CASCADE)
+      const updatedTasks = tasks.filter(t => t.appointmentId !== apptId);
+      setTasks(updatedTasks);
+      await storage.set('tasks', updatedTasks);
+
+      showToast('Appointment deleted', 'success');
+    } catch (error) {
+      console.error('Failed to delete appointment:', error);
+      showToast('Failed to delete appointment', 'error');
+    }
+  }, [showToast, appointments, tasks]);
+
+  /**
+   * Complete a follow-up task (src/lib/tasks.js). Completing your own
+   * callback task also counts a callback for today, as tapping the
+   * Dashboard counter would.
+   */
+  const completeTask = useCallback(async (taskId) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task || task.completedAt) return false;
+    // Same test as is_manager(): admins manage tasks too
+    if (task.userId !== currentUser.id && !['manager', 'admin'].includes(currentUser.role)) {
+      showToast('You can only complete your own tasks', 'error');
+      return false;
+    }
+    if (isSupabaseConfigured && taskId.startsWith('temp_')) {
+      showToast('This task has not synced yet; try again once it has', 'warning');
+      return false;
+    }
+
+    const completedAt = new Date().toISOString();
+    try {
+      if (navigator.onLine && isSupabaseConfigured) {
+        // Only an open task is completed, so one finished on another device is not counted twice
+        const { data, error } = await supabase
+          .from('tasks')
+          .update({ completed_at: completedAt })
+          .eq('id', taskId)
+          .is('completed_at', null)
+          .select();
+
+        if (error) throw error;
+        if (data.length === 0) {
+          showToast(`${describeTask(task)} was already completed`, 'warning');
+          return false;
         }
+        await rememberServerRows('tasks', data);
+      } else if (isSupabaseConfigured) {
+        await queueSyncOperation({
+          type: 'update',
+          table: 'tasks',
+          id: taskId,
+          data: { completed_at: completedAt },
+        });
+      }
+
+      const updatedTasks = tasks.map(t => (t.id === taskId ? { ...t, completedAt, updatedAt: completedAt } : t));
+      setTasks(updatedTasks);
+      await storage.set('tasks', updatedTasks);
+
+      const category = TASK_CATEGORY[task.type];
+      const counted = category && task.userId === currentUser.id && activeCategories.some(c => c.id === category);
+      if (counted) {
+        // The server logs the callback when the completion reaches it (030_tasks.sql)
+        await handleIncrement(category, { loggedByServer: true });
+      }
+
+      showToast(counted ? `${describeTask(task)}: done and counted` : `${describeTask(task)}: done`, 'success');
+      return true;
+    } catch (error) {
+      console.error('Failed to complete task:', error);
+      showToast('Failed to complete task', 'error');
+      return false;
+    }
+  }, [tasks, currentUser, activeCategories, handleIncrement, showToast]);
+  
+  // ========================================
+  // FEED MANAGEMENT
+  // ========================================
+  
+  const addPost = useCallback(async (content) => {
+    const validationError = VALIDATIONS.postContent(content);
+    if (validationError) {
+      showToast(validationError, 'error');
+      return false;
+    }
+    
+    try {
+      const sanitizedContent = sanitizeInput(content);
+      let newPost;
+      
+      // Insert into Supabase
+      if (navigator.onLine && isSupabaseConfigured && !currentUser.id.startsWith('temp_')) {
+        const { data, error } = await supabase
+          .from('feed_posts')
+          .insert({
+            user_id: currentUser.id,
+            content: sanitizedContent,
+            type: 'manual',
+          })
+          .select(`
+            *,
+            user:users(name)
+          `)
+          .single();
         
-        /* Fix for charts and wide content */
-        @media (max-width: 768px) {
-          .recharts-wrapper,
-          .recharts-surface {
-            max-width: 100% !important;
-            overflow: hidden !important;
-          }
-        }
+        if (error) throw error;
+        await rememberServerRows('feed_posts', [data]);
         
-        /* Ensure all fixed elements respect viewport */
-        [style*="position: fixed"] {
-          max-width: 100vw !important;
-        }
+        newPost = {
+          id: data.id,
+          userId: data.user_id,
+          userName: data.user?.name || currentUser.name,
+          content: data.content,
+          timestamp: new Date(data.created_at).getTime(),
+          likes: [],
+          comments: [],
+          isAuto: false,
+        };
+      } else {
+        // Offline: create with temporary ID
+        const tempId = `temp_${Date.now()}`;
+        newPost = {
+          id: tempId,
+          userId: currentUser.id,
+          userName: currentUser.name,
+          content: sanitizedContent,
+          timestamp: Date.now(),
+          likes: [],
+          comments: [],
+          isAuto: false,
+        };
         
-        /* Responsive tables and grids */
-        @media (max-width: 768px) {
-          table {
-            display: block;
-            overflow-x: auto;
-            -webkit-overflow-scrolling: touch;
-          }
-        }
-      `}</style>
-      <div style={{
-        minHeight: '100vh',
-        background: currentTheme.gradients.background,
-        fontFamily: 'var(--font-body)',
-        paddingBottom: 'clamp(70px, 12vw, 80px)',
-        width: '100%',
-        maxWidth: '100vw',
-        overflowX: 'hidden',
-        boxSizing: 'border-box',
-        id: 'main-content',
-      }}>
-      {/* Offline Banner */}
-      {!isOnline && (
-        <div style={{
-          background: currentTheme.warning,
-          color: currentTheme.text,
-          padding: '12px',
-          textAlign: 'center',
-          fontWeight: '600',
-          display: 'flex',
-          alignItems: 'center',
-          justifyContent: 'center',
-          gap: '8px',
-        }}>
-          <WifiOff size={20} />
-          You're offline. Changes may not save.
-        </div>
-      )}
+        // Queue for sync
+        if (!currentUser.id.startsWith('temp_')) {
+          await queueSyncOperation({
+            type: 'insert',
+            table: 'feed_posts',
+            data: {
+              user_id: currentUser.id,
+              content: sanitizedContent,
+              type: 'manual',
+            },
+          });
+        }
+      }
       
-      {/* Toast Notification */}
-      {toast && (
-        <div style={{
-          position: 'fixed',
-          top: 'clamp(12px, 3vh, 20px)',
-          right: 'clamp(12px, 3vw, 20px)',
-          left: 'clamp(12px, 3vw, auto)',
-          zIndex: 10000,
-          background: toast.type === 'success' ? currentTheme.success :
-                     toast.type === 'error' ? currentTheme.danger :
-                     toast.type === 'warning' ? currentTheme.warning :
-                     currentTheme.primary,
-          color: currentTheme.white,
-          padding: 'clamp(12px, 3vw, 16px) clamp(16px, 4vw, 24px)',
-          borderRadius: '8px',
-          boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
-          maxWidth: 'calc(100vw - 24px)',
-          width: 'auto',
-          animation: 'slideIn 0.3s ease-out',
-          boxSizing: 'border-box',
-        }}>
-          <style>{`
-            @keyframes slideIn {
-              from {
-                transform: translateX(100%);
-                opacity: 0;
-              }
-              to {
-                transform: translateX(0);
-                opacity: 1;
-              }
-            }
-          `}</style>
-          {toast.message}
-        </div>
-      )}
+      const updatedFeed = [newPost, ...feed];
+      setFeed(updatedFeed);
+      await storage.feed.save(updatedFeed);
+      showToast('Post created', 'success');
+      return true;
+    } catch (error) {
+      console.error('Failed to add post:', error);
+      showToast('Failed to create post', 'error');
+      return false;
+    }
+  }, [currentUser, showToast, feed]);
+  
+  const toggleLike = useCallback(async (postId) => {
+    if (!currentUser) return;
+    
+    const post = feed.find(p => p.id === postId);
+    if (!post) return;
+    
+    const likes = post.likes || [];
+    const hasLiked = likes.includes(currentUser.id);
+    
+    try {
+      if (navigator.onLine && !postId.startsWith('temp_') && !currentUser.id.startsWith('temp_')) {
+        if (hasLiked) {
+          // Remove like
+          const { error } = await supabase
+            .from('feed_likes')
+            .delete()
+            .eq('post_id', postId)
+            .eq('user_id', currentUser.id);
+          
+          if (error) throw error;
+        } else {
+          // Add like
+          const { error } = await supabase
+            .from('feed_likes')
+            .upsert({
+              post_id: postId,
+              user_id: currentUser.id,
+            }, {
+              onConflict: 'post_id,user_id',
+            });
+          
+          if (error) throw error;
+        }
+      } else if (!postId.startsWith('temp_') && !currentUser.id.startsWith('temp_')) {
+        // Queue for sync if offline
+        await queueSyncOperation({
+          type: hasLiked ? 'delete' : 'upsert',
+          table: 'feed_likes',
+          id: hasLiked ? postId : undefined,
+          conflictKey: 'post_id,user_id',
+          data: hasLiked ? undefined : {
+            post_id: postId,
+            user_id: currentUser.id,
+          },
+        });
+      }
       
-      {/* Celebration Animation */}
-      {showCelebration && (
-        <div style={{
-          position: 'fixed',
-          top: 0,
-          left: 0,
-          right: 0,
-          bottom: 0,
-          zIndex: 9999,
-          display: 'flex',
-          alignItems: 'center',
-          justifyContent: 'center',
-          background: 'rgba(0,0,0,0.5)',
-          animation: 'fadeIn 0.3s ease-out',
-        }}>
-          <div style={{
-            background: currentTheme.white,
-            padding: '40px',
-            borderRadius: '20px',
-            textAlign: 'center',
-            animation: 'scaleIn 0.3s ease-out',
-          }}>
-            <div style={{ fontSize: '80px', marginBottom: '20px' }}>🎉</div>
-            <div style={{ fontSize: '24px', fontWeight: 'bold', color: currentTheme.primary }}>
-              Goal Complete!
-            </div>
-          </div>
-          <style>{`
-            @keyframes fadeIn {
-              from { opacity: 0; }
-              to { opacity: 1; }
-            }
-            @keyframes scaleIn {
-              from { transform: scale(0.5); }
-              to { transform: scale(1); }
-            }
-          `}</style>
-        </div>
-      )}
+      // Update local state
+      const updatedFeed = feed.map(p => {
+        if (p.id !== postId) return p;
+        return {
+          ...p,
+          likes: hasLiked 
+            ? likes.filter(id => id !== currentUser.id)
+            : [...likes, currentUser.id],
+        };
+      });
       
-      {/* Header */}
-      <div style={{
-        background: currentTheme.gradients.primary,
-        color: currentTheme.white,
-        padding: 'clamp(16px, 4vw, 24px) clamp(12px, 3vw, 20px)',
-        boxShadow: currentTheme.shadows.layered,
-        width: '100%',
-        maxWidth: '100vw',
-        boxSizing: 'border-box',
-      }}>
-        <div style={{ 
-          display: 'flex', 
-          justifyContent: 'space-between', 
-          alignItems: 'center', 
-          marginBottom: '8px',
-          flexWrap: 'wrap',
-          gap: '8px',
-        }}>
-          <h1 style={{ 
-            margin: 0, 
-            fontSize: 'clamp(20px, 5vw, 28px)', 
-            fontWeight: '700',
-            fontFamily: 'var(--font-display)',
-            letterSpacing: '-0.5px',
-            lineHeight: '1.2',
-          }}>
-            Window Depot Milwaukee
-          </h1>
-          <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
-            {/* Theme Toggle */}
-            <button
-              onClick={() => {
-                const newMode = themeMode === 'light' ? 'dark' : 'light';
-                setThemeMode(newMode);
-                storage.set('themeMode', newMode);
-              }}
-              style={{
-                width: '44px',
-                height: '44px',
-                borderRadius: '50%',
-                background: 'rgba(255,255,255,0.25)',
-                border: 'none',
-                color: currentTheme.white,
-                cursor: 'pointer',
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                transition: 'all 0.2s ease',
-                fontSize: '20px',
-              }}
-              onMouseEnter={(e) => {
-                e.currentTarget.style.background = 'rgba(255,255,255,0.35)';
-                e.currentTarget.style.transform = 'scale(1.1)';
-              }}
-              onMouseLeave={(e) => {
-                e.currentTarget.style.background = 'rgba(255,255,255,0.25)';
-                e.currentTarget.style.transform = 'scale(1)';
-              }}
-              title={themeMode === 'light' ? 'Switch to Dark Mode' : 'Switch to Light Mode'}
-            >
-              {themeMode === 'light' ? <Moon size={20} /> : <Sun size={20} />}
-            </button>
-            {isOnline ? (
-              <Wifi size={20} style={{ opacity: 0.8 }} />
-            ) : (
-              <WifiOff size={20} />
-            )}
-          </div>
-        </div>
-        <div style={{ 
-          fontSize: '15px', 
-          opacity: 0.95,
-          fontFamily: 'var(--font-body)',
-          fontWeight: '500',
-        }}>
-          Welcome, {currentUser.name}
-        </div>
-        <button
-          onClick={() => {
-            if (window.confirm('Switch user?')) {
-              setCurrentUser(null);
-            }
-          }}
-          style={{
-            marginTop: '8px',
-            padding: '8px 16px',
-            background: 'rgba(255,255,255,0.25)',
-            border: 'none',
-            borderRadius: '8px',
-            color: currentTheme.white,
-            fontSize: '13px',
-            fontWeight: '600',
-            cursor: 'pointer',
-            transition: 'all 0.2s ease',
-            fontFamily: 'var(--font-body)',
-          }}
-          onMouseDown={(e) => {
-            e.currentTarget.style.transform = 'scale(0.95)';
-          }}
-          onMouseUp={(e) => {
-            e.currentTarget.style.transform = 'scale(1)';
-          }}
-        >
-          Switch User
-        </button>
-      </div>
+      setFeed(updatedFeed);
+      await storage.feed.save(updatedFeed);
+    } catch (error) {
+      console.error('Failed to toggle like:', error);
+    }
+  }, [currentUser, feed]);
+  
+  const addComment = useCallback(async (postId, content) => {
+    const validationError = VALIDATIONS.comment(content);
+    if (validationError) {
+      showToast(validationError, 'error');
+      return false;
+    }
+    
+    try {
+      const sanitizedContent = sanitizeInput(content);
+      let newComment;
       
-      {/* Main Content */}
-      <div style={{ 
-        padding: 'clamp(12px, 4vw, 20px)',
-        width: '100%',
-        maxWidth: '100vw',
-        overflowX: 'hidden',
-        boxSizing: 'border-box'
-      }}>
-        {activeView === 'dashboard' && (
-          <div style={{ display: 'grid', gap: '20px' }}>
-            <Dashboard
-              currentUser={currentUser}
-              todayStats={todayStats}
-              weekStats={weekStats}
-              onIncrement={handleIncrement}
-              onDecrement={handleDecrement}
-              dailyLogs={dailyLogs}
-              theme={currentTheme}
-              showToast={showToast}
-              challenges={challenges}
-              userChallenges={userChallenges}
-              onViewChange={setActiveView}
-            />
-            <ActiveUsersList activeUsers={activeUsers} currentUser={currentUser} theme={currentTheme} />
-          </div>
-        )}
+      // Insert into Supabase
+      if (navigator.onLine && !postId.startsWith('temp_') && !currentUser.id.startsWith('temp_')) {
+        const { data, error } = await supabase
+          .from('feed_comments')
+          .insert({
+            post_id: postId,
+            user_id: currentUser.id,
+            content: sanitizedContent,
+          })
+          .select(`
+            *,
+            user:users(name)
+          `)
+          .single();
+        
+        if (error) throw error;
+        
+        newComment = {
+          id: data.id,
+          userId: data.user_id,
+          userName: data.user?.name || currentUser.name,
+          content: data.content,
+          timestamp: new Date(data.created_at).getTime(),
+        };
+      } else {
+        // Offline: create with temporary ID
+        const tempId = `temp_${Date.now()}`;
+        newComment = {
+          id: tempId,
+          userId: currentUser.id,
+          userName: currentUser.name,
+          content: sanitizedContent,
+          timestamp: Date.now(),
+        };
+        
+        // Queue for sync
+        if (!postId.startsWith('temp_') && !currentUser.id.startsWith('temp_')) {
+          await queueSyncOperation({
+            type: 'insert',
+            table: 'feed_comments',
+            data: {
+              post_id: postId,
+              user_id: currentUser.id,
+              content: sanitizedContent,
+            },
+          });
+        }
+      }
+      
+      const updatedFeed = feed.map(post => 
+        post.id === postId 
+          ? { ...post, comments: [...(post.comments || []), newComment] }
+          : post
+      );
+      
+      setFeed(updatedFeed);
+      await storage.feed.save(updatedFeed);
+      return true;
+    } catch (error) {
+      console.error('Failed to add comment:', error);
+      showToast('Failed to add comment', 'error');
+      return false;
+    }
+  }, [currentUser, showToast, feed]);
+  
+  const editPost = useCallback(async (postId, newContent) => {
+    const validationError = VALIDATIONS.postContent(newContent);
+    if (validationError) {
+      showToast(validationError, 'error');
+      return false;
+    }
 
-        {activeView === 'goals' && (
-          <Goals
-            currentUser={currentUser}
-            onUpdateGoals={(goals) => updateUserGoals(currentUser.id, goals)}
-            theme={currentTheme}
-          />
-        )}
+    const sanitizedContent = sanitizeInput(newContent);
 
-        {activeView === 'appointments' && (
-          <Appointments
-            appointments={appointments.filter(a => a.userId === currentUser.id)}
-            onAdd={addAppointment}
-            onDelete={deleteAppointment}
-            theme={currentTheme}
-          />
-        )}
+    try {
+      // Update in Supabase
+      if (navigator.onLine && isSupabaseConfigured && !postId.startsWith('temp_')) {
+        const { data, error } = await supabase
+          .from('feed_posts')
+          .update({ content: sanitizedContent })
+          .eq('id', postId)
+          .select()
+          .single();
 
-        {activeView === 'feed' && (
-          <Feed
-            feed={feed}
-            currentUser={currentUser}
-            onAddPost={addPost}
-            onToggleLike={toggleLike}
-            onAddComment={addComment}
-            onEditPost={editPost}
-            onDeletePost={deletePost}
-            theme={currentTheme}
-            challenges={challenges}
-            userChallenges={userChallenges}
-          />
-        )}
-        
-        {activeView === 'leaderboard' && (
-          <Leaderboard users={users} dailyLogs={dailyLogs} currentUser={currentUser} theme={currentTheme} />
-        )}
+        if (error) throw error;
+        await rememberServerRows('feed_posts', [data]);
+      } else if (isSupabaseConfigured && !postId.startsWith('temp_')) {
+        // Queue for sync if offline
+        await queueSyncOperation({
+          type: 'update',
+          table: 'feed_posts',
+          id: postId,
+          data: { content: sanitizedContent },
+        });
+      }
 
-        {activeView === 'challenges' && (
-          <div style={{
-            background: currentTheme.white,
-            borderRadius: '16px',
-            padding: '20px',
-            boxShadow: currentTheme.shadows.md,
-          }}>
-            <h2 style={{
-              margin: '0 0 16px 0',
-              fontSize: '24px',
-              fontWeight: '700',
-              color: currentTheme.text,
-            }}>
-              Challenges
-            </h2>
-            {challenges && challenges.filter(c => c.isActive !== false).length > 0 ? (
-              <div style={{ display: 'grid', gap: '16px' }}>
-                {challenges.filter(c => c.isActive !== false).map(challenge => {
-                  const userProgress = userChallenges?.find(uc =>
-                    uc.challengeId === challenge.id && uc.userId === currentUser?.id
-                  );
-                  const progress = userProgress?.progress || 0;
-                  const percent = Math.min(100, Math.round((progress / challenge.goalValue) * 100));
+      // Update local state
+      const updatedFeed = feed.map(post =>
+        post.id === postId
+          ? {
+              ...post,
+              content: sanitizedContent,
+              edited: true,
+              editedAt: Date.now(),
+            }
+          : post
+      );
 
-                  return (
-                    <div key={challenge.id} style={{
-                      background: currentTheme.secondary,
-                      borderRadius: '12px',
-                      padding: '16px',
-                    }}>
-                      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
-                        <span style={{ fontWeight: '700', fontSize: '16px', color: currentTheme.text }}>{challenge.title}</span>
-                        <span style={{
-                          fontSize: '14px',
-                          fontWeight: '600',
-                          color: percent >= 100 ? currentTheme.success : currentTheme.textLight
-                        }}>
-                          {progress}/{challenge.goalValue}
-                        </span>
-                      </div>
-                      {challenge.description && (
-                        <p style={{ margin: '0 0 12px 0', fontSize: '14px', color: currentTheme.textLight }}>
-                          {challenge.description}
-                        </p>
-                      )}
-                      <div style={{
-                        height: '10px',
-                        background: currentTheme.white,
-                        borderRadius: '5px',
-                        overflow: 'hidden',
-                      }}>
-                        <div style={{
-                          width: `${percent}%`,
-                          height: '100%',
-                          background: percent >= 100 ? currentTheme.success : currentTheme.gradients.primary,
-                          borderRadius: '5px',
-                          transition: 'width 0.3s ease',
-                        }} />
-                      </div>
-                    </div>
-                  );
-                })}
-              </div>
-            ) : (
-              <p style={{ color: currentTheme.textLight, textAlign: 'center', padding: '40px 0' }}>
-                No active challenges at the moment.
-              </p>
-            )}
-          </div>
-        )}
+      setFeed(updatedFeed);
+      await storage.feed.save(updatedFeed);
 
-        {activeView === 'history' && (
-          <HistoryView
-            currentUser={currentUser}
-            users={users}
-            dailyLogs={dailyLogs}
-            theme={currentTheme}
-          />
-        )}
+      showToast('Post updated', 'success');
+      return true;
+    } catch (error) {
+      console.error('Failed to edit post:', error);
+      showToast('Failed to update post', 'error');
+      return false;
+    }
+  }, [showToast, feed]);
+  
+  const deletePost = useCallback(async (postId) => {
+    if (!window.confirm('Delete this post?')) return;
+    
+    try {
+      // Delete from Supabase (cascade will handle likes and comments)
+      if (navigator.onLine && isSupabaseConfigured && !postId.startsWith('temp_')) {
+        const { error } = await supabase
+          .from('feed_posts')
+          .delete()
+          .eq('id', postId);
+        
+        if (error) throw error;
+      } else if (isSupabaseConfigured && !postId.startsWith('temp_')) {
+        // Queue for sync if offline
+        await queueSyncOperation({
+          type: 'delete',
+          table: 'feed_posts',
+          id: postId,
+        });
+      }
+      
+      const updatedFeed = feed.filter(p => p.id !== postId);
+      setFeed(updatedFeed);
+      await storage.feed.save(updatedFeed);
+      showToast('Post deleted', 'success');
+    } catch (error) {
+      console.error('Failed to delete post:', error);
+      showToast('Failed to delete post', 'error');
+    }
+  }, [showToast, feed]);
 
-        {activeView === 'team' && currentUser.role === 'manager' && (
-          <TeamView users={users} dailyLogs={dailyLogs} theme={currentTheme} />
-        )}
+  const addReaction = useCallback(async (postId, emoji) => {
+    if (!currentUser || !postId) return;
 
-        {activeView === 'admin' && currentUser.role === 'manager' && (
-          <AdminPanel
-            users={users}
-            onCreateUser={createUser}
-            onDeleteUser={deleteUser}
-            onUpdateGoals={updateUserGoals}
-            onExport={exportData}
-            theme={currentTheme}
-          />
-        )}
+    try {
+      const reactionKey = `${postId}_reactions`;
+      const reactions = feedReactions[reactionKey] || {};
+      const userReactions = reactions[currentUser.id] || [];
+      const hasReacted = userReactions.includes(emoji);
 
-        {activeView === 'reports' && currentUser.role === 'manager' && (
-          <Reports
-            users={users}
-            dailyLogs={dailyLogs}
-            appointments={appointments}
-            theme={currentTheme}
-          />
-        )}
+      if (hasReacted) {
+        const updatedUserReactions = userReactions.filter(e => e !== emoji);
+        const updatedReactions = {
+          ...reactions,
+          [currentUser.id]: updatedUserReactions.length > 0 ? updatedUserReactions : undefined,
+        };
+        if (!updatedUserReactions.length) delete updatedReactions[currentUser.id];
 
-        {activeView === 'chatbot' && (
-          <Chatbot
-            currentUser={currentUser}
-            todayStats={todayStats}
-            weekStats={weekStats}
-            onIncrement={handleIncrement}
-            appSettings={appSettings}
-            setAppSettings={setAppSettings}
-            theme={currentTheme}
-            onRefreshData={async () => {
-              try {
-                const [loadedUsers, loadedLogs, loadedAppts, loadedFeed] = await Promise.all([
-                  storage.get('users', []),
-                  storage.get('dailyLogs', {}),
-                  storage.get('appointments', []),
-                  storage.get('feed', []),
-                ]);
-                setUsers(loadedUsers);
-                setDailyLogs(loadedLogs);
-                setAppointments(loadedAppts);
-                setFeed(loadedFeed);
-              } catch (error) {
-                console.error('Failed to refresh data:', error);
-              }
-            }}
-          />
-        )}
+        setFeedReactions(prev => ({
+          ...prev,
+          [reactionKey]: updatedReactions,
+        }));
+      } else {
+        setFeedReactions(prev => ({
+          ...prev,
+          [reactionKey]: {
+            ...reactions,
+            [currentUser.id]: [...userReactions, emoji],
+          },
+        }));
+      }
 
-        {activeView === 'settings' && (
-          <SettingsPage
-            settings={appSettings}
-            onSaveSettings={saveSettings}
-            currentThemeMode={themeMode}
-            theme={currentTheme}
-            currentUser={currentUser}
-            users={users}
-            setUsers={setUsers}
-            dailyLogs={dailyLogs}
-            appointments={appointments}
-            feed={feed}
-            setDailyLogs={setDailyLogs}
-            setAppointments={setAppointments}
-            setFeed={setFeed}
-            setCurrentUser={setCurrentUser}
-            showToast={showToast}
-            isSupabaseConfigured={isSupabaseConfigured}
-            isOnline={isOnline}
-          />
-        )}
-      </div>
-      
-      {/* Bottom Navigation */}
-      <BottomNav
-        activeView={activeView}
-        onViewChange={setActiveView}
-        isManager={currentUser.role === 'manager'}
-        theme={currentTheme}
-      />
-      
-      {/* Debug Logger */}
-      <DebugLogger showDebugButton={appSettings?.appearance?.showDebugButton !== false} />
-    </div>
-    </>
-  );
-}
+      if (navigator.onLine && isSupabaseConfigured && !postId.startsWith('temp_')) {
+        await queueSyncOperation({
+          type: hasReacted ? 'delete' : 'upsert',
+          table: 'feed_reactions',
+          data: {
+            post_id: postId,
+            user_id: currentUser.id,
+            emoji,
+          },
+        });
+      }
+    } catch (error) {
+      console.error('Failed to add reaction:', error);
+    }
+  }, [currentUser, feedReactions]);
 
-// ========================================
-// USER SELECTION COMPONENT
-// ========================================
+  const togglePinPost = useCallback(async (postId) => {
+    if (!currentUser || currentUser.role !== 'manager') return;
 
-function UserSelection({ users, onSelectUser, onCreateUser, rememberUser, onRememberChange, theme }) {
-  const THEME = theme || { /* fallback to light theme if needed */ primary: '#0056A4', secondary: '#F5F7FA', text: '#1A1A2E', textLight: '#6B7280', border: '#E5E7EB', white: '#FFFFFF', accent: '#E8F4FD', success: '#28A745', warning: '#FFC107', danger: '#DC3545', shadows: { md: '0 2px 8px rgba(0, 0, 0, 0.08)' }, gradients: { primary: 'linear-gradient(135deg, #0056A4 0%, #4A90D9 100%)' } };
-  const [mode, setMode] = useState(users.length === 0 ? 'create' : 'select');
-  const [newName, setNewName] = useState('');
-  const [newRole, setNewRole] = useState('employee');
-  
-  const handleCreate = () => {
-    if (onCreateUser(newName, newRole)) {
-      setNewName('');
+    try {
+      const isPinned = pinnedPosts[postId];
+
+      if (isPinned) {
+        const updated = { ...pinnedPosts };
+        delete updated[postId];
+        setPinnedPosts(updated);
+      } else {
+        const pinnedCount = Object.values(pinnedPosts).filter(Boolean).length;
+        if (pinnedCount < 3) {
+          setPinnedPosts(prev => ({ ...prev, [postId]: true }));
+        } else {
+          showToast('Maximum 3 pinned posts allowed', 'warning');
+          return;
+        }
+      }
+
+      if (navigator.onLine && isSupabaseConfigured) {
+        await queueSyncOperation({
+          type: 'update',
+          table: 'feed_posts',
+          id: postId,
+          data: { is_pinned: !isPinned },
+        });
+      }
+    } catch (error) {
+      console.error('Failed to toggle pin:', error);
     }
-  };
-  
-  return (
-    <div style={{
-      minHeight: '100vh',
-      background: THEME.gradients.background,
-      display: 'flex',
-      alignItems: 'center',
-      justifyContent: 'center',
-      padding: 'clamp(12px, 4vw, 20px)',
-      fontFamily: 'var(--font-body)',
-      width: '100%',
-      maxWidth: '100vw',
-      overflowX: 'hidden',
-      boxSizing: 'border-box',
-    }}>
-      <div style={{
-        background: THEME.white,
-        borderRadius: '20px',
-        padding: 'clamp(24px, 6vw, 48px)',
-        maxWidth: 'min(420px, calc(100vw - 24px))',
-        width: '100%',
-        boxShadow: THEME.shadows.xl,
-        border: `1px solid ${THEME.border}`,
-        boxSizing: 'border-box',
-      }}>
-        <div style={{
-          textAlign: 'center',
-          marginBottom: '32px',
-        }}>
-          <div style={{
-            width: 'clamp(70px, 15vw, 90px)',
-            height: 'clamp(70px, 15vw, 90px)',
-            background: THEME.gradients.primary,
-            borderRadius: '50%',
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-            margin: '0 auto 20px',
-            boxShadow: THEME.shadows.layered,
-          }}>
-            <Target size={44} color={THEME.white} />
-          </div>
-          <h1 style={{
-            margin: '0 0 8px 0',
-            fontSize: 'clamp(24px, 6vw, 32px)',
-            fontWeight: '700',
-            color: THEME.text,
-            fontFamily: 'var(--font-display)',
-            letterSpacing: '-0.5px',
-            lineHeight: '1.2',
-          }}>
-            Window Depot
-          </h1>
-          <p style={{
-            margin: 0,
-            fontSize: 'clamp(15px, 4vw, 17px)',
-            color: THEME.textLight,
-            fontFamily: 'var(--font-body)',
-            fontWeight: '500',
-          }}>
-            Goal Tracker
-          </p>
-        </div>
-        
-        {users.length > 0 && (
-          <div style={{
-            display: 'flex',
-            gap: '8px',
-            marginBottom: '24px',
-            background: THEME.secondary,
-            padding: '4px',
-            borderRadius: '8px',
-          }}>
-            <button
-              onClick={() => setMode('select')}
-              style={{
-                flex: 1,
-                padding: '14px',
-                background: mode === 'select' ? THEME.white : 'transparent',
-                border: mode === 'select' ? `2px solid ${THEME.primary}` : 'none',
-                borderRadius: '10px',
-                color: mode === 'select' ? THEME.primary : THEME.textLight,
-                fontWeight: '700',
-                cursor: 'pointer',
-                transition: 'all 0.3s ease',
-                boxShadow: mode === 'select' ? THEME.shadows.md : 'none',
-                fontFamily: 'var(--font-body)',
-              }}
-            >
-              Select User
-            </button>
-            <button
-              onClick={() => setMode('create')}
-              style={{
-                flex: 1,
-                padding: '14px',
-                background: mode === 'create' ? THEME.white : 'transparent',
-                border: mode === 'create' ? `2px solid ${THEME.primary}` : 'none',
-                borderRadius: '10px',
-                color: mode === 'create' ? THEME.primary : THEME.textLight,
-                fontWeight: '700',
-                cursor: 'pointer',
-                transition: 'all 0.3s ease',
-                boxShadow: mode === 'create' ? THEME.shadows.md : 'none',
-                fontFamily: 'var(--font-body)',
-              }}
-            >
-              Create New
-            </button>
-          </div>
-        )}
-        
-        {mode === 'select' ? (
-          <div>
-            <div style={{ marginBottom: '16px' }}>
-              {users.map(user => (
-                <button
-                  key={user.id}
-                  onClick={() => onSelectUser(user)}
-                  style={{
-                    width: '100%',
-                    padding: '20px',
-                    marginBottom: '12px',
-                    background: THEME.white,
-                    border: `2px solid ${THEME.border}`,
-                    borderRadius: '12px',
-                    textAlign: 'left',
-                    cursor: 'pointer',
-                    transition: 'all 0.3s ease',
-                    boxShadow: THEME.shadows.sm,
-                  }}
-                  onMouseEnter={(e) => {
-                    e.currentTarget.style.background = THEME.gradients.cardHover;
-                    e.currentTarget.style.borderColor = THEME.primary;
-                    e.currentTarget.style.boxShadow = THEME.shadows.md;
-                    e.currentTarget.style.transform = 'translateY(-2px)';
-                  }}
-                  onMouseLeave={(e) => {
-                    e.currentTarget.style.background = THEME.white;
-                    e.currentTarget.style.borderColor = THEME.border;
-                    e.currentTarget.style.boxShadow = THEME.shadows.sm;
-                    e.currentTarget.style.transform = 'translateY(0)';
-                  }}
-                >
-                  <div style={{ 
-                    fontWeight: '700', 
-                    color: THEME.text, 
-                    marginBottom: '6px',
-                    fontSize: '18px',
-                    fontFamily: 'var(--font-display)',
-                  }}>
-                    {user.name}
-                  </div>
-                  <div style={{ 
-                    fontSize: '14px', 
-                    color: THEME.textLight,
-                    fontFamily: 'var(--font-body)',
-                  }}>
-                    {user.role === 'manager' ? '👔 Manager' : '👤 Employee'}
-                  </div>
-                </button>
-              ))}
-            </div>
-            
-            <label style={{
-              display: 'flex',
-              alignItems: 'center',
-              gap: '8px',
-              fontSize: '14px',
-              color: THEME.textLight,
-              cursor: 'pointer',
-            }}>
-              <input
-                type="checkbox"
-                checked={rememberUser}
-                onChange={(e) => onRememberChange(e.target.checked)}
-                style={{ cursor: 'pointer' }}
-              />
-              Remember my selection
-            </label>
-          </div>
-        ) : (
-          <div>
-            <div style={{ marginBottom: '16px' }}>
-              <label style={{
-                display: 'block',
-                marginBottom: '8px',
-                fontSize: '14px',
-                fontWeight: '600',
-                color: THEME.text,
-              }}>
-                Your Name
-              </label>
-              <input
-                type="text"
-                value={newName}
-                onChange={(e) => setNewName(e.target.value)}
-                placeholder="Enter your name"
-                maxLength={50}
-                style={{
-                  width: '100%',
-                  padding: '12px',
-                  border: `2px solid ${THEME.border}`,
-                  borderRadius: '8px',
-                  fontSize: '16px',
-                  boxSizing: 'border-box',
-                }}
-                onKeyPress={(e) => e.key === 'Enter' && handleCreate()}
-              />
-            </div>
-            
-            <div style={{ marginBottom: '24px' }}>
-              <label style={{
-                display: 'block',
-                marginBottom: '8px',
-                fontSize: '14px',
-                fontWeight: '600',
-                color: THEME.text,
-              }}>
-                Role
-              </label>
-              <select
-                value={newRole}
-                onChange={(e) => setNewRole(e.target.value)}
-                style={{
-                  width: '100%',
-                  padding: '12px',
-                  border: `2px solid ${THEME.border}`,
-                  borderRadius: '8px',
-                  fontSize: '16px',
-                  boxSizing: 'border-box',
-                  cursor: 'pointer',
-                }}
-              >
-                <option value="employee">Employee</option>
-                <option value="manager">Manager</option>
-              </select>
-            </div>
-            
-            <button
-              onClick={handleCreate}
-              disabled={!newName.trim()}
-              style={{
-                width: '100%',
-                padding: '16px',
-                background: newName.trim() ? THEME.primary : THEME.border,
-                border: 'none',
-                borderRadius: '8px',
-                color: THEME.white,
-                fontSize: '16px',
-                fontWeight: '600',
-                cursor: newName.trim() ? 'pointer' : 'not-allowed',
-                transition: 'all 0.2s',
-              }}
-            >
-              Get Started
-            </button>
-          </div>
-        )}
-      </div>
-    </div>
-  );
-}
-
-// ========================================
-// DASHBOARD COMPONENT
-// ========================================
-
-function Dashboard({ currentUser, todayStats, weekStats, onIncrement, onDecrement, dailyLogs, theme, showToast, challenges, userChallenges, onViewChange }) {
-  const THEME = theme;
-  const [celebratingCategory, setCelebratingCategory] = useState(null);
-  const [undoHistory, setUndoHistory] = useState([]);
-
-  // ========================================
-  // STREAK CALCULATOR
-  // ========================================
-
-  // Helper function to check if two dates are consecutive
-  const isConsecutiveDate = (date1, date2) => {
-    const d1 = new Date(date1);
-    const d2 = new Date(date2);
-    const diffTime = Math.abs(d2 - d1);
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    return diffDays === 1;
-  };
-
-  const calculateStreaks = useMemo(() => {
-    if (!currentUser || !dailyLogs) {
-      return { currentStreak: 0, bestStreak: 0 };
-    }
-
-    // const today = getToday(); // TODO: For future use - planned feature enhancement
-    const dates = Object.keys(dailyLogs).filter(date => dailyLogs[date][currentUser.id]).sort().reverse();
+  }, [currentUser, pinnedPosts, showToast]);
 
-    let currentStreak = 0;
-    let bestStreak = 0;
-    let tempStreak = 0;
+  const updateFeedFilters = useCallback((newFilters) => {
+    setFeedFilters(prev => ({ ...prev, ...newFilters }));
+  }, []);
 
-    // Check consecutive days starting from today
-    for (let i = 0; i < dates.length; i++) {
-      const dateStr = dates[i];
-      const dayLogs = dailyLogs[dateStr]?.[currentUser.id];
+  const markPostsAsRead = useCallback(() => {
+    setUnreadPosts(new Set());
+  }, []);
 
-      if (!dayLogs) continue;
+  const getFilteredAndSortedFeed = useCallback(() => {
+    let filtered = feed.filter(post => {
+      if (feedFilters.type !== 'all' && post.type !== feedFilters.type) return false;
+      if (feedFilters.userId && post.userId !== feedFilters.userId) return false;
+      if (feedFilters.showOnlyMine && post.userId !== currentUser?.id) return false;
+      if (feedFilters.showOnlyLiked && !(post.likes || []).includes(currentUser?.id)) return false;
+      if (feedFilters.search) {
+        const searchLower = feedFilters.search.toLowerCase();
+        return post.content.toLowerCase().includes(searchLower) ||
+               post.userName.toLowerCase().includes(searchLower);
+      }
+      return true;
+    });
 
-      const allGoalsMet =
-        (dayLogs.reviews || 0) >= currentUser.goals.reviews &&
-        (dayLogs.demos || 0) >= currentUser.goals.demos &&
-        (dayLogs.callbacks || 0) >= currentUser.goals.callbacks;
+    const pinned = filtered.filter(p => pinnedPosts[p.id]);
+    const unpinned = filtered.filter(p => !pinnedPosts[p.id]);
 
-      if (allGoalsMet) {
-        tempStreak++;
-        // Check if this is consecutive from today
-        if (i === 0 || isConsecutiveDate(dateStr, dates[i - 1])) {
-          currentStreak = tempStreak;
-        }
-        bestStreak = Math.max(bestStreak, tempStreak);
-      } else {
-        tempStreak = 0;
+    unpinned.sort((a, b) => {
+      switch (feedFilters.sortBy) {
+        case 'popular':
+          return (b.likes?.length || 0) - (a.likes?.length || 0);
+        case 'commented':
+          return (b.comments?.length || 0) - (a.comments?.length || 0);
+        case 'trending':
+          const scoreB = ((b.likes?.length || 0) * 1.5) + (b.comments?.length || 0);
+          const scoreA = ((a.likes?.length || 0) * 1.5) + (a.comments?.length || 0);
+          if (scoreB !== scoreA) return scoreB - scoreA;
+          return b.timestamp - a.timestamp;
+        case 'recent':
+        default:
+          return b.timestamp - a.timestamp;
       }
-    }
+    });
 
-    return { currentStreak, bestStreak };
-  }, [currentUser, dailyLogs]);
+    return [...pinned, ...unpinned];
+  }, [feed, feedFilters, currentUser, pinnedPosts]);
 
   // ========================================
-  // UNDO HISTORY MANAGEMENT
+  // CALCULATED DATA
   // ========================================
-
-  const addToHistory = useCallback((action) => {
-    const timestamp = Date.now();
-    setUndoHistory(prev => {
-      const newHistory = [{ ...action, timestamp }, ...prev];
-      return newHistory.slice(0, 5); // Keep only last 5
+  
+  const todayStats = useMemo(() => {
+    if (!currentUser) return getCategoryCounts({}, categories);
+    const today = getToday();
+    return { ...getCategoryCounts({}, categories), ...dailyLogs[today]?.[currentUser.id] };
+  }, [currentUser, dailyLogs, categories, storeCalendar]);
+  
+  const weekStats = useMemo(() => {
+    const stats = getCategoryCounts({}, categories);
+    if (!currentUser) return stats;
+    
+    const weekStart = getWeekStart();
+    
+    Object.entries(dailyLogs).forEach(([date, users]) => {
+      if (date >= weekStart && users[currentUser.id]) {
+        categories.forEach(category => {
+          stats[category.id] += users[currentUser.id][category.id] || 0;
+        });
+      }
     });
-  }, []);
-
-  const performUndo = useCallback(() => {
-    if (undoHistory.length === 0) return;
-
-    const lastAction = undoHistory[0];
-    const { categoryId, type } = lastAction;
-
-    if (type === 'increment') {
-      onDecrement(categoryId);
-    } else if (type === 'decrement') {
-      onIncrement(categoryId);
-    }
-
-    setUndoHistory(prev => prev.slice(1));
-  }, [undoHistory, onIncrement, onDecrement]);
-
-  // ========================================
-  // PACE INDICATOR
-  // ========================================
-
-  const paceIndicator = useMemo(() => {
+    
+    return stats;
+  }, [currentUser, dailyLogs, categories, storeCalendar]);
+  
+  const leaderboard = useMemo(() => {
     const weekStart = getWeekStart();
-    const today = getToday();
-    const daysInWeek = Math.ceil((new Date(today) - new Date(weekStart)) / (1000 * 60 * 60 * 24)) + 1;
-    const weekProgress = daysInWeek / 7;
-
-    const messages = [];
-
-    CATEGORIES.forEach(category => {
-      const weekCount = weekStats[category.id] || 0;
-      const weekGoal = currentUser.goals[category.id] * 7;
-      const paceGoal = weekGoal * weekProgress;
-
-      if (weekCount >= paceGoal + currentUser.goals[category.id]) {
-        messages.push({ category: category.name, status: 'ahead', text: `Ahead of pace on ${category.name}!` });
-      } else if (weekCount < paceGoal - currentUser.goals[category.id]) {
-        const needed = Math.ceil((weekGoal - weekCount) / (8 - daysInWeek));
-        messages.push({ category: category.name, status: 'behind', text: `Need ${needed} more ${category.name.toLowerCase()}/day` });
-      } else {
-        messages.push({ category: category.name, status: 'on-track', text: `On track with ${category.name}!` });
-      }
+    
+    const scores = users.map(user => {
+      let total = 0;
+      
+      Object.entries(dailyLogs).forEach(([date, usersData]) => {
+        if (date >= weekStart && usersData[user.id]) {
+          total += sumCategoryCounts(usersData[user.id]);
+        }
+      });
+      
+      return { ...user, weeklyTotal: total };
     });
-
-    return messages;
-  }, [currentUser, weekStats]);
-
+    
+    return scores.sort((a, b) => b.weeklyTotal - a.weeklyTotal);
+  }, [users, dailyLogs, storeCalendar]);
+  
   // ========================================
-  // WEEK PROGRESS MINI-CHART DATA
+  // EXPORT FUNCTIONALITY
   // ========================================
+  
+  // Everything a backup holds: app state plus what is only kept in storage
+  const getBackupState = useCallback(async () => {
+    const [rewards, userRewards, systemSettings] = await Promise.all([
+      storage.get('rewards', []),
+      storage.get('userRewards', []),
+      storage.get('systemSettings', {}),
+    ]);
+    return {
+      users,
+      dailyLogs,
+      customers,
+      deals,
+      tasks,
+      appointments,
+      feed,
+      challenges,
+      userChallenges,
+      rewards: rewards || [],
+      userRewards: userRewards || [],
+      dailySnapshots,
+      systemSettings: systemSettings || {},
+      appSettings,
+    };
+  }, [users, dailyLogs, customers, deals, tasks, appointments, feed, challenges, userChallenges, dailySnapshots, appSettings]);
 
-  const last7Days = useMemo(() => {
-    const days = [];
-    for (let i = 6; i >= 0; i--) {
-      const d = new Date();
-      d.setDate(d.getDate() - i);
-      const dateStr = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
-      const dayLogs = dailyLogs[dateStr]?.[currentUser.id];
-      const total = (dayLogs?.reviews || 0) + (dayLogs?.demos || 0) + (dayLogs?.callbacks || 0);
-      days.push({
-        date: dateStr,
-        name: d.toLocaleDateString('en-US', { weekday: 'short' }),
-        total: total,
+  const exportData = useCallback(async () => {
+    try {
+      const data = buildBackup(await getBackupState());
+      const json = JSON.stringify(data, null, 2);
+      
+      const blob = new Blob([json], {
+        type: 'application/json',
       });
+      downloadBlob(blob, `window-depot-backup-${Date.now()}.json`);
+
+      // Record the backup in data_backups (007_audit_log.sql)
+      if (isSupabaseConfigured && currentUser && !currentUser.id.startsWith('temp_')) {
+        await queueSyncOperation({
+          type: 'insert',
+          table: 'data_backups',
+          data: {
+            backup_type: 'full_export',
+            created_by: currentUser.id,
+            created_by_name: currentUser.name,
+            file_size: blob.size,
+            record_counts: countBackupRecords(data),
+            notes: `Backup version ${data.version}`,
+          },
+        });
+      }
+      
+      showToast('Data exported successfully', 'success');
+    } catch (error) {
+      console.error('Failed to export data:', error);
+      showToast('Failed to export data', 'error');
+    }
+  }, [getBackupState, currentUser, showToast]);
+
+  /**
+   * Download a spreadsheet report from Reports or History
+   * Managers report on one user or the whole team ('all'); everyone else
+   * only on themselves.
+   */
+  const exportReport = useCallback(({ format, dataset, startDate, endDate, userId }) => {
+    try {
+      const reportUsers = currentUser.role === 'manager'
+        ? users.filter(u => (userId && userId !== 'all' ? u.id === userId : !u.archived))
+        : users.filter(u => u.id === currentUser.id);
+      const { blob, fileName } = buildReportFile({
+        format,
+        dataset,
+        startDate,
+        endDate,
+        users: reportUsers,
+        dailyLogs,
+        appointments,
+        deals,
+        categories,
+        products: PRODUCT_INTERESTS,
+      });
+      downloadBlob(blob, fileName);
+      showToast(`Exported ${fileName}`, 'success');
+    } catch (error) {
+      console.error('Failed to export report:', error);
+      showToast(`Export failed: ${error.message}`, 'error');
+    }
+  }, [currentUser, users, dailyLogs, appointments, deals, categories, showToast]);
+
+  /**
+   * Dry run of restoring a backup file
+   * @returns {{error: string}|{backup: object, diff: Array}}
+   */
+  const previewImport = useCallback(async (backup) => {
+    const error = validateBackup(backup);
+    if (error) return { error };
+    return { backup, diff: diffBackup(await getBackupState(), backup) };
+  }, [getBackupState]);
+
+  const importBackup = useCallback(async (backup, mode) => {
+    if (currentUser?.role !== 'manager') {
+      showToast('Only managers can import backups', 'error');
+      return false;
+    }
+    const validationError = validateBackup(backup);
+    if (validationError) {
+      showToast(validationError, 'error');
+      return false;
     }
-    return days;
-  }, [currentUser, dailyLogs]);
 
-  const maxDay = Math.max(...last7Days.map(d => d.total), 1);
+    try {
+      const current = await getBackupState();
+      const diff = diffBackup(current, backup);
+      const plan = getImportPlan(diff, mode);
+      const restored = applyBackup(current, backup, plan);
+
+      if (restored.users) {
+        setUsers(restored.users);
+        await storage.set('users', restored.users);
+      }
+      if (restored.dailyLogs) {
+        setDailyLogs(restored.dailyLogs);
+        await storage.dailyLogs.save(restored.dailyLogs);
+      }
+      if (restored.customers) {
+        setCustomers(restored.customers);
+        await storage.set('customers', restored.customers);
+      }
+      if (restored.deals) {
+        setDeals(restored.deals);
+        await storage.set('deals', restored.deals);
+      }
+      if (restored.tasks) {
+        setTasks(restored.tasks);
+        await storage.set('tasks', restored.tasks);
+      }
+      if (restored.appointments) {
+        setAppointments(restored.appointments);
+        await storage.appointments.save(restored.appointments);
+      }
+      if (restored.feed) {
+        setFeed(restored.feed);
+        await storage.feed.save(restored.feed);
+      }
+      if (restored.challenges) {
+        setChallenges(restored.challenges);
+        await storage.set('challenges', restored.challenges);
+      }
+      if (restored.userChallenges) {
+        setUserChallenges(restored.userChallenges);
+        await storage.set('userChallenges', restored.userChallenges);
+      }
+      if (restored.rewards) await storage.set('rewards', restored.rewards);
+      if (restored.userRewards) await storage.set('userRewards', restored.userRewards);
+      if (restored.dailySnapshots) {
+        setDailySnapshots(restored.dailySnapshots);
+        await storage.set('dailySnapshots', restored.dailySnapshots);
+      }
+      if (restored.systemSettings) {
+        await storage.set('systemSettings', restored.systemSettings);
+        setXpCurveSetting(normalizeXpCurve(restored.systemSettings[XP_CURVE_SETTING_KEY]));
+        setStoreCalendar(configureStoreCalendar(restored.systemSettings[STORE_CALENDAR_SETTING_KEY]));
+      }
+      if (restored.appSettings) {
+        const updatedSettings = { ...appSettings, ...restored.appSettings };
+        setAppSettings(updatedSettings);
+        await storage.set('appSettings', updatedSettings);
+      }
 
-  // ========================================
-  // GOAL INSIGHTS
-  // ========================================
+      // Bring the server in line through the sync queue, so a large restore
+      // survives going offline part way through
+      const summary = Object.fromEntries(diff.map((collection, index) => [collection.key, {
+        written: plan[index].write.length,
+        removed: plan[index].remove.length,
+        conflicting: collection.conflicting.length,
+      }]));
+      if (isSupabaseConfigured && !currentUser.id.startsWith('temp_')) {
+        const operations = toImportOperations(current, backup, plan, currentUser.id);
+        for (const operation of operations) {
+          await queueSyncOperation(operation);
+        }
+      }
 
-  const goalInsights = useMemo(() => {
-    const insights = [];
-    const now = new Date();
-    const hour = now.getHours();
+      const entry = {
+        id: crypto.randomUUID(),
+        userId: currentUser.id,
+        userName: currentUser.name,
+        action: 'backup_imported',
+        entityType: 'data_backups',
+        entityId: null,
+        details: { mode, version: backup.version, exportDate: backup.exportDate || null, collections: summary },
+        timestamp: new Date().toISOString(),
+      };
+      const auditLog = await storage.get('auditLog', []);
+      await storage.set('auditLog', [entry, ...(auditLog || [])].slice(0, 1000));
+      if (isSupabaseConfigured && !currentUser.id.startsWith('temp_')) {
+        await queueSyncOperation({
+          type: 'insert',
+          table: 'audit_log',
+          data: {
+            id: entry.id,
+            user_id: entry.userId,
+            user_name: entry.userName,
+            action: entry.action,
+            entity_type: entry.entityType,
+            entity_id: entry.entityId,
+            details: entry.details,
+            timestamp: entry.timestamp,
+          },
+        });
+      }
 
-    // Time of day insights
-    if (hour < 12 && weekStats.reviews < currentUser.goals.reviews * 2) {
-      insights.push("You're usually more productive in the morning - start strong!");
-    } else if (hour >= 14 && hour < 17 && todayStats.reviews === 0) {
-      insights.push("Afternoon slump? Time to get some reviews done!");
+      const total = Object.values(summary).reduce((sum, counts) => sum + counts.written + counts.removed, 0);
+      showToast(`Backup ${mode === IMPORT_MODES.REPLACE ? 'restored' : 'merged'}: ${total} record${total === 1 ? '' : 's'} updated`, 'success');
+      return true;
+    } catch (error) {
+      console.error('Failed to import backup:', error);
+      showToast('Failed to import backup', 'error');
+      return false;
     }
-
-    // Category performance
-    const reviewRatio = todayStats.reviews / currentUser.goals.reviews;
-    const demoRatio = todayStats.demos / currentUser.goals.demos;
-    const callbackRatio = todayStats.callbacks / currentUser.goals.callbacks;
-
-    if (demoRatio < 0.5 && reviewRatio > 0.8) {
-      insights.push("You're crushing reviews! Schedule more demos to follow up.");
+  }, [currentUser, appSettings, getBackupState, showToast]);
+  
+  // Backups stored by the scheduled-backup edge function (026_scheduled_backups.sql)
+  const loadServerBackups = useCallback(async () => {
+    if (!navigator.onLine || !isSupabaseConfigured) return [];
+    try {
+      return await listServerBackups();
+    } catch (error) {
+      console.error('Failed to load server backups:', error);
+      showToast('Failed to load stored backups', 'error');
+      return [];
     }
+  }, [showToast]);
 
-    if (callbackRatio < 0.3 && weekStats.callbacks > 0) {
-      insights.push("Callbacks are trailing. Consider a callback blitz!");
+  const runBackupNow = useCallback(async () => {
+    try {
+      const backup = await runServerBackup();
+      showToast('Backup stored', 'success');
+      return backup;
+    } catch (error) {
+      console.error('Failed to run server backup:', error);
+      showToast(`Backup failed: ${error.message}`, 'error');
+      return null;
     }
+  }, [showToast]);
 
-    if (reviewRatio >= 1 && demoRatio >= 1 && callbackRatio >= 1) {
-      insights.push("Excellent balance across all categories today!");
+  const downloadStoredBackup = useCallback(async (backup) => {
+    try {
+      const blob = await downloadServerBackup(backup);
+      downloadBlob(blob, `window-depot-server-backup-${backup.createdAt.slice(0, 10)}.json`);
+    } catch (error) {
+      console.error('Failed to download server backup:', error);
+      showToast('Failed to download backup', 'error');
     }
+  }, [showToast]);
 
-    // Weekly momentum
-    if (last7Days.length >= 3) {
-      const recentAvg = last7Days.slice(-3).reduce((sum, d) => sum + d.total, 0) / 3;
-      const earlierAvg = last7Days.slice(0, 3).reduce((sum, d) => sum + d.total, 0) / 3;
-
-      if (recentAvg > earlierAvg * 1.2) {
-        insights.push("Great momentum this week! Keep the energy high!");
-      } else if (recentAvg < earlierAvg * 0.8 && earlierAvg > 0) {
-        insights.push("Energy is dipping. Time to refocus!");
-      }
+  const restoreStoredBackup = useCallback(async (backup) => {
+    try {
+      const restored = await restoreServerBackup(backup.id);
+      await reloadFromSupabase();
+      const total = Object.values(restored || {}).reduce((sum, count) => sum + count, 0);
+      showToast(`Backup restored: ${total} records`, 'success');
+      return true;
+    } catch (error) {
+      console.error('Failed to restore server backup:', error);
+      showToast(`Restore failed: ${error.message}`, 'error');
+      return false;
     }
-
-    return insights.length > 0 ? insights : ["Keep pushing towards your goals!"];
-  }, [currentUser, todayStats, weekStats, last7Days, calculateStreaks]);
-
+  }, [showToast, reloadFromSupabase]);
+  
   // ========================================
-  // DAILY MOTIVATIONAL QUOTE
+  // RENDER: LOADING STATE
   // ========================================
+  
+  if (isLoading) {
+    return (
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        minHeight: '100vh',
+        background: currentTheme.secondary,
+        fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+      }}>
+        <div style={{ textAlign: 'center' }}>
+          <div style={{
+            width: '60px',
+            height: '60px',
+            border: `4px solid ${currentTheme.accent}`,
+            borderTop: `4px solid ${currentTheme.primary}`,
+            borderRadius: '50%',
+            margin: '0 auto 20px',
+            animation: 'spin 1s linear infinite',
+          }} />
+          <style>{`
+            @keyframes spin {
+              0% { transform: rotate(0deg); }
+              100% { transform: rotate(360deg); }
+            }
+          `}</style>
+          <div style={{ color: currentTheme.text, fontSize: '18px', fontWeight: '600' }}>
+            Loading Window Depot Tracker...
+          </div>
+        </div>
+      </div>
+    );
+  }
+  
+  // ========================================
+  // RENDER: SIGN IN
+  // ========================================
+  
+  if (!currentUser) {
+    return <SignIn
+      users={users}
+      onPinSignIn={signInWithPin}
+      onRequestMagicLink={requestMagicLink}
+      onCreateUser={createUser}
+      onSetupPin={setupPinAndSignIn}
+      rememberUser={rememberUser}
+      onRememberChange={setRememberUser}
+      authError={authError || (toast?.type === 'error' ? toast.message : null)}
+      theme={currentTheme}
+    />;
+  }
 
-  const dailyQuote = useMemo(() => {
-    // Use today's date to consistently pick the same quote all day
-    const today = new Date();
-    const dayOfYear = Math.floor((today - new Date(today.getFullYear(), 0, 0)) / (1000 * 60 * 60 * 24));
-    const quoteIndex = dayOfYear % MOTIVATIONAL_QUOTES.length;
-    return MOTIVATIONAL_QUOTES[quoteIndex];
-  }, []);
-
-  const handleIncrement = (categoryId) => {
-    onIncrement(categoryId);
-    addToHistory({ categoryId, type: 'increment' });
+  // ========================================
+  // RENDER: ONBOARDING FLOW
+  // ========================================
 
-    const newCount = (todayStats[categoryId] || 0) + 1;
-    const goal = currentUser.goals[categoryId];
-    if (newCount >= goal) {
-      setCelebratingCategory(categoryId);
-      setTimeout(() => setCelebratingCategory(null), 2000);
-    }
-  };
+  if (showOnboarding) {
+    return (
+      <OnboardingFlow
+        onComplete={() => {
+          setShowOnboarding(false);
+          accessibilityAnnouncer.announce('Onboarding completed. Welcome to Goal Tracker!', false);
+        }}
+        theme={currentTheme}
+      />
+    );
+  }
 
-  const handleDecrement = (categoryId) => {
-    onDecrement(categoryId);
-    addToHistory({ categoryId, type: 'decrement' });
-  };
+  // ========================================
+  // RENDER: MAIN APP
+  // ========================================
 
   return (
-    <div>
-      <h2 style={{
-        margin: '0 0 16px 0',
-        fontSize: 'clamp(20px, 5vw, 24px)',
-        fontWeight: '700',
-        color: THEME.text,
-        fontFamily: 'var(--font-display)',
-        lineHeight: '1.2',
-      }}>
-        Today's Progress
-      </h2>
-
-      {/* Daily Motivational Quote */}
+    <>
+      {/* Global Responsive Styles */}
+      <style>{`
+        /* Prevent horizontal overflow */
+        html, body, #root {
+          width: 100%;
+          max-width: 100vw;
+          overflow-x: hidden;
+          box-sizing: border-box;
+        }
+        
+        * {
+          box-sizing: border-box;
+        }
+        
+        /* Responsive font sizes */
+        @media (max-width: 480px) {
+          h1 { font-size: clamp(20px, 6vw, 28px) !important; }
+          h2 { font-size: clamp(18px, 5vw, 24px) !important; }
+          h3 { font-size: clamp(16px, 4vw, 20px) !important; }
+        }
+        
+        /* Fix for charts and wide content */
+        @media (max-width: 768px) {
+          .recharts-wrapper,
+          .recharts-surface {
+            max-width: 100% !important;
+            overflow: hidden !important;
+          }
+        }
+        
+        /* Ensure all fixed elements respect viewport */
+        [style*="position: fixed"] {
+          max-width: 100vw !important;
+        }
+        
+        /* Responsive tables and grids */
+        @media (max-width: 768px) {
+          table {
+            display: block;
+            overflow-x: auto;
+            -webkit-overflow-scrolling: touch;
+          }
+        }
+      `}</style>
       <div style={{
-        background: 'linear-gradient(135deg, #667EEA 0%, #764BA2 100%)',
-        borderRadius: '12px',
-        padding: 'clamp(12px, 3vw, 16px) clamp(16px, 4vw, 20px)',
-        marginBottom: '20px',
-        boxShadow: THEME.shadows.md,
-        color: THEME.white,
-        textAlign: 'center',
+        minHeight: '100vh',
+        background: currentTheme.gradients.background,
+        fontFamily: 'var(--font-body)',
+        paddingBottom: 'clamp(70px, 12vw, 80px)',
         width: '100%',
-        maxWidth: '100%',
+        maxWidth: '100vw',
+        overflowX: 'hidden',
         boxSizing: 'border-box',
+        id: 'main-content',
       }}>
+      {/* Offline Banner */}
+      {!isOnline && (
         <div style={{
-          fontSize: '11px',
+          background: currentTheme.warning,
+          color: currentTheme.text,
+          padding: '12px',
+          textAlign: 'center',
           fontWeight: '600',
-          opacity: 0.9,
-          marginBottom: '6px',
-          textTransform: 'uppercase',
-          letterSpacing: '0.5px',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          gap: '8px',
         }}>
-          Daily Motivation
+          <WifiOff size={20} />
+          You're offline. Changes may not save.
+        </div>
+      )}
+      
+      {/* Update Available Banner */}
+      {updateAvailable && (
+        <div
+          role="status"
+          style={{
+            background: currentTheme.primary,
+            color: currentTheme.white,
+            padding: '12px',
+            textAlign: 'center',
+            fontWeight: '600',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '12px',
+            flexWrap: 'wrap',
+          }}
+        >
+          <RefreshCw size={20} />
+          A new version of the app is available.
+          <button
+            onClick={() => {
+              if (syncStatus.pending > 0 && !window.confirm('Some changes are still waiting to sync. They are saved on this device and will sync after reloading. Reload now?')) return;
+              applyUpdate();
+            }}
+            style={{
+              padding: '6px 14px',
+              background: currentTheme.white,
+              color: currentTheme.primary,
+              border: 'none',
+              borderRadius: '6px',
+              fontWeight: '700',
+              cursor: 'pointer',
+            }}
+          >
+            Reload
+          </button>
+          <button
+            onClick={() => setUpdateAvailable(false)}
+            aria-label="Later"
+            style={{ background: 'none', border: 'none', color: currentTheme.white, cursor: 'pointer', opacity: 0.8 }}
+          >
+            Later
+          </button>
         </div>
+      )}
+      
+      {/* Sync Issues Banner */}
+      {(syncStatus.failed.length > 0 || syncStatus.conflicts.length > 0) && (
+        <button
+          onClick={() => setShowSyncIssues(true)}
+          style={{
+            width: '100%',
+            background: currentTheme.danger,
+            color: currentTheme.white,
+            padding: '12px',
+            border: 'none',
+            textAlign: 'center',
+            fontWeight: '600',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '8px',
+            cursor: 'pointer',
+          }}
+        >
+          <AlertCircle size={20} />
+          {syncStatus.failed.length + syncStatus.conflicts.length} change{syncStatus.failed.length + syncStatus.conflicts.length === 1 ? '' : 's'} couldn't sync. Tap to review.
+        </button>
+      )}
+      
+      {showNotificationCenter && (
+        <NotificationCenter
+          notifications={userNotifications}
+          users={users}
+          onOpen={handleOpenNotification}
+          onMarkAllRead={() => handleMarkNotificationsRead(userNotifications.map(n => n.id))}
+          onClose={() => setShowNotificationCenter(false)}
+          theme={currentTheme}
+        />
+      )}
+
+      {showSyncIssues && (
+        <SyncIssuesPanel
+          status={syncStatus}
+          onRetry={handleRetryFailedSync}
+          onDiscard={handleDiscardFailedSync}
+          onResolve={handleResolveSyncConflict}
+          onClose={() => setShowSyncIssues(false)}
+          theme={currentTheme}
+        />
+      )}
+      
+      {/* Toast Notification */}
+      {toast && (
         <div style={{
-          fontSize: '15px',
-          fontWeight: '500',
-          fontStyle: 'italic',
-          opacity: 0.95,
-          lineHeight: '1.5',
-          fontFamily: 'var(--font-body)',
+          position: 'fixed',
+          top: 'clamp(12px, 3vh, 20px)',
+          right: 'clamp(12px, 3vw, 20px)',
+          left: 'clamp(12px, 3vw, auto)',
+          zIndex: 10000,
+          background: toast.type === 'success' ? currentTheme.success :
+                     toast.type === 'error' ? currentTheme.danger :
+                     toast.type === 'warning' ? currentTheme.warning :
+                     currentTheme.primary,
+          color: currentTheme.white,
+          padding: 'clamp(12px, 3vw, 16px) clamp(16px, 4vw, 24px)',
+          borderRadius: '8px',
+          boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+          maxWidth: 'calc(100vw - 24px)',
+          width: 'auto',
+          animation: 'slideIn 0.3s ease-out',
+          boxSizing: 'border-box',
         }}>
-          "{dailyQuote}"
+          <style>{`
+            @keyframes slideIn {
+              from {
+                transform: translateX(100%);
+                opacity: 0;
+              }
+              to {
+                transform: translateX(0);
+                opacity: 1;
+              }
+            }
+          `}</style>
+          {toast.message}
         </div>
+      )}
+      
+      {/* Celebration Animation */}
+      {showCelebration && (
         <div style={{
-          fontSize: '11px',
-          marginTop: '8px',
-          opacity: 0.75,
-          fontFamily: 'var(--font-body)',
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          zIndex: 9999,
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          background: 'rgba(0,0,0,0.5)',
+          animation: 'fadeIn 0.3s ease-out',
         }}>
-          Press R/D/C for quick add • {Object.keys(CATEGORIES).map(k => CATEGORIES[k].name[0]).join('/')}
+          <div style={{
+            background: currentTheme.white,
+            padding: '40px',
+            borderRadius: '20px',
+            textAlign: 'center',
+            animation: 'scaleIn 0.3s ease-out',
+          }}>
+            <div style={{ fontSize: '80px', marginBottom: '20px' }}>🎉</div>
+            <div style={{ fontSize: '24px', fontWeight: 'bold', color: currentTheme.primary }}>
+              Goal Complete!
+            </div>
+          </div>
+          <style>{`
+            @keyframes fadeIn {
+              from { opacity: 0; }
+              to { opacity: 1; }
+            }
+            @keyframes scaleIn {
+              from { transform: scale(0.5); }
+              to { transform: scale(1); }
+            }
+          `}</style>
         </div>
-      </div>
-
-      <div style={{ display: 'grid', gap: '16px', marginBottom: '32px' }}>
-        {CATEGORIES.map((category, index) => {
-          const count = todayStats[category.id] || 0;
-          const goal = currentUser.goals[category.id];
-          const progress = (count / goal) * 100;
-          const Icon = category.icon;
-          const isGoalReached = count >= goal;
-          const isCelebrating = celebratingCategory === category.id;
-
-          // Determine gradient based on category
-          let gradient = category.color;
-          if (category.id === 'reviews') gradient = THEME.gradients.warning;
-          else if (category.id === 'demos') gradient = THEME.gradients.success;
-          else if (category.id === 'callbacks') gradient = THEME.gradients.primary;
-
-          return (
-            <div
-              key={category.id}
+      )}
+      
+      {/* Header */}
+      <div style={{
+        background: currentTheme.gradients.primary,
+        color: currentTheme.white,
+        padding: 'clamp(16px, 4vw, 24px) clamp(12px, 3vw, 20px)',
+        boxShadow: currentTheme.shadows.layered,
+        width: '100%',
+        maxWidth: '100vw',
+        boxSizing: 'border-box',
+      }}>
+        <div style={{ 
+          display: 'flex', 
+          justifyContent: 'space-between', 
+          alignItems: 'center', 
+          marginBottom: '8px',
+          flexWrap: 'wrap',
+          gap: '8px',
+        }}>
+          <h1 style={{ 
+            margin: 0, 
+            fontSize: 'clamp(20px, 5vw, 28px)', 
+            fontWeight: '700',
+            fontFamily: 'var(--font-display)',
+            letterSpacing: '-0.5px',
+            lineHeight: '1.2',
+          }}>
+            Window Depot Milwaukee
+          </h1>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+            {/* Notification Inbox */}
+            <button
+              onClick={() => setShowNotificationCenter(true)}
               style={{
-                background: THEME.white,
-                borderRadius: '16px',
-                padding: 'clamp(16px, 4vw, 24px)',
-                boxShadow: isGoalReached ? THEME.shadows.layered : THEME.shadows.md,
-                border: isGoalReached ? `2px solid ${category.color}` : 'none',
-                transform: isCelebrating ? 'scale(1.02)' : 'scale(1)',
-                transition: 'all 0.3s ease',
-                animation: isCelebrating ? 'bounce 0.6s ease-in-out' : 'none',
-                width: '100%',
-                maxWidth: '100%',
-                boxSizing: 'border-box',
+                position: 'relative',
+                width: '44px',
+                height: '44px',
+                borderRadius: '50%',
+                background: 'rgba(255,255,255,0.25)',
+                border: 'none',
+                color: currentTheme.white,
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
               }}
+              aria-label={unreadNotificationCount > 0 ? `Notifications, ${unreadNotificationCount} unread` : 'Notifications'}
+              title="Notifications"
             >
-              <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '16px' }}>
-                <div style={{
-                  width: '52px',
-                  height: '52px',
-                  background: gradient,
-                  borderRadius: '14px',
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                  boxShadow: THEME.shadows.md,
-                  transform: isCelebrating ? 'rotate(360deg)' : 'rotate(0deg)',
-                  transition: 'transform 0.6s ease',
+              <Bell size={20} />
+              {unreadNotificationCount > 0 && (
+                <span style={{
+                  position: 'absolute',
+                  top: '2px',
+                  right: '2px',
+                  minWidth: '18px',
+                  height: '18px',
+                  padding: '0 5px',
+                  borderRadius: '9px',
+                  background: currentTheme.danger,
+                  color: currentTheme.white,
+                  fontSize: '11px',
+                  fontWeight: '700',
+                  lineHeight: '18px',
+                  textAlign: 'center',
+                  boxSizing: 'border-box',
                 }}>
-                  <Icon size={26} color={THEME.white} />
-                </div>
-                <div style={{ flex: 1 }}>
-                  <div style={{
-                    fontSize: '16px',
-                    fontWeight: '600',
-                    color: THEME.text,
-                    fontFamily: 'var(--font-body)',
-                  }}>
-                    {category.name}
-                  </div>
-                  <div style={{
-                    fontSize: '28px',
-                    fontWeight: '700',
-                    background: gradient,
-                    WebkitBackgroundClip: 'text',
-                    WebkitTextFillColor: 'transparent',
-                    backgroundClip: 'text',
-                    fontFamily: 'var(--font-mono)',
-                    letterSpacing: '-0.5px',
-                  }}>
-                    {count} / {goal}
-                  </div>
-                </div>
-                {isGoalReached && (
-                  <div style={{
-                    fontSize: '24px',
-                    animation: 'pulse 2s infinite',
-                  }}>
-                    🎉
-                  </div>
-                )}
-              </div>
-
-              <div style={{
-                height: '14px',
-                background: THEME.secondary,
-                borderRadius: '8px',
-                overflow: 'hidden',
-                marginBottom: '16px',
-                boxShadow: 'inset 0 2px 4px rgba(0,0,0,0.1)',
-              }}>
-                <div style={{
-                  height: '100%',
-                  width: `${Math.min(progress, 100)}%`,
-                  background: gradient,
-                  transition: 'width 0.5s cubic-bezier(0.4, 0, 0.2, 1)',
-                  borderRadius: '8px',
-                  boxShadow: progress >= 100 ? `0 0 12px ${category.color}40` : 'none',
-                }} />
-              </div>
-
-              <div style={{ display: 'flex', gap: '12px' }}>
-                <button
-                  onClick={() => handleDecrement(category.id)}
-                  disabled={count === 0}
-                  onMouseDown={(e) => {
-                    e.currentTarget.style.transform = 'scale(0.95)';
-                  }}
-                  onMouseUp={(e) => {
-                    e.currentTarget.style.transform = 'scale(1)';
-                  }}
-                  style={{
-                    flex: 1,
-                    padding: 'clamp(12px, 3vw, 18px)',
-                    background: count === 0 ? THEME.border : THEME.gradients.danger,
-                    border: 'none',
-                    borderRadius: '10px',
-                    color: THEME.white,
-                    fontSize: 'clamp(20px, 5vw, 24px)',
-                    fontWeight: '700',
-                    cursor: count === 0 ? 'not-allowed' : 'pointer',
-                    minHeight: 'clamp(60px, 12vw, 72px)',
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    transition: 'all 0.2s ease',
-                    boxShadow: count === 0 ? 'none' : THEME.shadows.md,
-                    boxSizing: 'border-box',
-                  }}
-                >
-                  <Minus size={28} />
-                </button>
-                <button
-                  onClick={() => handleIncrement(category.id)}
-                  onMouseDown={(e) => {
-                    e.currentTarget.style.transform = 'scale(0.95)';
-                  }}
-                  onMouseUp={(e) => {
-                    e.currentTarget.style.transform = 'scale(1)';
-                  }}
-                  style={{
-                    flex: 1,
-                    padding: 'clamp(12px, 3vw, 18px)',
-                    background: gradient,
-                    border: 'none',
-                    borderRadius: '10px',
-                    color: THEME.white,
-                    fontSize: 'clamp(20px, 5vw, 24px)',
-                    fontWeight: '700',
-                    cursor: 'pointer',
-                    minHeight: '72px',
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    transition: 'all 0.2s ease',
-                    boxShadow: THEME.shadows.md,
-                  }}
-                >
-                  <Plus size={28} />
-                </button>
-              </div>
-            </div>
-          );
-        })}
-      </div>
-
-      <div style={{ display: 'grid', gap: '20px', marginBottom: '32px' }}>
-        {/* Streak Counter */}
-        <div style={{
-          background: 'linear-gradient(135deg, #FF6B6B 0%, #FF8E72 100%)',
-          borderRadius: '16px',
-          padding: '24px',
-          boxShadow: THEME.shadows.md,
-          color: THEME.white,
-          textAlign: 'center',
-        }}>
-          <div style={{
-            fontSize: '14px',
-            fontWeight: '600',
-            opacity: 0.9,
-            marginBottom: '8px',
-            textTransform: 'uppercase',
-            letterSpacing: '0.5px',
-          }}>
-            Current Streak
-          </div>
-          <div style={{
-            fontSize: '48px',
-            fontWeight: '700',
-            marginBottom: '12px',
-            fontFamily: 'var(--font-mono)',
-          }}>
-            🔥 {calculateStreaks.currentStreak}
-          </div>
-          <div style={{
-            fontSize: '14px',
-            opacity: 0.85,
-          }}>
-            {calculateStreaks.currentStreak > 0
-              ? `${calculateStreaks.currentStreak} days meeting all goals!`
-              : 'Start your streak today!'}
-          </div>
-          {calculateStreaks.bestStreak > calculateStreaks.currentStreak && (
-            <div style={{
-              fontSize: '13px',
-              marginTop: '12px',
-              opacity: 0.75,
-              fontStyle: 'italic',
-            }}>
-              Best streak: {calculateStreaks.bestStreak} days
-            </div>
-          )}
-        </div>
-
-        {/* Undo Button & History */}
-        {undoHistory.length > 0 && (
-          <div style={{
-            background: THEME.white,
-            borderRadius: '16px',
-            padding: '16px 20px',
-            boxShadow: THEME.shadows.md,
-            border: `2px solid ${THEME.primary}`,
-          }}>
+                  {unreadNotificationCount > 99 ? '99+' : unreadNotificationCount}
+                </span>
+              )}
+            </button>
+            {/* Theme Toggle */}
             <button
-              onClick={performUndo}
+              onClick={() => {
+                const newMode = themeMode === 'light' ? 'dark' : 'light';
+                setThemeMode(newMode);
+                storage.set('themeMode', newMode);
+              }}
               style={{
-                width: '100%',
-                padding: '12px 16px',
-                background: THEME.primary,
+                width: '44px',
+                height: '44px',
+                borderRadius: '50%',
+                background: 'rgba(255,255,255,0.25)',
                 border: 'none',
-                borderRadius: '10px',
-                color: THEME.white,
-                fontSize: '14px',
-                fontWeight: '700',
+                color: currentTheme.white,
                 cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
                 transition: 'all 0.2s ease',
-                boxShadow: THEME.shadows.md,
+                fontSize: '20px',
               }}
-              onMouseDown={(e) => {
-                e.currentTarget.style.transform = 'scale(0.98)';
+              onMouseEnter={(e) => {
+                e.currentTarget.style.background = 'rgba(255,255,255,0.35)';
+                e.currentTarget.style.transform = 'scale(1.1)';
               }}
-              onMouseUp={(e) => {
+              onMouseLeave={(e) => {
+                e.currentTarget.style.background = 'rgba(255,255,255,0.25)';
                 e.currentTarget.style.transform = 'scale(1)';
               }}
+              title={themeMode === 'light' ? 'Switch to Dark Mode' : 'Switch to Light Mode'}
             >
-              Undo: {undoHistory[0].type === 'increment' ? '-' : '+'}{undoHistory[0].categoryId === 'reviews' ? 'Review' : undoHistory[0].categoryId === 'demos' ? 'Demo' : 'Callback'} ({formatRelativeTime(undoHistory[0].timestamp)})
+              {themeMode === 'light' ? <Moon size={20} /> : <Sun size={20} />}
             </button>
+            {isOnline && (syncStatus.pull.isPulling || syncStatus.pending > 0) && (
+              <span
+                style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '13px', opacity: 0.9 }}
+                title={syncStatus.pull.isPulling ? 'Syncing from server' : `${syncStatus.pending} change${syncStatus.pending === 1 ? '' : 's'} waiting to sync`}
+              >
+                <RefreshCw size={16} />
+                {syncStatus.pull.isPulling ? `${syncStatus.pull.completed}/${syncStatus.pull.total}` : syncStatus.pending}
+              </span>
+            )}
+            {isOnline ? (
+              <Wifi
+                size={20}
+                style={{ opacity: 0.8 }}
+                aria-label={syncStatus.pull.lastPulledAt ? `Online, last synced ${new Date(syncStatus.pull.lastPulledAt).toLocaleString()}` : 'Online'}
+              />
+            ) : (
+              <WifiOff size={20} />
+            )}
           </div>
-        )}
-
-        {/* Pace Indicator */}
-        <div style={{
-          background: THEME.white,
-          borderRadius: '16px',
-          padding: '20px',
-          boxShadow: THEME.shadows.md,
+        </div>
+        <div style={{ 
+          fontSize: '15px', 
+          opacity: 0.95,
+          fontFamily: 'var(--font-body)',
+          fontWeight: '500',
         }}>
-          <h3 style={{
-            margin: '0 0 16px 0',
-            fontSize: '16px',
-            fontWeight: '700',
-            color: THEME.text,
-            fontFamily: 'var(--font-display)',
-          }}>
-            Weekly Pace
-          </h3>
-          <div style={{ display: 'grid', gap: '12px' }}>
-            {paceIndicator.map((indicator, idx) => (
-              <div
-                key={idx}
-                style={{
-                  display: 'flex',
-                  alignItems: 'center',
-                  gap: '12px',
-                  padding: '12px',
-                  background:
-                    indicator.status === 'ahead' ? 'rgba(40, 167, 69, 0.08)' :
-                    indicator.status === 'behind' ? 'rgba(220, 53, 69, 0.08)' :
-                    'rgba(0, 86, 164, 0.08)',
-                  borderLeft: `4px solid ${
-                    indicator.status === 'ahead' ? THEME.success :
-                    indicator.status === 'behind' ? THEME.danger :
-                    THEME.primary
-                  }`,
-                  borderRadius: '8px',
-                }}
-              >
-                <div style={{
-                  fontSize: '20px',
-                }}>
-                  {indicator.status === 'ahead' ? '✨' : indicator.status === 'behind' ? '⚡' : '✓'}
-                </div>
-                <div style={{
-                  fontSize: '14px',
-                  fontWeight: '500',
-                  color: THEME.text,
-                  fontFamily: 'var(--font-body)',
-                }}>
-                  {indicator.text}
-                </div>
-              </div>
-            ))}
-          </div>
+          Welcome, {currentUser.name}
         </div>
+        <button
+          onClick={() => {
+            if (window.confirm('Sign out?')) {
+              handleSignOut();
+            }
+          }}
+          style={{
+            marginTop: '8px',
+            padding: '8px 16px',
+            background: 'rgba(255,255,255,0.25)',
+            border: 'none',
+            borderRadius: '8px',
+            color: currentTheme.white,
+            fontSize: '13px',
+            fontWeight: '600',
+            cursor: 'pointer',
+            transition: 'all 0.2s ease',
+            fontFamily: 'var(--font-body)',
+          }}
+          onMouseDown={(e) => {
+            e.currentTarget.style.transform = 'scale(0.95)';
+          }}
+          onMouseUp={(e) => {
+            e.currentTarget.style.transform = 'scale(1)';
+          }}
+        >
+          Sign Out
+        </button>
       </div>
-
-      <h3 style={{
-        margin: '0 0 16px 0',
-        fontSize: '20px',
-        fontWeight: '600',
-        color: THEME.text,
-        fontFamily: 'var(--font-display)',
+      
+      {/* Main Content */}
+      <div style={{ 
+        padding: 'clamp(12px, 4vw, 20px)',
+        width: '100%',
+        maxWidth: '100vw',
+        overflowX: 'hidden',
+        boxSizing: 'border-box'
       }}>
-        This Week
-      </h3>
+        {activeView === 'dashboard' && (
+          <div style={{ display: 'grid', gap: '20px' }}>
+            <Dashboard
+              currentUser={currentUser}
+              todayStats={todayStats}
+              weekStats={weekStats}
+              onIncrement={handleIncrement}
+              onDecrement={handleDecrement}
+              dailyLogs={dailyLogs}
+              theme={currentTheme}
+              showToast={showToast}
+              challenges={challenges}
+              userChallenges={userChallenges}
+              onViewChange={setActiveView}
+              xpCurve={xpCurve}
+              categories={activeCategories}
+              tasks={tasks}
+              onCompleteTask={completeTask}
+            />
+            <ActiveUsersList activeUsers={activeUsers} currentUser={currentUser} theme={currentTheme} />
+          </div>
+        )}
 
-      <div style={{
-        background: THEME.white,
-        borderRadius: '16px',
-        padding: '20px',
-        boxShadow: THEME.shadows.md,
-        marginBottom: '20px',
-      }}>
-        {CATEGORIES.map((category, index) => {
-          const count = weekStats[category.id] || 0;
-          const Icon = category.icon;
+        {activeView === 'goals' && (
+          <Goals
+            currentUser={currentUser}
+            onUpdateGoals={(goals, period) => updateUserGoals(currentUser.id, goals, period)}
+            categories={activeCategories}
+            theme={currentTheme}
+          />
+        )}
 
-          let gradient = category.color;
-          if (category.id === 'reviews') gradient = THEME.gradients.warning;
-          else if (category.id === 'demos') gradient = THEME.gradients.success;
-          else if (category.id === 'callbacks') gradient = THEME.gradients.primary;
+        {activeView === 'appointments' && (
+          <Appointments
+            appointments={appointments.filter(a => a.userId === currentUser.id)}
+            allAppointments={appointments}
+            users={users}
+            currentUser={currentUser}
+            onAdd={addAppointment}
+            onUpdate={updateAppointment}
+            onDelete={deleteAppointment}
+            customers={customers}
+            onOpenCustomer={openCustomer}
+            theme={currentTheme}
+          />
+        )}
 
-          return (
-            <div
-              key={category.id}
-              style={{
-                display: 'flex',
-                alignItems: 'center',
-                gap: '12px',
-                padding: '14px 0',
-                borderBottom: index < CATEGORIES.length - 1 ? `1px solid ${THEME.border}` : 'none',
-                animation: `fadeInUp 0.3s ease-out ${index * 0.1}s both`,
-              }}
-            >
-              <div style={{
-                width: '40px',
-                height: '40px',
-                borderRadius: '10px',
-                background: gradient,
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-              }}>
-                <Icon size={20} color={THEME.white} />
-              </div>
-              <div style={{
-                flex: 1,
-                fontSize: '15px',
-                color: THEME.text,
-                fontFamily: 'var(--font-body)',
-                fontWeight: '500',
-              }}>
-                {category.name}
-              </div>
-              <div style={{
-                fontSize: '22px',
-                fontWeight: '700',
-                background: gradient,
-                WebkitBackgroundClip: 'text',
-                WebkitTextFillColor: 'transparent',
-                backgroundClip: 'text',
-                fontFamily: 'var(--font-mono)',
-              }}>
-                {count}
-              </div>
-            </div>
-          );
-        })}
+        {activeView === 'customers' && (
+          <Customers
+            customers={customers}
+            appointments={appointments}
+            users={users}
+            currentUser={currentUser}
+            selectedId={selectedCustomerId}
+            onSelect={setSelectedCustomerId}
+            onSave={saveCustomer}
+            onDelete={deleteCustomer}
+            theme={currentTheme}
+          />
+        )}
 
-        {/* Week Progress Mini-Chart */}
-        <div style={{
-          marginTop: '24px',
-          paddingTop: '20px',
-          borderTop: `1px solid ${THEME.border}`,
-        }}>
-          <div style={{
-            fontSize: '14px',
-            fontWeight: '600',
-            color: THEME.textLight,
-            marginBottom: '12px',
-            fontFamily: 'var(--font-body)',
-          }}>
-            Daily Trend
-          </div>
+        {activeView === 'pipeline' && (
+          <Pipeline
+            deals={deals}
+            customers={customers}
+            users={users}
+            currentUser={currentUser}
+            onSave={saveDeal}
+            onDelete={deleteDeal}
+            onOpenCustomer={openCustomer}
+            theme={currentTheme}
+          />
+        )}
+
+        {activeView === 'feed' && (
+          <Feed
+            feed={feed}
+            currentUser={currentUser}
+            onAddPost={addPost}
+            onToggleLike={toggleLike}
+            onAddComment={addComment}
+            onEditPost={editPost}
+            onDeletePost={deletePost}
+            theme={currentTheme}
+            challenges={challenges}
+            userChallenges={userChallenges}
+          />
+        )}
+        
+        {activeView === 'leaderboard' && (
+          <Leaderboard users={users} dailyLogs={dailyLogs} deals={deals} appointments={appointments} currentUser={currentUser} xpCurve={xpCurve} categories={activeCategories} theme={currentTheme} />
+        )}
+
+        {activeView === 'challenges' && (
           <div style={{
-            height: '80px',
-            display: 'flex',
-            alignItems: 'flex-end',
-            justifyContent: 'space-between',
-            gap: '6px',
+            background: currentTheme.white,
+            borderRadius: '16px',
+            padding: '20px',
+            boxShadow: currentTheme.shadows.md,
           }}>
-            {last7Days.map((day, idx) => (
-              <div
-                key={idx}
-                style={{
-                  flex: 1,
-                  display: 'flex',
-                  flexDirection: 'column',
-                  alignItems: 'center',
-                  gap: '6px',
-                }}
-              >
-                <div
-                  style={{
-                    width: '100%',
-                    height: `${maxDay > 0 ? (day.total / maxDay) * 60 : 4}px`,
-                    background: 'linear-gradient(180deg, #4A90D9 0%, #0056A4 100%)',
-                    borderRadius: '4px 4px 0 0',
-                    transition: 'all 0.3s ease',
-                    cursor: 'pointer',
-                    minHeight: '4px',
-                  }}
-                  title={`${day.name}: ${day.total} items`}
-                />
-                <div
-                  style={{
-                    fontSize: '11px',
-                    color: THEME.textLight,
-                    fontWeight: '600',
-                    fontFamily: 'var(--font-body)',
-                  }}
-                >
-                  {day.name}
-                </div>
-              </div>
-            ))}
-          </div>
-        </div>
-      </div>
-
-      {/* Goal Insights */}
-      <div style={{
-        background: 'linear-gradient(135deg, #667EEA 0%, #764BA2 100%)',
-        borderRadius: '16px',
-        padding: '20px',
-        boxShadow: THEME.shadows.md,
-        color: THEME.white,
-      }}>
-        <h3 style={{
-          margin: '0 0 16px 0',
-          fontSize: '16px',
-          fontWeight: '700',
-          fontFamily: 'var(--font-display)',
-          display: 'flex',
-          alignItems: 'center',
-          gap: '8px',
-        }}>
-          <span>💡</span> Insights
-        </h3>
-        <div style={{
-          display: 'grid',
-          gap: '10px',
-        }}>
-          {goalInsights.map((insight, idx) => (
-            <div
-              key={idx}
-              style={{
-                fontSize: '14px',
-                fontWeight: '500',
-                opacity: 0.95,
-                lineHeight: '1.5',
-                fontFamily: 'var(--font-body)',
-                paddingLeft: '12px',
-                borderLeft: '3px solid rgba(255,255,255,0.3)',
-              }}
-            >
-              {insight}
-            </div>
-          ))}
-        </div>
-      </div>
-
-      {/* Active Challenges Widget */}
-      {challenges && challenges.filter(c => c.isActive !== false).length > 0 && (
-        <div style={{
-          background: THEME.white,
-          borderRadius: '16px',
-          padding: '20px',
-          boxShadow: THEME.shadows.md,
-          marginTop: '20px',
-        }}>
-          <div style={{
-            display: 'flex',
-            justifyContent: 'space-between',
-            alignItems: 'center',
-            marginBottom: '16px'
-          }}>
-            <h3 style={{
-              margin: 0,
-              fontSize: '18px',
+            <h2 style={{
+              margin: '0 0 16px 0',
+              fontSize: '24px',
               fontWeight: '700',
-              color: THEME.text,
-              display: 'flex',
-              alignItems: 'center',
-              gap: '8px',
+              color: currentTheme.text,
             }}>
-              <span role="img" aria-label="trophy">🏆</span> Active Challenges
-            </h3>
-            <button
-              onClick={() => onViewChange && onViewChange('challenges')}
-              style={{
-                background: 'none',
-                border: `1px solid ${THEME.primary}`,
-                borderRadius: '8px',
-                padding: '6px 12px',
-                fontSize: '12px',
-                fontWeight: '600',
-                color: THEME.primary,
-                cursor: 'pointer',
-              }}
-            >
-              View All
-            </button>
+              Challenges
+            </h2>
+            {challenges && challenges.filter(c => c.isActive !== false).length > 0 ? (
+              <div style={{ display: 'grid', gap: '16px' }}>
+                {challenges.filter(c => c.isActive !== false).map(challenge => {
+                  const userProgress = userChallenges?.find(uc =>
+                    uc.challengeId === challenge.id && uc.userId === currentUser?.id
+                  );
+                  const progress = userProgress?.progress || 0;
+                  const percent = Math.min(100, Math.round((progress / challenge.goalValue) * 100));
+
+                  return (
+                    <div key={challenge.id} style={{
+                      background: currentTheme.secondary,
+                      borderRadius: '12px',
+                      padding: '16px',
+                    }}>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
+                        <span style={{ fontWeight: '700', fontSize: '16px', color: currentTheme.text }}>{challenge.title}</span>
+                        <span style={{
+                          fontSize: '14px',
+                          fontWeight: '600',
+                          color: percent >= 100 ? currentTheme.success : currentTheme.textLight
+                        }}>
+                          {progress}/{challenge.goalValue}
+                        </span>
+                      </div>
+                      {challenge.description && (
+                        <p style={{ margin: '0 0 12px 0', fontSize: '14px', color: currentTheme.textLight }}>
+                          {challenge.description}
+                        </p>
+                      )}
+                      <div style={{
+                        height: '10px',
+                        background: currentTheme.white,
+                        borderRadius: '5px',
+                        overflow: 'hidden',
+                      }}>
+                        <div style={{
+                          width: `${percent}%`,
+                          height: '100%',
+                          background: percent >= 100 ? currentTheme.success : currentTheme.gradients.primary,
+                          borderRadius: '5px',
+                          transition: 'width 0.3s ease',
+                        }} />
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            ) : (
+              <p style={{ color: currentTheme.textLight, textAlign: 'center', padding: '40px 0' }}>
+                No active challenges at the moment.
+              </p>
+            )}
           </div>
+        )}
 
-          {/* List active challenges with progress bars */}
-          {challenges.filter(c => c.isActive !== false).slice(0, 3).map(challenge => {
-            const userProgress = userChallenges?.find(uc =>
-              uc.challengeId === challenge.id && uc.userId === currentUser?.id
-            );
-            const progress = userProgress?.progress || 0;
-            const percent = Math.min(100, Math.round((progress / challenge.goalValue) * 100));
+        {activeView === 'history' && (
+          <HistoryView
+            currentUser={currentUser}
+            users={users}
+            dailyLogs={dailyLogs}
+            categories={activeCategories}
+            onExportReport={exportReport}
+            theme={currentTheme}
+          />
+        )}
 
-            return (
-              <div key={challenge.id} style={{ marginBottom: '12px' }}>
-                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
-                  <span style={{ fontWeight: '600', fontSize: '14px', color: THEME.text }}>{challenge.title}</span>
-                  <span style={{ fontSize: '12px', color: THEME.textLight }}>
-                    {progress}/{challenge.goalValue}
-                  </span>
-                </div>
-                <div style={{
-                  height: '8px',
-                  background: THEME.secondary,
-                  borderRadius: '4px',
-                  overflow: 'hidden',
-                }}>
-                  <div style={{
-                    width: `${percent}%`,
-                    height: '100%',
-                    background: percent >= 100 ? THEME.success : THEME.gradients.primary,
-                    borderRadius: '4px',
-                    transition: 'width 0.3s ease',
-                  }} />
-                </div>
-              </div>
-            );
-          })}
-        </div>
-      )}
-    </div>
-  );
-}
+        {activeView === 'team' && currentUser.role === 'manager' && (
+          <TeamView users={users} dailyLogs={dailyLogs} categories={activeCategories} theme={currentTheme} />
+        )}
 
-// ========================================
-// GOALS COMPONENT
-// ========================================
+        {activeView === 'admin' && currentUser.role === 'manager' && (
+          <AdminPanel
+            users={users}
+            onCreateUser={createUser}
+            onUpdateCredentials={updateUserCredentials}
+            onDeleteUser={deleteUser}
+            onUpdateGoals={updateUserGoals}
+            onExport={exportData}
+            onPreviewImport={previewImport}
+            onImport={importBackup}
+            onLoadServerBackups={loadServerBackups}
+            onRunServerBackup={runBackupNow}
+            onDownloadServerBackup={downloadStoredBackup}
+            onRestoreServerBackup={restoreStoredBackup}
+            xpCurve={xpCurve}
+            onUpdateXpCurve={updateXpCurve}
+            storeCalendar={storeCalendar}
+            onUpdateStoreCalendar={updateStoreCalendar}
+            categories={categories}
+            onSaveCategory={saveCategory}
+            goalTemplates={goalTemplates}
+            goalAssignments={goalAssignments}
+            onSaveGoalTemplate={saveGoalTemplate}
+            onDeleteGoalTemplate={deleteGoalTemplate}
+            onAssignGoalTemplate={assignGoalTemplate}
+            theme={currentTheme}
+          />
+        )}
 
-function Goals({ currentUser, onUpdateGoals, theme }) {
-  const THEME = theme;
-  const [goals, setGoals] = useState(currentUser.goals);
-  const [showSaved, setShowSaved] = useState(false);
-  
-  const handleSave = () => {
-    onUpdateGoals(goals);
-    setShowSaved(true);
-    setTimeout(() => setShowSaved(false), 2000);
-  };
-  
-  return (
-    <div>
-      <h2 style={{ 
-        margin: '0 0 20px 0', 
-        fontSize: '24px', 
-        fontWeight: '700', 
-        color: THEME.text,
-        fontFamily: 'var(--font-display)',
-      }}>
-        Daily Goals
-      </h2>
-      
-      <div style={{
-        background: THEME.white,
-        borderRadius: '16px',
-        padding: '24px',
-        boxShadow: THEME.shadows.md,
-      }}>
-        {CATEGORIES.map((category, index) => {
-          const Icon = category.icon;
-          
-          let gradient = category.color;
-          if (category.id === 'reviews') gradient = THEME.gradients.warning;
-          else if (category.id === 'demos') gradient = THEME.gradients.success;
-          else if (category.id === 'callbacks') gradient = THEME.gradients.primary;
-          
-          return (
-            <div
-              key={category.id}
+        {activeView === 'reports' && currentUser.role === 'manager' && (
+          <Reports
+            users={users}
+            dailyLogs={dailyLogs}
+            appointments={appointments}
+            deals={deals}
+            categories={activeCategories}
+            onExportReport={exportReport}
+            theme={currentTheme}
+          />
+        )}
+
+        {activeView === 'chatbot' && (
+          <Chatbot
+            currentUser={currentUser}
+            todayStats={todayStats}
+            weekStats={weekStats}
+            categories={categories}
+            onIncrement={handleIncrement}
+            appSettings={appSettings}
+            setAppSettings={setAppSettings}
+            theme={currentTheme}
+            onRefreshData={async () => {
+              try {
+                const [loadedUsers, loadedLogs, loadedAppts, loadedFeed, loadedAssignments] = await Promise.all([
+                  storage.get('users', []),
+                  storage.dailyLogs.getAll(),
+                  storage.appointments.getAll(),
+                  storage.feed.getAll(),
+                  storage.get('goalAssignments', []),
+                ]);
+                setUsers(loadedUsers);
+                setDailyLogs(loadedLogs);
+                setAppointments(loadedAppts);
+                setFeed(loadedFeed);
+                setGoalAssignments(loadedAssignments);
+              } catch (error) {
+                console.error('Failed to refresh data:', error);
+              }
+            }}
+          />
+        )}
+
+        {activeView === 'settings' && (
+          <SettingsPage
+            settings={appSettings}
+            onSaveSettings={saveSettings}
+            currentThemeMode={themeMode}
+            theme={currentTheme}
+            currentUser={currentUser}
+            users={users}
+            setUsers={setUsers}
+            dailyLogs={dailyLogs}
+            appointments={appointments}
+            feed={feed}
+            setDailyLogs={setDailyLogs}
+            setAppointments={setAppointments}
+            setFeed={setFeed}
+            setCurrentUser={setCurrentUser}
+            showToast={showToast}
+            isSupabaseConfigured={isSupabaseConfigured}
+            isOnline={isOnline}
+          />
+        )}
+      </div>
+      
+      {/* Bottom Navigation */}
+      <BottomNav
+        activeView={activeView}
+        onViewChange={setActiveView}
+        isManager={currentUser.role === 'manager'}
+        theme={currentTheme}
+      />
+      
+      {/* Debug Logger */}
+      <DebugLogger showDebugButton={appSettings?.appearance?.showDebugButton !== false} />
+    </div>
+    </>
+  );
+}
+
+// ========================================
+// SYNC ISSUES PANEL
+// ========================================
+
+// Short display of a column value in a conflict
+const formatSyncValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+};
+
+function NotificationCenter({ notifications, users, onOpen, onMarkAllRead, onClose, theme }) {
+  const THEME = theme;
+  const [filter, setFilter] = useState('all');
+  const unreadCount = notifications.filter(n => !n.readAt).length;
+  const shown = filter === 'unread' ? notifications.filter(n => !n.readAt) : notifications;
+  const tabStyle = (isActive) => ({
+    padding: '6px 12px',
+    background: isActive ? THEME.primary : THEME.secondary,
+    color: isActive ? THEME.white : THEME.text,
+    border: 'none',
+    borderRadius: '16px',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  });
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        zIndex: 9998,
+        display: 'flex',
+        alignItems: 'flex-start',
+        justifyContent: 'center',
+        background: 'rgba(0,0,0,0.5)',
+        padding: '16px',
+        boxSizing: 'border-box',
+      }}
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-label="Notifications"
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: THEME.white,
+          color: THEME.text,
+          borderRadius: '12px',
+          padding: '20px',
+          width: '100%',
+          maxWidth: '480px',
+          maxHeight: '80vh',
+          overflowY: 'auto',
+          boxSizing: 'border-box',
+          marginTop: '60px',
+        }}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' }}>
+          <h2 style={{ margin: 0, fontSize: '18px', fontWeight: '700' }}>Notifications</h2>
+          <button onClick={onClose} aria-label="Close" style={{ background: 'none', border: 'none', cursor: 'pointer', color: THEME.textLight }}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '16px' }}>
+          <button onClick={() => setFilter('all')} style={tabStyle(filter === 'all')}>All</button>
+          <button onClick={() => setFilter('unread')} style={tabStyle(filter === 'unread')}>
+            Unread{unreadCount > 0 ? ` (${unreadCount})` : ''}
+          </button>
+          {unreadCount > 0 && (
+            <button
+              onClick={onMarkAllRead}
+              style={{ marginLeft: 'auto', background: 'none', border: 'none', color: THEME.primary, fontSize: '13px', fontWeight: '600', cursor: 'pointer' }}
+            >
+              Mark all read
+            </button>
+          )}
+        </div>
+
+        {shown.length === 0 && (
+          <div style={{ color: THEME.textLight, fontSize: '14px', textAlign: 'center', padding: '24px 0' }}>
+            {filter === 'unread' ? 'You\'re all caught up.' : 'No notifications yet.'}
+          </div>
+        )}
+
+        {shown.map(notification => {
+          const type = NOTIFICATION_TYPES[notification.type] || { icon: '🔔', label: 'Notification' };
+          const actor = notification.actorId ? users.find(u => u.id === notification.actorId) : null;
+          return (
+            <button
+              key={notification.id}
+              onClick={() => onOpen(notification)}
               style={{
-                marginBottom: '24px',
-                paddingBottom: '24px',
-                borderBottom: index < CATEGORIES.length - 1 ? `1px solid ${THEME.border}` : 'none',
-                animation: `fadeInUp 0.3s ease-out ${index * 0.1}s both`,
+                display: 'flex',
+                gap: '12px',
+                width: '100%',
+                textAlign: 'left',
+                padding: '12px',
+                marginBottom: '8px',
+                border: `1px solid ${THEME.border}`,
+                borderRadius: '8px',
+                background: notification.readAt ? THEME.white : THEME.accent,
+                color: THEME.text,
+                cursor: 'pointer',
               }}
             >
-              <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '12px' }}>
-                <div style={{
-                  width: '40px',
-                  height: '40px',
-                  borderRadius: '10px',
-                  background: gradient,
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                }}>
-                  <Icon size={20} color={THEME.white} />
+              <div style={{
+                width: '32px',
+                height: '32px',
+                flexShrink: 0,
+                borderRadius: '50%',
+                background: THEME.secondary,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                fontSize: '15px',
+                fontWeight: '700',
+              }} aria-hidden="true">
+                {type.icon}
+              </div>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontSize: '14px', fontWeight: notification.readAt ? '500' : '700' }}>
+                  {notification.title}
                 </div>
-                <div style={{ 
-                  flex: 1, 
-                  fontSize: '16px', 
-                  fontWeight: '600', 
-                  color: THEME.text,
-                  fontFamily: 'var(--font-body)',
-                }}>
-                  {category.name}
+                {notification.body && (
+                  <div style={{ fontSize: '13px', color: THEME.textLight, marginTop: '2px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {notification.body}
+                  </div>
+                )}
+                <div style={{ fontSize: '12px', color: THEME.textLight, marginTop: '4px' }}>
+                  {type.label}{actor ? ` · ${actor.name}` : ''} · {formatRelativeTime(Date.parse(notification.createdAt))}
                 </div>
               </div>
-              
-              <input
-                type="number"
-                min="0"
-                max="100"
-                value={goals[category.id] || 0}
-                onChange={(e) => setGoals({ ...goals, [category.id]: parseInt(e.target.value) || 0 })}
-                style={{
-                  width: '100%',
-                  padding: '14px',
-                  border: `2px solid ${THEME.border}`,
-                  borderRadius: '10px',
-                  fontSize: '18px',
-                  fontFamily: 'var(--font-mono)',
-                  fontWeight: '600',
-                  boxSizing: 'border-box',
-                  transition: 'all 0.2s ease',
-                }}
-                onFocus={(e) => {
-                  e.currentTarget.style.borderColor = category.color;
-                  e.currentTarget.style.boxShadow = `0 0 0 3px ${category.color}20`;
-                }}
-                onBlur={(e) => {
-                  e.currentTarget.style.borderColor = THEME.border;
-                  e.currentTarget.style.boxShadow = 'none';
-                }}
-              />
-            </div>
+              {!notification.readAt && (
+                <span style={{ width: '8px', height: '8px', borderRadius: '50%', background: THEME.primary, alignSelf: 'center', flexShrink: 0 }} aria-label="Unread" />
+              )}
+            </button>
           );
         })}
-        
-        <button
-          onClick={handleSave}
-          onMouseDown={(e) => {
-            e.currentTarget.style.transform = 'scale(0.98)';
-          }}
-          onMouseUp={(e) => {
-            e.currentTarget.style.transform = 'scale(1)';
-          }}
-          style={{
-            width: '100%',
-            padding: '16px',
-            background: showSaved ? THEME.gradients.success : THEME.gradients.primary,
-            border: 'none',
-            borderRadius: '10px',
-            color: THEME.white,
-            fontSize: '16px',
-            fontWeight: '600',
-            cursor: 'pointer',
-            transition: 'all 0.3s ease',
-            boxShadow: THEME.shadows.md,
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-            gap: '8px',
-            fontFamily: 'var(--font-body)',
-          }}
-        >
-          {showSaved ? (
-            <>
-              <Check size={20} />
-              Saved!
-            </>
-          ) : (
-            'Save Goals'
-          )}
-        </button>
       </div>
     </div>
   );
 }
 
-// ========================================
-// APPOINTMENTS COMPONENT
-// ========================================
-
-function Appointments({ appointments, onAdd, onDelete, theme }) {
+function SyncIssuesPanel({ status, onRetry, onDiscard, onResolve, onClose, theme }) {
   const THEME = theme;
-  const [showForm, setShowForm] = useState(false);
-  const [formData, setFormData] = useState({
-    customerName: '',
-    products: [],
-    notes: '',
-    date: getToday(),
-    time: '09:00',
-    duration: 60,
-    status: 'scheduled',
-    countsAsDemo: true,
+  const buttonStyle = (background, color = THEME.white) => ({
+    padding: '8px 12px',
+    background,
+    color,
+    border: 'none',
+    borderRadius: '6px',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer',
   });
-  const [searchTerm, setSearchTerm] = useState('');
-  
-  const handleSubmit = () => {
-    if (onAdd(formData)) {
-      setFormData({
-        customerName: '',
-        products: [],
-        notes: '',
-        date: getToday(),
-        time: '09:00',
-        duration: 60,
-        status: 'scheduled',
-        countsAsDemo: true,
-      });
-      setShowForm(false);
+  const cardStyle = {
+    border: `1px solid ${THEME.border}`,
+    borderRadius: '8px',
+    padding: '12px',
+    marginBottom: '12px',
+  };
+
+  return (
+    <div
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        zIndex: 9998,
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        background: 'rgba(0,0,0,0.5)',
+        padding: '16px',
+        boxSizing: 'border-box',
+      }}
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-label="Changes that couldn't sync"
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: THEME.white,
+          color: THEME.text,
+          borderRadius: '12px',
+          padding: '20px',
+          width: '100%',
+          maxWidth: '560px',
+          maxHeight: '80vh',
+          overflowY: 'auto',
+          boxSizing: 'border-box',
+        }}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <h2 style={{ margin: 0, fontSize: '18px', fontWeight: '700' }}>Changes that couldn't sync</h2>
+          <button onClick={onClose} aria-label="Close" style={{ background: 'none', border: 'none', cursor: 'pointer', color: THEME.textLight }}>
+            <X size={20} />
+          </button>
+        </div>
+        <p style={{ margin: '0 0 16px', fontSize: '13px', color: THEME.textLight }}>
+          {status.pull?.lastPulledAt
+            ? `Last synced ${new Date(status.pull.lastPulledAt).toLocaleString()}`
+            : 'Not synced from the server yet'}
+          {status.pending > 0 && ` · ${status.pending} change${status.pending === 1 ? '' : 's'} waiting to sync`}
+        </p>
+
+        {status.conflicts.length === 0 && status.failed.length === 0 && (
+          <div style={{ color: THEME.textLight, fontSize: '14px' }}>Everything is in sync.</div>
+        )}
+
+        {status.conflicts.length > 0 && (
+          <>
+            <h3 style={{ margin: '0 0 8px 0', fontSize: '15px', fontWeight: '600' }}>Changed on another device</h3>
+            {status.conflicts.map(conflict => (
+              <div key={conflict.opId} style={cardStyle}>
+                <div style={{ fontWeight: '600', fontSize: '14px', marginBottom: '8px' }}>{describeSyncOperation(conflict)}</div>
+                {conflict.remote ? (
+                  conflict.fields.map(field => (
+                    <div key={field} style={{ fontSize: '13px', marginBottom: '6px' }}>
+                      <div style={{ color: THEME.textLight }}>{field.replace(/_/g, ' ')}</div>
+                      <div>Yours: {formatSyncValue(conflict.data?.[field])}</div>
+                      <div>Theirs: {formatSyncValue(conflict.remote[field])}</div>
+                    </div>
+                  ))
+                ) : (
+                  <div style={{ fontSize: '13px', color: THEME.textLight, marginBottom: '6px' }}>Deleted on another device.</div>
+                )}
+                <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+                  <button onClick={() => onResolve(conflict.opId, 'mine')} style={buttonStyle(THEME.primary)}>Keep mine</button>
+                  <button onClick={() => onResolve(conflict.opId, 'theirs')} style={buttonStyle(THEME.secondary, THEME.text)}>Use theirs</button>
+                </div>
+              </div>
+            ))}
+          </>
+        )}
+
+        {status.failed.length > 0 && (
+          <>
+            <h3 style={{ margin: '0 0 8px 0', fontSize: '15px', fontWeight: '600' }}>Failed to save</h3>
+            {status.failed.map(operation => (
+              <div key={operation.opId} style={cardStyle}>
+                <div style={{ fontWeight: '600', fontSize: '14px' }}>{describeSyncOperation(operation)}</div>
+                <div style={{ fontSize: '13px', color: THEME.danger, margin: '4px 0 8px 0' }}>{operation.error}</div>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <button onClick={() => onRetry(operation.opId)} style={buttonStyle(THEME.primary)}>Retry</button>
+                  <button onClick={() => onDiscard(operation.opId)} style={buttonStyle(THEME.danger)}>Discard</button>
+                </div>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ========================================
+// SIGN IN COMPONENT
+// ========================================
+
+function SignIn({ users, onPinSignIn, onRequestMagicLink, onCreateUser, onSetupPin, rememberUser, onRememberChange, authError, theme }) {
+  const THEME = theme || { /* fallback to light theme if needed */ primary: '#0056A4', secondary: '#F5F7FA', text: '#1A1A2E', textLight: '#6B7280', border: '#E5E7EB', white: '#FFFFFF', accent: '#E8F4FD', success: '#28A745', warning: '#FFC107', danger: '#DC3545', shadows: { md: '0 2px 8px rgba(0, 0, 0, 0.08)' }, gradients: { primary: 'linear-gradient(135deg, #0056A4 0%, #4A90D9 100%)' } };
+  const activeUsers = users.filter(u => !u.archived);
+  const [mode, setMode] = useState(activeUsers.length === 0 ? 'setup' : 'pin');
+  const [selectedUserId, setSelectedUserId] = useState('');
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [email, setEmail] = useState('');
+  const [newName, setNewName] = useState('');
+  const [linkSent, setLinkSent] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const selectedUser = activeUsers.find(u => u.id === selectedUserId);
+  // Accounts created before sign-in existed set their PIN on first use when
+  // everything is on this device; with Supabase a manager sets it
+  const needsPinSetup = selectedUser && !hasCredentials(selectedUser);
+  const awaitingPin = needsPinSetup && isSupabaseConfigured;
+  const emailOnly = selectedUser && !(selectedUser.hasPin || selectedUser.pinHash) && selectedUser.email;
+
+  const pinsMatch = pin.length > 0 && pin === confirmPin;
+  const canSubmitPin = !!selectedUser && !emailOnly && !awaitingPin && pin.length > 0 && (!needsPinSetup || pinsMatch);
+  const canSubmitSetup = !!newName.trim() && pinsMatch;
+
+  const inputStyle = {
+    width: '100%',
+    padding: '12px',
+    border: `2px solid ${THEME.border}`,
+    borderRadius: '8px',
+    fontSize: '16px',
+    boxSizing: 'border-box',
+  };
+
+  const labelStyle = {
+    display: 'block',
+    marginBottom: '8px',
+    fontSize: '14px',
+    fontWeight: '600',
+    color: THEME.text,
+  };
+
+  const submitStyle = (enabled) => ({
+    width: '100%',
+    padding: '16px',
+    background: enabled ? THEME.primary : THEME.border,
+    border: 'none',
+    borderRadius: '8px',
+    color: THEME.white,
+    fontSize: '16px',
+    fontWeight: '600',
+    cursor: enabled ? 'pointer' : 'not-allowed',
+    transition: 'all 0.2s',
+  });
+
+  const tabStyle = (active) => ({
+    flex: 1,
+    padding: '14px',
+    background: active ? THEME.white : 'transparent',
+    border: active ? `2px solid ${THEME.primary}` : 'none',
+    borderRadius: '10px',
+    color: active ? THEME.primary : THEME.textLight,
+    fontWeight: '700',
+    cursor: 'pointer',
+    transition: 'all 0.3s ease',
+    boxShadow: active ? THEME.shadows.md : 'none',
+    fontFamily: 'var(--font-body)',
+  });
+
+  const handlePinInput = (setter) => (e) => {
+    setter(e.target.value.replace(/\D/g, '').slice(0, PIN_MAX_LENGTH));
+  };
+
+  const handlePinSubmit = async () => {
+    if (!canSubmitPin || isSubmitting) return;
+    setIsSubmitting(true);
+    try {
+      const signedIn = needsPinSetup
+        ? await onSetupPin(selectedUser.id, pin)
+        : await onPinSignIn(selectedUser.id, pin);
+      if (signedIn) {
+        setPin('');
+        setConfirmPin('');
+      }
+    } finally {
+      setIsSubmitting(false);
     }
   };
-  
-  const toggleProduct = (productId) => {
-    setFormData(prev => ({
-      ...prev,
-      products: prev.products.includes(productId)
-        ? prev.products.filter(p => p !== productId)
-        : [...prev.products, productId],
-    }));
+
+  const handleEmailSubmit = async () => {
+    if (!email.trim() || isSubmitting) return;
+    setIsSubmitting(true);
+    try {
+      if (await onRequestMagicLink(email)) {
+        setLinkSent(true);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
   };
-  
-  const filteredAppointments = appointments.filter(appt =>
-    appt.customerName.toLowerCase().includes(searchTerm.toLowerCase())
-  );
-  
+
+  const handleSetup = async () => {
+    if (!canSubmitSetup || isSubmitting) return;
+    setIsSubmitting(true);
+    try {
+      await onCreateUser(newName, 'manager', { pin, email });
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
   return (
-    <div>
-      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
-        <h2 style={{ 
-          margin: 0, 
-          fontSize: '24px', 
-          fontWeight: '700', 
-          color: THEME.text,
-          fontFamily: 'var(--font-display)',
+    <div style={{
+      minHeight: '100vh',
+      background: THEME.gradients.background,
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      padding: 'clamp(12px, 4vw, 20px)',
+      fontFamily: 'var(--font-body)',
+      width: '100%',
+      maxWidth: '100vw',
+      overflowX: 'hidden',
+      boxSizing: 'border-box',
+    }}>
+      <div style={{
+        background: THEME.white,
+        borderRadius: '20px',
+        padding: 'clamp(24px, 6vw, 48px)',
+        maxWidth: 'min(420px, calc(100vw - 24px))',
+        width: '100%',
+        boxShadow: THEME.shadows.xl,
+        border: `1px solid ${THEME.border}`,
+        boxSizing: 'border-box',
+      }}>
+        <div style={{
+          textAlign: 'center',
+          marginBottom: '32px',
         }}>
-          Appointments
-        </h2>
-        <button
-          onClick={() => setShowForm(!showForm)}
-          onMouseDown={(e) => {
-            e.currentTarget.style.transform = 'scale(0.95)';
-          }}
-          onMouseUp={(e) => {
-            e.currentTarget.style.transform = 'scale(1)';
-          }}
-          style={{
-            padding: '12px 24px',
+          <div style={{
+            width: 'clamp(70px, 15vw, 90px)',
+            height: 'clamp(70px, 15vw, 90px)',
             background: THEME.gradients.primary,
-            border: 'none',
-            borderRadius: '10px',
-            color: THEME.white,
+            borderRadius: '50%',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            margin: '0 auto 20px',
+            boxShadow: THEME.shadows.layered,
+          }}>
+            <Target size={44} color={THEME.white} />
+          </div>
+          <h1 style={{
+            margin: '0 0 8px 0',
+            fontSize: 'clamp(24px, 6vw, 32px)',
+            fontWeight: '700',
+            color: THEME.text,
+            fontFamily: 'var(--font-display)',
+            letterSpacing: '-0.5px',
+            lineHeight: '1.2',
+          }}>
+            Window Depot
+          </h1>
+          <p style={{
+            margin: 0,
+            fontSize: 'clamp(15px, 4vw, 17px)',
+            color: THEME.textLight,
+            fontFamily: 'var(--font-body)',
+            fontWeight: '500',
+          }}>
+            {mode === 'setup' ? 'Set up your team' : 'Sign in to Goal Tracker'}
+          </p>
+        </div>
+
+        {authError && (
+          <div style={{
+            marginBottom: '20px',
+            padding: '12px',
+            background: `${THEME.danger}15`,
+            border: `1px solid ${THEME.danger}`,
+            borderRadius: '8px',
+            color: THEME.danger,
             fontSize: '14px',
-            fontWeight: '600',
-            cursor: 'pointer',
             display: 'flex',
             alignItems: 'center',
             gap: '8px',
-            transition: 'all 0.2s ease',
-            boxShadow: THEME.shadows.md,
-            fontFamily: 'var(--font-body)',
-          }}
-        >
-          <Plus size={20} />
-          Add Appointment
-        </button>
-      </div>
-      
-      {showForm && (
-        <div style={{
-          background: THEME.white,
-          borderRadius: '12px',
-          padding: '20px',
-          marginBottom: '20px',
-          boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
-        }}>
-          <div style={{ marginBottom: '16px' }}>
-            <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
-              Customer Name
-            </label>
-            <input
-              type="text"
-              value={formData.customerName}
-              onChange={(e) => setFormData({ ...formData, customerName: e.target.value })}
-              placeholder="Enter customer name"
-              maxLength={100}
-              style={{
-                width: '100%',
-                padding: '12px',
-                border: `2px solid ${THEME.border}`,
-                borderRadius: '8px',
-                fontSize: '16px',
-                boxSizing: 'border-box',
-              }}
-            />
+          }}>
+            <AlertCircle size={18} />
+            {authError}
           </div>
-          
-          <div style={{ marginBottom: '16px' }}>
-            <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
-              Date
-            </label>
-            <input
-              type="date"
-              value={formData.date}
-              onChange={(e) => setFormData({ ...formData, date: e.target.value })}
-              max={getToday()}
-              style={{
-                width: '100%',
-                padding: '12px',
-                border: `2px solid ${THEME.border}`,
-                borderRadius: '8px',
-                fontSize: '16px',
-                boxSizing: 'border-box',
-              }}
-            />
+        )}
+
+        {mode !== 'setup' && isSupabaseConfigured && (
+          <div style={{
+            display: 'flex',
+            gap: '8px',
+            marginBottom: '24px',
+            background: THEME.secondary,
+            padding: '4px',
+            borderRadius: '8px',
+          }}>
+            <button onClick={() => setMode('pin')} style={tabStyle(mode === 'pin')}>
+              PIN
+            </button>
+            <button onClick={() => setMode('email')} style={tabStyle(mode === 'email')}>
+              Email Link
+            </button>
           </div>
+        )}
 
-          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginBottom: '16px' }}>
-            <div>
-              <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
-                Time
-              </label>
-              <select
-                value={formData.time}
-                onChange={(e) => setFormData({ ...formData, time: e.target.value })}
-                style={{
-                  width: '100%',
-                  padding: '12px',
-                  border: `2px solid ${THEME.border}`,
-                  borderRadius: '8px',
-                  fontSize: '16px',
-                  boxSizing: 'border-box',
-                  cursor: 'pointer',
-                }}
-              >
-                {TIME_SLOTS.map(time => (
-                  <option key={time} value={time.split(' ')[0].padStart(5, '0')}>{time}</option>
-                ))}
-              </select>
+        {mode === 'setup' && (
+          <div>
+            <p style={{ margin: '0 0 16px 0', fontSize: '14px', color: THEME.textLight }}>
+              Create the first manager account. Managers add everyone else from the Admin panel.
+            </p>
+            <div style={{ marginBottom: '16px' }}>
+              <label style={labelStyle}>Your Name</label>
+              <input
+                type="text"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                placeholder="Enter your name"
+                maxLength={50}
+                style={inputStyle}
+              />
             </div>
-            <div>
-              <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
-                Duration
-              </label>
+            {isSupabaseConfigured && (
+              <div style={{ marginBottom: '16px' }}>
+                <label style={labelStyle}>Email (optional, for magic link sign-in)</label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="you@example.com"
+                  style={inputStyle}
+                />
+              </div>
+            )}
+            <div style={{ marginBottom: '16px' }}>
+              <label style={labelStyle}>Choose a PIN</label>
+              <input
+                type="password"
+                inputMode="numeric"
+                autoComplete="new-password"
+                value={pin}
+                onChange={handlePinInput(setPin)}
+                placeholder="4-8 digits"
+                style={inputStyle}
+              />
+            </div>
+            <div style={{ marginBottom: '24px' }}>
+              <label style={labelStyle}>Confirm PIN</label>
+              <input
+                type="password"
+                inputMode="numeric"
+                autoComplete="new-password"
+                value={confirmPin}
+                onChange={handlePinInput(setConfirmPin)}
+                onKeyPress={(e) => e.key === 'Enter' && handleSetup()}
+                style={inputStyle}
+              />
+            </div>
+            <button onClick={handleSetup} disabled={!canSubmitSetup || isSubmitting} style={submitStyle(canSubmitSetup && !isSubmitting)}>
+              Create Account
+            </button>
+          </div>
+        )}
+
+        {mode === 'pin' && (
+          <div>
+            <div style={{ marginBottom: '16px' }}>
+              <label style={labelStyle}>Name</label>
               <select
-                value={formData.duration}
-                onChange={(e) => setFormData({ ...formData, duration: parseInt(e.target.value) })}
-                style={{
-                  width: '100%',
-                  padding: '12px',
-                  border: `2px solid ${THEME.border}`,
-                  borderRadius: '8px',
-                  fontSize: '16px',
-                  boxSizing: 'border-box',
-                  cursor: 'pointer',
+                value={selectedUserId}
+                onChange={(e) => {
+                  setSelectedUserId(e.target.value);
+                  setPin('');
+                  setConfirmPin('');
                 }}
+                style={{ ...inputStyle, cursor: 'pointer' }}
               >
-                {DURATIONS.map(dur => (
-                  <option key={dur.value} value={dur.value}>{dur.label}</option>
+                <option value="">Select your name</option>
+                {activeUsers.map(user => (
+                  <option key={user.id} value={user.id}>{user.name}</option>
                 ))}
               </select>
             </div>
-          </div>
 
-          <div style={{ marginBottom: '16px' }}>
-            <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
-              Status
-            </label>
-            <select
-              value={formData.status}
-              onChange={(e) => setFormData({ ...formData, status: e.target.value })}
-              style={{
-                width: '100%',
+            {emailOnly ? (
+              <div style={{
+                marginBottom: '16px',
                 padding: '12px',
-                border: `2px solid ${THEME.border}`,
+                background: THEME.secondary,
                 borderRadius: '8px',
-                fontSize: '16px',
-                boxSizing: 'border-box',
-                cursor: 'pointer',
-              }}
-            >
-              {APPOINTMENT_STATUS.map(status => (
-                <option key={status.id} value={status.id}>{status.label}</option>
-              ))}
-            </select>
-          </div>
-
-          <div style={{ marginBottom: '16px' }}>
-            <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
-              Product Interests
-            </label>
-            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px' }}>
-              {PRODUCT_INTERESTS.map(product => (
-                <button
-                  key={product.id}
-                  onClick={() => toggleProduct(product.id)}
-                  style={{
+                fontSize: '14px',
+                color: THEME.textLight,
+              }}>
+                This account signs in with an email link. Use the Email Link tab.
+              </div>
+            ) : awaitingPin ? (
+              <div style={{
+                marginBottom: '16px',
+                padding: '12px',
+                background: THEME.secondary,
+                borderRadius: '8px',
+                fontSize: '14px',
+                color: THEME.textLight,
+              }}>
+                No PIN is set for this account yet. Ask your manager to set one from the Admin Panel.
+              </div>
+            ) : (
+              <>
+                {needsPinSetup && (
+                  <div style={{
+                    marginBottom: '16px',
                     padding: '12px',
-                    background: formData.products.includes(product.id) ? product.color : THEME.secondary,
-                    border: 'none',
+                    background: THEME.accent,
                     borderRadius: '8px',
-                    color: formData.products.includes(product.id) ? THEME.white : THEME.text,
                     fontSize: '14px',
-                    fontWeight: '600',
-                    cursor: 'pointer',
-                    transition: 'all 0.2s',
-                  }}
-                >
-                  {product.label}
-                </button>
-              ))}
-            </div>
-          </div>
-          
-          <div style={{ marginBottom: '16px' }}>
-            <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
-              Notes (optional)
+                    color: THEME.text,
+                  }}>
+                    First time signing in? Choose a PIN for your account.
+                  </div>
+                )}
+                <div style={{ marginBottom: '16px' }}>
+                  <label style={labelStyle}>{needsPinSetup ? 'New PIN' : 'PIN'}</label>
+                  <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete={needsPinSetup ? 'new-password' : 'current-password'}
+                    value={pin}
+                    onChange={handlePinInput(setPin)}
+                    onKeyPress={(e) => e.key === 'Enter' && !needsPinSetup && handlePinSubmit()}
+                    disabled={!selectedUser}
+                    style={inputStyle}
+                  />
+                </div>
+                {needsPinSetup && (
+                  <div style={{ marginBottom: '16px' }}>
+                    <label style={labelStyle}>Confirm PIN</label>
+                    <input
+                      type="password"
+                      inputMode="numeric"
+                      autoComplete="new-password"
+                      value={confirmPin}
+                      onChange={handlePinInput(setConfirmPin)}
+                      onKeyPress={(e) => e.key === 'Enter' && handlePinSubmit()}
+                      style={inputStyle}
+                    />
+                  </div>
+                )}
+              </>
+            )}
+
+            <label style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              fontSize: '14px',
+              color: THEME.textLight,
+              cursor: 'pointer',
+              marginBottom: '24px',
+            }}>
+              <input
+                type="checkbox"
+                checked={rememberUser}
+                onChange={(e) => onRememberChange(e.target.checked)}
+                style={{ cursor: 'pointer' }}
+              />
+              Keep me signed in on this device
             </label>
-            <textarea
-              value={formData.notes}
-              onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
-              placeholder="Add any notes..."
-              maxLength={500}
-              rows={3}
-              style={{
-                width: '100%',
-                padding: '12px',
-                border: `2px solid ${THEME.border}`,
-                borderRadius: '8px',
-                fontSize: '16px',
-                fontFamily: 'inherit',
-                boxSizing: 'border-box',
-                resize: 'vertical',
-              }}
-            />
-          </div>
-          
-          <label style={{
-            display: 'flex',
-            alignItems: 'center',
-            gap: '8px',
-            marginBottom: '16px',
-            fontSize: '14px',
-            color: THEME.text,
-            cursor: 'pointer',
-          }}>
-            <input
-              type="checkbox"
-              checked={formData.countsAsDemo}
-              onChange={(e) => setFormData({ ...formData, countsAsDemo: e.target.checked })}
-              style={{ cursor: 'pointer' }}
-            />
-            Count as Demo
-          </label>
-          
-          <div style={{ display: 'flex', gap: '12px' }}>
-            <button
-              onClick={handleSubmit}
-              disabled={!formData.customerName.trim()}
-              onMouseDown={(e) => {
-                if (formData.customerName.trim()) e.currentTarget.style.transform = 'scale(0.98)';
-              }}
-              onMouseUp={(e) => {
-                e.currentTarget.style.transform = 'scale(1)';
-              }}
-              style={{
-                flex: 1,
-                padding: '16px',
-                background: formData.customerName.trim() ? THEME.gradients.success : THEME.border,
-                border: 'none',
-                borderRadius: '10px',
-                color: THEME.white,
-                fontSize: '16px',
-                fontWeight: '600',
-                cursor: formData.customerName.trim() ? 'pointer' : 'not-allowed',
-                transition: 'all 0.2s ease',
-                boxShadow: formData.customerName.trim() ? THEME.shadows.md : 'none',
-                fontFamily: 'var(--font-body)',
-              }}
-            >
-              Save Appointment
+
+            <button onClick={handlePinSubmit} disabled={!canSubmitPin || isSubmitting} style={submitStyle(canSubmitPin && !isSubmitting)}>
+              Sign In
             </button>
-            <button
-              onClick={() => setShowForm(false)}
-              onMouseDown={(e) => {
-                e.currentTarget.style.transform = 'scale(0.98)';
-              }}
-              onMouseUp={(e) => {
-                e.currentTarget.style.transform = 'scale(1)';
-              }}
-              style={{
-                flex: 1,
-                padding: '16px',
-                background: THEME.secondary,
-                border: `1px solid ${THEME.border}`,
-                borderRadius: '10px',
-                color: THEME.text,
-                fontSize: '16px',
-                fontWeight: '600',
-                cursor: 'pointer',
-                transition: 'all 0.2s ease',
-                fontFamily: 'var(--font-body)',
-              }}
-            >
-              Cancel
-            </button>
-          </div>
-        </div>
-      )}
-      
-      <div style={{ marginBottom: '16px' }}>
-        <div style={{ position: 'relative' }}>
-          <Search size={20} color={THEME.textLight} style={{
-            position: 'absolute',
-            left: '12px',
-            top: '50%',
-            transform: 'translateY(-50%)',
-          }} />
-          <input
-            type="text"
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            placeholder="Search appointments..."
-            style={{
-              width: '100%',
-              padding: '12px 12px 12px 44px',
-              border: `2px solid ${THEME.border}`,
-              borderRadius: '8px',
-              fontSize: '16px',
-              boxSizing: 'border-box',
-            }}
-          />
-        </div>
-      </div>
-      
-      <div style={{ display: 'grid', gap: '12px' }}>
-        {filteredAppointments.length === 0 ? (
-          <div style={{
-            background: THEME.white,
-            borderRadius: '12px',
-            padding: '40px 20px',
-            textAlign: 'center',
-            color: THEME.textLight,
-          }}>
-            <div style={{
-              fontSize: '48px',
-              marginBottom: '16px',
-            }}>
-              📅
-            </div>
-            <div style={{
-              fontSize: '18px',
-              fontWeight: '600',
-              color: THEME.text,
-              marginBottom: '8px',
-              fontFamily: 'var(--font-display)',
-            }}>
-              {searchTerm ? 'No appointments found' : 'No appointments yet'}
-            </div>
-            <div style={{
-              fontSize: '14px',
-              color: THEME.textLight,
-            }}>
-              {searchTerm ? 'Try adjusting your search terms' : 'Start by adding your first appointment'}
-            </div>
           </div>
-        ) : (
-          filteredAppointments.map((appt, index) => (
-            <div
-              key={appt.id}
-              style={{
-                background: THEME.white,
-                borderRadius: '16px',
-                padding: '20px',
-                boxShadow: THEME.shadows.md,
-                border: `1px solid ${THEME.border}`,
-                animation: `fadeInUp 0.4s ease-out ${index * 0.05}s both`,
-                transition: 'all 0.2s ease',
-              }}
-              onMouseEnter={(e) => {
-                e.currentTarget.style.boxShadow = THEME.shadows.layered;
-                e.currentTarget.style.transform = 'translateY(-2px)';
-              }}
-              onMouseLeave={(e) => {
-                e.currentTarget.style.boxShadow = THEME.shadows.md;
-                e.currentTarget.style.transform = 'translateY(0)';
-              }}
-            >
-              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start', marginBottom: '12px' }}>
-                <div>
-                  <div style={{
-                    fontSize: '18px',
-                    fontWeight: '700',
-                    color: THEME.text,
-                    marginBottom: '6px',
-                    fontFamily: 'var(--font-display)',
-                  }}>
-                    {appt.customerName}
-                  </div>
-                  <div style={{
-                    fontSize: '14px',
-                    color: THEME.textLight,
-                    fontFamily: 'var(--font-body)',
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: '12px',
-                    flexWrap: 'wrap',
-                  }}>
-                    <span>📅 {formatDate(appt.date)}</span>
-                    {appt.time && <span>🕐 {appt.time}</span>}
-                    {appt.duration && <span>⏱️ {appt.duration} min</span>}
-                  </div>
-                  {appt.status && (
-                    <div style={{ marginTop: '6px' }}>
-                      <span style={{
-                        padding: '4px 10px',
-                        background: APPOINTMENT_STATUS.find(s => s.id === appt.status)?.color || THEME.primary,
-                        color: THEME.white,
-                        borderRadius: '6px',
-                        fontSize: '11px',
-                        fontWeight: '600',
-                        textTransform: 'uppercase',
-                        letterSpacing: '0.5px',
-                      }}>
-                        {APPOINTMENT_STATUS.find(s => s.id === appt.status)?.label || appt.status}
-                      </span>
-                    </div>
-                  )}
-                </div>
-                <button
-                  onClick={() => onDelete(appt.id)}
-                  style={{
-                    padding: '8px',
-                    background: 'transparent',
-                    border: 'none',
-                    cursor: 'pointer',
-                  }}
-                >
-                  <Trash2 size={18} color={THEME.danger} />
-                </button>
+        )}
+
+        {mode === 'email' && (
+          linkSent ? (
+            <div style={{ textAlign: 'center' }}>
+              <CheckCircle size={40} color={THEME.success} style={{ marginBottom: '12px' }} />
+              <div style={{ fontSize: '16px', fontWeight: '600', color: THEME.text, marginBottom: '8px' }}>
+                Check your inbox
               </div>
-              
-              {appt.products && appt.products.length > 0 && (
-                <div style={{ marginBottom: '12px', display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
-                  {appt.products.map(productId => {
-                    const product = PRODUCT_INTERESTS.find(p => p.id === productId);
-                    return product ? (
-                      <span
-                        key={productId}
-                        style={{
-                          padding: '6px 14px',
-                          background: product.color,
-                          color: THEME.white,
-                          borderRadius: '12px',
-                          fontSize: '12px',
-                          fontWeight: '600',
-                          boxShadow: THEME.shadows.sm,
-                          fontFamily: 'var(--font-body)',
-                        }}
-                      >
-                        {product.label}
-                      </span>
-                    ) : null;
-                  })}
-                </div>
-              )}
-              
-              {appt.notes && (
-                <div style={{
-                  padding: '12px',
+              <div style={{ fontSize: '14px', color: THEME.textLight, marginBottom: '20px' }}>
+                We sent a sign-in link to {email.trim()}. Open it on this device to continue.
+              </div>
+              <button
+                onClick={() => setLinkSent(false)}
+                style={{
+                  padding: '10px 16px',
                   background: THEME.secondary,
+                  border: 'none',
                   borderRadius: '8px',
-                  fontSize: '14px',
                   color: THEME.text,
-                  marginBottom: '8px',
-                }}>
-                  {appt.notes}
-                </div>
-              )}
-              
-              {appt.countsAsDemo && (
-                <div style={{
-                  display: 'inline-flex',
-                  alignItems: 'center',
-                  gap: '6px',
-                  padding: '4px 12px',
-                  background: THEME.success,
-                  color: THEME.white,
-                  borderRadius: '12px',
-                  fontSize: '12px',
+                  fontSize: '14px',
                   fontWeight: '600',
-                }}>
-                  <Calendar size={14} />
-                  Counted as Demo
-                </div>
-              )}
+                  cursor: 'pointer',
+                }}
+              >
+                Use a different email
+              </button>
             </div>
-          ))
+          ) : (
+            <div>
+              <div style={{ marginBottom: '24px' }}>
+                <label style={labelStyle}>Work Email</label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  onKeyPress={(e) => e.key === 'Enter' && handleEmailSubmit()}
+                  placeholder="you@example.com"
+                  style={inputStyle}
+                />
+              </div>
+              <button onClick={handleEmailSubmit} disabled={!email.trim() || isSubmitting} style={submitStyle(!!email.trim() && !isSubmitting)}>
+                Send Sign-In Link
+              </button>
+            </div>
+          )
         )}
       </div>
     </div>
@@ -4634,1556 +5638,1094 @@ function Appointments({ appointments, onAdd, onDelete, theme }) {
 }
 
 // ========================================
-// CHALLENGE CARD COMPONENT
+// PROGRESS RING
 // ========================================
-function ChallengeCard({ post, currentUser, onToggleLike, theme, challenges, userChallenges }) {
-  const THEME = theme;
-
-  // Find the linked challenge
-  const challenge = challenges?.find(c => c.id === post.challengeId);
-  const userProgress = userChallenges?.find(uc => uc.challengeId === post.challengeId && uc.userId === currentUser?.id);
-
-  // Calculate time remaining
-  const endDate = challenge?.endDate ? new Date(challenge.endDate) : null;
-  const now = new Date();
-  const timeRemaining = endDate ? Math.max(0, endDate - now) : 0;
-  const hoursLeft = Math.floor(timeRemaining / (1000 * 60 * 60));
-  const daysLeft = Math.floor(hoursLeft / 24);
-  const remainingHours = hoursLeft % 24;
-
-  // Progress percentage
-  const progress = userProgress?.progress || 0;
-  const goalValue = challenge?.goalValue || 1;
-  const progressPercent = Math.min(100, Math.round((progress / goalValue) * 100));
-  const isCompleted = userProgress?.completed || progressPercent >= 100;
-
-  // Format time remaining display
-  const getTimeDisplay = () => {
-    if (timeRemaining === 0) return 'Ended';
-    if (daysLeft > 0) return `${daysLeft}d ${remainingHours}h left`;
-    if (hoursLeft > 0) return `${hoursLeft}h left`;
-    return 'Ending soon';
-  };
 
-  // Determine header text and styling
-  const isNew = challenge?.createdAt && (now - new Date(challenge.createdAt)) < (24 * 60 * 60 * 1000);
-  const headerText = isCompleted ? 'COMPLETED CHALLENGE' : isNew ? 'NEW CHALLENGE' : 'ACTIVE CHALLENGE';
-  const headerColor = isCompleted ? THEME.success : isNew ? THEME.warning : THEME.primary;
+function ProgressRing({ percent, color, trackColor, size = 96, strokeWidth = 10, children }) {
+  const radius = (size - strokeWidth) / 2;
+  const circumference = 2 * Math.PI * radius;
+  const offset = circumference * (1 - Math.min(Math.max(percent, 0), 100) / 100);
 
   return (
-    <div
-      style={{
-        background: THEME.white,
-        borderRadius: '16px',
-        padding: '0',
-        boxShadow: THEME.shadows.md,
-        overflow: 'hidden',
-        animation: 'fadeInUp 0.4s ease-out both',
-        transition: 'all 0.3s ease',
-        border: `2px solid transparent`,
-        backgroundImage: `linear-gradient(${THEME.white}, ${THEME.white}), linear-gradient(135deg, ${THEME.primary} 0%, ${THEME.warning} 50%, ${THEME.success} 100%)`,
-        backgroundOrigin: 'border-box',
-        backgroundClip: 'padding-box, border-box',
-      }}
-      onMouseEnter={(e) => {
-        e.currentTarget.style.boxShadow = `0 8px 32px rgba(0, 86, 164, 0.2)`;
-        e.currentTarget.style.transform = 'translateY(-4px)';
-      }}
-      onMouseLeave={(e) => {
-        e.currentTarget.style.boxShadow = THEME.shadows.md;
-        e.currentTarget.style.transform = 'translateY(0)';
-      }}
-    >
-      {/* Gradient Header */}
+    <div style={{ position: 'relative', width: size, height: size }}>
+      <svg width={size} height={size} style={{ transform: 'rotate(-90deg)' }}>
+        <circle cx={size / 2} cy={size / 2} r={radius} fill="none" stroke={trackColor} strokeWidth={strokeWidth} />
+        <circle
+          cx={size / 2}
+          cy={size / 2}
+          r={radius}
+          fill="none"
+          stroke={color}
+          strokeWidth={strokeWidth}
+          strokeLinecap="round"
+          strokeDasharray={circumference}
+          strokeDashoffset={offset}
+          style={{ transition: 'stroke-dashoffset 0.5s cubic-bezier(0.4, 0, 0.2, 1)' }}
+        />
+      </svg>
       <div style={{
-        background: `linear-gradient(135deg, ${headerColor} 0%, ${headerColor}CC 100%)`,
-        padding: '12px 20px',
+        position: 'absolute',
+        inset: 0,
         display: 'flex',
+        flexDirection: 'column',
         alignItems: 'center',
-        justifyContent: 'space-between',
+        justifyContent: 'center',
       }}>
-        <div style={{
-          display: 'flex',
-          alignItems: 'center',
-          gap: '8px',
-        }}>
-          <span style={{ fontSize: '20px' }}>🏆</span>
-          <span style={{
-            color: THEME.white,
-            fontSize: '12px',
-            fontWeight: '700',
-            letterSpacing: '1px',
-            fontFamily: 'var(--font-display)',
-          }}>
-            {headerText}
-          </span>
-          {isCompleted && <span style={{ fontSize: '16px' }}>✅</span>}
-        </div>
-        {timeRemaining > 0 && !isCompleted && (
-          <div style={{
-            display: 'flex',
-            alignItems: 'center',
-            gap: '4px',
-            background: 'rgba(255, 255, 255, 0.2)',
-            padding: '4px 10px',
-            borderRadius: '12px',
-          }}>
-            <span style={{ fontSize: '14px' }}>⏰</span>
-            <span style={{
-              color: THEME.white,
-              fontSize: '11px',
-              fontWeight: '600',
-              fontFamily: 'var(--font-body)',
-            }}>
-              {getTimeDisplay()}
-            </span>
-          </div>
-        )}
-      </div>
-
-      {/* Content Area */}
-      <div style={{ padding: '20px' }}>
-        {/* Challenge Title */}
-        <h3 style={{
-          margin: '0 0 8px 0',
-          fontSize: '18px',
-          fontWeight: '700',
-          color: THEME.text,
-          fontFamily: 'var(--font-display)',
-        }}>
-          {challenge?.title || post.content?.split('\n')[0] || 'Challenge'}
-        </h3>
-
-        {/* Description */}
-        <p style={{
-          margin: '0 0 16px 0',
-          fontSize: '14px',
-          color: THEME.textLight,
-          lineHeight: '1.5',
-          fontFamily: 'var(--font-body)',
-        }}>
-          {challenge?.description || post.content || 'Complete this challenge to earn rewards!'}
-        </p>
-
-        {/* Goal Info Box */}
-        <div style={{
-          background: THEME.accent || THEME.secondary,
-          borderRadius: '12px',
-          padding: '14px 16px',
-          marginBottom: '16px',
-          display: 'flex',
-          flexWrap: 'wrap',
-          gap: '16px',
-          justifyContent: 'space-between',
-        }}>
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
-            <span style={{
-              fontSize: '10px',
-              fontWeight: '600',
-              color: THEME.textLight,
-              textTransform: 'uppercase',
-              letterSpacing: '0.5px',
-              fontFamily: 'var(--font-body)',
-            }}>
-              Goal Type
-            </span>
-            <span style={{
-              fontSize: '14px',
-              fontWeight: '700',
-              color: THEME.text,
-              fontFamily: 'var(--font-display)',
-              textTransform: 'capitalize',
-            }}>
-              {challenge?.goalType || 'Activity'}
-            </span>
-          </div>
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
-            <span style={{
-              fontSize: '10px',
-              fontWeight: '600',
-              color: THEME.textLight,
-              textTransform: 'uppercase',
-              letterSpacing: '0.5px',
-              fontFamily: 'var(--font-body)',
-            }}>
-              Target
-            </span>
-            <span style={{
-              fontSize: '14px',
-              fontWeight: '700',
-              color: THEME.text,
-              fontFamily: 'var(--font-display)',
-            }}>
-              {goalValue} {challenge?.goalType || 'total'}
-            </span>
-          </div>
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
-            <span style={{
-              fontSize: '10px',
-              fontWeight: '600',
-              color: THEME.textLight,
-              textTransform: 'uppercase',
-              letterSpacing: '0.5px',
-              fontFamily: 'var(--font-body)',
-            }}>
-              Reward
-            </span>
-            <span style={{
-              fontSize: '14px',
-              fontWeight: '700',
-              color: THEME.warning,
-              fontFamily: 'var(--font-display)',
-            }}>
-              {challenge?.xpReward || 100} XP
-            </span>
-          </div>
-        </div>
-
-        {/* Progress Bar Section */}
-        <div style={{ marginBottom: '16px' }}>
-          <div style={{
-            display: 'flex',
-            justifyContent: 'space-between',
-            alignItems: 'center',
-            marginBottom: '8px',
-          }}>
-            <span style={{
-              fontSize: '12px',
-              fontWeight: '600',
-              color: THEME.textLight,
-              fontFamily: 'var(--font-body)',
-            }}>
-              Your Progress
-            </span>
-            <span style={{
-              fontSize: '12px',
-              fontWeight: '700',
-              color: isCompleted ? THEME.success : THEME.primary,
-              fontFamily: 'var(--font-display)',
-            }}>
-              {progress} / {goalValue} ({progressPercent}%)
-            </span>
-          </div>
-          <div style={{
-            height: '10px',
-            background: THEME.secondary,
-            borderRadius: '5px',
-            overflow: 'hidden',
-            position: 'relative',
-          }}>
-            <div
-              style={{
-                height: '100%',
-                width: `${progressPercent}%`,
-                background: isCompleted
-                  ? THEME.success
-                  : `linear-gradient(90deg, ${THEME.primary} 0%, ${THEME.primary}CC 100%)`,
-                borderRadius: '5px',
-                transition: 'width 0.5s ease-out',
-                position: 'relative',
-                overflow: 'hidden',
-              }}
-            >
-              {/* Animated shimmer effect */}
-              {!isCompleted && progressPercent > 0 && (
-                <div
-                  style={{
-                    position: 'absolute',
-                    top: 0,
-                    left: 0,
-                    right: 0,
-                    bottom: 0,
-                    background: 'linear-gradient(90deg, transparent, rgba(255,255,255,0.3), transparent)',
-                    animation: 'shimmer 2s infinite',
-                  }}
-                />
-              )}
-            </div>
-          </div>
-          <style>{`
-            @keyframes shimmer {
-              0% { transform: translateX(-100%); }
-              100% { transform: translateX(100%); }
-            }
-          `}</style>
-        </div>
-
-        {/* Posted by and Like Section */}
-        <div style={{
-          display: 'flex',
-          justifyContent: 'space-between',
-          alignItems: 'center',
-          paddingTop: '12px',
-          borderTop: `1px solid ${THEME.border}`,
-        }}>
-          <div style={{
-            fontSize: '12px',
-            color: THEME.textLight,
-            fontFamily: 'var(--font-body)',
-          }}>
-            Posted by <span style={{ fontWeight: '600', color: THEME.text }}>{post.userName}</span>
-            {' • '}
-            {formatRelativeTime(post.timestamp)}
-          </div>
-          <button
-            onClick={() => onToggleLike(post.id)}
-            onMouseDown={(e) => {
-              e.currentTarget.style.transform = 'scale(0.9)';
-            }}
-            onMouseUp={(e) => {
-              e.currentTarget.style.transform = 'scale(1)';
-            }}
-            style={{
-              display: 'flex',
-              alignItems: 'center',
-              gap: '6px',
-              padding: '8px 14px',
-              background: (post.likes || []).includes(currentUser?.id)
-                ? THEME.gradients.primary
-                : 'transparent',
-              border: (post.likes || []).includes(currentUser?.id)
-                ? 'none'
-                : `1px solid ${THEME.border}`,
-              borderRadius: '8px',
-              color: (post.likes || []).includes(currentUser?.id) ? THEME.white : THEME.textLight,
-              fontSize: '13px',
-              fontWeight: '600',
-              cursor: 'pointer',
-              transition: 'all 0.2s ease',
-              fontFamily: 'var(--font-body)',
-            }}
-          >
-            <ThumbsUp size={16} />
-            {(post.likes || []).length}
-          </button>
-        </div>
+        {children}
       </div>
     </div>
   );
 }
 
 // ========================================
-// FEED COMPONENT
+// DASHBOARD COMPONENT
 // ========================================
 
-// Memoized FeedPost component for performance
-const FeedPost = React.memo(function FeedPost({
-  post,
-  index,
-  currentUser,
-  onToggleLike,
-  onAddComment,
-  onEditPost,
-  onDeletePost,
-  editingId,
-  setEditingId,
-  editContent,
-  setEditContent,
-  commentingId,
-  setCommentingId,
-  newComment,
-  setNewComment,
-  handleEdit,
-  handleComment,
-  theme,
-}) {
+function Dashboard({ currentUser, todayStats, weekStats, onIncrement, onDecrement, dailyLogs, theme, showToast, challenges, userChallenges, onViewChange, xpCurve, categories, tasks, onCompleteTask }) {
   const THEME = theme;
-  const postRef = React.useRef(null);
-  const [isVisible, setIsVisible] = React.useState(false);
+  const [celebratingCategory, setCelebratingCategory] = useState(null);
+  const [undoHistory, setUndoHistory] = useState([]);
 
-  // Lazy load with Intersection Observer
-  React.useEffect(() => {
-    if (!postRef.current) return;
+  // ========================================
+  // LEVEL & XP (from the manager-defined XP curve)
+  // ========================================
 
-    const observer = new IntersectionObserver(
-      ([entry]) => {
-        if (entry.isIntersecting) {
-          setIsVisible(true);
-          observer.disconnect();
-        }
-      },
-      { rootMargin: '100px' } // Start loading 100px before visible
+  const levelInfo = useMemo(() => getLevelProgress(currentUser.xp || 0, xpCurve), [currentUser.xp, xpCurve]);
+
+  // ========================================
+  // GOAL PROGRESS (daily, weekly and monthly goals)
+  // ========================================
+
+  const goalProgress = useMemo(
+    () => GOAL_PERIODS
+      .map(period => ({ ...period, ...getGoalProgress(currentUser, dailyLogs, period.id, categories) }))
+      .filter(progress => progress.items.length > 0),
+    [currentUser, dailyLogs, categories]
+  );
+
+  const todayXP = useMemo(
+    () => calculateDailyXP(currentUser, dailyLogs, xpCurve)[getToday()] || 0,
+    [currentUser, dailyLogs, xpCurve]
+  );
+
+  // ========================================
+  // STREAK CALCULATOR
+  // ========================================
+
+  // Daily and weekly streaks (see calculatePeriodStreak in src/lib/goals.js)
+  const calculateStreaks = useMemo(() => {
+    const day = calculatePeriodStreak(currentUser, dailyLogs, 'day');
+    const week = calculatePeriodStreak(currentUser, dailyLogs, 'week');
+    return {
+      currentStreak: day.current,
+      bestStreak: day.best,
+      currentWeekStreak: week.current,
+      bestWeekStreak: week.best,
+      hasWeekGoals: Object.values(getUserGoals(currentUser).week).some(goal => goal > 0),
+    };
+  }, [currentUser, dailyLogs]);
+
+  // ========================================
+  // UNDO HISTORY MANAGEMENT
+  // ========================================
+
+  const addToHistory = useCallback((action) => {
+    const timestamp = Date.now();
+    setUndoHistory(prev => {
+      const newHistory = [{ ...action, timestamp }, ...prev];
+      return newHistory.slice(0, 5); // Keep only last 5
+    });
+  }, []);
+
+  const performUndo = useCallback(() => {
+    if (undoHistory.length === 0) return;
+
+    const lastAction = undoHistory[0];
+    const { categoryId, type } = lastAction;
+
+    if (type === 'increment') {
+      onDecrement(categoryId);
+    } else if (type === 'decrement') {
+      onIncrement(categoryId);
+    }
+
+    setUndoHistory(prev => prev.slice(1));
+  }, [undoHistory, onIncrement, onDecrement]);
+
+  // ========================================
+  // PACE INDICATOR
+  // ========================================
+
+  const paceIndicator = useMemo(() => {
+    const weekStart = getWeekStart();
+    const today = getToday();
+    const daysInWeek = Math.ceil((new Date(today) - new Date(weekStart)) / (1000 * 60 * 60 * 24)) + 1;
+    const weekProgress = daysInWeek / 7;
+
+    const messages = [];
+
+    categories.forEach(category => {
+      // A weekly goal wins over seven times the daily goal
+      const weekGoal = getUserGoals(currentUser).week[category.id] || (currentUser.goals[category.id] || 0) * 7;
+      if (!(weekGoal > 0)) return;
+
+      const weekCount = weekStats[category.id] || 0;
+      const dayGoal = weekGoal / 7;
+      const paceGoal = weekGoal * weekProgress;
+
+      if (weekCount >= paceGoal + dayGoal) {
+        messages.push({ category: category.name, status: 'ahead', text: `Ahead of pace on ${category.name}!` });
+      } else if (weekCount < paceGoal - dayGoal) {
+        const needed = Math.ceil((weekGoal - weekCount) / (8 - daysInWeek));
+        messages.push({ category: category.name, status: 'behind', text: `Need ${needed} more ${category.name.toLowerCase()}/day` });
+      } else {
+        messages.push({ category: category.name, status: 'on-track', text: `On track with ${category.name}!` });
+      }
+    });
+
+    return messages;
+  }, [currentUser, weekStats, categories]);
+
+  // ========================================
+  // WEEK PROGRESS MINI-CHART DATA
+  // ========================================
+
+  const last7Days = useMemo(() => {
+    const days = [];
+    const today = getToday();
+    for (let i = 6; i >= 0; i--) {
+      const dateStr = addDays(today, -i);
+      const dayLogs = dailyLogs[dateStr]?.[currentUser.id];
+      const total = sumCategoryCounts(dayLogs);
+      days.push({
+        date: dateStr,
+        name: getDayName(dateStr).slice(0, 3),
+        total: total,
+      });
+    }
+    return days;
+  }, [currentUser, dailyLogs]);
+
+  const maxDay = Math.max(...last7Days.map(d => d.total), 1);
+
+  // ========================================
+  // GOAL INSIGHTS
+  // ========================================
+
+  const goalInsights = useMemo(() => {
+    const insights = [];
+    const now = new Date();
+    const hour = now.getHours();
+
+    // Share of today's goal done (null when the category has no goal)
+    const goalRatio = (categoryId) => (
+      currentUser.goals[categoryId] > 0 ? (todayStats[categoryId] || 0) / currentUser.goals[categoryId] : null
     );
 
-    observer.observe(postRef.current);
+    // Time of day insights
+    if (hour < 12 && currentUser.goals.reviews > 0 && weekStats.reviews < currentUser.goals.reviews * 2) {
+      insights.push("You're usually more productive in the morning - start strong!");
+    } else if (hour >= 14 && hour < 17 && currentUser.goals.reviews > 0 && todayStats.reviews === 0) {
+      insights.push("Afternoon slump? Time to get some reviews done!");
+    }
 
-    return () => observer.disconnect();
+    // Category performance
+    const reviewRatio = goalRatio('reviews');
+    const demoRatio = goalRatio('demos');
+    const callbackRatio = goalRatio('callbacks');
+
+    if (demoRatio !== null && reviewRatio !== null && demoRatio < 0.5 && reviewRatio > 0.8) {
+      insights.push("You're crushing reviews! Schedule more demos to follow up.");
+    }
+
+    if (callbackRatio !== null && callbackRatio < 0.3 && weekStats.callbacks > 0) {
+      insights.push("Callbacks are trailing. Consider a callback blitz!");
+    }
+
+    const ratios = categories.map(category => goalRatio(category.id)).filter(ratio => ratio !== null);
+    if (ratios.length > 0 && ratios.every(ratio => ratio >= 1)) {
+      insights.push("Excellent balance across all categories today!");
+    }
+
+    // Weekly momentum
+    if (last7Days.length >= 3) {
+      const recentAvg = last7Days.slice(-3).reduce((sum, d) => sum + d.total, 0) / 3;
+      const earlierAvg = last7Days.slice(0, 3).reduce((sum, d) => sum + d.total, 0) / 3;
+
+      if (recentAvg > earlierAvg * 1.2) {
+        insights.push("Great momentum this week! Keep the energy high!");
+      } else if (recentAvg < earlierAvg * 0.8 && earlierAvg > 0) {
+        insights.push("Energy is dipping. Time to refocus!");
+      }
+    }
+
+    return insights.length > 0 ? insights : ["Keep pushing towards your goals!"];
+  }, [currentUser, todayStats, weekStats, last7Days, calculateStreaks]);
+
+  // ========================================
+  // FOLLOW-UP TASKS (due today or overdue)
+  // ========================================
+
+  const taskToday = getToday();
+  const dueTasks = useMemo(() => getDueTasks(tasks, currentUser.id, taskToday), [tasks, currentUser.id, taskToday]);
+
+  // ========================================
+  // DAILY MOTIVATIONAL QUOTE
+  // ========================================
+
+  const dailyQuote = useMemo(() => {
+    // Use today's date to consistently pick the same quote all day
+    const today = new Date();
+    const dayOfYear = Math.floor((today - new Date(today.getFullYear(), 0, 0)) / (1000 * 60 * 60 * 24));
+    const quoteIndex = dayOfYear % MOTIVATIONAL_QUOTES.length;
+    return MOTIVATIONAL_QUOTES[quoteIndex];
   }, []);
 
-  // Render placeholder for posts not yet visible (first 20 always visible)
-  if (!isVisible && index >= 20) {
-    return (
-      <div
-        ref={postRef}
-        style={{
+  const handleIncrement = (categoryId) => {
+    onIncrement(categoryId);
+    addToHistory({ categoryId, type: 'increment' });
+
+    const newCount = (todayStats[categoryId] || 0) + 1;
+    const goal = currentUser.goals[categoryId];
+    if (newCount >= goal) {
+      setCelebratingCategory(categoryId);
+      setTimeout(() => setCelebratingCategory(null), 2000);
+    }
+  };
+
+  const handleDecrement = (categoryId) => {
+    onDecrement(categoryId);
+    addToHistory({ categoryId, type: 'decrement' });
+  };
+
+  return (
+    <div>
+      <h2 style={{
+        margin: '0 0 16px 0',
+        fontSize: 'clamp(20px, 5vw, 24px)',
+        fontWeight: '700',
+        color: THEME.text,
+        fontFamily: 'var(--font-display)',
+        lineHeight: '1.2',
+      }}>
+        Today's Progress
+      </h2>
+
+      {/* Daily Motivational Quote */}
+      <div style={{
+        background: 'linear-gradient(135deg, #667EEA 0%, #764BA2 100%)',
+        borderRadius: '12px',
+        padding: 'clamp(12px, 3vw, 16px) clamp(16px, 4vw, 20px)',
+        marginBottom: '20px',
+        boxShadow: THEME.shadows.md,
+        color: THEME.white,
+        textAlign: 'center',
+        width: '100%',
+        maxWidth: '100%',
+        boxSizing: 'border-box',
+      }}>
+        <div style={{
+          fontSize: '11px',
+          fontWeight: '600',
+          opacity: 0.9,
+          marginBottom: '6px',
+          textTransform: 'uppercase',
+          letterSpacing: '0.5px',
+        }}>
+          Daily Motivation
+        </div>
+        <div style={{
+          fontSize: '15px',
+          fontWeight: '500',
+          fontStyle: 'italic',
+          opacity: 0.95,
+          lineHeight: '1.5',
+          fontFamily: 'var(--font-body)',
+        }}>
+          "{dailyQuote}"
+        </div>
+        <div style={{
+          fontSize: '11px',
+          marginTop: '8px',
+          opacity: 0.75,
+          fontFamily: 'var(--font-body)',
+        }}>
+          Press {categories.map(c => c.name[0].toUpperCase()).join('/')} for quick add
+        </div>
+      </div>
+
+      {/* Follow-up Tasks */}
+      {dueTasks.length > 0 && (
+        <div style={{
           background: THEME.white,
           borderRadius: '16px',
           padding: '20px',
+          marginBottom: '20px',
           boxShadow: THEME.shadows.md,
-          borderLeft: `4px solid ${THEME.border}`,
-          minHeight: '200px',
-        }}
-      />
-    );
-  }
-
-  return (
-    <div
-      ref={postRef}
-      style={{
-        background: THEME.white,
-        borderRadius: '16px',
-        padding: '20px',
-        boxShadow: THEME.shadows.md,
-        borderLeft: post.isAuto ? `4px solid ${THEME.warning}` : `4px solid ${THEME.primary}`,
-        animation: `fadeInUp 0.4s ease-out ${index * 0.05}s both`,
-        transition: 'all 0.2s ease',
-      }}
-      onMouseEnter={(e) => {
-        e.currentTarget.style.boxShadow = THEME.shadows.layered;
-        e.currentTarget.style.transform = 'translateY(-2px)';
-      }}
-      onMouseLeave={(e) => {
-        e.currentTarget.style.boxShadow = THEME.shadows.md;
-        e.currentTarget.style.transform = 'translateY(0)';
-      }}
-    >
-      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start', marginBottom: '12px' }}>
-        <div style={{ flex: 1 }}>
-          <div style={{ 
-            fontSize: '15px', 
-            fontWeight: '700', 
+        }}>
+          <h3 style={{
+            margin: '0 0 12px 0',
+            fontSize: '16px',
+            fontWeight: '700',
             color: THEME.text,
             fontFamily: 'var(--font-display)',
-            marginBottom: '4px',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
           }}>
-            {post.userName}
+            <Phone size={18} color={THEME.primary} /> Follow-ups Due
+          </h3>
+          <div style={{ display: 'grid', gap: '8px' }}>
+            {dueTasks.map(task => {
+              const overdue = task.dueDate < taskToday;
+              return (
+                <div
+                  key={task.id}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'space-between',
+                    gap: '12px',
+                    padding: '10px 12px',
+                    background: THEME.secondary,
+                    borderLeft: `4px solid ${overdue ? THEME.danger : THEME.warning}`,
+                    borderRadius: '8px',
+                  }}
+                >
+                  <div>
+                    <div style={{ fontSize: '14px', fontWeight: '600', color: THEME.text }}>{describeTask(task)}</div>
+                    <div style={{ fontSize: '12px', fontWeight: '600', color: overdue ? THEME.danger : THEME.textLight }}>
+                      {overdue ? `Overdue · was due ${formatDate(task.dueDate)}` : 'Due today'}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => onCompleteTask(task.id)}
+                    aria-label={`Complete: ${describeTask(task)}`}
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '4px',
+                      padding: '8px 12px',
+                      background: THEME.gradients.success,
+                      border: 'none',
+                      borderRadius: '8px',
+                      color: THEME.white,
+                      fontSize: '13px',
+                      fontWeight: '600',
+                      cursor: 'pointer',
+                      whiteSpace: 'nowrap',
+                    }}
+                  >
+                    <Check size={16} />
+                    Done
+                  </button>
+                </div>
+              );
+            })}
           </div>
-          <div style={{ 
-            fontSize: '12px', 
-            color: THEME.textLight,
-            fontFamily: 'var(--font-body)',
+        </div>
+      )}
+
+      {/* Level & XP */}
+      <div style={{
+        background: THEME.white,
+        borderRadius: '16px',
+        padding: 'clamp(16px, 4vw, 20px)',
+        marginBottom: '20px',
+        boxShadow: THEME.shadows.md,
+        width: '100%',
+        maxWidth: '100%',
+        boxSizing: 'border-box',
+      }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '12px' }}>
+          <div style={{
+            width: '48px',
+            height: '48px',
+            background: THEME.gradients.gold,
+            borderRadius: '50%',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            color: THEME.white,
+            fontSize: '18px',
+            fontWeight: '700',
+            fontFamily: 'var(--font-mono)',
+            boxShadow: THEME.shadows.md,
           }}>
-            {formatRelativeTime(post.timestamp)}
-            {post.edited && ' (edited)'}
+            {levelInfo.level}
           </div>
-        </div>
-        {post.userId === currentUser.id && !post.isAuto && (
-          <div style={{ display: 'flex', gap: '8px' }}>
-            <button
-              onClick={() => {
-                setEditingId(post.id);
-                setEditContent(post.content);
-              }}
-              style={{
-                padding: '4px',
-                background: 'transparent',
-                border: 'none',
-                cursor: 'pointer',
-              }}
-            >
-              <Edit2 size={16} color={THEME.textLight} />
-            </button>
-            <button
-              onClick={() => onDeletePost(post.id)}
-              style={{
-                padding: '4px',
-                background: 'transparent',
-                border: 'none',
-                cursor: 'pointer',
-              }}
-            >
-              <Trash2 size={16} color={THEME.danger} />
-            </button>
+          <div style={{ flex: 1 }}>
+            <div style={{ fontSize: '16px', fontWeight: '700', color: THEME.text, fontFamily: 'var(--font-display)' }}>
+              Level {levelInfo.level}
+            </div>
+            <div style={{ fontSize: '12px', color: THEME.textLight, fontFamily: 'var(--font-body)' }}>
+              {(currentUser.xp || 0).toLocaleString()} XP • {levelInfo.xpToNextLevel.toLocaleString()} XP to level {levelInfo.level + 1}
+            </div>
           </div>
-        )}
-      </div>
-      
-      {editingId === post.id ? (
-        <div>
-          <textarea
-            value={editContent}
-            onChange={(e) => setEditContent(e.target.value)}
-            maxLength={500}
-            rows={3}
-            style={{
-              width: '100%',
-              padding: '12px',
-              border: `2px solid ${THEME.border}`,
-              borderRadius: '8px',
+          {todayXP > 0 && (
+            <div style={{
               fontSize: '14px',
-              fontFamily: 'inherit',
-              boxSizing: 'border-box',
-              resize: 'vertical',
-              marginBottom: '8px',
-            }}
-          />
-          <div style={{ display: 'flex', gap: '8px' }}>
-            <button
-              onClick={() => handleEdit(post.id)}
-              style={{
-                padding: '8px 16px',
-                background: THEME.success,
-                border: 'none',
-                borderRadius: '6px',
-                color: THEME.white,
-                fontSize: '12px',
-                fontWeight: '600',
-                cursor: 'pointer',
-              }}
-            >
-              <Check size={14} />
-            </button>
-            <button
-              onClick={() => {
-                setEditingId(null);
-                setEditContent('');
-              }}
-              style={{
-                padding: '8px 16px',
-                background: THEME.secondary,
-                border: 'none',
-                borderRadius: '6px',
-                color: THEME.text,
-                fontSize: '12px',
-                fontWeight: '600',
-                cursor: 'pointer',
-              }}
-            >
-              <X size={14} />
-            </button>
-          </div>
+              fontWeight: '700',
+              color: THEME.success,
+              fontFamily: 'var(--font-mono)',
+            }}>
+              +{todayXP} XP today
+            </div>
+          )}
         </div>
-      ) : (
         <div style={{
-          fontSize: '15px',
-          color: THEME.text,
-          marginBottom: '12px',
-          lineHeight: '1.6',
-          fontFamily: 'var(--font-body)',
+          height: '10px',
+          background: THEME.secondary,
+          borderRadius: '6px',
+          overflow: 'hidden',
         }}>
-          {post.content}
-        </div>
-      )}
-      
-      <div style={{ display: 'flex', gap: '12px', paddingTop: '12px', borderTop: `1px solid ${THEME.border}` }}>
-        <button
-          onClick={() => onToggleLike(post.id)}
-          onMouseDown={(e) => {
-            e.currentTarget.style.transform = 'scale(0.9)';
-          }}
-          onMouseUp={(e) => {
-            e.currentTarget.style.transform = 'scale(1)';
-          }}
-          style={{
-            display: 'flex',
-            alignItems: 'center',
-            gap: '6px',
-            padding: '8px 14px',
-            background: (post.likes || []).includes(currentUser.id) 
-              ? THEME.gradients.primary 
-              : 'transparent',
-            border: (post.likes || []).includes(currentUser.id) 
-              ? 'none' 
-              : `1px solid ${THEME.border}`,
-            borderRadius: '8px',
-            color: (post.likes || []).includes(currentUser.id) ? THEME.white : THEME.textLight,
-            fontSize: '13px',
-            fontWeight: '600',
-            cursor: 'pointer',
-            transition: 'all 0.2s ease',
-            fontFamily: 'var(--font-body)',
-          }}
-        >
-          <ThumbsUp size={16} />
-          {(post.likes || []).length}
-        </button>
-        <button
-          onClick={() => setCommentingId(commentingId === post.id ? null : post.id)}
-          onMouseDown={(e) => {
-            e.currentTarget.style.transform = 'scale(0.9)';
-          }}
-          onMouseUp={(e) => {
-            e.currentTarget.style.transform = 'scale(1)';
-          }}
-          style={{
-            display: 'flex',
-            alignItems: 'center',
-            gap: '6px',
-            padding: '6px 12px',
-            background: 'transparent',
-            border: 'none',
+          <div style={{
+            height: '100%',
+            width: `${Math.min(levelInfo.xpProgress, 100)}%`,
+            background: THEME.gradients.gold,
+            transition: 'width 0.5s cubic-bezier(0.4, 0, 0.2, 1)',
             borderRadius: '6px',
-            color: THEME.textLight,
-            fontSize: '12px',
-            fontWeight: '600',
-            cursor: 'pointer',
-          }}
-        >
-          <MessageSquare size={14} />
-          {(post.comments || []).length}
-        </button>
+          }} />
+        </div>
       </div>
-      
-      {(post.comments || []).length > 0 && (
-        <div style={{ marginTop: '12px', paddingTop: '12px', borderTop: `1px solid ${THEME.border}` }}>
-          {post.comments.map(comment => (
-            <div key={comment.id} style={{
-              padding: '8px 12px',
-              background: THEME.secondary,
-              borderRadius: '8px',
-              marginBottom: '8px',
-            }}>
-              <div style={{ fontSize: '12px', fontWeight: '600', color: THEME.text, marginBottom: '4px' }}>
-                {comment.userName}
-              </div>
-              <div style={{ fontSize: '12px', color: THEME.text }}>
-                {comment.content}
+
+      {goalProgress.length > 0 && (
+        <div style={{
+          background: THEME.white,
+          borderRadius: '16px',
+          padding: 'clamp(16px, 4vw, 20px)',
+          marginBottom: '20px',
+          boxShadow: THEME.shadows.md,
+          width: '100%',
+          maxWidth: '100%',
+          boxSizing: 'border-box',
+        }}>
+          <div style={{ fontSize: '16px', fontWeight: '700', color: THEME.text, fontFamily: 'var(--font-display)', marginBottom: '16px' }}>
+            Goal Progress
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))', gap: '16px' }}>
+            {goalProgress.map(progress => (
+              <div key={progress.id} style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: '8px' }}>
+                <ProgressRing
+                  percent={progress.percent}
+                  color={progress.met ? THEME.success : THEME.primary}
+                  trackColor={THEME.secondary}
+                >
+                  <div style={{ fontSize: '20px', fontWeight: '700', color: THEME.text, fontFamily: 'var(--font-mono)' }}>
+                    {progress.percent}%
+                  </div>
+                </ProgressRing>
+                <div style={{ fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+                  {progress.label}
+                </div>
+                <div style={{ fontSize: '12px', color: THEME.textLight, textAlign: 'center', fontFamily: 'var(--font-body)' }}>
+                  {progress.items.map(item => `${item.name} ${item.count}/${item.target}`).join(' • ')}
+                </div>
               </div>
-            </div>
-          ))}
-        </div>
-      )}
-      
-      {commentingId === post.id && (
-        <div style={{ marginTop: '12px', paddingTop: '12px', borderTop: `1px solid ${THEME.border}` }}>
-          <textarea
-            value={newComment}
-            onChange={(e) => setNewComment(e.target.value)}
-            placeholder="Write a comment..."
-            maxLength={300}
-            rows={2}
-            style={{
-              width: '100%',
-              padding: '8px',
-              border: `2px solid ${THEME.border}`,
-              borderRadius: '6px',
-              fontSize: '12px',
-              fontFamily: 'inherit',
-              boxSizing: 'border-box',
-              resize: 'vertical',
-              marginBottom: '8px',
-            }}
-          />
-          <button
-            onClick={() => handleComment(post.id)}
-            disabled={!newComment.trim()}
-            onMouseDown={(e) => {
-              if (newComment.trim()) e.currentTarget.style.transform = 'scale(0.95)';
-            }}
-            onMouseUp={(e) => {
-              e.currentTarget.style.transform = 'scale(1)';
-            }}
-            style={{
-              padding: '8px 16px',
-              background: newComment.trim() ? THEME.gradients.primary : THEME.border,
-              border: 'none',
-              borderRadius: '8px',
-              color: THEME.white,
-              fontSize: '12px',
-              fontWeight: '600',
-              cursor: newComment.trim() ? 'pointer' : 'not-allowed',
-              transition: 'all 0.2s ease',
-              boxShadow: newComment.trim() ? THEME.shadows.sm : 'none',
-              fontFamily: 'var(--font-body)',
-            }}
-          >
-            Comment
-          </button>
+            ))}
+          </div>
         </div>
       )}
-    </div>
-  );
-}, (prevProps, nextProps) => {
-  // Custom comparison function for React.memo
-  return (
-    prevProps.post.id === nextProps.post.id &&
-    prevProps.post.likes?.length === nextProps.post.likes?.length &&
-    prevProps.post.comments?.length === nextProps.post.comments?.length &&
-    prevProps.editingId === nextProps.editingId &&
-    prevProps.commentingId === nextProps.commentingId &&
-    prevProps.editContent === nextProps.editContent &&
-    prevProps.newComment === nextProps.newComment
-  );
-});
-
-function Feed({
-  feed,
-  currentUser,
-  onAddPost,
-  onToggleLike,
-  onAddComment,
-  onEditPost,
-  onDeletePost,
-  onAddReaction,
-  onTogglePinPost,
-  onUpdateFilters,
-  onMarkAsRead,
-  filteredFeed,
-  feedReactions,
-  feedFilters,
-  pinnedPosts,
-  unreadCount,
-  theme,
-  users,
-  challenges,
-  userChallenges
-}) {
-  const THEME = theme;
-  const [newPost, setNewPost] = useState('');
-  const [editingId, setEditingId] = useState(null);
-  const [editContent, setEditContent] = useState('');
-  const [commentingId, setCommentingId] = useState(null);
-  const [newComment, setNewComment] = useState('');
-  // const [showReactionPicker, setShowReactionPicker] = useState(null); // TODO: For future use - reaction picker feature
-  const [viewMode, setViewMode] = useState('feed'); // 'feed' or 'achievements'
-
-  // const EMOJI_REACTIONS = ['👍', '❤️', '🔥', '💪', '🎉', '🎯']; // TODO: For future use - reaction system
-
-  // Backwards compatibility - if new props not provided, use defaults
-  // const displayFeed = filteredFeed || feed; // TODO: For future use - feed display modes
-  const reactions = feedReactions || {};
-  
-  const handlePost = () => {
-    if (onAddPost(newPost)) {
-      setNewPost('');
-    }
-  };
-  
-  const handleEdit = (postId) => {
-    if (onEditPost(postId, editContent)) {
-      setEditingId(null);
-      setEditContent('');
-    }
-  };
-  
-  const handleComment = (postId) => {
-    if (onAddComment(postId, newComment)) {
-      setNewComment('');
-      setCommentingId(null);
-    }
-  };
-
-  // const handleAddReaction = (postId, emoji) => { // TODO: For future use - reaction handler
-  //   if (onAddReaction) {
-  //     onAddReaction(postId, emoji);
-  //     setShowReactionPicker(null);
-  //   }
-  // };
-
-  // const getReactionCounts = (postId) => { // TODO: For future use - reaction counting
-  //   const reactionKey = `${postId}_reactions`;
-  //   const postReactions = reactions[reactionKey] || {};
-  //   const counts = {};
-  //
-  //   Object.values(postReactions).forEach(userReactions => {
-  //     userReactions.forEach(emoji => {
-  //       counts[emoji] = (counts[emoji] || 0) + 1;
-  //     });
-  //   });
-  //
-  //   return counts;
-  // };
 
-  // const getUserReactions = (postId) => { // TODO: For future use - user reaction retrieval
-  //   const reactionKey = `${postId}_reactions`;
-  //   const postReactions = reactions[reactionKey] || {};
-  //   return postReactions[currentUser?.id] || [];
-  // };
+      <div style={{ display: 'grid', gap: '16px', marginBottom: '32px' }}>
+        {categories.map((category, index) => {
+          const count = todayStats[category.id] || 0;
+          const goal = currentUser.goals[category.id] || 0;
+          const progress = goal > 0 ? (count / goal) * 100 : 0;
+          const Icon = getCategoryIcon(category);
+          const isGoalReached = goal > 0 && count >= goal;
+          const isCelebrating = celebratingCategory === category.id;
 
-  // const achievementPosts = feed.filter(p => p.type === 'achievement' || p.isAuto); // TODO: For future use - achievement filtering
+          // Determine gradient based on category
+          const gradient = getCategoryGradient(category, THEME);
 
-  return (
-    <div>
-      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
-        <h2 style={{
-          margin: 0,
-          fontSize: '24px',
-          fontWeight: '700',
-          color: THEME.text,
-          fontFamily: 'var(--font-display)',
-          display: 'flex',
-          alignItems: 'center',
-          gap: '12px',
-        }}>
-          Team Feed
-          {unreadCount > 0 && (
-            <span style={{
-              background: THEME.danger,
-              color: THEME.white,
-              borderRadius: '50%',
-              width: '24px',
-              height: '24px',
-              display: 'flex',
-              alignItems: 'center',
-              justifyContent: 'center',
-              fontSize: '12px',
-              fontWeight: '700',
-            }}>
-              {unreadCount}
-            </span>
-          )}
-        </h2>
-        <div style={{ display: 'flex', gap: '8px' }}>
-          <button
-            onClick={() => setViewMode(viewMode === 'feed' ? 'achievements' : 'feed')}
-            style={{
-              padding: '8px 16px',
-              background: viewMode === 'achievements' ? THEME.gradients.primary : THEME.secondary,
-              border: 'none',
-              borderRadius: '8px',
-              color: viewMode === 'achievements' ? THEME.white : THEME.text,
-              fontSize: '12px',
-              fontWeight: '600',
-              cursor: 'pointer',
-              transition: 'all 0.2s ease',
-            }}
-          >
-            {viewMode === 'achievements' ? '🏆 Achievements' : '📰 Feed'}
-          </button>
-          {unreadCount > 0 && (
-            <button
-              onClick={onMarkAsRead}
+          return (
+            <div
+              key={category.id}
               style={{
-                padding: '8px 16px',
-                background: THEME.secondary,
-                border: 'none',
-                borderRadius: '8px',
-                color: THEME.text,
-                fontSize: '12px',
-                fontWeight: '600',
-                cursor: 'pointer',
-                transition: 'all 0.2s ease',
+                background: THEME.white,
+                borderRadius: '16px',
+                padding: 'clamp(16px, 4vw, 24px)',
+                boxShadow: isGoalReached ? THEME.shadows.layered : THEME.shadows.md,
+                border: isGoalReached ? `2px solid ${category.color}` : 'none',
+                transform: isCelebrating ? 'scale(1.02)' : 'scale(1)',
+                transition: 'all 0.3s ease',
+                animation: isCelebrating ? 'bounce 0.6s ease-in-out' : 'none',
+                width: '100%',
+                maxWidth: '100%',
+                boxSizing: 'border-box',
               }}
             >
-              Mark Read
-            </button>
-          )}
-        </div>
-      </div>
-      
-      <div style={{
-        background: THEME.white,
-        borderRadius: '16px',
-        padding: '24px',
-        marginBottom: '20px',
-        boxShadow: THEME.shadows.layered,
-        border: `1px solid ${THEME.border}`,
-      }}>
-        <textarea
-          value={newPost}
-          onChange={(e) => setNewPost(e.target.value)}
-          placeholder="Share an update with the team..."
-          maxLength={500}
-          rows={3}
-          style={{
-            width: '100%',
-            padding: '14px',
-            border: `2px solid ${THEME.border}`,
-            borderRadius: '10px',
-            fontSize: '16px',
-            fontFamily: 'var(--font-body)',
-            boxSizing: 'border-box',
-            resize: 'vertical',
+              <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '16px' }}>
+                <div style={{
+                  width: '52px',
+                  height: '52px',
+                  background: gradient,
+                  borderRadius: '14px',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  boxShadow: THEME.shadows.md,
+                  transform: isCelebrating ? 'rotate(360deg)' : 'rotate(0deg)',
+                  transition: 'transform 0.6s ease',
+                }}>
+                  <Icon size={26} color={THEME.white} />
+                </div>
+                <div style={{ flex: 1 }}>
+                  <div style={{
+                    fontSize: '16px',
+                    fontWeight: '600',
+                    color: THEME.text,
+                    fontFamily: 'var(--font-body)',
+                  }}>
+                    {category.name}
+                  </div>
+                  <div style={{
+                    fontSize: '28px',
+                    fontWeight: '700',
+                    background: gradient,
+                    WebkitBackgroundClip: 'text',
+                    WebkitTextFillColor: 'transparent',
+                    backgroundClip: 'text',
+                    fontFamily: 'var(--font-mono)',
+                    letterSpacing: '-0.5px',
+                  }}>
+                    {goal > 0 ? `${count} / ${goal}` : count}
+                  </div>
+                </div>
+                {isGoalReached && (
+                  <div style={{
+                    fontSize: '24px',
+                    animation: 'pulse 2s infinite',
+                  }}>
+                    🎉
+                  </div>
+                )}
+              </div>
+
+              <div style={{
+                height: '14px',
+                background: THEME.secondary,
+                borderRadius: '8px',
+                overflow: 'hidden',
+                marginBottom: '16px',
+                boxShadow: 'inset 0 2px 4px rgba(0,0,0,0.1)',
+              }}>
+                <div style={{
+                  height: '100%',
+                  width: `${Math.min(progress, 100)}%`,
+                  background: gradient,
+                  transition: 'width 0.5s cubic-bezier(0.4, 0, 0.2, 1)',
+                  borderRadius: '8px',
+                  boxShadow: progress >= 100 ? `0 0 12px ${category.color}40` : 'none',
+                }} />
+              </div>
+
+              <div style={{ display: 'flex', gap: '12px' }}>
+                <button
+                  onClick={() => handleDecrement(category.id)}
+                  disabled={count === 0}
+                  onMouseDown={(e) => {
+                    e.currentTarget.style.transform = 'scale(0.95)';
+                  }}
+                  onMouseUp={(e) => {
+                    e.currentTarget.style.transform = 'scale(1)';
+                  }}
+                  style={{
+                    flex: 1,
+                    padding: 'clamp(12px, 3vw, 18px)',
+                    background: count === 0 ? THEME.border : THEME.gradients.danger,
+                    border: 'none',
+                    borderRadius: '10px',
+                    color: THEME.white,
+                    fontSize: 'clamp(20px, 5vw, 24px)',
+                    fontWeight: '700',
+                    cursor: count === 0 ? 'not-allowed' : 'pointer',
+                    minHeight: 'clamp(60px, 12vw, 72px)',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    transition: 'all 0.2s ease',
+                    boxShadow: count === 0 ? 'none' : THEME.shadows.md,
+                    boxSizing: 'border-box',
+                  }}
+                >
+                  <Minus size={28} />
+                </button>
+                <button
+                  onClick={() => handleIncrement(category.id)}
+                  onMouseDown={(e) => {
+                    e.currentTarget.style.transform = 'scale(0.95)';
+                  }}
+                  onMouseUp={(e) => {
+                    e.currentTarget.style.transform = 'scale(1)';
+                  }}
+                  style={{
+                    flex: 1,
+                    padding: 'clamp(12px, 3vw, 18px)',
+                    background: gradient,
+                    border: 'none',
+                    borderRadius: '10px',
+                    color: THEME.white,
+                    fontSize: 'clamp(20px, 5vw, 24px)',
+                    fontWeight: '700',
+                    cursor: 'pointer',
+                    minHeight: '72px',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    transition: 'all 0.2s ease',
+                    boxShadow: THEME.shadows.md,
+                  }}
+                >
+                  <Plus size={28} />
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div style={{ display: 'grid', gap: '20px', marginBottom: '32px' }}>
+        {/* Streak Counter */}
+        <div style={{
+          background: 'linear-gradient(135deg, #FF6B6B 0%, #FF8E72 100%)',
+          borderRadius: '16px',
+          padding: '24px',
+          boxShadow: THEME.shadows.md,
+          color: THEME.white,
+          textAlign: 'center',
+        }}>
+          <div style={{
+            fontSize: '14px',
+            fontWeight: '600',
+            opacity: 0.9,
+            marginBottom: '8px',
+            textTransform: 'uppercase',
+            letterSpacing: '0.5px',
+          }}>
+            Current Streak
+          </div>
+          <div style={{
+            fontSize: '48px',
+            fontWeight: '700',
             marginBottom: '12px',
-            transition: 'all 0.2s ease',
-          }}
-          onFocus={(e) => {
-            e.currentTarget.style.borderColor = THEME.primary;
-            e.currentTarget.style.boxShadow = `0 0 0 3px ${THEME.primary}20`;
-          }}
-          onBlur={(e) => {
-            e.currentTarget.style.borderColor = THEME.border;
-            e.currentTarget.style.boxShadow = 'none';
-          }}
-        />
-        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-          <span style={{ 
-            fontSize: '12px', 
-            color: THEME.textLight,
-            fontFamily: 'var(--font-body)',
+            fontFamily: 'var(--font-mono)',
           }}>
-            {newPost.length}/500
-          </span>
-          <button
-            onClick={handlePost}
-            disabled={!newPost.trim()}
-            onMouseDown={(e) => {
-              if (newPost.trim()) e.currentTarget.style.transform = 'scale(0.95)';
-            }}
-            onMouseUp={(e) => {
-              e.currentTarget.style.transform = 'scale(1)';
-            }}
-            style={{
-              padding: '12px 28px',
-              background: newPost.trim() ? THEME.gradients.primary : THEME.border,
-              border: 'none',
-              borderRadius: '10px',
-              color: THEME.white,
-              fontSize: '14px',
-              fontWeight: '600',
-              cursor: newPost.trim() ? 'pointer' : 'not-allowed',
-              transition: 'all 0.2s ease',
-              boxShadow: newPost.trim() ? THEME.shadows.md : 'none',
-              fontFamily: 'var(--font-body)',
-            }}
-          >
-            Post
-          </button>
-        </div>
-      </div>
-      
-      <div style={{ display: 'grid', gap: '16px' }}>
-        {feed.length === 0 ? (
+            🔥 {calculateStreaks.currentStreak}
+          </div>
           <div style={{
-            background: THEME.white,
-            borderRadius: '16px',
-            padding: '60px 20px',
-            textAlign: 'center',
-            color: THEME.textLight,
-            boxShadow: THEME.shadows.md,
+            fontSize: '14px',
+            opacity: 0.85,
           }}>
+            {calculateStreaks.currentStreak > 0
+              ? `${calculateStreaks.currentStreak} days meeting all goals!`
+              : 'Start your streak today!'}
+          </div>
+          {calculateStreaks.bestStreak > calculateStreaks.currentStreak && (
             <div style={{
-              fontSize: '48px',
-              marginBottom: '16px',
-            }}>
-              💬
-            </div>
-            <div style={{
-              fontSize: '18px',
-              fontWeight: '600',
-              color: THEME.text,
-              marginBottom: '8px',
-              fontFamily: 'var(--font-display)',
+              fontSize: '13px',
+              marginTop: '12px',
+              opacity: 0.75,
+              fontStyle: 'italic',
             }}>
-              No posts yet
+              Best streak: {calculateStreaks.bestStreak} days
             </div>
+          )}
+          {calculateStreaks.hasWeekGoals && (
             <div style={{
               fontSize: '14px',
-              color: THEME.textLight,
+              marginTop: '12px',
+              paddingTop: '12px',
+              borderTop: '1px solid rgba(255, 255, 255, 0.3)',
             }}>
-              Be the first to share an update with the team!
+              📅 {calculateStreaks.currentWeekStreak > 0
+                ? `${calculateStreaks.currentWeekStreak} week${calculateStreaks.currentWeekStreak === 1 ? '' : 's'} meeting weekly goals`
+                : 'Meet your weekly goals to start a weekly streak'}
+              {calculateStreaks.bestWeekStreak > calculateStreaks.currentWeekStreak && (
+                <span style={{ opacity: 0.75, fontStyle: 'italic' }}> (best: {calculateStreaks.bestWeekStreak})</span>
+              )}
             </div>
-          </div>
-        ) : (
-          feed.map((post, index) => (
-            post.isChallenge || post.challengeId ? (
-              <ChallengeCard
-                key={post.id}
-                post={post}
-                currentUser={currentUser}
-                onToggleLike={onToggleLike}
-                theme={THEME}
-                challenges={challenges}
-                userChallenges={userChallenges}
-              />
-            ) : (
-              <FeedPost
-                key={post.id}
-                post={post}
-                index={index}
-                currentUser={currentUser}
-                onToggleLike={onToggleLike}
-                onAddComment={onAddComment}
-                onEditPost={onEditPost}
-                onDeletePost={onDeletePost}
-                editingId={editingId}
-                setEditingId={setEditingId}
-                editContent={editContent}
-                setEditContent={setEditContent}
-                commentingId={commentingId}
-                setCommentingId={setCommentingId}
-                newComment={newComment}
-                setNewComment={setNewComment}
-                handleEdit={handleEdit}
-                handleComment={handleComment}
-                theme={THEME}
-              />
-            )
-          ))
-        )}
-      </div>
-    </div>
-  );
-}
-
-// ========================================
-// CHALLENGES COMPONENT
-// ========================================
-
-function Challenges({ challenges, userChallenges, currentUser, theme, users }) {
-  const THEME = theme;
-
-  // Filter active challenges (is_active === true OR isActive === true, and endDate is in the future)
-  const activeChallenges = challenges.filter(c => {
-    const isActive = c.isActive !== false && c.is_active !== false;
-    const notExpired = !c.endDate || new Date(c.endDate) > new Date();
-    return isActive && notExpired;
-  });
-
-  // Filter completed challenges for current user
-  const completedChallenges = userChallenges.filter(uc =>
-    uc.userId === currentUser?.id && uc.completed
-  );
-
-  // Get user progress for a challenge
-  const getUserProgress = (challengeId) => {
-    return userChallenges.find(uc =>
-      uc.challengeId === challengeId && uc.userId === currentUser?.id
-    );
-  };
-
-  // Calculate time remaining for a challenge
-  const getTimeRemaining = (endDate) => {
-    if (!endDate) return null;
-    const end = new Date(endDate);
-    const now = new Date();
-    const diff = end - now;
-
-    if (diff <= 0) return 'Ended';
-
-    const days = Math.floor(diff / (1000 * 60 * 60 * 24));
-    const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-
-    if (days > 0) return `${days}d ${hours}h left`;
-    if (hours > 0) return `${hours}h left`;
-    return 'Ending soon';
-  };
-
-  // Format date for completed challenges
-  const formatCompletedDate = (dateStr) => {
-    if (!dateStr) return '';
-    const date = new Date(dateStr);
-    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-  };
-
-  // Get challenge details by ID
-  const getChallengeById = (challengeId) => {
-    return challenges.find(c => c.id === challengeId);
-  };
-
-  return (
-    <div>
-      {/* Header */}
-      <div style={{
-        display: 'flex',
-        justifyContent: 'space-between',
-        alignItems: 'center',
-        marginBottom: '24px'
-      }}>
-        <h2 style={{
-          margin: 0,
-          fontSize: '24px',
-          fontWeight: '700',
-          color: THEME.text,
-          fontFamily: 'var(--font-display)',
-          display: 'flex',
-          alignItems: 'center',
-          gap: '12px',
-        }}>
-          <span style={{ fontSize: '28px' }}>🏆</span>
-          Challenges
-        </h2>
-        <div style={{
-          background: THEME.gradients.primary,
-          color: THEME.white,
-          padding: '6px 14px',
-          borderRadius: '20px',
-          fontSize: '13px',
-          fontWeight: '600',
-          fontFamily: 'var(--font-body)',
-        }}>
-          {activeChallenges.length} active
+          )}
         </div>
-      </div>
-
-      {/* Active Challenges Section */}
-      <div style={{ marginBottom: '32px' }}>
-        <h3 style={{
-          fontSize: '16px',
-          fontWeight: '600',
-          color: THEME.text,
-          marginBottom: '16px',
-          fontFamily: 'var(--font-display)',
-          display: 'flex',
-          alignItems: 'center',
-          gap: '8px',
-        }}>
-          <span style={{
-            width: '8px',
-            height: '8px',
-            borderRadius: '50%',
-            background: THEME.success,
-            animation: 'pulse 2s infinite',
-          }} />
-          Active Challenges
-        </h3>
 
-        {activeChallenges.length === 0 ? (
+        {/* Undo Button & History */}
+        {undoHistory.length > 0 && (
           <div style={{
             background: THEME.white,
             borderRadius: '16px',
-            padding: '48px 24px',
-            textAlign: 'center',
+            padding: '16px 20px',
             boxShadow: THEME.shadows.md,
-            border: `1px solid ${THEME.border}`,
+            border: `2px solid ${THEME.primary}`,
           }}>
-            <div style={{ fontSize: '48px', marginBottom: '16px' }}>🎯</div>
-            <div style={{
-              fontSize: '18px',
-              fontWeight: '600',
-              color: THEME.text,
-              marginBottom: '8px',
-              fontFamily: 'var(--font-display)',
-            }}>
-              No Active Challenges
-            </div>
-            <div style={{
-              fontSize: '14px',
-              color: THEME.textLight,
-              fontFamily: 'var(--font-body)',
-            }}>
-              Check back soon for new challenges to compete in!
-            </div>
+            <button
+              onClick={performUndo}
+              style={{
+                width: '100%',
+                padding: '12px 16px',
+                background: THEME.primary,
+                border: 'none',
+                borderRadius: '10px',
+                color: THEME.white,
+                fontSize: '14px',
+                fontWeight: '700',
+                cursor: 'pointer',
+                transition: 'all 0.2s ease',
+                boxShadow: THEME.shadows.md,
+              }}
+              onMouseDown={(e) => {
+                e.currentTarget.style.transform = 'scale(0.98)';
+              }}
+              onMouseUp={(e) => {
+                e.currentTarget.style.transform = 'scale(1)';
+              }}
+            >
+              Undo: {undoHistory[0].type === 'increment' ? '-' : '+'}{categories.find(c => c.id === undoHistory[0].categoryId)?.name || undoHistory[0].categoryId} ({formatRelativeTime(undoHistory[0].timestamp)})
+            </button>
           </div>
-        ) : (
-          <div style={{ display: 'grid', gap: '16px' }}>
-            {activeChallenges.map((challenge, index) => {
-              const userProgress = getUserProgress(challenge.id);
-              const progress = userProgress?.progress || 0;
-              const goalValue = challenge.goalValue || challenge.goal_value || 1;
-              const progressPercent = Math.min(100, Math.round((progress / goalValue) * 100));
-              const isCompleted = userProgress?.completed || progressPercent >= 100;
-              const timeRemaining = getTimeRemaining(challenge.endDate || challenge.end_date);
+        )}
 
-              return (
-                <div
-                  key={challenge.id}
-                  style={{
-                    background: THEME.white,
-                    borderRadius: '16px',
-                    overflow: 'hidden',
-                    boxShadow: THEME.shadows.md,
-                    border: isCompleted
-                      ? `2px solid ${THEME.success}`
-                      : `1px solid ${THEME.border}`,
-                    animation: `fadeInUp 0.4s ease-out ${index * 0.1}s both`,
-                    transition: 'all 0.3s ease',
-                  }}
-                  onMouseEnter={(e) => {
-                    e.currentTarget.style.boxShadow = `0 8px 32px rgba(0, 86, 164, 0.15)`;
-                    e.currentTarget.style.transform = 'translateY(-2px)';
-                  }}
-                  onMouseLeave={(e) => {
-                    e.currentTarget.style.boxShadow = THEME.shadows.md;
-                    e.currentTarget.style.transform = 'translateY(0)';
-                  }}
-                >
-                  {/* Challenge Header */}
-                  <div style={{
-                    background: isCompleted
-                      ? THEME.gradients.success || `linear-gradient(135deg, ${THEME.success} 0%, ${THEME.success}CC 100%)`
-                      : THEME.gradients.primary,
-                    padding: '14px 20px',
-                    display: 'flex',
-                    justifyContent: 'space-between',
-                    alignItems: 'center',
-                  }}>
-                    <div style={{
-                      display: 'flex',
-                      alignItems: 'center',
-                      gap: '10px',
-                    }}>
-                      <span style={{ fontSize: '20px' }}>
-                        {isCompleted ? '✅' : '🏆'}
-                      </span>
-                      <span style={{
-                        color: THEME.white,
-                        fontSize: '13px',
-                        fontWeight: '700',
-                        letterSpacing: '0.5px',
-                        textTransform: 'uppercase',
-                        fontFamily: 'var(--font-display)',
-                      }}>
-                        {isCompleted ? 'Completed' : 'Active Challenge'}
-                      </span>
-                    </div>
-                    {timeRemaining && !isCompleted && (
-                      <div style={{
-                        display: 'flex',
-                        alignItems: 'center',
-                        gap: '6px',
-                        background: 'rgba(255, 255, 255, 0.2)',
-                        padding: '5px 12px',
-                        borderRadius: '12px',
-                      }}>
-                        <span style={{ fontSize: '14px' }}>⏰</span>
-                        <span style={{
-                          color: THEME.white,
-                          fontSize: '12px',
-                          fontWeight: '600',
-                          fontFamily: 'var(--font-body)',
-                        }}>
-                          {timeRemaining}
-                        </span>
-                      </div>
-                    )}
-                  </div>
-
-                  {/* Challenge Content */}
-                  <div style={{ padding: '20px' }}>
-                    {/* Title */}
-                    <h4 style={{
-                      margin: '0 0 8px 0',
-                      fontSize: '18px',
-                      fontWeight: '700',
-                      color: THEME.text,
-                      fontFamily: 'var(--font-display)',
-                    }}>
-                      {challenge.title || challenge.name || 'Challenge'}
-                    </h4>
-
-                    {/* Description */}
-                    <p style={{
-                      margin: '0 0 16px 0',
-                      fontSize: '14px',
-                      color: THEME.textLight,
-                      lineHeight: '1.5',
-                      fontFamily: 'var(--font-body)',
-                    }}>
-                      {challenge.description || 'Complete this challenge to earn rewards!'}
-                    </p>
-
-                    {/* Goal & Reward Info */}
-                    <div style={{
-                      background: THEME.accent || THEME.secondary,
-                      borderRadius: '12px',
-                      padding: '14px 16px',
-                      marginBottom: '16px',
-                      display: 'flex',
-                      justifyContent: 'space-between',
-                      alignItems: 'center',
-                      flexWrap: 'wrap',
-                      gap: '12px',
-                    }}>
-                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                        <span style={{ fontSize: '16px' }}>🎯</span>
-                        <span style={{
-                          fontSize: '14px',
-                          fontWeight: '600',
-                          color: THEME.text,
-                          fontFamily: 'var(--font-body)',
-                        }}>
-                          Goal: {goalValue} {challenge.goalType || challenge.goal_type || 'activities'}
-                        </span>
-                      </div>
-                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
-                        <span style={{ fontSize: '16px' }}>⭐</span>
-                        <span style={{
-                          fontSize: '14px',
-                          fontWeight: '700',
-                          color: THEME.warning,
-                          fontFamily: 'var(--font-display)',
-                        }}>
-                          {challenge.xpReward || challenge.xp_reward || 100} XP
-                        </span>
-                      </div>
-                    </div>
-
-                    {/* Progress Bar */}
-                    <div>
-                      <div style={{
-                        display: 'flex',
-                        justifyContent: 'space-between',
-                        alignItems: 'center',
-                        marginBottom: '8px',
-                      }}>
-                        <span style={{
-                          fontSize: '12px',
-                          fontWeight: '600',
-                          color: THEME.textLight,
-                          fontFamily: 'var(--font-body)',
-                        }}>
-                          Your Progress
-                        </span>
-                        <span style={{
-                          fontSize: '13px',
-                          fontWeight: '700',
-                          color: isCompleted ? THEME.success : THEME.primary,
-                          fontFamily: 'var(--font-display)',
-                        }}>
-                          {progressPercent}% ({progress}/{goalValue})
-                        </span>
-                      </div>
-                      <div style={{
-                        height: '10px',
-                        background: THEME.secondary,
-                        borderRadius: '5px',
-                        overflow: 'hidden',
-                        position: 'relative',
-                      }}>
-                        <div
-                          style={{
-                            height: '100%',
-                            width: `${progressPercent}%`,
-                            background: isCompleted
-                              ? THEME.success
-                              : `linear-gradient(90deg, ${THEME.primary} 0%, ${THEME.primary}CC 100%)`,
-                            borderRadius: '5px',
-                            transition: 'width 0.5s ease-out',
-                            position: 'relative',
-                            overflow: 'hidden',
-                          }}
-                        >
-                          {/* Animated shimmer effect */}
-                          {!isCompleted && progressPercent > 0 && (
-                            <div
-                              style={{
-                                position: 'absolute',
-                                top: 0,
-                                left: 0,
-                                right: 0,
-                                bottom: 0,
-                                background: 'linear-gradient(90deg, transparent, rgba(255,255,255,0.3), transparent)',
-                                animation: 'shimmer 2s infinite',
-                              }}
-                            />
-                          )}
-                        </div>
-                      </div>
-                      <style>{`
-                        @keyframes shimmer {
-                          0% { transform: translateX(-100%); }
-                          100% { transform: translateX(100%); }
-                        }
-                      `}</style>
-                    </div>
-                  </div>
-                </div>
-              );
-            })}
-          </div>
-        )}
-      </div>
-
-      {/* Completed Challenges Section */}
-      {completedChallenges.length > 0 && (
-        <div>
+        {/* Pace Indicator */}
+        <div style={{
+          background: THEME.white,
+          borderRadius: '16px',
+          padding: '20px',
+          boxShadow: THEME.shadows.md,
+        }}>
           <h3 style={{
+            margin: '0 0 16px 0',
             fontSize: '16px',
-            fontWeight: '600',
+            fontWeight: '700',
             color: THEME.text,
-            marginBottom: '16px',
             fontFamily: 'var(--font-display)',
-            display: 'flex',
-            alignItems: 'center',
-            gap: '8px',
           }}>
-            <span style={{ fontSize: '18px' }}>✅</span>
-            Completed Challenges ({completedChallenges.length})
+            Weekly Pace
           </h3>
+          <div style={{ display: 'grid', gap: '12px' }}>
+            {paceIndicator.map((indicator, idx) => (
+              <div
+                key={idx}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '12px',
+                  padding: '12px',
+                  background:
+                    indicator.status === 'ahead' ? 'rgba(40, 167, 69, 0.08)' :
+                    indicator.status === 'behind' ? 'rgba(220, 53, 69, 0.08)' :
+                    'rgba(0, 86, 164, 0.08)',
+                  borderLeft: `4px solid ${
+                    indicator.status === 'ahead' ? THEME.success :
+                    indicator.status === 'behind' ? THEME.danger :
+                    THEME.primary
+                  }`,
+                  borderRadius: '8px',
+                }}
+              >
+                <div style={{
+                  fontSize: '20px',
+                }}>
+                  {indicator.status === 'ahead' ? '✨' : indicator.status === 'behind' ? '⚡' : '✓'}
+                </div>
+                <div style={{
+                  fontSize: '14px',
+                  fontWeight: '500',
+                  color: THEME.text,
+                  fontFamily: 'var(--font-body)',
+                }}>
+                  {indicator.text}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
 
-          <div style={{
-            background: THEME.white,
-            borderRadius: '12px',
-            boxShadow: THEME.shadows.md,
-            border: `1px solid ${THEME.border}`,
-            overflow: 'hidden',
-          }}>
-            {completedChallenges.map((uc, index) => {
-              const challenge = getChallengeById(uc.challengeId);
-              const completedDate = uc.completedAt || uc.completed_at;
+      <h3 style={{
+        margin: '0 0 16px 0',
+        fontSize: '20px',
+        fontWeight: '600',
+        color: THEME.text,
+        fontFamily: 'var(--font-display)',
+      }}>
+        This Week
+      </h3>
 
-              return (
-                <div
-                  key={uc.id || `${uc.challengeId}-${uc.userId}`}
-                  style={{
-                    padding: '14px 20px',
-                    display: 'flex',
-                    justifyContent: 'space-between',
-                    alignItems: 'center',
-                    borderBottom: index < completedChallenges.length - 1
-                      ? `1px solid ${THEME.border}`
-                      : 'none',
-                    animation: `fadeInUp 0.3s ease-out ${index * 0.05}s both`,
+      <div style={{
+        background: THEME.white,
+        borderRadius: '16px',
+        padding: '20px',
+        boxShadow: THEME.shadows.md,
+        marginBottom: '20px',
+      }}>
+        {categories.map((category, index) => {
+          const count = weekStats[category.id] || 0;
+          const Icon = getCategoryIcon(category);
+
+          const gradient = getCategoryGradient(category, THEME);
+
+          return (
+            <div
+              key={category.id}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '12px',
+                padding: '14px 0',
+                borderBottom: index < categories.length - 1 ? `1px solid ${THEME.border}` : 'none',
+                animation: `fadeInUp 0.3s ease-out ${index * 0.1}s both`,
+              }}
+            >
+              <div style={{
+                width: '40px',
+                height: '40px',
+                borderRadius: '10px',
+                background: gradient,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+              }}>
+                <Icon size={20} color={THEME.white} />
+              </div>
+              <div style={{
+                flex: 1,
+                fontSize: '15px',
+                color: THEME.text,
+                fontFamily: 'var(--font-body)',
+                fontWeight: '500',
+              }}>
+                {category.name}
+              </div>
+              <div style={{
+                fontSize: '22px',
+                fontWeight: '700',
+                background: gradient,
+                WebkitBackgroundClip: 'text',
+                WebkitTextFillColor: 'transparent',
+                backgroundClip: 'text',
+                fontFamily: 'var(--font-mono)',
+              }}>
+                {count}
+              </div>
+            </div>
+          );
+        })}
+
+        {/* Week Progress Mini-Chart */}
+        <div style={{
+          marginTop: '24px',
+          paddingTop: '20px',
+          borderTop: `1px solid ${THEME.border}`,
+        }}>
+          <div style={{
+            fontSize: '14px',
+            fontWeight: '600',
+            color: THEME.textLight,
+            marginBottom: '12px',
+            fontFamily: 'var(--font-body)',
+          }}>
+            Daily Trend
+          </div>
+          <div style={{
+            height: '80px',
+            display: 'flex',
+            alignItems: 'flex-end',
+            justifyContent: 'space-between',
+            gap: '6px',
+          }}>
+            {last7Days.map((day, idx) => (
+              <div
+                key={idx}
+                style={{
+                  flex: 1,
+                  display: 'flex',
+                  flexDirection: 'column',
+                  alignItems: 'center',
+                  gap: '6px',
+                }}
+              >
+                <div
+                  style={{
+                    width: '100%',
+                    height: `${maxDay > 0 ? (day.total / maxDay) * 60 : 4}px`,
+                    background: 'linear-gradient(180deg, #4A90D9 0%, #0056A4 100%)',
+                    borderRadius: '4px 4px 0 0',
+                    transition: 'all 0.3s ease',
+                    cursor: 'pointer',
+                    minHeight: '4px',
+                  }}
+                  title={`${day.name}: ${day.total} items`}
+                />
+                <div
+                  style={{
+                    fontSize: '11px',
+                    color: THEME.textLight,
+                    fontWeight: '600',
+                    fontFamily: 'var(--font-body)',
                   }}
                 >
-                  <div style={{
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: '12px',
-                  }}>
-                    <span style={{
-                      fontSize: '20px',
-                      filter: 'drop-shadow(0 2px 4px rgba(0,0,0,0.1))',
-                    }}>
-                      🏆
-                    </span>
-                    <div>
-                      <div style={{
-                        fontSize: '14px',
-                        fontWeight: '600',
-                        color: THEME.text,
-                        fontFamily: 'var(--font-display)',
-                      }}>
-                        {challenge?.title || challenge?.name || 'Challenge'}
-                      </div>
-                      {completedDate && (
-                        <div style={{
-                          fontSize: '12px',
-                          color: THEME.textLight,
-                          fontFamily: 'var(--font-body)',
-                        }}>
-                          Completed {formatCompletedDate(completedDate)}
-                        </div>
-                      )}
-                    </div>
-                  </div>
-                  <div style={{
-                    display: 'flex',
-                    alignItems: 'center',
-                    gap: '8px',
-                    background: `${THEME.success}15`,
-                    padding: '6px 12px',
-                    borderRadius: '20px',
-                  }}>
-                    <span style={{
-                      fontSize: '12px',
-                      fontWeight: '700',
-                      color: THEME.success,
-                      fontFamily: 'var(--font-display)',
-                    }}>
-                      +{challenge?.xpReward || challenge?.xp_reward || 100} XP
-                    </span>
-                    <span style={{ fontSize: '14px' }}>✅</span>
-                  </div>
+                  {day.name}
                 </div>
-              );
-            })}
+              </div>
+            ))}
           </div>
         </div>
-      )}
-    </div>
-  );
-}
-
-// ========================================
-// LEADERBOARD COMPONENT
-// ========================================
-
-function Leaderboard({ users, dailyLogs, currentUser, theme }) {
-  const THEME = theme;
-  const [timeframe, setTimeframe] = useState('week');
-  const [category, setCategory] = useState('overall');
-
-  // Calculate leaderboard based on selected timeframe and category
-  const leaderboard = useMemo(() => {
-    // Determine date range
-    let startDate;
-    const today = getToday();
-
-    switch (timeframe) {
-      case 'today':
-        startDate = today;
-        break;
-      case 'week':
-        startDate = getWeekStart();
-        break;
-      case 'month':
-        startDate = getMonthStart();
-        break;
-      case 'alltime':
-        startDate = '2000-01-01'; // Far past date
-        break;
-      default:
-        startDate = getWeekStart();
-    }
-
-    // Calculate scores
-    const scores = users.map(user => {
-      let reviews = 0, demos = 0, callbacks = 0;
-
-      Object.entries(dailyLogs).forEach(([date, usersData]) => {
-        if (date >= startDate && usersData[user.id]) {
-          reviews += (usersData[user.id].reviews || 0);
-          demos += (usersData[user.id].demos || 0);
-          callbacks += (usersData[user.id].callbacks || 0);
-        }
-      });
-
-      let total;
-      if (category === 'reviews') total = reviews;
-      else if (category === 'demos') total = demos;
-      else if (category === 'callbacks') total = callbacks;
-      else total = reviews + demos + callbacks;
-
-      return { ...user, total, reviews, demos, callbacks };
-    });
-
-    return scores.sort((a, b) => b.total - a.total);
-  }, [users, dailyLogs, timeframe, category]);
-
-  const medals = [THEME.gold, THEME.silver, THEME.bronze];
-  const medalGradients = [
-    THEME.gradients.gold,
-    'linear-gradient(135deg, #C0C0C0 0%, #E8E8E8 100%)',
-    'linear-gradient(135deg, #CD7F32 0%, #E6A85C 100%)',
-  ];
-
-  const currentUserRank = leaderboard.findIndex(u => u.id === currentUser?.id) + 1;
-  const leaderTotal = leaderboard[0]?.total || 0;
-
-  return (
-    <div>
-      <h2 style={{
-        margin: '0 0 20px 0',
-        fontSize: '24px',
-        fontWeight: '700',
-        color: THEME.text,
-        fontFamily: 'var(--font-display)',
-      }}>
-        Leaderboard
-      </h2>
+      </div>
 
-      {/* Timeframe Selector */}
+      {/* Goal Insights */}
       <div style={{
-        background: THEME.white,
-        borderRadius: '12px',
-        padding: '6px',
-        marginBottom: '16px',
-        display: 'flex',
-        gap: '6px',
+        background: 'linear-gradient(135deg, #667EEA 0%, #764BA2 100%)',
+        borderRadius: '16px',
+        padding: '20px',
         boxShadow: THEME.shadows.md,
+        color: THEME.white,
       }}>
-        {[
-          { id: 'today', label: 'Today' },
-          { id: 'week', label: 'This Week' },
-          { id: 'month', label: 'This Month' },
-          { id: 'alltime', label: 'All Time' },
-        ].map(tf => (
-          <button
-            key={tf.id}
-            onClick={() => setTimeframe(tf.id)}
-            style={{
-              flex: 1,
-              padding: '10px 16px',
-              background: timeframe === tf.id ? THEME.gradients.primary : 'transparent',
-              border: 'none',
-              borderRadius: '8px',
-              color: timeframe === tf.id ? THEME.white : THEME.text,
-              fontSize: '14px',
-              fontWeight: '600',
-              cursor: 'pointer',
-              transition: 'all 0.2s ease',
-              fontFamily: 'var(--font-body)',
-            }}
-          >
-            {tf.label}
-          </button>
-        ))}
+        <h3 style={{
+          margin: '0 0 16px 0',
+          fontSize: '16px',
+          fontWeight: '700',
+          fontFamily: 'var(--font-display)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+        }}>
+          <span>💡</span> Insights
+        </h3>
+        <div style={{
+          display: 'grid',
+          gap: '10px',
+        }}>
+          {goalInsights.map((insight, idx) => (
+            <div
+              key={idx}
+              style={{
+                fontSize: '14px',
+                fontWeight: '500',
+                opacity: 0.95,
+                lineHeight: '1.5',
+                fontFamily: 'var(--font-body)',
+                paddingLeft: '12px',
+                borderLeft: '3px solid rgba(255,255,255,0.3)',
+              }}
+            >
+              {insight}
+            </div>
+          ))}
+        </div>
       </div>
 
-      {/* Category Tabs */}
+      {/* Active Challenges Widget */}
+      {challenges && challenges.filter(c => c.isActive !== false).length > 0 && (
+        <div style={{
+          background: THEME.white,
+          borderRadius: '16px',
+          padding: '20px',
+          boxShadow: THEME.shadows.md,
+          marginTop: '20px',
+        }}>
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: '16px'
+          }}>
+            <h3 style={{
+              margin: 0,
+              fontSize: '18px',
+              fontWeight: '700',
+              color: THEME.text,
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+            }}>
+              <span role="img" aria-label="trophy">🏆</span> Active Challenges
+            </h3>
+            <button
+              onClick={() => onViewChange && onViewChange('challenges')}
+              style={{
+                background: 'none',
+                border: `1px solid ${THEME.primary}`,
+                borderRadius: '8px',
+                padding: '6px 12px',
+                fontSize: '12px',
+                fontWeight: '600',
+                color: THEME.primary,
+                cursor: 'pointer',
+              }}
+            >
+              View All
+            </button>
+          </div>
+
+          {/* List active challenges with progress bars */}
+          {challenges.filter(c => c.isActive !== false).slice(0, 3).map(challenge => {
+            const userProgress = userChallenges?.find(uc =>
+              uc.challengeId === challenge.id && uc.userId === currentUser?.id
+            );
+            const progress = userProgress?.progress || 0;
+            const percent = Math.min(100, Math.round((progress / challenge.goalValue) * 100));
+
+            return (
+              <div key={challenge.id} style={{ marginBottom: '12px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '4px' }}>
+                  <span style={{ fontWeight: '600', fontSize: '14px', color: THEME.text }}>{challenge.title}</span>
+                  <span style={{ fontSize: '12px', color: THEME.textLight }}>
+                    {progress}/{challenge.goalValue}
+                  </span>
+                </div>
+                <div style={{
+                  height: '8px',
+                  background: THEME.secondary,
+                  borderRadius: '4px',
+                  overflow: 'hidden',
+                }}>
+                  <div style={{
+                    width: `${percent}%`,
+                    height: '100%',
+                    background: percent >= 100 ? THEME.success : THEME.gradients.primary,
+                    borderRadius: '4px',
+                    transition: 'width 0.3s ease',
+                  }} />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ========================================
+// GOALS COMPONENT
+// ========================================
+
+function Goals({ currentUser, onUpdateGoals, categories, theme }) {
+  const THEME = theme;
+  const [period, setPeriod] = useState('day');
+  const [goals, setGoals] = useState(() => getUserGoals(currentUser));
+  const [showSaved, setShowSaved] = useState(false);
+  const periodGoals = goals[period];
+  
+  const handleSave = () => {
+    onUpdateGoals(periodGoals, period);
+    setShowSaved(true);
+    setTimeout(() => setShowSaved(false), 2000);
+  };
+  
+  return (
+    <div>
+      <h2 style={{ 
+        margin: '0 0 20px 0', 
+        fontSize: '24px', 
+        fontWeight: '700', 
+        color: THEME.text,
+        fontFamily: 'var(--font-display)',
+      }}>
+        Goals
+      </h2>
+
+      {/* Period Tabs */}
       <div style={{
         background: THEME.white,
         borderRadius: '12px',
@@ -6193,3090 +6735,8410 @@ function Leaderboard({ users, dailyLogs, currentUser, theme }) {
         gap: '6px',
         boxShadow: THEME.shadows.md,
       }}>
-        {[
-          { id: 'overall', label: 'Overall', icon: '🏆' },
-          { id: 'reviews', label: 'Reviews', icon: '⭐' },
-          { id: 'demos', label: 'Demos', icon: '📅' },
-          { id: 'callbacks', label: 'Callbacks', icon: '📞' },
-        ].map(cat => (
+        {GOAL_PERIODS.map(p => (
           <button
-            key={cat.id}
-            onClick={() => setCategory(cat.id)}
+            key={p.id}
+            onClick={() => setPeriod(p.id)}
             style={{
               flex: 1,
-              padding: '10px 12px',
-              background: category === cat.id ? THEME.gradients.success : 'transparent',
+              padding: '10px 16px',
+              background: period === p.id ? THEME.gradients.primary : 'transparent',
               border: 'none',
               borderRadius: '8px',
-              color: category === cat.id ? THEME.white : THEME.text,
-              fontSize: '13px',
+              color: period === p.id ? THEME.white : THEME.text,
+              fontSize: '14px',
               fontWeight: '600',
               cursor: 'pointer',
               transition: 'all 0.2s ease',
               fontFamily: 'var(--font-body)',
             }}
           >
-            <div>{cat.icon}</div>
-            <div style={{ fontSize: '11px', marginTop: '2px' }}>{cat.label}</div>
+            {p.label}
           </button>
         ))}
       </div>
-
-      {/* Current User Stats */}
-      {currentUser && currentUserRank > 0 && (
-        <div style={{
-          background: THEME.gradients.primary,
-          borderRadius: '12px',
-          padding: '16px',
-          marginBottom: '16px',
-          color: THEME.white,
-          boxShadow: THEME.shadows.md,
-        }}>
-          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-            <div>
-              <div style={{ fontSize: '13px', opacity: 0.9, marginBottom: '4px' }}>Your Rank</div>
-              <div style={{ fontSize: '24px', fontWeight: '700', fontFamily: 'var(--font-mono)' }}>
-                #{currentUserRank}
-              </div>
-            </div>
-            {currentUserRank > 1 && leaderboard[0] && (
-              <div style={{ textAlign: 'right' }}>
-                <div style={{ fontSize: '13px', opacity: 0.9, marginBottom: '4px' }}>Behind Leader</div>
-                <div style={{ fontSize: '20px', fontWeight: '700', fontFamily: 'var(--font-mono)' }}>
-                  {leaderTotal - (leaderboard.find(u => u.id === currentUser.id)?.total || 0)}
+      
+      <div style={{
+        background: THEME.white,
+        borderRadius: '16px',
+        padding: '24px',
+        boxShadow: THEME.shadows.md,
+      }}>
+        {categories.map((category, index) => {
+          const Icon = getCategoryIcon(category);
+          
+          const gradient = getCategoryGradient(category, THEME);
+          
+          return (
+            <div
+              key={category.id}
+              style={{
+                marginBottom: '24px',
+                paddingBottom: '24px',
+                borderBottom: index < categories.length - 1 ? `1px solid ${THEME.border}` : 'none',
+                animation: `fadeInUp 0.3s ease-out ${index * 0.1}s both`,
+              }}
+            >
+              <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '12px' }}>
+                <div style={{
+                  width: '40px',
+                  height: '40px',
+                  borderRadius: '10px',
+                  background: gradient,
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                }}>
+                  <Icon size={20} color={THEME.white} />
+                </div>
+                <div style={{ 
+                  flex: 1, 
+                  fontSize: '16px', 
+                  fontWeight: '600', 
+                  color: THEME.text,
+                  fontFamily: 'var(--font-body)',
+                }}>
+                  {category.name}
                 </div>
               </div>
-            )}
-            {currentUserRank === 1 && (
-              <div style={{ fontSize: '28px' }}>👑</div>
-            )}
-          </div>
-        </div>
-      )}
-
-      {/* Leaderboard List */}
-      <div style={{ display: 'grid', gap: '12px' }}>
-        {leaderboard.length === 0 ? (
-          <div style={{
-            background: THEME.white,
-            borderRadius: '16px',
-            padding: '60px 20px',
-            textAlign: 'center',
-            color: THEME.textLight,
-            boxShadow: THEME.shadows.md,
-          }}>
-            <div style={{ fontSize: '48px', marginBottom: '16px' }}>🏆</div>
-            <div style={{
-              fontSize: '18px',
-              fontWeight: '600',
-              color: THEME.text,
-              marginBottom: '8px',
-              fontFamily: 'var(--font-display)',
-            }}>
-              No activity yet
-            </div>
-            <div style={{ fontSize: '14px', color: THEME.textLight }}>
-              Start tracking to see rankings!
-            </div>
-          </div>
-        ) : (
-          leaderboard.map((user, index) => {
-            const isTopThree = index < 3;
-            const isCurrentUser = user.id === currentUser?.id;
-            const prevRank = index; // Could track previous rankings for trend arrows
-
-            return (
-              <div
-                key={user.id}
+              
+              <input
+                type="number"
+                min="0"
+                max={MAX_GOAL[period]}
+                value={periodGoals[category.id] || 0}
+                onChange={(e) => setGoals({
+                  ...goals,
+                  [period]: { ...periodGoals, [category.id]: parseInt(e.target.value) || 0 },
+                })}
                 style={{
-                  background: isCurrentUser ? THEME.gradients.cardHover : THEME.white,
-                  borderRadius: '16px',
-                  padding: '20px',
-                  boxShadow: isTopThree ? THEME.shadows.layered : THEME.shadows.md,
-                  border: isCurrentUser
-                    ? `2px solid ${THEME.primary}`
-                    : isTopThree
-                      ? `2px solid ${medals[index]}`
-                      : `1px solid ${THEME.border}`,
-                  animation: `fadeInUp 0.4s ease-out ${index * 0.1}s both`,
-                  transform: isTopThree ? 'scale(1.02)' : 'scale(1)',
-                  transition: 'all 0.3s ease',
+                  width: '100%',
+                  padding: '14px',
+                  border: `2px solid ${THEME.border}`,
+                  borderRadius: '10px',
+                  fontSize: '18px',
+                  fontFamily: 'var(--font-mono)',
+                  fontWeight: '600',
+                  boxSizing: 'border-box',
+                  transition: 'all 0.2s ease',
                 }}
-              >
-                <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
-                  <div style={{
-                    width: isTopThree ? '56px' : '48px',
-                    height: isTopThree ? '56px' : '48px',
-                    background: isTopThree ? medalGradients[index] : THEME.secondary,
-                    borderRadius: '50%',
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    fontSize: isTopThree ? '28px' : '20px',
-                    fontWeight: '700',
-                    color: isTopThree ? THEME.white : THEME.textLight,
-                    boxShadow: isTopThree ? THEME.shadows.layered : THEME.shadows.md,
-                    animation: isTopThree ? 'pulse 2s infinite' : 'none',
-                  }}>
-                    {isTopThree ? ['🥇', '🥈', '🥉'][index] : index + 1}
-                  </div>
-                  <div style={{ flex: 1 }}>
-                    <div style={{
-                      fontSize: '17px',
-                      fontWeight: '700',
-                      color: THEME.text,
-                      fontFamily: 'var(--font-display)',
-                      marginBottom: '4px',
-                      display: 'flex',
-                      alignItems: 'center',
-                      gap: '8px',
-                    }}>
-                      {user.name}
-                      {isCurrentUser && ' (You)'}
-                    </div>
-                    <div style={{
-                      fontSize: '13px',
-                      color: THEME.textLight,
-                      fontFamily: 'var(--font-body)',
-                    }}>
-                      {user.role === 'manager' ? 'Manager' : 'Employee'}
-                    </div>
-
-                    {/* Category Breakdown Mini Chart */}
-                    {category === 'overall' && (
-                      <div style={{ marginTop: '8px', display: 'flex', gap: '6px', alignItems: 'center' }}>
-                        {user.reviews > 0 && (
-                          <div style={{
-                            display: 'flex',
-                            alignItems: 'center',
-                            gap: '4px',
-                            fontSize: '11px',
-                            color: THEME.textLight,
-                          }}>
-                            <div style={{
-                              width: Math.max(20, (user.reviews / user.total) * 60) + 'px',
-                              height: '4px',
-                              background: THEME.gradients.warning,
-                              borderRadius: '2px',
-                            }} />
-                            {user.reviews}
-                          </div>
-                        )}
-                        {user.demos > 0 && (
-                          <div style={{
-                            display: 'flex',
-                            alignItems: 'center',
-                            gap: '4px',
-                            fontSize: '11px',
-                            color: THEME.textLight,
-                          }}>
-                            <div style={{
-                              width: Math.max(20, (user.demos / user.total) * 60) + 'px',
-                              height: '4px',
-                              background: THEME.gradients.success,
-                              borderRadius: '2px',
-                            }} />
-                            {user.demos}
-                          </div>
-                        )}
-                        {user.callbacks > 0 && (
-                          <div style={{
-                            display: 'flex',
-                            alignItems: 'center',
-                            gap: '4px',
-                            fontSize: '11px',
-                            color: THEME.textLight,
-                          }}>
-                            <div style={{
-                              width: Math.max(20, (user.callbacks / user.total) * 60) + 'px',
-                              height: '4px',
-                              background: THEME.gradients.primary,
-                              borderRadius: '2px',
-                            }} />
-                            {user.callbacks}
-                          </div>
-                        )}
-                      </div>
-                    )}
-                  </div>
-                  <div style={{ textAlign: 'right' }}>
-                    <div style={{
-                      fontSize: '28px',
-                      fontWeight: '700',
-                      background: THEME.gradients.primary,
-                      WebkitBackgroundClip: 'text',
-                      WebkitTextFillColor: 'transparent',
-                      backgroundClip: 'text',
-                      fontFamily: 'var(--font-mono)',
-                    }}>
-                      {user.total}
-                    </div>
-                    {index > 0 && leaderboard[index - 1] && (
-                      <div style={{
-                        fontSize: '11px',
-                        color: THEME.textLight,
-                        marginTop: '2px',
-                      }}>
-                        -{leaderboard[index - 1].total - user.total} behind
-                      </div>
-                    )}
-                  </div>
-                </div>
-              </div>
-            );
-          })
-        )}
+                onFocus={(e) => {
+                  e.currentTarget.style.borderColor = category.color;
+                  e.currentTarget.style.boxShadow = `0 0 0 3px ${category.color}20`;
+                }}
+                onBlur={(e) => {
+                  e.currentTarget.style.borderColor = THEME.border;
+                  e.currentTarget.style.boxShadow = 'none';
+                }}
+              />
+            </div>
+          );
+        })}
+        
+        <button
+          onClick={handleSave}
+          onMouseDown={(e) => {
+            e.currentTarget.style.transform = 'scale(0.98)';
+          }}
+          onMouseUp={(e) => {
+            e.currentTarget.style.transform = 'scale(1)';
+          }}
+          style={{
+            width: '100%',
+            padding: '16px',
+            background: showSaved ? THEME.gradients.success : THEME.gradients.primary,
+            border: 'none',
+            borderRadius: '10px',
+            color: THEME.white,
+            fontSize: '16px',
+            fontWeight: '600',
+            cursor: 'pointer',
+            transition: 'all 0.3s ease',
+            boxShadow: THEME.shadows.md,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: '8px',
+            fontFamily: 'var(--font-body)',
+          }}
+        >
+          {showSaved ? (
+            <>
+              <Check size={20} />
+              Saved!
+            </>
+          ) : (
+            'Save Goals'
+          )}
+        </button>
       </div>
     </div>
   );
 }
 
 // ========================================
-// HISTORY VIEW COMPONENT
+// APPOINTMENTS COMPONENT
 // ========================================
 
-function HistoryView({ currentUser, users, dailyLogs, theme }) {
-  const THEME = theme;
-  const [timeRange, setTimeRange] = useState('week');
-  const [customStartDate, setCustomStartDate] = useState('');
-  const [customEndDate, setCustomEndDate] = useState('');
-  const [selectedUserId, setSelectedUserId] = useState(currentUser?.id || '');
-  const [selectedCategory, setSelectedCategory] = useState('all');
+const APPOINTMENT_VIEWS = [
+  { id: 'list', label: 'List', icon: List },
+  { id: 'day', label: 'Day', icon: Clock },
+  { id: 'week', label: 'Week', icon: CalendarDays },
+  { id: 'month', label: 'Month', icon: Calendar },
+  { id: 'team', label: 'Team', icon: Users, managerOnly: true },
+];
+
+// How far the arrows move each calendar view
+const stepCalendarDate = (view, date, direction) => {
+  if (view === 'week') return addDays(date, 7 * direction);
+  if (view === 'month') return addMonths(date, direction);
+  return addDays(date, direction);
+};
+
+const getCalendarTitle = (view, date) => {
+  if (view === 'week') {
+    const weekStart = getWeekStart(date);
+    return `${formatDate(weekStart)} – ${formatDate(addDays(weekStart, 6))}`;
+  }
+  if (view === 'month') {
+    return new Date(`${getMonthStart(date)}T00:00:00Z`)
+      .toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+  return `${getDayName(date)}, ${formatDate(date)}`;
+};
 
+function Appointments({ appointments, allAppointments, customers, users, currentUser, onAdd, onUpdate, onDelete, onOpenCustomer, theme }) {
+  const THEME = theme;
   const isManager = currentUser?.role === 'manager';
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [view, setView] = useState('list');
+  const [calendarDate, setCalendarDate] = useState(getToday());
+  const [formData, setFormData] = useState({
+    customerId: null,
+    customerName: '',
+    newCustomer: { phone: '', email: '', address: '', source: '' },
+    products: [],
+    notes: '',
+    date: getToday(),
+    time: '09:00',
+    duration: 60,
+    status: 'scheduled',
+    countsAsDemo: true,
+  });
+  const [searchTerm, setSearchTerm] = useState('');
+  
+  const handleSubmit = async () => {
+    if (await onAdd(formData)) {
+      setFormData({
+        customerId: null,
+        customerName: '',
+        newCustomer: { phone: '', email: '', address: '', source: '' },
+        products: [],
+        notes: '',
+        date: getToday(),
+        time: '09:00',
+        duration: 60,
+        status: 'scheduled',
+        countsAsDemo: true,
+      });
+      setShowForm(false);
+    }
+  };
+  
+  // Picking a saved customer starts from the products they asked about before
+  const pickCustomer = ({ customerId, customerName, customer }) => {
+    setFormData(prev => ({
+      ...prev,
+      customerId,
+      customerName,
+      products: customer && prev.products.length === 0 ? customer.productInterests : prev.products,
+    }));
+  };
 
-  // Calculate date range based on selected time range
-  const getDateRange = useCallback(() => {
-    let startDate, endDate;
+  const setNewCustomerField = (field, value) => {
+    setFormData(prev => ({ ...prev, newCustomer: { ...prev.newCustomer, [field]: value } }));
+  };
 
-    switch (timeRange) {
-      case 'today':
-        startDate = endDate = getToday();
-        break;
-      case 'week':
-        startDate = getWeekStart();
-        endDate = getToday();
-        break;
-      case 'month':
-        startDate = getMonthStart();
-        endDate = getToday();
-        break;
-      case 'custom':
-        startDate = customStartDate || getToday();
-        endDate = customEndDate || getToday();
-        break;
-      default:
-        startDate = getWeekStart();
-        endDate = getToday();
-    }
-
-    return { startDate, endDate };
-  }, [timeRange, customStartDate, customEndDate]);
-
-  // Get data for selected user and date range
-  const historyData = useMemo(() => {
-    const { startDate, endDate } = getDateRange();
-    const userId = isManager && selectedUserId === 'all' ? null : (selectedUserId || currentUser?.id);
-
-    const dateArray = [];
-    const current = new Date(startDate);
-    const end = new Date(endDate);
-
-    while (current <= end) {
-      const dateStr = current.toISOString().split('T')[0];
-      dateArray.push(dateStr);
-      current.setDate(current.getDate() + 1);
-    }
-
-    return dateArray.map(date => {
-      let reviews = 0, demos = 0, callbacks = 0;
-
-      if (dailyLogs[date]) {
-        if (userId) {
-          // Single user
-          const userLog = dailyLogs[date][userId];
-          if (userLog) {
-            reviews = userLog.reviews || 0;
-            demos = userLog.demos || 0;
-            callbacks = userLog.callbacks || 0;
-          }
-        } else {
-          // All team (managers only)
-          Object.values(dailyLogs[date]).forEach(userLog => {
-            reviews += userLog.reviews || 0;
-            demos += userLog.demos || 0;
-            callbacks += userLog.callbacks || 0;
-          });
-        }
-      }
-
-      // Get goals (user's goals or sum of all users' goals)
-      let reviewsGoal = 0, demosGoal = 0, callbacksGoal = 0;
-      if (userId) {
-        const user = users.find(u => u.id === userId);
-        if (user?.goals) {
-          reviewsGoal = user.goals.reviews || 5;
-          demosGoal = user.goals.demos || 3;
-          callbacksGoal = user.goals.callbacks || 10;
-        }
-      } else {
-        users.forEach(user => {
-          if (user.goals) {
-            reviewsGoal += user.goals.reviews || 5;
-            demosGoal += user.goals.demos || 3;
-            callbacksGoal += user.goals.callbacks || 10;
-          }
-        });
-      }
-
-      return {
-        date,
-        reviews,
-        demos,
-        callbacks,
-        total: reviews + demos + callbacks,
-        goalsReviews: reviewsGoal,
-        goalsDemos: demosGoal,
-        goalsCallbacks: callbacksGoal,
-        goalsTotal: reviewsGoal + demosGoal + callbacksGoal,
-        goalsMet: reviews >= reviewsGoal && demos >= demosGoal && callbacks >= callbacksGoal,
-      };
-    }).reverse(); // Most recent first for the list
-  }, [dailyLogs, users, currentUser, selectedUserId, isManager, getDateRange]);
+  const duplicateCustomer = !formData.customerId
+    ? findDuplicateCustomer(customers, formData.newCustomer)
+    : null;
 
-  // Chart data (chronological order for chart)
-  const chartData = useMemo(() => {
-    return [...historyData].reverse().map(day => ({
-      date: formatDate(day.date),
-      Reviews: day.reviews,
-      Demos: day.demos,
-      Callbacks: day.callbacks,
+  const toggleProduct = (productId) => {
+    setFormData(prev => ({
+      ...prev,
+      products: prev.products.includes(productId)
+        ? prev.products.filter(p => p !== productId)
+        : [...prev.products, productId],
     }));
-  }, [historyData]);
-
-  // Period summary statistics
-  const periodStats = useMemo(() => {
-    const totalReviews = historyData.reduce((sum, day) => sum + day.reviews, 0);
-    const totalDemos = historyData.reduce((sum, day) => sum + day.demos, 0);
-    const totalCallbacks = historyData.reduce((sum, day) => sum + day.callbacks, 0);
-    const totalActivities = totalReviews + totalDemos + totalCallbacks;
-    const goalsMetCount = historyData.filter(day => day.goalsMet).length;
-    const totalDays = historyData.length;
-
-    let bestDay = null;
-    let bestDayTotal = 0;
-    historyData.forEach(day => {
-      if (day.total > bestDayTotal) {
-        bestDayTotal = day.total;
-        bestDay = day.date;
-      }
-    });
-
-    const avgPerDay = totalDays > 0 ? (totalActivities / totalDays).toFixed(1) : 0;
-
-    return {
-      totalReviews,
-      totalDemos,
-      totalCallbacks,
-      totalActivities,
-      goalsMetCount,
-      totalDays,
-      bestDay,
-      bestDayTotal,
-      avgPerDay,
-    };
-  }, [historyData]);
+  };
+  
+  const matchesSearch = (appt) => {
+    const term = searchTerm.toLowerCase();
+    return appt.customerName.toLowerCase().includes(term) || (appt.notes || '').toLowerCase().includes(term);
+  };
+  const filteredAppointments = appointments.filter(matchesSearch);
 
-  // Navigate to previous/next period
-  const navigatePeriod = (direction) => {
-    const { startDate, endDate } = getDateRange();
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const diff = Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1;
+  // The team view shows every active rep's appointments; the others only your own
+  const teamUsers = useMemo(
+    () => (users || []).filter(u => !u.archived).sort((a, b) => (a.name || '').localeCompare(b.name || '')),
+    [users]
+  );
+  const calendarSource = view === 'team' ? allAppointments : appointments;
+  const calendarAppointments = (calendarSource || []).filter(matchesSearch);
+  const doubleBooked = useMemo(() => findDoubleBookings(calendarSource), [calendarSource]);
+  const editingAppointment = view !== 'list' && (allAppointments || []).find(a => a.id === editingId);
+
+  const formConflicts = showForm
+    ? getConflicts(allAppointments, { userId: currentUser?.id, date: formData.date, time: formData.time, duration: formData.duration })
+    : [];
+
+  const openNewAt = (date, time) => {
+    setFormData(prev => ({ ...prev, date, time: time || prev.time }));
+    setShowForm(true);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
 
-    if (direction === 'prev') {
-      start.setDate(start.getDate() - diff);
-      end.setDate(end.getDate() - diff);
-    } else {
-      start.setDate(start.getDate() + diff);
-      end.setDate(end.getDate() + diff);
+  const moveAppointment = async (appt, date, time) => {
+    if (appt.date === date && (appt.time || null) === (time || null)) return;
+    const clashes = getConflicts(allAppointments, { ...appt, date, time });
+    if (clashes.length > 0) {
+      const names = clashes.map(c => `${c.customerName} at ${toTimeLabel(c.time)}`).join(', ');
+      if (!window.confirm(`This overlaps ${names}. Double-book anyway?`)) return;
     }
-
-    setCustomStartDate(start.toISOString().split('T')[0]);
-    setCustomEndDate(end.toISOString().split('T')[0]);
-    setTimeRange('custom');
+    await onUpdate(appt.id, { date, time });
   };
 
+  const openDay = (date) => {
+    setCalendarDate(date);
+    setView('day');
+  };
+  
   return (
     <div>
-      <h2 style={{
-        margin: '0 0 20px 0',
-        fontSize: '24px',
-        fontWeight: '700',
-        color: THEME.text,
-        fontFamily: 'var(--font-display)',
-      }}>
-        Activity History
-      </h2>
-
-      {/* Time Range Selector */}
-      <div style={{
-        background: THEME.white,
-        borderRadius: '16px',
-        padding: '20px',
-        marginBottom: '20px',
-        boxShadow: THEME.shadows.md,
-      }}>
-        <div style={{ marginBottom: '16px' }}>
-          <div style={{
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+        <h2 style={{ 
+          margin: 0, 
+          fontSize: '24px', 
+          fontWeight: '700', 
+          color: THEME.text,
+          fontFamily: 'var(--font-display)',
+        }}>
+          Appointments
+        </h2>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          onMouseDown={(e) => {
+            e.currentTarget.style.transform = 'scale(0.95)';
+          }}
+          onMouseUp={(e) => {
+            e.currentTarget.style.transform = 'scale(1)';
+          }}
+          style={{
+            padding: '12px 24px',
+            background: THEME.gradients.primary,
+            border: 'none',
+            borderRadius: '10px',
+            color: THEME.white,
+            fontSize: '14px',
+            fontWeight: '600',
+            cursor: 'pointer',
             display: 'flex',
+            alignItems: 'center',
             gap: '8px',
-            marginBottom: '16px',
-            flexWrap: 'wrap',
-          }}>
-            {['today', 'week', 'month', 'custom'].map(range => (
-              <button
-                key={range}
-                onClick={() => setTimeRange(range)}
-                style={{
-                  flex: range === 'custom' ? '0 0 auto' : 1,
-                  padding: '12px 16px',
-                  background: timeRange === range ? THEME.gradients.primary : THEME.secondary,
-                  border: 'none',
-                  borderRadius: '10px',
-                  color: timeRange === range ? THEME.white : THEME.text,
-                  fontSize: '14px',
-                  fontWeight: '600',
-                  cursor: 'pointer',
-                  transition: 'all 0.2s ease',
-                  boxShadow: timeRange === range ? THEME.shadows.md : 'none',
-                }}
-              >
-                {range === 'today' && 'Today'}
-                {range === 'week' && 'This Week'}
-                {range === 'month' && 'This Month'}
-                {range === 'custom' && 'Custom'}
-              </button>
-            ))}
-          </div>
-
-          {timeRange === 'custom' && (
-            <div style={{
-              display: 'flex',
-              gap: '12px',
-              alignItems: 'center',
-              flexWrap: 'wrap',
-            }}>
-              <div style={{ flex: 1, minWidth: '120px' }}>
-                <label style={{
-                  display: 'block',
-                  fontSize: '12px',
-                  color: THEME.textLight,
-                  marginBottom: '4px',
-                  fontWeight: '600',
-                }}>
-                  From
-                </label>
-                <input
-                  type="date"
-                  value={customStartDate}
-                  onChange={(e) => setCustomStartDate(e.target.value)}
-                  max={getToday()}
-                  style={{
-                    width: '100%',
-                    padding: '10px',
-                    border: `1px solid ${THEME.border}`,
-                    borderRadius: '8px',
-                    fontSize: '14px',
-                  }}
-                />
-              </div>
-              <div style={{ flex: 1, minWidth: '120px' }}>
-                <label style={{
-                  display: 'block',
-                  fontSize: '12px',
-                  color: THEME.textLight,
-                  marginBottom: '4px',
-                  fontWeight: '600',
-                }}>
-                  To
-                </label>
-                <input
-                  type="date"
-                  value={customEndDate}
-                  onChange={(e) => setCustomEndDate(e.target.value)}
-                  max={getToday()}
-                  style={{
-                    width: '100%',
-                    padding: '10px',
-                    border: `1px solid ${THEME.border}`,
-                    borderRadius: '8px',
-                    fontSize: '14px',
-                  }}
-                />
-              </div>
-            </div>
-          )}
+            transition: 'all 0.2s ease',
+            boxShadow: THEME.shadows.md,
+            fontFamily: 'var(--font-body)',
+          }}
+        >
+          <Plus size={20} />
+          Add Appointment
+        </button>
+      </div>
 
-          {/* Previous/Next Navigation */}
-          <div style={{
-            display: 'flex',
-            gap: '8px',
-            marginTop: '12px',
-          }}>
+      <div style={{ display: 'flex', gap: '6px', marginBottom: '16px', flexWrap: 'wrap' }}>
+        {APPOINTMENT_VIEWS.filter(v => !v.managerOnly || isManager).map(v => {
+          const Icon = v.icon;
+          return (
             <button
-              onClick={() => navigatePeriod('prev')}
+              key={v.id}
+              onClick={() => {
+                setView(v.id);
+                setEditingId(null);
+              }}
+              aria-pressed={view === v.id}
               style={{
-                flex: 1,
-                padding: '10px',
-                background: THEME.secondary,
-                border: 'none',
+                padding: '8px 14px',
+                background: view === v.id ? THEME.primary : THEME.white,
+                border: `1px solid ${view === v.id ? THEME.primary : THEME.border}`,
                 borderRadius: '8px',
-                color: THEME.text,
+                color: view === v.id ? THEME.white : THEME.text,
                 fontSize: '14px',
                 fontWeight: '600',
                 cursor: 'pointer',
-                transition: 'all 0.2s ease',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                fontFamily: 'var(--font-body)',
               }}
             >
-              ← Previous
+              <Icon size={16} />
+              {v.label}
             </button>
-            <button
-              onClick={() => navigatePeriod('next')}
-              disabled={getDateRange().endDate >= getToday()}
+          );
+        })}
+      </div>
+      
+      {showForm && (
+        <div style={{
+          background: THEME.white,
+          borderRadius: '12px',
+          padding: '20px',
+          marginBottom: '20px',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+        }}>
+          <div style={{ marginBottom: '16px' }}>
+            <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+              Customer
+            </label>
+            <CustomerPicker
+              customers={customers}
+              customerId={formData.customerId}
+              name={formData.customerName}
+              onChange={pickCustomer}
+              allowNew
+              theme={THEME}
+            />
+          </div>
+
+          {!formData.customerId && formData.customerName.trim() && (
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '12px', marginBottom: '16px' }}>
+              {[
+                { field: 'phone', label: 'Phone', type: 'tel' },
+                { field: 'email', label: 'Email', type: 'email' },
+                { field: 'address', label: 'Address', type: 'text' },
+              ].map(({ field, label, type }) => (
+                <input
+                  key={field}
+                  type={type}
+                  value={formData.newCustomer[field]}
+                  onChange={(e) => setNewCustomerField(field, e.target.value)}
+                  placeholder={`${label} (optional)`}
+                  aria-label={label}
+                  maxLength={200}
+                  style={{
+                    width: '100%',
+                    padding: '12px',
+                    border: `2px solid ${THEME.border}`,
+                    borderRadius: '8px',
+                    fontSize: '16px',
+                    boxSizing: 'border-box',
+                  }}
+                />
+              ))}
+              <select
+                value={formData.newCustomer.source}
+                onChange={(e) => setNewCustomerField('source', e.target.value)}
+                aria-label="Source"
+                style={{
+                  width: '100%',
+                  padding: '12px',
+                  border: `2px solid ${THEME.border}`,
+                  borderRadius: '8px',
+                  fontSize: '16px',
+                  boxSizing: 'border-box',
+                  background: THEME.white,
+                }}
+              >
+                <option value="">Source (optional)</option>
+                {CUSTOMER_SOURCES.map(source => (
+                  <option key={source.id} value={source.id}>{source.label}</option>
+                ))}
+              </select>
+              {duplicateCustomer && (
+                <div style={{ gridColumn: '1 / -1', display: 'flex', alignItems: 'center', gap: '8px', padding: '12px', background: `${THEME.warning}20`, border: `1px solid ${THEME.warning}`, borderRadius: '8px', fontSize: '14px', color: THEME.text }}>
+                  <AlertTriangle size={18} color={THEME.warning} style={{ flexShrink: 0 }} />
+                  <span style={{ flex: 1 }}>{duplicateCustomer.name} already has this phone number or email</span>
+                  <button
+                    onClick={() => pickCustomer({ customerId: duplicateCustomer.id, customerName: duplicateCustomer.name, customer: duplicateCustomer })}
+                    style={{ background: 'transparent', border: 'none', color: THEME.primary, fontWeight: '600', cursor: 'pointer' }}
+                  >
+                    Use this customer
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+          
+          <div style={{ marginBottom: '16px' }}>
+            <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+              Date
+            </label>
+            <input
+              type="date"
+              value={formData.date}
+              onChange={(e) => setFormData({ ...formData, date: e.target.value })}
               style={{
-                flex: 1,
-                padding: '10px',
-                background: getDateRange().endDate >= getToday() ? THEME.border : THEME.secondary,
-                border: 'none',
+                width: '100%',
+                padding: '12px',
+                border: `2px solid ${THEME.border}`,
                 borderRadius: '8px',
-                color: getDateRange().endDate >= getToday() ? THEME.textLight : THEME.text,
-                fontSize: '14px',
-                fontWeight: '600',
-                cursor: getDateRange().endDate >= getToday() ? 'not-allowed' : 'pointer',
-                transition: 'all 0.2s ease',
+                fontSize: '16px',
+                boxSizing: 'border-box',
               }}
-            >
-              Next →
-            </button>
+            />
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginBottom: '16px' }}>
+            <div>
+              <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+                Time
+              </label>
+              <select
+                value={formData.time}
+                onChange={(e) => setFormData({ ...formData, time: e.target.value })}
+                style={{
+                  width: '100%',
+                  padding: '12px',
+                  border: `2px solid ${THEME.border}`,
+                  borderRadius: '8px',
+                  fontSize: '16px',
+                  boxSizing: 'border-box',
+                  cursor: 'pointer',
+                }}
+              >
+                {TIME_SLOTS.map(time => (
+                  <option key={time} value={toTimeSlotValue(time)}>{time}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+                Duration
+              </label>
+              <select
+                value={formData.duration}
+                onChange={(e) => setFormData({ ...formData, duration: parseInt(e.target.value) })}
+                style={{
+                  width: '100%',
+                  padding: '12px',
+                  border: `2px solid ${THEME.border}`,
+                  borderRadius: '8px',
+                  fontSize: '16px',
+                  boxSizing: 'border-box',
+                  cursor: 'pointer',
+                }}
+              >
+                {DURATIONS.map(dur => (
+                  <option key={dur.value} value={dur.value}>{dur.label}</option>
+                ))}
+              </select>
+            </div>
           </div>
-        </div>
 
-        {/* User Filter (Manager only) */}
-        {isManager && (
           <div style={{ marginBottom: '16px' }}>
-            <label style={{
-              display: 'block',
-              fontSize: '12px',
-              color: THEME.textLight,
-              marginBottom: '8px',
-              fontWeight: '600',
-            }}>
-              View Data For
+            <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+              Status
             </label>
             <select
-              value={selectedUserId}
-              onChange={(e) => setSelectedUserId(e.target.value)}
+              value={formData.status}
+              onChange={(e) => setFormData({ ...formData, status: e.target.value })}
               style={{
                 width: '100%',
                 padding: '12px',
-                border: `1px solid ${THEME.border}`,
-                borderRadius: '10px',
-                fontSize: '14px',
-                fontWeight: '600',
-                background: THEME.white,
+                border: `2px solid ${THEME.border}`,
+                borderRadius: '8px',
+                fontSize: '16px',
+                boxSizing: 'border-box',
                 cursor: 'pointer',
               }}
             >
-              <option value="all">All Team</option>
-              {users.filter(u => u.role !== 'manager').map(user => (
-                <option key={user.id} value={user.id}>{user.name}</option>
+              {APPOINTMENT_STATUS.map(status => (
+                <option key={status.id} value={status.id}>{status.label}</option>
               ))}
             </select>
           </div>
-        )}
 
-        {/* Category Filter */}
-        <div>
+          <div style={{ marginBottom: '16px' }}>
+            <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+              Product Interests
+            </label>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px' }}>
+              {PRODUCT_INTERESTS.map(product => (
+                <button
+                  key={product.id}
+                  onClick={() => toggleProduct(product.id)}
+                  style={{
+                    padding: '12px',
+                    background: formData.products.includes(product.id) ? product.color : THEME.secondary,
+                    border: 'none',
+                    borderRadius: '8px',
+                    color: formData.products.includes(product.id) ? THEME.white : THEME.text,
+                    fontSize: '14px',
+                    fontWeight: '600',
+                    cursor: 'pointer',
+                    transition: 'all 0.2s',
+                  }}
+                >
+                  {product.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          
+          <div style={{ marginBottom: '16px' }}>
+            <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+              Notes (optional)
+            </label>
+            <textarea
+              value={formData.notes}
+              onChange={(e) => setFormData({ ...formData, notes: e.target.value })}
+              placeholder="Add any notes..."
+              maxLength={500}
+              rows={3}
+              style={{
+                width: '100%',
+                padding: '12px',
+                border: `2px solid ${THEME.border}`,
+                borderRadius: '8px',
+                fontSize: '16px',
+                fontFamily: 'inherit',
+                boxSizing: 'border-box',
+                resize: 'vertical',
+              }}
+            />
+          </div>
+          
           <label style={{
-            display: 'block',
-            fontSize: '12px',
-            color: THEME.textLight,
-            marginBottom: '8px',
-            fontWeight: '600',
-          }}>
-            Filter by Category
-          </label>
-          <div style={{
             display: 'flex',
+            alignItems: 'center',
             gap: '8px',
-            flexWrap: 'wrap',
+            marginBottom: '16px',
+            fontSize: '14px',
+            color: THEME.text,
+            cursor: 'pointer',
           }}>
-            {['all', 'reviews', 'demos', 'callbacks'].map(cat => (
-              <button
-                key={cat}
-                onClick={() => setSelectedCategory(cat)}
-                style={{
-                  flex: 1,
-                  minWidth: '70px',
-                  padding: '10px 12px',
-                  background: selectedCategory === cat ? THEME.gradients.primary : THEME.secondary,
-                  border: 'none',
-                  borderRadius: '8px',
-                  color: selectedCategory === cat ? THEME.white : THEME.text,
-                  fontSize: '13px',
-                  fontWeight: '600',
-                  cursor: 'pointer',
-                  transition: 'all 0.2s ease',
-                  boxShadow: selectedCategory === cat ? THEME.shadows.sm : 'none',
-                }}
-              >
-                {cat.charAt(0).toUpperCase() + cat.slice(1)}
-              </button>
-            ))}
-          </div>
-        </div>
-      </div>
+            <input
+              type="checkbox"
+              checked={formData.countsAsDemo}
+              onChange={(e) => setFormData({ ...formData, countsAsDemo: e.target.checked })}
+              style={{ cursor: 'pointer' }}
+            />
+            Count as Demo
+          </label>
 
-      {/* Period Summary Card */}
-      <div style={{
-        background: THEME.white,
-        borderRadius: '16px',
-        padding: '24px',
-        marginBottom: '20px',
-        boxShadow: THEME.shadows.md,
-      }}>
-        <h3 style={{
-          margin: '0 0 20px 0',
-          fontSize: '18px',
-          fontWeight: '700',
-          color: THEME.text,
-          fontFamily: 'var(--font-display)',
-        }}>
-          Period Summary
-        </h3>
-
-        <div style={{
-          display: 'grid',
-          gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))',
-          gap: '16px',
-        }}>
-          <div style={{
-            background: THEME.gradients.background,
-            borderRadius: '12px',
-            padding: '16px',
-            textAlign: 'center',
-          }}>
+          {formConflicts.length > 0 && (
             <div style={{
-              fontSize: '28px',
-              fontWeight: '700',
-              background: THEME.gradients.primary,
-              WebkitBackgroundClip: 'text',
-              WebkitTextFillColor: 'transparent',
-              backgroundClip: 'text',
-              fontFamily: 'var(--font-mono)',
-              marginBottom: '4px',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              padding: '12px',
+              marginBottom: '16px',
+              background: `${THEME.warning}20`,
+              border: `1px solid ${THEME.warning}`,
+              borderRadius: '8px',
+              fontSize: '14px',
+              color: THEME.text,
             }}>
-              {periodStats.totalActivities}
-            </div>
-            <div style={{ fontSize: '12px', color: THEME.textLight, fontWeight: '600' }}>
-              Total Activities
+              <AlertTriangle size={18} color={THEME.warning} style={{ flexShrink: 0 }} />
+              Overlaps {formConflicts.map(c => `${c.customerName} at ${toTimeLabel(c.time)}`).join(', ')}
             </div>
+          )}
+          
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <button
+              onClick={handleSubmit}
+              disabled={!formData.customerName.trim()}
+              onMouseDown={(e) => {
+                if (formData.customerName.trim()) e.currentTarget.style.transform = 'scale(0.98)';
+              }}
+              onMouseUp={(e) => {
+                e.currentTarget.style.transform = 'scale(1)';
+              }}
+              style={{
+                flex: 1,
+                padding: '16px',
+                background: formData.customerName.trim() ? THEME.gradients.success : THEME.border,
+                border: 'none',
+                borderRadius: '10px',
+                color: THEME.white,
+                fontSize: '16px',
+                fontWeight: '600',
+                cursor: formData.customerName.trim() ? 'pointer' : 'not-allowed',
+                transition: 'all 0.2s ease',
+                boxShadow: formData.customerName.trim() ? THEME.shadows.md : 'none',
+                fontFamily: 'var(--font-body)',
+              }}
+            >
+              Save Appointment
+            </button>
+            <button
+              onClick={() => setShowForm(false)}
+              onMouseDown={(e) => {
+                e.currentTarget.style.transform = 'scale(0.98)';
+              }}
+              onMouseUp={(e) => {
+                e.currentTarget.style.transform = 'scale(1)';
+              }}
+              style={{
+                flex: 1,
+                padding: '16px',
+                background: THEME.secondary,
+                border: `1px solid ${THEME.border}`,
+                borderRadius: '10px',
+                color: THEME.text,
+                fontSize: '16px',
+                fontWeight: '600',
+                cursor: 'pointer',
+                transition: 'all 0.2s ease',
+                fontFamily: 'var(--font-body)',
+              }}
+            >
+              Cancel
+            </button>
           </div>
-
-          <div style={{
-            background: THEME.gradients.background,
-            borderRadius: '12px',
-            padding: '16px',
-            textAlign: 'center',
-          }}>
-            <div style={{
-              fontSize: '28px',
-              fontWeight: '700',
-              background: THEME.gradients.success,
-              WebkitBackgroundClip: 'text',
-              WebkitTextFillColor: 'transparent',
-              backgroundClip: 'text',
-              fontFamily: 'var(--font-mono)',
-              marginBottom: '4px',
-            }}>
-              {periodStats.goalsMetCount}/{periodStats.totalDays}
-            </div>
-            <div style={{ fontSize: '12px', color: THEME.textLight, fontWeight: '600' }}>
-              Goals Met
+        </div>
+      )}
+      
+      <div style={{ marginBottom: '16px' }}>
+        <div style={{ position: 'relative' }}>
+          <Search size={20} color={THEME.textLight} style={{
+            position: 'absolute',
+            left: '12px',
+            top: '50%',
+            transform: 'translateY(-50%)',
+          }} />
+          <input
+            type="text"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            placeholder="Search appointments..."
+            style={{
+              width: '100%',
+              padding: '12px 12px 12px 44px',
+              border: `2px solid ${THEME.border}`,
+              borderRadius: '8px',
+              fontSize: '16px',
+              boxSizing: 'border-box',
+            }}
+          />
+        </div>
+      </div>
+      
+      {view !== 'list' && (
+        <div>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px', marginBottom: '12px' }}>
+            <button
+              onClick={() => setCalendarDate(stepCalendarDate(view, calendarDate, -1))}
+              aria-label="Previous"
+              style={{ padding: '8px', background: THEME.white, border: `1px solid ${THEME.border}`, borderRadius: '8px', cursor: 'pointer', display: 'flex' }}
+            >
+              <ChevronLeft size={18} color={THEME.text} />
+            </button>
+            <div style={{ flex: 1, textAlign: 'center' }}>
+              <div style={{ fontSize: '16px', fontWeight: '700', color: THEME.text, fontFamily: 'var(--font-display)' }}>
+                {getCalendarTitle(view, calendarDate)}
+              </div>
+              {calendarDate !== getToday() && (
+                <button
+                  onClick={() => setCalendarDate(getToday())}
+                  style={{ padding: '2px 8px', background: 'transparent', border: 'none', color: THEME.primary, fontSize: '13px', fontWeight: '600', cursor: 'pointer' }}
+                >
+                  Today
+                </button>
+              )}
             </div>
+            <button
+              onClick={() => setCalendarDate(stepCalendarDate(view, calendarDate, 1))}
+              aria-label="Next"
+              style={{ padding: '8px', background: THEME.white, border: `1px solid ${THEME.border}`, borderRadius: '8px', cursor: 'pointer', display: 'flex' }}
+            >
+              <ChevronRight size={18} color={THEME.text} />
+            </button>
           </div>
 
-          <div style={{
-            background: THEME.gradients.background,
-            borderRadius: '12px',
-            padding: '16px',
-            textAlign: 'center',
-          }}>
-            <div style={{
-              fontSize: '28px',
-              fontWeight: '700',
-              background: THEME.gradients.warning,
-              WebkitBackgroundClip: 'text',
-              WebkitTextFillColor: 'transparent',
-              backgroundClip: 'text',
-              fontFamily: 'var(--font-mono)',
-              marginBottom: '4px',
-            }}>
-              {periodStats.avgPerDay}
-            </div>
-            <div style={{ fontSize: '12px', color: THEME.textLight, fontWeight: '600' }}>
-              Avg per Day
-            </div>
-          </div>
+          <AppointmentCalendar
+            view={view}
+            date={calendarDate}
+            appointments={calendarAppointments}
+            users={teamUsers}
+            doubleBooked={doubleBooked}
+            onMove={moveAppointment}
+            onSlotClick={view === 'team' ? null : openNewAt}
+            onOpen={(id) => setEditingId(editingId === id ? null : id)}
+            onOpenDay={openDay}
+            theme={THEME}
+          />
 
-          <div style={{
-            background: THEME.gradients.background,
-            borderRadius: '12px',
-            padding: '16px',
-            textAlign: 'center',
-          }}>
+          {editingAppointment && (
             <div style={{
-              fontSize: '28px',
-              fontWeight: '700',
-              background: THEME.gradients.gold,
-              WebkitBackgroundClip: 'text',
-              WebkitTextFillColor: 'transparent',
-              backgroundClip: 'text',
-              fontFamily: 'var(--font-mono)',
-              marginBottom: '4px',
+              background: THEME.white,
+              borderRadius: '12px',
+              padding: '20px',
+              marginTop: '16px',
+              boxShadow: THEME.shadows.md,
             }}>
-              {periodStats.bestDayTotal}
-            </div>
-            <div style={{ fontSize: '12px', color: THEME.textLight, fontWeight: '600' }}>
-              Best Day
-            </div>
-            {periodStats.bestDay && (
-              <div style={{ fontSize: '10px', color: THEME.textLight, marginTop: '2px' }}>
-                {formatDate(periodStats.bestDay)}
+              <div style={{ fontSize: '18px', fontWeight: '700', color: THEME.text, fontFamily: 'var(--font-display)' }}>
+                {editingAppointment.customerName}
               </div>
-            )}
-          </div>
-        </div>
-      </div>
-
-      {/* Trend Chart */}
-      <div style={{
-        background: THEME.white,
-        borderRadius: '16px',
-        padding: '24px',
-        marginBottom: '20px',
-        boxShadow: THEME.shadows.md,
-      }}>
-        <h3 style={{
-          margin: '0 0 20px 0',
-          fontSize: '18px',
-          fontWeight: '700',
-          color: THEME.text,
-          fontFamily: 'var(--font-display)',
-        }}>
-          Trend Over Time
-        </h3>
-
-        {chartData.length > 0 ? (
-          <ResponsiveContainer width="100%" height={300}>
-            <LineChart data={chartData}>
-              <CartesianGrid strokeDasharray="3 3" stroke={THEME.border} />
-              <XAxis
-                dataKey="date"
-                tick={{ fontSize: 11, fill: THEME.textLight }}
-                angle={-45}
-                textAnchor="end"
-                height={80}
-              />
-              <YAxis tick={{ fontSize: 12, fill: THEME.textLight }} />
-              <Tooltip
-                contentStyle={{
-                  background: THEME.white,
-                  border: `1px solid ${THEME.border}`,
-                  borderRadius: '8px',
-                  boxShadow: THEME.shadows.md,
+              <div style={{ fontSize: '14px', color: THEME.textLight }}>
+                {editingAppointment.userId !== currentUser?.id && `${editingAppointment.userName} · `}
+                {formatDate(editingAppointment.date)}
+                {editingAppointment.time && ` · ${toTimeLabel(editingAppointment.time)}`}
+                {editingAppointment.duration && ` · ${editingAppointment.duration} min`}
+              </div>
+              <AppointmentDetail
+                key={editingAppointment.id}
+                appointment={editingAppointment}
+                customers={customers}
+                onSave={async (changes) => {
+                  if (await onUpdate(editingAppointment.id, changes)) setEditingId(null);
                 }}
+                onClose={() => setEditingId(null)}
+                theme={THEME}
               />
-              <Legend
-                wrapperStyle={{ paddingTop: '20px' }}
-                iconType="line"
-              />
-              {(selectedCategory === 'all' || selectedCategory === 'reviews') && (
-                <Line
-                  type="monotone"
-                  dataKey="Reviews"
-                  stroke={THEME.warning}
-                  strokeWidth={2}
-                  dot={{ fill: THEME.warning, r: 4 }}
-                  activeDot={{ r: 6 }}
-                />
-              )}
-              {(selectedCategory === 'all' || selectedCategory === 'demos') && (
-                <Line
-                  type="monotone"
-                  dataKey="Demos"
-                  stroke={THEME.success}
-                  strokeWidth={2}
-                  dot={{ fill: THEME.success, r: 4 }}
-                  activeDot={{ r: 6 }}
-                />
-              )}
-              {(selectedCategory === 'all' || selectedCategory === 'callbacks') && (
-                <Line
-                  type="monotone"
-                  dataKey="Callbacks"
-                  stroke={THEME.primary}
-                  strokeWidth={2}
-                  dot={{ fill: THEME.primary, r: 4 }}
-                  activeDot={{ r: 6 }}
-                />
-              )}
-            </LineChart>
-          </ResponsiveContainer>
-        ) : (
-          <div style={{
-            textAlign: 'center',
-            padding: '60px 20px',
-            color: THEME.textLight,
-          }}>
-            <div style={{ fontSize: '48px', marginBottom: '16px' }}>📊</div>
-            <div style={{ fontSize: '16px', fontWeight: '600', color: THEME.text }}>
-              No data available
             </div>
-          </div>
-        )}
-      </div>
-
-      {/* Day-by-Day List */}
-      <div>
-        <h3 style={{
-          margin: '0 0 16px 0',
-          fontSize: '18px',
-          fontWeight: '700',
-          color: THEME.text,
-          fontFamily: 'var(--font-display)',
-        }}>
-          Day-by-Day Breakdown
-        </h3>
-
-        {historyData.length > 0 ? (
-          <div style={{ display: 'grid', gap: '12px' }}>
-            {historyData.map((day, index) => {
-              const dayOfWeek = new Date(day.date).toLocaleDateString('en-US', { weekday: 'short' });
-              const hasActivity = day.total > 0;
-
-              return (
-                <div
-                  key={day.date}
-                  style={{
-                    background: THEME.white,
-                    borderRadius: '16px',
-                    padding: '20px',
-                    boxShadow: THEME.shadows.md,
-                    border: day.goalsMet ? `2px solid ${THEME.success}` : 'none',
-                    animation: `fadeInUp 0.3s ease-out ${index * 0.05}s both`,
-                    opacity: hasActivity ? 1 : 0.6,
-                  }}
-                >
-                  <div style={{
-                    display: 'flex',
-                    justifyContent: 'space-between',
-                    alignItems: 'center',
-                    marginBottom: '16px',
-                  }}>
-                    <div>
-                      <div style={{
-                        fontSize: '16px',
-                        fontWeight: '700',
-                        color: THEME.text,
-                        fontFamily: 'var(--font-display)',
-                      }}>
-                        {formatDate(day.date)}
-                      </div>
-                      <div style={{
-                        fontSize: '12px',
-                        color: THEME.textLight,
-                        fontWeight: '600',
-                      }}>
-                        {dayOfWeek}
-                      </div>
+          )}
+        </div>
+      )}
+      
+      {view === 'list' && (
+        <div style={{ display: 'grid', gap: '12px' }}>
+          {filteredAppointments.length === 0 ? (
+            <div style={{
+              background: THEME.white,
+              borderRadius: '12px',
+              padding: '40px 20px',
+              textAlign: 'center',
+              color: THEME.textLight,
+            }}>
+              <div style={{
+                fontSize: '48px',
+                marginBottom: '16px',
+              }}>
+                📅
+              </div>
+              <div style={{
+                fontSize: '18px',
+                fontWeight: '600',
+                color: THEME.text,
+                marginBottom: '8px',
+                fontFamily: 'var(--font-display)',
+              }}>
+                {searchTerm ? 'No appointments found' : 'No appointments yet'}
+              </div>
+              <div style={{
+                fontSize: '14px',
+                color: THEME.textLight,
+              }}>
+                {searchTerm ? 'Try adjusting your search terms' : 'Start by adding your first appointment'}
+              </div>
+            </div>
+          ) : (
+            filteredAppointments.map((appt, index) => (
+              <div
+                key={appt.id}
+                style={{
+                  background: THEME.white,
+                  borderRadius: '16px',
+                  padding: '20px',
+                  boxShadow: THEME.shadows.md,
+                  border: `1px solid ${THEME.border}`,
+                  animation: `fadeInUp 0.4s ease-out ${index * 0.05}s both`,
+                  transition: 'all 0.2s ease',
+                }}
+                onMouseEnter={(e) => {
+                  e.currentTarget.style.boxShadow = THEME.shadows.layered;
+                  e.currentTarget.style.transform = 'translateY(-2px)';
+                }}
+                onMouseLeave={(e) => {
+                  e.currentTarget.style.boxShadow = THEME.shadows.md;
+                  e.currentTarget.style.transform = 'translateY(0)';
+                }}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start', marginBottom: '12px' }}>
+                  <div>
+                    <div style={{
+                      fontSize: '18px',
+                      fontWeight: '700',
+                      color: THEME.text,
+                      marginBottom: '6px',
+                      fontFamily: 'var(--font-display)',
+                    }}>
+                      {appt.customerId ? (
+                        <button
+                          onClick={() => onOpenCustomer(appt.customerId)}
+                          title="View customer"
+                          style={{ padding: 0, background: 'transparent', border: 'none', color: 'inherit', font: 'inherit', textDecoration: 'underline', cursor: 'pointer' }}
+                        >
+                          {appt.customerName}
+                        </button>
+                      ) : appt.customerName}
                     </div>
-
-                    {day.goalsMet && (
-                      <div style={{
-                        display: 'flex',
-                        alignItems: 'center',
-                        gap: '8px',
-                        padding: '8px 12px',
-                        background: THEME.gradients.success,
-                        borderRadius: '8px',
-                        color: THEME.white,
-                        fontSize: '12px',
-                        fontWeight: '700',
-                      }}>
-                        <span>★</span>
-                        Goals Met
-                      </div>
-                    )}
-                  </div>
-
-                  {/* Category Breakdown */}
-                  <div style={{ display: 'grid', gap: '12px' }}>
-                    {(selectedCategory === 'all' || selectedCategory === 'reviews') && (
-                      <div>
-                        <div style={{
-                          display: 'flex',
-                          justifyContent: 'space-between',
-                          marginBottom: '6px',
-                        }}>
-                          <span style={{
-                            fontSize: '13px',
-                            fontWeight: '600',
-                            color: THEME.text,
-                          }}>
-                            Reviews
-                          </span>
-                          <span style={{
-                            fontSize: '13px',
-                            fontWeight: '700',
-                            color: day.reviews >= day.goalsReviews ? THEME.success : THEME.danger,
-                          }}>
-                            {day.reviews} / {day.goalsReviews}
-                          </span>
-                        </div>
-                        <div style={{
-                          height: '8px',
-                          background: THEME.secondary,
-                          borderRadius: '4px',
-                          overflow: 'hidden',
-                        }}>
-                          <div style={{
-                            height: '100%',
-                            width: `${Math.min((day.reviews / day.goalsReviews) * 100, 100)}%`,
-                            background: day.reviews >= day.goalsReviews ? THEME.gradients.success : THEME.gradients.warning,
-                            transition: 'width 0.3s ease',
-                            borderRadius: '4px',
-                          }} />
-                        </div>
-                      </div>
-                    )}
-
-                    {(selectedCategory === 'all' || selectedCategory === 'demos') && (
-                      <div>
-                        <div style={{
-                          display: 'flex',
-                          justifyContent: 'space-between',
-                          marginBottom: '6px',
+                    <div style={{
+                      fontSize: '14px',
+                      color: THEME.textLight,
+                      fontFamily: 'var(--font-body)',
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '12px',
+                      flexWrap: 'wrap',
+                    }}>
+                      <span>📅 {formatDate(appt.date)}</span>
+                      {appt.time && <span>🕐 {appt.time}</span>}
+                      {appt.duration && <span>⏱️ {appt.duration} min</span>}
+                    </div>
+                    {appt.status && (
+                      <div style={{ marginTop: '6px', display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+                        <span style={{
+                          padding: '4px 10px',
+                          background: APPOINTMENT_STATUS.find(s => s.id === appt.status)?.color || THEME.primary,
+                          color: THEME.white,
+                          borderRadius: '6px',
+                          fontSize: '11px',
+                          fontWeight: '600',
+                          textTransform: 'uppercase',
+                          letterSpacing: '0.5px',
                         }}>
+                          {APPOINTMENT_STATUS.find(s => s.id === appt.status)?.label || appt.status}
+                        </span>
+                        {appt.outcome && (
                           <span style={{
-                            fontSize: '13px',
+                            padding: '4px 10px',
+                            background: APPOINTMENT_OUTCOMES.find(o => o.id === appt.outcome)?.color || THEME.textLight,
+                            color: THEME.white,
+                            borderRadius: '6px',
+                            fontSize: '11px',
                             fontWeight: '600',
-                            color: THEME.text,
+                            textTransform: 'uppercase',
+                            letterSpacing: '0.5px',
                           }}>
-                            Demos
+                            {APPOINTMENT_OUTCOMES.find(o => o.id === appt.outcome)?.label || appt.outcome}
+                            {appt.outcome === 'sale' && appt.saleAmount ? ` · $${appt.saleAmount.toLocaleString()}` : ''}
                           </span>
-                          <span style={{
-                            fontSize: '13px',
-                            fontWeight: '700',
-                            color: day.demos >= day.goalsDemos ? THEME.success : THEME.danger,
-                          }}>
-                            {day.demos} / {day.goalsDemos}
+                        )}
+                        {appt.followupDate && (
+                          <span style={{ fontSize: '12px', color: THEME.textLight, alignSelf: 'center' }}>
+                            Follow up {formatDate(appt.followupDate)}
                           </span>
-                        </div>
-                        <div style={{
-                          height: '8px',
-                          background: THEME.secondary,
-                          borderRadius: '4px',
-                          overflow: 'hidden',
-                        }}>
-                          <div style={{
-                            height: '100%',
-                            width: `${Math.min((day.demos / day.goalsDemos) * 100, 100)}%`,
-                            background: day.demos >= day.goalsDemos ? THEME.gradients.success : THEME.gradients.success,
-                            transition: 'width 0.3s ease',
-                            borderRadius: '4px',
-                          }} />
-                        </div>
+                        )}
                       </div>
                     )}
-
-                    {(selectedCategory === 'all' || selectedCategory === 'callbacks') && (
-                      <div>
-                        <div style={{
-                          display: 'flex',
-                          justifyContent: 'space-between',
-                          marginBottom: '6px',
-                        }}>
-                          <span style={{
-                            fontSize: '13px',
+                  </div>
+                  <div style={{ display: 'flex', gap: '4px' }}>
+                    <button
+                      onClick={() => setEditingId(editingId === appt.id ? null : appt.id)}
+                      aria-label="Update appointment"
+                      style={{
+                        padding: '8px',
+                        background: 'transparent',
+                        border: 'none',
+                        cursor: 'pointer',
+                      }}
+                    >
+                      <Edit2 size={18} color={THEME.primary} />
+                    </button>
+                    <button
+                      onClick={() => onDelete(appt.id)}
+                      aria-label="Delete appointment"
+                      style={{
+                        padding: '8px',
+                        background: 'transparent',
+                        border: 'none',
+                        cursor: 'pointer',
+                      }}
+                    >
+                      <Trash2 size={18} color={THEME.danger} />
+                    </button>
+                  </div>
+                </div>
+              
+                {appt.products && appt.products.length > 0 && (
+                  <div style={{ marginBottom: '12px', display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                    {appt.products.map(productId => {
+                      const product = PRODUCT_INTERESTS.find(p => p.id === productId);
+                      return product ? (
+                        <span
+                          key={productId}
+                          style={{
+                            padding: '6px 14px',
+                            background: product.color,
+                            color: THEME.white,
+                            borderRadius: '12px',
+                            fontSize: '12px',
                             fontWeight: '600',
-                            color: THEME.text,
-                          }}>
-                            Callbacks
-                          </span>
-                          <span style={{
-                            fontSize: '13px',
-                            fontWeight: '700',
-                            color: day.callbacks >= day.goalsCallbacks ? THEME.success : THEME.danger,
-                          }}>
-                            {day.callbacks} / {day.goalsCallbacks}
-                          </span>
-                        </div>
-                        <div style={{
-                          height: '8px',
-                          background: THEME.secondary,
-                          borderRadius: '4px',
-                          overflow: 'hidden',
-                        }}>
-                          <div style={{
-                            height: '100%',
-                            width: `${Math.min((day.callbacks / day.goalsCallbacks) * 100, 100)}%`,
-                            background: day.callbacks >= day.goalsCallbacks ? THEME.gradients.success : THEME.gradients.primary,
-                            transition: 'width 0.3s ease',
-                            borderRadius: '4px',
-                          }} />
-                        </div>
-                      </div>
-                    )}
+                            boxShadow: THEME.shadows.sm,
+                            fontFamily: 'var(--font-body)',
+                          }}
+                        >
+                          {product.label}
+                        </span>
+                      ) : null;
+                    })}
+                  </div>
+                )}
+              
+                {appt.notes && (
+                  <div style={{
+                    padding: '12px',
+                    background: THEME.secondary,
+                    borderRadius: '8px',
+                    fontSize: '14px',
+                    color: THEME.text,
+                    marginBottom: '8px',
+                  }}>
+                    {appt.notes}
+                  </div>
+                )}
+              
+                {appt.countsAsDemo && (
+                  <div style={{
+                    display: 'inline-flex',
+                    alignItems: 'center',
+                    gap: '6px',
+                    padding: '4px 12px',
+                    background: THEME.success,
+                    color: THEME.white,
+                    borderRadius: '12px',
+                    fontSize: '12px',
+                    fontWeight: '600',
+                  }}>
+                    <Calendar size={14} />
+                    Counted as Demo
                   </div>
+                )}
 
-                  {!hasActivity && (
-                    <div style={{
-                      marginTop: '12px',
-                      padding: '12px',
-                      background: THEME.secondary,
-                      borderRadius: '8px',
-                      textAlign: 'center',
-                      fontSize: '12px',
-                      color: THEME.textLight,
-                      fontStyle: 'italic',
-                    }}>
-                      No activity recorded
-                    </div>
-                  )}
-                </div>
-              );
-            })}
-          </div>
-        ) : (
-          <div style={{
-            background: THEME.white,
-            borderRadius: '16px',
-            padding: '60px 20px',
-            textAlign: 'center',
-            color: THEME.textLight,
-            boxShadow: THEME.shadows.md,
-          }}>
-            <div style={{ fontSize: '48px', marginBottom: '16px' }}>📅</div>
-            <div style={{
-              fontSize: '18px',
-              fontWeight: '600',
-              color: THEME.text,
-              marginBottom: '8px',
-              fontFamily: 'var(--font-display)',
-            }}>
-              No activity in this period
-            </div>
-            <div style={{ fontSize: '14px', color: THEME.textLight }}>
-              Try selecting a different time range
-            </div>
-          </div>
-        )}
-      </div>
-    </div>
-  );
-}
-
-// ========================================
-// ACTIVE USERS LIST COMPONENT
-// ========================================
-
-function ActiveUsersList({ activeUsers, currentUser, theme }) {
-  const THEME = theme;
-  return (
-    <div style={{
-      background: THEME.white,
-      borderRadius: '12px',
-      padding: '16px',
-      boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
-    }}>
-      <div style={{ 
-        display: 'flex', 
-        alignItems: 'center', 
-        gap: '8px', 
-        marginBottom: '12px' 
-      }}>
-        <Users size={20} color={THEME.primary} />
-        <h3 style={{ margin: 0, fontSize: '16px', fontWeight: '600', color: THEME.text }}>
-          Active Users ({activeUsers.length})
-        </h3>
-      </div>
-      {activeUsers.length === 0 ? (
-        <div style={{
-          padding: '20px',
-          textAlign: 'center',
-          color: THEME.textLight,
-          fontSize: '14px',
-        }}>
-          No other users online
-        </div>
-      ) : (
-        <div style={{ display: 'grid', gap: '8px' }}>
-          {activeUsers.map(user => (
-            <div key={user.userId} style={{
-              display: 'flex',
-              alignItems: 'center',
-              gap: '12px',
-              padding: '8px',
-              background: user.userId === currentUser?.id ? THEME.accent : THEME.secondary,
-              borderRadius: '8px',
-            }}>
-              <div style={{
-                width: '32px',
-                height: '32px',
-                borderRadius: '50%',
-                background: THEME.primary,
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                color: THEME.white,
-                fontSize: '12px',
-                fontWeight: '600',
-              }}>
-                {user.userName?.[0]?.toUpperCase() || '?'}
-              </div>
-              <div style={{ flex: 1 }}>
-                <div style={{ fontSize: '14px', fontWeight: '600', color: THEME.text }}>
-                  {user.userName}
-                  {user.userId === currentUser?.id && ' (You)'}
-                </div>
-                <div style={{ fontSize: '12px', color: THEME.textLight }}>
-                  {user.userRole === 'manager' ? '👔 Manager' : '👤 Employee'}
-                </div>
+                {editingId === appt.id && (
+                  <AppointmentDetail
+                    appointment={appt}
+                    customers={customers}
+                    onSave={async (changes) => {
+                      if (await onUpdate(appt.id, changes)) setEditingId(null);
+                    }}
+                    onClose={() => setEditingId(null)}
+                    theme={THEME}
+                  />
+                )}
               </div>
-              <div style={{
-                width: '8px',
-                height: '8px',
-                borderRadius: '50%',
-                background: THEME.success,
-              }} />
-            </div>
-          ))}
+            ))
+          )}
         </div>
       )}
     </div>
   );
 }
 
-// ========================================
-// CHATBOT COMPONENT WITH VOICE CHAT
-// ========================================
+// Height of a half-hour row in the day, week and team grids
+const CALENDAR_SLOT_HEIGHT = 28;
+const CALENDAR_DAY_START = timeToMinutes(toTimeSlotValue(TIME_SLOTS[0]));
+const CALENDAR_DAY_END = timeToMinutes(toTimeSlotValue(TIME_SLOTS[TIME_SLOTS.length - 1])) + 30;
 
-/**
- * Format markdown text to JSX elements
- * Handles: **bold**, *italic*, `code`, ## headers
- */
-const formatMarkdown = (text) => {
-  if (!text || typeof text !== 'string') return text;
+// Day, week, month and team grids; appointments are dragged to a new slot
+// (or day, in the month view) to reschedule them
+function AppointmentCalendar({ view, date, appointments, users, doubleBooked, onMove, onSlotClick, onOpen, onOpenDay, theme }) {
+  const THEME = theme;
+  const [dropTarget, setDropTarget] = useState(null);
+  const byId = useMemo(() => new Map(appointments.map(a => [a.id, a])), [appointments]);
 
-  // Process line by line to handle headers
-  const lines = text.split('\n');
-  
-  return lines.map((line, lineIndex) => {
-    if (!line.trim()) return <br key={`line-${lineIndex}`} />;
+  const statusColor = (appt) => APPOINTMENT_STATUS.find(s => s.id === (appt.status || 'scheduled'))?.color || THEME.primary;
+  const isInactive = (appt) => appt.status === 'cancelled' || appt.status === 'no_show';
 
-    // Check for headers
-    if (line.startsWith('### ')) {
-      return <h3 key={`line-${lineIndex}`} style={{ fontSize: '16px', fontWeight: '600', marginTop: '8px', marginBottom: '4px' }}>{formatInlineMarkdown(line.substring(4))}</h3>;
-    }
-    if (line.startsWith('## ')) {
-      return <h2 key={`line-${lineIndex}`} style={{ fontSize: '18px', fontWeight: '700', marginTop: '10px', marginBottom: '6px' }}>{formatInlineMarkdown(line.substring(3))}</h2>;
-    }
-    if (line.startsWith('# ')) {
-      return <h1 key={`line-${lineIndex}`} style={{ fontSize: '20px', fontWeight: '700', marginTop: '12px', marginBottom: '8px' }}>{formatInlineMarkdown(line.substring(2))}</h1>;
-    }
+  const dropProps = (key, onDropAppointment) => ({
+    onDragOver: (e) => {
+      e.preventDefault();
+      if (dropTarget !== key) setDropTarget(key);
+    },
+    onDragLeave: () => setDropTarget(current => (current === key ? null : current)),
+    onDrop: (e) => {
+      e.preventDefault();
+      setDropTarget(null);
+      const appt = byId.get(e.dataTransfer.getData('text/plain'));
+      if (appt) onDropAppointment(appt);
+    },
+  });
 
-    // Regular line with inline formatting
-    return <div key={`line-${lineIndex}`}>{formatInlineMarkdown(line)}</div>;
+  const dragProps = (appt) => ({
+    draggable: true,
+    onDragStart: (e) => {
+      e.dataTransfer.setData('text/plain', appt.id);
+      e.dataTransfer.effectAllowed = 'move';
+    },
+    onDragEnd: () => setDropTarget(null),
   });
-};
 
-/**
- * Format inline markdown: **bold**, *italic*, `code`
- */
-const formatInlineMarkdown = (text) => {
-  if (!text) return text;
+  if (view === 'month') {
+    const month = getMonthStart(date).slice(0, 7);
+    const gridStart = getWeekStart(getMonthStart(date));
+    const weeks = Array.from({ length: 6 }, (_, w) => Array.from({ length: 7 }, (_, d) => addDays(gridStart, w * 7 + d)))
+      .filter(week => week.some(day => day.startsWith(month)));
 
-  const parts = [];
-  let remaining = text;
-  let key = 0;
+    return (
+      <div style={{ background: THEME.white, borderRadius: '12px', boxShadow: THEME.shadows.md, overflow: 'hidden' }}>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)' }}>
+          {weeks[0].map(day => (
+            <div key={day} style={{ padding: '8px 4px', textAlign: 'center', fontSize: '12px', fontWeight: '600', color: THEME.textLight, borderBottom: `1px solid ${THEME.border}` }}>
+              {getDayName(day).slice(0, 3)}
+            </div>
+          ))}
+          {weeks.flat().map(day => {
+            const dayAppointments = appointments
+              .filter(a => a.date === day)
+              .sort((a, b) => (a.time || '').localeCompare(b.time || ''));
+            const hasConflict = dayAppointments.some(a => doubleBooked.has(a.id));
+            const key = `month|${day}`;
+            return (
+              <div
+                key={day}
+                onClick={() => onOpenDay(day)}
+                {...dropProps(key, appt => onMove(appt, day, appt.time))}
+                style={{
+                  minHeight: '84px',
+                  padding: '4px',
+                  borderRight: `1px solid ${THEME.border}`,
+                  borderBottom: `1px solid ${THEME.border}`,
+                  background: dropTarget === key ? `${THEME.primary}20` : day.startsWith(month) ? THEME.white : THEME.secondary,
+                  boxShadow: hasConflict ? `inset 0 0 0 2px ${THEME.danger}` : 'none',
+                  cursor: 'pointer',
+                  overflow: 'hidden',
+                }}
+              >
+                <div style={{
+                  fontSize: '12px',
+                  fontWeight: day === getToday() ? '700' : '500',
+                  color: day === getToday() ? THEME.primary : day.startsWith(month) ? THEME.text : THEME.textLight,
+                  marginBottom: '2px',
+                }}>
+                  {Number(day.slice(8))}
+                </div>
+                {dayAppointments.slice(0, 3).map(appt => (
+                  <div
+                    key={appt.id}
+                    {...dragProps(appt)}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onOpen(appt.id);
+                    }}
+                    title={`${toTimeLabel(appt.time)} ${appt.customerName}`}
+                    style={{
+                      fontSize: '11px',
+                      padding: '1px 4px',
+                      marginBottom: '2px',
+                      borderRadius: '4px',
+                      background: statusColor(appt),
+                      color: THEME.white,
+                      opacity: isInactive(appt) ? 0.5 : 1,
+                      whiteSpace: 'nowrap',
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      cursor: 'grab',
+                    }}
+                  >
+                    {appt.customerName}
+                  </div>
+                ))}
+                {dayAppointments.length > 3 && (
+                  <div style={{ fontSize: '11px', color: THEME.textLight }}>+{dayAppointments.length - 3} more</div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
 
-  while (remaining.length > 0) {
-    // Find the earliest markdown pattern
-    let minIndex = Infinity;
-    let match = null;
-    let type = null;
+  // One column per day, or per rep in the team view
+  const weekStart = getWeekStart(date);
+  const columns = view === 'team'
+    ? users.map(user => ({ key: user.id, label: user.name, date, userId: user.id }))
+    : (view === 'week' ? eachDayInRange(weekStart, addDays(weekStart, 6)) : [date]).map(day => ({
+      key: day,
+      label: view === 'week' ? `${getDayName(day).slice(0, 3)} ${Number(day.slice(8))}` : getDayName(day),
+      date: day,
+      userId: null,
+    }));
+  const columnAppointments = (column) => appointments.filter(a =>
+    a.date === column.date && (!column.userId || a.userId === column.userId)
+  );
 
-    // Check for **bold**
-    const boldMatch = remaining.match(/\*\*(.+?)\*\*/);
-    if (boldMatch && boldMatch.index < minIndex) {
-      minIndex = boldMatch.index;
-      match = boldMatch;
-      type = 'bold';
-    }
+  // Stretch the grid to fit appointments booked outside the usual slots
+  let dayStart = CALENDAR_DAY_START;
+  let dayEnd = CALENDAR_DAY_END;
+  columns.forEach(column => columnAppointments(column).forEach(appt => {
+    const start = timeToMinutes(appt.time);
+    if (start === null) return;
+    dayStart = Math.min(dayStart, Math.floor(start / 30) * 30);
+    dayEnd = Math.max(dayEnd, Math.min(Math.ceil((start + (appt.duration || 60)) / 30) * 30, 24 * 60));
+  }));
+  const slots = [];
+  for (let minutes = dayStart; minutes < dayEnd; minutes += 30) slots.push(minutes);
+
+  const untimed = columns.map(column => columnAppointments(column).filter(a => timeToMinutes(a.time) === null));
+  const columnWidth = view === 'day' ? 200 : 110;
+
+  if (view === 'team' && columns.length === 0) {
+    return (
+      <div style={{ background: THEME.white, borderRadius: '12px', padding: '40px 20px', textAlign: 'center', color: THEME.textLight }}>
+        No active team members
+      </div>
+    );
+  }
 
-    // Check for *italic* (not **)
-    const italicMatch = remaining.match(/(?<!\*)\*([^*]+?)\*(?!\*)/);
-    if (italicMatch && italicMatch.index < minIndex) {
-      minIndex = italicMatch.index;
-      match = italicMatch;
-      type = 'italic';
-    }
+  return (
+    <div style={{ background: THEME.white, borderRadius: '12px', boxShadow: THEME.shadows.md, overflowX: 'auto' }}>
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: `64px repeat(${columns.length}, minmax(${columnWidth}px, 1fr))`,
+        minWidth: `${64 + columns.length * columnWidth}px`,
+      }}>
+        <div style={{ borderBottom: `1px solid ${THEME.border}` }} />
+        {columns.map(column => (
+          <div key={column.key} style={{
+            padding: '8px 4px',
+            textAlign: 'center',
+            fontSize: '13px',
+            fontWeight: '600',
+            color: column.date === getToday() && view === 'week' ? THEME.primary : THEME.text,
+            borderBottom: `1px solid ${THEME.border}`,
+            borderLeft: `1px solid ${THEME.border}`,
+            whiteSpace: 'nowrap',
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+          }}>
+            {column.label}
+          </div>
+        ))}
 
-    // Check for `code`
-    const codeMatch = remaining.match(/`([^`]+?)`/);
-    if (codeMatch && codeMatch.index < minIndex) {
-      minIndex = codeMatch.index;
-      match = codeMatch;
-      type = 'code';
-    }
+        {untimed.some(list => list.length > 0) && (
+          <>
+            <div style={{ padding: '4px', fontSize: '11px', color: THEME.textLight, borderBottom: `1px solid ${THEME.border}` }}>
+              No time
+            </div>
+            {columns.map((column, i) => (
+              <div key={column.key} style={{ padding: '2px', borderLeft: `1px solid ${THEME.border}`, borderBottom: `1px solid ${THEME.border}` }}>
+                {untimed[i].map(appt => (
+                  <div
+                    key={appt.id}
+                    {...dragProps(appt)}
+                    onClick={() => onOpen(appt.id)}
+                    style={{
+                      fontSize: '11px',
+                      padding: '2px 4px',
+                      marginBottom: '2px',
+                      borderRadius: '4px',
+                      background: statusColor(appt),
+                      color: THEME.white,
+                      opacity: isInactive(appt) ? 0.5 : 1,
+                      cursor: 'grab',
+                    }}
+                  >
+                    {appt.customerName}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </>
+        )}
 
-    if (match && type) {
-      // Add text before match
-      if (minIndex > 0) {
-        parts.push(remaining.substring(0, minIndex));
-      }
+        <div>
+          {slots.map(minutes => (
+            <div key={minutes} style={{
+              height: `${CALENDAR_SLOT_HEIGHT}px`,
+              fontSize: '11px',
+              color: THEME.textLight,
+              textAlign: 'right',
+              paddingRight: '6px',
+              boxSizing: 'border-box',
+              transform: 'translateY(-6px)',
+            }}>
+              {minutes % 60 === 0 ? toTimeLabel(minutesToTime(minutes)) : ''}
+            </div>
+          ))}
+        </div>
 
-      // Add formatted match
-      if (type === 'bold') {
-        parts.push(<strong key={key++}>{match[1]}</strong>);
-      } else if (type === 'italic') {
-        parts.push(<em key={key++}>{match[1]}</em>);
-      } else if (type === 'code') {
-        parts.push(<code key={key++} style={{ fontFamily: 'monospace', background: 'rgba(0,0,0,0.1)', padding: '2px 4px', borderRadius: '3px' }}>{match[1]}</code>);
-      }
-
-      // Update remaining
-      remaining = remaining.substring(minIndex + match[0].length);
-    } else {
-      // No more matches, add remaining text
-      parts.push(remaining);
-      break;
-    }
-  }
-
-  return parts.length > 0 ? parts : text;
-};
+        {columns.map(column => {
+          const timed = columnAppointments(column).filter(a => timeToMinutes(a.time) !== null);
+          const layout = layoutDayAppointments(timed);
+          return (
+            <div key={column.key} style={{ position: 'relative', borderLeft: `1px solid ${THEME.border}` }}>
+              {slots.map(minutes => {
+                const key = `${column.key}|${minutes}`;
+                const time = minutesToTime(minutes);
+                // In the team view an appointment stays with its rep
+                return (
+                  <div
+                    key={minutes}
+                    onClick={onSlotClick ? () => onSlotClick(column.date, time) : undefined}
+                    {...dropProps(key, appt => {
+                      if (column.userId && appt.userId !== column.userId) return;
+                      onMove(appt, column.date, time);
+                    })}
+                    style={{
+                      height: `${CALENDAR_SLOT_HEIGHT}px`,
+                      boxSizing: 'border-box',
+                      borderTop: `1px ${minutes % 60 === 0 ? 'solid' : 'dashed'} ${THEME.border}`,
+                      background: dropTarget === key ? `${THEME.primary}20` : 'transparent',
+                      cursor: onSlotClick ? 'pointer' : 'default',
+                    }}
+                  />
+                );
+              })}
+              {timed.map(appt => {
+                const start = timeToMinutes(appt.time);
+                const { lane, lanes } = layout.get(appt.id);
+                const conflict = doubleBooked.has(appt.id);
+                return (
+                  <div
+                    key={appt.id}
+                    {...dragProps(appt)}
+                    onClick={() => onOpen(appt.id)}
+                    title={`${toTimeLabel(appt.time)} ${appt.customerName}${conflict ? ' (double-booked)' : ''}`}
+                    style={{
+                      position: 'absolute',
+                      top: `${((start - dayStart) / 30) * CALENDAR_SLOT_HEIGHT + 1}px`,
+                      height: `${Math.max((appt.duration || 60) / 30, 1) * CALENDAR_SLOT_HEIGHT - 2}px`,
+                      left: `calc(${(lane * 100) / lanes}% + 2px)`,
+                      width: `calc(${100 / lanes}% - 4px)`,
+                      padding: '2px 6px',
+                      boxSizing: 'border-box',
+                      borderRadius: '6px',
+                      background: statusColor(appt),
+                      border: conflict ? `2px solid ${THEME.danger}` : 'none',
+                      color: THEME.white,
+                      opacity: isInactive(appt) ? 0.5 : 1,
+                      fontSize: '12px',
+                      overflow: 'hidden',
+                      cursor: 'grab',
+                      boxShadow: THEME.shadows.sm,
+                    }}
+                  >
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '4px', fontWeight: '600', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                      {conflict && <AlertTriangle size={12} style={{ flexShrink: 0 }} />}
+                      {appt.customerName}
+                    </div>
+                    <div style={{ fontSize: '11px', opacity: 0.9 }}>{toTimeLabel(appt.time)}</div>
+                  </div>
+                );
+              })}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
 
-function Chatbot({ currentUser, todayStats, weekStats, onIncrement, appSettings, setAppSettings, theme, onRefreshData }) {
+// Status, outcome and reschedule editor for one appointment
+function AppointmentDetail({ appointment, customers, onSave, onClose, theme }) {
   const THEME = theme;
-  const [messages, setMessages] = useState([
-    {
-      id: 'welcome',
-      role: 'assistant',
-      content: isAIConfigured()
-        ? "Hi! I'm your AI coach. I can help you with your goals, answer questions about the app, and provide motivation. What would you like to know?"
-        : "AI chatbot is not configured. Please add your API key in Settings to enable AI features.",
-      timestamp: Date.now(),
-    },
-  ]);
-  const [input, setInput] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
-  const [remainingRequests, setRemainingRequests] = useState(getRemainingRequests());
-  // eslint-disable-next-line no-unused-vars
-  const [selectedModel, setSelectedModel] = useState(DEFAULT_MODEL);
-  const [currentSessionId, setCurrentSessionId] = useState(null);
-  const [chatSessions, setChatSessions] = useState([]);
-  // eslint-disable-next-line no-unused-vars
-  const [chatMode, setChatMode] = useState('text'); // 'text' or 'voice' - kept for internal state tracking
-  const [voiceStatus, setVoiceStatus] = useState('disconnected'); // 'disconnected', 'connecting', 'connected', 'ready', 'listening', 'processing'
-  const [audioLevel, setAudioLevel] = useState(0);
-  const [voiceError, setVoiceError] = useState(null);
-  // eslint-disable-next-line no-unused-vars
-  const [isVoiceRecording, setIsVoiceRecording] = useState(false);
-  const [showChatSettings, setShowChatSettings] = useState(false);
-  const messagesEndRef = useRef(null);
-  const saveDebounceRef = useRef(null);
-  const voiceSessionRef = useRef(null);
-
-  // Load saved model preference
-  useEffect(() => {
-    const loadModelPreference = async () => {
-      try {
-        const savedModel = await storage.get(`aiModel_${currentUser?.id}`, DEFAULT_MODEL);
-        if (AVAILABLE_MODELS.find(m => m.value === savedModel)) {
-          setSelectedModel(savedModel);
-        }
-      } catch (error) {
-        console.error('Failed to load model preference:', error);
-      }
-    };
-    if (currentUser) {
-      loadModelPreference();
-    }
-  }, [currentUser]);
+  const [customerId, setCustomerId] = useState(appointment.customerId || null);
+  const [customerQuery, setCustomerQuery] = useState('');
+  const [status, setStatus] = useState(appointment.status || 'scheduled');
+  const [outcome, setOutcome] = useState(appointment.outcome || '');
+  const [saleAmount, setSaleAmount] = useState(appointment.saleAmount ?? '');
+  const [followupDate, setFollowupDate] = useState(appointment.followupDate || '');
+  const [cancellationReason, setCancellationReason] = useState(appointment.cancellationReason || '');
+  const [date, setDate] = useState(appointment.date);
+  const [time, setTime] = useState(appointment.time || '');
+  const [rescheduleReason, setRescheduleReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const isMoved = date !== appointment.date || time !== (appointment.time || '');
+  const shownStatus = isMoved ? 'rescheduled' : status;
+  const canHaveOutcome = OUTCOME_STATUSES.includes(shownStatus);
+  const needsFollowup = shownStatus === 'followup_needed' || (canHaveOutcome && outcome === 'callback_needed');
+  const statusOptions = [appointment.status || 'scheduled', ...getNextStatuses(appointment.status)]
+    .filter((id, index, ids) => ids.indexOf(id) === index && id !== 'rescheduled');
+
+  const labelStyle = { display: 'block', marginBottom: '6px', fontSize: '13px', fontWeight: '600', color: THEME.text };
+  const inputStyle = {
+    width: '100%',
+    padding: '10px',
+    border: `2px solid ${THEME.border}`,
+    borderRadius: '8px',
+    fontSize: '14px',
+    boxSizing: 'border-box',
+    fontFamily: 'inherit',
+  };
+  const chipStyle = (selected, color) => ({
+    padding: '8px 12px',
+    background: selected ? color : THEME.secondary,
+    border: 'none',
+    borderRadius: '8px',
+    color: selected ? THEME.white : THEME.text,
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  });
 
-  // Chat persistence: Load chat sessions and current session
-  useEffect(() => {
-    const loadChatHistory = async () => {
-      if (!currentUser) return;
+  const handleSave = async () => {
+    setSaving(true);
+    await onSave({
+      status: shownStatus,
+      outcome: canHaveOutcome ? outcome || null : null,
+      saleAmount: canHaveOutcome && outcome === 'sale' ? saleAmount : null,
+      followupDate: needsFollowup ? followupDate : null,
+      cancellationReason: shownStatus === 'cancelled' ? cancellationReason : '',
+      date,
+      time: time || null,
+      rescheduleReason,
+      // Moved to another customer
+      ...(customerId && customerId !== appointment.customerId ? {
+        customerId,
+        customerName: customers.find(c => c.id === customerId).name,
+      } : {}),
+    });
+    setSaving(false);
+  };
 
-      try {
-        const userId = currentUser.id;
-        
-        // Load chat sessions list
-        const sessions = await storage.get(`chatSessions_${userId}`, []);
-        setChatSessions(sessions);
+  return (
+    <div style={{
+      marginTop: '16px',
+      paddingTop: '16px',
+      borderTop: `1px solid ${THEME.border}`,
+      display: 'grid',
+      gap: '16px',
+    }}>
+      {customers && (
+        <div>
+          <label style={labelStyle}>Customer</label>
+          <CustomerPicker
+            customers={customers}
+            customerId={customerId}
+            name={customerQuery}
+            onChange={(picked) => {
+              setCustomerId(picked.customerId);
+              setCustomerQuery(picked.customerName);
+            }}
+            theme={THEME}
+          />
+        </div>
+      )}
 
-        // Load current session or create new one
-        const currentSession = sessions.length > 0 ? sessions[0] : null;
-        
-        if (currentSession) {
-          // Load messages for current session
-          const sessionMessages = await storage.get(`chatMessages_${userId}_${currentSession.id}`, null);
-          if (sessionMessages && sessionMessages.length > 0) {
-            setMessages(sessionMessages);
-            setCurrentSessionId(currentSession.id);
-          } else {
-            // Create new session if messages are missing
-            await createNewSession(userId);
-          }
-        } else {
-          // Create new session if none exist
-          await createNewSession(userId);
-        }
-      } catch (error) {
-        console.error('Failed to load chat history:', error);
-        // On error, create new session
-        if (currentUser) {
-          await createNewSession(currentUser.id);
-        }
-      }
-    };
+      <div>
+        <label style={labelStyle}>Status</label>
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+          {statusOptions.map(id => {
+            const info = APPOINTMENT_STATUS.find(s => s.id === id);
+            return (
+              <button
+                key={id}
+                onClick={() => setStatus(id)}
+                disabled={isMoved}
+                style={{ ...chipStyle(shownStatus === id, info?.color || THEME.primary), opacity: isMoved ? 0.5 : 1 }}
+              >
+                {info?.label || id}
+              </button>
+            );
+          })}
+        </div>
+      </div>
 
-    loadChatHistory();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [currentUser?.id]);
+      {canHaveOutcome && (
+        <div>
+          <label style={labelStyle}>Outcome</label>
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+            {APPOINTMENT_OUTCOMES.map(o => (
+              <button
+                key={o.id}
+                onClick={() => setOutcome(outcome === o.id ? '' : o.id)}
+                style={chipStyle(outcome === o.id, o.color)}
+              >
+                {o.label}
+              </button>
+            ))}
+          </div>
+          {outcome === 'sale' && (
+            <div style={{ marginTop: '12px' }}>
+              <label style={labelStyle}>Sale Amount ($, optional)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={saleAmount}
+                onChange={(e) => setSaleAmount(e.target.value)}
+                style={inputStyle}
+              />
+            </div>
+          )}
+        </div>
+      )}
 
-  // Helper function to create new chat session
-  const createNewSession = useCallback(async (userId) => {
-    const sessionId = `session_${Date.now()}`;
-    const newSession = {
-      id: sessionId,
-      title: 'New Chat',
-      createdAt: Date.now(),
-      lastMessageAt: Date.now(),
-      messageCount: 1,
-      chatMode: 'text'
-    };
+      {needsFollowup && (
+        <div>
+          <label style={labelStyle}>Follow-up Date</label>
+          <input
+            type="date"
+            value={followupDate}
+            min={getToday()}
+            onChange={(e) => setFollowupDate(e.target.value)}
+            style={inputStyle}
+          />
+        </div>
+      )}
 
-    const welcomeMessage = {
-      id: 'welcome',
-      role: 'assistant',
-      content: isAIConfigured() 
-        ? "Hi! I'm your AI coach. I can help you with your goals, answer questions about the app, and provide motivation. What would you like to know?"
-        : "AI chatbot is not configured. Please add REACT_APP_GEMINI_API_KEY to enable AI features.",
-      timestamp: Date.now(),
-    };
+      {shownStatus === 'cancelled' && (
+        <div>
+          <label style={labelStyle}>Cancellation Reason (optional)</label>
+          <textarea
+            value={cancellationReason}
+            onChange={(e) => setCancellationReason(e.target.value)}
+            maxLength={500}
+            rows={2}
+            style={{ ...inputStyle, resize: 'vertical' }}
+          />
+        </div>
+      )}
 
-    const sessions = await storage.get(`chatSessions_${userId}`, []);
-    const updatedSessions = [newSession, ...sessions];
-    await storage.set(`chatSessions_${userId}`, updatedSessions);
+      {getNextStatuses(appointment.status).includes('rescheduled') && (
+        <div>
+          <label style={labelStyle}>Reschedule</label>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+            <input
+              type="date"
+              value={date}
+              onChange={(e) => setDate(e.target.value)}
+              style={inputStyle}
+            />
+            <select value={time} onChange={(e) => setTime(e.target.value)} style={{ ...inputStyle, cursor: 'pointer' }}>
+              <option value="">No time</option>
+              {appointment.time && !TIME_SLOTS.some(slot => toTimeSlotValue(slot) === appointment.time) && (
+                <option value={appointment.time}>{appointment.time}</option>
+              )}
+              {TIME_SLOTS.map(slot => (
+                <option key={slot} value={toTimeSlotValue(slot)}>{slot}</option>
+              ))}
+            </select>
+          </div>
+          {isMoved && (
+            <input
+              type="text"
+              value={rescheduleReason}
+              onChange={(e) => setRescheduleReason(e.target.value)}
+              placeholder="Reason (optional)"
+              maxLength={500}
+              style={{ ...inputStyle, marginTop: '8px' }}
+            />
+          )}
+        </div>
+      )}
 
-    await storage.set(`chatMessages_${userId}_${sessionId}`, [welcomeMessage]);
+      {appointment.rescheduleHistory?.length > 0 && (
+        <div>
+          <label style={labelStyle}>Reschedule History</label>
+          <div style={{ display: 'grid', gap: '6px' }}>
+            {appointment.rescheduleHistory.map((entry, index) => (
+              <div key={index} style={{ fontSize: '13px', color: THEME.textLight }}>
+                {formatDate(entry.fromDate)}{entry.fromTime ? ` ${entry.fromTime}` : ''}
+                {' → '}
+                {formatDate(entry.toDate)}{entry.toTime ? ` ${entry.toTime}` : ''}
+                {entry.changedByName ? ` by ${entry.changedByName}` : ''}
+                {entry.reason ? ` — ${entry.reason}` : ''}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
 
-    setCurrentSessionId(sessionId);
-    setChatSessions(updatedSessions);
-    setMessages([welcomeMessage]);
-  }, []); // React state setters are stable, isAIConfigured is imported function
+      <div style={{ display: 'flex', gap: '12px' }}>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          style={{
+            flex: 1,
+            padding: '12px',
+            background: THEME.gradients.success,
+            border: 'none',
+            borderRadius: '10px',
+            color: THEME.white,
+            fontSize: '14px',
+            fontWeight: '600',
+            cursor: saving ? 'wait' : 'pointer',
+          }}
+        >
+          {saving ? 'Saving...' : 'Save Changes'}
+        </button>
+        <button
+          onClick={onClose}
+          style={{
+            flex: 1,
+            padding: '12px',
+            background: THEME.secondary,
+            border: `1px solid ${THEME.border}`,
+            borderRadius: '10px',
+            color: THEME.text,
+            fontSize: '14px',
+            fontWeight: '600',
+            cursor: 'pointer',
+          }}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
 
-  // Helper function to save messages to storage
-  const saveMessages = useCallback(async (messagesToSave, sessionId, userId) => {
-    if (!sessionId || !userId || !messagesToSave || messagesToSave.length === 0) return;
+// Picks a saved customer by name, phone, email or address. With allowNew a
+// typed name that is not picked stands for a new customer.
+function CustomerPicker({ customers, customerId, name, onChange, allowNew, theme }) {
+  const THEME = theme;
+  const selected = customers.find(c => c.id === customerId);
+  const matches = !selected && name.trim().length >= 2 ? searchCustomers(customers, name).slice(0, 5) : [];
+  const describe = (customer) => [customer.phone, customer.address].filter(Boolean).join(' · ');
 
-    try {
-      // Save messages
-      await storage.set(`chatMessages_${userId}_${sessionId}`, messagesToSave);
+  if (selected) {
+    return (
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        gap: '8px',
+        padding: '12px',
+        border: `2px solid ${THEME.success}`,
+        borderRadius: '8px',
+      }}>
+        <div>
+          <div style={{ fontSize: '16px', fontWeight: '600', color: THEME.text }}>{selected.name}</div>
+          <div style={{ fontSize: '13px', color: THEME.textLight }}>{describe(selected) || 'Saved customer'}</div>
+        </div>
+        <button
+          onClick={() => onChange({ customerId: null, customerName: allowNew ? selected.name : '' })}
+          style={{ padding: '6px 10px', background: 'transparent', border: 'none', color: THEME.primary, fontSize: '14px', fontWeight: '600', cursor: 'pointer' }}
+        >
+          Change
+        </button>
+      </div>
+    );
+  }
 
-      // Update session metadata
-      const sessions = await storage.get(`chatSessions_${userId}`, []);
-      const sessionIndex = sessions.findIndex(s => s.id === sessionId);
-      
-      if (sessionIndex >= 0) {
-        const session = sessions[sessionIndex];
-        const firstUserMessage = messagesToSave.find(m => m.role === 'user');
-        const title = firstUserMessage 
-          ? (firstUserMessage.content.substring(0, 50) + (firstUserMessage.content.length > 50 ? '...' : ''))
-          : 'New Chat';
+  return (
+    <div>
+      <div style={{ position: 'relative' }}>
+        <Search size={18} color={THEME.textLight} style={{ position: 'absolute', left: '12px', top: '50%', transform: 'translateY(-50%)' }} />
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => onChange({ customerId: null, customerName: e.target.value })}
+          placeholder={allowNew ? 'Search customers or enter a new name' : 'Search customers'}
+          maxLength={100}
+          style={{
+            width: '100%',
+            padding: '12px 12px 12px 40px',
+            border: `2px solid ${THEME.border}`,
+            borderRadius: '8px',
+            fontSize: '16px',
+            boxSizing: 'border-box',
+          }}
+        />
+      </div>
+      {matches.length > 0 && (
+        <div style={{ marginTop: '6px', border: `1px solid ${THEME.border}`, borderRadius: '8px', overflow: 'hidden' }}>
+          {matches.map(customer => (
+            <button
+              key={customer.id}
+              onClick={() => onChange({ customerId: customer.id, customerName: customer.name, customer })}
+              style={{
+                display: 'block',
+                width: '100%',
+                padding: '10px 12px',
+                background: THEME.white,
+                border: 'none',
+                borderBottom: `1px solid ${THEME.border}`,
+                textAlign: 'left',
+                color: THEME.text,
+                fontSize: '14px',
+                cursor: 'pointer',
+              }}
+            >
+              <span style={{ fontWeight: '600' }}>{customer.name}</span>
+              {describe(customer) && <span style={{ color: THEME.textLight }}> · {describe(customer)}</span>}
+            </button>
+          ))}
+        </div>
+      )}
+      {allowNew && name.trim() && (
+        <div style={{ marginTop: '6px', fontSize: '12px', color: THEME.textLight }}>
+          {matches.length > 0 ? 'Pick a match, or carry on to add a new customer' : 'A new customer will be added'}
+        </div>
+      )}
+    </div>
+  );
+}
 
-        sessions[sessionIndex] = {
-          ...session,
-          title,
-          lastMessageAt: Date.now(),
-          messageCount: messagesToSave.length
-        };
+// ========================================
+// CUSTOMERS
+// ========================================
 
-        // Move updated session to top
-        const updatedSession = sessions.splice(sessionIndex, 1)[0];
-        sessions.unshift(updatedSession);
+const EMPTY_CUSTOMER = { name: '', phone: '', email: '', address: '', source: '', productInterests: [], notes: '' };
 
-        await storage.set(`chatSessions_${userId}`, sessions);
-        setChatSessions(sessions);
-      }
-    } catch (error) {
-      console.error('Failed to save messages:', error);
-    }
-  }, []);
+function Customers({ customers, appointments, users, currentUser, selectedId, onSelect, onSave, onDelete, theme }) {
+  const THEME = theme;
+  const [showForm, setShowForm] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
+  const today = getToday();
 
-  // Auto-save messages with debouncing for assistant messages
-  useEffect(() => {
-    if (!currentUser || !currentSessionId || messages.length === 0) return;
+  const selected = customers.find(c => c.id === selectedId);
+  if (selected) {
+    return (
+      <CustomerDetail
+        customer={selected}
+        customers={customers}
+        appointments={getCustomerAppointments(selected.id, appointments)}
+        users={users}
+        isManager={currentUser?.role === 'manager'}
+        onBack={() => onSelect(null)}
+        onSave={onSave}
+        onDelete={async () => {
+          if (await onDelete(selected.id)) onSelect(null);
+        }}
+        theme={THEME}
+      />
+    );
+  }
 
-    // Clear existing debounce
-    if (saveDebounceRef.current) {
-      clearTimeout(saveDebounceRef.current);
-    }
+  const filteredCustomers = searchCustomers(customers, searchTerm);
 
-    // Save immediately for user messages, debounce for assistant messages
-    const lastMessage = messages[messages.length - 1];
-    const isUserMessage = lastMessage && lastMessage.role === 'user';
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+        <h2 style={{ margin: 0, fontSize: '24px', fontWeight: '700', color: THEME.text, fontFamily: 'var(--font-display)' }}>
+          Customers
+        </h2>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          style={{
+            padding: '12px 24px',
+            background: THEME.gradients.primary,
+            border: 'none',
+            borderRadius: '10px',
+            color: THEME.white,
+            fontSize: '14px',
+            fontWeight: '600',
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+            boxShadow: THEME.shadows.md,
+            fontFamily: 'var(--font-body)',
+          }}
+        >
+          <Plus size={20} />
+          Add Customer
+        </button>
+      </div>
 
-    if (isUserMessage) {
-      // Save immediately on user message
-      saveMessages(messages, currentSessionId, currentUser.id);
-    } else {
-      // Debounce assistant messages (save after 1s of no new messages)
-      saveDebounceRef.current = setTimeout(() => {
-        saveMessages(messages, currentSessionId, currentUser.id);
-      }, 1000);
-    }
+      {showForm && (
+        <div style={{ background: THEME.white, borderRadius: '12px', padding: '20px', marginBottom: '20px', boxShadow: THEME.shadows.md }}>
+          <CustomerForm
+            customer={EMPTY_CUSTOMER}
+            customers={customers}
+            onSave={async (customer) => {
+              const saved = await onSave(customer);
+              if (saved) {
+                setShowForm(false);
+                onSelect(saved.id);
+              }
+            }}
+            onCancel={() => setShowForm(false)}
+            onOpenCustomer={onSelect}
+            theme={THEME}
+          />
+        </div>
+      )}
 
-    // Cleanup on unmount
-    return () => {
-      if (saveDebounceRef.current) {
-        clearTimeout(saveDebounceRef.current);
-      }
-    };
-  }, [messages, currentSessionId, currentUser, saveMessages]);
+      <div style={{ position: 'relative', marginBottom: '16px' }}>
+        <Search size={20} color={THEME.textLight} style={{ position: 'absolute', left: '12px', top: '50%', transform: 'translateY(-50%)' }} />
+        <input
+          type="text"
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          placeholder="Search by name, phone, email or address..."
+          style={{
+            width: '100%',
+            padding: '12px 12px 12px 44px',
+            border: `2px solid ${THEME.border}`,
+            borderRadius: '8px',
+            fontSize: '16px',
+            boxSizing: 'border-box',
+          }}
+        />
+      </div>
 
-  // Delete a specific chat session
-  const deleteSession = useCallback(async (sessionId) => {
-    if (!currentUser || !sessionId) return;
-    
-    if (!window.confirm('Delete this conversation? This action cannot be undone.')) {
-      return;
-    }
+      <div style={{ display: 'grid', gap: '12px' }}>
+        {filteredCustomers.length === 0 ? (
+          <div style={{ background: THEME.white, borderRadius: '12px', padding: '40px 20px', textAlign: 'center', color: THEME.textLight }}>
+            {searchTerm ? 'No customers found' : 'No customers yet. They are added as you book appointments.'}
+          </div>
+        ) : (
+          filteredCustomers.map(customer => {
+            const summary = summarizeCustomerAppointments(getCustomerAppointments(customer.id, appointments), today);
+            return (
+              <button
+                key={customer.id}
+                onClick={() => onSelect(customer.id)}
+                style={{
+                  display: 'block',
+                  width: '100%',
+                  padding: '16px 20px',
+                  background: THEME.white,
+                  border: `1px solid ${THEME.border}`,
+                  borderRadius: '12px',
+                  boxShadow: THEME.shadows.sm,
+                  textAlign: 'left',
+                  cursor: 'pointer',
+                  fontFamily: 'var(--font-body)',
+                }}
+              >
+                <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', alignItems: 'start' }}>
+                  <div>
+                    <div style={{ fontSize: '16px', fontWeight: '700', color: THEME.text }}>{customer.name}</div>
+                    <div style={{ fontSize: '13px', color: THEME.textLight }}>
+                      {[customer.phone, customer.email, customer.address].filter(Boolean).join(' · ') || 'No contact details'}
+                    </div>
+                  </div>
+                  {summary.sales > 0 && (
+                    <span style={{ padding: '4px 10px', background: THEME.success, color: THEME.white, borderRadius: '6px', fontSize: '11px', fontWeight: '600', whiteSpace: 'nowrap' }}>
+                      {summary.sales === 1 ? 'SALE' : `${summary.sales} SALES`}
+                    </span>
+                  )}
+                </div>
+                <div style={{ marginTop: '6px', fontSize: '12px', color: THEME.textLight }}>
+                  {summary.visits} {summary.visits === 1 ? 'visit' : 'visits'}
+                  {summary.lastVisit && ` · last ${formatDate(summary.lastVisit)}`}
+                  {summary.nextVisit && ` · next ${formatDate(summary.nextVisit)}`}
+                </div>
+              </button>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
 
-    try {
-      const userId = currentUser.id;
-      
-      // Delete messages for this session from IndexedDB
-      await storage.delete(`chatMessages_${userId}_${sessionId}`);
-      
-      // Remove session from sessions list
-      const sessions = await storage.get(`chatSessions_${userId}`, []);
-      const updatedSessions = sessions.filter(s => s.id !== sessionId);
-      await storage.set(`chatSessions_${userId}`, updatedSessions);
-      
-      setChatSessions(updatedSessions);
-      
-      // If deleted session was current, switch to another or create new
-      if (currentSessionId === sessionId) {
-        if (updatedSessions.length > 0) {
-          // Load the first available session
-          const firstSession = updatedSessions[0];
-          const sessionMessages = await storage.get(`chatMessages_${userId}_${firstSession.id}`, []);
-          setMessages(sessionMessages || []);
-          setCurrentSessionId(firstSession.id);
-        } else {
-          // No sessions left, create a new one
-          await createNewSession(userId);
-        }
-      }
-      
-      // Show success message if we have a way to show toasts
-      // Note: showToast might not be available in Chatbot component scope
-      console.log('Session deleted successfully');
-    } catch (error) {
-      console.error('Failed to delete session:', error);
-      alert('Failed to delete conversation. Please try again.');
-    }
-  }, [currentUser, currentSessionId, createNewSession]);
+// A customer's details and every appointment with them, newest first
+function CustomerDetail({ customer, customers, appointments, users, isManager, onBack, onSave, onDelete, theme }) {
+  const THEME = theme;
+  const [editing, setEditing] = useState(false);
+  const summary = summarizeCustomerAppointments(appointments, getToday());
+  const source = CUSTOMER_SOURCES.find(s => s.id === customer.source);
+  const repName = (appt) => users.find(u => u.id === appt.userId)?.name || appt.userName || 'Unknown';
+
+  const statBox = (label, value) => (
+    <div style={{ background: THEME.secondary, borderRadius: '8px', padding: '12px', textAlign: 'center' }}>
+      <div style={{ fontSize: '20px', fontWeight: '700', color: THEME.text }}>{value}</div>
+      <div style={{ fontSize: '12px', color: THEME.textLight }}>{label}</div>
+    </div>
+  );
 
-  // Delete all conversations for current user
-  const deleteAllConversations = useCallback(async () => {
-    if (!currentUser) return;
-    
-    if (!window.confirm('Delete ALL conversation history? This action cannot be undone.')) {
-      return;
-    }
+  return (
+    <div>
+      <button
+        onClick={onBack}
+        style={{ display: 'flex', alignItems: 'center', gap: '4px', padding: '8px 0', marginBottom: '12px', background: 'transparent', border: 'none', color: THEME.primary, fontSize: '14px', fontWeight: '600', cursor: 'pointer' }}
+      >
+        <ChevronLeft size={18} />
+        All Customers
+      </button>
 
-    try {
-      const userId = currentUser.id;
-      
-      // Get all sessions to delete their messages
-      const sessions = await storage.get(`chatSessions_${userId}`, []);
-      
-      // Delete all message storage keys
-      for (const session of sessions) {
-        await storage.delete(`chatMessages_${userId}_${session.id}`);
-      }
-      
-      // Delete sessions list
-      await storage.delete(`chatSessions_${userId}`);
-      
-      // Clear state
-      setChatSessions([]);
-      setCurrentSessionId(null);
-      
-      // Create a new session
-      await createNewSession(userId);
-      
-      console.log('All conversations deleted successfully');
-    } catch (error) {
-      console.error('Failed to delete all conversations:', error);
-      alert('Failed to delete conversation history. Please try again.');
-    }
-  }, [currentUser, createNewSession]);
+      <div style={{ background: THEME.white, borderRadius: '16px', padding: '20px', boxShadow: THEME.shadows.md, marginBottom: '16px' }}>
+        {editing ? (
+          <CustomerForm
+            customer={customer}
+            customers={customers}
+            onSave={async (changes) => {
+              if (await onSave(changes)) setEditing(false);
+            }}
+            onCancel={() => setEditing(false)}
+            theme={THEME}
+          />
+        ) : (
+          <>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start', gap: '8px' }}>
+              <h2 style={{ margin: 0, fontSize: '22px', fontWeight: '700', color: THEME.text, fontFamily: 'var(--font-display)' }}>
+                {customer.name}
+              </h2>
+              <div style={{ display: 'flex', gap: '4px' }}>
+                <button onClick={() => setEditing(true)} aria-label="Edit customer" style={{ padding: '8px', background: 'transparent', border: 'none', cursor: 'pointer' }}>
+                  <Edit2 size={18} color={THEME.primary} />
+                </button>
+                {isManager && (
+                  <button onClick={onDelete} aria-label="Delete customer" style={{ padding: '8px', background: 'transparent', border: 'none', cursor: 'pointer' }}>
+                    <Trash2 size={18} color={THEME.danger} />
+                  </button>
+                )}
+              </div>
+            </div>
+            <div style={{ display: 'grid', gap: '4px', marginTop: '8px', fontSize: '14px', color: THEME.text }}>
+              {customer.phone && <a href={`tel:${customer.phone}`} style={{ color: THEME.primary }}>📞 {customer.phone}</a>}
+              {customer.email && <a href={`mailto:${customer.email}`} style={{ color: THEME.primary }}>✉️ {customer.email}</a>}
+              {customer.address && <span>🏠 {customer.address}</span>}
+              {source && <span style={{ color: THEME.textLight }}>Source: {source.label}</span>}
+            </div>
+            {customer.productInterests.length > 0 && (
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '12px' }}>
+                {customer.productInterests.map(productId => {
+                  const product = PRODUCT_INTERESTS.find(p => p.id === productId);
+                  return product ? (
+                    <span key={productId} style={{ padding: '4px 12px', background: product.color, color: THEME.white, borderRadius: '12px', fontSize: '12px', fontWeight: '600' }}>
+                      {product.label}
+                    </span>
+                  ) : null;
+                })}
+              </div>
+            )}
+            {customer.notes && (
+              <div style={{ marginTop: '12px', padding: '12px', background: THEME.secondary, borderRadius: '8px', fontSize: '14px', color: THEME.text, whiteSpace: 'pre-wrap' }}>
+                {customer.notes}
+              </div>
+            )}
+          </>
+        )}
+      </div>
 
-  // Save model preference
-  // eslint-disable-next-line no-unused-vars
-  const saveModelPreference = async (model) => {
-    try {
-      if (currentUser) {
-        await storage.set(`aiModel_${currentUser.id}`, model);
-      }
-    } catch (error) {
-      console.error('Failed to save model preference:', error);
-    }
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(110px, 1fr))', gap: '8px', marginBottom: '16px' }}>
+        {statBox('Visits', summary.visits)}
+        {statBox('Sales', summary.sales)}
+        {statBox('Sold', `$${summary.saleTotal.toLocaleString()}`)}
+        {statBox('Next Visit', summary.nextVisit ? formatDate(summary.nextVisit) : '—')}
+      </div>
+
+      <h3 style={{ margin: '0 0 12px', fontSize: '18px', fontWeight: '700', color: THEME.text, fontFamily: 'var(--font-display)' }}>
+        Appointments
+      </h3>
+
+      <div style={{ display: 'grid', gap: '10px' }}>
+        {appointments.length === 0 ? (
+          <div style={{ background: THEME.white, borderRadius: '12px', padding: '24px', textAlign: 'center', color: THEME.textLight }}>
+            No appointments with {customer.name} yet
+          </div>
+        ) : appointments.map(appt => {
+          const status = APPOINTMENT_STATUS.find(s => s.id === appt.status);
+          const outcome = APPOINTMENT_OUTCOMES.find(o => o.id === appt.outcome);
+          return (
+            <div key={appt.id} style={{ background: THEME.white, borderRadius: '12px', padding: '14px 16px', border: `1px solid ${THEME.border}` }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px', flexWrap: 'wrap' }}>
+                <div style={{ fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+                  {formatDate(appt.date)}{appt.time && ` · ${toTimeLabel(appt.time)}`}
+                  <span style={{ fontWeight: '400', color: THEME.textLight }}> with {repName(appt)}</span>
+                </div>
+                <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+                  <span style={{ padding: '2px 8px', background: status?.color || THEME.primary, color: THEME.white, borderRadius: '6px', fontSize: '11px', fontWeight: '600', textTransform: 'uppercase' }}>
+                    {status?.label || appt.status}
+                  </span>
+                  {outcome && (
+                    <span style={{ padding: '2px 8px', background: outcome.color, color: THEME.white, borderRadius: '6px', fontSize: '11px', fontWeight: '600', textTransform: 'uppercase' }}>
+                      {outcome.label}
+                      {appt.outcome === 'sale' && appt.saleAmount ? ` · $${appt.saleAmount.toLocaleString()}` : ''}
+                    </span>
+                  )}
+                </div>
+              </div>
+              {appt.notes && <div style={{ marginTop: '6px', fontSize: '14px', color: THEME.text }}>{appt.notes}</div>}
+              {appt.cancellationReason && (
+                <div style={{ marginTop: '4px', fontSize: '13px', color: THEME.textLight }}>Cancelled: {appt.cancellationReason}</div>
+              )}
+              {appt.followupDate && (
+                <div style={{ marginTop: '4px', fontSize: '13px', color: THEME.textLight }}>Follow up {formatDate(appt.followupDate)}</div>
+              )}
+              {appt.rescheduleHistory?.length > 0 && (
+                <div style={{ marginTop: '4px', fontSize: '13px', color: THEME.textLight }}>
+                  Rescheduled {appt.rescheduleHistory.length === 1 ? 'once' : `${appt.rescheduleHistory.length} times`}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// Add or edit a customer's details
+function CustomerForm({ customer, customers, onSave, onCancel, onOpenCustomer, theme }) {
+  const THEME = theme;
+  const [form, setForm] = useState({ ...EMPTY_CUSTOMER, ...customer, source: customer.source || '' });
+  const [saving, setSaving] = useState(false);
+  const duplicate = findDuplicateCustomer(customers, form);
+
+  const labelStyle = { display: 'block', marginBottom: '6px', fontSize: '14px', fontWeight: '600', color: THEME.text };
+  const inputStyle = {
+    width: '100%',
+    padding: '12px',
+    border: `2px solid ${THEME.border}`,
+    borderRadius: '8px',
+    fontSize: '16px',
+    boxSizing: 'border-box',
+    fontFamily: 'inherit',
   };
+  const field = (key, label, props = {}) => (
+    <div>
+      <label style={labelStyle}>{label}</label>
+      <input value={form[key]} onChange={(e) => setForm({ ...form, [key]: e.target.value })} maxLength={200} style={inputStyle} {...props} />
+    </div>
+  );
 
-  const scrollToBottom = () => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  const toggleProduct = (productId) => setForm(prev => ({
+    ...prev,
+    productInterests: prev.productInterests.includes(productId)
+      ? prev.productInterests.filter(p => p !== productId)
+      : [...prev.productInterests, productId],
+  }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    await onSave({ ...form, source: form.source || null });
+    setSaving(false);
   };
 
-  useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
+  return (
+    <div style={{ display: 'grid', gap: '16px' }}>
+      {field('name', 'Name', { maxLength: 100, placeholder: 'Customer name' })}
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '12px' }}>
+        {field('phone', 'Phone (optional)', { type: 'tel' })}
+        {field('email', 'Email (optional)', { type: 'email' })}
+      </div>
+      {field('address', 'Address (optional)')}
+
+      {duplicate && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '12px', background: `${THEME.warning}20`, border: `1px solid ${THEME.warning}`, borderRadius: '8px', fontSize: '14px', color: THEME.text }}>
+          <AlertTriangle size={18} color={THEME.warning} style={{ flexShrink: 0 }} />
+          <span style={{ flex: 1 }}>{duplicate.name} already has this phone number or email</span>
+          {onOpenCustomer && (
+            <button onClick={() => onOpenCustomer(duplicate.id)} style={{ background: 'transparent', border: 'none', color: THEME.primary, fontWeight: '600', cursor: 'pointer' }}>
+              View
+            </button>
+          )}
+        </div>
+      )}
 
-  useEffect(() => {
-    // Update remaining requests every second
-    const interval = setInterval(() => {
-      setRemainingRequests(getRemainingRequests());
-    }, 1000);
-    return () => clearInterval(interval);
-  }, []);
+      <div>
+        <label style={labelStyle}>Source</label>
+        <select value={form.source} onChange={(e) => setForm({ ...form, source: e.target.value })} style={{ ...inputStyle, cursor: 'pointer' }}>
+          <option value="">Not recorded</option>
+          {CUSTOMER_SOURCES.map(source => (
+            <option key={source.id} value={source.id}>{source.label}</option>
+          ))}
+        </select>
+      </div>
 
-  // Cleanup voice session on unmount
-  useEffect(() => {
-    return () => {
-      if (voiceSessionRef.current) {
-        voiceSessionRef.current.disconnect();
-      }
-    };
-  }, []);
+      <div>
+        <label style={labelStyle}>Product Interests</label>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px' }}>
+          {PRODUCT_INTERESTS.map(product => (
+            <button
+              key={product.id}
+              onClick={() => toggleProduct(product.id)}
+              style={{
+                padding: '10px',
+                background: form.productInterests.includes(product.id) ? product.color : THEME.secondary,
+                border: 'none',
+                borderRadius: '8px',
+                color: form.productInterests.includes(product.id) ? THEME.white : THEME.text,
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: 'pointer',
+              }}
+            >
+              {product.label}
+            </button>
+          ))}
+        </div>
+      </div>
 
-  // Auto-start listening when voice session becomes ready
-  const autoStartedRef = useRef(false);
-  useEffect(() => {
-    if (voiceStatus === 'ready' && voiceSessionRef.current && !autoStartedRef.current) {
-      // Small delay to ensure connection is fully stable
-      const timer = setTimeout(async () => {
-        try {
-          await voiceSessionRef.current.startListening();
-          autoStartedRef.current = true;
-        } catch (error) {
-          console.error('Auto-start listening failed:', error);
-          setVoiceError(error.message || 'Failed to start listening');
-        }
-      }, 150);
-      return () => clearTimeout(timer);
-    }
-    // Reset auto-start flag when disconnected
-    if (voiceStatus === 'disconnected') {
-      autoStartedRef.current = false;
+      <div>
+        <label style={labelStyle}>Notes (optional)</label>
+        <textarea
+          value={form.notes}
+          onChange={(e) => setForm({ ...form, notes: e.target.value })}
+          maxLength={1000}
+          rows={3}
+          style={{ ...inputStyle, resize: 'vertical' }}
+        />
+      </div>
+
+      <div style={{ display: 'flex', gap: '12px' }}>
+        <button
+          onClick={handleSave}
+          disabled={saving || !form.name.trim() || !!duplicate}
+          style={{
+            flex: 1,
+            padding: '14px',
+            background: form.name.trim() && !duplicate ? THEME.gradients.success : THEME.border,
+            border: 'none',
+            borderRadius: '10px',
+            color: THEME.white,
+            fontSize: '16px',
+            fontWeight: '600',
+            cursor: saving ? 'wait' : form.name.trim() && !duplicate ? 'pointer' : 'not-allowed',
+          }}
+        >
+          {saving ? 'Saving...' : 'Save Customer'}
+        </button>
+        <button
+          onClick={onCancel}
+          style={{
+            flex: 1,
+            padding: '14px',
+            background: THEME.secondary,
+            border: `1px solid ${THEME.border}`,
+            borderRadius: '10px',
+            color: THEME.text,
+            fontSize: '16px',
+            fontWeight: '600',
+            cursor: 'pointer',
+          }}
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ========================================
+// SALES PIPELINE
+// ========================================
+
+const EMPTY_DEAL = { customerId: null, customerName: '', stage: 'lead', amount: '', probability: '', products: [], expectedCloseDate: '', lostReason: '', notes: '' };
+
+// Deals in stage columns. Drag a card to another column to move it; a deal
+// dropped on Sold without an amount opens so the amount can be entered.
+function Pipeline({ deals, customers, users, currentUser, onSave, onDelete, onOpenCustomer, theme }) {
+  const THEME = theme;
+  const isManager = currentUser?.role === 'manager';
+  const [scope, setScope] = useState(isManager ? 'team' : 'mine');
+  const [editing, setEditing] = useState(null);
+  const [dropStage, setDropStage] = useState(null);
+  const today = getToday();
+  const monthStart = `${today.slice(0, 7)}-01`;
+
+  const visibleDeals = scope === 'mine' ? deals.filter(d => d.userId === currentUser.id) : deals;
+  const summary = summarizePipeline(visibleDeals);
+  const soldThisMonth = visibleDeals.filter(d => d.stage === 'sold' && d.closedDate >= monthStart);
+  const closed = summary.sold.count + summary.lost.count;
+  const repName = (deal) => users.find(u => u.id === deal.userId)?.name || 'Unknown';
+  const canEdit = (deal) => isManager || deal.userId === currentUser.id;
+
+  const handleDrop = async (dealId, stage) => {
+    setDropStage(null);
+    const deal = deals.find(d => d.id === dealId);
+    if (!deal || deal.stage === stage || !canEdit(deal)) return;
+    if (stage === 'sold' && !(deal.amount > 0)) {
+      setEditing({ ...deal, stage });
+      return;
     }
-  }, [voiceStatus]);
+    await onSave({ ...deal, stage });
+  };
 
-  const handleSend = async () => {
-    if (!input.trim() || isLoading || !isAIConfigured()) return;
+  const statBox = (label, value) => (
+    <div style={{ background: THEME.white, borderRadius: '12px', padding: '14px', textAlign: 'center', boxShadow: THEME.shadows.sm }}>
+      <div style={{ fontSize: '20px', fontWeight: '700', color: THEME.text }}>{value}</div>
+      <div style={{ fontSize: '12px', color: THEME.textLight }}>{label}</div>
+    </div>
+  );
+
+  const scopeButton = (id, label) => (
+    <button
+      onClick={() => setScope(id)}
+      style={{
+        padding: '8px 16px',
+        background: scope === id ? THEME.primary : THEME.white,
+        border: `1px solid ${scope === id ? THEME.primary : THEME.border}`,
+        borderRadius: '8px',
+        color: scope === id ? THEME.white : THEME.text,
+        fontSize: '14px',
+        fontWeight: '600',
+        cursor: 'pointer',
+      }}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap', marginBottom: '20px' }}>
+        <h2 style={{ margin: 0, fontSize: '24px', fontWeight: '700', color: THEME.text, fontFamily: 'var(--font-display)' }}>
+          Sales Pipeline
+        </h2>
+        <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+          {scopeButton('mine', 'My Deals')}
+          {scopeButton('team', 'Team')}
+          <button
+            onClick={() => setEditing(EMPTY_DEAL)}
+            style={{
+              padding: '8px 16px',
+              background: THEME.gradients.primary,
+              border: 'none',
+              borderRadius: '8px',
+              color: THEME.white,
+              fontSize: '14px',
+              fontWeight: '600',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px',
+              boxShadow: THEME.shadows.md,
+            }}
+          >
+            <Plus size={18} />
+            Add Deal
+          </button>
+        </div>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))', gap: '12px', marginBottom: '20px' }}>
+        {statBox('Open Pipeline', formatCurrency(summary.open.value))}
+        {statBox('Weighted Forecast', formatCurrency(summary.open.weighted))}
+        {statBox('Sold This Month', formatCurrency(soldThisMonth.reduce((sum, d) => sum + (d.amount || 0), 0)))}
+        {statBox('Win Rate', closed > 0 ? `${Math.round((summary.sold.count / closed) * 100)}%` : '—')}
+      </div>
+
+      {editing && (
+        <div style={{ background: THEME.white, borderRadius: '12px', padding: '20px', marginBottom: '20px', boxShadow: THEME.shadows.md }}>
+          <DealForm
+            deal={editing}
+            customers={customers}
+            readOnly={!!editing.id && !canEdit(editing)}
+            onSave={async (deal) => {
+              if (await onSave(deal)) setEditing(null);
+            }}
+            onDelete={editing.id && canEdit(editing) ? async () => {
+              if (await onDelete(editing.id)) setEditing(null);
+            } : null}
+            onOpenCustomer={onOpenCustomer}
+            onCancel={() => setEditing(null)}
+            theme={THEME}
+          />
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '12px', overflowX: 'auto', paddingBottom: '8px' }}>
+        {DEAL_STAGES.map(stage => {
+          const stageDeals = visibleDeals.filter(d => d.stage === stage.id);
+          return (
+            <div
+              key={stage.id}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDropStage(stage.id);
+              }}
+              onDragLeave={() => setDropStage(null)}
+              onDrop={(e) => {
+                e.preventDefault();
+                handleDrop(e.dataTransfer.getData('text/plain'), stage.id);
+              }}
+              style={{
+                flex: '1 0 220px',
+                minWidth: '220px',
+                background: dropStage === stage.id ? `${stage.color}20` : THEME.secondary,
+                border: `2px dashed ${dropStage === stage.id ? stage.color : 'transparent'}`,
+                borderRadius: '12px',
+                padding: '12px',
+              }}
+            >
+              <div style={{ borderTop: `4px solid ${stage.color}`, paddingTop: '8px', marginBottom: '12px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '14px', fontWeight: '700', color: THEME.text }}>
+                  <span>{stage.label}</span>
+                  <span>{summary[stage.id].count}</span>
+                </div>
+                <div style={{ fontSize: '12px', color: THEME.textLight }}>
+                  {formatCurrency(summary[stage.id].value)}
+                  {!CLOSED_DEAL_STAGES.includes(stage.id) && ` · ${formatCurrency(summary[stage.id].weighted)} weighted`}
+                </div>
+              </div>
+
+              <div style={{ display: 'grid', gap: '8px' }}>
+                {stageDeals.length === 0 && (
+                  <div style={{ padding: '16px 8px', textAlign: 'center', fontSize: '13px', color: THEME.textLight }}>No deals</div>
+                )}
+                {stageDeals.map(deal => (
+                  <div
+                    key={deal.id}
+                    draggable={canEdit(deal)}
+                    onDragStart={(e) => e.dataTransfer.setData('text/plain', deal.id)}
+                    onClick={() => setEditing(deal)}
+                    style={{
+                      background: THEME.white,
+                      borderRadius: '10px',
+                      padding: '12px',
+                      boxShadow: THEME.shadows.sm,
+                      cursor: canEdit(deal) ? 'grab' : 'pointer',
+                    }}
+                  >
+                    <div style={{ fontSize: '15px', fontWeight: '700', color: THEME.text }}>{deal.customerName}</div>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '4px', fontSize: '13px', color: THEME.text }}>
+                      <span style={{ fontWeight: '600' }}>{deal.amount != null ? formatCurrency(deal.amount) : 'No amount'}</span>
+                      {!isClosedDeal(deal) && <span style={{ color: THEME.textLight }}>{getDealProbability(deal)}%</span>}
+                    </div>
+                    {deal.products.length > 0 && (
+                      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '6px' }}>
+                        {deal.products.map(productId => {
+                          const product = PRODUCT_INTERESTS.find(p => p.id === productId);
+                          return product ? (
+                            <span key={productId} style={{ padding: '2px 8px', background: product.color, color: THEME.white, borderRadius: '10px', fontSize: '11px', fontWeight: '600' }}>
+                              {product.label}
+                            </span>
+                          ) : null;
+                        })}
+                      </div>
+                    )}
+                    <div style={{ marginTop: '6px', fontSize: '12px', color: THEME.textLight }}>
+                      {[
+                        scope === 'team' && repName(deal),
+                        deal.closedDate ? `Closed ${formatDate(deal.closedDate)}` : deal.expectedCloseDate && `Close by ${formatDate(deal.expectedCloseDate)}`,
+                      ].filter(Boolean).join(' · ')}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// Add or edit a deal
+function DealForm({ deal, customers, readOnly, onSave, onDelete, onOpenCustomer, onCancel, theme }) {
+  const THEME = theme;
+  const [form, setForm] = useState({
+    ...EMPTY_DEAL,
+    ...deal,
+    amount: deal.amount ?? '',
+    probability: deal.probability ?? '',
+    expectedCloseDate: deal.expectedCloseDate || '',
+    lostReason: deal.lostReason || '',
+    notes: deal.notes || '',
+  });
+  const [saving, setSaving] = useState(false);
+  const closedStage = CLOSED_DEAL_STAGES.includes(form.stage);
+
+  const labelStyle = { display: 'block', marginBottom: '6px', fontSize: '14px', fontWeight: '600', color: THEME.text };
+  const inputStyle = {
+    width: '100%',
+    padding: '12px',
+    border: `2px solid ${THEME.border}`,
+    borderRadius: '8px',
+    fontSize: '16px',
+    boxSizing: 'border-box',
+    fontFamily: 'inherit',
+  };
+
+  const toggleProduct = (productId) => setForm(prev => ({
+    ...prev,
+    products: prev.products.includes(productId)
+      ? prev.products.filter(p => p !== productId)
+      : [...prev.products, productId],
+  }));
+
+  const handleSave = async () => {
+    setSaving(true);
+    await onSave(form);
+    setSaving(false);
+  };
+
+  return (
+    <div style={{ display: 'grid', gap: '16px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px' }}>
+        <h3 style={{ margin: 0, fontSize: '18px', fontWeight: '700', color: THEME.text, fontFamily: 'var(--font-display)' }}>
+          {deal.id ? 'Deal' : 'New Deal'}
+        </h3>
+        <div style={{ display: 'flex', gap: '4px' }}>
+          {form.customerId && (
+            <button onClick={() => onOpenCustomer(form.customerId)} style={{ padding: '8px', background: 'transparent', border: 'none', color: THEME.primary, fontSize: '14px', fontWeight: '600', cursor: 'pointer' }}>
+              View Customer
+            </button>
+          )}
+          {onDelete && (
+            <button onClick={onDelete} aria-label="Delete deal" style={{ padding: '8px', background: 'transparent', border: 'none', cursor: 'pointer' }}>
+              <Trash2 size={18} color={THEME.danger} />
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <label style={labelStyle}>Customer</label>
+        <CustomerPicker
+          customers={customers}
+          customerId={form.customerId}
+          name={form.customerName}
+          onChange={({ customerId, customerName }) => setForm({ ...form, customerId, customerName })}
+          allowNew
+          theme={THEME}
+        />
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: '12px' }}>
+        <div>
+          <label style={labelStyle}>Stage</label>
+          <select value={form.stage} onChange={(e) => setForm({ ...form, stage: e.target.value })} style={{ ...inputStyle, cursor: 'pointer' }}>
+            {DEAL_STAGES.map(stage => (
+              <option key={stage.id} value={stage.id}>{stage.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label style={labelStyle}>Contract Amount ($)</label>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={form.amount}
+            onChange={(e) => setForm({ ...form, amount: e.target.value })}
+            placeholder="0"
+            style={inputStyle}
+          />
+        </div>
+        {!closedStage && (
+          <div>
+            <label style={labelStyle}>Close Probability (%)</label>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              step="1"
+              value={form.probability}
+              onChange={(e) => setForm({ ...form, probability: e.target.value })}
+              placeholder={`${DEAL_STAGE_PROBABILITY[form.stage]}`}
+              style={inputStyle}
+            />
+          </div>
+        )}
+        {!closedStage && (
+          <div>
+            <label style={labelStyle}>Expected Close</label>
+            <input
+              type="date"
+              value={form.expectedCloseDate}
+              onChange={(e) => setForm({ ...form, expectedCloseDate: e.target.value })}
+              style={inputStyle}
+            />
+          </div>
+        )}
+      </div>
+
+      {form.stage === 'lost' && (
+        <div>
+          <label style={labelStyle}>Why was it lost? (optional)</label>
+          <input
+            value={form.lostReason}
+            onChange={(e) => setForm({ ...form, lostReason: e.target.value })}
+            maxLength={1000}
+            placeholder="e.g. Went with a competitor"
+            style={inputStyle}
+          />
+        </div>
+      )}
+
+      <div>
+        <label style={labelStyle}>Products</label>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(2, 1fr)', gap: '8px' }}>
+          {PRODUCT_INTERESTS.map(product => (
+            <button
+              key={product.id}
+              onClick={() => toggleProduct(product.id)}
+              style={{
+                padding: '10px',
+                background: form.products.includes(product.id) ? product.color : THEME.secondary,
+                border: 'none',
+                borderRadius: '8px',
+                color: form.products.includes(product.id) ? THEME.white : THEME.text,
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: 'pointer',
+              }}
+            >
+              {product.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <label style={labelStyle}>Notes (optional)</label>
+        <textarea
+          value={form.notes}
+          onChange={(e) => setForm({ ...form, notes: e.target.value })}
+          maxLength={1000}
+          rows={3}
+          style={{ ...inputStyle, resize: 'vertical' }}
+        />
+      </div>
+
+      {readOnly && (
+        <div style={{ fontSize: '13px', color: THEME.textLight }}>Only the deal's rep or a manager can change it</div>
+      )}
+
+      <div style={{ display: 'flex', gap: '12px' }}>
+        {!readOnly && (
+          <button
+            onClick={handleSave}
+            disabled={saving || !form.customerName.trim()}
+            style={{
+              flex: 1,
+              padding: '14px',
+              background: form.customerName.trim() ? THEME.gradients.success : THEME.border,
+              border: 'none',
+              borderRadius: '10px',
+              color: THEME.white,
+              fontSize: '16px',
+              fontWeight: '600',
+              cursor: saving ? 'wait' : form.customerName.trim() ? 'pointer' : 'not-allowed',
+            }}
+          >
+            {saving ? 'Saving...' : 'Save Deal'}
+          </button>
+        )}
+        <button
+          onClick={onCancel}
+          style={{
+            flex: 1,
+            padding: '14px',
+            background: THEME.secondary,
+            border: `1px solid ${THEME.border}`,
+            borderRadius: '10px',
+            color: THEME.text,
+            fontSize: '16px',
+            fontWeight: '600',
+            cursor: 'pointer',
+          }}
+        >
+          {readOnly ? 'Close' : 'Cancel'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ========================================
+// CHALLENGE CARD COMPONENT
+// ========================================
+function ChallengeCard({ post, currentUser, onToggleLike, theme, challenges, userChallenges }) {
+  const THEME = theme;
+
+  // Find the linked challenge
+  const challenge = challenges?.find(c => c.id === post.challengeId);
+  const userProgress = userChallenges?.find(uc => uc.challengeId === post.challengeId && uc.userId === currentUser?.id);
+
+  // Calculate time remaining
+  const endDate = challenge?.endDate ? new Date(challenge.endDate) : null;
+  const now = new Date();
+  const timeRemaining = endDate ? Math.max(0, endDate - now) : 0;
+  const hoursLeft = Math.floor(timeRemaining / (1000 * 60 * 60));
+  const daysLeft = Math.floor(hoursLeft / 24);
+  const remainingHours = hoursLeft % 24;
+
+  // Progress percentage
+  const progress = userProgress?.progress || 0;
+  const goalValue = challenge?.goalValue || 1;
+  const progressPercent = Math.min(100, Math.round((progress / goalValue) * 100));
+  const isCompleted = userProgress?.completed || progressPercent >= 100;
+
+  // Format time remaining display
+  const getTimeDisplay = () => {
+    if (timeRemaining === 0) return 'Ended';
+    if (daysLeft > 0) return `${daysLeft}d ${remainingHours}h left`;
+    if (hoursLeft > 0) return `${hoursLeft}h left`;
+    return 'Ending soon';
+  };
+
+  // Determine header text and styling
+  const isNew = challenge?.createdAt && (now - new Date(challenge.createdAt)) < (24 * 60 * 60 * 1000);
+  const headerText = isCompleted ? 'COMPLETED CHALLENGE' : isNew ? 'NEW CHALLENGE' : 'ACTIVE CHALLENGE';
+  const headerColor = isCompleted ? THEME.success : isNew ? THEME.warning : THEME.primary;
+
+  return (
+    <div
+      style={{
+        background: THEME.white,
+        borderRadius: '16px',
+        padding: '0',
+        boxShadow: THEME.shadows.md,
+        overflow: 'hidden',
+        animation: 'fadeInUp 0.4s ease-out both',
+        transition: 'all 0.3s ease',
+        border: `2px solid transparent`,
+        backgroundImage: `linear-gradient(${THEME.white}, ${THEME.white}), linear-gradient(135deg, ${THEME.primary} 0%, ${THEME.warning} 50%, ${THEME.success} 100%)`,
+        backgroundOrigin: 'border-box',
+        backgroundClip: 'padding-box, border-box',
+      }}
+      onMouseEnter={(e) => {
+        e.currentTarget.style.boxShadow = `0 8px 32px rgba(0, 86, 164, 0.2)`;
+        e.currentTarget.style.transform = 'translateY(-4px)';
+      }}
+      onMouseLeave={(e) => {
+        e.currentTarget.style.boxShadow = THEME.shadows.md;
+        e.currentTarget.style.transform = 'translateY(0)';
+      }}
+    >
+      {/* Gradient Header */}
+      <div style={{
+        background: `linear-gradient(135deg, ${headerColor} 0%, ${headerColor}CC 100%)`,
+        padding: '12px 20px',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+      }}>
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+        }}>
+          <span style={{ fontSize: '20px' }}>🏆</span>
+          <span style={{
+            color: THEME.white,
+            fontSize: '12px',
+            fontWeight: '700',
+            letterSpacing: '1px',
+            fontFamily: 'var(--font-display)',
+          }}>
+            {headerText}
+          </span>
+          {isCompleted && <span style={{ fontSize: '16px' }}>✅</span>}
+        </div>
+        {timeRemaining > 0 && !isCompleted && (
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '4px',
+            background: 'rgba(255, 255, 255, 0.2)',
+            padding: '4px 10px',
+            borderRadius: '12px',
+          }}>
+            <span style={{ fontSize: '14px' }}>⏰</span>
+            <span style={{
+              color: THEME.white,
+              fontSize: '11px',
+              fontWeight: '600',
+              fontFamily: 'var(--font-body)',
+            }}>
+              {getTimeDisplay()}
+            </span>
+          </div>
+        )}
+      </div>
+
+      {/* Content Area */}
+      <div style={{ padding: '20px' }}>
+        {/* Challenge Title */}
+        <h3 style={{
+          margin: '0 0 8px 0',
+          fontSize: '18px',
+          fontWeight: '700',
+          color: THEME.text,
+          fontFamily: 'var(--font-display)',
+        }}>
+          {challenge?.title || post.content?.split('\n')[0] || 'Challenge'}
+        </h3>
+
+        {/* Description */}
+        <p style={{
+          margin: '0 0 16px 0',
+          fontSize: '14px',
+          color: THEME.textLight,
+          lineHeight: '1.5',
+          fontFamily: 'var(--font-body)',
+        }}>
+          {challenge?.description || post.content || 'Complete this challenge to earn rewards!'}
+        </p>
+
+        {/* Goal Info Box */}
+        <div style={{
+          background: THEME.accent || THEME.secondary,
+          borderRadius: '12px',
+          padding: '14px 16px',
+          marginBottom: '16px',
+          display: 'flex',
+          flexWrap: 'wrap',
+          gap: '16px',
+          justifyContent: 'space-between',
+        }}>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
+            <span style={{
+              fontSize: '10px',
+              fontWeight: '600',
+              color: THEME.textLight,
+              textTransform: 'uppercase',
+              letterSpacing: '0.5px',
+              fontFamily: 'var(--font-body)',
+            }}>
+              Goal Type
+            </span>
+            <span style={{
+              fontSize: '14px',
+              fontWeight: '700',
+              color: THEME.text,
+              fontFamily: 'var(--font-display)',
+              textTransform: 'capitalize',
+            }}>
+              {challenge?.goalType || 'Activity'}
+            </span>
+          </div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
+            <span style={{
+              fontSize: '10px',
+              fontWeight: '600',
+              color: THEME.textLight,
+              textTransform: 'uppercase',
+              letterSpacing: '0.5px',
+              fontFamily: 'var(--font-body)',
+            }}>
+              Target
+            </span>
+            <span style={{
+              fontSize: '14px',
+              fontWeight: '700',
+              color: THEME.text,
+              fontFamily: 'var(--font-display)',
+            }}>
+              {goalValue} {challenge?.goalType || 'total'}
+            </span>
+          </div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
+            <span style={{
+              fontSize: '10px',
+              fontWeight: '600',
+              color: THEME.textLight,
+              textTransform: 'uppercase',
+              letterSpacing: '0.5px',
+              fontFamily: 'var(--font-body)',
+            }}>
+              Reward
+            </span>
+            <span style={{
+              fontSize: '14px',
+              fontWeight: '700',
+              color: THEME.warning,
+              fontFamily: 'var(--font-display)',
+            }}>
+              {challenge?.xpReward || 100} XP
+            </span>
+          </div>
+        </div>
+
+        {/* Progress Bar Section */}
+        <div style={{ marginBottom: '16px' }}>
+          <div style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: '8px',
+          }}>
+            <span style={{
+              fontSize: '12px',
+              fontWeight: '600',
+              color: THEME.textLight,
+              fontFamily: 'var(--font-body)',
+            }}>
+              Your Progress
+            </span>
+            <span style={{
+              fontSize: '12px',
+              fontWeight: '700',
+              color: isCompleted ? THEME.success : THEME.primary,
+              fontFamily: 'var(--font-display)',
+            }}>
+              {progress} / {goalValue} ({progressPercent}%)
+            </span>
+          </div>
+          <div style={{
+            height: '10px',
+            background: THEME.secondary,
+            borderRadius: '5px',
+            overflow: 'hidden',
+            position: 'relative',
+          }}>
+            <div
+              style={{
+                height: '100%',
+                width: `${progressPercent}%`,
+                background: isCompleted
+                  ? THEME.success
+                  : `linear-gradient(90deg, ${THEME.primary} 0%, ${THEME.primary}CC 100%)`,
+                borderRadius: '5px',
+                transition: 'width 0.5s ease-out',
+                position: 'relative',
+                overflow: 'hidden',
+              }}
+            >
+              {/* Animated shimmer effect */}
+              {!isCompleted && progressPercent > 0 && (
+                <div
+                  style={{
+                    position: 'absolute',
+                    top: 0,
+                    left: 0,
+                    right: 0,
+                    bottom: 0,
+                    background: 'linear-gradient(90deg, transparent, rgba(255,255,255,0.3), transparent)',
+                    animation: 'shimmer 2s infinite',
+                  }}
+                />
+              )}
+            </div>
+          </div>
+          <style>{`
+            @keyframes shimmer {
+              0% { transform: translateX(-100%); }
+              100% { transform: translateX(100%); }
+            }
+          `}</style>
+        </div>
+
+        {/* Posted by and Like Section */}
+        <div style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          paddingTop: '12px',
+          borderTop: `1px solid ${THEME.border}`,
+        }}>
+          <div style={{
+            fontSize: '12px',
+            color: THEME.textLight,
+            fontFamily: 'var(--font-body)',
+          }}>
+            Posted by <span style={{ fontWeight: '600', color: THEME.text }}>{post.userName}</span>
+            {' • '}
+            {formatRelativeTime(post.timestamp)}
+          </div>
+          <button
+            onClick={() => onToggleLike(post.id)}
+            onMouseDown={(e) => {
+              e.currentTarget.style.transform = 'scale(0.9)';
+            }}
+            onMouseUp={(e) => {
+              e.currentTarget.style.transform = 'scale(1)';
+            }}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px',
+              padding: '8px 14px',
+              background: (post.likes || []).includes(currentUser?.id)
+                ? THEME.gradients.primary
+                : 'transparent',
+              border: (post.likes || []).includes(currentUser?.id)
+                ? 'none'
+                : `1px solid ${THEME.border}`,
+              borderRadius: '8px',
+              color: (post.likes || []).includes(currentUser?.id) ? THEME.white : THEME.textLight,
+              fontSize: '13px',
+              fontWeight: '600',
+              cursor: 'pointer',
+              transition: 'all 0.2s ease',
+              fontFamily: 'var(--font-body)',
+            }}
+          >
+            <ThumbsUp size={16} />
+            {(post.likes || []).length}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ========================================
+// FEED COMPONENT
+// ========================================
+
+// Memoized FeedPost component for performance
+const FeedPost = React.memo(function FeedPost({
+  post,
+  index,
+  currentUser,
+  onToggleLike,
+  onAddComment,
+  onEditPost,
+  onDeletePost,
+  editingId,
+  setEditingId,
+  editContent,
+  setEditContent,
+  commentingId,
+  setCommentingId,
+  newComment,
+  setNewComment,
+  handleEdit,
+  handleComment,
+  theme,
+}) {
+  const THEME = theme;
+  const postRef = React.useRef(null);
+  const [isVisible, setIsVisible] = React.useState(false);
+
+  // Lazy load with Intersection Observer
+  React.useEffect(() => {
+    if (!postRef.current) return;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) {
+          setIsVisible(true);
+          observer.disconnect();
+        }
+      },
+      { rootMargin: '100px' } // Start loading 100px before visible
+    );
+
+    observer.observe(postRef.current);
+
+    return () => observer.disconnect();
+  }, []);
+
+  // Render placeholder for posts not yet visible (first 20 always visible)
+  if (!isVisible && index >= 20) {
+    return (
+      <div
+        ref={postRef}
+        style={{
+          background: THEME.white,
+          borderRadius: '16px',
+          padding: '20px',
+          boxShadow: THEME.shadows.md,
+          borderLeft: `4px solid ${THEME.border}`,
+          minHeight: '200px',
+        }}
+      />
+    );
+  }
+
+  return (
+    <div
+      ref={postRef}
+      style={{
+        background: THEME.white,
+        borderRadius: '16px',
+        padding: '20px',
+        boxShadow: THEME.shadows.md,
+        borderLeft: post.isAuto ? `4px solid ${THEME.warning}` : `4px solid ${THEME.primary}`,
+        animation: `fadeInUp 0.4s ease-out ${index * 0.05}s both`,
+        transition: 'all 0.2s ease',
+      }}
+      onMouseEnter={(e) => {
+        e.currentTarget.style.boxShadow = THEME.shadows.layered;
+        e.currentTarget.style.transform = 'translateY(-2px)';
+      }}
+      onMouseLeave={(e) => {
+        e.currentTarget.style.boxShadow = THEME.shadows.md;
+        e.currentTarget.style.transform = 'translateY(0)';
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start', marginBottom: '12px' }}>
+        <div style={{ flex: 1 }}>
+          <div style={{ 
+            fontSize: '15px', 
+            fontWeight: '700', 
+            color: THEME.text,
+            fontFamily: 'var(--font-display)',
+            marginBottom: '4px',
+          }}>
+            {post.userName}
+          </div>
+          <div style={{ 
+            fontSize: '12px', 
+            color: THEME.textLight,
+            fontFamily: 'var(--font-body)',
+          }}>
+            {formatRelativeTime(post.timestamp)}
+            {post.edited && ' (edited)'}
+          </div>
+        </div>
+        {post.userId === currentUser.id && !post.isAuto && (
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button
+              onClick={() => {
+                setEditingId(post.id);
+                setEditContent(post.content);
+              }}
+              style={{
+                padding: '4px',
+                background: 'transparent',
+                border: 'none',
+                cursor: 'pointer',
+              }}
+            >
+              <Edit2 size={16} color={THEME.textLight} />
+            </button>
+            <button
+              onClick={() => onDeletePost(post.id)}
+              style={{
+                padding: '4px',
+                background: 'transparent',
+                border: 'none',
+                cursor: 'pointer',
+              }}
+            >
+              <Trash2 size={16} color={THEME.danger} />
+            </button>
+          </div>
+        )}
+      </div>
+      
+      {editingId === post.id ? (
+        <div>
+          <textarea
+            value={editContent}
+            onChange={(e) => setEditContent(e.target.value)}
+            maxLength={500}
+            rows={3}
+            style={{
+              width: '100%',
+              padding: '12px',
+              border: `2px solid ${THEME.border}`,
+              borderRadius: '8px',
+              fontSize: '14px',
+              fontFamily: 'inherit',
+              boxSizing: 'border-box',
+              resize: 'vertical',
+              marginBottom: '8px',
+            }}
+          />
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button
+              onClick={() => handleEdit(post.id)}
+              style={{
+                padding: '8px 16px',
+                background: THEME.success,
+                border: 'none',
+                borderRadius: '6px',
+                color: THEME.white,
+                fontSize: '12px',
+                fontWeight: '600',
+                cursor: 'pointer',
+              }}
+            >
+              <Check size={14} />
+            </button>
+            <button
+              onClick={() => {
+                setEditingId(null);
+                setEditContent('');
+              }}
+              style={{
+                padding: '8px 16px',
+                background: THEME.secondary,
+                border: 'none',
+                borderRadius: '6px',
+                color: THEME.text,
+                fontSize: '12px',
+                fontWeight: '600',
+                cursor: 'pointer',
+              }}
+            >
+              <X size={14} />
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div style={{
+          fontSize: '15px',
+          color: THEME.text,
+          marginBottom: '12px',
+          lineHeight: '1.6',
+          fontFamily: 'var(--font-body)',
+        }}>
+          {post.content}
+        </div>
+      )}
+      
+      <div style={{ display: 'flex', gap: '12px', paddingTop: '12px', borderTop: `1px solid ${THEME.border}` }}>
+        <button
+          onClick={() => onToggleLike(post.id)}
+          onMouseDown={(e) => {
+            e.currentTarget.style.transform = 'scale(0.9)';
+          }}
+          onMouseUp={(e) => {
+            e.currentTarget.style.transform = 'scale(1)';
+          }}
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '6px',
+            padding: '8px 14px',
+            background: (post.likes || []).includes(currentUser.id) 
+              ? THEME.gradients.primary 
+              : 'transparent',
+            border: (post.likes || []).includes(currentUser.id) 
+              ? 'none' 
+              : `1px solid ${THEME.border}`,
+            borderRadius: '8px',
+            color: (post.likes || []).includes(currentUser.id) ? THEME.white : THEME.textLight,
+            fontSize: '13px',
+            fontWeight: '600',
+            cursor: 'pointer',
+            transition: 'all 0.2s ease',
+            fontFamily: 'var(--font-body)',
+          }}
+        >
+          <ThumbsUp size={16} />
+          {(post.likes || []).length}
+        </button>
+        <button
+          onClick={() => setCommentingId(commentingId === post.id ? null : post.id)}
+          onMouseDown={(e) => {
+            e.currentTarget.style.transform = 'scale(0.9)';
+          }}
+          onMouseUp={(e) => {
+            e.currentTarget.style.transform = 'scale(1)';
+          }}
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '6px',
+            padding: '6px 12px',
+            background: 'transparent',
+            border: 'none',
+            borderRadius: '6px',
+            color: THEME.textLight,
+            fontSize: '12px',
+            fontWeight: '600',
+            cursor: 'pointer',
+          }}
+        >
+          <MessageSquare size={14} />
+          {(post.comments || []).length}
+        </button>
+      </div>
+      
+      {(post.comments || []).length > 0 && (
+        <div style={{ marginTop: '12px', paddingTop: '12px', borderTop: `1px solid ${THEME.border}` }}>
+          {post.comments.map(comment => (
+            <div key={comment.id} style={{
+              padding: '8px 12px',
+              background: THEME.secondary,
+              borderRadius: '8px',
+              marginBottom: '8px',
+            }}>
+              <div style={{ fontSize: '12px', fontWeight: '600', color: THEME.text, marginBottom: '4px' }}>
+                {comment.userName}
+              </div>
+              <div style={{ fontSize: '12px', color: THEME.text }}>
+                {comment.content}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+      
+      {commentingId === post.id && (
+        <div style={{ marginTop: '12px', paddingTop: '12px', borderTop: `1px solid ${THEME.border}` }}>
+          <textarea
+            value={newComment}
+            onChange={(e) => setNewComment(e.target.value)}
+            placeholder="Write a comment..."
+            maxLength={300}
+            rows={2}
+            style={{
+              width: '100%',
+              padding: '8px',
+              border: `2px solid ${THEME.border}`,
+              borderRadius: '6px',
+              fontSize: '12px',
+              fontFamily: 'inherit',
+              boxSizing: 'border-box',
+              resize: 'vertical',
+              marginBottom: '8px',
+            }}
+          />
+          <button
+            onClick={() => handleComment(post.id)}
+            disabled={!newComment.trim()}
+            onMouseDown={(e) => {
+              if (newComment.trim()) e.currentTarget.style.transform = 'scale(0.95)';
+            }}
+            onMouseUp={(e) => {
+              e.currentTarget.style.transform = 'scale(1)';
+            }}
+            style={{
+              padding: '8px 16px',
+              background: newComment.trim() ? THEME.gradients.primary : THEME.border,
+              border: 'none',
+              borderRadius: '8px',
+              color: THEME.white,
+              fontSize: '12px',
+              fontWeight: '600',
+              cursor: newComment.trim() ? 'pointer' : 'not-allowed',
+              transition: 'all 0.2s ease',
+              boxShadow: newComment.trim() ? THEME.shadows.sm : 'none',
+              fontFamily: 'var(--font-body)',
+            }}
+          >
+            Comment
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}, (prevProps, nextProps) => {
+  // Custom comparison function for React.memo
+  return (
+    prevProps.post.id === nextProps.post.id &&
+    prevProps.post.likes?.length === nextProps.post.likes?.length &&
+    prevProps.post.comments?.length === nextProps.post.comments?.length &&
+    prevProps.editingId === nextProps.editingId &&
+    prevProps.commentingId === nextProps.commentingId &&
+    prevProps.editContent === nextProps.editContent &&
+    prevProps.newComment === nextProps.newComment
+  );
+});
+
+function Feed({
+  feed,
+  currentUser,
+  onAddPost,
+  onToggleLike,
+  onAddComment,
+  onEditPost,
+  onDeletePost,
+  onAddReaction,
+  onTogglePinPost,
+  onUpdateFilters,
+  onMarkAsRead,
+  filteredFeed,
+  feedReactions,
+  feedFilters,
+  pinnedPosts,
+  unreadCount,
+  theme,
+  users,
+  challenges,
+  userChallenges
+}) {
+  const THEME = theme;
+  const [newPost, setNewPost] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editContent, setEditContent] = useState('');
+  const [commentingId, setCommentingId] = useState(null);
+  const [newComment, setNewComment] = useState('');
+  // const [showReactionPicker, setShowReactionPicker] = useState(null); // TODO: For future use - reaction picker feature
+  const [viewMode, setViewMode] = useState('feed'); // 'feed' or 'achievements'
+
+  // const EMOJI_REACTIONS = ['👍', '❤️', '🔥', '💪', '🎉', '🎯']; // TODO: For future use - reaction system
+
+  // Backwards compatibility - if new props not provided, use defaults
+  // const displayFeed = filteredFeed || feed; // TODO: For future use - feed display modes
+  const reactions = feedReactions || {};
+  
+  const handlePost = () => {
+    if (onAddPost(newPost)) {
+      setNewPost('');
+    }
+  };
+  
+  const handleEdit = (postId) => {
+    if (onEditPost(postId, editContent)) {
+      setEditingId(null);
+      setEditContent('');
+    }
+  };
+  
+  const handleComment = (postId) => {
+    if (onAddComment(postId, newComment)) {
+      setNewComment('');
+      setCommentingId(null);
+    }
+  };
+
+  // const handleAddReaction = (postId, emoji) => { // TODO: For future use - reaction handler
+  //   if (onAddReaction) {
+  //     onAddReaction(postId, emoji);
+  //     setShowReactionPicker(null);
+  //   }
+  // };
+
+  // const getReactionCounts = (postId) => { // TODO: For future use - reaction counting
+  //   const reactionKey = `${postId}_reactions`;
+  //   const postReactions = reactions[reactionKey] || {};
+  //   const counts = {};
+  //
+  //   Object.values(postReactions).forEach(userReactions => {
+  //     userReactions.forEach(emoji => {
+  //       counts[emoji] = (counts[emoji] || 0) + 1;
+  //     });
+  //   });
+  //
+  //   return counts;
+  // };
+
+  // const getUserReactions = (postId) => { // TODO: For future use - user reaction retrieval
+  //   const reactionKey = `${postId}_reactions`;
+  //   const postReactions = reactions[reactionKey] || {};
+  //   return postReactions[currentUser?.id] || [];
+  // };
+
+  // const achievementPosts = feed.filter(p => p.type === 'achievement' || p.isAuto); // TODO: For future use - achievement filtering
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+        <h2 style={{
+          margin: 0,
+          fontSize: '24px',
+          fontWeight: '700',
+          color: THEME.text,
+          fontFamily: 'var(--font-display)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '12px',
+        }}>
+          Team Feed
+          {unreadCount > 0 && (
+            <span style={{
+              background: THEME.danger,
+              color: THEME.white,
+              borderRadius: '50%',
+              width: '24px',
+              height: '24px',
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'center',
+              fontSize: '12px',
+              fontWeight: '700',
+            }}>
+              {unreadCount}
+            </span>
+          )}
+        </h2>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button
+            onClick={() => setViewMode(viewMode === 'feed' ? 'achievements' : 'feed')}
+            style={{
+              padding: '8px 16px',
+              background: viewMode === 'achievements' ? THEME.gradients.primary : THEME.secondary,
+              border: 'none',
+              borderRadius: '8px',
+              color: viewMode === 'achievements' ? THEME.white : THEME.text,
+              fontSize: '12px',
+              fontWeight: '600',
+              cursor: 'pointer',
+              transition: 'all 0.2s ease',
+            }}
+          >
+            {viewMode === 'achievements' ? '🏆 Achievements' : '📰 Feed'}
+          </button>
+          {unreadCount > 0 && (
+            <button
+              onClick={onMarkAsRead}
+              style={{
+                padding: '8px 16px',
+                background: THEME.secondary,
+                border: 'none',
+                borderRadius: '8px',
+                color: THEME.text,
+                fontSize: '12px',
+                fontWeight: '600',
+                cursor: 'pointer',
+                transition: 'all 0.2s ease',
+              }}
+            >
+              Mark Read
+            </button>
+          )}
+        </div>
+      </div>
+      
+      <div style={{
+        background: THEME.white,
+        borderRadius: '16px',
+        padding: '24px',
+        marginBottom: '20px',
+        boxShadow: THEME.shadows.layered,
+        border: `1px solid ${THEME.border}`,
+      }}>
+        <textarea
+          value={newPost}
+          onChange={(e) => setNewPost(e.target.value)}
+          placeholder="Share an update with the team..."
+          maxLength={500}
+          rows={3}
+          style={{
+            width: '100%',
+            padding: '14px',
+            border: `2px solid ${THEME.border}`,
+            borderRadius: '10px',
+            fontSize: '16px',
+            fontFamily: 'var(--font-body)',
+            boxSizing: 'border-box',
+            resize: 'vertical',
+            marginBottom: '12px',
+            transition: 'all 0.2s ease',
+          }}
+          onFocus={(e) => {
+            e.currentTarget.style.borderColor = THEME.primary;
+            e.currentTarget.style.boxShadow = `0 0 0 3px ${THEME.primary}20`;
+          }}
+          onBlur={(e) => {
+            e.currentTarget.style.borderColor = THEME.border;
+            e.currentTarget.style.boxShadow = 'none';
+          }}
+        />
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+          <span style={{ 
+            fontSize: '12px', 
+            color: THEME.textLight,
+            fontFamily: 'var(--font-body)',
+          }}>
+            {newPost.length}/500
+          </span>
+          <button
+            onClick={handlePost}
+            disabled={!newPost.trim()}
+            onMouseDown={(e) => {
+              if (newPost.trim()) e.currentTarget.style.transform = 'scale(0.95)';
+            }}
+            onMouseUp={(e) => {
+              e.currentTarget.style.transform = 'scale(1)';
+            }}
+            style={{
+              padding: '12px 28px',
+              background: newPost.trim() ? THEME.gradients.primary : THEME.border,
+              border: 'none',
+              borderRadius: '10px',
+              color: THEME.white,
+              fontSize: '14px',
+              fontWeight: '600',
+              cursor: newPost.trim() ? 'pointer' : 'not-allowed',
+              transition: 'all 0.2s ease',
+              boxShadow: newPost.trim() ? THEME.shadows.md : 'none',
+              fontFamily: 'var(--font-body)',
+            }}
+          >
+            Post
+          </button>
+        </div>
+      </div>
+      
+      <div style={{ display: 'grid', gap: '16px' }}>
+        {feed.length === 0 ? (
+          <div style={{
+            background: THEME.white,
+            borderRadius: '16px',
+            padding: '60px 20px',
+            textAlign: 'center',
+            color: THEME.textLight,
+            boxShadow: THEME.shadows.md,
+          }}>
+            <div style={{
+              fontSize: '48px',
+              marginBottom: '16px',
+            }}>
+              💬
+            </div>
+            <div style={{
+              fontSize: '18px',
+              fontWeight: '600',
+              color: THEME.text,
+              marginBottom: '8px',
+              fontFamily: 'var(--font-display)',
+            }}>
+              No posts yet
+            </div>
+            <div style={{
+              fontSize: '14px',
+              color: THEME.textLight,
+            }}>
+              Be the first to share an update with the team!
+            </div>
+          </div>
+        ) : (
+          feed.map((post, index) => (
+            post.isChallenge || post.challengeId ? (
+              <ChallengeCard
+                key={post.id}
+                post={post}
+                currentUser={currentUser}
+                onToggleLike={onToggleLike}
+                theme={THEME}
+                challenges={challenges}
+                userChallenges={userChallenges}
+              />
+            ) : (
+              <FeedPost
+                key={post.id}
+                post={post}
+                index={index}
+                currentUser={currentUser}
+                onToggleLike={onToggleLike}
+                onAddComment={onAddComment}
+                onEditPost={onEditPost}
+                onDeletePost={onDeletePost}
+                editingId={editingId}
+                setEditingId={setEditingId}
+                editContent={editContent}
+                setEditContent={setEditContent}
+                commentingId={commentingId}
+                setCommentingId={setCommentingId}
+                newComment={newComment}
+                setNewComment={setNewComment}
+                handleEdit={handleEdit}
+                handleComment={handleComment}
+                theme={THEME}
+              />
+            )
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ========================================
+// CHALLENGES COMPONENT
+// ========================================
+
+function Challenges({ challenges, userChallenges, currentUser, theme, users }) {
+  const THEME = theme;
+
+  // Filter active challenges (is_active === true OR isActive === true, and endDate is in the future)
+  const activeChallenges = challenges.filter(c => {
+    const isActive = c.isActive !== false && c.is_active !== false;
+    const notExpired = !c.endDate || new Date(c.endDate) > new Date();
+    return isActive && notExpired;
+  });
+
+  // Filter completed challenges for current user
+  const completedChallenges = userChallenges.filter(uc =>
+    uc.userId === currentUser?.id && uc.completed
+  );
+
+  // Get user progress for a challenge
+  const getUserProgress = (challengeId) => {
+    return userChallenges.find(uc =>
+      uc.challengeId === challengeId && uc.userId === currentUser?.id
+    );
+  };
+
+  // Calculate time remaining for a challenge
+  const getTimeRemaining = (endDate) => {
+    if (!endDate) return null;
+    const end = new Date(endDate);
+    const now = new Date();
+    const diff = end - now;
+
+    if (diff <= 0) return 'Ended';
+
+    const days = Math.floor(diff / (1000 * 60 * 60 * 24));
+    const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+
+    if (days > 0) return `${days}d ${hours}h left`;
+    if (hours > 0) return `${hours}h left`;
+    return 'Ending soon';
+  };
+
+  // Format date for completed challenges
+  const formatCompletedDate = (dateStr) => {
+    if (!dateStr) return '';
+    const date = new Date(dateStr);
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  };
+
+  // Get challenge details by ID
+  const getChallengeById = (challengeId) => {
+    return challenges.find(c => c.id === challengeId);
+  };
+
+  return (
+    <div>
+      {/* Header */}
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginBottom: '24px'
+      }}>
+        <h2 style={{
+          margin: 0,
+          fontSize: '24px',
+          fontWeight: '700',
+          color: THEME.text,
+          fontFamily: 'var(--font-display)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '12px',
+        }}>
+          <span style={{ fontSize: '28px' }}>🏆</span>
+          Challenges
+        </h2>
+        <div style={{
+          background: THEME.gradients.primary,
+          color: THEME.white,
+          padding: '6px 14px',
+          borderRadius: '20px',
+          fontSize: '13px',
+          fontWeight: '600',
+          fontFamily: 'var(--font-body)',
+        }}>
+          {activeChallenges.length} active
+        </div>
+      </div>
+
+      {/* Active Challenges Section */}
+      <div style={{ marginBottom: '32px' }}>
+        <h3 style={{
+          fontSize: '16px',
+          fontWeight: '600',
+          color: THEME.text,
+          marginBottom: '16px',
+          fontFamily: 'var(--font-display)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+        }}>
+          <span style={{
+            width: '8px',
+            height: '8px',
+            borderRadius: '50%',
+            background: THEME.success,
+            animation: 'pulse 2s infinite',
+          }} />
+          Active Challenges
+        </h3>
+
+        {activeChallenges.length === 0 ? (
+          <div style={{
+            background: THEME.white,
+            borderRadius: '16px',
+            padding: '48px 24px',
+            textAlign: 'center',
+            boxShadow: THEME.shadows.md,
+            border: `1px solid ${THEME.border}`,
+          }}>
+            <div style={{ fontSize: '48px', marginBottom: '16px' }}>🎯</div>
+            <div style={{
+              fontSize: '18px',
+              fontWeight: '600',
+              color: THEME.text,
+              marginBottom: '8px',
+              fontFamily: 'var(--font-display)',
+            }}>
+              No Active Challenges
+            </div>
+            <div style={{
+              fontSize: '14px',
+              color: THEME.textLight,
+              fontFamily: 'var(--font-body)',
+            }}>
+              Check back soon for new challenges to compete in!
+            </div>
+          </div>
+        ) : (
+          <div style={{ display: 'grid', gap: '16px' }}>
+            {activeChallenges.map((challenge, index) => {
+              const userProgress = getUserProgress(challenge.id);
+              const progress = userProgress?.progress || 0;
+              const goalValue = challenge.goalValue || challenge.goal_value || 1;
+              const progressPercent = Math.min(100, Math.round((progress / goalValue) * 100));
+              const isCompleted = userProgress?.completed || progressPercent >= 100;
+              const timeRemaining = getTimeRemaining(challenge.endDate || challenge.end_date);
+
+              return (
+                <div
+                  key={challenge.id}
+                  style={{
+                    background: THEME.white,
+                    borderRadius: '16px',
+                    overflow: 'hidden',
+                    boxShadow: THEME.shadows.md,
+                    border: isCompleted
+                      ? `2px solid ${THEME.success}`
+                      : `1px solid ${THEME.border}`,
+                    animation: `fadeInUp 0.4s ease-out ${index * 0.1}s both`,
+                    transition: 'all 0.3s ease',
+                  }}
+                  onMouseEnter={(e) => {
+                    e.currentTarget.style.boxShadow = `0 8px 32px rgba(0, 86, 164, 0.15)`;
+                    e.currentTarget.style.transform = 'translateY(-2px)';
+                  }}
+                  onMouseLeave={(e) => {
+                    e.currentTarget.style.boxShadow = THEME.shadows.md;
+                    e.currentTarget.style.transform = 'translateY(0)';
+                  }}
+                >
+                  {/* Challenge Header */}
+                  <div style={{
+                    background: isCompleted
+                      ? THEME.gradients.success || `linear-gradient(135deg, ${THEME.success} 0%, ${THEME.success}CC 100%)`
+                      : THEME.gradients.primary,
+                    padding: '14px 20px',
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                  }}>
+                    <div style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '10px',
+                    }}>
+                      <span style={{ fontSize: '20px' }}>
+                        {isCompleted ? '✅' : '🏆'}
+                      </span>
+                      <span style={{
+                        color: THEME.white,
+                        fontSize: '13px',
+                        fontWeight: '700',
+                        letterSpacing: '0.5px',
+                        textTransform: 'uppercase',
+                        fontFamily: 'var(--font-display)',
+                      }}>
+                        {isCompleted ? 'Completed' : 'Active Challenge'}
+                      </span>
+                    </div>
+                    {timeRemaining && !isCompleted && (
+                      <div style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '6px',
+                        background: 'rgba(255, 255, 255, 0.2)',
+                        padding: '5px 12px',
+                        borderRadius: '12px',
+                      }}>
+                        <span style={{ fontSize: '14px' }}>⏰</span>
+                        <span style={{
+                          color: THEME.white,
+                          fontSize: '12px',
+                          fontWeight: '600',
+                          fontFamily: 'var(--font-body)',
+                        }}>
+                          {timeRemaining}
+                        </span>
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Challenge Content */}
+                  <div style={{ padding: '20px' }}>
+                    {/* Title */}
+                    <h4 style={{
+                      margin: '0 0 8px 0',
+                      fontSize: '18px',
+                      fontWeight: '700',
+                      color: THEME.text,
+                      fontFamily: 'var(--font-display)',
+                    }}>
+                      {challenge.title || challenge.name || 'Challenge'}
+                    </h4>
+
+                    {/* Description */}
+                    <p style={{
+                      margin: '0 0 16px 0',
+                      fontSize: '14px',
+                      color: THEME.textLight,
+                      lineHeight: '1.5',
+                      fontFamily: 'var(--font-body)',
+                    }}>
+                      {challenge.description || 'Complete this challenge to earn rewards!'}
+                    </p>
+
+                    {/* Goal & Reward Info */}
+                    <div style={{
+                      background: THEME.accent || THEME.secondary,
+                      borderRadius: '12px',
+                      padding: '14px 16px',
+                      marginBottom: '16px',
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      alignItems: 'center',
+                      flexWrap: 'wrap',
+                      gap: '12px',
+                    }}>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <span style={{ fontSize: '16px' }}>🎯</span>
+                        <span style={{
+                          fontSize: '14px',
+                          fontWeight: '600',
+                          color: THEME.text,
+                          fontFamily: 'var(--font-body)',
+                        }}>
+                          Goal: {goalValue} {challenge.goalType || challenge.goal_type || 'activities'}
+                        </span>
+                      </div>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <span style={{ fontSize: '16px' }}>⭐</span>
+                        <span style={{
+                          fontSize: '14px',
+                          fontWeight: '700',
+                          color: THEME.warning,
+                          fontFamily: 'var(--font-display)',
+                        }}>
+                          {challenge.xpReward || challenge.xp_reward || 100} XP
+                        </span>
+                      </div>
+                    </div>
+
+                    {/* Progress Bar */}
+                    <div>
+                      <div style={{
+                        display: 'flex',
+                        justifyContent: 'space-between',
+                        alignItems: 'center',
+                        marginBottom: '8px',
+                      }}>
+                        <span style={{
+                          fontSize: '12px',
+                          fontWeight: '600',
+                          color: THEME.textLight,
+                          fontFamily: 'var(--font-body)',
+                        }}>
+                          Your Progress
+                        </span>
+                        <span style={{
+                          fontSize: '13px',
+                          fontWeight: '700',
+                          color: isCompleted ? THEME.success : THEME.primary,
+                          fontFamily: 'var(--font-display)',
+                        }}>
+                          {progressPercent}% ({progress}/{goalValue})
+                        </span>
+                      </div>
+                      <div style={{
+                        height: '10px',
+                        background: THEME.secondary,
+                        borderRadius: '5px',
+                        overflow: 'hidden',
+                        position: 'relative',
+                      }}>
+                        <div
+                          style={{
+                            height: '100%',
+                            width: `${progressPercent}%`,
+                            background: isCompleted
+                              ? THEME.success
+                              : `linear-gradient(90deg, ${THEME.primary} 0%, ${THEME.primary}CC 100%)`,
+                            borderRadius: '5px',
+                            transition: 'width 0.5s ease-out',
+                            position: 'relative',
+                            overflow: 'hidden',
+                          }}
+                        >
+                          {/* Animated shimmer effect */}
+                          {!isCompleted && progressPercent > 0 && (
+                            <div
+                              style={{
+                                position: 'absolute',
+                                top: 0,
+                                left: 0,
+                                right: 0,
+                                bottom: 0,
+                                background: 'linear-gradient(90deg, transparent, rgba(255,255,255,0.3), transparent)',
+                                animation: 'shimmer 2s infinite',
+                              }}
+                            />
+                          )}
+                        </div>
+                      </div>
+                      <style>{`
+                        @keyframes shimmer {
+                          0% { transform: translateX(-100%); }
+                          100% { transform: translateX(100%); }
+                        }
+                      `}</style>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* Completed Challenges Section */}
+      {completedChallenges.length > 0 && (
+        <div>
+          <h3 style={{
+            fontSize: '16px',
+            fontWeight: '600',
+            color: THEME.text,
+            marginBottom: '16px',
+            fontFamily: 'var(--font-display)',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px',
+          }}>
+            <span style={{ fontSize: '18px' }}>✅</span>
+            Completed Challenges ({completedChallenges.length})
+          </h3>
+
+          <div style={{
+            background: THEME.white,
+            borderRadius: '12px',
+            boxShadow: THEME.shadows.md,
+            border: `1px solid ${THEME.border}`,
+            overflow: 'hidden',
+          }}>
+            {completedChallenges.map((uc, index) => {
+              const challenge = getChallengeById(uc.challengeId);
+              const completedDate = uc.completedAt || uc.completed_at;
+
+              return (
+                <div
+                  key={uc.id || `${uc.challengeId}-${uc.userId}`}
+                  style={{
+                    padding: '14px 20px',
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    borderBottom: index < completedChallenges.length - 1
+                      ? `1px solid ${THEME.border}`
+                      : 'none',
+                    animation: `fadeInUp 0.3s ease-out ${index * 0.05}s both`,
+                  }}
+                >
+                  <div style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '12px',
+                  }}>
+                    <span style={{
+                      fontSize: '20px',
+                      filter: 'drop-shadow(0 2px 4px rgba(0,0,0,0.1))',
+                    }}>
+                      🏆
+                    </span>
+                    <div>
+                      <div style={{
+                        fontSize: '14px',
+                        fontWeight: '600',
+                        color: THEME.text,
+                        fontFamily: 'var(--font-display)',
+                      }}>
+                        {challenge?.title || challenge?.name || 'Challenge'}
+                      </div>
+                      {completedDate && (
+                        <div style={{
+                          fontSize: '12px',
+                          color: THEME.textLight,
+                          fontFamily: 'var(--font-body)',
+                        }}>
+                          Completed {formatCompletedDate(completedDate)}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                  <div style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '8px',
+                    background: `${THEME.success}15`,
+                    padding: '6px 12px',
+                    borderRadius: '20px',
+                  }}>
+                    <span style={{
+                      fontSize: '12px',
+                      fontWeight: '700',
+                      color: THEME.success,
+                      fontFamily: 'var(--font-display)',
+                    }}>
+                      +{challenge?.xpReward || challenge?.xp_reward || 100} XP
+                    </span>
+                    <span style={{ fontSize: '14px' }}>✅</span>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ========================================
+// LEADERBOARD COMPONENT
+// ========================================
+
+function Leaderboard({ users, dailyLogs, deals, appointments, currentUser, xpCurve, categories, theme }) {
+  const THEME = theme;
+  const [timeframe, setTimeframe] = useState('week');
+  const [category, setCategory] = useState('overall');
+
+  // Calculate leaderboard based on selected timeframe and category
+  const leaderboard = useMemo(() => {
+    // Determine date range
+    let startDate;
+    const today = getToday();
+
+    switch (timeframe) {
+      case 'today':
+        startDate = today;
+        break;
+      case 'week':
+        startDate = getWeekStart();
+        break;
+      case 'month':
+        startDate = getMonthStart();
+        break;
+      case 'alltime':
+        startDate = '2000-01-01'; // Far past date
+        break;
+      default:
+        startDate = getWeekStart();
+    }
+
+    const sales = getSales(deals, appointments);
+
+    // Calculate scores
+    const scores = users.map(user => {
+      const counts = {};
+      let activityTotal = 0;
+
+      Object.entries(dailyLogs).forEach(([date, usersData]) => {
+        if (date >= startDate && usersData[user.id]) {
+          categories.forEach(c => {
+            counts[c.id] = (counts[c.id] || 0) + (usersData[user.id][c.id] || 0);
+          });
+          activityTotal += sumCategoryCounts(usersData[user.id]);
+        }
+      });
+
+      // XP: all time includes achievement and bonus XP; shorter windows rank activity XP
+      let total;
+      if (categories.some(c => c.id === category)) total = counts[category] || 0;
+      else if (category === 'xp' && timeframe === 'alltime') total = user.xp || 0;
+      else if (category === 'xp') total = calculateActivityXP(user, dailyLogs, xpCurve, startDate, today);
+      else if (category === 'revenue') total = sumSales(sales, { userId: user.id, startDate, endDate: today }).revenue;
+      else total = activityTotal;
+
+      return { ...user, total, counts, level: calculateLevel(user.xp || 0, xpCurve) };
+    });
+
+    return scores.sort((a, b) => b.total - a.total);
+  }, [users, dailyLogs, deals, appointments, timeframe, category, xpCurve, categories]);
+
+  const formatTotal = (total) => (category === 'revenue' ? formatCurrency(total) : total);
+
+  const medals = [THEME.gold, THEME.silver, THEME.bronze];
+  const medalGradients = [
+    THEME.gradients.gold,
+    'linear-gradient(135deg, #C0C0C0 0%, #E8E8E8 100%)',
+    'linear-gradient(135deg, #CD7F32 0%, #E6A85C 100%)',
+  ];
+
+  const currentUserRank = leaderboard.findIndex(u => u.id === currentUser?.id) + 1;
+  const leaderTotal = leaderboard[0]?.total || 0;
+
+  return (
+    <div>
+      <h2 style={{
+        margin: '0 0 20px 0',
+        fontSize: '24px',
+        fontWeight: '700',
+        color: THEME.text,
+        fontFamily: 'var(--font-display)',
+      }}>
+        Leaderboard
+      </h2>
+
+      {/* Timeframe Selector */}
+      <div style={{
+        background: THEME.white,
+        borderRadius: '12px',
+        padding: '6px',
+        marginBottom: '16px',
+        display: 'flex',
+        gap: '6px',
+        boxShadow: THEME.shadows.md,
+      }}>
+        {[
+          { id: 'today', label: 'Today' },
+          { id: 'week', label: 'This Week' },
+          { id: 'month', label: 'This Month' },
+          { id: 'alltime', label: 'All Time' },
+        ].map(tf => (
+          <button
+            key={tf.id}
+            onClick={() => setTimeframe(tf.id)}
+            style={{
+              flex: 1,
+              padding: '10px 16px',
+              background: timeframe === tf.id ? THEME.gradients.primary : 'transparent',
+              border: 'none',
+              borderRadius: '8px',
+              color: timeframe === tf.id ? THEME.white : THEME.text,
+              fontSize: '14px',
+              fontWeight: '600',
+              cursor: 'pointer',
+              transition: 'all 0.2s ease',
+              fontFamily: 'var(--font-body)',
+            }}
+          >
+            {tf.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Category Tabs */}
+      <div style={{
+        background: THEME.white,
+        borderRadius: '12px',
+        padding: '6px',
+        marginBottom: '16px',
+        display: 'flex',
+        gap: '6px',
+        boxShadow: THEME.shadows.md,
+      }}>
+        {[
+          { id: 'overall', label: 'Overall', icon: '🏆' },
+          ...categories.map(c => {
+            const Icon = getCategoryIcon(c);
+            return { id: c.id, label: c.name, icon: <Icon size={16} /> };
+          }),
+          { id: 'xp', label: 'XP', icon: '⚡' },
+          { id: 'revenue', label: 'Revenue', icon: '💵' },
+        ].map(cat => (
+          <button
+            key={cat.id}
+            onClick={() => setCategory(cat.id)}
+            style={{
+              flex: 1,
+              padding: '10px 12px',
+              background: category === cat.id ? THEME.gradients.success : 'transparent',
+              border: 'none',
+              borderRadius: '8px',
+              color: category === cat.id ? THEME.white : THEME.text,
+              fontSize: '13px',
+              fontWeight: '600',
+              cursor: 'pointer',
+              transition: 'all 0.2s ease',
+              fontFamily: 'var(--font-body)',
+            }}
+          >
+            <div>{cat.icon}</div>
+            <div style={{ fontSize: '11px', marginTop: '2px' }}>{cat.label}</div>
+          </button>
+        ))}
+      </div>
+
+      {/* Current User Stats */}
+      {currentUser && currentUserRank > 0 && (
+        <div style={{
+          background: THEME.gradients.primary,
+          borderRadius: '12px',
+          padding: '16px',
+          marginBottom: '16px',
+          color: THEME.white,
+          boxShadow: THEME.shadows.md,
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <div>
+              <div style={{ fontSize: '13px', opacity: 0.9, marginBottom: '4px' }}>Your Rank</div>
+              <div style={{ fontSize: '24px', fontWeight: '700', fontFamily: 'var(--font-mono)' }}>
+                #{currentUserRank}
+              </div>
+            </div>
+            {currentUserRank > 1 && leaderboard[0] && (
+              <div style={{ textAlign: 'right' }}>
+                <div style={{ fontSize: '13px', opacity: 0.9, marginBottom: '4px' }}>Behind Leader</div>
+                <div style={{ fontSize: '20px', fontWeight: '700', fontFamily: 'var(--font-mono)' }}>
+                  {formatTotal(leaderTotal - (leaderboard.find(u => u.id === currentUser.id)?.total || 0))}
+                </div>
+              </div>
+            )}
+            {currentUserRank === 1 && (
+              <div style={{ fontSize: '28px' }}>👑</div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Leaderboard List */}
+      <div style={{ display: 'grid', gap: '12px' }}>
+        {leaderboard.length === 0 ? (
+          <div style={{
+            background: THEME.white,
+            borderRadius: '16px',
+            padding: '60px 20px',
+            textAlign: 'center',
+            color: THEME.textLight,
+            boxShadow: THEME.shadows.md,
+          }}>
+            <div style={{ fontSize: '48px', marginBottom: '16px' }}>🏆</div>
+            <div style={{
+              fontSize: '18px',
+              fontWeight: '600',
+              color: THEME.text,
+              marginBottom: '8px',
+              fontFamily: 'var(--font-display)',
+            }}>
+              No activity yet
+            </div>
+            <div style={{ fontSize: '14px', color: THEME.textLight }}>
+              Start tracking to see rankings!
+            </div>
+          </div>
+        ) : (
+          leaderboard.map((user, index) => {
+            const isTopThree = index < 3;
+            const isCurrentUser = user.id === currentUser?.id;
+            const prevRank = index; // Could track previous rankings for trend arrows
+
+            return (
+              <div
+                key={user.id}
+                style={{
+                  background: isCurrentUser ? THEME.gradients.cardHover : THEME.white,
+                  borderRadius: '16px',
+                  padding: '20px',
+                  boxShadow: isTopThree ? THEME.shadows.layered : THEME.shadows.md,
+                  border: isCurrentUser
+                    ? `2px solid ${THEME.primary}`
+                    : isTopThree
+                      ? `2px solid ${medals[index]}`
+                      : `1px solid ${THEME.border}`,
+                  animation: `fadeInUp 0.4s ease-out ${index * 0.1}s both`,
+                  transform: isTopThree ? 'scale(1.02)' : 'scale(1)',
+                  transition: 'all 0.3s ease',
+                }}
+              >
+                <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
+                  <div style={{
+                    width: isTopThree ? '56px' : '48px',
+                    height: isTopThree ? '56px' : '48px',
+                    background: isTopThree ? medalGradients[index] : THEME.secondary,
+                    borderRadius: '50%',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    fontSize: isTopThree ? '28px' : '20px',
+                    fontWeight: '700',
+                    color: isTopThree ? THEME.white : THEME.textLight,
+                    boxShadow: isTopThree ? THEME.shadows.layered : THEME.shadows.md,
+                    animation: isTopThree ? 'pulse 2s infinite' : 'none',
+                  }}>
+                    {isTopThree ? ['🥇', '🥈', '🥉'][index] : index + 1}
+                  </div>
+                  <div style={{ flex: 1 }}>
+                    <div style={{
+                      fontSize: '17px',
+                      fontWeight: '700',
+                      color: THEME.text,
+                      fontFamily: 'var(--font-display)',
+                      marginBottom: '4px',
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '8px',
+                    }}>
+                      {user.name}
+                      {isCurrentUser && ' (You)'}
+                    </div>
+                    <div style={{
+                      fontSize: '13px',
+                      color: THEME.textLight,
+                      fontFamily: 'var(--font-body)',
+                    }}>
+                      {user.role === 'manager' ? 'Manager' : 'Employee'} • Level {user.level}
+                    </div>
+
+                    {/* Category Breakdown Mini Chart */}
+                    {category === 'overall' && (
+                      <div style={{ marginTop: '8px', display: 'flex', gap: '6px', alignItems: 'center' }}>
+                        {categories.filter(c => user.counts[c.id] > 0).map(c => (
+                          <div key={c.id} style={{
+                            display: 'flex',
+                            alignItems: 'center',
+                            gap: '4px',
+                            fontSize: '11px',
+                            color: THEME.textLight,
+                          }}>
+                            <div style={{
+                              width: Math.max(20, (user.counts[c.id] / user.total) * 60) + 'px',
+                              height: '4px',
+                              background: getCategoryGradient(c, THEME),
+                              borderRadius: '2px',
+                            }} />
+                            {user.counts[c.id]}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                  <div style={{ textAlign: 'right' }}>
+                    <div style={{
+                      fontSize: '28px',
+                      fontWeight: '700',
+                      background: THEME.gradients.primary,
+                      WebkitBackgroundClip: 'text',
+                      WebkitTextFillColor: 'transparent',
+                      backgroundClip: 'text',
+                      fontFamily: 'var(--font-mono)',
+                    }}>
+                      {formatTotal(user.total)}
+                    </div>
+                    {category === 'xp' && (
+                      <div style={{ fontSize: '11px', color: THEME.textLight, fontWeight: '600' }}>XP</div>
+                    )}
+                    {index > 0 && leaderboard[index - 1] && (
+                      <div style={{
+                        fontSize: '11px',
+                        color: THEME.textLight,
+                        marginTop: '2px',
+                      }}>
+                        -{formatTotal(leaderboard[index - 1].total - user.total)} behind
+                      </div>
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ========================================
+// HISTORY VIEW COMPONENT
+// ========================================
+
+// CSV per dataset, or every dataset as one Excel workbook
+function ReportExportButtons({ onExport, theme }) {
+  const THEME = theme;
+  const buttonStyle = {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '10px 14px',
+    background: THEME.secondary,
+    border: 'none',
+    borderRadius: '8px',
+    color: THEME.text,
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+      {REPORT_DATASETS.map(dataset => (
+        <button
+          key={dataset.id}
+          onClick={() => onExport('csv', dataset.id)}
+          style={buttonStyle}
+        >
+          <FileDown size={16} />
+          {dataset.label} CSV
+        </button>
+      ))}
+      <button
+        onClick={() => onExport('xlsx')}
+        style={{ ...buttonStyle, background: THEME.gradients.success, color: THEME.white }}
+      >
+        <Download size={16} />
+        Excel Workbook
+      </button>
+    </div>
+  );
+}
+
+function HistoryView({ currentUser, users, dailyLogs, categories, onExportReport, theme }) {
+  const THEME = theme;
+  const [timeRange, setTimeRange] = useState('week');
+  const [customStartDate, setCustomStartDate] = useState('');
+  const [customEndDate, setCustomEndDate] = useState('');
+  const [selectedUserId, setSelectedUserId] = useState(currentUser?.id || '');
+  const [selectedCategory, setSelectedCategory] = useState('all');
+
+  const isManager = currentUser?.role === 'manager';
+
+  // Calculate date range based on selected time range
+  const getDateRange = useCallback(() => {
+    let startDate, endDate;
+
+    switch (timeRange) {
+      case 'today':
+        startDate = endDate = getToday();
+        break;
+      case 'week':
+        startDate = getWeekStart();
+        endDate = getToday();
+        break;
+      case 'month':
+        startDate = getMonthStart();
+        endDate = getToday();
+        break;
+      case 'custom':
+        startDate = customStartDate || getToday();
+        endDate = customEndDate || getToday();
+        break;
+      default:
+        startDate = getWeekStart();
+        endDate = getToday();
+    }
+
+    return { startDate, endDate };
+  }, [timeRange, customStartDate, customEndDate]);
+
+  // Get data for selected user and date range
+  const historyData = useMemo(() => {
+    const { startDate, endDate } = getDateRange();
+    const userId = isManager && selectedUserId === 'all' ? null : (selectedUserId || currentUser?.id);
+
+    // Logs and goals of the selected user, or of the whole team (managers only)
+    const selectedUsers = userId ? users.filter(u => u.id === userId) : users;
+    const goals = getCategoryCounts({}, categories);
+    selectedUsers.forEach(user => {
+      categories.forEach(category => {
+        goals[category.id] += user.goals?.[category.id] || 0;
+      });
+    });
+
+    return eachDayInRange(startDate, endDate).map(date => {
+      const userLogs = userId ? [dailyLogs[date]?.[userId]] : Object.values(dailyLogs[date] || {});
+      const counts = getCategoryCounts({}, categories);
+      let total = 0;
+
+      userLogs.filter(Boolean).forEach(userLog => {
+        categories.forEach(category => {
+          counts[category.id] += userLog[category.id] || 0;
+        });
+        total += sumCategoryCounts(userLog);
+      });
+
+      const dayGoals = categories.filter(category => goals[category.id] > 0);
+
+      return {
+        date,
+        counts,
+        goals,
+        total,
+        goalsTotal: sumCategoryCounts(goals),
+        goalsMet: dayGoals.length > 0 && dayGoals.every(category => counts[category.id] >= goals[category.id]),
+      };
+    }).reverse(); // Most recent first for the list
+  }, [dailyLogs, users, currentUser, selectedUserId, isManager, getDateRange, categories]);
+
+  // Chart data (chronological order for chart)
+  const chartData = useMemo(() => {
+    return [...historyData].reverse().map(day => ({
+      date: formatDate(day.date),
+      ...Object.fromEntries(categories.map(category => [category.name, day.counts[category.id]])),
+    }));
+  }, [historyData, categories]);
+
+  // Period summary statistics
+  const periodStats = useMemo(() => {
+    const totalActivities = historyData.reduce((sum, day) => sum + day.total, 0);
+    const goalsMetCount = historyData.filter(day => day.goalsMet).length;
+    const totalDays = historyData.length;
+
+    let bestDay = null;
+    let bestDayTotal = 0;
+    historyData.forEach(day => {
+      if (day.total > bestDayTotal) {
+        bestDayTotal = day.total;
+        bestDay = day.date;
+      }
+    });
+
+    const avgPerDay = totalDays > 0 ? (totalActivities / totalDays).toFixed(1) : 0;
+
+    return {
+      totalActivities,
+      goalsMetCount,
+      totalDays,
+      bestDay,
+      bestDayTotal,
+      avgPerDay,
+    };
+  }, [historyData]);
+
+  // Navigate to previous/next period
+  const navigatePeriod = (direction) => {
+    const { startDate, endDate } = getDateRange();
+    const diff = daysBetween(startDate, endDate) * (direction === 'prev' ? -1 : 1);
+
+    setCustomStartDate(addDays(startDate, diff));
+    setCustomEndDate(addDays(endDate, diff));
+    setTimeRange('custom');
+  };
+
+  return (
+    <div>
+      <h2 style={{
+        margin: '0 0 20px 0',
+        fontSize: '24px',
+        fontWeight: '700',
+        color: THEME.text,
+        fontFamily: 'var(--font-display)',
+      }}>
+        Activity History
+      </h2>
+
+      {/* Time Range Selector */}
+      <div style={{
+        background: THEME.white,
+        borderRadius: '16px',
+        padding: '20px',
+        marginBottom: '20px',
+        boxShadow: THEME.shadows.md,
+      }}>
+        <div style={{ marginBottom: '16px' }}>
+          <div style={{
+            display: 'flex',
+            gap: '8px',
+            marginBottom: '16px',
+            flexWrap: 'wrap',
+          }}>
+            {['today', 'week', 'month', 'custom'].map(range => (
+              <button
+                key={range}
+                onClick={() => setTimeRange(range)}
+                style={{
+                  flex: range === 'custom' ? '0 0 auto' : 1,
+                  padding: '12px 16px',
+                  background: timeRange === range ? THEME.gradients.primary : THEME.secondary,
+                  border: 'none',
+                  borderRadius: '10px',
+                  color: timeRange === range ? THEME.white : THEME.text,
+                  fontSize: '14px',
+                  fontWeight: '600',
+                  cursor: 'pointer',
+                  transition: 'all 0.2s ease',
+                  boxShadow: timeRange === range ? THEME.shadows.md : 'none',
+                }}
+              >
+                {range === 'today' && 'Today'}
+                {range === 'week' && 'This Week'}
+                {range === 'month' && 'This Month'}
+                {range === 'custom' && 'Custom'}
+              </button>
+            ))}
+          </div>
+
+          {timeRange === 'custom' && (
+            <div style={{
+              display: 'flex',
+              gap: '12px',
+              alignItems: 'center',
+              flexWrap: 'wrap',
+            }}>
+              <div style={{ flex: 1, minWidth: '120px' }}>
+                <label style={{
+                  display: 'block',
+                  fontSize: '12px',
+                  color: THEME.textLight,
+                  marginBottom: '4px',
+                  fontWeight: '600',
+                }}>
+                  From
+                </label>
+                <input
+                  type="date"
+                  value={customStartDate}
+                  onChange={(e) => setCustomStartDate(e.target.value)}
+                  max={getToday()}
+                  style={{
+                    width: '100%',
+                    padding: '10px',
+                    border: `1px solid ${THEME.border}`,
+                    borderRadius: '8px',
+                    fontSize: '14px',
+                  }}
+                />
+              </div>
+              <div style={{ flex: 1, minWidth: '120px' }}>
+                <label style={{
+                  display: 'block',
+                  fontSize: '12px',
+                  color: THEME.textLight,
+                  marginBottom: '4px',
+                  fontWeight: '600',
+                }}>
+                  To
+                </label>
+                <input
+                  type="date"
+                  value={customEndDate}
+                  onChange={(e) => setCustomEndDate(e.target.value)}
+                  max={getToday()}
+                  style={{
+                    width: '100%',
+                    padding: '10px',
+                    border: `1px solid ${THEME.border}`,
+                    borderRadius: '8px',
+                    fontSize: '14px',
+                  }}
+                />
+              </div>
+            </div>
+          )}
+
+          {/* Previous/Next Navigation */}
+          <div style={{
+            display: 'flex',
+            gap: '8px',
+            marginTop: '12px',
+          }}>
+            <button
+              onClick={() => navigatePeriod('prev')}
+              style={{
+                flex: 1,
+                padding: '10px',
+                background: THEME.secondary,
+                border: 'none',
+                borderRadius: '8px',
+                color: THEME.text,
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: 'pointer',
+                transition: 'all 0.2s ease',
+              }}
+            >
+              ← Previous
+            </button>
+            <button
+              onClick={() => navigatePeriod('next')}
+              disabled={getDateRange().endDate >= getToday()}
+              style={{
+                flex: 1,
+                padding: '10px',
+                background: getDateRange().endDate >= getToday() ? THEME.border : THEME.secondary,
+                border: 'none',
+                borderRadius: '8px',
+                color: getDateRange().endDate >= getToday() ? THEME.textLight : THEME.text,
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: getDateRange().endDate >= getToday() ? 'not-allowed' : 'pointer',
+                transition: 'all 0.2s ease',
+              }}
+            >
+              Next →
+            </button>
+          </div>
+        </div>
+
+        {/* User Filter (Manager only) */}
+        {isManager && (
+          <div style={{ marginBottom: '16px' }}>
+            <label style={{
+              display: 'block',
+              fontSize: '12px',
+              color: THEME.textLight,
+              marginBottom: '8px',
+              fontWeight: '600',
+            }}>
+              View Data For
+            </label>
+            <select
+              value={selectedUserId}
+              onChange={(e) => setSelectedUserId(e.target.value)}
+              style={{
+                width: '100%',
+                padding: '12px',
+                border: `1px solid ${THEME.border}`,
+                borderRadius: '10px',
+                fontSize: '14px',
+                fontWeight: '600',
+                background: THEME.white,
+                cursor: 'pointer',
+              }}
+            >
+              <option value="all">All Team</option>
+              {users.filter(u => u.role !== 'manager').map(user => (
+                <option key={user.id} value={user.id}>{user.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {/* Category Filter */}
+        <div>
+          <label style={{
+            display: 'block',
+            fontSize: '12px',
+            color: THEME.textLight,
+            marginBottom: '8px',
+            fontWeight: '600',
+          }}>
+            Filter by Category
+          </label>
+          <div style={{
+            display: 'flex',
+            gap: '8px',
+            flexWrap: 'wrap',
+          }}>
+            {['all', ...categories.map(c => c.id)].map(cat => (
+              <button
+                key={cat}
+                onClick={() => setSelectedCategory(cat)}
+                style={{
+                  flex: 1,
+                  minWidth: '70px',
+                  padding: '10px 12px',
+                  background: selectedCategory === cat ? THEME.gradients.primary : THEME.secondary,
+                  border: 'none',
+                  borderRadius: '8px',
+                  color: selectedCategory === cat ? THEME.white : THEME.text,
+                  fontSize: '13px',
+                  fontWeight: '600',
+                  cursor: 'pointer',
+                  transition: 'all 0.2s ease',
+                  boxShadow: selectedCategory === cat ? THEME.shadows.sm : 'none',
+                }}
+              >
+                {categories.find(c => c.id === cat)?.name || 'All'}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Spreadsheet Export */}
+        <div style={{ marginTop: '16px' }}>
+          <label style={{
+            display: 'block',
+            fontSize: '12px',
+            color: THEME.textLight,
+            marginBottom: '8px',
+            fontWeight: '600',
+          }}>
+            Export This Period
+          </label>
+          <ReportExportButtons
+            onExport={(format, dataset) => onExportReport({
+              format,
+              dataset,
+              ...getDateRange(),
+              userId: isManager ? selectedUserId : currentUser?.id,
+            })}
+            theme={THEME}
+          />
+        </div>
+      </div>
+
+      {/* Period Summary Card */}
+      <div style={{
+        background: THEME.white,
+        borderRadius: '16px',
+        padding: '24px',
+        marginBottom: '20px',
+        boxShadow: THEME.shadows.md,
+      }}>
+        <h3 style={{
+          margin: '0 0 20px 0',
+          fontSize: '18px',
+          fontWeight: '700',
+          color: THEME.text,
+          fontFamily: 'var(--font-display)',
+        }}>
+          Period Summary
+        </h3>
+
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))',
+          gap: '16px',
+        }}>
+          <div style={{
+            background: THEME.gradients.background,
+            borderRadius: '12px',
+            padding: '16px',
+            textAlign: 'center',
+          }}>
+            <div style={{
+              fontSize: '28px',
+              fontWeight: '700',
+              background: THEME.gradients.primary,
+              WebkitBackgroundClip: 'text',
+              WebkitTextFillColor: 'transparent',
+              backgroundClip: 'text',
+              fontFamily: 'var(--font-mono)',
+              marginBottom: '4px',
+            }}>
+              {periodStats.totalActivities}
+            </div>
+            <div style={{ fontSize: '12px', color: THEME.textLight, fontWeight: '600' }}>
+              Total Activities
+            </div>
+          </div>
+
+          <div style={{
+            background: THEME.gradients.background,
+            borderRadius: '12px',
+            padding: '16px',
+            textAlign: 'center',
+          }}>
+            <div style={{
+              fontSize: '28px',
+              fontWeight: '700',
+              background: THEME.gradients.success,
+              WebkitBackgroundClip: 'text',
+              WebkitTextFillColor: 'transparent',
+              backgroundClip: 'text',
+              fontFamily: 'var(--font-mono)',
+              marginBottom: '4px',
+            }}>
+              {periodStats.goalsMetCount}/{periodStats.totalDays}
+            </div>
+            <div style={{ fontSize: '12px', color: THEME.textLight, fontWeight: '600' }}>
+              Goals Met
+            </div>
+          </div>
+
+          <div style={{
+            background: THEME.gradients.background,
+            borderRadius: '12px',
+            padding: '16px',
+            textAlign: 'center',
+          }}>
+            <div style={{
+              fontSize: '28px',
+              fontWeight: '700',
+              background: THEME.gradients.warning,
+              WebkitBackgroundClip: 'text',
+              WebkitTextFillColor: 'transparent',
+              backgroundClip: 'text',
+              fontFamily: 'var(--font-mono)',
+              marginBottom: '4px',
+            }}>
+              {periodStats.avgPerDay}
+            </div>
+            <div style={{ fontSize: '12px', color: THEME.textLight, fontWeight: '600' }}>
+              Avg per Day
+            </div>
+          </div>
+
+          <div style={{
+            background: THEME.gradients.background,
+            borderRadius: '12px',
+            padding: '16px',
+            textAlign: 'center',
+          }}>
+            <div style={{
+              fontSize: '28px',
+              fontWeight: '700',
+              background: THEME.gradients.gold,
+              WebkitBackgroundClip: 'text',
+              WebkitTextFillColor: 'transparent',
+              backgroundClip: 'text',
+              fontFamily: 'var(--font-mono)',
+              marginBottom: '4px',
+            }}>
+              {periodStats.bestDayTotal}
+            </div>
+            <div style={{ fontSize: '12px', color: THEME.textLight, fontWeight: '600' }}>
+              Best Day
+            </div>
+            {periodStats.bestDay && (
+              <div style={{ fontSize: '10px', color: THEME.textLight, marginTop: '2px' }}>
+                {formatDate(periodStats.bestDay)}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* Trend Chart */}
+      <div style={{
+        background: THEME.white,
+        borderRadius: '16px',
+        padding: '24px',
+        marginBottom: '20px',
+        boxShadow: THEME.shadows.md,
+      }}>
+        <h3 style={{
+          margin: '0 0 20px 0',
+          fontSize: '18px',
+          fontWeight: '700',
+          color: THEME.text,
+          fontFamily: 'var(--font-display)',
+        }}>
+          Trend Over Time
+        </h3>
+
+        {chartData.length > 0 ? (
+          <ResponsiveContainer width="100%" height={300}>
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke={THEME.border} />
+              <XAxis
+                dataKey="date"
+                tick={{ fontSize: 11, fill: THEME.textLight }}
+                angle={-45}
+                textAnchor="end"
+                height={80}
+              />
+              <YAxis tick={{ fontSize: 12, fill: THEME.textLight }} />
+              <Tooltip
+                contentStyle={{
+                  background: THEME.white,
+                  border: `1px solid ${THEME.border}`,
+                  borderRadius: '8px',
+                  boxShadow: THEME.shadows.md,
+                }}
+              />
+              <Legend
+                wrapperStyle={{ paddingTop: '20px' }}
+                iconType="line"
+              />
+              {categories
+                .filter(category => selectedCategory === 'all' || selectedCategory === category.id)
+                .map(category => (
+                  <Line
+                    key={category.id}
+                    type="monotone"
+                    dataKey={category.name}
+                    stroke={category.color}
+                    strokeWidth={2}
+                    dot={{ fill: category.color, r: 4 }}
+                    activeDot={{ r: 6 }}
+                  />
+                ))}
+            </LineChart>
+          </ResponsiveContainer>
+        ) : (
+          <div style={{
+            textAlign: 'center',
+            padding: '60px 20px',
+            color: THEME.textLight,
+          }}>
+            <div style={{ fontSize: '48px', marginBottom: '16px' }}>📊</div>
+            <div style={{ fontSize: '16px', fontWeight: '600', color: THEME.text }}>
+              No data available
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Day-by-Day List */}
+      <div>
+        <h3 style={{
+          margin: '0 0 16px 0',
+          fontSize: '18px',
+          fontWeight: '700',
+          color: THEME.text,
+          fontFamily: 'var(--font-display)',
+        }}>
+          Day-by-Day Breakdown
+        </h3>
+
+        {historyData.length > 0 ? (
+          <div style={{ display: 'grid', gap: '12px' }}>
+            {historyData.map((day, index) => {
+              const dayOfWeek = getDayName(day.date).slice(0, 3);
+              const hasActivity = day.total > 0;
+
+              return (
+                <div
+                  key={day.date}
+                  style={{
+                    background: THEME.white,
+                    borderRadius: '16px',
+                    padding: '20px',
+                    boxShadow: THEME.shadows.md,
+                    border: day.goalsMet ? `2px solid ${THEME.success}` : 'none',
+                    animation: `fadeInUp 0.3s ease-out ${index * 0.05}s both`,
+                    opacity: hasActivity ? 1 : 0.6,
+                  }}
+                >
+                  <div style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    marginBottom: '16px',
+                  }}>
+                    <div>
+                      <div style={{
+                        fontSize: '16px',
+                        fontWeight: '700',
+                        color: THEME.text,
+                        fontFamily: 'var(--font-display)',
+                      }}>
+                        {formatDate(day.date)}
+                      </div>
+                      <div style={{
+                        fontSize: '12px',
+                        color: THEME.textLight,
+                        fontWeight: '600',
+                      }}>
+                        {dayOfWeek}
+                      </div>
+                    </div>
+
+                    {day.goalsMet && (
+                      <div style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        gap: '8px',
+                        padding: '8px 12px',
+                        background: THEME.gradients.success,
+                        borderRadius: '8px',
+                        color: THEME.white,
+                        fontSize: '12px',
+                        fontWeight: '700',
+                      }}>
+                        <span>★</span>
+                        Goals Met
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Category Breakdown */}
+                  <div style={{ display: 'grid', gap: '12px' }}>
+                    {categories
+                      .filter(category => selectedCategory === 'all' || selectedCategory === category.id)
+                      .map(category => {
+                        const count = day.counts[category.id];
+                        const goal = day.goals[category.id];
+                        const isMet = goal > 0 && count >= goal;
+
+                        return (
+                          <div key={category.id}>
+                            <div style={{
+                              display: 'flex',
+                              justifyContent: 'space-between',
+                              marginBottom: '6px',
+                            }}>
+                              <span style={{
+                                fontSize: '13px',
+                                fontWeight: '600',
+                                color: THEME.text,
+                              }}>
+                                {category.name}
+                              </span>
+                              <span style={{
+                                fontSize: '13px',
+                                fontWeight: '700',
+                                color: goal > 0 ? (isMet ? THEME.success : THEME.danger) : THEME.text,
+                              }}>
+                                {goal > 0 ? `${count} / ${goal}` : count}
+                              </span>
+                            </div>
+                            <div style={{
+                              height: '8px',
+                              background: THEME.secondary,
+                              borderRadius: '4px',
+                              overflow: 'hidden',
+                            }}>
+                              <div style={{
+                                height: '100%',
+                                width: `${goal > 0 ? Math.min((count / goal) * 100, 100) : 0}%`,
+                                background: isMet ? THEME.gradients.success : getCategoryGradient(category, THEME),
+                                transition: 'width 0.3s ease',
+                                borderRadius: '4px',
+                              }} />
+                            </div>
+                          </div>
+                        );
+                      })}
+                  </div>
+
+                  {!hasActivity && (
+                    <div style={{
+                      marginTop: '12px',
+                      padding: '12px',
+                      background: THEME.secondary,
+                      borderRadius: '8px',
+                      textAlign: 'center',
+                      fontSize: '12px',
+                      color: THEME.textLight,
+                      fontStyle: 'italic',
+                    }}>
+                      No activity recorded
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        ) : (
+          <div style={{
+            background: THEME.white,
+            borderRadius: '16px',
+            padding: '60px 20px',
+            textAlign: 'center',
+            color: THEME.textLight,
+            boxShadow: THEME.shadows.md,
+          }}>
+            <div style={{ fontSize: '48px', marginBottom: '16px' }}>📅</div>
+            <div style={{
+              fontSize: '18px',
+              fontWeight: '600',
+              color: THEME.text,
+              marginBottom: '8px',
+              fontFamily: 'var(--font-display)',
+            }}>
+              No activity in this period
+            </div>
+            <div style={{ fontSize: '14px', color: THEME.textLight }}>
+              Try selecting a different time range
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ========================================
+// ACTIVE USERS LIST COMPONENT
+// ========================================
+
+function ActiveUsersList({ activeUsers, currentUser, theme }) {
+  const THEME = theme;
+  return (
+    <div style={{
+      background: THEME.white,
+      borderRadius: '12px',
+      padding: '16px',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+    }}>
+      <div style={{ 
+        display: 'flex', 
+        alignItems: 'center', 
+        gap: '8px', 
+        marginBottom: '12px' 
+      }}>
+        <Users size={20} color={THEME.primary} />
+        <h3 style={{ margin: 0, fontSize: '16px', fontWeight: '600', color: THEME.text }}>
+          Active Users ({activeUsers.length})
+        </h3>
+      </div>
+      {activeUsers.length === 0 ? (
+        <div style={{
+          padding: '20px',
+          textAlign: 'center',
+          color: THEME.textLight,
+          fontSize: '14px',
+        }}>
+          No other users online
+        </div>
+      ) : (
+        <div style={{ display: 'grid', gap: '8px' }}>
+          {activeUsers.map(user => (
+            <div key={user.userId} style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '12px',
+              padding: '8px',
+              background: user.userId === currentUser?.id ? THEME.accent : THEME.secondary,
+              borderRadius: '8px',
+            }}>
+              <div style={{
+                width: '32px',
+                height: '32px',
+                borderRadius: '50%',
+                background: THEME.primary,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                color: THEME.white,
+                fontSize: '12px',
+                fontWeight: '600',
+              }}>
+                {user.userName?.[0]?.toUpperCase() || '?'}
+              </div>
+              <div style={{ flex: 1 }}>
+                <div style={{ fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+                  {user.userName}
+                  {user.userId === currentUser?.id && ' (You)'}
+                </div>
+                <div style={{ fontSize: '12px', color: THEME.textLight }}>
+                  {user.userRole === 'manager' ? '👔 Manager' : '👤 Employee'}
+                </div>
+              </div>
+              <div style={{
+                width: '8px',
+                height: '8px',
+                borderRadius: '50%',
+                background: THEME.success,
+              }} />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ========================================
+// CHATBOT COMPONENT WITH VOICE CHAT
+// ========================================
+
+/**
+ * Format markdown text to JSX elements
+ * Handles: **bold**, *italic*, `code`, ## headers
+ */
+const formatMarkdown = (text) => {
+  if (!text || typeof text !== 'string') return text;
+
+  // Process line by line to handle headers
+  const lines = text.split('\n');
+  
+  return lines.map((line, lineIndex) => {
+    if (!line.trim()) return <br key={`line-${lineIndex}`} />;
+
+    // Check for headers
+    if (line.startsWith('### ')) {
+      return <h3 key={`line-${lineIndex}`} style={{ fontSize: '16px', fontWeight: '600', marginTop: '8px', marginBottom: '4px' }}>{formatInlineMarkdown(line.substring(4))}</h3>;
+    }
+    if (line.startsWith('## ')) {
+      return <h2 key={`line-${lineIndex}`} style={{ fontSize: '18px', fontWeight: '700', marginTop: '10px', marginBottom: '6px' }}>{formatInlineMarkdown(line.substring(3))}</h2>;
+    }
+    if (line.startsWith('# ')) {
+      return <h1 key={`line-${lineIndex}`} style={{ fontSize: '20px', fontWeight: '700', marginTop: '12px', marginBottom: '8px' }}>{formatInlineMarkdown(line.substring(2))}</h1>;
+    }
+
+    // Regular line with inline formatting
+    return <div key={`line-${lineIndex}`}>{formatInlineMarkdown(line)}</div>;
+  });
+};
+
+/**
+ * Format inline markdown: **bold**, *italic*, `code`
+ */
+const formatInlineMarkdown = (text) => {
+  if (!text) return text;
+
+  const parts = [];
+  let remaining = text;
+  let key = 0;
+
+  while (remaining.length > 0) {
+    // Find the earliest markdown pattern
+    let minIndex = Infinity;
+    let match = null;
+    let type = null;
+
+    // Check for **bold**
+    const boldMatch = remaining.match(/\*\*(.+?)\*\*/);
+    if (boldMatch && boldMatch.index < minIndex) {
+      minIndex = boldMatch.index;
+      match = boldMatch;
+      type = 'bold';
+    }
+
+    // Check for *italic* (not **)
+    const italicMatch = remaining.match(/(?<!\*)\*([^*]+?)\*(?!\*)/);
+    if (italicMatch && italicMatch.index < minIndex) {
+      minIndex = italicMatch.index;
+      match = italicMatch;
+      type = 'italic';
+    }
+
+    // Check for `code`
+    const codeMatch = remaining.match(/`([^`]+?)`/);
+    if (codeMatch && codeMatch.index < minIndex) {
+      minIndex = codeMatch.index;
+      match = codeMatch;
+      type = 'code';
+    }
+
+    if (match && type) {
+      // Add text before match
+      if (minIndex > 0) {
+        parts.push(remaining.substring(0, minIndex));
+      }
+
+      // Add formatted match
+      if (type === 'bold') {
+        parts.push(<strong key={key++}>{match[1]}</strong>);
+      } else if (type === 'italic') {
+        parts.push(<em key={key++}>{match[1]}</em>);
+      } else if (type === 'code') {
+        parts.push(<code key={key++} style={{ fontFamily: 'monospace', background: 'rgba(0,0,0,0.1)', padding: '2px 4px', borderRadius: '3px' }}>{match[1]}</code>);
+      }
+
+      // Update remaining
+      remaining = remaining.substring(minIndex + match[0].length);
+    } else {
+      // No more matches, add remaining text
+      parts.push(remaining);
+      break;
+    }
+  }
+
+  return parts.length > 0 ? parts : text;
+};
+
+function Chatbot({ currentUser, todayStats, weekStats, categories, onIncrement, appSettings, setAppSettings, theme, onRefreshData }) {
+  const THEME = theme;
+  const [messages, setMessages] = useState([
+    {
+      id: 'welcome',
+      role: 'assistant',
+      content: isAIConfigured()
+        ? "Hi! I'm your AI coach. I can help you with your goals, answer questions about the app, and provide motivation. What would you like to know?"
+        : "AI chatbot is not configured. Please add your API key in Settings to enable AI features.",
+      timestamp: Date.now(),
+    },
+  ]);
+  const [input, setInput] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [remainingRequests, setRemainingRequests] = useState(getRemainingRequests());
+  // eslint-disable-next-line no-unused-vars
+  const [selectedModel, setSelectedModel] = useState(DEFAULT_MODEL);
+  const [currentSessionId, setCurrentSessionId] = useState(null);
+  const [chatSessions, setChatSessions] = useState([]);
+  // eslint-disable-next-line no-unused-vars
+  const [chatMode, setChatMode] = useState('text'); // 'text' or 'voice' - kept for internal state tracking
+  const [voiceStatus, setVoiceStatus] = useState('disconnected'); // 'disconnected', 'connecting', 'connected', 'ready', 'listening', 'processing'
+  const [audioLevel, setAudioLevel] = useState(0);
+  const [voiceError, setVoiceError] = useState(null);
+  // eslint-disable-next-line no-unused-vars
+  const [isVoiceRecording, setIsVoiceRecording] = useState(false);
+  const [showChatSettings, setShowChatSettings] = useState(false);
+  const messagesEndRef = useRef(null);
+  const saveDebounceRef = useRef(null);
+  const voiceSessionRef = useRef(null);
+
+  // Load saved model preference
+  useEffect(() => {
+    const loadModelPreference = async () => {
+      try {
+        const savedModel = await storage.get(`aiModel_${currentUser?.id}`, DEFAULT_MODEL);
+        if (AVAILABLE_MODELS.find(m => m.value === savedModel)) {
+          setSelectedModel(savedModel);
+        }
+      } catch (error) {
+        console.error('Failed to load model preference:', error);
+      }
+    };
+    if (currentUser) {
+      loadModelPreference();
+    }
+  }, [currentUser]);
+
+  // Chat persistence: Load chat sessions and current session
+  useEffect(() => {
+    const loadChatHistory = async () => {
+      if (!currentUser) return;
+
+      try {
+        const userId = currentUser.id;
+        
+        // Load chat sessions list
+        const sessions = await storage.get(`chatSessions_${userId}`, []);
+        setChatSessions(sessions);
+
+        // Load current session or create new one
+        const currentSession = sessions.length > 0 ? sessions[0] : null;
+        
+        if (currentSession) {
+          // Load messages for current session
+          const sessionMessages = await storage.get(`chatMessages_${userId}_${currentSession.id}`, null);
+          if (sessionMessages && sessionMessages.length > 0) {
+            setMessages(sessionMessages);
+            setCurrentSessionId(currentSession.id);
+          } else {
+            // Create new session if messages are missing
+            await createNewSession(userId);
+          }
+        } else {
+          // Create new session if none exist
+          await createNewSession(userId);
+        }
+      } catch (error) {
+        console.error('Failed to load chat history:', error);
+        // On error, create new session
+        if (currentUser) {
+          await createNewSession(currentUser.id);
+        }
+      }
+    };
+
+    loadChatHistory();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentUser?.id]);
+
+  // Helper function to create new chat session
+  const createNewSession = useCallback(async (userId) => {
+    const sessionId = `session_${Date.now()}`;
+    const newSession = {
+      id: sessionId,
+      title: 'New Chat',
+      createdAt: Date.now(),
+      lastMessageAt: Date.now(),
+      messageCount: 1,
+      chatMode: 'text'
+    };
+
+    const welcomeMessage = {
+      id: 'welcome',
+      role: 'assistant',
+      content: isAIConfigured() 
+        ? "Hi! I'm your AI coach. I can help you with your goals, answer questions about the app, and provide motivation. What would you like to know?"
+        : "AI chatbot is not configured. Please add REACT_APP_GEMINI_API_KEY to enable AI features.",
+      timestamp: Date.now(),
+    };
+
+    const sessions = await storage.get(`chatSessions_${userId}`, []);
+    const updatedSessions = [newSession, ...sessions];
+    await storage.set(`chatSessions_${userId}`, updatedSessions);
+
+    await storage.set(`chatMessages_${userId}_${sessionId}`, [welcomeMessage]);
+
+    setCurrentSessionId(sessionId);
+    setChatSessions(updatedSessions);
+    setMessages([welcomeMessage]);
+  }, []); // React state setters are stable, isAIConfigured is imported function
+
+  // Helper function to save messages to storage
+  const saveMessages = useCallback(async (messagesToSave, sessionId, userId) => {
+    if (!sessionId || !userId || !messagesToSave || messagesToSave.length === 0) return;
+
+    try {
+      // Save messages
+      await storage.set(`chatMessages_${userId}_${sessionId}`, messagesToSave);
+
+      // Update session metadata
+      const sessions = await storage.get(`chatSessions_${userId}`, []);
+      const sessionIndex = sessions.findIndex(s => s.id === sessionId);
+      
+      if (sessionIndex >= 0) {
+        const session = sessions[sessionIndex];
+        const firstUserMessage = messagesToSave.find(m => m.role === 'user');
+        const title = firstUserMessage 
+          ? (firstUserMessage.content.substring(0, 50) + (firstUserMessage.content.length > 50 ? '...' : ''))
+          : 'New Chat';
+
+        sessions[sessionIndex] = {
+          ...session,
+          title,
+          lastMessageAt: Date.now(),
+          messageCount: messagesToSave.length
+        };
+
+        // Move updated session to top
+        const updatedSession = sessions.splice(sessionIndex, 1)[0];
+        sessions.unshift(updatedSession);
+
+        await storage.set(`chatSessions_${userId}`, sessions);
+        setChatSessions(sessions);
+      }
+    } catch (error) {
+      console.error('Failed to save messages:', error);
+    }
+  }, []);
+
+  // Auto-save messages with debouncing for assistant messages
+  useEffect(() => {
+    if (!currentUser || !currentSessionId || messages.length === 0) return;
+
+    // Clear existing debounce
+    if (saveDebounceRef.current) {
+      clearTimeout(saveDebounceRef.current);
+    }
+
+    // Save immediately for user messages, debounce for assistant messages
+    const lastMessage = messages[messages.length - 1];
+    const isUserMessage = lastMessage && lastMessage.role === 'user';
+
+    if (isUserMessage) {
+      // Save immediately on user message
+      saveMessages(messages, currentSessionId, currentUser.id);
+    } else {
+      // Debounce assistant messages (save after 1s of no new messages)
+      saveDebounceRef.current = setTimeout(() => {
+        saveMessages(messages, currentSessionId, currentUser.id);
+      }, 1000);
+    }
+
+    // Cleanup on unmount
+    return () => {
+      if (saveDebounceRef.current) {
+        clearTimeout(saveDebounceRef.current);
+      }
+    };
+  }, [messages, currentSessionId, currentUser, saveMessages]);
+
+  // Delete a specific chat session
+  const deleteSession = useCallback(async (sessionId) => {
+    if (!currentUser || !sessionId) return;
+    
+    if (!window.confirm('Delete this conversation? This action cannot be undone.')) {
+      return;
+    }
+
+    try {
+      const userId = currentUser.id;
+      
+      // Delete messages for this session from IndexedDB
+      await storage.delete(`chatMessages_${userId}_${sessionId}`);
+      
+      // Remove session from sessions list
+      const sessions = await storage.get(`chatSessions_${userId}`, []);
+      const updatedSessions = sessions.filter(s => s.id !== sessionId);
+      await storage.set(`chatSessions_${userId}`, updatedSessions);
+      
+      setChatSessions(updatedSessions);
+      
+      // If deleted session was current, switch to another or create new
+      if (currentSessionId === sessionId) {
+        if (updatedSessions.length > 0) {
+          // Load the first available session
+          const firstSession = updatedSessions[0];
+          const sessionMessages = await storage.get(`chatMessages_${userId}_${firstSession.id}`, []);
+          setMessages(sessionMessages || []);
+          setCurrentSessionId(firstSession.id);
+        } else {
+          // No sessions left, create a new one
+          await createNewSession(userId);
+        }
+      }
+      
+      // Show success message if we have a way to show toasts
+      // Note: showToast might not be available in Chatbot component scope
+      console.log('Session deleted successfully');
+    } catch (error) {
+      console.error('Failed to delete session:', error);
+      alert('Failed to delete conversation. Please try again.');
+    }
+  }, [currentUser, currentSessionId, createNewSession]);
+
+  // Delete all conversations for current user
+  const deleteAllConversations = useCallback(async () => {
+    if (!currentUser) return;
+    
+    if (!window.confirm('Delete ALL conversation history? This action cannot be undone.')) {
+      return;
+    }
+
+    try {
+      const userId = currentUser.id;
+      
+      // Get all sessions to delete their messages
+      const sessions = await storage.get(`chatSessions_${userId}`, []);
+      
+      // Delete all message storage keys
+      for (const session of sessions) {
+        await storage.delete(`chatMessages_${userId}_${session.id}`);
+      }
+      
+      // Delete sessions list
+      await storage.delete(`chatSessions_${userId}`);
+      
+      // Clear state
+      setChatSessions([]);
+      setCurrentSessionId(null);
+      
+      // Create a new session
+      await createNewSession(userId);
+      
+      console.log('All conversations deleted successfully');
+    } catch (error) {
+      console.error('Failed to delete all conversations:', error);
+      alert('Failed to delete conversation history. Please try again.');
+    }
+  }, [currentUser, createNewSession]);
+
+  // Save model preference
+  // eslint-disable-next-line no-unused-vars
+  const saveModelPreference = async (model) => {
+    try {
+      if (currentUser) {
+        await storage.set(`aiModel_${currentUser.id}`, model);
+      }
+    } catch (error) {
+      console.error('Failed to save model preference:', error);
+    }
+  };
+
+  const scrollToBottom = () => {
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  };
+
+  useEffect(() => {
+    scrollToBottom();
+  }, [messages]);
+
+  useEffect(() => {
+    // Update remaining requests every second
+    const interval = setInterval(() => {
+      setRemainingRequests(getRemainingRequests());
+    }, 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Cleanup voice session on unmount
+  useEffect(() => {
+    return () => {
+      if (voiceSessionRef.current) {
+        voiceSessionRef.current.disconnect();
+      }
+    };
+  }, []);
+
+  // Auto-start listening when voice session becomes ready
+  const autoStartedRef = useRef(false);
+  useEffect(() => {
+    if (voiceStatus === 'ready' && voiceSessionRef.current && !autoStartedRef.current) {
+      // Small delay to ensure connection is fully stable
+      const timer = setTimeout(async () => {
+        try {
+          await voiceSessionRef.current.startListening();
+          autoStartedRef.current = true;
+        } catch (error) {
+          console.error('Auto-start listening failed:', error);
+          setVoiceError(error.message || 'Failed to start listening');
+        }
+      }, 150);
+      return () => clearTimeout(timer);
+    }
+    // Reset auto-start flag when disconnected
+    if (voiceStatus === 'disconnected') {
+      autoStartedRef.current = false;
+    }
+  }, [voiceStatus]);
+
+  const handleSend = async () => {
+    if (!input.trim() || isLoading || !isAIConfigured()) return;
+
+    // If voice session is active, send text via Live API
+    if (voiceSessionRef.current && voiceStatus !== 'disconnected') {
+      try {
+        // If AI is speaking, interrupt it before sending text
+        if (voiceStatus === 'processing') {
+          voiceSessionRef.current.interrupt();
+          setVoiceStatus('ready');
+        }
+        
+        const userMessage = {
+          id: `user-${Date.now()}`,
+          role: 'user',
+          content: input.trim(),
+          timestamp: Date.now(),
+          isVoice: false, // Text message via voice session
+        };
+        setMessages(prev => [...prev, userMessage]);
+        setInput('');
+        voiceSessionRef.current.sendText(input.trim());
+        return;
+      } catch (error) {
+        console.error('Failed to send text via voice session:', error);
+        // Fall through to text API fallback
+      }
+    }
+
+    // Default: use text API with tools
+    const userMessage = {
+      id: `user-${Date.now()}`,
+      role: 'user',
+      content: input.trim(),
+      timestamp: Date.now(),
+    };
+
+    setMessages(prev => [...prev, userMessage]);
+    setInput('');
+    setIsLoading(true);
+
+    try {
+      // Enhanced context with refreshData callback for tools
+      const context = {
+        currentUser,
+        todayStats,
+        weekStats,
+        userGoals: currentUser?.goals,
+        categories,
+        refreshData: onRefreshData,
+      };
+
+      // Track tool calls for UI feedback
+      const handleToolCall = (toolInfo) => {
+        if (toolInfo.status === 'executing') {
+          // Add a thinking indicator message
+          setMessages(prev => {
+            // Remove any previous tool indicator
+            const filtered = prev.filter(m => !m.isToolIndicator);
+            return [...filtered, {
+              id: `tool-${Date.now()}`,
+              role: 'assistant',
+              content: `Checking ${toolInfo.name.replace(/([A-Z])/g, ' $1').toLowerCase().trim()}...`,
+              timestamp: Date.now(),
+              isToolIndicator: true,
+            }];
+          });
+        }
+      };
+
+      // Use the enhanced AI response with tools
+      const result = await getAIResponseWithTools(
+        userMessage.content,
+        context,
+        appSettings?.ai?.textModel || DEFAULT_MODEL,
+        handleToolCall
+      );
+
+      // Remove tool indicator and add final response
+      setMessages(prev => {
+        const filtered = prev.filter(m => !m.isToolIndicator);
+        return [...filtered, {
+          id: `ai-${Date.now()}`,
+          role: 'assistant',
+          content: result.text,
+          timestamp: Date.now(),
+          toolCalls: result.toolCalls?.length > 0 ? result.toolCalls : undefined,
+        }];
+      });
+
+      setRemainingRequests(getRemainingRequests());
+
+      // Refresh data if any write tools were called
+      if (result.toolCalls?.some(tc =>
+        ['logActivity', 'createAppointment', 'updateMyGoals', 'createFeedPost',
+          'incrementActivity', 'completeTask', 'createChallenge', 'updateUserGoals', 'assignGoalTemplate',
+          'createTeamAnnouncement', 'awardBonusXP', 'archiveUser', 'createReward'
+        ].includes(tc.name)
+      )) {
+        if (onRefreshData) await onRefreshData();
+      }
+    } catch (error) {
+      // Remove tool indicator on error
+      setMessages(prev => {
+        const filtered = prev.filter(m => !m.isToolIndicator);
+        return [...filtered, {
+          id: `error-${Date.now()}`,
+          role: 'assistant',
+          content: `Sorry, I encountered an error: ${error.message}`,
+          timestamp: Date.now(),
+          isError: true,
+        }];
+      });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleKeyPress = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSend();
+    }
+  };
+
+  // Load a specific chat session
+  const loadSession = async (sessionId) => {
+    if (!currentUser || !sessionId) return;
+
+    try {
+      const userId = currentUser.id;
+      const sessionMessages = await storage.get(`chatMessages_${userId}_${sessionId}`, []);
+      
+      if (sessionMessages && sessionMessages.length > 0) {
+        setMessages(sessionMessages);
+        setCurrentSessionId(sessionId);
+      }
+    } catch (error) {
+      console.error('Failed to load session:', error);
+    }
+  };
+
+  // Create new chat session
+  const handleNewChat = async () => {
+    if (!currentUser) return;
+    await createNewSession(currentUser.id);
+  };
+
+  // Voice chat handlers
+  const handleStartVoiceChat = async () => {
+    if (!isAIConfigured()) {
+      setVoiceError('Please configure your API key in Settings first.');
+      return;
+    }
+
+    if (!isVoiceChatSupported()) {
+      setVoiceError('Voice chat is not supported in this browser. Try Chrome or Edge.');
+      return;
+    }
+
+    const apiKey = getAPIKey();
+    if (!apiKey) {
+      setVoiceError('API key not found. Please configure it in Settings.');
+      return;
+    }
+
+    setVoiceError(null);
+    setVoiceStatus('connecting');
+
+    try {
+      const session = createVoiceChatSession(apiKey, {
+        model: appSettings?.ai?.voiceModel || 'gemini-2.5-flash-native-audio-preview-12-2025',
+        voice: appSettings?.ai?.voiceName || 'Puck',
+        voiceChatSettings: appSettings?.ai?.voiceChatSettings || {
+          startOfSpeechSensitivity: 'START_SENSITIVITY_UNSPECIFIED',
+          endOfSpeechSensitivity: 'END_SENSITIVITY_UNSPECIFIED',
+          silenceDurationMs: 500,
+          prefixPaddingMs: 100,
+        },
+        generationConfig: appSettings?.ai?.generationConfig || {
+          temperature: 1.0,
+          topP: 0.95,
+          topK: 40,
+          maxOutputTokens: 8192,
+          candidateCount: 1,
+          presencePenalty: 0.0,
+          frequencyPenalty: 0.0,
+        },
+        systemInstruction: getVoiceChatSystemInstruction(currentUser, todayStats, categories),
+        onStatusChange: (status) => {
+          setVoiceStatus(status);
+        },
+        onTranscript: (text, role, isStreaming = false) => {
+          setMessages(prev => {
+            const messageRole = role === 'assistant' ? 'assistant' : 'user';
+            
+            // Find the last streaming message from the same role (search backwards for efficiency)
+            let lastStreamingIndex = -1;
+            for (let i = prev.length - 1; i >= 0; i--) {
+              const msg = prev[i];
+              if (msg.role === messageRole && msg.isStreaming && msg.isVoice) {
+                lastStreamingIndex = i;
+                break;
+              }
+            }
+            
+            // If streaming and we found a matching streaming message, update it (preserve timestamp)
+            if (isStreaming && lastStreamingIndex >= 0) {
+              return prev.map((msg, idx) => 
+                idx === lastStreamingIndex 
+                  ? { ...msg, content: text } // Update content only, keep original timestamp
+                  : msg
+              );
+            }
+            
+            // If not streaming and we found a matching streaming message, finalize it (preserve timestamp and ID)
+            if (!isStreaming && lastStreamingIndex >= 0) {
+              return prev.map((msg, idx) => 
+                idx === lastStreamingIndex 
+                  ? { ...msg, content: text, isStreaming: false } // Finalize, keep original timestamp and ID
+                  : msg
+              );
+            }
+            
+            // Create new message (no matching streaming message found)
+            const newMessage = {
+              id: `${messageRole}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+              role: messageRole,
+              content: text,
+              timestamp: Date.now(),
+              isVoice: true,
+              isStreaming: isStreaming,
+            };
+            
+            // Sort messages by timestamp after adding new message
+            const updated = [...prev, newMessage];
+            return updated.sort((a, b) => a.timestamp - b.timestamp);
+          });
+        },
+        onError: (error) => {
+          setVoiceError(error);
+          setVoiceStatus('disconnected');
+        },
+        onAudioLevel: (level) => {
+          setAudioLevel(level);
+        },
+      });
+
+      voiceSessionRef.current = session;
+      await session.connect();
+      setChatMode('voice');
+    } catch (error) {
+      console.error('Failed to start voice chat:', error);
+      setVoiceError(error.message || 'Failed to connect to voice chat');
+      setVoiceStatus('disconnected');
+    }
+  };
+
+  const handleToggleListening = async () => {
+    if (!voiceSessionRef.current) return;
+
+    if (voiceStatus === 'listening') {
+      voiceSessionRef.current.stopListening();
+    } else if (voiceStatus === 'ready' || voiceStatus === 'connected') {
+      try {
+        await voiceSessionRef.current.startListening();
+      } catch (error) {
+        setVoiceError(error.message);
+      }
+    }
+  };
+
+  // eslint-disable-next-line no-unused-vars
+  const handleEndVoiceChat = () => {
+    if (voiceSessionRef.current) {
+      voiceSessionRef.current.disconnect();
+      voiceSessionRef.current = null;
+    }
+    setVoiceStatus('disconnected');
+    setChatMode('text'); // Keep for internal state tracking
+    setAudioLevel(0);
+  };
+
+  const voiceChatEnabled = appSettings?.ai?.voiceChatEnabled !== false && isVoiceChatSupported();
+
+  const getStatusText = () => {
+    switch (voiceStatus) {
+      case 'disconnected': return 'Disconnected';
+      case 'connecting': return 'Connecting...';
+      case 'connected': return 'Connected, setting up...';
+      case 'ready': return 'Ready';
+      case 'listening': return 'Listening...';
+      case 'processing': return 'AI is responding...';
+      default: return 'Disconnected';
+    }
+  };
+
+  const getStatusColor = () => {
+    switch (voiceStatus) {
+      case 'listening': return THEME.success;
+      case 'processing': return THEME.warning;
+      case 'ready': return THEME.primary;
+      default: return THEME.textLight;
+    }
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '24px', flexWrap: 'wrap', gap: '12px' }}>
+        <h2 style={{ margin: 0, fontSize: '24px', fontWeight: '700', color: THEME.text, letterSpacing: '-0.02em' }}>
+          AI Coach
+        </h2>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          {isAIConfigured() && voiceStatus === 'disconnected' && (
+            <div style={{ 
+              fontSize: '12px', 
+              color: THEME.textLight,
+              padding: '6px 12px',
+              background: THEME.secondary,
+              borderRadius: '6px',
+              fontWeight: '500'
+            }}>
+              {remainingRequests} requests/min
+            </div>
+          )}
+          <div style={{ 
+            fontSize: '12px', 
+            color: getStatusColor(), 
+            fontWeight: '600',
+            padding: '6px 12px',
+            background: voiceStatus === 'disconnected' ? 'rgba(108, 117, 125, 0.1)' : voiceStatus === 'listening' ? 'rgba(40, 167, 69, 0.1)' : voiceStatus === 'processing' ? 'rgba(255, 193, 7, 0.1)' : 'rgba(0, 123, 255, 0.1)',
+            borderRadius: '6px',
+            transition: 'all 0.2s ease'
+          }}>
+            {getStatusText()}
+          </div>
+          <button
+            onClick={() => setShowChatSettings(!showChatSettings)}
+            style={{
+              padding: '8px 10px',
+              background: showChatSettings ? THEME.primary : THEME.secondary,
+              color: showChatSettings ? THEME.white : THEME.text,
+              border: 'none',
+              borderRadius: '6px',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '6px',
+              fontSize: '13px',
+              fontWeight: '500',
+              transition: 'all 0.2s ease',
+            }}
+            onMouseEnter={(e) => {
+              if (!showChatSettings) {
+                e.currentTarget.style.background = 'rgba(0, 123, 255, 0.1)';
+              }
+            }}
+            onMouseLeave={(e) => {
+              if (!showChatSettings) {
+                e.currentTarget.style.background = THEME.secondary;
+              }
+            }}
+          >
+            <Settings size={14} />
+            Settings
+          </button>
+        </div>
+      </div>
+
+      {/* Chat Settings Panel */}
+      {showChatSettings && (
+        <div style={{
+          marginBottom: '20px',
+          padding: '16px',
+          background: THEME.white,
+          border: `1px solid ${THEME.border}`,
+          borderRadius: '10px',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+        }}>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '16px' }}>
+            {/* Voice Selection */}
+            <div>
+              <label style={{ display: 'block', fontSize: '12px', fontWeight: '600', color: THEME.text, marginBottom: '6px' }}>
+                <Volume2 size={12} style={{ marginRight: '4px', verticalAlign: 'middle' }} />
+                AI Voice
+              </label>
+              <select
+                value={appSettings?.ai?.voiceName || 'Puck'}
+                onChange={(e) => {
+                  const newSettings = {
+                    ...appSettings,
+                    ai: {
+                      ...appSettings.ai,
+                      voiceName: e.target.value,
+                    },
+                  };
+                  setAppSettings(newSettings);
+                  storage.set('appSettings', newSettings);
+                }}
+                style={{
+                  width: '100%',
+                  padding: '8px 10px',
+                  borderRadius: '6px',
+                  border: `1px solid ${THEME.border}`,
+                  background: THEME.white,
+                  color: THEME.text,
+                  fontSize: '13px',
+                  cursor: 'pointer',
+                  outline: 'none',
+                }}
+              >
+                {VOICE_OPTIONS.map(voice => (
+                  <option key={voice.id} value={voice.id}>
+                    {voice.name} - {voice.description}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {/* Model Selection (for text/voice model) */}
+            <div>
+              <label style={{ display: 'block', fontSize: '12px', fontWeight: '600', color: THEME.text, marginBottom: '6px' }}>
+                <Bot size={12} style={{ marginRight: '4px', verticalAlign: 'middle' }} />
+                Voice Model
+              </label>
+              <select
+                value={appSettings?.ai?.voiceModel || 'gemini-2.5-flash-native-audio-preview-12-2025'}
+                onChange={(e) => {
+                  const newSettings = {
+                    ...appSettings,
+                    ai: {
+                      ...appSettings.ai,
+                      voiceModel: e.target.value,
+                    },
+                  };
+                  setAppSettings(newSettings);
+                  storage.set('appSettings', newSettings);
+                }}
+                style={{
+                  width: '100%',
+                  padding: '8px 10px',
+                  borderRadius: '6px',
+                  border: `1px solid ${THEME.border}`,
+                  background: THEME.white,
+                  color: THEME.text,
+                  fontSize: '13px',
+                  cursor: 'pointer',
+                  outline: 'none',
+                }}
+              >
+                {LIVE_MODELS_FALLBACK.map(model => (
+                  <option key={model.id} value={model.id}>
+                    {model.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {voiceError && (
+        <div style={{
+          marginBottom: '16px',
+          padding: '14px 16px',
+          background: 'linear-gradient(135deg, #fee 0%, #fdd 100%)',
+          border: '1px solid rgba(220, 53, 69, 0.3)',
+          borderRadius: '10px',
+          fontSize: '13px',
+          color: '#721C24',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '10px',
+          boxShadow: '0 2px 8px rgba(220, 53, 69, 0.15)',
+          animation: 'fadeIn 0.3s ease-in',
+        }}>
+          <X size={18} style={{ flexShrink: 0 }} />
+          <div style={{ flex: 1, lineHeight: '1.5' }}>{voiceError}</div>
+          <button
+            onClick={() => setVoiceError(null)}
+            onMouseEnter={(e) => {
+              e.currentTarget.style.background = 'rgba(220, 53, 69, 0.1)';
+            }}
+            onMouseLeave={(e) => {
+              e.currentTarget.style.background = 'transparent';
+            }}
+            style={{
+              marginLeft: 'auto',
+              background: 'transparent',
+              border: 'none',
+              cursor: 'pointer',
+              padding: '4px 6px',
+              borderRadius: '4px',
+              transition: 'background 0.2s ease',
+            }}
+          >
+            <X size={16} color="#721C24" />
+          </button>
+        </div>
+      )}
+
+      <div style={{
+        background: THEME.white,
+        borderRadius: '12px',
+        padding: '20px',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+        display: 'flex',
+        flexDirection: 'column',
+        height: 'calc(100vh - 240px)',
+        minHeight: '600px',
+        maxHeight: 'none',
+      }}>
+        {/* Chat History Dropdown */}
+        {currentUser && chatSessions.length > 0 && (
+          <div style={{ 
+            marginBottom: '16px', 
+            display: 'flex', 
+            gap: '8px', 
+            alignItems: 'center',
+            flexWrap: 'wrap'
+          }}>
+            <select
+              value={currentSessionId || ''}
+              onChange={(e) => {
+                if (e.target.value) {
+                  loadSession(e.target.value);
+                }
+              }}
+              style={{
+                flex: 1,
+                minWidth: '200px',
+                padding: '8px 12px',
+                borderRadius: '6px',
+                border: `1px solid ${THEME.border}`,
+                background: THEME.white,
+                color: THEME.text,
+                fontSize: '14px',
+                cursor: 'pointer',
+                outline: 'none',
+              }}
+            >
+              {chatSessions.map((session) => (
+                <option key={session.id} value={session.id}>
+                  {session.title} ({new Date(session.lastMessageAt).toLocaleDateString()})
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleNewChat}
+              style={{
+                padding: '8px 16px',
+                background: THEME.primary,
+                border: 'none',
+                borderRadius: '6px',
+                color: THEME.white,
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: 'pointer',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                transition: 'all 0.2s ease',
+              }}
+              onMouseEnter={(e) => {
+                e.currentTarget.style.background = THEME.primaryDark;
+                e.currentTarget.style.transform = 'translateY(-1px)';
+              }}
+              onMouseLeave={(e) => {
+                e.currentTarget.style.background = THEME.primary;
+                e.currentTarget.style.transform = 'translateY(0)';
+              }}
+            >
+              <Plus size={16} />
+              New Chat
+            </button>
+            {currentSessionId && (
+              <button
+                onClick={() => deleteSession(currentSessionId)}
+                style={{
+                  padding: '8px 12px',
+                  background: 'transparent',
+                  border: `1px solid ${THEME.danger}`,
+                  borderRadius: '6px',
+                  color: THEME.danger,
+                  fontSize: '14px',
+                  fontWeight: '600',
+                  cursor: 'pointer',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '6px',
+                  transition: 'all 0.2s ease',
+                }}
+                onMouseEnter={(e) => {
+                  e.currentTarget.style.background = THEME.danger;
+                  e.currentTarget.style.color = THEME.white;
+                  e.currentTarget.style.transform = 'translateY(-1px)';
+                }}
+                onMouseLeave={(e) => {
+                  e.currentTarget.style.background = 'transparent';
+                  e.currentTarget.style.color = THEME.danger;
+                  e.currentTarget.style.transform = 'translateY(0)';
+                }}
+                title="Delete this conversation"
+              >
+                <Trash2 size={16} />
+                Delete
+              </button>
+            )}
+            {chatSessions.length > 1 && (
+              <button
+                onClick={deleteAllConversations}
+                style={{
+                  padding: '8px 12px',
+                  background: 'transparent',
+                  border: `1px solid ${THEME.textLight}`,
+                  borderRadius: '6px',
+                  color: THEME.textLight,
+                  fontSize: '14px',
+                  fontWeight: '600',
+                  cursor: 'pointer',
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '6px',
+                  transition: 'all 0.2s ease',
+                }}
+                onMouseEnter={(e) => {
+                  e.currentTarget.style.background = THEME.danger;
+                  e.currentTarget.style.borderColor = THEME.danger;
+                  e.currentTarget.style.color = THEME.white;
+                  e.currentTarget.style.transform = 'translateY(-1px)';
+                }}
+                onMouseLeave={(e) => {
+                  e.currentTarget.style.background = 'transparent';
+                  e.currentTarget.style.borderColor = THEME.textLight;
+                  e.currentTarget.style.color = THEME.textLight;
+                  e.currentTarget.style.transform = 'translateY(0)';
+                }}
+                title="Delete all conversations"
+              >
+                <Trash2 size={16} />
+                Clear All
+              </button>
+            )}
+          </div>
+        )}
+
+        {/* Messages */}
+        <div style={{
+          flex: 1,
+          overflowY: 'auto',
+          marginBottom: '16px',
+          paddingRight: '8px',
+        }}>
+          {messages.map((message) => (
+            <div
+              key={message.id}
+              style={{
+                display: 'flex',
+                gap: '12px',
+                marginBottom: '20px',
+                flexDirection: message.role === 'user' ? 'row-reverse' : 'row',
+                animation: 'fadeInUp 0.3s ease-out',
+              }}
+            >
+              <div style={{
+                width: '36px',
+                height: '36px',
+                borderRadius: '50%',
+                background: message.role === 'user' ? THEME.primary : THEME.secondary,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                flexShrink: 0,
+                boxShadow: '0 2px 6px rgba(0, 0, 0, 0.1)',
+              }}>
+                {message.role === 'user' ? (
+                  <div style={{
+                    width: '28px',
+                    height: '28px',
+                    borderRadius: '50%',
+                    background: THEME.white,
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    fontSize: '11px',
+                    fontWeight: '600',
+                    color: THEME.primary,
+                  }}>
+                    {currentUser?.name?.[0]?.toUpperCase() || 'U'}
+                  </div>
+                ) : (
+                  <Bot size={20} color={THEME.primary} />
+                )}
+              </div>
+              <div style={{
+                flex: 1,
+                background: message.role === 'user' ? THEME.primary : THEME.secondary,
+                color: message.role === 'user' ? THEME.white : THEME.text,
+                padding: '14px 18px',
+                borderRadius: message.role === 'user' ? '16px 16px 4px 16px' : '16px 16px 16px 4px',
+                maxWidth: '80%',
+                wordWrap: 'break-word',
+                boxShadow: '0 2px 8px rgba(0, 0, 0, 0.1)',
+              }}>
+                {message.isVoice && (
+                  <div style={{ fontSize: '10px', opacity: 0.8, marginBottom: '6px', display: 'flex', alignItems: 'center', gap: '4px' }}>
+                    <Mic size={12} />
+                    Voice
+                  </div>
+                )}
+                <div style={{ fontSize: '14px', lineHeight: '1.6' }}>
+                  {formatMarkdown(message.content)}
+                </div>
+                {message.isError && (
+                  <div style={{ fontSize: '11px', opacity: 0.8, marginTop: '6px', paddingTop: '6px', borderTop: `1px solid ${message.role === 'user' ? 'rgba(255, 255, 255, 0.2)' : THEME.border}` }}>
+                    Error occurred
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+          {isLoading && (
+            <div style={{ display: 'flex', gap: '12px', marginBottom: '20px', animation: 'fadeInUp 0.3s ease-out' }}>
+              <div style={{
+                width: '36px',
+                height: '36px',
+                borderRadius: '50%',
+                background: THEME.secondary,
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                flexShrink: 0,
+                boxShadow: '0 2px 6px rgba(0, 0, 0, 0.1)',
+              }}>
+                <Bot size={20} color={THEME.primary} />
+              </div>
+              <div style={{
+                background: THEME.secondary,
+                padding: '14px 18px',
+                borderRadius: '16px 16px 16px 4px',
+                boxShadow: '0 2px 8px rgba(0, 0, 0, 0.1)',
+              }}>
+                <div style={{ 
+                  fontSize: '14px', 
+                  color: THEME.textLight,
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px'
+                }}>
+                  <span style={{
+                    display: 'inline-block',
+                    width: '8px',
+                    height: '8px',
+                    borderRadius: '50%',
+                    background: THEME.primary,
+                    animation: 'pulse 1.5s ease-in-out infinite',
+                  }}></span>
+                  <span style={{
+                    display: 'inline-block',
+                    width: '8px',
+                    height: '8px',
+                    borderRadius: '50%',
+                    background: THEME.primary,
+                    animation: 'pulse 1.5s ease-in-out infinite 0.2s',
+                  }}></span>
+                  <span style={{
+                    display: 'inline-block',
+                    width: '8px',
+                    height: '8px',
+                    borderRadius: '50%',
+                    background: THEME.primary,
+                    animation: 'pulse 1.5s ease-in-out infinite 0.4s',
+                  }}></span>
+                  <span style={{ marginLeft: '4px' }}>Thinking...</span>
+                </div>
+              </div>
+            </div>
+          )}
+          <div ref={messagesEndRef} />
+        </div>
+
+        {/* Unified Input Area - Text and Voice */}
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-end' }}>
+          <textarea
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            onKeyPress={handleKeyPress}
+            placeholder={isAIConfigured() ? "Ask me anything about your goals or the app..." : "AI not configured"}
+            disabled={isLoading || !isAIConfigured() || voiceStatus === 'connecting'}
+            maxLength={500}
+            rows={2}
+            style={{
+              flex: 1,
+              padding: '12px',
+              border: `2px solid ${THEME.border}`,
+              borderRadius: '8px',
+              fontSize: '14px',
+              fontFamily: 'inherit',
+              boxSizing: 'border-box',
+              resize: 'vertical',
+              minHeight: '50px',
+              maxHeight: '120px',
+            }}
+          />
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', alignItems: 'center' }}>
+            {/* Microphone Button */}
+            {voiceChatEnabled && (
+              <button
+                onClick={() => {
+                  if (voiceStatus === 'disconnected') {
+                    handleStartVoiceChat();
+                  } else if (voiceStatus === 'listening') {
+                    handleToggleListening();
+                  } else if (voiceStatus === 'ready') {
+                    handleToggleListening();
+                  }
+                }}
+                disabled={voiceStatus === 'connecting' || voiceStatus === 'connected' || voiceStatus === 'processing'}
+                onMouseEnter={(e) => {
+                  if (!e.currentTarget.disabled) {
+                    e.currentTarget.style.transform = 'scale(1.05)';
+                    e.currentTarget.style.background = voiceStatus === 'listening' 
+                      ? `linear-gradient(135deg, #c82333 0%, #a02133 100%)`
+                      : `linear-gradient(135deg, #0056b3 0%, #004085 100%)`;
+                  }
+                }}
+                onMouseLeave={(e) => {
+                  e.currentTarget.style.transform = 'scale(1)';
+                  e.currentTarget.style.background = voiceStatus === 'listening'
+                    ? `linear-gradient(135deg, ${THEME.danger} 0%, #c82333 100%)`
+                    : voiceStatus !== 'disconnected'
+                    ? `linear-gradient(135deg, ${THEME.primary} 0%, #0056b3 100%)`
+                    : THEME.primary;
+                }}
+                style={{
+                  width: '48px',
+                  height: '48px',
+                  borderRadius: '50%',
+                  background: voiceStatus === 'listening'
+                    ? `linear-gradient(135deg, ${THEME.danger} 0%, #c82333 100%)`
+                    : voiceStatus !== 'disconnected'
+                    ? `linear-gradient(135deg, ${THEME.primary} 0%, #0056b3 100%)`
+                    : THEME.primary,
+                  border: 'none',
+                  cursor: (voiceStatus === 'disconnected' || voiceStatus === 'ready' || voiceStatus === 'listening') ? 'pointer' : 'not-allowed',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  boxShadow: voiceStatus === 'listening'
+                    ? `0 0 0 ${4 + audioLevel * 10}px rgba(220,53,69,0.25), 0 4px 12px rgba(220,53,69,0.3)`
+                    : voiceStatus !== 'disconnected'
+                    ? '0 4px 12px rgba(0, 123, 255, 0.25)'
+                    : '0 4px 12px rgba(0, 123, 255, 0.2)',
+                  transition: 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)',
+                  transform: 'scale(1)',
+                  opacity: voiceStatus === 'connecting' || voiceStatus === 'connected' || voiceStatus === 'processing' ? 0.6 : 1,
+                }}
+                title={
+                  voiceStatus === 'disconnected' ? 'Start voice chat' :
+                  voiceStatus === 'listening' ? 'Stop listening' :
+                  voiceStatus === 'ready' ? 'Start listening' :
+                  voiceStatus === 'connecting' ? 'Connecting...' :
+                  'Voice chat active'
+                }
+              >
+                {voiceStatus === 'listening' ? (
+                  <MicOff size={20} color={THEME.white} />
+                ) : (
+                  <Mic size={20} color={THEME.white} />
+                )}
+              </button>
+            )}
+            {/* Interrupt Button - Show when AI is speaking */}
+            {voiceStatus === 'processing' && voiceSessionRef.current && (
+              <button
+                onClick={() => {
+                  if (voiceSessionRef.current) {
+                    voiceSessionRef.current.interrupt();
+                    setVoiceStatus('ready');
+                  }
+                }}
+                style={{
+                  width: '48px',
+                  height: '48px',
+                  borderRadius: '8px',
+                  background: THEME.warning,
+                  border: 'none',
+                  cursor: 'pointer',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  boxShadow: '0 2px 8px rgba(255, 193, 7, 0.25)',
+                  transition: 'all 0.2s ease',
+                }}
+                onMouseEnter={(e) => {
+                  e.currentTarget.style.background = '#e0a800';
+                  e.currentTarget.style.transform = 'scale(1.05)';
+                }}
+                onMouseLeave={(e) => {
+                  e.currentTarget.style.background = THEME.warning;
+                  e.currentTarget.style.transform = 'scale(1)';
+                }}
+                title="Interrupt AI speech"
+              >
+                <Square size={18} color={THEME.white} />
+              </button>
+            )}
+            {/* Stop Button - Show when voice chat is active */}
+            {voiceStatus !== 'disconnected' && (
+              <button
+                onClick={handleEndVoiceChat}
+                style={{
+                  width: '48px',
+                  height: '48px',
+                  borderRadius: '8px',
+                  background: THEME.danger,
+                  border: 'none',
+                  cursor: 'pointer',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  boxShadow: '0 2px 8px rgba(220, 53, 69, 0.25)',
+                  transition: 'all 0.2s ease',
+                }}
+                onMouseEnter={(e) => {
+                  e.currentTarget.style.background = '#c82333';
+                  e.currentTarget.style.transform = 'scale(1.05)';
+                }}
+                onMouseLeave={(e) => {
+                  e.currentTarget.style.background = THEME.danger;
+                  e.currentTarget.style.transform = 'scale(1)';
+                }}
+                title="Stop voice chat"
+              >
+                <X size={18} color={THEME.white} />
+              </button>
+            )}
+            {/* Send Button */}
+            <button
+              onClick={handleSend}
+              disabled={!input.trim() || isLoading || !isAIConfigured() || voiceStatus === 'connecting'}
+              style={{
+                padding: '12px',
+                minWidth: '48px',
+                height: '48px',
+                background: (input.trim() && !isLoading && isAIConfigured() && voiceStatus !== 'connecting') ? THEME.primary : THEME.border,
+                border: 'none',
+                borderRadius: '8px',
+                color: THEME.white,
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: (input.trim() && !isLoading && isAIConfigured() && voiceStatus !== 'connecting') ? 'pointer' : 'not-allowed',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                boxShadow: (input.trim() && !isLoading && isAIConfigured() && voiceStatus !== 'connecting') ? '0 2px 8px rgba(0, 123, 255, 0.2)' : 'none',
+              }}
+            >
+              <Send size={18} />
+            </button>
+          </div>
+        </div>
+        {!isAIConfigured() && (
+          <div style={{
+            marginTop: '8px',
+            padding: '8px',
+            background: THEME.warning,
+            borderRadius: '6px',
+            fontSize: '12px',
+            color: THEME.text,
+          }}>
+            Configure your Gemini API key in Settings to enable AI features
+          </div>
+        )}
+      </div>
 
-    // If voice session is active, send text via Live API
-    if (voiceSessionRef.current && voiceStatus !== 'disconnected') {
-      try {
-        // If AI is speaking, interrupt it before sending text
-        if (voiceStatus === 'processing') {
-          voiceSessionRef.current.interrupt();
-          setVoiceStatus('ready');
-        }
-        
-        const userMessage = {
-          id: `user-${Date.now()}`,
-          role: 'user',
-          content: input.trim(),
-          timestamp: Date.now(),
-          isVoice: false, // Text message via voice session
-        };
-        setMessages(prev => [...prev, userMessage]);
-        setInput('');
-        voiceSessionRef.current.sendText(input.trim());
-        return;
-      } catch (error) {
-        console.error('Failed to send text via voice session:', error);
-        // Fall through to text API fallback
-      }
-    }
+      {/* Role-Playing Prompts */}
+      {voiceStatus === 'ready' && (
+        <div style={{
+          marginTop: '16px',
+          background: THEME.accent,
+          borderRadius: '12px',
+          padding: '16px',
+        }}>
+          <h4 style={{ margin: '0 0 12px 0', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+            Try these voice role-plays:
+          </h4>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+            {[
+              'Practice a cold call intro',
+              'Handle an objection about price',
+              'Schedule a follow-up appointment',
+              'Close a sale',
+            ].map((prompt, index) => (
+              <button
+                key={index}
+                onClick={() => {
+                  if (voiceSessionRef.current && voiceStatus === 'ready') {
+                    voiceSessionRef.current.sendText(`Let's role-play: ${prompt}`);
+                  }
+                }}
+                style={{
+                  padding: '8px 12px',
+                  background: THEME.white,
+                  border: `1px solid ${THEME.border}`,
+                  borderRadius: '16px',
+                  fontSize: '12px',
+                  color: THEME.text,
+                  cursor: 'pointer',
+                }}
+              >
+                {prompt}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
 
-    // Default: use text API with tools
-    const userMessage = {
-      id: `user-${Date.now()}`,
-      role: 'user',
-      content: input.trim(),
-      timestamp: Date.now(),
-    };
+// ========================================
+// TEAM VIEW COMPONENT (Manager Only)
+// ========================================
 
-    setMessages(prev => [...prev, userMessage]);
-    setInput('');
-    setIsLoading(true);
+function TeamView({ users, dailyLogs, categories, theme }) {
+  const THEME = theme;
+  const today = getToday();
 
-    try {
-      // Enhanced context with refreshData callback for tools
-      const context = {
-        currentUser,
-        todayStats,
-        weekStats,
-        userGoals: currentUser?.goals,
-        refreshData: onRefreshData,
-      };
+  return (
+    <div>
+      <h2 style={{ margin: '0 0 20px 0', fontSize: '20px', fontWeight: '700', color: THEME.text }}>
+        Team Overview
+      </h2>
+      
+      <div style={{ display: 'grid', gap: '16px' }}>
+        {users.filter(u => u.role === 'employee').map(user => {
+          const stats = dailyLogs[today]?.[user.id] || {};
+          const total = sumCategoryCounts(stats);
+          const goalTotal = sumCategoryCounts(getCategoryCounts(user.goals, categories));
+          const progress = goalTotal > 0 ? (total / goalTotal) * 100 : 0;
+          
+          return (
+            <div
+              key={user.id}
+              style={{
+                background: THEME.white,
+                borderRadius: '16px',
+                padding: '24px',
+                boxShadow: THEME.shadows.md,
+                border: `1px solid ${THEME.border}`,
+                transition: 'all 0.3s ease',
+              }}
+              onMouseEnter={(e) => {
+                e.currentTarget.style.boxShadow = THEME.shadows.layered;
+                e.currentTarget.style.transform = 'translateY(-2px)';
+              }}
+              onMouseLeave={(e) => {
+                e.currentTarget.style.boxShadow = THEME.shadows.md;
+                e.currentTarget.style.transform = 'translateY(0)';
+              }}
+            >
+              <div style={{ marginBottom: '16px' }}>
+                <div style={{ 
+                  fontSize: '20px', 
+                  fontWeight: '700', 
+                  color: THEME.text, 
+                  marginBottom: '6px',
+                  fontFamily: 'var(--font-display)',
+                }}>
+                  {user.name}
+                </div>
+                <div style={{ 
+                  fontSize: '15px', 
+                  color: THEME.textLight,
+                  fontFamily: 'var(--font-body)',
+                }}>
+                  {total} / {goalTotal} activities today
+                </div>
+              </div>
+              
+              <div style={{
+                height: '12px',
+                background: THEME.secondary,
+                borderRadius: '8px',
+                overflow: 'hidden',
+                marginBottom: '16px',
+                boxShadow: 'inset 0 2px 4px rgba(0,0,0,0.1)',
+              }}>
+                <div style={{
+                  height: '100%',
+                  width: `${Math.min(progress, 100)}%`,
+                  background: progress >= 100 
+                    ? THEME.gradients.success 
+                    : progress >= 50 
+                      ? THEME.gradients.warning 
+                      : THEME.gradients.primary,
+                  transition: 'width 0.5s cubic-bezier(0.4, 0, 0.2, 1)',
+                  borderRadius: '8px',
+                }} />
+              </div>
+              
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(80px, 1fr))', gap: '12px' }}>
+                {categories.map((category, index) => {
+                  const count = stats[category.id] || 0;
+                  const goal = user.goals[category.id] || 0;
+                  const Icon = getCategoryIcon(category);
+                  
+                  const gradient = getCategoryGradient(category, THEME);
+                  
+                  return (
+                    <div
+                      key={category.id}
+                      style={{
+                        padding: '12px',
+                        background: gradient,
+                        borderRadius: '12px',
+                        textAlign: 'center',
+                        boxShadow: THEME.shadows.sm,
+                        animation: `fadeInUp 0.3s ease-out ${index * 0.1}s both`,
+                      }}
+                    >
+                      <Icon size={20} color={THEME.white} style={{ marginBottom: '6px' }} />
+                      <div style={{ 
+                        fontSize: '14px', 
+                        fontWeight: '700', 
+                        color: THEME.white,
+                        fontFamily: 'var(--font-mono)',
+                      }}>
+                        {goal > 0 ? `${count}/${goal}` : count}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
 
-      // Track tool calls for UI feedback
-      const handleToolCall = (toolInfo) => {
-        if (toolInfo.status === 'executing') {
-          // Add a thinking indicator message
-          setMessages(prev => {
-            // Remove any previous tool indicator
-            const filtered = prev.filter(m => !m.isToolIndicator);
-            return [...filtered, {
-              id: `tool-${Date.now()}`,
-              role: 'assistant',
-              content: `Checking ${toolInfo.name.replace(/([A-Z])/g, ' $1').toLowerCase().trim()}...`,
-              timestamp: Date.now(),
-              isToolIndicator: true,
-            }];
-          });
-        }
-      };
+// ========================================
+// GOAL TEMPLATES (Manager Only)
+// ========================================
 
-      // Use the enhanced AI response with tools
-      const result = await getAIResponseWithTools(
-        userMessage.content,
-        context,
-        appSettings?.ai?.textModel || DEFAULT_MODEL,
-        handleToolCall
-      );
+function GoalTemplatesManager({ users, templates, assignments, categories, onSaveTemplate, onDeleteTemplate, onAssignTemplate, theme }) {
+  const THEME = theme;
+  const [templateDraft, setTemplateDraft] = useState(null);
+  const [assignDraft, setAssignDraft] = useState(null);
+  const activeCategories = getActiveCategories(categories);
 
-      // Remove tool indicator and add final response
-      setMessages(prev => {
-        const filtered = prev.filter(m => !m.isToolIndicator);
-        return [...filtered, {
-          id: `ai-${Date.now()}`,
-          role: 'assistant',
-          content: result.text,
-          timestamp: Date.now(),
-          toolCalls: result.toolCalls?.length > 0 ? result.toolCalls : undefined,
-        }];
-      });
+  const labelStyle = { display: 'block', marginBottom: '4px', fontSize: '12px', fontWeight: '600', color: THEME.text };
+  const inputStyle = {
+    width: '100%',
+    padding: '8px',
+    border: `2px solid ${THEME.border}`,
+    borderRadius: '6px',
+    fontSize: '14px',
+    boxSizing: 'border-box',
+  };
+  const smallButtonStyle = (background, color) => ({
+    padding: '6px 10px',
+    background,
+    border: 'none',
+    borderRadius: '6px',
+    color,
+    fontSize: '12px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  });
 
-      setRemainingRequests(getRemainingRequests());
+  const updateStep = (index, changes) => {
+    setTemplateDraft({
+      ...templateDraft,
+      steps: templateDraft.steps.map((step, i) => (i === index ? { ...step, ...changes } : step)),
+    });
+  };
 
-      // Refresh data if any write tools were called
-      if (result.toolCalls?.some(tc =>
-        ['logActivity', 'createAppointment', 'updateMyGoals', 'createFeedPost',
-          'incrementActivity', 'createChallenge', 'updateUserGoals',
-          'createTeamAnnouncement', 'awardBonusXP', 'archiveUser', 'createReward'
-        ].includes(tc.name)
-      )) {
-        if (onRefreshData) await onRefreshData();
-      }
-    } catch (error) {
-      // Remove tool indicator on error
-      setMessages(prev => {
-        const filtered = prev.filter(m => !m.isToolIndicator);
-        return [...filtered, {
-          id: `error-${Date.now()}`,
-          role: 'assistant',
-          content: `Sorry, I encountered an error: ${error.message}`,
-          timestamp: Date.now(),
-          isError: true,
-        }];
-      });
-    } finally {
-      setIsLoading(false);
-    }
+  const updateStepGoal = (index, period, categoryId, value) => {
+    const step = templateDraft.steps[index];
+    updateStep(index, {
+      goals: { ...step.goals, [period]: { ...step.goals[period], [categoryId]: parseInt(value, 10) || 0 } },
+    });
   };
 
-  const handleKeyPress = (e) => {
-    if (e.key === 'Enter' && !e.shiftKey) {
-      e.preventDefault();
-      handleSend();
-    }
+  const addStep = () => {
+    const nextWeek = Math.max(-1, ...templateDraft.steps.map(step => step.week)) + 1;
+    setTemplateDraft({ ...templateDraft, steps: [...templateDraft.steps, createTemplateStep(nextWeek)] });
   };
 
-  // Load a specific chat session
-  const loadSession = async (sessionId) => {
-    if (!currentUser || !sessionId) return;
+  const handleSaveTemplate = async () => {
+    if (await onSaveTemplate(templateDraft)) {
+      setTemplateDraft(null);
+    }
+  };
 
-    try {
-      const userId = currentUser.id;
-      const sessionMessages = await storage.get(`chatMessages_${userId}_${sessionId}`, []);
-      
-      if (sessionMessages && sessionMessages.length > 0) {
-        setMessages(sessionMessages);
-        setCurrentSessionId(sessionId);
-      }
-    } catch (error) {
-      console.error('Failed to load session:', error);
+  const handleDeleteTemplate = async (template) => {
+    const following = assignments.filter(a => a.templateId === template.id).length;
+    const message = following > 0
+      ? `Delete ${template.name}? ${following} user(s) follow it and will keep their current goals.`
+      : `Delete ${template.name}?`;
+    if (window.confirm(message)) {
+      await onDeleteTemplate(template.id);
     }
   };
 
-  // Create new chat session
-  const handleNewChat = async () => {
-    if (!currentUser) return;
-    await createNewSession(currentUser.id);
+  const toggleAssignUser = (userId) => {
+    const userIds = assignDraft.userIds.includes(userId)
+      ? assignDraft.userIds.filter(id => id !== userId)
+      : [...assignDraft.userIds, userId];
+    setAssignDraft({ ...assignDraft, userIds });
   };
 
-  // Voice chat handlers
-  const handleStartVoiceChat = async () => {
-    if (!isAIConfigured()) {
-      setVoiceError('Please configure your API key in Settings first.');
-      return;
-    }
+  const selectRole = (role) => {
+    setAssignDraft({ ...assignDraft, userIds: users.filter(u => u.role === role).map(u => u.id) });
+  };
 
-    if (!isVoiceChatSupported()) {
-      setVoiceError('Voice chat is not supported in this browser. Try Chrome or Edge.');
-      return;
+  const handleAssign = async () => {
+    if (await onAssignTemplate(assignDraft.templateId, assignDraft.userIds, assignDraft.startsOn)) {
+      setAssignDraft(null);
     }
+  };
 
-    const apiKey = getAPIKey();
-    if (!apiKey) {
-      setVoiceError('API key not found. Please configure it in Settings.');
-      return;
+  // Only users following this template are unassigned
+  const handleUnassign = async () => {
+    const userIds = assignDraft.userIds.filter(id =>
+      assignments.some(a => a.userId === id && a.templateId === assignDraft.templateId)
+    );
+    if (await onAssignTemplate(null, userIds)) {
+      setAssignDraft(null);
     }
+  };
 
-    setVoiceError(null);
-    setVoiceStatus('connecting');
+  return (
+    <div style={{
+      background: THEME.white,
+      borderRadius: '12px',
+      padding: '20px',
+      marginTop: '20px',
+      boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '4px' }}>
+        <div style={{ fontSize: '16px', fontWeight: '700', color: THEME.text }}>
+          Goal Templates
+        </div>
+        <button
+          onClick={() => {
+            setAssignDraft(null);
+            setTemplateDraft({ name: '', description: '', steps: [createTemplateStep(0)] });
+          }}
+          style={{ ...smallButtonStyle(THEME.primary, THEME.white), display: 'flex', alignItems: 'center', gap: '4px' }}
+        >
+          <Plus size={14} />
+          New Template
+        </button>
+      </div>
+      <div style={{ fontSize: '12px', color: THEME.textLight, marginBottom: '16px' }}>
+        Named goal plans to assign to many people at once. Add steps to ramp goals up week by week; each step replaces the goals it sets when its week starts.
+      </div>
 
-    try {
-      const session = createVoiceChatSession(apiKey, {
-        model: appSettings?.ai?.voiceModel || 'gemini-2.5-flash-native-audio-preview-12-2025',
-        voice: appSettings?.ai?.voiceName || 'Puck',
-        voiceChatSettings: appSettings?.ai?.voiceChatSettings || {
-          startOfSpeechSensitivity: 'START_SENSITIVITY_UNSPECIFIED',
-          endOfSpeechSensitivity: 'END_SENSITIVITY_UNSPECIFIED',
-          silenceDurationMs: 500,
-          prefixPaddingMs: 100,
-        },
-        generationConfig: appSettings?.ai?.generationConfig || {
-          temperature: 1.0,
-          topP: 0.95,
-          topK: 40,
-          maxOutputTokens: 8192,
-          candidateCount: 1,
-          presencePenalty: 0.0,
-          frequencyPenalty: 0.0,
-        },
-        systemInstruction: getVoiceChatSystemInstruction(currentUser, todayStats),
-        onStatusChange: (status) => {
-          setVoiceStatus(status);
-        },
-        onTranscript: (text, role, isStreaming = false) => {
-          setMessages(prev => {
-            const messageRole = role === 'assistant' ? 'assistant' : 'user';
-            
-            // Find the last streaming message from the same role (search backwards for efficiency)
-            let lastStreamingIndex = -1;
-            for (let i = prev.length - 1; i >= 0; i--) {
-              const msg = prev[i];
-              if (msg.role === messageRole && msg.isStreaming && msg.isVoice) {
-                lastStreamingIndex = i;
-                break;
-              }
-            }
-            
-            // If streaming and we found a matching streaming message, update it (preserve timestamp)
-            if (isStreaming && lastStreamingIndex >= 0) {
-              return prev.map((msg, idx) => 
-                idx === lastStreamingIndex 
-                  ? { ...msg, content: text } // Update content only, keep original timestamp
-                  : msg
-              );
-            }
-            
-            // If not streaming and we found a matching streaming message, finalize it (preserve timestamp and ID)
-            if (!isStreaming && lastStreamingIndex >= 0) {
-              return prev.map((msg, idx) => 
-                idx === lastStreamingIndex 
-                  ? { ...msg, content: text, isStreaming: false } // Finalize, keep original timestamp and ID
-                  : msg
-              );
-            }
-            
-            // Create new message (no matching streaming message found)
-            const newMessage = {
-              id: `${messageRole}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-              role: messageRole,
-              content: text,
-              timestamp: Date.now(),
-              isVoice: true,
-              isStreaming: isStreaming,
-            };
-            
-            // Sort messages by timestamp after adding new message
-            const updated = [...prev, newMessage];
-            return updated.sort((a, b) => a.timestamp - b.timestamp);
-          });
-        },
-        onError: (error) => {
-          setVoiceError(error);
-          setVoiceStatus('disconnected');
-        },
-        onAudioLevel: (level) => {
-          setAudioLevel(level);
-        },
-      });
+      {templateDraft && (
+        <div style={{
+          background: THEME.secondary,
+          borderRadius: '8px',
+          padding: '12px',
+          marginBottom: '12px',
+        }}>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 2fr', gap: '8px', marginBottom: '12px' }}>
+            <div>
+              <label style={labelStyle}>Name</label>
+              <input
+                type="text"
+                value={templateDraft.name}
+                onChange={(e) => setTemplateDraft({ ...templateDraft, name: e.target.value })}
+                placeholder="New hire ramp"
+                maxLength={60}
+                style={inputStyle}
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>Description</label>
+              <input
+                type="text"
+                value={templateDraft.description}
+                onChange={(e) => setTemplateDraft({ ...templateDraft, description: e.target.value })}
+                placeholder="First month for new sales reps"
+                style={inputStyle}
+              />
+            </div>
+          </div>
+
+          {templateDraft.steps.map((step, index) => (
+            <div
+              key={index}
+              style={{
+                background: THEME.white,
+                borderRadius: '8px',
+                padding: '10px',
+                marginBottom: '8px',
+              }}
+            >
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+                <label style={{ ...labelStyle, marginBottom: 0 }}>From week</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="104"
+                  value={step.week + 1}
+                  onChange={(e) => updateStep(index, { week: (parseInt(e.target.value, 10) || 1) - 1 })}
+                  style={{ ...inputStyle, width: '80px' }}
+                />
+                <div style={{ flex: 1 }} />
+                {templateDraft.steps.length > 1 && (
+                  <button
+                    onClick={() => setTemplateDraft({ ...templateDraft, steps: templateDraft.steps.filter((_, i) => i !== index) })}
+                    style={smallButtonStyle(THEME.secondary, THEME.danger)}
+                    aria-label={`Remove week ${step.week + 1} step`}
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                )}
+              </div>
+              <div style={{ display: 'grid', gridTemplateColumns: '2fr repeat(3, 1fr)', gap: '6px', alignItems: 'center' }}>
+                <div />
+                {GOAL_PERIODS.map(period => (
+                  <div key={period.id} style={{ fontSize: '11px', fontWeight: '600', color: THEME.textLight, textAlign: 'center' }}>
+                    {period.label}
+                  </div>
+                ))}
+                {activeCategories.map(category => (
+                  <React.Fragment key={category.id}>
+                    <div style={{ fontSize: '13px', color: THEME.text }}>{category.name}</div>
+                    {GOAL_PERIODS.map(period => (
+                      <input
+                        key={period.id}
+                        type="number"
+                        min="0"
+                        max={MAX_GOAL[period.id]}
+                        value={step.goals[period.id]?.[category.id] || ''}
+                        onChange={(e) => updateStepGoal(index, period.id, category.id, e.target.value)}
+                        placeholder="—"
+                        aria-label={`${category.name} ${period.label.toLowerCase()} goal, week ${step.week + 1}`}
+                        style={{ ...inputStyle, padding: '6px' }}
+                      />
+                    ))}
+                  </React.Fragment>
+                ))}
+              </div>
+            </div>
+          ))}
+
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button onClick={addStep} style={{ ...smallButtonStyle(THEME.white, THEME.text), flex: 1 }}>
+              Add Step
+            </button>
+            <button onClick={handleSaveTemplate} style={{ ...smallButtonStyle(THEME.success, THEME.white), flex: 1 }}>
+              {templateDraft.id ? 'Save Template' : 'Add Template'}
+            </button>
+            <button onClick={() => setTemplateDraft(null)} style={{ ...smallButtonStyle(THEME.white, THEME.text), flex: 1 }}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {templates.length === 0 && !templateDraft && (
+        <div style={{ fontSize: '13px', color: THEME.textLight, textAlign: 'center', padding: '12px' }}>
+          No goal templates yet
+        </div>
+      )}
+
+      <div style={{ display: 'grid', gap: '8px' }}>
+        {templates.map(template => {
+          const following = assignments.filter(a => a.templateId === template.id);
+          const isAssigning = assignDraft?.templateId === template.id;
+
+          return (
+            <div
+              key={template.id}
+              style={{
+                padding: '10px 12px',
+                background: THEME.secondary,
+                borderRadius: '8px',
+              }}
+            >
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <div style={{ flex: 1 }}>
+                  <div style={{ fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+                    {template.name}
+                  </div>
+                  <div style={{ fontSize: '12px', color: THEME.textLight }}>
+                    {template.description ? `${template.description} • ` : ''}
+                    {template.steps.length} step{template.steps.length === 1 ? '' : 's'} • {following.length} following
+                  </div>
+                </div>
+                <button
+                  onClick={() => {
+                    setTemplateDraft(null);
+                    setAssignDraft(isAssigning ? null : {
+                      templateId: template.id,
+                      startsOn: getToday(),
+                      userIds: following.map(a => a.userId),
+                    });
+                  }}
+                  style={smallButtonStyle(THEME.primary, THEME.white)}
+                >
+                  Assign
+                </button>
+                <button
+                  onClick={() => {
+                    setAssignDraft(null);
+                    setTemplateDraft({
+                      ...template,
+                      steps: template.steps.map(step => ({
+                        week: step.week,
+                        goals: { day: {}, week: {}, month: {}, ...step.goals },
+                      })),
+                    });
+                  }}
+                  style={smallButtonStyle(THEME.white, THEME.text)}
+                  aria-label={`Edit ${template.name}`}
+                >
+                  <Edit2 size={14} />
+                </button>
+                <button
+                  onClick={() => handleDeleteTemplate(template)}
+                  style={smallButtonStyle(THEME.white, THEME.danger)}
+                  aria-label={`Delete ${template.name}`}
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+
+              <div style={{ marginTop: '6px', fontSize: '12px', color: THEME.textLight }}>
+                {template.steps.map(step => (
+                  <div key={step.week}>
+                    Week {step.week + 1}+: {describeTemplateStep(step, categories)}
+                  </div>
+                ))}
+              </div>
+
+              {isAssigning && (
+                <div style={{ marginTop: '10px', paddingTop: '10px', borderTop: `1px solid ${THEME.border}` }}>
+                  <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: '8px' }}>
+                    <div>
+                      <label style={labelStyle}>Starts on</label>
+                      <input
+                        type="date"
+                        value={assignDraft.startsOn}
+                        onChange={(e) => setAssignDraft({ ...assignDraft, startsOn: e.target.value })}
+                        style={{ ...inputStyle, width: 'auto' }}
+                      />
+                    </div>
+                    <button onClick={() => selectRole('employee')} style={smallButtonStyle(THEME.white, THEME.text)}>
+                      All employees
+                    </button>
+                    <button onClick={() => selectRole('manager')} style={smallButtonStyle(THEME.white, THEME.text)}>
+                      All managers
+                    </button>
+                    <button onClick={() => setAssignDraft({ ...assignDraft, userIds: [] })} style={smallButtonStyle(THEME.white, THEME.text)}>
+                      Clear
+                    </button>
+                  </div>
+                  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(160px, 1fr))', gap: '4px', marginBottom: '8px' }}>
+                    {users.map(user => {
+                      const current = assignments.find(a => a.userId === user.id);
+                      const currentTemplate = current && templates.find(t => t.id === current.templateId);
+
+                      return (
+                        <label key={user.id} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', color: THEME.text, cursor: 'pointer' }}>
+                          <input
+                            type="checkbox"
+                            checked={assignDraft.userIds.includes(user.id)}
+                            onChange={() => toggleAssignUser(user.id)}
+                          />
+                          <span>
+                            {user.name}
+                            {currentTemplate && currentTemplate.id !== template.id && (
+                              <span style={{ color: THEME.textLight }}> ({currentTemplate.name})</span>
+                            )}
+                          </span>
+                        </label>
+                      );
+                    })}
+                  </div>
+                  <div style={{ display: 'flex', gap: '8px' }}>
+                    <button onClick={handleAssign} style={{ ...smallButtonStyle(THEME.success, THEME.white), flex: 1 }}>
+                      Assign to {assignDraft.userIds.length} user{assignDraft.userIds.length === 1 ? '' : 's'}
+                    </button>
+                    <button
+                      onClick={handleUnassign}
+                      disabled={!assignDraft.userIds.some(id => following.some(a => a.userId === id))}
+                      style={{ ...smallButtonStyle(THEME.white, THEME.text), flex: 1 }}
+                    >
+                      Unassign selected
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
 
-      voiceSessionRef.current = session;
-      await session.connect();
-      setChatMode('voice');
-    } catch (error) {
-      console.error('Failed to start voice chat:', error);
-      setVoiceError(error.message || 'Failed to connect to voice chat');
-      setVoiceStatus('disconnected');
-    }
-  };
+// ========================================
+// ADMIN PANEL COMPONENT (Manager Only)
+// ========================================
 
-  const handleToggleListening = async () => {
-    if (!voiceSessionRef.current) return;
+function AdminPanel({ users, onCreateUser, onUpdateCredentials, onDeleteUser, onUpdateGoals, onExport, onPreviewImport, onImport, onLoadServerBackups, onRunServerBackup, onDownloadServerBackup, onRestoreServerBackup, xpCurve, onUpdateXpCurve, storeCalendar, onUpdateStoreCalendar, categories, onSaveCategory, goalTemplates, goalAssignments, onSaveGoalTemplate, onDeleteGoalTemplate, onAssignGoalTemplate, theme }) {
+  const THEME = theme;
+  const [showForm, setShowForm] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [newRole, setNewRole] = useState('employee');
+  const [newEmail, setNewEmail] = useState('');
+  const [newPin, setNewPin] = useState('');
+  const [editingGoals, setEditingGoals] = useState(null);
+  const [goals, setGoals] = useState({});
+  const [goalPeriod, setGoalPeriod] = useState('day');
+  const [editingCredentials, setEditingCredentials] = useState(null);
+  const [credentialEmail, setCredentialEmail] = useState('');
+  const [credentialPin, setCredentialPin] = useState('');
+  const [curveDraft, setCurveDraft] = useState(null);
+  const [calendarDraft, setCalendarDraft] = useState(null);
+  const [categoryDraft, setCategoryDraft] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  const [importMode, setImportMode] = useState(IMPORT_MODES.MERGE);
+  const [isImporting, setIsImporting] = useState(false);
+  const importInputRef = useRef(null);
+  const [serverBackups, setServerBackups] = useState([]);
+  const [backupBusy, setBackupBusy] = useState(null);
+  const calendar = calendarDraft || storeCalendar;
 
-    if (voiceStatus === 'listening') {
-      voiceSessionRef.current.stopListening();
-    } else if (voiceStatus === 'ready' || voiceStatus === 'connected') {
-      try {
-        await voiceSessionRef.current.startListening();
-      } catch (error) {
-        setVoiceError(error.message);
-      }
+  useEffect(() => {
+    onLoadServerBackups().then(setServerBackups);
+  }, [onLoadServerBackups]);
+  const activeCategories = getActiveCategories(categories);
+  
+  const handleCreate = async () => {
+    if (await onCreateUser(newName, newRole, { email: newEmail, pin: newPin })) {
+      setNewName('');
+      setNewEmail('');
+      setNewPin('');
+      setShowForm(false);
     }
   };
 
-  // eslint-disable-next-line no-unused-vars
-  const handleEndVoiceChat = () => {
-    if (voiceSessionRef.current) {
-      voiceSessionRef.current.disconnect();
-      voiceSessionRef.current = null;
+  const handleSaveCredentials = async (user) => {
+    const changes = {};
+    if (credentialPin) changes.pin = credentialPin;
+    if (credentialEmail.trim() !== (user.email || '')) changes.email = credentialEmail;
+    if (Object.keys(changes).length === 0 || await onUpdateCredentials(user.id, changes)) {
+      setEditingCredentials(null);
+      setCredentialEmail('');
+      setCredentialPin('');
     }
-    setVoiceStatus('disconnected');
-    setChatMode('text'); // Keep for internal state tracking
-    setAudioLevel(0);
   };
 
-  const voiceChatEnabled = appSettings?.ai?.voiceChatEnabled !== false && isVoiceChatSupported();
+  const pinInputHandler = (setter) => (e) => {
+    setter(e.target.value.replace(/\D/g, '').slice(0, PIN_MAX_LENGTH));
+  };
+  
+  // Goal template a user follows, if any
+  const getFollowedTemplate = (userId) => {
+    const assignment = goalAssignments.find(a => a.userId === userId);
+    return assignment ? goalTemplates.find(t => t.id === assignment.templateId) : null;
+  };
 
-  const getStatusText = () => {
-    switch (voiceStatus) {
-      case 'disconnected': return 'Disconnected';
-      case 'connecting': return 'Connecting...';
-      case 'connected': return 'Connected, setting up...';
-      case 'ready': return 'Ready';
-      case 'listening': return 'Listening...';
-      case 'processing': return 'AI is responding...';
-      default: return 'Disconnected';
-    }
+  const handleSaveGoals = (userId) => {
+    onUpdateGoals(userId, goals, goalPeriod);
+    setEditingGoals(null);
+    setGoals({});
   };
 
-  const getStatusColor = () => {
-    switch (voiceStatus) {
-      case 'listening': return THEME.success;
-      case 'processing': return THEME.warning;
-      case 'ready': return THEME.primary;
-      default: return THEME.textLight;
+  const toggleCurveEditor = () => {
+    setCurveDraft(curveDraft ? null : {
+      ...xpCurve,
+      levelThresholds: xpCurve.levelThresholds.join(', '),
+    });
+  };
+
+  const handleSaveCurve = async () => {
+    const curve = {
+      goalMultiplier: Number(curveDraft.goalMultiplier),
+      streakBonusPerDay: Number(curveDraft.streakBonusPerDay),
+      maxStreakMultiplier: Number(curveDraft.maxStreakMultiplier),
+      levelThresholds: curveDraft.levelThresholds
+        .split(',')
+        .map(t => t.trim())
+        .filter(Boolean)
+        .map(Number),
+    };
+    if (await onUpdateXpCurve(curve)) {
+      setCurveDraft(null);
     }
   };
 
-  return (
-    <div>
-      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '24px', flexWrap: 'wrap', gap: '12px' }}>
-        <h2 style={{ margin: 0, fontSize: '24px', fontWeight: '700', color: THEME.text, letterSpacing: '-0.02em' }}>
-          AI Coach
-        </h2>
-        <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
-          {isAIConfigured() && voiceStatus === 'disconnected' && (
-            <div style={{ 
-              fontSize: '12px', 
-              color: THEME.textLight,
-              padding: '6px 12px',
-              background: THEME.secondary,
-              borderRadius: '6px',
-              fontWeight: '500'
-            }}>
-              {remainingRequests} requests/min
-            </div>
-          )}
-          <div style={{ 
-            fontSize: '12px', 
-            color: getStatusColor(), 
-            fontWeight: '600',
-            padding: '6px 12px',
-            background: voiceStatus === 'disconnected' ? 'rgba(108, 117, 125, 0.1)' : voiceStatus === 'listening' ? 'rgba(40, 167, 69, 0.1)' : voiceStatus === 'processing' ? 'rgba(255, 193, 7, 0.1)' : 'rgba(0, 123, 255, 0.1)',
-            borderRadius: '6px',
-            transition: 'all 0.2s ease'
-          }}>
-            {getStatusText()}
-          </div>
-          <button
-            onClick={() => setShowChatSettings(!showChatSettings)}
-            style={{
-              padding: '8px 10px',
-              background: showChatSettings ? THEME.primary : THEME.secondary,
-              color: showChatSettings ? THEME.white : THEME.text,
-              border: 'none',
-              borderRadius: '6px',
-              cursor: 'pointer',
-              display: 'flex',
-              alignItems: 'center',
-              gap: '6px',
-              fontSize: '13px',
-              fontWeight: '500',
-              transition: 'all 0.2s ease',
-            }}
-            onMouseEnter={(e) => {
-              if (!showChatSettings) {
-                e.currentTarget.style.background = 'rgba(0, 123, 255, 0.1)';
-              }
-            }}
-            onMouseLeave={(e) => {
-              if (!showChatSettings) {
-                e.currentTarget.style.background = THEME.secondary;
-              }
-            }}
-          >
-            <Settings size={14} />
-            Settings
-          </button>
-        </div>
-      </div>
+  const handleSaveCalendar = async () => {
+    if (await onUpdateStoreCalendar({ ...calendarDraft, timezone: calendarDraft.timezone.trim() })) {
+      setCalendarDraft(null);
+    }
+  };
 
-      {/* Chat Settings Panel */}
-      {showChatSettings && (
-        <div style={{
-          marginBottom: '20px',
-          padding: '16px',
-          background: THEME.white,
-          border: `1px solid ${THEME.border}`,
-          borderRadius: '10px',
-          boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
-        }}>
-          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '16px' }}>
-            {/* Voice Selection */}
-            <div>
-              <label style={{ display: 'block', fontSize: '12px', fontWeight: '600', color: THEME.text, marginBottom: '6px' }}>
-                <Volume2 size={12} style={{ marginRight: '4px', verticalAlign: 'middle' }} />
-                AI Voice
-              </label>
-              <select
-                value={appSettings?.ai?.voiceName || 'Puck'}
-                onChange={(e) => {
-                  const newSettings = {
-                    ...appSettings,
-                    ai: {
-                      ...appSettings.ai,
-                      voiceName: e.target.value,
-                    },
-                  };
-                  setAppSettings(newSettings);
-                  storage.set('appSettings', newSettings);
-                }}
-                style={{
-                  width: '100%',
-                  padding: '8px 10px',
-                  borderRadius: '6px',
-                  border: `1px solid ${THEME.border}`,
-                  background: THEME.white,
-                  color: THEME.text,
-                  fontSize: '13px',
-                  cursor: 'pointer',
-                  outline: 'none',
-                }}
-              >
-                {VOICE_OPTIONS.map(voice => (
-                  <option key={voice.id} value={voice.id}>
-                    {voice.name} - {voice.description}
-                  </option>
-                ))}
-              </select>
-            </div>
+  const handleSaveCategory = async () => {
+    const { isNew, ...draft } = categoryDraft;
+    const category = {
+      ...draft,
+      id: isNew ? toCategoryId(draft.name) : draft.id,
+      defaultGoal: Number(draft.defaultGoal),
+      xpWeight: Number(draft.xpWeight),
+    };
+    if (await onSaveCategory(category, isNew)) {
+      setCategoryDraft(null);
+    }
+  };
 
-            {/* Model Selection (for text/voice model) */}
-            <div>
-              <label style={{ display: 'block', fontSize: '12px', fontWeight: '600', color: THEME.text, marginBottom: '6px' }}>
-                <Bot size={12} style={{ marginRight: '4px', verticalAlign: 'middle' }} />
-                Voice Model
-              </label>
-              <select
-                value={appSettings?.ai?.voiceModel || 'gemini-2.5-flash-native-audio-preview-12-2025'}
-                onChange={(e) => {
-                  const newSettings = {
-                    ...appSettings,
-                    ai: {
-                      ...appSettings.ai,
-                      voiceModel: e.target.value,
-                    },
-                  };
-                  setAppSettings(newSettings);
-                  storage.set('appSettings', newSettings);
-                }}
-                style={{
-                  width: '100%',
-                  padding: '8px 10px',
-                  borderRadius: '6px',
-                  border: `1px solid ${THEME.border}`,
-                  background: THEME.white,
-                  color: THEME.text,
-                  fontSize: '13px',
-                  cursor: 'pointer',
-                  outline: 'none',
-                }}
-              >
-                {LIVE_MODELS_FALLBACK.map(model => (
-                  <option key={model.id} value={model.id}>
-                    {model.name}
-                  </option>
-                ))}
-              </select>
-            </div>
-          </div>
-        </div>
-      )}
+  // Read a backup file and show what importing it would change
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
 
-      {voiceError && (
-        <div style={{
-          marginBottom: '16px',
-          padding: '14px 16px',
-          background: 'linear-gradient(135deg, #fee 0%, #fdd 100%)',
-          border: '1px solid rgba(220, 53, 69, 0.3)',
-          borderRadius: '10px',
-          fontSize: '13px',
-          color: '#721C24',
-          display: 'flex',
-          alignItems: 'center',
-          gap: '10px',
-          boxShadow: '0 2px 8px rgba(220, 53, 69, 0.15)',
-          animation: 'fadeIn 0.3s ease-in',
+    let backup;
+    try {
+      backup = JSON.parse(await file.text());
+    } catch (error) {
+      setImportPreview({ fileName: file.name, error: 'This file is not valid JSON' });
+      return;
+    }
+    setImportPreview({ fileName: file.name, ...(await onPreviewImport(backup)) });
+    setImportMode(IMPORT_MODES.MERGE);
+  };
+
+  const handleImport = async () => {
+    const warning = importMode === IMPORT_MODES.REPLACE
+      ? 'Replace this data with the backup? Records that are not in the backup will be deleted for everyone.'
+      : 'Merge this backup into the current data?';
+    if (!window.confirm(warning)) return;
+
+    setIsImporting(true);
+    if (await onImport(importPreview.backup, importMode)) {
+      setImportPreview(null);
+    }
+    setIsImporting(false);
+  };
+
+  const handleRunServerBackup = async () => {
+    setBackupBusy('new');
+    const backup = await onRunServerBackup();
+    if (backup) setServerBackups([backup, ...serverBackups]);
+    setBackupBusy(null);
+  };
+
+  const handleDownloadServerBackup = async (backup) => {
+    setBackupBusy(backup.id);
+    await onDownloadServerBackup(backup);
+    setBackupBusy(null);
+  };
+
+  const handleRestoreServerBackup = async (backup) => {
+    const takenAt = new Date(backup.createdAt).toLocaleString();
+    if (!window.confirm(`Restore the backup from ${takenAt}? Records deleted or changed since then will be put back for everyone.`)) return;
+    setBackupBusy(backup.id);
+    await onRestoreServerBackup(backup);
+    setBackupBusy(null);
+  };
+
+  const settingInputStyle = {
+    width: '100%',
+    padding: '8px',
+    border: `2px solid ${THEME.border}`,
+    borderRadius: '6px',
+    fontSize: '14px',
+    boxSizing: 'border-box',
+  };
+  
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+        <h2 style={{ 
+          margin: 0, 
+          fontSize: '24px', 
+          fontWeight: '700', 
+          color: THEME.text,
+          fontFamily: 'var(--font-display)',
         }}>
-          <X size={18} style={{ flexShrink: 0 }} />
-          <div style={{ flex: 1, lineHeight: '1.5' }}>{voiceError}</div>
+          Admin Panel
+        </h2>
+        <div style={{ display: 'flex', gap: '12px' }}>
           <button
-            onClick={() => setVoiceError(null)}
-            onMouseEnter={(e) => {
-              e.currentTarget.style.background = 'rgba(220, 53, 69, 0.1)';
+            onClick={onExport}
+            onMouseDown={(e) => {
+              e.currentTarget.style.transform = 'scale(0.95)';
             }}
-            onMouseLeave={(e) => {
-              e.currentTarget.style.background = 'transparent';
+            onMouseUp={(e) => {
+              e.currentTarget.style.transform = 'scale(1)';
             }}
             style={{
-              marginLeft: 'auto',
-              background: 'transparent',
+              padding: '12px 24px',
+              background: THEME.gradients.success,
               border: 'none',
+              borderRadius: '10px',
+              color: THEME.white,
+              fontSize: '14px',
+              fontWeight: '600',
               cursor: 'pointer',
-              padding: '4px 6px',
-              borderRadius: '4px',
-              transition: 'background 0.2s ease',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              transition: 'all 0.2s ease',
+              boxShadow: THEME.shadows.md,
+              fontFamily: 'var(--font-body)',
             }}
           >
-            <X size={16} color="#721C24" />
+            <Download size={20} />
+            Export
           </button>
-        </div>
-      )}
-
-      <div style={{
-        background: THEME.white,
-        borderRadius: '12px',
-        padding: '20px',
-        boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
-        display: 'flex',
-        flexDirection: 'column',
-        height: 'calc(100vh - 240px)',
-        minHeight: '600px',
-        maxHeight: 'none',
-      }}>
-        {/* Chat History Dropdown */}
-        {currentUser && chatSessions.length > 0 && (
-          <div style={{ 
-            marginBottom: '16px', 
-            display: 'flex', 
-            gap: '8px', 
-            alignItems: 'center',
-            flexWrap: 'wrap'
-          }}>
-            <select
-              value={currentSessionId || ''}
-              onChange={(e) => {
-                if (e.target.value) {
-                  loadSession(e.target.value);
-                }
-              }}
-              style={{
-                flex: 1,
-                minWidth: '200px',
-                padding: '8px 12px',
-                borderRadius: '6px',
-                border: `1px solid ${THEME.border}`,
-                background: THEME.white,
-                color: THEME.text,
-                fontSize: '14px',
-                cursor: 'pointer',
-                outline: 'none',
-              }}
-            >
-              {chatSessions.map((session) => (
-                <option key={session.id} value={session.id}>
-                  {session.title} ({new Date(session.lastMessageAt).toLocaleDateString()})
-                </option>
-              ))}
-            </select>
-            <button
-              onClick={handleNewChat}
-              style={{
-                padding: '8px 16px',
-                background: THEME.primary,
-                border: 'none',
-                borderRadius: '6px',
-                color: THEME.white,
-                fontSize: '14px',
-                fontWeight: '600',
-                cursor: 'pointer',
-                display: 'flex',
-                alignItems: 'center',
-                gap: '6px',
-                transition: 'all 0.2s ease',
-              }}
-              onMouseEnter={(e) => {
-                e.currentTarget.style.background = THEME.primaryDark;
-                e.currentTarget.style.transform = 'translateY(-1px)';
-              }}
-              onMouseLeave={(e) => {
-                e.currentTarget.style.background = THEME.primary;
-                e.currentTarget.style.transform = 'translateY(0)';
-              }}
-            >
-              <Plus size={16} />
-              New Chat
-            </button>
-            {currentSessionId && (
-              <button
-                onClick={() => deleteSession(currentSessionId)}
-                style={{
-                  padding: '8px 12px',
-                  background: 'transparent',
-                  border: `1px solid ${THEME.danger}`,
-                  borderRadius: '6px',
-                  color: THEME.danger,
-                  fontSize: '14px',
-                  fontWeight: '600',
-                  cursor: 'pointer',
-                  display: 'flex',
-                  alignItems: 'center',
-                  gap: '6px',
-                  transition: 'all 0.2s ease',
-                }}
-                onMouseEnter={(e) => {
-                  e.currentTarget.style.background = THEME.danger;
-                  e.currentTarget.style.color = THEME.white;
-                  e.currentTarget.style.transform = 'translateY(-1px)';
-                }}
-                onMouseLeave={(e) => {
-                  e.currentTarget.style.background = 'transparent';
-                  e.currentTarget.style.color = THEME.danger;
-                  e.currentTarget.style.transform = 'translateY(0)';
-                }}
-                title="Delete this conversation"
-              >
-                <Trash2 size={16} />
-                Delete
-              </button>
-            )}
-            {chatSessions.length > 1 && (
-              <button
-                onClick={deleteAllConversations}
-                style={{
-                  padding: '8px 12px',
-                  background: 'transparent',
-                  border: `1px solid ${THEME.textLight}`,
-                  borderRadius: '6px',
-                  color: THEME.textLight,
-                  fontSize: '14px',
-                  fontWeight: '600',
-                  cursor: 'pointer',
-                  display: 'flex',
-                  alignItems: 'center',
-                  gap: '6px',
-                  transition: 'all 0.2s ease',
-                }}
-                onMouseEnter={(e) => {
-                  e.currentTarget.style.background = THEME.danger;
-                  e.currentTarget.style.borderColor = THEME.danger;
-                  e.currentTarget.style.color = THEME.white;
-                  e.currentTarget.style.transform = 'translateY(-1px)';
-                }}
-                onMouseLeave={(e) => {
-                  e.currentTarget.style.background = 'transparent';
-                  e.currentTarget.style.borderColor = THEME.textLight;
-                  e.currentTarget.style.color = THEME.textLight;
-                  e.currentTarget.style.transform = 'translateY(0)';
-                }}
-                title="Delete all conversations"
-              >
-                <Trash2 size={16} />
-                Clear All
-              </button>
-            )}
-          </div>
-        )}
+          <input
+            ref={importInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImportFile}
+            style={{ display: 'none' }}
+          />
+          <button
+            onClick={() => importInputRef.current?.click()}
+            style={{
+              padding: '12px 24px',
+              background: THEME.gradients.primary,
+              border: 'none',
+              borderRadius: '10px',
+              color: THEME.white,
+              fontSize: '14px',
+              fontWeight: '600',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+            }}
+          >
+            <Upload size={20} />
+            Import
+          </button>
+          <button
+            onClick={toggleCurveEditor}
+            style={{
+              padding: '12px 24px',
+              background: THEME.gradients.gold,
+              border: 'none',
+              borderRadius: '10px',
+              color: THEME.white,
+              fontSize: '14px',
+              fontWeight: '600',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+            }}
+          >
+            <Trophy size={20} />
+            XP Curve
+          </button>
+          <button
+            onClick={() => setShowForm(!showForm)}
+            onMouseDown={(e) => {
+              e.currentTarget.style.transform = 'scale(0.95)';
+            }}
+            onMouseUp={(e) => {
+              e.currentTarget.style.transform = 'scale(1)';
+            }}
+            style={{
+              padding: '12px 24px',
+              background: THEME.gradients.primary,
+              border: 'none',
+              borderRadius: '10px',
+              color: THEME.white,
+              fontSize: '14px',
+              fontWeight: '600',
+              cursor: 'pointer',
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+            }}
+          >
+            <Plus size={20} />
+            Add User
+          </button>
+        </div>
+      </div>
 
-        {/* Messages */}
+      {importPreview && (
         <div style={{
-          flex: 1,
-          overflowY: 'auto',
-          marginBottom: '16px',
-          paddingRight: '8px',
+          background: THEME.white,
+          borderRadius: '12px',
+          padding: '20px',
+          marginBottom: '20px',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
         }}>
-          {messages.map((message) => (
-            <div
-              key={message.id}
-              style={{
-                display: 'flex',
-                gap: '12px',
-                marginBottom: '20px',
-                flexDirection: message.role === 'user' ? 'row-reverse' : 'row',
-                animation: 'fadeInUp 0.3s ease-out',
-              }}
-            >
-              <div style={{
-                width: '36px',
-                height: '36px',
-                borderRadius: '50%',
-                background: message.role === 'user' ? THEME.primary : THEME.secondary,
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                flexShrink: 0,
-                boxShadow: '0 2px 6px rgba(0, 0, 0, 0.1)',
-              }}>
-                {message.role === 'user' ? (
-                  <div style={{
-                    width: '28px',
-                    height: '28px',
-                    borderRadius: '50%',
-                    background: THEME.white,
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    fontSize: '11px',
-                    fontWeight: '600',
-                    color: THEME.primary,
-                  }}>
-                    {currentUser?.name?.[0]?.toUpperCase() || 'U'}
-                  </div>
-                ) : (
-                  <Bot size={20} color={THEME.primary} />
-                )}
-              </div>
-              <div style={{
-                flex: 1,
-                background: message.role === 'user' ? THEME.primary : THEME.secondary,
-                color: message.role === 'user' ? THEME.white : THEME.text,
-                padding: '14px 18px',
-                borderRadius: message.role === 'user' ? '16px 16px 4px 16px' : '16px 16px 16px 4px',
-                maxWidth: '80%',
-                wordWrap: 'break-word',
-                boxShadow: '0 2px 8px rgba(0, 0, 0, 0.1)',
-              }}>
-                {message.isVoice && (
-                  <div style={{ fontSize: '10px', opacity: 0.8, marginBottom: '6px', display: 'flex', alignItems: 'center', gap: '4px' }}>
-                    <Mic size={12} />
-                    Voice
-                  </div>
-                )}
-                <div style={{ fontSize: '14px', lineHeight: '1.6' }}>
-                  {formatMarkdown(message.content)}
-                </div>
-                {message.isError && (
-                  <div style={{ fontSize: '11px', opacity: 0.8, marginTop: '6px', paddingTop: '6px', borderTop: `1px solid ${message.role === 'user' ? 'rgba(255, 255, 255, 0.2)' : THEME.border}` }}>
-                    Error occurred
-                  </div>
-                )}
-              </div>
+          <div style={{ fontSize: '16px', fontWeight: '700', color: THEME.text, marginBottom: '4px' }}>
+            Import Backup
+          </div>
+          <div style={{ fontSize: '12px', color: THEME.textLight, marginBottom: '16px' }}>
+            {importPreview.fileName}
+            {importPreview.backup && (
+              <>
+                {' · '}version {importPreview.backup.version}
+                {importPreview.backup.exportDate && ` · exported ${new Date(importPreview.backup.exportDate).toLocaleString()}`}
+              </>
+            )}
+          </div>
+
+          {importPreview.error ? (
+            <div style={{
+              padding: '12px',
+              background: `${THEME.danger}15`,
+              borderRadius: '8px',
+              color: THEME.danger,
+              fontSize: '13px',
+              marginBottom: '16px',
+            }}>
+              {importPreview.error}
             </div>
-          ))}
-          {isLoading && (
-            <div style={{ display: 'flex', gap: '12px', marginBottom: '20px', animation: 'fadeInUp 0.3s ease-out' }}>
-              <div style={{
-                width: '36px',
-                height: '36px',
-                borderRadius: '50%',
-                background: THEME.secondary,
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                flexShrink: 0,
-                boxShadow: '0 2px 6px rgba(0, 0, 0, 0.1)',
-              }}>
-                <Bot size={20} color={THEME.primary} />
+          ) : (
+            <>
+              <div style={{ overflowX: 'auto', marginBottom: '12px' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                  <thead>
+                    <tr style={{ color: THEME.textLight, textAlign: 'right' }}>
+                      <th style={{ textAlign: 'left', padding: '6px 4px' }}>Data</th>
+                      <th style={{ padding: '6px 4px' }}>Added</th>
+                      <th style={{ padding: '6px 4px' }}>Changed</th>
+                      <th style={{ padding: '6px 4px' }}>Conflicting</th>
+                      <th style={{ padding: '6px 4px' }}>{importMode === IMPORT_MODES.REPLACE ? 'Deleted' : 'Kept'}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {importPreview.diff.map(collection => (
+                      <tr key={collection.key} style={{ borderTop: `1px solid ${THEME.border}`, color: THEME.text, textAlign: 'right' }}>
+                        <td style={{ textAlign: 'left', padding: '6px 4px', fontWeight: '600' }}>{collection.label}</td>
+                        <td style={{ padding: '6px 4px', color: collection.added.length ? THEME.success : THEME.textLight }}>
+                          {collection.added.length}
+                        </td>
+                        <td style={{ padding: '6px 4px', color: collection.changed.length ? THEME.primary : THEME.textLight }}>
+                          {collection.changed.length}
+                        </td>
+                        <td style={{ padding: '6px 4px', color: collection.conflicting.length ? THEME.warning : THEME.textLight }}>
+                          {collection.conflicting.length}
+                        </td>
+                        <td style={{ padding: '6px 4px', color: THEME.textLight }}>
+                          {importMode === IMPORT_MODES.REPLACE && !collection.keepMissing
+                            ? <span style={{ color: collection.missing.length ? THEME.danger : THEME.textLight }}>{collection.missing.length}</span>
+                            : collection.missing.length}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
               </div>
-              <div style={{
-                background: THEME.secondary,
-                padding: '14px 18px',
-                borderRadius: '16px 16px 16px 4px',
-                boxShadow: '0 2px 8px rgba(0, 0, 0, 0.1)',
-              }}>
-                <div style={{ 
-                  fontSize: '14px', 
-                  color: THEME.textLight,
-                  display: 'flex',
-                  alignItems: 'center',
-                  gap: '8px'
-                }}>
-                  <span style={{
-                    display: 'inline-block',
-                    width: '8px',
-                    height: '8px',
-                    borderRadius: '50%',
-                    background: THEME.primary,
-                    animation: 'pulse 1.5s ease-in-out infinite',
-                  }}></span>
-                  <span style={{
-                    display: 'inline-block',
-                    width: '8px',
-                    height: '8px',
-                    borderRadius: '50%',
-                    background: THEME.primary,
-                    animation: 'pulse 1.5s ease-in-out infinite 0.2s',
-                  }}></span>
-                  <span style={{
-                    display: 'inline-block',
-                    width: '8px',
-                    height: '8px',
-                    borderRadius: '50%',
-                    background: THEME.primary,
-                    animation: 'pulse 1.5s ease-in-out infinite 0.4s',
-                  }}></span>
-                  <span style={{ marginLeft: '4px' }}>Thinking...</span>
-                </div>
+              <div style={{ fontSize: '12px', color: THEME.textLight, marginBottom: '16px' }}>
+                Conflicting records were changed here after the backup was taken. Data the backup does not
+                include is left as it is, and team members are never deleted.
               </div>
-            </div>
-          )}
-          <div ref={messagesEndRef} />
-        </div>
 
-        {/* Unified Input Area - Text and Voice */}
-        <div style={{ display: 'flex', gap: '8px', alignItems: 'flex-end' }}>
-          <textarea
-            value={input}
-            onChange={(e) => setInput(e.target.value)}
-            onKeyPress={handleKeyPress}
-            placeholder={isAIConfigured() ? "Ask me anything about your goals or the app..." : "AI not configured"}
-            disabled={isLoading || !isAIConfigured() || voiceStatus === 'connecting'}
-            maxLength={500}
-            rows={2}
-            style={{
-              flex: 1,
-              padding: '12px',
-              border: `2px solid ${THEME.border}`,
-              borderRadius: '8px',
-              fontSize: '14px',
-              fontFamily: 'inherit',
-              boxSizing: 'border-box',
-              resize: 'vertical',
-              minHeight: '50px',
-              maxHeight: '120px',
-            }}
-          />
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', alignItems: 'center' }}>
-            {/* Microphone Button */}
-            {voiceChatEnabled && (
-              <button
-                onClick={() => {
-                  if (voiceStatus === 'disconnected') {
-                    handleStartVoiceChat();
-                  } else if (voiceStatus === 'listening') {
-                    handleToggleListening();
-                  } else if (voiceStatus === 'ready') {
-                    handleToggleListening();
-                  }
-                }}
-                disabled={voiceStatus === 'connecting' || voiceStatus === 'connected' || voiceStatus === 'processing'}
-                onMouseEnter={(e) => {
-                  if (!e.currentTarget.disabled) {
-                    e.currentTarget.style.transform = 'scale(1.05)';
-                    e.currentTarget.style.background = voiceStatus === 'listening' 
-                      ? `linear-gradient(135deg, #c82333 0%, #a02133 100%)`
-                      : `linear-gradient(135deg, #0056b3 0%, #004085 100%)`;
-                  }
-                }}
-                onMouseLeave={(e) => {
-                  e.currentTarget.style.transform = 'scale(1)';
-                  e.currentTarget.style.background = voiceStatus === 'listening'
-                    ? `linear-gradient(135deg, ${THEME.danger} 0%, #c82333 100%)`
-                    : voiceStatus !== 'disconnected'
-                    ? `linear-gradient(135deg, ${THEME.primary} 0%, #0056b3 100%)`
-                    : THEME.primary;
-                }}
-                style={{
-                  width: '48px',
-                  height: '48px',
-                  borderRadius: '50%',
-                  background: voiceStatus === 'listening'
-                    ? `linear-gradient(135deg, ${THEME.danger} 0%, #c82333 100%)`
-                    : voiceStatus !== 'disconnected'
-                    ? `linear-gradient(135deg, ${THEME.primary} 0%, #0056b3 100%)`
-                    : THEME.primary,
-                  border: 'none',
-                  cursor: (voiceStatus === 'disconnected' || voiceStatus === 'ready' || voiceStatus === 'listening') ? 'pointer' : 'not-allowed',
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                  boxShadow: voiceStatus === 'listening'
-                    ? `0 0 0 ${4 + audioLevel * 10}px rgba(220,53,69,0.25), 0 4px 12px rgba(220,53,69,0.3)`
-                    : voiceStatus !== 'disconnected'
-                    ? '0 4px 12px rgba(0, 123, 255, 0.25)'
-                    : '0 4px 12px rgba(0, 123, 255, 0.2)',
-                  transition: 'all 0.3s cubic-bezier(0.4, 0, 0.2, 1)',
-                  transform: 'scale(1)',
-                  opacity: voiceStatus === 'connecting' || voiceStatus === 'connected' || voiceStatus === 'processing' ? 0.6 : 1,
-                }}
-                title={
-                  voiceStatus === 'disconnected' ? 'Start voice chat' :
-                  voiceStatus === 'listening' ? 'Stop listening' :
-                  voiceStatus === 'ready' ? 'Start listening' :
-                  voiceStatus === 'connecting' ? 'Connecting...' :
-                  'Voice chat active'
-                }
-              >
-                {voiceStatus === 'listening' ? (
-                  <MicOff size={20} color={THEME.white} />
-                ) : (
-                  <Mic size={20} color={THEME.white} />
-                )}
-              </button>
-            )}
-            {/* Interrupt Button - Show when AI is speaking */}
-            {voiceStatus === 'processing' && voiceSessionRef.current && (
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '16px' }}>
+                {[
+                  { mode: IMPORT_MODES.MERGE, label: 'Merge', description: 'Add new and changed records; keep conflicting ones as they are here' },
+                  { mode: IMPORT_MODES.REPLACE, label: 'Replace', description: 'Make the data match the backup, including conflicting and deleted records' },
+                ].map(option => (
+                  <label
+                    key={option.mode}
+                    style={{
+                      display: 'block',
+                      padding: '12px',
+                      border: `2px solid ${importMode === option.mode ? THEME.primary : THEME.border}`,
+                      borderRadius: '8px',
+                      cursor: 'pointer',
+                    }}
+                  >
+                    <input
+                      type="radio"
+                      name="importMode"
+                      value={option.mode}
+                      checked={importMode === option.mode}
+                      onChange={() => setImportMode(option.mode)}
+                      style={{ marginRight: '8px' }}
+                    />
+                    <span style={{ fontSize: '14px', fontWeight: '600', color: THEME.text }}>{option.label}</span>
+                    <div style={{ fontSize: '12px', color: THEME.textLight, marginTop: '4px' }}>{option.description}</div>
+                  </label>
+                ))}
+              </div>
+            </>
+          )}
+
+          <div style={{ display: 'flex', gap: '8px' }}>
+            {!importPreview.error && (
               <button
-                onClick={() => {
-                  if (voiceSessionRef.current) {
-                    voiceSessionRef.current.interrupt();
-                    setVoiceStatus('ready');
-                  }
-                }}
+                onClick={handleImport}
+                disabled={isImporting}
                 style={{
-                  width: '48px',
-                  height: '48px',
-                  borderRadius: '8px',
-                  background: THEME.warning,
+                  flex: 1,
+                  padding: '12px',
+                  background: importMode === IMPORT_MODES.REPLACE ? THEME.danger : THEME.success,
                   border: 'none',
-                  cursor: 'pointer',
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                  boxShadow: '0 2px 8px rgba(255, 193, 7, 0.25)',
-                  transition: 'all 0.2s ease',
-                }}
-                onMouseEnter={(e) => {
-                  e.currentTarget.style.background = '#e0a800';
-                  e.currentTarget.style.transform = 'scale(1.05)';
-                }}
-                onMouseLeave={(e) => {
-                  e.currentTarget.style.background = THEME.warning;
-                  e.currentTarget.style.transform = 'scale(1)';
+                  borderRadius: '8px',
+                  color: THEME.white,
+                  fontSize: '14px',
+                  fontWeight: '600',
+                  cursor: isImporting ? 'wait' : 'pointer',
+                  opacity: isImporting ? 0.7 : 1,
                 }}
-                title="Interrupt AI speech"
               >
-                <Square size={18} color={THEME.white} />
+                {isImporting ? 'Importing...' : importMode === IMPORT_MODES.REPLACE ? 'Replace Data' : 'Merge Backup'}
               </button>
             )}
-            {/* Stop Button - Show when voice chat is active */}
-            {voiceStatus !== 'disconnected' && (
-              <button
-                onClick={handleEndVoiceChat}
+            <button
+              onClick={() => setImportPreview(null)}
+              disabled={isImporting}
+              style={{
+                flex: 1,
+                padding: '12px',
+                background: THEME.secondary,
+                border: 'none',
+                borderRadius: '8px',
+                color: THEME.text,
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: 'pointer',
+              }}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {curveDraft && (
+        <div style={{
+          background: THEME.white,
+          borderRadius: '12px',
+          padding: '20px',
+          marginBottom: '20px',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+        }}>
+          <div style={{ fontSize: '16px', fontWeight: '700', color: THEME.text, marginBottom: '4px' }}>
+            XP & Levels
+          </div>
+          <div style={{ fontSize: '12px', color: THEME.textLight, marginBottom: '16px' }}>
+            Applies to the whole team. Everyone's XP and level are recalculated when you save.
+            XP per activity is set on each category under Activity Categories.
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '8px', marginBottom: '12px' }}>
+            {[
+              { key: 'goalMultiplier', label: 'All Goals Met ×' },
+              { key: 'streakBonusPerDay', label: 'Streak Bonus / Day' },
+              { key: 'maxStreakMultiplier', label: 'Max Streak ×' },
+            ].map(field => (
+              <div key={field.key}>
+                <label style={{ display: 'block', marginBottom: '4px', fontSize: '12px', fontWeight: '600', color: THEME.text }}>
+                  {field.label}
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={curveDraft[field.key]}
+                  onChange={(e) => setCurveDraft({ ...curveDraft, [field.key]: e.target.value })}
+                  style={settingInputStyle}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div style={{ marginBottom: '16px' }}>
+            <label style={{ display: 'block', marginBottom: '4px', fontSize: '12px', fontWeight: '600', color: THEME.text }}>
+              Level Thresholds (total XP for level 1, 2, 3, ...)
+            </label>
+            <input
+              type="text"
+              value={curveDraft.levelThresholds}
+              onChange={(e) => setCurveDraft({ ...curveDraft, levelThresholds: e.target.value })}
+              placeholder="0, 100, 250, 450"
+              style={settingInputStyle}
+            />
+            <div style={{ fontSize: '12px', color: THEME.textLight, marginTop: '4px' }}>
+              Levels past the last threshold keep the last gap.
+            </div>
+          </div>
+
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button
+              onClick={handleSaveCurve}
+              style={{
+                flex: 1,
+                padding: '12px',
+                background: THEME.success,
+                border: 'none',
+                borderRadius: '8px',
+                color: THEME.white,
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: 'pointer',
+              }}
+            >
+              Save Curve
+            </button>
+            <button
+              onClick={() => setCurveDraft(null)}
+              style={{
+                flex: 1,
+                padding: '12px',
+                background: THEME.secondary,
+                border: 'none',
+                borderRadius: '8px',
+                color: THEME.text,
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: 'pointer',
+              }}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+      
+      {showForm && (
+        <div style={{
+          background: THEME.white,
+          borderRadius: '12px',
+          padding: '20px',
+          marginBottom: '20px',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+        }}>
+          <div style={{ marginBottom: '16px' }}>
+            <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+              Name
+            </label>
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="Enter name"
+              maxLength={50}
+              style={{
+                width: '100%',
+                padding: '12px',
+                border: `2px solid ${THEME.border}`,
+                borderRadius: '8px',
+                fontSize: '16px',
+                boxSizing: 'border-box',
+              }}
+            />
+          </div>
+          
+          <div style={{ marginBottom: '16px' }}>
+            <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+              Role
+            </label>
+            <select
+              value={newRole}
+              onChange={(e) => setNewRole(e.target.value)}
+              style={{
+                width: '100%',
+                padding: '12px',
+                border: `2px solid ${THEME.border}`,
+                borderRadius: '8px',
+                fontSize: '16px',
+                boxSizing: 'border-box',
+                cursor: 'pointer',
+              }}
+            >
+              <option value="employee">Employee</option>
+              <option value="manager">Manager</option>
+            </select>
+          </div>
+
+          {isSupabaseConfigured && (
+            <div style={{ marginBottom: '16px' }}>
+              <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+                Email (magic link sign-in)
+              </label>
+              <input
+                type="email"
+                value={newEmail}
+                onChange={(e) => setNewEmail(e.target.value)}
+                placeholder="name@example.com"
                 style={{
-                  width: '48px',
-                  height: '48px',
+                  width: '100%',
+                  padding: '12px',
+                  border: `2px solid ${THEME.border}`,
                   borderRadius: '8px',
-                  background: THEME.danger,
-                  border: 'none',
-                  cursor: 'pointer',
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                  boxShadow: '0 2px 8px rgba(220, 53, 69, 0.25)',
-                  transition: 'all 0.2s ease',
-                }}
-                onMouseEnter={(e) => {
-                  e.currentTarget.style.background = '#c82333';
-                  e.currentTarget.style.transform = 'scale(1.05)';
-                }}
-                onMouseLeave={(e) => {
-                  e.currentTarget.style.background = THEME.danger;
-                  e.currentTarget.style.transform = 'scale(1)';
+                  fontSize: '16px',
+                  boxSizing: 'border-box',
                 }}
-                title="Stop voice chat"
-              >
-                <X size={18} color={THEME.white} />
-              </button>
-            )}
-            {/* Send Button */}
-            <button
-              onClick={handleSend}
-              disabled={!input.trim() || isLoading || !isAIConfigured() || voiceStatus === 'connecting'}
+              />
+            </div>
+          )}
+
+          <div style={{ marginBottom: '16px' }}>
+            <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+              Initial PIN
+            </label>
+            <input
+              type="password"
+              inputMode="numeric"
+              autoComplete="new-password"
+              value={newPin}
+              onChange={pinInputHandler(setNewPin)}
+              placeholder="4-8 digits"
               style={{
+                width: '100%',
                 padding: '12px',
-                minWidth: '48px',
-                height: '48px',
-                background: (input.trim() && !isLoading && isAIConfigured() && voiceStatus !== 'connecting') ? THEME.primary : THEME.border,
+                border: `2px solid ${THEME.border}`,
+                borderRadius: '8px',
+                fontSize: '16px',
+                boxSizing: 'border-box',
+              }}
+            />
+            <div style={{ fontSize: '12px', color: THEME.textLight, marginTop: '4px' }}>
+              Share the PIN with the team member privately. They can sign in with either method.
+            </div>
+          </div>
+          
+          <div style={{ display: 'flex', gap: '12px' }}>
+            <button
+              onClick={handleCreate}
+              disabled={!newName.trim()}
+              style={{
+                flex: 1,
+                padding: '16px',
+                background: newName.trim() ? THEME.success : THEME.border,
+                border: 'none',
+                borderRadius: '8px',
+                color: THEME.white,
+                fontSize: '16px',
+                fontWeight: '600',
+                cursor: newName.trim() ? 'pointer' : 'not-allowed',
+              }}
+            >
+              Create User
+            </button>
+            <button
+              onClick={() => setShowForm(false)}
+              style={{
+                flex: 1,
+                padding: '16px',
+                background: THEME.secondary,
                 border: 'none',
                 borderRadius: '8px',
-                color: THEME.white,
-                fontSize: '14px',
+                color: THEME.text,
+                fontSize: '16px',
                 fontWeight: '600',
-                cursor: (input.trim() && !isLoading && isAIConfigured() && voiceStatus !== 'connecting') ? 'pointer' : 'not-allowed',
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                boxShadow: (input.trim() && !isLoading && isAIConfigured() && voiceStatus !== 'connecting') ? '0 2px 8px rgba(0, 123, 255, 0.2)' : 'none',
+                cursor: 'pointer',
               }}
             >
-              <Send size={18} />
+              Cancel
             </button>
           </div>
         </div>
-        {!isAIConfigured() && (
-          <div style={{
-            marginTop: '8px',
-            padding: '8px',
-            background: THEME.warning,
-            borderRadius: '6px',
-            fontSize: '12px',
-            color: THEME.text,
-          }}>
-            Configure your Gemini API key in Settings to enable AI features
-          </div>
-        )}
-      </div>
-
-      {/* Role-Playing Prompts */}
-      {voiceStatus === 'ready' && (
-        <div style={{
-          marginTop: '16px',
-          background: THEME.accent,
-          borderRadius: '12px',
-          padding: '16px',
-        }}>
-          <h4 style={{ margin: '0 0 12px 0', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
-            Try these voice role-plays:
-          </h4>
-          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
-            {[
-              'Practice a cold call intro',
-              'Handle an objection about price',
-              'Schedule a follow-up appointment',
-              'Close a sale',
-            ].map((prompt, index) => (
-              <button
-                key={index}
-                onClick={() => {
-                  if (voiceSessionRef.current && voiceStatus === 'ready') {
-                    voiceSessionRef.current.sendText(`Let's role-play: ${prompt}`);
-                  }
-                }}
-                style={{
-                  padding: '8px 12px',
-                  background: THEME.white,
-                  border: `1px solid ${THEME.border}`,
-                  borderRadius: '16px',
-                  fontSize: '12px',
-                  color: THEME.text,
-                  cursor: 'pointer',
-                }}
-              >
-                {prompt}
-              </button>
-            ))}
-          </div>
-        </div>
       )}
-    </div>
-  );
-}
-
-// ========================================
-// TEAM VIEW COMPONENT (Manager Only)
-// ========================================
-
-function TeamView({ users, dailyLogs, theme }) {
-  const THEME = theme;
-  const today = getToday();
-
-  return (
-    <div>
-      <h2 style={{ margin: '0 0 20px 0', fontSize: '20px', fontWeight: '700', color: THEME.text }}>
-        Team Overview
-      </h2>
       
-      <div style={{ display: 'grid', gap: '16px' }}>
-        {users.filter(u => u.role === 'employee').map(user => {
-          const stats = dailyLogs[today]?.[user.id] || { reviews: 0, demos: 0, callbacks: 0 };
-          const total = (stats.reviews || 0) + (stats.demos || 0) + (stats.callbacks || 0);
-          const goalTotal = user.goals.reviews + user.goals.demos + user.goals.callbacks;
-          const progress = (total / goalTotal) * 100;
-          
-          return (
-            <div
-              key={user.id}
-              style={{
-                background: THEME.white,
-                borderRadius: '16px',
-                padding: '24px',
-                boxShadow: THEME.shadows.md,
-                border: `1px solid ${THEME.border}`,
-                transition: 'all 0.3s ease',
-              }}
-              onMouseEnter={(e) => {
-                e.currentTarget.style.boxShadow = THEME.shadows.layered;
-                e.currentTarget.style.transform = 'translateY(-2px)';
-              }}
-              onMouseLeave={(e) => {
-                e.currentTarget.style.boxShadow = THEME.shadows.md;
-                e.currentTarget.style.transform = 'translateY(0)';
-              }}
-            >
-              <div style={{ marginBottom: '16px' }}>
-                <div style={{ 
-                  fontSize: '20px', 
-                  fontWeight: '700', 
-                  color: THEME.text, 
-                  marginBottom: '6px',
-                  fontFamily: 'var(--font-display)',
-                }}>
+      <div style={{ display: 'grid', gap: '12px' }}>
+        {users.map(user => (
+          <div
+            key={user.id}
+            style={{
+              background: THEME.white,
+              borderRadius: '12px',
+              padding: '16px',
+              boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+            }}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start', marginBottom: '12px' }}>
+              <div>
+                <div style={{ fontSize: '16px', fontWeight: '600', color: THEME.text, marginBottom: '4px' }}>
                   {user.name}
                 </div>
-                <div style={{ 
-                  fontSize: '15px', 
-                  color: THEME.textLight,
-                  fontFamily: 'var(--font-body)',
-                }}>
-                  {total} / {goalTotal} activities today
+                <div style={{ fontSize: '14px', color: THEME.textLight }}>
+                  {user.role === 'manager' ? '👔 Manager' : '👤 Employee'}
+                </div>
+                <div style={{ fontSize: '12px', color: hasCredentials(user) ? THEME.textLight : THEME.warning, marginTop: '2px' }}>
+                  {[(user.hasPin || user.pinHash) && 'PIN', user.email].filter(Boolean).join(' · ') || 'No sign-in set'}
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: '4px' }}>
+                <button
+                  onClick={() => {
+                    setEditingCredentials(editingCredentials === user.id ? null : user.id);
+                    setCredentialEmail(user.email || '');
+                    setCredentialPin('');
+                  }}
+                  title="Sign-in details"
+                  style={{
+                    padding: '8px',
+                    background: 'transparent',
+                    border: 'none',
+                    cursor: 'pointer',
+                  }}
+                >
+                  <Key size={18} color={THEME.primary} />
+                </button>
+                <button
+                  onClick={() => onDeleteUser(user.id)}
+                  style={{
+                    padding: '8px',
+                    background: 'transparent',
+                    border: 'none',
+                    cursor: 'pointer',
+                  }}
+                >
+                  <Trash2 size={18} color={THEME.danger} />
+                </button>
+              </div>
+            </div>
+
+            {editingCredentials === user.id && (
+              <div style={{
+                marginBottom: '12px',
+                padding: '12px',
+                background: THEME.secondary,
+                borderRadius: '8px',
+              }}>
+                {isSupabaseConfigured && (
+                  <div style={{ marginBottom: '12px' }}>
+                    <label style={{ display: 'block', marginBottom: '4px', fontSize: '12px', fontWeight: '600', color: THEME.text }}>
+                      Email
+                    </label>
+                    <input
+                      type="email"
+                      value={credentialEmail}
+                      onChange={(e) => setCredentialEmail(e.target.value)}
+                      placeholder="name@example.com"
+                      style={{
+                        width: '100%',
+                        padding: '8px',
+                        border: `2px solid ${THEME.border}`,
+                        borderRadius: '6px',
+                        fontSize: '14px',
+                        boxSizing: 'border-box',
+                      }}
+                    />
+                  </div>
+                )}
+                <div style={{ marginBottom: '12px' }}>
+                  <label style={{ display: 'block', marginBottom: '4px', fontSize: '12px', fontWeight: '600', color: THEME.text }}>
+                    {user.hasPin || user.pinHash ? 'Reset PIN' : 'Set PIN'}
+                  </label>
+                  <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="new-password"
+                    value={credentialPin}
+                    onChange={pinInputHandler(setCredentialPin)}
+                    placeholder="Leave blank to keep current"
+                    style={{
+                      width: '100%',
+                      padding: '8px',
+                      border: `2px solid ${THEME.border}`,
+                      borderRadius: '6px',
+                      fontSize: '14px',
+                      boxSizing: 'border-box',
+                    }}
+                  />
+                </div>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <button
+                    onClick={() => handleSaveCredentials(user)}
+                    style={{
+                      flex: 1,
+                      padding: '8px',
+                      background: THEME.success,
+                      border: 'none',
+                      borderRadius: '6px',
+                      color: THEME.white,
+                      fontSize: '12px',
+                      fontWeight: '600',
+                      cursor: 'pointer',
+                    }}
+                  >
+                    <Check size={14} />
+                  </button>
+                  <button
+                    onClick={() => setEditingCredentials(null)}
+                    style={{
+                      flex: 1,
+                      padding: '8px',
+                      background: THEME.white,
+                      border: 'none',
+                      borderRadius: '6px',
+                      color: THEME.text,
+                      fontSize: '12px',
+                      fontWeight: '600',
+                      cursor: 'pointer',
+                    }}
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              </div>
+            )}
+            
+            {editingGoals === user.id ? (
+              <div>
+                <div style={{ marginBottom: '12px' }}>
+                  <select
+                    value={goalPeriod}
+                    onChange={(e) => {
+                      setGoalPeriod(e.target.value);
+                      setGoals({});
+                    }}
+                    style={{
+                      width: '100%',
+                      padding: '8px',
+                      marginBottom: '12px',
+                      border: `2px solid ${THEME.border}`,
+                      borderRadius: '6px',
+                      fontSize: '14px',
+                      boxSizing: 'border-box',
+                      cursor: 'pointer',
+                    }}
+                  >
+                    {GOAL_PERIODS.map(period => (
+                      <option key={period.id} value={period.id}>{period.label} goals</option>
+                    ))}
+                  </select>
+                  {activeCategories.map(category => (
+                    <div key={category.id} style={{ marginBottom: '12px' }}>
+                      <label style={{ display: 'block', marginBottom: '4px', fontSize: '12px', fontWeight: '600', color: THEME.text }}>
+                        {category.name} Goal
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        max={MAX_GOAL[goalPeriod]}
+                        value={goals[category.id] !== undefined ? goals[category.id] : getUserGoals(user)[goalPeriod][category.id] || 0}
+                        onChange={(e) => setGoals({ ...goals, [category.id]: parseInt(e.target.value) || 0 })}
+                        style={{
+                          width: '100%',
+                          padding: '8px',
+                          border: `2px solid ${THEME.border}`,
+                          borderRadius: '6px',
+                          fontSize: '14px',
+                          boxSizing: 'border-box',
+                        }}
+                      />
+                    </div>
+                  ))}
+                </div>
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <button
+                    onClick={() => handleSaveGoals(user.id)}
+                    style={{
+                      flex: 1,
+                      padding: '8px',
+                      background: THEME.success,
+                      border: 'none',
+                      borderRadius: '6px',
+                      color: THEME.white,
+                      fontSize: '12px',
+                      fontWeight: '600',
+                      cursor: 'pointer',
+                    }}
+                  >
+                    <Check size={14} />
+                  </button>
+                  <button
+                    onClick={() => {
+                      setEditingGoals(null);
+                      setGoals({});
+                    }}
+                    style={{
+                      flex: 1,
+                      padding: '8px',
+                      background: THEME.secondary,
+                      border: 'none',
+                      borderRadius: '6px',
+                      color: THEME.text,
+                      fontSize: '12px',
+                      fontWeight: '600',
+                      cursor: 'pointer',
+                    }}
+                  >
+                    <X size={14} />
+                  </button>
                 </div>
               </div>
-              
-              <div style={{
-                height: '12px',
-                background: THEME.secondary,
-                borderRadius: '8px',
-                overflow: 'hidden',
-                marginBottom: '16px',
-                boxShadow: 'inset 0 2px 4px rgba(0,0,0,0.1)',
-              }}>
-                <div style={{
-                  height: '100%',
-                  width: `${Math.min(progress, 100)}%`,
-                  background: progress >= 100 
-                    ? THEME.gradients.success 
-                    : progress >= 50 
-                      ? THEME.gradients.warning 
-                      : THEME.gradients.primary,
-                  transition: 'width 0.5s cubic-bezier(0.4, 0, 0.2, 1)',
-                  borderRadius: '8px',
-                }} />
-              </div>
-              
-              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '12px' }}>
-                {CATEGORIES.map((category, index) => {
-                  const count = stats[category.id] || 0;
-                  const goal = user.goals[category.id];
-                  const Icon = category.icon;
-                  
-                  let gradient = category.color;
-                  if (category.id === 'reviews') gradient = THEME.gradients.warning;
-                  else if (category.id === 'demos') gradient = THEME.gradients.success;
-                  else if (category.id === 'callbacks') gradient = THEME.gradients.primary;
-                  
-                  return (
-                    <div
-                      key={category.id}
-                      style={{
-                        padding: '12px',
-                        background: gradient,
-                        borderRadius: '12px',
-                        textAlign: 'center',
-                        boxShadow: THEME.shadows.sm,
-                        animation: `fadeInUp 0.3s ease-out ${index * 0.1}s both`,
-                      }}
-                    >
-                      <Icon size={20} color={THEME.white} style={{ marginBottom: '6px' }} />
-                      <div style={{ 
-                        fontSize: '14px', 
-                        fontWeight: '700', 
-                        color: THEME.white,
-                        fontFamily: 'var(--font-mono)',
-                      }}>
-                        {count}/{goal}
+            ) : (
+              <div>
+                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '8px', marginBottom: '12px' }}>
+                  {activeCategories.map(category => {
+                    const goal = user.goals[category.id];
+                    const weekGoal = user.periodGoals?.week?.[category.id];
+                    const monthGoal = user.periodGoals?.month?.[category.id];
+                    const Icon = getCategoryIcon(category);
+                    
+                    return (
+                      <div
+                        key={category.id}
+                        style={{
+                          padding: '8px',
+                          background: THEME.secondary,
+                          borderRadius: '8px',
+                          textAlign: 'center',
+                        }}
+                      >
+                        <Icon size={16} color={category.color} style={{ marginBottom: '4px' }} />
+                        <div style={{ fontSize: '12px', fontWeight: '600', color: THEME.text }}>
+                          Goal: {goal || '—'}
+                        </div>
+                        {(weekGoal > 0 || monthGoal > 0) && (
+                          <div style={{ fontSize: '11px', color: THEME.textLight }}>
+                            {[weekGoal > 0 && `${weekGoal}/wk`, monthGoal > 0 && `${monthGoal}/mo`].filter(Boolean).join(' • ')}
+                          </div>
+                        )}
                       </div>
-                    </div>
-                  );
-                })}
+                    );
+                  })}
+                </div>
+                {getFollowedTemplate(user.id) && (
+                  <div style={{ fontSize: '12px', color: THEME.textLight, marginBottom: '8px' }}>
+                    Following {getFollowedTemplate(user.id).name}
+                  </div>
+                )}
+                <button
+                  onClick={() => {
+                    setEditingGoals(user.id);
+                    setGoals({});
+                  }}
+                  style={{
+                    width: '100%',
+                    padding: '8px',
+                    background: THEME.primary,
+                    border: 'none',
+                    borderRadius: '6px',
+                    color: THEME.white,
+                    fontSize: '12px',
+                    fontWeight: '600',
+                    cursor: 'pointer',
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    gap: '6px',
+                  }}
+                >
+                  <Settings size={14} />
+                  Edit Goals
+                </button>
               </div>
-            </div>
-          );
-        })}
+            )}
+          </div>
+        ))}
       </div>
-    </div>
-  );
-}
 
-// ========================================
-// ADMIN PANEL COMPONENT (Manager Only)
-// ========================================
+      <GoalTemplatesManager
+        users={users}
+        templates={goalTemplates}
+        assignments={goalAssignments}
+        categories={categories}
+        onSaveTemplate={onSaveGoalTemplate}
+        onDeleteTemplate={onDeleteGoalTemplate}
+        onAssignTemplate={onAssignGoalTemplate}
+        theme={THEME}
+      />
 
-function AdminPanel({ users, onCreateUser, onDeleteUser, onUpdateGoals, onExport, theme }) {
-  const THEME = theme;
-  const [showForm, setShowForm] = useState(false);
-  const [newName, setNewName] = useState('');
-  const [newRole, setNewRole] = useState('employee');
-  const [editingGoals, setEditingGoals] = useState(null);
-  const [goals, setGoals] = useState({});
-  
-  const handleCreate = () => {
-    if (onCreateUser(newName, newRole)) {
-      setNewName('');
-      setShowForm(false);
-    }
-  };
-  
-  const handleSaveGoals = (userId) => {
-    onUpdateGoals(userId, goals);
-    setEditingGoals(null);
-    setGoals({});
-  };
-  
-  return (
-    <div>
-      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
-        <h2 style={{ 
-          margin: 0, 
-          fontSize: '24px', 
-          fontWeight: '700', 
-          color: THEME.text,
-          fontFamily: 'var(--font-display)',
-        }}>
-          Admin Panel
-        </h2>
-        <div style={{ display: 'flex', gap: '12px' }}>
-          <button
-            onClick={onExport}
-            onMouseDown={(e) => {
-              e.currentTarget.style.transform = 'scale(0.95)';
-            }}
-            onMouseUp={(e) => {
-              e.currentTarget.style.transform = 'scale(1)';
-            }}
-            style={{
-              padding: '12px 24px',
-              background: THEME.gradients.success,
-              border: 'none',
-              borderRadius: '10px',
-              color: THEME.white,
-              fontSize: '14px',
-              fontWeight: '600',
-              cursor: 'pointer',
-              display: 'flex',
-              alignItems: 'center',
-              gap: '8px',
-              transition: 'all 0.2s ease',
-              boxShadow: THEME.shadows.md,
-              fontFamily: 'var(--font-body)',
-            }}
-          >
-            <Download size={20} />
-            Export
-          </button>
+      <div style={{
+        background: THEME.white,
+        borderRadius: '12px',
+        padding: '20px',
+        marginTop: '20px',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '4px' }}>
+          <div style={{ fontSize: '16px', fontWeight: '700', color: THEME.text }}>
+            Activity Categories
+          </div>
           <button
-            onClick={() => setShowForm(!showForm)}
-            onMouseDown={(e) => {
-              e.currentTarget.style.transform = 'scale(0.95)';
-            }}
-            onMouseUp={(e) => {
-              e.currentTarget.style.transform = 'scale(1)';
-            }}
+            onClick={() => setCategoryDraft({
+              isNew: true,
+              name: '',
+              icon: 'Target',
+              color: '#6B7280',
+              defaultGoal: 0,
+              xpWeight: 10,
+              active: true,
+            })}
             style={{
-              padding: '12px 24px',
-              background: THEME.gradients.primary,
+              padding: '6px 12px',
+              background: THEME.primary,
               border: 'none',
-              borderRadius: '10px',
+              borderRadius: '6px',
               color: THEME.white,
-              fontSize: '14px',
+              fontSize: '12px',
               fontWeight: '600',
               cursor: 'pointer',
               display: 'flex',
               alignItems: 'center',
-              gap: '8px',
+              gap: '4px',
             }}
           >
-            <Plus size={20} />
-            Add User
+            <Plus size={14} />
+            Add Category
           </button>
         </div>
+        <div style={{ fontSize: '12px', color: THEME.textLight, marginBottom: '16px' }}>
+          What the team logs and sets goals for. Deactivating a category removes it from everyone's goals but keeps its history.
+        </div>
+
+        {categoryDraft && (
+          <div style={{
+            background: THEME.secondary,
+            borderRadius: '8px',
+            padding: '12px',
+            marginBottom: '12px',
+          }}>
+            <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr 1fr', gap: '8px', marginBottom: '8px' }}>
+              <div>
+                <label style={{ display: 'block', marginBottom: '4px', fontSize: '12px', fontWeight: '600', color: THEME.text }}>
+                  Name
+                </label>
+                <input
+                  type="text"
+                  value={categoryDraft.name}
+                  onChange={(e) => setCategoryDraft({ ...categoryDraft, name: e.target.value })}
+                  placeholder="Door Knocks"
+                  maxLength={40}
+                  style={settingInputStyle}
+                />
+              </div>
+              <div>
+                <label style={{ display: 'block', marginBottom: '4px', fontSize: '12px', fontWeight: '600', color: THEME.text }}>
+                  Icon
+                </label>
+                <select
+                  value={categoryDraft.icon}
+                  onChange={(e) => setCategoryDraft({ ...categoryDraft, icon: e.target.value })}
+                  style={settingInputStyle}
+                >
+                  {Object.keys(CATEGORY_ICONS).map(icon => (
+                    <option key={icon} value={icon}>{icon}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label style={{ display: 'block', marginBottom: '4px', fontSize: '12px', fontWeight: '600', color: THEME.text }}>
+                  Color
+                </label>
+                <input
+                  type="color"
+                  value={categoryDraft.color}
+                  onChange={(e) => setCategoryDraft({ ...categoryDraft, color: e.target.value.toUpperCase() })}
+                  style={{ ...settingInputStyle, padding: '2px', height: '37px' }}
+                />
+              </div>
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '12px' }}>
+              <div>
+                <label style={{ display: 'block', marginBottom: '4px', fontSize: '12px', fontWeight: '600', color: THEME.text }}>
+                  Default Daily Goal
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  max={MAX_GOAL.day}
+                  value={categoryDraft.defaultGoal}
+                  onChange={(e) => setCategoryDraft({ ...categoryDraft, defaultGoal: e.target.value })}
+                  style={settingInputStyle}
+                />
+              </div>
+              <div>
+                <label style={{ display: 'block', marginBottom: '4px', fontSize: '12px', fontWeight: '600', color: THEME.text }}>
+                  XP per Activity
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  max="1000"
+                  value={categoryDraft.xpWeight}
+                  onChange={(e) => setCategoryDraft({ ...categoryDraft, xpWeight: e.target.value })}
+                  style={settingInputStyle}
+                />
+              </div>
+            </div>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button
+                onClick={handleSaveCategory}
+                style={{
+                  flex: 1,
+                  padding: '8px',
+                  background: THEME.success,
+                  border: 'none',
+                  borderRadius: '6px',
+                  color: THEME.white,
+                  fontSize: '12px',
+                  fontWeight: '600',
+                  cursor: 'pointer',
+                }}
+              >
+                {categoryDraft.isNew ? 'Add Category' : 'Save Category'}
+              </button>
+              <button
+                onClick={() => setCategoryDraft(null)}
+                style={{
+                  flex: 1,
+                  padding: '8px',
+                  background: THEME.white,
+                  border: 'none',
+                  borderRadius: '6px',
+                  color: THEME.text,
+                  fontSize: '12px',
+                  fontWeight: '600',
+                  cursor: 'pointer',
+                }}
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div style={{ display: 'grid', gap: '8px' }}>
+          {categories.map(category => {
+            const Icon = getCategoryIcon(category);
+
+            return (
+              <div
+                key={category.id}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '12px',
+                  padding: '8px 12px',
+                  background: THEME.secondary,
+                  borderRadius: '8px',
+                  opacity: category.active ? 1 : 0.6,
+                }}
+              >
+                <Icon size={18} color={category.color} />
+                <div style={{ flex: 1 }}>
+                  <div style={{ fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+                    {category.name}
+                  </div>
+                  <div style={{ fontSize: '12px', color: THEME.textLight }}>
+                    Default goal {category.defaultGoal} • {category.xpWeight} XP each{category.active ? '' : ' • Inactive'}
+                  </div>
+                </div>
+                <button
+                  onClick={() => setCategoryDraft({ ...category, isNew: false })}
+                  style={{
+                    padding: '6px',
+                    background: THEME.white,
+                    border: 'none',
+                    borderRadius: '6px',
+                    color: THEME.text,
+                    cursor: 'pointer',
+                  }}
+                  aria-label={`Edit ${category.name}`}
+                >
+                  <Edit2 size={14} />
+                </button>
+                <button
+                  onClick={() => onSaveCategory({ ...category, active: !category.active })}
+                  style={{
+                    padding: '6px 10px',
+                    background: category.active ? THEME.white : THEME.success,
+                    border: 'none',
+                    borderRadius: '6px',
+                    color: category.active ? THEME.text : THEME.white,
+                    fontSize: '12px',
+                    fontWeight: '600',
+                    cursor: 'pointer',
+                  }}
+                >
+                  {category.active ? 'Deactivate' : 'Activate'}
+                </button>
+              </div>
+            );
+          })}
+        </div>
       </div>
-      
-      {showForm && (
-        <div style={{
-          background: THEME.white,
-          borderRadius: '12px',
-          padding: '20px',
-          marginBottom: '20px',
-          boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
-        }}>
-          <div style={{ marginBottom: '16px' }}>
-            <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
-              Name
+
+      <div style={{
+        background: THEME.white,
+        borderRadius: '12px',
+        padding: '20px',
+        marginTop: '20px',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+      }}>
+        <div style={{ fontSize: '16px', fontWeight: '700', color: THEME.text, marginBottom: '4px' }}>
+          Store Calendar
+        </div>
+        <div style={{ fontSize: '12px', color: THEME.textLight, marginBottom: '16px' }}>
+          Decides which day activity is logged to and when weeks roll over, for everyone on the team.
+        </div>
+
+        <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '8px', marginBottom: '12px' }}>
+          <div>
+            <label style={{ display: 'block', marginBottom: '4px', fontSize: '12px', fontWeight: '600', color: THEME.text }}>
+              Timezone
             </label>
             <input
               type="text"
-              value={newName}
-              onChange={(e) => setNewName(e.target.value)}
-              placeholder="Enter name"
-              maxLength={50}
-              style={{
-                width: '100%',
-                padding: '12px',
-                border: `2px solid ${THEME.border}`,
-                borderRadius: '8px',
-                fontSize: '16px',
-                boxSizing: 'border-box',
-              }}
+              value={calendar.timezone}
+              onChange={(e) => setCalendarDraft({ ...calendar, timezone: e.target.value })}
+              placeholder="America/Chicago"
+              style={settingInputStyle}
             />
           </div>
-          
-          <div style={{ marginBottom: '16px' }}>
-            <label style={{ display: 'block', marginBottom: '8px', fontSize: '14px', fontWeight: '600', color: THEME.text }}>
-              Role
+          <div>
+            <label style={{ display: 'block', marginBottom: '4px', fontSize: '12px', fontWeight: '600', color: THEME.text }}>
+              Week Starts On
             </label>
             <select
-              value={newRole}
-              onChange={(e) => setNewRole(e.target.value)}
-              style={{
-                width: '100%',
-                padding: '12px',
-                border: `2px solid ${THEME.border}`,
-                borderRadius: '8px',
-                fontSize: '16px',
-                boxSizing: 'border-box',
-                cursor: 'pointer',
-              }}
+              value={calendar.weekStartsOn}
+              onChange={(e) => setCalendarDraft({ ...calendar, weekStartsOn: parseInt(e.target.value, 10) })}
+              style={settingInputStyle}
             >
-              <option value="employee">Employee</option>
-              <option value="manager">Manager</option>
+              {DAY_NAMES.map((day, index) => (
+                <option key={day} value={index}>{day}</option>
+              ))}
             </select>
           </div>
-          
-          <div style={{ display: 'flex', gap: '12px' }}>
-            <button
-              onClick={handleCreate}
-              disabled={!newName.trim()}
-              style={{
-                flex: 1,
-                padding: '16px',
-                background: newName.trim() ? THEME.success : THEME.border,
-                border: 'none',
-                borderRadius: '8px',
-                color: THEME.white,
-                fontSize: '16px',
-                fontWeight: '600',
-                cursor: newName.trim() ? 'pointer' : 'not-allowed',
-              }}
-            >
-              Create User
-            </button>
-            <button
-              onClick={() => setShowForm(false)}
-              style={{
-                flex: 1,
-                padding: '16px',
-                background: THEME.secondary,
-                border: 'none',
-                borderRadius: '8px',
-                color: THEME.text,
-                fontSize: '16px',
-                fontWeight: '600',
-                cursor: 'pointer',
-              }}
-            >
-              Cancel
-            </button>
-          </div>
         </div>
-      )}
-      
-      <div style={{ display: 'grid', gap: '12px' }}>
-        {users.map(user => (
-          <div
-            key={user.id}
+
+        <button
+          onClick={handleSaveCalendar}
+          disabled={!calendarDraft}
+          style={{
+            width: '100%',
+            padding: '12px',
+            background: calendarDraft ? THEME.success : THEME.border,
+            border: 'none',
+            borderRadius: '8px',
+            color: THEME.white,
+            fontSize: '14px',
+            fontWeight: '600',
+            cursor: calendarDraft ? 'pointer' : 'not-allowed',
+          }}
+        >
+          Save Calendar
+        </button>
+      </div>
+
+      <div style={{
+        background: THEME.white,
+        borderRadius: '12px',
+        padding: '20px',
+        marginTop: '20px',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+      }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '12px', marginBottom: '16px' }}>
+          <div>
+            <div style={{ fontSize: '16px', fontWeight: '700', color: THEME.text, marginBottom: '4px' }}>
+              Stored Backups
+            </div>
+            <div style={{ fontSize: '12px', color: THEME.textLight }}>
+              Every table is backed up on the server on a schedule. Restoring puts back records deleted or
+              changed since the backup; anything added since is kept.
+            </div>
+          </div>
+          <button
+            onClick={handleRunServerBackup}
+            disabled={!!backupBusy}
             style={{
-              background: THEME.white,
-              borderRadius: '12px',
-              padding: '16px',
-              boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+              padding: '8px 16px',
+              background: THEME.primary,
+              border: 'none',
+              borderRadius: '8px',
+              color: THEME.white,
+              fontSize: '13px',
+              fontWeight: '600',
+              cursor: backupBusy ? 'wait' : 'pointer',
+              whiteSpace: 'nowrap',
+              opacity: backupBusy ? 0.7 : 1,
             }}
           >
-            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'start', marginBottom: '12px' }}>
-              <div>
-                <div style={{ fontSize: '16px', fontWeight: '600', color: THEME.text, marginBottom: '4px' }}>
-                  {user.name}
-                </div>
-                <div style={{ fontSize: '14px', color: THEME.textLight }}>
-                  {user.role === 'manager' ? '👔 Manager' : '👤 Employee'}
-                </div>
-              </div>
-              <button
-                onClick={() => onDeleteUser(user.id)}
-                style={{
-                  padding: '8px',
-                  background: 'transparent',
-                  border: 'none',
-                  cursor: 'pointer',
-                }}
-              >
-                <Trash2 size={18} color={THEME.danger} />
-              </button>
-            </div>
-            
-            {editingGoals === user.id ? (
-              <div>
-                <div style={{ marginBottom: '12px' }}>
-                  {CATEGORIES.map(category => (
-                    <div key={category.id} style={{ marginBottom: '12px' }}>
-                      <label style={{ display: 'block', marginBottom: '4px', fontSize: '12px', fontWeight: '600', color: THEME.text }}>
-                        {category.name} Goal
-                      </label>
-                      <input
-                        type="number"
-                        min="0"
-                        max="100"
-                        value={goals[category.id] !== undefined ? goals[category.id] : user.goals[category.id]}
-                        onChange={(e) => setGoals({ ...goals, [category.id]: parseInt(e.target.value) || 0 })}
-                        style={{
-                          width: '100%',
-                          padding: '8px',
-                          border: `2px solid ${THEME.border}`,
-                          borderRadius: '6px',
-                          fontSize: '14px',
-                          boxSizing: 'border-box',
-                        }}
-                      />
+            {backupBusy === 'new' ? 'Backing up...' : 'Back Up Now'}
+          </button>
+        </div>
+
+        {serverBackups.length === 0 ? (
+          <div style={{ fontSize: '13px', color: THEME.textLight }}>
+            No stored backups yet.
+          </div>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+            {serverBackups.map(backup => {
+              const records = Object.values(backup.recordCounts).reduce((sum, count) => sum + count, 0);
+              return (
+                <div
+                  key={backup.id}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '12px',
+                    padding: '10px 12px',
+                    border: `1px solid ${THEME.border}`,
+                    borderRadius: '8px',
+                  }}
+                >
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+                      {new Date(backup.createdAt).toLocaleString()}
                     </div>
-                  ))}
-                </div>
-                <div style={{ display: 'flex', gap: '8px' }}>
+                    <div style={{ fontSize: '12px', color: THEME.textLight }}>
+                      {backup.backupType === 'scheduled' ? 'Scheduled' : `By ${backup.createdByName}`}
+                      {' · '}{records.toLocaleString()} records
+                      {' · '}{(backup.fileSize / 1024).toFixed(backup.fileSize < 10240 ? 1 : 0)} KB
+                    </div>
+                  </div>
                   <button
-                    onClick={() => handleSaveGoals(user.id)}
+                    onClick={() => handleDownloadServerBackup(backup)}
+                    disabled={!!backupBusy}
+                    title="Download"
                     style={{
-                      flex: 1,
-                      padding: '8px',
-                      background: THEME.success,
+                      padding: '6px 10px',
+                      background: THEME.secondary,
                       border: 'none',
                       borderRadius: '6px',
-                      color: THEME.white,
-                      fontSize: '12px',
-                      fontWeight: '600',
-                      cursor: 'pointer',
+                      color: THEME.text,
+                      cursor: backupBusy ? 'wait' : 'pointer',
+                      display: 'flex',
+                      alignItems: 'center',
                     }}
                   >
-                    <Check size={14} />
+                    <Download size={16} />
                   </button>
                   <button
-                    onClick={() => {
-                      setEditingGoals(null);
-                      setGoals({});
-                    }}
+                    onClick={() => handleRestoreServerBackup(backup)}
+                    disabled={!!backupBusy}
                     style={{
-                      flex: 1,
-                      padding: '8px',
-                      background: THEME.secondary,
+                      padding: '6px 12px',
+                      background: THEME.warning,
                       border: 'none',
                       borderRadius: '6px',
-                      color: THEME.text,
+                      color: THEME.white,
                       fontSize: '12px',
                       fontWeight: '600',
-                      cursor: 'pointer',
+                      cursor: backupBusy ? 'wait' : 'pointer',
                     }}
                   >
-                    <X size={14} />
+                    {backupBusy === backup.id ? 'Working...' : 'Restore'}
                   </button>
                 </div>
-              </div>
-            ) : (
-              <div>
-                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '8px', marginBottom: '12px' }}>
-                  {CATEGORIES.map(category => {
-                    const goal = user.goals[category.id];
-                    const Icon = category.icon;
-                    
-                    return (
-                      <div
-                        key={category.id}
-                        style={{
-                          padding: '8px',
-                          background: THEME.secondary,
-                          borderRadius: '8px',
-                          textAlign: 'center',
-                        }}
-                      >
-                        <Icon size={16} color={category.color} style={{ marginBottom: '4px' }} />
-                        <div style={{ fontSize: '12px', fontWeight: '600', color: THEME.text }}>
-                          Goal: {goal}
-                        </div>
-                      </div>
-                    );
-                  })}
-                </div>
-                <button
-                  onClick={() => {
-                    setEditingGoals(user.id);
-                    setGoals({});
-                  }}
-                  style={{
-                    width: '100%',
-                    padding: '8px',
-                    background: THEME.primary,
-                    border: 'none',
-                    borderRadius: '6px',
-                    color: THEME.white,
-                    fontSize: '12px',
-                    fontWeight: '600',
-                    cursor: 'pointer',
-                    display: 'flex',
-                    alignItems: 'center',
-                    justifyContent: 'center',
-                    gap: '6px',
-                  }}
-                >
-                  <Settings size={14} />
-                  Edit Goals
-                </button>
-              </div>
-            )}
+              );
+            })}
           </div>
-        ))}
+        )}
       </div>
     </div>
   );
@@ -9286,9 +15148,12 @@ function AdminPanel({ users, onCreateUser, onDeleteUser, onUpdateGoals, onExport
 // REPORTS COMPONENT (Manager Only)
 // ========================================
 
-function Reports({ users, dailyLogs, appointments, theme }) {
+function Reports({ users, dailyLogs, appointments, deals, categories, onExportReport, theme }) {
   const THEME = theme;
   const [timeRange, setTimeRange] = useState('week');
+  const [exportStartDate, setExportStartDate] = useState(() => getMonthStart());
+  const [exportEndDate, setExportEndDate] = useState(() => getToday());
+  const [exportUserId, setExportUserId] = useState('all');
 
   const chartData = useMemo(() => {
     const data = users.filter(u => u.role === 'employee').map(user => {
@@ -9297,9 +15162,7 @@ function Reports({ users, dailyLogs, appointments, theme }) {
       
       Object.entries(dailyLogs).forEach(([date, usersData]) => {
         if (date >= startDate && usersData[user.id]) {
-          total += (usersData[user.id].reviews || 0);
-          total += (usersData[user.id].demos || 0);
-          total += (usersData[user.id].callbacks || 0);
+          total += sumCategoryCounts(usersData[user.id]);
         }
       });
       
@@ -9313,26 +15176,32 @@ function Reports({ users, dailyLogs, appointments, theme }) {
   }, [users, dailyLogs, timeRange]);
   
   const categoryData = useMemo(() => {
-    const data = { reviews: 0, demos: 0, callbacks: 0 };
+    const data = getCategoryCounts({}, categories);
     const startDate = timeRange === 'week' ? getWeekStart() : getMonthStart();
     
     Object.entries(dailyLogs).forEach(([date, usersData]) => {
       if (date >= startDate) {
         Object.values(usersData).forEach(stats => {
-          data.reviews += stats.reviews || 0;
-          data.demos += stats.demos || 0;
-          data.callbacks += stats.callbacks || 0;
+          categories.forEach(category => {
+            data[category.id] += stats[category.id] || 0;
+          });
         });
       }
     });
     
-    return [
-      { name: 'Reviews', value: data.reviews, color: THEME.warning },
-      { name: 'Demos', value: data.demos, color: THEME.success },
-      { name: 'Callbacks', value: data.callbacks, color: THEME.primary },
-    ];
-  // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [dailyLogs, timeRange]);
+    return categories.map(category => ({ name: category.name, value: data[category.id], color: category.color }));
+  }, [dailyLogs, timeRange, categories]);
+
+  // Closed sales per rep in the range, and the pipeline still open
+  const revenueData = useMemo(() => {
+    const startDate = timeRange === 'week' ? getWeekStart() : getMonthStart();
+    const sales = getSales(deals, appointments);
+    const perRep = users
+      .map(user => ({ name: user.name, ...sumSales(sales, { userId: user.id, startDate }) }))
+      .filter(rep => rep.sales > 0)
+      .sort((a, b) => b.revenue - a.revenue);
+    return { perRep, total: sumSales(sales, { startDate }), pipeline: summarizePipeline(deals).open };
+  }, [users, deals, appointments, timeRange]);
   
   return (
     <div>
@@ -9439,6 +15308,46 @@ function Reports({ users, dailyLogs, appointments, theme }) {
         )}
       </div>
       
+      <div style={{
+        background: THEME.white,
+        borderRadius: '12px',
+        padding: '20px',
+        marginBottom: '20px',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+      }}>
+        <h3 style={{ margin: '0 0 16px 0', fontSize: '16px', fontWeight: '600', color: THEME.text }}>
+          Revenue
+        </h3>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(120px, 1fr))', gap: '12px', marginBottom: '16px' }}>
+          {[
+            { label: 'Sold', value: formatCurrency(revenueData.total.revenue) },
+            { label: 'Sales', value: revenueData.total.sales },
+            { label: 'Open Pipeline', value: formatCurrency(revenueData.pipeline.value) },
+            { label: 'Weighted Forecast', value: formatCurrency(revenueData.pipeline.weighted) },
+          ].map(stat => (
+            <div key={stat.label} style={{ background: THEME.secondary, borderRadius: '8px', padding: '12px', textAlign: 'center' }}>
+              <div style={{ fontSize: '20px', fontWeight: '700', color: THEME.text }}>{stat.value}</div>
+              <div style={{ fontSize: '12px', color: THEME.textLight }}>{stat.label}</div>
+            </div>
+          ))}
+        </div>
+        {revenueData.perRep.length > 0 ? (
+          <ResponsiveContainer width="100%" height={260}>
+            <BarChart data={revenueData.perRep}>
+              <CartesianGrid strokeDasharray="3 3" stroke={THEME.border} />
+              <XAxis dataKey="name" tick={{ fontSize: 12 }} />
+              <YAxis tick={{ fontSize: 12 }} tickFormatter={formatCurrency} />
+              <Tooltip formatter={(value) => formatCurrency(value)} />
+              <Bar dataKey="revenue" name="Revenue" fill={THEME.success} radius={[10, 10, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        ) : (
+          <div style={{ textAlign: 'center', padding: '24px 20px', fontSize: '14px', color: THEME.textLight }}>
+            No sales closed {timeRange === 'week' ? 'this week' : 'this month'}
+          </div>
+        )}
+      </div>
+
       <div style={{
         background: THEME.white,
         borderRadius: '12px',
@@ -9498,6 +15407,111 @@ function Reports({ users, dailyLogs, appointments, theme }) {
           </div>
         )}
       </div>
+
+      <div style={{
+        background: THEME.white,
+        borderRadius: '12px',
+        padding: '20px',
+        marginTop: '20px',
+        boxShadow: '0 2px 8px rgba(0,0,0,0.08)',
+      }}>
+        <h3 style={{ margin: '0 0 4px 0', fontSize: '16px', fontWeight: '600', color: THEME.text }}>
+          Export Spreadsheets
+        </h3>
+        <p style={{ margin: '0 0 16px 0', fontSize: '13px', color: THEME.textLight }}>
+          Activity per day, appointments, goal attainment and deals for payroll and commission
+        </p>
+        <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '16px' }}>
+          <div style={{ flex: 1, minWidth: '120px' }}>
+            <label style={{
+              display: 'block',
+              fontSize: '12px',
+              color: THEME.textLight,
+              marginBottom: '4px',
+              fontWeight: '600',
+            }}>
+              From
+            </label>
+            <input
+              type="date"
+              value={exportStartDate}
+              onChange={(e) => setExportStartDate(e.target.value)}
+              max={exportEndDate}
+              style={{
+                width: '100%',
+                padding: '10px',
+                border: `1px solid ${THEME.border}`,
+                borderRadius: '8px',
+                fontSize: '14px',
+                background: THEME.white,
+              }}
+            />
+          </div>
+          <div style={{ flex: 1, minWidth: '120px' }}>
+            <label style={{
+              display: 'block',
+              fontSize: '12px',
+              color: THEME.textLight,
+              marginBottom: '4px',
+              fontWeight: '600',
+            }}>
+              To
+            </label>
+            <input
+              type="date"
+              value={exportEndDate}
+              onChange={(e) => setExportEndDate(e.target.value)}
+              min={exportStartDate}
+              style={{
+                width: '100%',
+                padding: '10px',
+                border: `1px solid ${THEME.border}`,
+                borderRadius: '8px',
+                fontSize: '14px',
+                background: THEME.white,
+              }}
+            />
+          </div>
+          <div style={{ flex: 1, minWidth: '160px' }}>
+            <label style={{
+              display: 'block',
+              fontSize: '12px',
+              color: THEME.textLight,
+              marginBottom: '4px',
+              fontWeight: '600',
+            }}>
+              User
+            </label>
+            <select
+              value={exportUserId}
+              onChange={(e) => setExportUserId(e.target.value)}
+              style={{
+                width: '100%',
+                padding: '10px',
+                border: `1px solid ${THEME.border}`,
+                borderRadius: '8px',
+                fontSize: '14px',
+                background: THEME.white,
+              }}
+            >
+              <option value="all">All Team</option>
+              {users.filter(u => !u.archived).map(user => (
+                <option key={user.id} value={user.id}>{user.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <ReportExportButtons
+          onExport={(format, dataset) => onExportReport({
+            format,
+            dataset,
+            startDate: exportStartDate,
+            endDate: exportEndDate,
+            userId: exportUserId,
+          })}
+          theme={THEME}
+        />
+      </div>
     </div>
   );
 }
@@ -9545,6 +15559,9 @@ function SettingsPage({ settings, onSaveSettings, currentThemeMode, theme, curre
   const [isLoadingModels, setIsLoadingModels] = useState(false);
   const [modelsError, setModelsError] = useState(null);
   const [activeSettingsTab, setActiveSettingsTab] = useState('ai');
+  const [notificationPermission, setNotificationPermission] = useState(getNotificationPermission);
+  const [isPushEnabled, setIsPushEnabled] = useState(false);
+  const [isUpdatingPush, setIsUpdatingPush] = useState(false);
   
   // Integration state - MUST be declared before useEffect hooks that use them
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
@@ -9727,6 +15744,47 @@ function SettingsPage({ settings, onSaveSettings, currentThemeMode, theme, curre
       ...prev,
       notifications: { ...prev.notifications, [key]: value }
     }));
+    // Turning an alert on is a good moment to ask for system notifications
+    if (value === true && notificationPermission === 'default') {
+      handleEnableSystemNotifications();
+    }
+  };
+
+  useEffect(() => {
+    getPushSubscription().then(subscription => setIsPushEnabled(Boolean(subscription)));
+  }, []);
+
+  const handlePushToggle = async () => {
+    setIsUpdatingPush(true);
+    const result = isPushEnabled
+      ? await disablePush()
+      : await enablePush(localSettings.notifications.mutedPushEvents || []);
+    setIsUpdatingPush(false);
+    setNotificationPermission(getNotificationPermission());
+
+    if (!result.success) {
+      showToast(result.error || 'Could not update push notifications', 'error');
+      return;
+    }
+    setIsPushEnabled(!isPushEnabled);
+    showToast(isPushEnabled ? 'Push notifications turned off' : 'Push notifications turned on', 'success');
+  };
+
+  // Opt-outs are saved with the other settings
+  const handlePushEventChange = (type) => {
+    const muted = localSettings.notifications.mutedPushEvents || [];
+    handleNotificationChange(
+      'mutedPushEvents',
+      muted.includes(type) ? muted.filter(item => item !== type) : [...muted, type]
+    );
+  };
+
+  const handleEnableSystemNotifications = async () => {
+    const permission = await requestNotificationPermission();
+    setNotificationPermission(permission);
+    if (permission === 'denied') {
+      showToast('Notifications are blocked. Allow them in your browser settings.', 'warning');
+    }
   };
 
   const handlePrivacyChange = (key, value) => {
@@ -9759,7 +15817,7 @@ function SettingsPage({ settings, onSaveSettings, currentThemeMode, theme, curre
       const url = URL.createObjectURL(dataBlob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `window-depot-data-${currentUser.id}-${new Date().toISOString().split('T')[0]}.json`;
+      link.download = `window-depot-data-${currentUser.id}-${getToday()}.json`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
@@ -9804,9 +15862,9 @@ function SettingsPage({ settings, onSaveSettings, currentThemeMode, theme, curre
       }
 
       // Clear current user session
+      await signOut();
       setCurrentUser(null);
-      await storage.remove('currentUser');
-      await storage.remove('rememberUser');
+      await storage.delete('rememberUser');
 
       showToast('Account deleted successfully', 'success');
       setShowDeleteConfirm(false);
@@ -11013,6 +17071,37 @@ function SettingsPage({ settings, onSaveSettings, currentThemeMode, theme, curre
           </div>
         </div>
 
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px', padding: '12px', background: THEME.accent, borderRadius: '8px' }}>
+          <div>
+            <div style={{ fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+              System Notifications
+            </div>
+            <div style={{ fontSize: '12px', color: THEME.textLight }}>
+              {notificationPermission === 'granted' && 'Allowed: alerts appear even when the app is in the background'}
+              {notificationPermission === 'denied' && 'Blocked: allow notifications in your browser settings'}
+              {notificationPermission === 'default' && 'Show alerts when the app is in the background'}
+              {notificationPermission === 'unsupported' && 'Not supported by this browser; alerts show inside the app'}
+            </div>
+          </div>
+          {notificationPermission === 'default' && (
+            <button
+              onClick={handleEnableSystemNotifications}
+              style={{
+                padding: '8px 14px',
+                background: THEME.primary,
+                color: THEME.white,
+                border: 'none',
+                borderRadius: '8px',
+                fontSize: '13px',
+                fontWeight: '600',
+                cursor: 'pointer',
+              }}
+            >
+              Enable
+            </button>
+          )}
+        </div>
+
         <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
           <div>
             <div style={{ fontSize: '14px', fontWeight: '600', color: THEME.text }}>
@@ -11115,7 +17204,7 @@ function SettingsPage({ settings, onSaveSettings, currentThemeMode, theme, curre
               Like Notifications
             </div>
             <div style={{ fontSize: '12px', color: THEME.textLight }}>
-              Notify when someone likes your posts
+              Notify when someone likes or comments on your posts
             </div>
           </div>
           <button
@@ -11162,6 +17251,55 @@ function SettingsPage({ settings, onSaveSettings, currentThemeMode, theme, curre
             <div style={toggleKnobStyle(localSettings.notifications.leaderboardChangeAlerts)} />
           </button>
         </div>
+
+        <div style={{ marginTop: '20px', paddingTop: '20px', borderTop: `1px solid ${THEME.border}` }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+            <div>
+              <div style={{ fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+                Push Notifications
+              </div>
+              <div style={{ fontSize: '12px', color: THEME.textLight }}>
+                {isPushSupported()
+                  ? 'Team events on this device, even when the app is closed'
+                  : 'Not available in this browser; install the app to get team events when it is closed'}
+              </div>
+            </div>
+            {isPushSupported() && (
+              <button
+                className="toggle-button"
+                style={{ ...toggleStyle(isPushEnabled), opacity: isUpdatingPush ? 0.6 : 1 }}
+                onClick={handlePushToggle}
+                disabled={isUpdatingPush || !isOnline}
+                aria-label={isPushEnabled ? 'Turn off push notifications' : 'Turn on push notifications'}
+              >
+                <div style={toggleKnobStyle(isPushEnabled)} />
+              </button>
+            )}
+          </div>
+
+          {isPushSupported() && isPushEnabled && PUSH_EVENTS.map(event => {
+            const isOn = !(localSettings.notifications.mutedPushEvents || []).includes(event.type);
+            return (
+              <div key={event.type} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px', paddingLeft: '12px' }}>
+                <div>
+                  <div style={{ fontSize: '14px', fontWeight: '600', color: THEME.text }}>
+                    {event.label}
+                  </div>
+                  <div style={{ fontSize: '12px', color: THEME.textLight }}>
+                    {event.description}
+                  </div>
+                </div>
+                <button
+                  className="toggle-button"
+                  style={toggleStyle(isOn)}
+                  onClick={() => handlePushEventChange(event.type)}
+                >
+                  <div style={toggleKnobStyle(isOn)} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
       </div>
       )}
 
@@ -12241,6 +18379,8 @@ function BottomNav({ activeView, onViewChange, isManager, theme }) {
     { id: 'dashboard', label: 'Dashboard', icon: Target, roles: ['employee', 'manager'] },
     { id: 'goals', label: 'Goals', icon: Target, roles: ['employee', 'manager'] },
     { id: 'appointments', label: 'Appointments', icon: Calendar, roles: ['employee', 'manager'] },
+    { id: 'customers', label: 'Customers', icon: Contact, roles: ['employee', 'manager'] },
+    { id: 'pipeline', label: 'Pipeline', icon: KanbanSquare, roles: ['employee', 'manager'] },
     { id: 'feed', label: 'Feed', icon: MessageSquare, roles: ['employee', 'manager'] },
     { id: 'leaderboard', label: 'Leaderboard', icon: Award, roles: ['employee', 'manager'] },
     { id: 'challenges', label: 'Challenges', icon: Trophy, roles: ['employee', 'manager'] },
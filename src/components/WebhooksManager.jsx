@@ -16,6 +16,8 @@ const WEBHOOK_EVENTS = [
   'feed_post.created',
   'user.created',
   'user.updated',
+  'announcement.created',
+  'challenge.created',
 ];
 
 export default function WebhooksManager({ userId, currentTheme }) {
@@ -3,6 +3,8 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import ErrorBoundary from './components/ErrorBoundary';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
+import { processSyncQueue, getSyncStatus } from './lib/sync';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -12,3 +14,11 @@ root.render(
     </ErrorBoundary>
   </React.StrictMode>
 );
+
+// Installable and usable offline; Background Sync flushes the sync queue
+serviceWorkerRegistration.register({
+  onSyncRequest: async () => {
+    await processSyncQueue();
+    return { pending: getSyncStatus().pending };
+  },
+});
@@ -0,0 +1,309 @@
+/**
+ * Achievement Engine for Window Depot Tracker
+ * Pure functions that turn activity data into achievement progress, XP and
+ * levels. The same rules run server-side in evaluate_achievements()
+ * (supabase/migrations/014_achievement_engine.sql); keep the two in step.
+ */
+
+import { DEFAULT_XP_CURVE, calculateLevel, calculateActivityXP } from './xp';
+import { getToday, getWeekStart, addDays } from './dates';
+import { getSales, sumSales } from './deals';
+
+/**
+ * Default achievements (mirrors the seed in 006_gamification.sql)
+ * Used when the achievements table has not been synced to this device.
+ */
+export const DEFAULT_ACHIEVEMENTS = [
+  { id: 'first_goal', name: 'First Goal', description: 'Complete your first daily goal', tier: 'bronze', icon: '🎯', xp_reward: 25, criteria: { type: 'goal_completed', count: 1 } },
+  { id: 'first_post', name: 'First Post', description: 'Post to feed for the first time', tier: 'bronze', icon: '📝', xp_reward: 25, criteria: { type: 'feed_posts', count: 1 } },
+  { id: 'first_appointment', name: 'First Appointment', description: 'Log your first appointment', tier: 'bronze', icon: '🤝', xp_reward: 25, criteria: { type: 'appointments', count: 1 } },
+  { id: 'social_butterfly', name: 'Social Butterfly', description: 'Receive 5 likes on your posts', tier: 'bronze', icon: '👍', xp_reward: 50, criteria: { type: 'likes_received', count: 5 } },
+  { id: 'streak_3', name: '3-Day Streak', description: 'Hit all goals 3 days in a row', tier: 'silver', icon: '🔥', xp_reward: 100, criteria: { type: 'streak', count: 3 } },
+  { id: 'streak_7', name: '7-Day Streak', description: 'Hit all goals 7 days in a row', tier: 'silver', icon: '🔥', xp_reward: 200, criteria: { type: 'streak', count: 7 } },
+  { id: 'streak_30', name: '30-Day Streak', description: 'Hit all goals 30 days in a row', tier: 'silver', icon: '🔥', xp_reward: 500, criteria: { type: 'streak', count: 30 } },
+  { id: 'weekly_warrior', name: 'Weekly Warrior', description: 'Hit all goals every day this week', tier: 'silver', icon: '📅', xp_reward: 150, criteria: { type: 'weekly_perfect', count: 1 } },
+  { id: 'perfectionist', name: 'Perfectionist', description: 'Hit 100% of goals 10 days', tier: 'gold', icon: '💯', xp_reward: 300, criteria: { type: 'perfect_days', count: 10 } },
+  { id: 'overachiever', name: 'Overachiever', description: 'Exceed all goals by 2x in one day', tier: 'gold', icon: '🚀', xp_reward: 250, criteria: { type: 'exceed_goals', multiplier: 2 } },
+  { id: 'star_performer', name: 'Star Performer', description: 'Rank #1 on leaderboard', tier: 'gold', icon: '⭐', xp_reward: 400, criteria: { type: 'leaderboard_rank', rank: 1 } },
+  { id: 'consistency_champion', name: 'Consistency Champion', description: 'Never missed a goal for 30 days', tier: 'gold', icon: '👑', xp_reward: 600, criteria: { type: 'consistency', days: 30 } },
+  { id: 'century', name: 'Century', description: '100 total activities in a week', tier: 'diamond', icon: '💪', xp_reward: 500, criteria: { type: 'weekly_activities', count: 100 } },
+  { id: 'thousand_club', name: 'Thousand Club', description: '1000 total activities all-time', tier: 'diamond', icon: '🏆', xp_reward: 1000, criteria: { type: 'total_activities', count: 1000 } },
+  { id: 'call_master', name: 'Call Master', description: '100 callbacks in a month', tier: 'diamond', icon: '📞', xp_reward: 800, criteria: { type: 'monthly_callbacks', count: 100 } },
+  { id: 'demo_pro', name: 'Demo Pro', description: '50 demos in a month', tier: 'diamond', icon: '🎬', xp_reward: 700, criteria: { type: 'monthly_demos', count: 50 } },
+  { id: 'popular', name: 'Popular', description: 'Receive 100 likes all-time', tier: 'platinum', icon: '🌟', xp_reward: 600, criteria: { type: 'likes_received', count: 100 } },
+  { id: 'conversationalist', name: 'Conversationalist', description: '100 comments posted', tier: 'platinum', icon: '💬', xp_reward: 500, criteria: { type: 'comments_posted', count: 100 } },
+  { id: 'influencer', name: 'Influencer', description: '50 posts created', tier: 'platinum', icon: '📣', xp_reward: 700, criteria: { type: 'feed_posts', count: 50 } },
+  { id: 'team_player', name: 'Team Player', description: 'Like 100 posts', tier: 'platinum', icon: '🤝', xp_reward: 400, criteria: { type: 'likes_given', count: 100 } },
+  { id: 'deal_closer', name: 'Deal Closer', description: '10 sales logged', tier: 'legendary', icon: '💰', xp_reward: 1000, criteria: { type: 'sales', count: 10 } },
+  { id: 'sales_master', name: 'Sales Master', description: '50 sales logged', tier: 'legendary', icon: '🎯', xp_reward: 2500, criteria: { type: 'sales', count: 50 } },
+  { id: 'revenue_king', name: 'Revenue King', description: '100 sales logged', tier: 'legendary', icon: '📈', xp_reward: 5000, criteria: { type: 'sales', count: 100 } },
+  { id: 'six_figures', name: 'Six Figures', description: '$100,000 in closed sales', tier: 'legendary', icon: '💵', xp_reward: 5000, criteria: { type: 'sales', revenue: 100000 } },
+];
+
+const sumCounts = (counts = {}) =>
+  Object.values(counts).reduce((sum, value) => sum + (Number(value) || 0), 0);
+
+/**
+ * Gather everything the achievement criteria look at for one user
+ * @param {object} user - User with id and goals
+ * @param {object} data - { users, dailyLogs, appointments, deals, feed, today, xpCurve }
+ *   dailyLogs is app format: { date: { userId: { category: count } } }
+ * @returns {object} Stats keyed by what the criteria measure
+ */
+export const computeAchievementStats = (user, { users = [], dailyLogs = {}, appointments = [], deals = [], feed = [], today, xpCurve = DEFAULT_XP_CURVE } = {}) => {
+  const goals = Object.entries(user.goals || {}).filter(([, goal]) => Number(goal) > 0);
+  const currentWeek = getWeekStart(today || getToday());
+
+  const stats = {
+    goalsCompleted: 0,
+    perfectDays: 0,
+    longestStreak: 0,
+    currentStreak: 0,
+    perfectWeeks: 0,
+    bestExceedMultiplier: 0,
+    leaderboardRank: null,
+    bestWeekActivities: 0,
+    totalActivities: 0,
+    bestMonthCallbacks: 0,
+    bestMonthDemos: 0,
+    feedPosts: 0,
+    likesReceived: 0,
+    likesGiven: 0,
+    commentsPosted: 0,
+    appointments: 0,
+    sales: 0,
+    revenue: 0,
+    activityXp: calculateActivityXP(user, dailyLogs, xpCurve),
+    lastActivityDate: null,
+  };
+
+  const perfectDates = [];
+  const weekTotals = {};
+  const monthTotals = {};
+  const perfectDaysByWeek = {};
+
+  Object.keys(dailyLogs).sort().forEach(date => {
+    const counts = dailyLogs[date]?.[user.id];
+    if (!counts) return;
+
+    const dayTotal = sumCounts(counts);
+    if (dayTotal > 0) stats.lastActivityDate = date;
+    stats.totalActivities += dayTotal;
+
+    const week = getWeekStart(date);
+    weekTotals[week] = (weekTotals[week] || 0) + dayTotal;
+
+    const month = date.slice(0, 7);
+    monthTotals[month] = monthTotals[month] || { callbacks: 0, demos: 0 };
+    monthTotals[month].callbacks += counts.callbacks || 0;
+    monthTotals[month].demos += counts.demos || 0;
+
+    if (goals.length === 0) return;
+
+    const ratios = goals.map(([category, goal]) => (counts[category] || 0) / goal);
+    stats.goalsCompleted += ratios.filter(ratio => ratio >= 1).length;
+
+    const lowestRatio = Math.min(...ratios);
+    stats.bestExceedMultiplier = Math.max(stats.bestExceedMultiplier, lowestRatio);
+    if (lowestRatio >= 1) {
+      perfectDates.push(date);
+      perfectDaysByWeek[week] = (perfectDaysByWeek[week] || 0) + 1;
+    }
+  });
+
+  stats.perfectDays = perfectDates.length;
+  stats.perfectWeeks = Object.values(perfectDaysByWeek).filter(days => days >= 7).length;
+  stats.bestWeekActivities = Math.max(0, ...Object.values(weekTotals));
+  stats.bestMonthCallbacks = Math.max(0, ...Object.values(monthTotals).map(m => m.callbacks));
+  stats.bestMonthDemos = Math.max(0, ...Object.values(monthTotals).map(m => m.demos));
+
+  // Streaks of consecutive days with every goal met
+  let run = 0;
+  perfectDates.forEach((date, index) => {
+    run = index > 0 && addDays(perfectDates[index - 1], 1) === date ? run + 1 : 1;
+    stats.longestStreak = Math.max(stats.longestStreak, run);
+  });
+  const lastPerfect = perfectDates[perfectDates.length - 1];
+  const todayKey = today || getToday();
+  // Today still counts as in progress, so a streak ending yesterday is current
+  stats.currentStreak = lastPerfect && lastPerfect >= addDays(todayKey, -1) ? run : 0;
+
+  // Weekly leaderboard rank among active team members with activity
+  const weeklyTotals = users
+    .filter(u => !u.archived)
+    .map(u => ({
+      id: u.id,
+      total: Object.entries(dailyLogs)
+        .filter(([date]) => getWeekStart(date) === currentWeek)
+        .reduce((sum, [, logs]) => sum + sumCounts(logs[u.id]), 0),
+    }))
+    .filter(entry => entry.total > 0)
+    .sort((a, b) => b.total - a.total);
+  const rankIndex = weeklyTotals.findIndex(entry => entry.id === user.id);
+  stats.leaderboardRank = rankIndex === -1 ? null : rankIndex + 1;
+
+  feed.forEach(post => {
+    if (post.userId === user.id) {
+      if (!post.isAuto) stats.feedPosts += 1;
+      stats.likesReceived += (post.likes || []).filter(id => id !== user.id).length;
+    }
+    if ((post.likes || []).includes(user.id)) stats.likesGiven += 1;
+    stats.commentsPosted += (post.comments || []).filter(c => c.userId === user.id).length;
+  });
+
+  // Sold deals, plus sales on appointments outside the pipeline (029_deals.sql)
+  const sales = sumSales(getSales(deals, appointments), { userId: user.id });
+  stats.appointments = appointments.filter(apt => apt.userId === user.id).length;
+  stats.sales = Math.max(user.totalSales || 0, sales.sales);
+  stats.revenue = sales.revenue;
+
+  return stats;
+};
+
+/**
+ * Current and target progress for one achievement's criteria
+ * @param {object} criteria - Criteria JSON from the achievements table
+ * @param {object} stats - Output of computeAchievementStats()
+ * @returns {{current: number, target: number}}
+ */
+export const getCriteriaProgress = (criteria = {}, stats) => {
+  const count = criteria.count || 1;
+
+  switch (criteria.type) {
+    case 'goal_completed':
+      return { current: stats.goalsCompleted, target: count };
+    case 'perfect_days':
+      return { current: stats.perfectDays, target: count };
+    case 'streak':
+      return { current: stats.longestStreak, target: count };
+    case 'consistency':
+      return { current: stats.longestStreak, target: criteria.days || count };
+    case 'weekly_perfect':
+      return { current: stats.perfectWeeks, target: count };
+    case 'exceed_goals':
+      return {
+        current: Math.floor(stats.bestExceedMultiplier * 10) / 10,
+        target: criteria.multiplier || 2,
+      };
+    case 'leaderboard_rank':
+      return {
+        current: stats.leaderboardRank && stats.leaderboardRank <= (criteria.rank || 1) ? 1 : 0,
+        target: 1,
+      };
+    case 'weekly_activities':
+      return { current: stats.bestWeekActivities, target: count };
+    case 'total_activities':
+      return { current: stats.totalActivities, target: count };
+    case 'monthly_callbacks':
+      return { current: stats.bestMonthCallbacks, target: count };
+    case 'monthly_demos':
+      return { current: stats.bestMonthDemos, target: count };
+    case 'feed_posts':
+      return { current: stats.feedPosts, target: count };
+    case 'likes_received':
+      return { current: stats.likesReceived, target: count };
+    case 'likes_given':
+      return { current: stats.likesGiven, target: count };
+    case 'comments_posted':
+      return { current: stats.commentsPosted, target: count };
+    case 'appointments':
+      return { current: stats.appointments, target: count };
+    case 'sales':
+      // Either a number of sales or, with revenue, a total amount sold
+      return criteria.revenue
+        ? { current: stats.revenue, target: criteria.revenue }
+        : { current: stats.sales, target: count };
+    default:
+      return { current: 0, target: count };
+  }
+};
+
+/**
+ * Evaluate every achievement for a user
+ * Achievements already earned stay earned; progress is recalculated.
+ * @param {object} user - User in app format
+ * @param {array} achievements - Achievement rows (id, name, icon, xp_reward, criteria)
+ * @param {object} stats - Output of computeAchievementStats()
+ * @param {number} now - Timestamp recorded as earnedAt for new unlocks
+ * @param {object} xpCurve - XP curve from system_settings
+ * @returns {object} { achievementProgress, achievements, newlyUnlocked, xpGained, bonusXp, activityXp, xp, level, ... }
+ */
+export const evaluateAchievements = (user, achievements, stats, now = Date.now(), xpCurve = DEFAULT_XP_CURVE) => {
+  const previousProgress = user.achievementProgress || {};
+  const earned = new Set(user.achievements || []);
+  const achievementProgress = {};
+  const newlyUnlocked = [];
+
+  achievements.forEach(achievement => {
+    const { current, target } = getCriteriaProgress(achievement.criteria, stats);
+    const alreadyEarned = earned.has(achievement.id);
+    const unlocked = alreadyEarned || current >= target;
+
+    achievementProgress[achievement.id] = {
+      current: Math.min(current, target),
+      target,
+      earnedAt: alreadyEarned ? (previousProgress[achievement.id]?.earnedAt || null) : (unlocked ? now : null),
+    };
+
+    if (unlocked && !alreadyEarned) {
+      earned.add(achievement.id);
+      newlyUnlocked.push(achievement);
+    }
+  });
+
+  const xpGained = newlyUnlocked.reduce((sum, a) => sum + (a.xp_reward ?? a.xpReward ?? 0), 0);
+  // Achievement rewards and manager bonuses accumulate; activity XP is derived
+  const bonusXp = (user.bonusXp ?? user.xp ?? 0) + xpGained;
+  const xp = bonusXp + stats.activityXp;
+
+  return {
+    achievementProgress,
+    achievements: Array.from(earned),
+    newlyUnlocked,
+    xpGained,
+    bonusXp,
+    activityXp: stats.activityXp,
+    xp,
+    level: calculateLevel(xp, xpCurve),
+    currentStreak: stats.currentStreak,
+    longestStreak: Math.max(user.longestStreak || 0, stats.longestStreak),
+    lastActivityDate: stats.lastActivityDate || user.lastActivityDate || null,
+  };
+};
+
+/**
+ * Whether two achievementProgress maps hold the same values
+ * Key order differs between the client and JSONB from the server.
+ * @param {object} a - achievementProgress map
+ * @param {object} b - achievementProgress map
+ * @returns {boolean}
+ */
+export const isSameProgress = (a = {}, b = {}) => {
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key =>
+    a[key]?.current === b[key]?.current &&
+    a[key]?.target === b[key]?.target &&
+    (a[key]?.earnedAt || null) === (b[key]?.earnedAt || null)
+  );
+};
+
+/**
+ * Feed post text announcing an unlocked achievement
+ * @param {object} user - User who unlocked it
+ * @param {object} achievement - Achievement row
+ * @returns {string}
+ */
+export const getAchievementPostContent = (user, achievement) =>
+  `🏆 ${user.name} unlocked ${achievement.icon} ${achievement.name}!`;
+
+const achievementsModule = {
+  DEFAULT_ACHIEVEMENTS,
+  computeAchievementStats,
+  getCriteriaProgress,
+  evaluateAchievements,
+  isSameProgress,
+  getAchievementPostContent,
+};
+
+export default achievementsModule;
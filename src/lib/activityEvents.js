@@ -0,0 +1,114 @@
+/**
+ * Activity Events for Window Depot Tracker
+ * Logging activity appends an event (+1, -1, +5 ...) to activity_events
+ * instead of writing an absolute count to daily_logs
+ * (supabase/migrations/020_activity_events.sql). The server adds each event
+ * to the day's daily_logs count, so devices logging offline no longer
+ * overwrite each other. Event ids are generated here so an event retried by
+ * the sync queue is only counted once.
+ */
+
+import { getToday } from './dates';
+
+/**
+ * Where an event was logged from (mirrors the source check in 020_activity_events.sql)
+ */
+export const ACTIVITY_SOURCES = ['manual', 'ai', 'integration', 'api'];
+
+/**
+ * New activity event
+ * @param {object} params
+ * @param {string} params.userId - User the activity counts for
+ * @param {string} params.category - Category id
+ * @param {number} params.delta - Change to the day's count (negative for corrections)
+ * @param {string} params.date - Store day (YYYY-MM-DD, defaults to today)
+ * @param {string} params.source - One of ACTIVITY_SOURCES
+ * @param {string} params.createdBy - User who logged it, if not the user themselves
+ * @returns {object} App-format event
+ */
+export const createActivityEvent = ({ userId, category, delta, date = getToday(), source = 'manual', createdBy = null }) => ({
+  id: crypto.randomUUID(),
+  userId,
+  category,
+  delta,
+  date,
+  occurredAt: new Date().toISOString(),
+  source: ACTIVITY_SOURCES.includes(source) ? source : 'manual',
+  createdBy: createdBy || userId,
+});
+
+/**
+ * Transform an event from Supabase format (snake_case) to app format (camelCase)
+ */
+export const transformActivityEvent = (event) => ({
+  id: event.id,
+  userId: event.user_id ?? event.userId,
+  category: event.category,
+  delta: event.delta,
+  date: event.date,
+  occurredAt: event.occurred_at ?? event.occurredAt,
+  source: event.source || 'manual',
+  createdBy: event.created_by ?? event.createdBy ?? null,
+});
+
+/**
+ * Transform an event from app format (camelCase) to Supabase format (snake_case)
+ */
+export const transformActivityEventToDatabase = (event) => ({
+  id: event.id,
+  user_id: event.userId,
+  category: event.category,
+  delta: event.delta,
+  date: event.date,
+  occurred_at: event.occurredAt,
+  source: event.source,
+  created_by: event.createdBy || null,
+});
+
+/**
+ * Daily logs with an event added, the way the server aggregates it
+ * The server rejects an event that would take a count below zero, and the
+ * sync queue sets it aside as failed; until then it shows here as zero.
+ * @param {object} dailyLogs - { date: { userId: { category: count } } }
+ * @param {object} event - App-format event
+ * @returns {object} Updated daily logs
+ */
+export const applyActivityEvent = (dailyLogs, event) => {
+  const dayLogs = dailyLogs?.[event.date] || {};
+  const userLogs = dayLogs[event.userId] || {};
+  return {
+    ...dailyLogs,
+    [event.date]: {
+      ...dayLogs,
+      [event.userId]: {
+        ...userLogs,
+        [event.category]: Math.max(0, (userLogs[event.category] || 0) + event.delta),
+      },
+    },
+  };
+};
+
+/**
+ * Sync queue operation that sends an event
+ * An event the server already has (a retry after a lost response) is skipped.
+ * @param {object} event - App-format event
+ * @returns {object} Operation for queueSyncOperation
+ */
+export const toActivityEventOperation = (event) => ({
+  type: 'upsert',
+  table: 'activity_events',
+  conflictKey: 'id',
+  ignoreDuplicates: true,
+  data: transformActivityEventToDatabase(event),
+});
+
+const activityEventsModule = {
+  ACTIVITY_SOURCES,
+  createActivityEvent,
+  transformActivityEvent,
+  transformActivityEventToDatabase,
+  applyActivityEvent,
+  toActivityEventOperation,
+};
+
+export default activityEventsModule;
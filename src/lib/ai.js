@@ -1,6 +1,8 @@
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { getToolsForRole, toGeminiFunctionDeclarations } from './aiToolDefinitions';
 import { executeTool } from './aiTools';
+import { getToday } from './dates';
+import { normalizeCategories, getActiveCategories } from './categories';
 
 // Default API key from environment variable
 let API_KEY = process.env.REACT_APP_GEMINI_API_KEY || '';
@@ -182,16 +184,23 @@ const checkRateLimit = () => {
   requestCount++;
 };
 
+/**
+ * Format counts as "Reviews: 3, Demos: 1, ..." for the active categories
+ */
+const formatCategoryCounts = (counts, categories) =>
+  getActiveCategories(normalizeCategories(categories))
+    .map(c => `${c.name}: ${counts?.[c.id] || 0}`)
+    .join(', ');
+
 // System prompt for the AI (basic - used when tools are not available)
 const BASIC_SYSTEM_PROMPT = `You are a helpful AI coach for Window Depot Milwaukee's goal tracking app.
 Your role is to:
-- Provide motivation and coaching to help users reach their daily goals
+- Provide motivation and coaching to help users reach their daily, weekly and monthly goals
 - Answer questions about the app features, goals, and performance
 - Help users understand their progress and suggest improvements
 - Be encouraging, professional, and supportive
 
-Available goal categories: reviews, demos, callbacks
-Users can track their daily progress toward goals and see weekly leaderboards.
+Users track daily activity in categories (such as reviews, demos and callbacks) and can track their progress toward daily, weekly and monthly goals and see weekly leaderboards.
 
 Be concise but helpful. Use emojis sparingly. Focus on actionable advice.`;
 
@@ -208,17 +217,18 @@ AS A MANAGER, you can:
 - Identify top performers and those needing support
 - Create challenges, rewards, and team announcements
 - Update any user's goals and award bonus XP
+- Assign goal templates and ramp-up plans to several users at once
 - Archive users and manage team settings
 ` : ''}
 AS ${userRole === 'manager' ? 'ALSO FOR YOUR OWN DATA' : 'AN EMPLOYEE'}, you can:
-- Query your activity history (reviews, demos, callbacks) for any date range
+- Query your activity history (every activity category) for any date range
 - View and analyze your appointments (including times, customers, products)
 - Check your achievements, XP, level, and streak information
 - Analyze your performance patterns (best days, typical times, trends)
 - View your leaderboard position and compare with teammates
 - Log new activities and create appointments
 - Post to the team feed
-- Update your daily goals
+- Check and update your daily, weekly and monthly goals
 
 IMPORTANT GUIDELINES:
 1. ALWAYS use your tools to fetch real data before answering questions about stats or performance
@@ -234,7 +244,7 @@ EXAMPLE TOOL USAGE:
 - "Log 3 callbacks" → Call logActivity with category='callbacks', count=3
 - "Compare John and Sarah" (manager) → Call compareUsers
 
-Today's date is ${new Date().toISOString().split('T')[0]}.
+Today's date is ${getToday()}.
 Be helpful, accurate, and proactive in using your tools to provide real insights.`;
 
   return basePrompt;
@@ -308,13 +318,13 @@ export const getAIResponse = async (message, context = {}, modelName = DEFAULT_M
       contextString += `\nCurrent User: ${context.currentUser.name} (${context.currentUser.role})\n`;
     }
     if (context.todayStats) {
-      contextString += `Today's Stats: Reviews: ${context.todayStats.reviews || 0}, Demos: ${context.todayStats.demos || 0}, Callbacks: ${context.todayStats.callbacks || 0}\n`;
+      contextString += `Today's Stats: ${formatCategoryCounts(context.todayStats, context.categories)}\n`;
     }
     if (context.weekStats) {
-      contextString += `This Week: Reviews: ${context.weekStats.reviews || 0}, Demos: ${context.weekStats.demos || 0}, Callbacks: ${context.weekStats.callbacks || 0}\n`;
+      contextString += `This Week: ${formatCategoryCounts(context.weekStats, context.categories)}\n`;
     }
     if (context.userGoals) {
-      contextString += `Goals: Reviews: ${context.userGoals.reviews}, Demos: ${context.userGoals.demos}, Callbacks: ${context.userGoals.callbacks}\n`;
+      contextString += `Goals: ${formatCategoryCounts(context.userGoals, context.categories)}\n`;
     }
 
     const prompt = `${BASIC_SYSTEM_PROMPT}${contextString}\n\nUser: ${message}\n\nAI:`;
@@ -381,7 +391,7 @@ export const getAIResponseWithTools = async (message, context = {}, modelName =
   }
 
   const userRole = currentUser.role || 'employee';
-  const tools = getToolsForRole(userRole);
+  const tools = getToolsForRole(userRole, context.categories);
   const functionDeclarations = toGeminiFunctionDeclarations(tools);
 
   try {
@@ -402,7 +412,7 @@ export const getAIResponseWithTools = async (message, context = {}, modelName =
     // Build initial context message
     let contextInfo = `[Context: User "${currentUser.name}" (${userRole})`;
     if (context.todayStats) {
-      contextInfo += `, Today: ${context.todayStats.reviews || 0} reviews, ${context.todayStats.demos || 0} demos, ${context.todayStats.callbacks || 0} callbacks`;
+      contextInfo += `, Today: ${formatCategoryCounts(context.todayStats, context.categories)}`;
     }
     contextInfo += ']';
 
@@ -484,13 +494,13 @@ export const getAIResponseWithTools = async (message, context = {}, modelName =
 /**
  * Build system instruction for voice chat with tool awareness
  */
-export const getVoiceChatSystemInstruction = (currentUser, todayStats) => {
+export const getVoiceChatSystemInstruction = (currentUser, todayStats, categories) => {
   const userRole = currentUser?.role || 'employee';
 
   return `You are a helpful AI voice coach for Window Depot Milwaukee's goal tracking app.
 The current user is ${currentUser?.name || 'User'} (${userRole}).
-Today's stats: Reviews: ${todayStats?.reviews || 0}, Demos: ${todayStats?.demos || 0}, Callbacks: ${todayStats?.callbacks || 0}.
-Goals: Reviews: ${currentUser?.goals?.reviews || 0}, Demos: ${currentUser?.goals?.demos || 0}, Callbacks: ${currentUser?.goals?.callbacks || 0}.
+Today's stats: ${formatCategoryCounts(todayStats, categories)}.
+Daily goals: ${formatCategoryCounts(currentUser?.goals, categories)}.
 
 You have access to tools that can query detailed data and perform actions. When the user asks about:
 - Historical stats, patterns, or analysis - use your data query tools
@@ -505,7 +515,7 @@ Your role is to:
 - Give specific, data-driven feedback
 
 Keep responses conversational and concise for voice interaction.
-Today's date is ${new Date().toISOString().split('T')[0]}.`;
+Today's date is ${getToday()}.`;
 };
 
 // Get remaining requests in current minute
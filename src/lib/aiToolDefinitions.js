@@ -7,15 +7,29 @@
  * - description: What the tool does (shown to the AI)
  * - parameters: JSON schema for expected parameters
  * - requiredRole: 'employee' (available to all) or 'manager' (manager only)
+ *
+ * Activity categories come from the categories table, so the definitions
+ * below list the built-in categories and getToolsForRole() swaps in the
+ * store's categories before they are sent to the model.
  */
 
+import { normalizeCategories, getActiveCategories } from './categories';
+
+const BUILT_IN_CATEGORY_IDS = ['reviews', 'demos', 'callbacks'];
+
+// Tools that write activity only accept active categories
+const ACTIVE_CATEGORY_TOOLS = ['logActivity', 'incrementActivity', 'createChallenge'];
+
+// Tools whose parameters include one daily goal per active category
+const GOAL_TOOLS = ['updateMyGoals', 'updateUserGoals'];
+
 // ========================================
 // EMPLOYEE TOOLS - Read/Query Operations
 // ========================================
 
 export const getMyStatsDefinition = {
   name: 'getMyStats',
-  description: 'Get the current user\'s activity statistics (reviews, demos, callbacks) for a specified date range. Use this to answer questions about their performance history, daily totals, weekly totals, trends, and patterns.',
+  description: 'Get the current user\'s activity statistics (a count per activity category) for a specified date range. Use this to answer questions about their performance history, daily totals, weekly totals, trends, and patterns.',
   parameters: {
     type: 'object',
     properties: {
@@ -64,7 +78,7 @@ export const getMyAppointmentsDefinition = {
 
 export const getMyProfileDefinition = {
   name: 'getMyProfile',
-  description: 'Get the current user\'s full profile including XP, level, streaks, achievements, and goals. Use this to answer questions about their gamification progress, achievements earned, and current streak.',
+  description: 'Get the current user\'s full profile including XP, level, progress to the next level, XP earned per activity, streaks, achievements, and goals. Use this to answer questions about their gamification progress, achievements earned, and current streak.',
   parameters: {
     type: 'object',
     properties: {},
@@ -107,7 +121,7 @@ export const getLeaderboardDefinition = {
 
 export const getMyGoalsDefinition = {
   name: 'getMyGoals',
-  description: 'Get the current user\'s daily goals for reviews, demos, and callbacks.',
+  description: 'Get the current user\'s daily, weekly and monthly goals for each activity category, with progress for the current day, week and month and how many periods in a row each goal has been met.',
   parameters: {
     type: 'object',
     properties: {},
@@ -180,13 +194,34 @@ export const getChallengesDefinition = {
   requiredRole: 'employee'
 };
 
+export const getMyTasksDefinition = {
+  name: 'getMyTasks',
+  description: 'Get the current user\'s follow-up tasks: callbacks and follow-ups created when an appointment is marked Callback Needed or Follow-up Needed, each due on the appointment\'s follow-up date. Use this to answer "who do I need to call back?" or "what\'s overdue?".',
+  parameters: {
+    type: 'object',
+    properties: {
+      status: {
+        type: 'string',
+        enum: ['open', 'due', 'completed', 'all'],
+        description: 'open lists every task not yet done (default); due only those due today or overdue; completed the finished ones, newest first.'
+      },
+      limit: {
+        type: 'number',
+        description: 'Maximum number of tasks to return. Default is 20.'
+      }
+    },
+    required: []
+  },
+  requiredRole: 'employee'
+};
+
 // ========================================
 // EMPLOYEE TOOLS - Write/Action Operations
 // ========================================
 
 export const logActivityDefinition = {
   name: 'logActivity',
-  description: 'Log activities (reviews, demos, or callbacks) for the current user. Use this when the user wants to record their work. This adds to the existing count for today.',
+  description: 'Log activities in one of the activity categories for the current user. Use this when the user wants to record their work. This adds to the existing count for today.',
   parameters: {
     type: 'object',
     properties: {
@@ -248,21 +283,26 @@ export const createAppointmentDefinition = {
 
 export const updateMyGoalsDefinition = {
   name: 'updateMyGoals',
-  description: 'Update the current user\'s daily goals. Use this when the user wants to change their target numbers for reviews, demos, or callbacks.',
+  description: 'Update the current user\'s daily, weekly or monthly goals. Use this when the user wants to change their target number for one or more activity categories, e.g. "set my weekly demo goal to 15".',
   parameters: {
     type: 'object',
     properties: {
+      period: {
+        type: 'string',
+        enum: ['day', 'week', 'month'],
+        description: 'Which goals to update: daily, weekly or monthly. Default is day.'
+      },
       reviews: {
         type: 'number',
-        description: 'New daily goal for reviews. Must be a positive integer.'
+        description: 'New goal for reviews. Must be a whole number; 0 removes a weekly or monthly goal.'
       },
       demos: {
         type: 'number',
-        description: 'New daily goal for demos. Must be a positive integer.'
+        description: 'New goal for demos. Must be a whole number; 0 removes a weekly or monthly goal.'
       },
       callbacks: {
         type: 'number',
-        description: 'New daily goal for callbacks. Must be a positive integer.'
+        description: 'New goal for callbacks. Must be a whole number; 0 removes a weekly or monthly goal.'
       }
     },
     required: []
@@ -303,6 +343,22 @@ export const incrementActivityDefinition = {
   requiredRole: 'employee'
 };
 
+export const completeTaskDefinition = {
+  name: 'completeTask',
+  description: 'Mark one of the current user\'s follow-up tasks as done. Completing a callback task also logs one callback for today, so do not log it separately. Get the task ID from getMyTasks first.',
+  parameters: {
+    type: 'object',
+    properties: {
+      taskId: {
+        type: 'string',
+        description: 'ID of the task, from getMyTasks.'
+      }
+    },
+    required: ['taskId']
+  },
+  requiredRole: 'employee'
+};
+
 // ========================================
 // MANAGER TOOLS - Read/Query Operations
 // ========================================
@@ -389,7 +445,7 @@ export const getTeamAppointmentsDefinition = {
 
 export const generateReportDefinition = {
   name: 'generateReport',
-  description: 'Generate a performance report for the team. Manager only. Creates a comprehensive summary with statistics, rankings, and insights.',
+  description: 'Generate a performance report for the team. Manager only. Creates a comprehensive summary with statistics, rankings, and insights, and can download it as a CSV or Excel spreadsheet.',
   parameters: {
     type: 'object',
     properties: {
@@ -409,6 +465,20 @@ export const generateReportDefinition = {
       includeCharts: {
         type: 'boolean',
         description: 'Whether to include chart data in the report. Default is true.'
+      },
+      format: {
+        type: 'string',
+        enum: ['json', 'csv', 'xlsx'],
+        description: 'json returns the summary only (default). csv or xlsx also downloads a spreadsheet for payroll and commission: xlsx has a sheet each for activity per day, appointments, goal attainment and deals; csv has the one dataset asked for.'
+      },
+      dataset: {
+        type: 'string',
+        enum: ['activity', 'appointments', 'goals', 'deals'],
+        description: 'Table to export as csv (default activity), or the only sheet to include in xlsx. Ignored for json.'
+      },
+      userId: {
+        type: 'string',
+        description: 'Limit a csv or xlsx export to one user. Optional; defaults to the whole team.'
       }
     },
     required: ['reportType']
@@ -539,6 +609,17 @@ export const getRewardsDefinition = {
   requiredRole: 'manager'
 };
 
+export const getGoalTemplatesDefinition = {
+  name: 'getGoalTemplates',
+  description: 'Get the goal templates (named goal plans such as "New hire ramp"), the goals each step sets, and which users follow each template. Manager only.',
+  parameters: {
+    type: 'object',
+    properties: {},
+    required: []
+  },
+  requiredRole: 'manager'
+};
+
 // ========================================
 // MANAGER TOOLS - Write/Action Operations
 // ========================================
@@ -596,7 +677,7 @@ export const createChallengeDefinition = {
 
 export const updateUserGoalsDefinition = {
   name: 'updateUserGoals',
-  description: 'Update the daily goals for a specific user. Manager only.',
+  description: 'Update the daily, weekly or monthly goals for a specific user. Manager only.',
   parameters: {
     type: 'object',
     properties: {
@@ -608,17 +689,22 @@ export const updateUserGoalsDefinition = {
         type: 'string',
         description: 'ID of the user. Use if you have the exact ID.'
       },
+      period: {
+        type: 'string',
+        enum: ['day', 'week', 'month'],
+        description: 'Which goals to update: daily, weekly or monthly. Default is day.'
+      },
       reviews: {
         type: 'number',
-        description: 'New daily goal for reviews.'
+        description: 'New goal for reviews.'
       },
       demos: {
         type: 'number',
-        description: 'New daily goal for demos.'
+        description: 'New goal for demos.'
       },
       callbacks: {
         type: 'number',
-        description: 'New daily goal for callbacks.'
+        description: 'New goal for callbacks.'
       }
     },
     required: []
@@ -626,6 +712,36 @@ export const updateUserGoalsDefinition = {
   requiredRole: 'manager'
 };
 
+export const assignGoalTemplateDefinition = {
+  name: 'assignGoalTemplate',
+  description: 'Assign a goal template to several users at once, by name or by role. Replaces any template they followed before; ramp-up steps then raise their goals week by week from the start date. Manager only.',
+  parameters: {
+    type: 'object',
+    properties: {
+      templateName: {
+        type: 'string',
+        description: 'Name of the goal template.'
+      },
+      userNames: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Names of the users to assign. Ignored when role is given.'
+      },
+      role: {
+        type: 'string',
+        enum: ['employee', 'manager', 'all'],
+        description: 'Assign to every user with this role instead of listing names.'
+      },
+      startsOn: {
+        type: 'string',
+        description: 'Date the template starts (YYYY-MM-DD). Default is today.'
+      }
+    },
+    required: ['templateName']
+  },
+  requiredRole: 'manager'
+};
+
 export const createTeamAnnouncementDefinition = {
   name: 'createTeamAnnouncement',
   description: 'Create an announcement post on the team feed. Manager only. Announcements are highlighted differently from regular posts.',
@@ -755,12 +871,14 @@ export const getEmployeeTools = () => [
   getMyFeedActivityDefinition,
   getTodaysSummaryDefinition,
   getChallengesDefinition,
+  getMyTasksDefinition,
   // Write tools
   logActivityDefinition,
   createAppointmentDefinition,
   updateMyGoalsDefinition,
   createFeedPostDefinition,
   incrementActivityDefinition,
+  completeTaskDefinition,
 ];
 
 /**
@@ -778,28 +896,60 @@ export const getManagerTools = () => [
   getUnderperformersDefinition,
   getAuditLogDefinition,
   getRewardsDefinition,
+  getGoalTemplatesDefinition,
   // Write tools
   createChallengeDefinition,
   updateUserGoalsDefinition,
+  assignGoalTemplateDefinition,
   createTeamAnnouncementDefinition,
   awardBonusXPDefinition,
   archiveUserDefinition,
   createRewardDefinition,
 ];
 
+/**
+ * Replace the built-in categories in a tool definition with the store's categories
+ * @param {object} tool - Tool definition
+ * @param {Array} categories - App-format categories
+ * @returns {object} Tool definition
+ */
+export const withCategories = (tool, categories) => {
+  const activeCategories = getActiveCategories(categories);
+  const categoryIds = (ACTIVE_CATEGORY_TOOLS.includes(tool.name) ? activeCategories : categories).map(c => c.id);
+  const properties = {};
+
+  Object.entries(tool.parameters.properties).forEach(([key, property]) => {
+    if (GOAL_TOOLS.includes(tool.name) && BUILT_IN_CATEGORY_IDS.includes(key)) return;
+
+    properties[key] = property.enum?.includes(BUILT_IN_CATEGORY_IDS[0])
+      ? { ...property, enum: [...categoryIds, ...property.enum.filter(v => !BUILT_IN_CATEGORY_IDS.includes(v))] }
+      : property;
+  });
+
+  if (GOAL_TOOLS.includes(tool.name)) {
+    activeCategories.forEach(c => {
+      properties[c.id] = {
+        type: 'number',
+        description: `New goal for ${c.name.toLowerCase()} in the chosen period. Must be a whole number; 0 removes a weekly or monthly goal.`
+      };
+    });
+  }
+
+  return { ...tool, parameters: { ...tool.parameters, properties } };
+};
+
 /**
  * Get all tools for a user based on their role
  * @param {string} role - User role ('employee' or 'manager')
+ * @param {Array} categories - Activity categories (defaults to the built-in ones)
  * @returns {Array} Array of tool definitions
  */
-export const getToolsForRole = (role) => {
+export const getToolsForRole = (role, categories) => {
+  const storeCategories = normalizeCategories(categories);
   const employeeTools = getEmployeeTools();
+  const tools = role === 'manager' ? [...employeeTools, ...getManagerTools()] : employeeTools;
 
-  if (role === 'manager') {
-    return [...employeeTools, ...getManagerTools()];
-  }
-
-  return employeeTools;
+  return tools.map(tool => withCategories(tool, storeCategories));
 };
 
 /**
@@ -818,6 +968,7 @@ export const toGeminiFunctionDeclarations = (tools) => {
 const aiToolDefinitionsModule = {
   getEmployeeTools,
   getManagerTools,
+  withCategories,
   getToolsForRole,
   toGeminiFunctionDeclarations,
 };
@@ -7,54 +7,100 @@
 
 import storage from '../storage';
 import { queueSyncOperation } from './sync';
+import { calculateLevel, getLevelProgress, normalizeXpCurve, XP_CURVE_SETTING_KEY } from './xp';
+import { DAY_NAMES, getToday, getWeekStart, getMonthStart, addDays, daysBetween, getDayName, eachDayInRange } from './dates';
+import { normalizeCategories, getActiveCategories, getCategoryXp, getCategoryCounts, sumCategoryCounts } from './categories';
+import { GOAL_PERIOD_IDS, MAX_GOAL, getUserGoals, getGoalProgress, calculatePeriodStreak } from './goals';
+import { getTemplateStep, describeTemplateStep, transformGoalAssignmentToDatabase } from './goalTemplates';
+import { createActivityEvent, applyActivityEvent, toActivityEventOperation } from './activityEvents';
+import { WEBHOOK_EVENTS } from './webhooks';
+import { buildReportFile } from './reports';
+import { TASK_CATEGORY, describeTask } from './tasks';
+import { downloadBlob } from './spreadsheet';
 
 // ========================================
 // HELPER FUNCTIONS
 // ========================================
 
 /**
- * Get today's date in YYYY-MM-DD format
+ * Get activity categories (categories table, falling back to the defaults)
  */
-const getToday = () => {
-  return new Date().toISOString().split('T')[0];
+const getCategories = async () => normalizeCategories(await storage.get('categories', []));
+
+/**
+ * Get the manager-defined XP curve (system_settings.xp_curve), with XP per
+ * activity taken from the categories
+ */
+const getXpCurve = async () => {
+  const systemSettings = await storage.get('systemSettings', {});
+  const categories = await getCategories();
+  return normalizeXpCurve({ ...systemSettings?.[XP_CURVE_SETTING_KEY], categoryXp: getCategoryXp(categories) });
 };
 
 /**
- * Get start of current week (Monday)
+ * Add counts into running per-category totals
  */
-const getWeekStart = () => {
-  const today = new Date();
-  const day = today.getDay();
-  const diff = today.getDate() - day + (day === 0 ? -6 : 1);
-  const weekStart = new Date(today.setDate(diff));
-  return weekStart.toISOString().split('T')[0];
+const addCategoryCounts = (totals, counts, categories) => {
+  categories.forEach(c => {
+    totals[c.id] = (totals[c.id] || 0) + (counts?.[c.id] || 0);
+  });
+  return totals;
 };
 
 /**
- * Get start of current month
+ * Apply goal arguments ({ categoryId: goal }) to a user's goals for a period
+ * A weekly or monthly goal of 0 is removed. Returns null when no active
+ * category was given.
  */
-const getMonthStart = () => {
-  const today = new Date();
-  return new Date(today.getFullYear(), today.getMonth(), 1).toISOString().split('T')[0];
+const applyGoalArgs = (args, previousGoals, categories, period = 'day') => {
+  const updates = getActiveCategories(categories).filter(c => args[c.id] !== undefined);
+  if (updates.length === 0) return null;
+
+  const goals = { ...previousGoals };
+  updates.forEach(c => {
+    const goal = Math.max(0, Math.min(MAX_GOAL[period], Math.round(Number(args[c.id]) || 0)));
+    if (goal === 0 && period !== 'day') {
+      delete goals[c.id];
+    } else {
+      goals[c.id] = goal;
+    }
+  });
+  return goals;
 };
 
 /**
- * Calculate days between two dates
+ * Store new goals for a period on a user and return the users row update
  */
-const daysBetween = (start, end) => {
-  const startDate = new Date(start);
-  const endDate = new Date(end);
-  return Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24)) + 1;
+const setUserGoals = (user, goals, period) => {
+  if (period === 'day') {
+    user.goals = goals;
+    return { goals };
+  }
+  user.periodGoals = { ...user.periodGoals, [period]: goals };
+  return { period_goals: user.periodGoals };
 };
 
 /**
- * Get day of week name from date string
+ * Goal completion over a number of days, as a percentage per category with a goal
+ * @returns {{rates: object, average: number}}
  */
-const getDayOfWeek = (dateStr) => {
-  const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  return days[new Date(dateStr).getDay()];
+const getGoalCompletionRates = (counts, goals, days) => {
+  const rates = {};
+  Object.entries(goals || {}).forEach(([category, goal]) => {
+    if (goal > 0) rates[category] = ((counts[category] || 0) / (goal * days)) * 100;
+  });
+  const values = Object.values(rates);
+  return {
+    rates,
+    average: values.length > 0 ? values.reduce((sum, rate) => sum + rate, 0) / values.length : 0,
+  };
 };
 
+/**
+ * Round to one decimal place
+ */
+const roundTenth = (value) => Math.round(value * 10) / 10;
+
 /**
  * Find user by name (case-insensitive partial match)
  */
@@ -142,7 +188,9 @@ export const getMyStats = async (args, context) => {
   const { startDate, endDate, category = 'all' } = args;
 
   try {
-    const dailyLogs = await storage.get('dailyLogs', {});
+    const dailyLogs = await storage.dailyLogs.query({ userId: currentUser.id, from: startDate, to: endDate });
+    const categories = await getCategories();
+    const reported = category === 'all' ? categories : categories.filter(c => c.id === category);
     const userId = currentUser.id;
 
     const result = {
@@ -150,31 +198,24 @@ export const getMyStats = async (args, context) => {
       userName: currentUser.name,
       dateRange: { startDate, endDate },
       days: [],
-      totals: { reviews: 0, demos: 0, callbacks: 0, total: 0 },
-      dailyAverages: { reviews: 0, demos: 0, callbacks: 0 },
+      totals: { ...getCategoryCounts({}, reported), total: 0 },
+      dailyAverages: getCategoryCounts({}, reported),
     };
 
     // Iterate through date range
-    const start = new Date(startDate);
-    const end = new Date(endDate);
     let dayCount = 0;
 
-    for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
-      const dateStr = d.toISOString().split('T')[0];
-      const dayData = dailyLogs[dateStr]?.[userId] || { reviews: 0, demos: 0, callbacks: 0 };
+    for (const dateStr of eachDayInRange(startDate, endDate)) {
+      const dayData = dailyLogs[dateStr]?.[userId] || {};
 
       const dayStats = {
         date: dateStr,
-        dayOfWeek: getDayOfWeek(dateStr),
-        reviews: dayData.reviews || 0,
-        demos: dayData.demos || 0,
-        callbacks: dayData.callbacks || 0,
-        total: (dayData.reviews || 0) + (dayData.demos || 0) + (dayData.callbacks || 0),
+        dayOfWeek: getDayName(dateStr),
+        ...getCategoryCounts(dayData, categories),
+        total: sumCategoryCounts(dayData),
       };
 
-      if (category === 'all' || category === 'reviews') result.totals.reviews += dayStats.reviews;
-      if (category === 'all' || category === 'demos') result.totals.demos += dayStats.demos;
-      if (category === 'all' || category === 'callbacks') result.totals.callbacks += dayStats.callbacks;
+      addCategoryCounts(result.totals, dayData, reported);
       result.totals.total += dayStats.total;
 
       result.days.push(dayStats);
@@ -183,9 +224,9 @@ export const getMyStats = async (args, context) => {
 
     // Calculate averages
     if (dayCount > 0) {
-      result.dailyAverages.reviews = Math.round((result.totals.reviews / dayCount) * 10) / 10;
-      result.dailyAverages.demos = Math.round((result.totals.demos / dayCount) * 10) / 10;
-      result.dailyAverages.callbacks = Math.round((result.totals.callbacks / dayCount) * 10) / 10;
+      reported.forEach(c => {
+        result.dailyAverages[c.id] = roundTenth(result.totals[c.id] / dayCount);
+      });
     }
 
     result.daysAnalyzed = dayCount;
@@ -204,8 +245,7 @@ export const getMyAppointments = async (args, context) => {
   const { startDate, endDate, limit = 50 } = args;
 
   try {
-    const appointments = await storage.get('appointments', []);
-    let userAppointments = appointments.filter(a => a.userId === currentUser.id);
+    let userAppointments = await storage.appointments.query({ userId: currentUser.id });
 
     // Filter by date range if provided
     if (startDate) {
@@ -237,7 +277,7 @@ export const getMyAppointments = async (args, context) => {
       });
 
       // Day of week
-      const dow = getDayOfWeek(apt.date);
+      const dow = getDayName(apt.date);
       stats.byDayOfWeek[dow] = (stats.byDayOfWeek[dow] || 0) + 1;
 
       // Time slot
@@ -271,12 +311,13 @@ export const getMyProfile = async (args, context) => {
   try {
     const users = await storage.get('users', []);
     const user = users.find(u => u.id === currentUser.id) || currentUser;
+    const xpCurve = await getXpCurve();
 
     const profile = {
       id: user.id,
       name: user.name,
       role: user.role,
-      goals: user.goals || { reviews: 5, demos: 3, callbacks: 10 },
+      goals: user.goals || {},
       xp: user.xp || 0,
       level: user.level || 1,
       currentStreak: user.currentStreak || 0,
@@ -288,11 +329,14 @@ export const getMyProfile = async (args, context) => {
       createdAt: user.createdAt,
     };
 
-    // Calculate XP to next level
-    const xpForNextLevel = profile.level * 100;
-    const currentLevelXP = profile.xp % 100;
-    profile.xpToNextLevel = xpForNextLevel - currentLevelXP;
-    profile.xpProgress = Math.round((currentLevelXP / xpForNextLevel) * 100);
+    // Level and XP to next level from the XP curve
+    const { level, xpToNextLevel, xpProgress } = getLevelProgress(profile.xp, xpCurve);
+    profile.level = level;
+    profile.bonusXp = user.bonusXp ?? profile.xp;
+    profile.activityXp = user.activityXp || 0;
+    profile.xpToNextLevel = xpToNextLevel;
+    profile.xpProgress = xpProgress;
+    profile.xpPerActivity = xpCurve.categoryXp;
 
     return { success: true, data: profile };
   } catch (error) {
@@ -354,7 +398,7 @@ export const getLeaderboard = async (args, context) => {
 
   try {
     const users = await storage.get('users', []);
-    const dailyLogs = await storage.get('dailyLogs', {});
+    const categories = await getCategories();
 
     // Determine date range based on period
     let startDate, endDate = getToday();
@@ -375,31 +419,27 @@ export const getLeaderboard = async (args, context) => {
         startDate = getWeekStart();
     }
 
+    const dailyLogs = await storage.dailyLogs.query({ from: startDate, to: endDate });
+
     // Calculate scores for each user
     const userScores = users
       .filter(u => !u.archived)
       .map(user => {
-        let reviews = 0, demos = 0, callbacks = 0;
+        const counts = getCategoryCounts({}, categories);
 
         Object.entries(dailyLogs).forEach(([date, dateData]) => {
           if (date >= startDate && date <= endDate && dateData[user.id]) {
-            reviews += dateData[user.id].reviews || 0;
-            demos += dateData[user.id].demos || 0;
-            callbacks += dateData[user.id].callbacks || 0;
+            addCategoryCounts(counts, dateData[user.id], categories);
           }
         });
 
-        const total = reviews + demos + callbacks;
-
         return {
           userId: user.id,
           userName: user.name,
           role: user.role,
           level: user.level || 1,
-          reviews,
-          demos,
-          callbacks,
-          total,
+          ...counts,
+          total: sumCategoryCounts(counts),
         };
       });
 
@@ -429,20 +469,48 @@ export const getLeaderboard = async (args, context) => {
 };
 
 /**
- * Get user's goals
+ * Get user's daily, weekly and monthly goals with progress and streaks
  */
 export const getMyGoals = async (args, context) => {
   const { currentUser } = context;
 
-  const goals = currentUser.goals || { reviews: 5, demos: 3, callbacks: 10 };
+  try {
+    const dailyLogs = await storage.dailyLogs.query({ userId: currentUser.id });
+    const categories = getActiveCategories(await getCategories());
+    const userGoals = getUserGoals(currentUser);
+    const dailyGoals = getCategoryCounts(userGoals.day, categories);
+
+    const progress = {};
+    const streaks = {};
+    GOAL_PERIOD_IDS.forEach(period => {
+      const periodProgress = getGoalProgress(currentUser, dailyLogs, period, categories);
+      progress[period] = {
+        start: periodProgress.start,
+        end: periodProgress.end,
+        percent: periodProgress.percent,
+        met: periodProgress.met,
+        items: periodProgress.items.map(({ id, name, count, target }) => ({ category: id, name, count, target })),
+      };
+      streaks[period] = calculatePeriodStreak(currentUser, dailyLogs, period);
+    });
 
-  return {
-    success: true,
-    data: {
-      goals,
-      totalDailyTarget: goals.reviews + goals.demos + goals.callbacks,
-    },
-  };
+    return {
+      success: true,
+      data: {
+        goals: {
+          day: dailyGoals,
+          week: userGoals.week,
+          month: userGoals.month,
+        },
+        categories: categories.map(c => ({ id: c.id, name: c.name })),
+        progress,
+        streaks,
+        totalDailyTarget: sumCategoryCounts(dailyGoals),
+      },
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
 };
 
 /**
@@ -453,38 +521,33 @@ export const analyzeMyPatterns = async (args, context) => {
   const { analysisType = 'all', days = 30 } = args;
 
   try {
-    const dailyLogs = await storage.get('dailyLogs', {});
-    const appointments = await storage.get('appointments', []);
+    const categories = await getCategories();
     const userId = currentUser.id;
 
     // Calculate date range
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
+    const endDate = getToday();
+    const startDate = addDays(endDate, -days);
+
+    const [dailyLogs, appointments] = await Promise.all([
+      storage.dailyLogs.query({ userId, from: startDate }),
+      storage.appointments.query({ userId }),
+    ]);
 
     const result = {
-      period: { days, startDate: startDate.toISOString().split('T')[0], endDate: endDate.toISOString().split('T')[0] },
+      period: { days, startDate, endDate },
       patterns: {},
     };
 
     // Day of week analysis
     if (analysisType === 'all' || analysisType === 'day_of_week') {
-      const dayStats = {
-        Sunday: { reviews: 0, demos: 0, callbacks: 0, count: 0 },
-        Monday: { reviews: 0, demos: 0, callbacks: 0, count: 0 },
-        Tuesday: { reviews: 0, demos: 0, callbacks: 0, count: 0 },
-        Wednesday: { reviews: 0, demos: 0, callbacks: 0, count: 0 },
-        Thursday: { reviews: 0, demos: 0, callbacks: 0, count: 0 },
-        Friday: { reviews: 0, demos: 0, callbacks: 0, count: 0 },
-        Saturday: { reviews: 0, demos: 0, callbacks: 0, count: 0 },
-      };
+      const dayStats = Object.fromEntries(
+        DAY_NAMES.map(day => [day, { ...getCategoryCounts({}, categories), count: 0 }])
+      );
 
       Object.entries(dailyLogs).forEach(([date, dateData]) => {
-        if (date >= startDate.toISOString().split('T')[0] && dateData[userId]) {
-          const dow = getDayOfWeek(date);
-          dayStats[dow].reviews += dateData[userId].reviews || 0;
-          dayStats[dow].demos += dateData[userId].demos || 0;
-          dayStats[dow].callbacks += dateData[userId].callbacks || 0;
+        if (date >= startDate && dateData[userId]) {
+          const dow = getDayName(date);
+          addCategoryCounts(dayStats[dow], dateData[userId], categories);
           dayStats[dow].count++;
         }
       });
@@ -495,10 +558,10 @@ export const analyzeMyPatterns = async (args, context) => {
 
       Object.entries(dayStats).forEach(([day, stats]) => {
         if (stats.count > 0) {
-          stats.avgReviews = Math.round((stats.reviews / stats.count) * 10) / 10;
-          stats.avgDemos = Math.round((stats.demos / stats.count) * 10) / 10;
-          stats.avgCallbacks = Math.round((stats.callbacks / stats.count) * 10) / 10;
-          stats.avgTotal = stats.avgReviews + stats.avgDemos + stats.avgCallbacks;
+          stats.averages = Object.fromEntries(
+            categories.map(c => [c.id, roundTenth(stats[c.id] / stats.count)])
+          );
+          stats.avgTotal = roundTenth(sumCategoryCounts(stats.averages));
 
           if (stats.avgTotal > bestTotal) {
             bestTotal = stats.avgTotal;
@@ -518,7 +581,7 @@ export const analyzeMyPatterns = async (args, context) => {
     if (analysisType === 'all' || analysisType === 'time_of_day') {
       const userAppointments = appointments.filter(a =>
         a.userId === userId &&
-        a.date >= startDate.toISOString().split('T')[0] &&
+        a.date >= startDate &&
         a.time
       );
 
@@ -577,23 +640,21 @@ export const analyzeMyPatterns = async (args, context) => {
 
     // Goal completion analysis
     if (analysisType === 'all' || analysisType === 'goal_completion') {
-      const goals = currentUser.goals || { reviews: 5, demos: 3, callbacks: 10 };
+      const goals = Object.entries(currentUser.goals || {}).filter(([, goal]) => goal > 0);
       let daysWithGoals = 0;
       let daysAllGoalsMet = 0;
       let daysPartialGoalsMet = 0;
 
       Object.entries(dailyLogs).forEach(([date, dateData]) => {
-        if (date >= startDate.toISOString().split('T')[0] && dateData[userId]) {
+        if (date >= startDate && dateData[userId]) {
           const data = dateData[userId];
           daysWithGoals++;
 
-          const reviewsMet = (data.reviews || 0) >= goals.reviews;
-          const demosMet = (data.demos || 0) >= goals.demos;
-          const callbacksMet = (data.callbacks || 0) >= goals.callbacks;
+          const goalsMet = goals.filter(([category, goal]) => (data[category] || 0) >= goal).length;
 
-          if (reviewsMet && demosMet && callbacksMet) {
+          if (goals.length > 0 && goalsMet === goals.length) {
             daysAllGoalsMet++;
-          } else if (reviewsMet || demosMet || callbacksMet) {
+          } else if (goalsMet > 0) {
             daysPartialGoalsMet++;
           }
         }
@@ -611,33 +672,23 @@ export const analyzeMyPatterns = async (args, context) => {
     // Trends analysis
     if (analysisType === 'all' || analysisType === 'trends') {
       const weeklyTotals = [];
-      let currentWeekStart = new Date(startDate);
-
-      while (currentWeekStart <= endDate) {
-        const weekEnd = new Date(currentWeekStart);
-        weekEnd.setDate(weekEnd.getDate() + 6);
-
-        let weekReviews = 0, weekDemos = 0, weekCallbacks = 0;
+      for (let currentWeekStart = getWeekStart(startDate); currentWeekStart <= endDate; currentWeekStart = addDays(currentWeekStart, 7)) {
+        const weekEnd = addDays(currentWeekStart, 6);
+        const weekCounts = getCategoryCounts({}, categories);
 
         Object.entries(dailyLogs).forEach(([date, dateData]) => {
-          if (date >= currentWeekStart.toISOString().split('T')[0] &&
-            date <= weekEnd.toISOString().split('T')[0] &&
+          if (date >= currentWeekStart &&
+            date <= weekEnd &&
             dateData[userId]) {
-            weekReviews += dateData[userId].reviews || 0;
-            weekDemos += dateData[userId].demos || 0;
-            weekCallbacks += dateData[userId].callbacks || 0;
+            addCategoryCounts(weekCounts, dateData[userId], categories);
           }
         });
 
         weeklyTotals.push({
-          weekStart: currentWeekStart.toISOString().split('T')[0],
-          reviews: weekReviews,
-          demos: weekDemos,
-          callbacks: weekCallbacks,
-          total: weekReviews + weekDemos + weekCallbacks,
+          weekStart: currentWeekStart,
+          ...weekCounts,
+          total: sumCategoryCounts(weekCounts),
         });
-
-        currentWeekStart.setDate(currentWeekStart.getDate() + 7);
       }
 
       // Calculate trend (comparing last 2 weeks)
@@ -670,10 +721,7 @@ export const getMyFeedActivity = async (args, context) => {
   const { limit = 20 } = args;
 
   try {
-    const feed = await storage.get('feed', []);
-    const userPosts = feed
-      .filter(p => p.userId === currentUser.id)
-      .slice(0, limit);
+    const userPosts = (await storage.feed.query({ userId: currentUser.id })).slice(0, limit);
 
     const totalLikes = userPosts.reduce((sum, p) => sum + (p.likes?.length || 0), 0);
     const totalComments = userPosts.reduce((sum, p) => sum + (p.comments?.length || 0), 0);
@@ -703,37 +751,43 @@ export const getTodaysSummary = async (args, context) => {
 
   try {
     const today = getToday();
-    const dailyLogs = await storage.get('dailyLogs', {});
-    const appointments = await storage.get('appointments', []);
+    const [dailyLogs, appointments] = await Promise.all([
+      storage.dailyLogs.query({ userId: currentUser.id, from: today, to: today }),
+      storage.appointments.query({ userId: currentUser.id, from: today, to: today }),
+    ]);
 
-    const todayStats = dailyLogs[today]?.[currentUser.id] || { reviews: 0, demos: 0, callbacks: 0 };
-    const goals = currentUser.goals || { reviews: 5, demos: 3, callbacks: 10 };
+    const categories = getActiveCategories(await getCategories());
+    const todayStats = getCategoryCounts(dailyLogs[today]?.[currentUser.id], categories);
+    const goals = getCategoryCounts(currentUser.goals, categories);
 
     const todayAppointments = appointments.filter(a =>
       a.userId === currentUser.id && a.date === today
     );
 
+    const progress = {};
+    const goalsCompleted = {};
+    categories.forEach(c => {
+      progress[c.id] = {
+        current: todayStats[c.id],
+        goal: goals[c.id],
+        percentage: goals[c.id] > 0 ? Math.round((todayStats[c.id] / goals[c.id]) * 100) : null,
+      };
+      goalsCompleted[c.id] = todayStats[c.id] >= goals[c.id];
+    });
+    goalsCompleted.all = Object.values(goalsCompleted).every(Boolean);
+
     const summary = {
       date: today,
-      dayOfWeek: getDayOfWeek(today),
+      dayOfWeek: getDayName(today),
       stats: todayStats,
       goals,
-      progress: {
-        reviews: { current: todayStats.reviews, goal: goals.reviews, percentage: Math.round((todayStats.reviews / goals.reviews) * 100) },
-        demos: { current: todayStats.demos, goal: goals.demos, percentage: Math.round((todayStats.demos / goals.demos) * 100) },
-        callbacks: { current: todayStats.callbacks, goal: goals.callbacks, percentage: Math.round((todayStats.callbacks / goals.callbacks) * 100) },
-      },
-      goalsCompleted: {
-        reviews: todayStats.reviews >= goals.reviews,
-        demos: todayStats.demos >= goals.demos,
-        callbacks: todayStats.callbacks >= goals.callbacks,
-        all: todayStats.reviews >= goals.reviews && todayStats.demos >= goals.demos && todayStats.callbacks >= goals.callbacks,
-      },
+      progress,
+      goalsCompleted,
       appointments: {
         count: todayAppointments.length,
         list: todayAppointments,
       },
-      totalActivities: todayStats.reviews + todayStats.demos + todayStats.callbacks,
+      totalActivities: sumCategoryCounts(dailyLogs[today]?.[currentUser.id]),
     };
 
     return { success: true, data: summary };
@@ -796,6 +850,48 @@ export const getChallenges = async (args, context) => {
   }
 };
 
+/**
+ * Get the user's follow-up tasks
+ */
+export const getMyTasks = async (args, context) => {
+  const { currentUser } = context;
+  const { status = 'open', limit = 20 } = args;
+
+  try {
+    const today = getToday();
+    const myTasks = (await storage.get('tasks', [])).filter(t => t.userId === currentUser.id);
+    const open = myTasks.filter(t => !t.completedAt);
+
+    const selected = {
+      open,
+      due: open.filter(t => t.dueDate <= today),
+      completed: myTasks.filter(t => t.completedAt).sort((a, b) => b.completedAt.localeCompare(a.completedAt)),
+      all: myTasks,
+    }[status] || open;
+
+    return {
+      success: true,
+      data: {
+        tasks: selected.slice(0, limit).map(t => ({
+          id: t.id,
+          description: describeTask(t),
+          type: t.type,
+          customerName: t.customerName,
+          appointmentId: t.appointmentId,
+          dueDate: t.dueDate,
+          overdue: !t.completedAt && t.dueDate < today,
+          completedAt: t.completedAt,
+        })),
+        openCount: open.length,
+        dueTodayCount: open.filter(t => t.dueDate === today).length,
+        overdueCount: open.filter(t => t.dueDate < today).length,
+      },
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
 // ========================================
 // EMPLOYEE WRITE TOOLS
 // ========================================
@@ -808,45 +904,30 @@ export const logActivity = async (args, context) => {
   const { category, count = 1, date = getToday() } = args;
 
   // Validate
-  if (!['reviews', 'demos', 'callbacks'].includes(category)) {
-    return { success: false, error: 'Invalid category. Must be reviews, demos, or callbacks.' };
+  const categories = getActiveCategories(await getCategories());
+  if (!categories.some(c => c.id === category)) {
+    return { success: false, error: `Invalid category. Must be one of: ${categories.map(c => c.id).join(', ')}.` };
   }
   if (count < 1 || count > 100) {
     return { success: false, error: 'Count must be between 1 and 100.' };
   }
 
   try {
-    const dailyLogs = await storage.get('dailyLogs', {});
+    const storedLogs = await storage.dailyLogs.query({ userId: currentUser.id, from: date, to: date });
+    const previousCount = storedLogs[date]?.[currentUser.id]?.[category] || 0;
+    const event = createActivityEvent({ userId: currentUser.id, category, delta: count, date, source: 'ai' });
+    const dailyLogs = applyActivityEvent(storedLogs, event);
 
-    if (!dailyLogs[date]) {
-      dailyLogs[date] = {};
-    }
-    if (!dailyLogs[date][currentUser.id]) {
-      dailyLogs[date][currentUser.id] = { reviews: 0, demos: 0, callbacks: 0 };
-    }
-
-    const previousCount = dailyLogs[date][currentUser.id][category] || 0;
-    dailyLogs[date][currentUser.id][category] = previousCount + count;
+    await storage.dailyLogs.put(dailyLogs);
 
-    await storage.set('dailyLogs', dailyLogs);
-
-    // Queue sync to Supabase
-    await queueSyncOperation({
-      type: 'upsert',
-      table: 'daily_logs',
-      data: {
-        user_id: currentUser.id,
-        date,
-        category,
-        count: dailyLogs[date][currentUser.id][category],
-      },
-      conflictKey: 'user_id,date,category',
-    });
+    // Queue the event; the server adds it to daily_logs
+    await queueSyncOperation(toActivityEventOperation(event));
 
     // Log the action
-    await logAIAction('log_activity', 'daily_logs', `${date}_${currentUser.id}`, {
+    await logAIAction('log_activity', 'activity_events', event.id, {
       category,
       count,
+      date,
       previousCount,
       newCount: dailyLogs[date][currentUser.id][category],
     }, currentUser);
@@ -893,8 +974,6 @@ export const createAppointment = async (args, context) => {
   }
 
   try {
-    const appointments = await storage.get('appointments', []);
-
     const newAppointment = {
       id: generateId(),
       userId: currentUser.id,
@@ -908,8 +987,7 @@ export const createAppointment = async (args, context) => {
       timestamp: Date.now(),
     };
 
-    appointments.unshift(newAppointment);
-    await storage.set('appointments', appointments);
+    await storage.appointments.put([newAppointment]);
 
     // Queue sync to Supabase
     await queueSyncOperation({
@@ -962,13 +1040,14 @@ export const createAppointment = async (args, context) => {
  */
 export const updateMyGoals = async (args, context) => {
   const { currentUser, refreshData } = context;
-  const { reviews, demos, callbacks } = args;
+  const { period = 'day' } = args;
 
-  if (reviews === undefined && demos === undefined && callbacks === undefined) {
-    return { success: false, error: 'At least one goal (reviews, demos, or callbacks) must be specified.' };
+  if (!GOAL_PERIOD_IDS.includes(period)) {
+    return { success: false, error: `Period must be one of ${GOAL_PERIOD_IDS.join(', ')}.` };
   }
 
   try {
+    const categories = await getCategories();
     const users = await storage.get('users', []);
     const userIndex = users.findIndex(u => u.id === currentUser.id);
 
@@ -976,14 +1055,14 @@ export const updateMyGoals = async (args, context) => {
       return { success: false, error: 'User not found.' };
     }
 
-    const previousGoals = { ...users[userIndex].goals };
-    const newGoals = {
-      reviews: reviews !== undefined ? Math.max(1, Math.min(100, reviews)) : previousGoals.reviews,
-      demos: demos !== undefined ? Math.max(1, Math.min(100, demos)) : previousGoals.demos,
-      callbacks: callbacks !== undefined ? Math.max(1, Math.min(100, callbacks)) : previousGoals.callbacks,
-    };
+    const previousGoals = { ...getUserGoals(users[userIndex])[period] };
+    const newGoals = applyGoalArgs(args, previousGoals, categories, period);
+
+    if (!newGoals) {
+      return { success: false, error: `At least one goal (${getActiveCategories(categories).map(c => c.id).join(', ')}) must be specified.` };
+    }
 
-    users[userIndex].goals = newGoals;
+    const data = setUserGoals(users[userIndex], newGoals, period);
     await storage.set('users', users);
 
     // Queue sync to Supabase
@@ -991,11 +1070,12 @@ export const updateMyGoals = async (args, context) => {
       type: 'update',
       table: 'users',
       id: currentUser.id,
-      data: { goals: newGoals },
+      data,
     });
 
     // Log the action
     await logAIAction('update_goals', 'users', currentUser.id, {
+      period,
       previousGoals,
       newGoals,
     }, currentUser);
@@ -1007,6 +1087,7 @@ export const updateMyGoals = async (args, context) => {
       success: true,
       data: {
         message: 'Goals updated successfully',
+        period,
         previousGoals,
         newGoals,
       },
@@ -1028,8 +1109,6 @@ export const createFeedPost = async (args, context) => {
   }
 
   try {
-    const feed = await storage.get('feed', []);
-
     const newPost = {
       id: generateId(),
       userId: currentUser.id,
@@ -1041,8 +1120,7 @@ export const createFeedPost = async (args, context) => {
       isAuto: false,
     };
 
-    feed.unshift(newPost);
-    await storage.set('feed', feed);
+    await storage.feed.put([newPost]);
 
     // Queue sync to Supabase
     await queueSyncOperation({
@@ -1084,6 +1162,72 @@ export const incrementActivity = async (args, context) => {
   return logActivity({ ...args, count: 1 }, context);
 };
 
+/**
+ * Complete one of the user's follow-up tasks
+ * A callback task also counts one callback, as completing it in the app does.
+ * The server logs it when the completion syncs (030_tasks.sql), so it is only
+ * shown here, not queued.
+ */
+export const completeTask = async (args, context) => {
+  const { currentUser, refreshData } = context;
+  const { taskId } = args;
+
+  try {
+    const tasks = await storage.get('tasks', []);
+    const task = tasks.find(t => t.id === taskId && t.userId === currentUser.id);
+    if (!task) {
+      return { success: false, error: 'Task not found. Use getMyTasks to find the task ID.' };
+    }
+    if (task.completedAt) {
+      return { success: false, error: `${describeTask(task)} is already done.` };
+    }
+    if (taskId.startsWith('temp_')) {
+      return { success: false, error: 'This task has not synced yet; try again once it has.' };
+    }
+
+    const completedAt = new Date().toISOString();
+    await storage.set('tasks', tasks.map(t => (t.id === taskId ? { ...t, completedAt, updatedAt: completedAt } : t)));
+
+    // Queue sync to Supabase
+    await queueSyncOperation({
+      type: 'update',
+      table: 'tasks',
+      id: taskId,
+      data: { completed_at: completedAt },
+    });
+
+    const category = TASK_CATEGORY[task.type];
+    const categories = getActiveCategories(await getCategories());
+    const counted = !!category && categories.some(c => c.id === category);
+    if (counted) {
+      const event = createActivityEvent({ userId: currentUser.id, category, delta: 1, source: 'ai' });
+      const storedLogs = await storage.dailyLogs.query({ userId: currentUser.id, from: event.date, to: event.date });
+      await storage.dailyLogs.put(applyActivityEvent(storedLogs, event));
+    }
+
+    // Log the action
+    await logAIAction('complete_task', 'tasks', taskId, {
+      type: task.type,
+      customerName: task.customerName,
+      dueDate: task.dueDate,
+      counted,
+    }, currentUser);
+
+    // Refresh data if callback provided
+    if (refreshData) refreshData();
+
+    return {
+      success: true,
+      data: {
+        message: `${describeTask(task)}: done${counted ? `, and 1 ${category} logged` : ''}`,
+        task: { ...task, completedAt },
+      },
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
 // ========================================
 // MANAGER READ TOOLS
 // ========================================
@@ -1102,18 +1246,17 @@ export const getTeamStats = async (args, context) => {
 
   try {
     const users = await storage.get('users', []);
-    const dailyLogs = await storage.get('dailyLogs', {});
+    const dailyLogs = await storage.dailyLogs.query({ from: startDate, to: endDate });
+    const categories = await getCategories();
 
     const activeUsers = includeArchived ? users : users.filter(u => !u.archived);
 
     const teamStats = activeUsers.map(user => {
-      let reviews = 0, demos = 0, callbacks = 0;
+      const counts = getCategoryCounts({}, categories);
 
       Object.entries(dailyLogs).forEach(([date, dateData]) => {
         if (date >= startDate && date <= endDate && dateData[user.id]) {
-          reviews += dateData[user.id].reviews || 0;
-          demos += dateData[user.id].demos || 0;
-          callbacks += dateData[user.id].callbacks || 0;
+          addCategoryCounts(counts, dateData[user.id], categories);
         }
       });
 
@@ -1123,10 +1266,8 @@ export const getTeamStats = async (args, context) => {
         role: user.role,
         level: user.level || 1,
         goals: user.goals,
-        reviews,
-        demos,
-        callbacks,
-        total: reviews + demos + callbacks,
+        ...counts,
+        total: sumCategoryCounts(counts),
         archived: user.archived || false,
       };
     });
@@ -1135,12 +1276,10 @@ export const getTeamStats = async (args, context) => {
     teamStats.sort((a, b) => b.total - a.total);
 
     // Calculate totals
-    const totals = teamStats.reduce((acc, u) => ({
-      reviews: acc.reviews + u.reviews,
-      demos: acc.demos + u.demos,
-      callbacks: acc.callbacks + u.callbacks,
-      total: acc.total + u.total,
-    }), { reviews: 0, demos: 0, callbacks: 0, total: 0 });
+    const totals = teamStats.reduce(
+      (acc, u) => ({ ...addCategoryCounts(acc, u, categories), total: acc.total + u.total }),
+      { ...getCategoryCounts({}, categories), total: 0 }
+    );
 
     return {
       success: true,
@@ -1148,11 +1287,9 @@ export const getTeamStats = async (args, context) => {
         dateRange: { startDate, endDate },
         userStats: teamStats,
         teamTotals: totals,
-        teamAverages: {
-          reviews: Math.round((totals.reviews / activeUsers.length) * 10) / 10,
-          demos: Math.round((totals.demos / activeUsers.length) * 10) / 10,
-          callbacks: Math.round((totals.callbacks / activeUsers.length) * 10) / 10,
-        },
+        teamAverages: Object.fromEntries(
+          categories.map(c => [c.id, activeUsers.length > 0 ? roundTenth(totals[c.id] / activeUsers.length) : 0])
+        ),
         userCount: activeUsers.length,
       },
     };
@@ -1226,7 +1363,7 @@ export const getTeamAppointments = async (args, context) => {
   }
 
   try {
-    const appointments = await storage.get('appointments', []);
+    const appointments = await storage.appointments.query({ userId, from: startDate, to: endDate });
     const users = await storage.get('users', []);
 
     let filtered = appointments;
@@ -1268,7 +1405,7 @@ export const getTeamAppointments = async (args, context) => {
  */
 export const generateReport = async (args, context) => {
   const { currentUser } = context;
-  const { reportType, startDate: customStart, endDate: customEnd } = args;
+  const { reportType, startDate: customStart, endDate: customEnd, format = 'json', dataset, userId } = args;
 
   if (currentUser.role !== 'manager') {
     return { success: false, error: 'This action requires manager permissions.' };
@@ -1338,6 +1475,23 @@ export const generateReport = async (args, context) => {
       },
     };
 
+    if (format === 'csv' || format === 'xlsx') {
+      const users = await storage.get('users', []);
+      const { blob, fileName, rowCounts } = buildReportFile({
+        format,
+        dataset,
+        startDate,
+        endDate,
+        users: users.filter(u => (userId ? u.id === userId : !u.archived)),
+        dailyLogs: await storage.dailyLogs.getAll(),
+        appointments: await storage.appointments.getAll(),
+        deals: await storage.get('deals', []),
+        categories: await getCategories(),
+      });
+      downloadBlob(blob, fileName);
+      report.file = { fileName, format, rowCounts };
+    }
+
     return { success: true, data: report };
   } catch (error) {
     return { success: false, error: error.message };
@@ -1356,24 +1510,24 @@ export const getTeamOverview = async (args, context) => {
 
   try {
     const users = await storage.get('users', []);
-    const dailyLogs = await storage.get('dailyLogs', {});
-    const appointments = await storage.get('appointments', []);
+    const dailyLogs = await storage.dailyLogs.getAll();
+    const appointments = await storage.appointments.getAll();
     const challenges = await storage.get('challenges', []);
 
+    const categories = await getCategories();
+
     const today = getToday();
     const activeUsers = users.filter(u => !u.archived);
 
     // Today's totals
-    let todayReviews = 0, todayDemos = 0, todayCallbacks = 0;
+    const todayCounts = getCategoryCounts({}, categories);
     let usersActiveToday = 0;
 
     activeUsers.forEach(user => {
       const todayData = dailyLogs[today]?.[user.id];
       if (todayData) {
-        todayReviews += todayData.reviews || 0;
-        todayDemos += todayData.demos || 0;
-        todayCallbacks += todayData.callbacks || 0;
-        if ((todayData.reviews || 0) + (todayData.demos || 0) + (todayData.callbacks || 0) > 0) {
+        addCategoryCounts(todayCounts, todayData, categories);
+        if (sumCategoryCounts(todayData) > 0) {
           usersActiveToday++;
         }
       }
@@ -1393,10 +1547,8 @@ export const getTeamOverview = async (args, context) => {
           employees: activeUsers.filter(u => u.role === 'employee').length,
         },
         todayStats: {
-          reviews: todayReviews,
-          demos: todayDemos,
-          callbacks: todayCallbacks,
-          total: todayReviews + todayDemos + todayCallbacks,
+          ...todayCounts,
+          total: sumCategoryCounts(todayCounts),
           appointments: todayAppointments.length,
         },
         challenges: {
@@ -1493,17 +1645,11 @@ export const getTopPerformers = async (args, context) => {
 
     if (category === 'goal_completion') {
       // Sort by goal completion rate
-      sorted = sorted.map(u => {
-        const goals = u.goals || { reviews: 5, demos: 3, callbacks: 10 };
-        const days = daysBetween(startDate, endDate);
-        const reviewRate = u.reviews / (goals.reviews * days);
-        const demoRate = u.demos / (goals.demos * days);
-        const callbackRate = u.callbacks / (goals.callbacks * days);
-        return {
-          ...u,
-          completionRate: Math.round(((reviewRate + demoRate + callbackRate) / 3) * 100),
-        };
-      });
+      const days = daysBetween(startDate, endDate);
+      sorted = sorted.map(u => ({
+        ...u,
+        completionRate: Math.round(getGoalCompletionRates(u, u.goals, days).average),
+      }));
       sorted.sort((a, b) => b.completionRate - a.completionRate);
     } else if (category !== 'total') {
       sorted.sort((a, b) => b[category] - a[category]);
@@ -1554,18 +1700,14 @@ export const getUnderperformers = async (args, context) => {
     const days = daysBetween(startDate, endDate);
 
     const usersWithRates = teamStatsResult.data.userStats.map(u => {
-      const goals = u.goals || { reviews: 5, demos: 3, callbacks: 10 };
-      const reviewRate = (u.reviews / (goals.reviews * days)) * 100;
-      const demoRate = (u.demos / (goals.demos * days)) * 100;
-      const callbackRate = (u.callbacks / (goals.callbacks * days)) * 100;
-      const avgRate = (reviewRate + demoRate + callbackRate) / 3;
+      const { rates, average } = getGoalCompletionRates(u, u.goals, days);
 
       return {
         ...u,
-        goalCompletionRate: Math.round(avgRate),
-        reviewsRate: Math.round(reviewRate),
-        demosRate: Math.round(demoRate),
-        callbacksRate: Math.round(callbackRate),
+        goalCompletionRate: Math.round(average),
+        ...Object.fromEntries(
+          Object.entries(rates).map(([category, rate]) => [`${category}Rate`, Math.round(rate)])
+        ),
       };
     });
 
@@ -1659,6 +1801,54 @@ export const getRewards = async (args, context) => {
   }
 };
 
+/**
+ * Get goal templates and who follows them
+ */
+export const getGoalTemplates = async (args, context) => {
+  const { currentUser } = context;
+
+  if (currentUser.role !== 'manager') {
+    return { success: false, error: 'This action requires manager permissions.' };
+  }
+
+  try {
+    const templates = await storage.get('goalTemplates', []);
+    const assignments = await storage.get('goalAssignments', []);
+    const users = await storage.get('users', []);
+    const categories = await getCategories();
+
+    return {
+      success: true,
+      data: {
+        templates: templates.map(template => {
+          const following = assignments.filter(a => a.templateId === template.id);
+          return {
+            id: template.id,
+            name: template.name,
+            description: template.description,
+            steps: template.steps.map(step => ({
+              fromWeek: step.week + 1,
+              goals: step.goals,
+              summary: describeTemplateStep(step, categories),
+            })),
+            following: following.map(a => {
+              const step = getTemplateStep(template, a.startsOn);
+              return {
+                user: users.find(u => u.id === a.userId)?.name || a.userId,
+                startsOn: a.startsOn,
+                currentWeek: step ? step.week + 1 : null,
+              };
+            }),
+          };
+        }),
+        totalTemplates: templates.length,
+      },
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
 // ========================================
 // MANAGER WRITE TOOLS
 // ========================================
@@ -1731,6 +1921,11 @@ export const createChallenge = async (args, context) => {
         created_by: currentUser.id,
         target_users: targetUsers,
       },
+      event: {
+        type: WEBHOOK_EVENTS.CHALLENGE_CREATED,
+        payload: { id: newChallenge.id, title: newChallenge.title, target_users: targetUsers },
+        userId: currentUser.id,
+      },
     });
 
     // Log the action
@@ -1743,8 +1938,8 @@ export const createChallenge = async (args, context) => {
     }, currentUser);
 
     // Create a feed post for the challenge
-    const feed = await storage.get('feed', []);
-    const goalTypeLabel = goalType === 'reviews' ? 'Reviews' : goalType === 'demos' ? 'Demos' : goalType === 'callbacks' ? 'Callbacks' : goalType;
+    const categories = await getCategories();
+    const goalTypeLabel = categories.find(c => c.id === goalType)?.name || goalType;
     const challengeContent = `🏆 **New Challenge: ${newChallenge.title}**\n\n${newChallenge.description || 'A new challenge has been created!'}\n\n📊 Goal: ${goalValue} ${goalTypeLabel}\n🎁 Reward: ${xpReward} XP\n📅 ${startDate} to ${endDate}`;
 
     const challengePost = {
@@ -1760,8 +1955,7 @@ export const createChallenge = async (args, context) => {
       challengeId: newChallenge.id,
     };
 
-    feed.unshift(challengePost);
-    await storage.set('feed', feed);
+    await storage.feed.put([challengePost]);
 
     // Queue sync for the challenge feed post
     await queueSyncOperation({
@@ -1804,7 +1998,7 @@ export const createChallenge = async (args, context) => {
  */
 export const updateUserGoals = async (args, context) => {
   const { currentUser, refreshData } = context;
-  const { userName, userId, reviews, demos, callbacks } = args;
+  const { userName, userId, period = 'day' } = args;
 
   if (currentUser.role !== 'manager') {
     return { success: false, error: 'This action requires manager permissions.' };
@@ -1814,6 +2008,10 @@ export const updateUserGoals = async (args, context) => {
     return { success: false, error: 'Please specify the user by name or ID.' };
   }
 
+  if (!GOAL_PERIOD_IDS.includes(period)) {
+    return { success: false, error: `Period must be one of ${GOAL_PERIOD_IDS.join(', ')}.` };
+  }
+
   try {
     const users = await storage.get('users', []);
     let targetUser;
@@ -1831,14 +2029,15 @@ export const updateUserGoals = async (args, context) => {
       return { success: false, error: 'User not found.' };
     }
 
-    const previousGoals = { ...targetUser.goals };
-    const newGoals = {
-      reviews: reviews !== undefined ? Math.max(1, Math.min(100, reviews)) : previousGoals.reviews,
-      demos: demos !== undefined ? Math.max(1, Math.min(100, demos)) : previousGoals.demos,
-      callbacks: callbacks !== undefined ? Math.max(1, Math.min(100, callbacks)) : previousGoals.callbacks,
-    };
+    const categories = await getCategories();
+    const previousGoals = { ...getUserGoals(targetUser)[period] };
+    const newGoals = applyGoalArgs(args, previousGoals, categories, period);
+
+    if (!newGoals) {
+      return { success: false, error: `At least one goal (${getActiveCategories(categories).map(c => c.id).join(', ')}) must be specified.` };
+    }
 
-    users[userIndex].goals = newGoals;
+    const data = setUserGoals(users[userIndex], newGoals, period);
     await storage.set('users', users);
 
     // Queue sync to Supabase
@@ -1846,12 +2045,13 @@ export const updateUserGoals = async (args, context) => {
       type: 'update',
       table: 'users',
       id: targetUser.id,
-      data: { goals: newGoals },
+      data,
     });
 
     // Log the action
     await logAIAction('update_user_goals', 'users', targetUser.id, {
       targetUser: targetUser.name,
+      period,
       previousGoals,
       newGoals,
     }, currentUser);
@@ -1863,6 +2063,7 @@ export const updateUserGoals = async (args, context) => {
       data: {
         message: `Goals updated for ${targetUser.name}`,
         user: targetUser.name,
+        period,
         previousGoals,
         newGoals,
       },
@@ -1872,6 +2073,95 @@ export const updateUserGoals = async (args, context) => {
   }
 };
 
+/**
+ * Assign a goal template to several users (by name or role)
+ * The template's goals are written to the users' goals by the server, or by
+ * the app the next time it loads.
+ */
+export const assignGoalTemplate = async (args, context) => {
+  const { currentUser, refreshData } = context;
+  const { templateName, userNames = [], role, startsOn = getToday() } = args;
+
+  if (currentUser.role !== 'manager') {
+    return { success: false, error: 'This action requires manager permissions.' };
+  }
+
+  if (!templateName) {
+    return { success: false, error: 'Please specify the goal template by name.' };
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startsOn)) {
+    return { success: false, error: 'Start date must be in YYYY-MM-DD format.' };
+  }
+
+  try {
+    const templates = await storage.get('goalTemplates', []);
+    const lowerName = templateName.toLowerCase();
+    const template = templates.find(t => t.name.toLowerCase() === lowerName)
+      || templates.find(t => t.name.toLowerCase().includes(lowerName));
+
+    if (!template) {
+      return { success: false, error: `Goal template "${templateName}" not found.` };
+    }
+
+    const users = (await storage.get('users', [])).filter(u => !u.archived);
+    const targets = role
+      ? users.filter(u => role === 'all' || u.role === role)
+      : userNames.map(name => findUserByName(users, name)).filter(Boolean);
+    const missing = role ? [] : userNames.filter(name => !findUserByName(users, name));
+
+    if (targets.length === 0) {
+      return { success: false, error: 'No matching users. Specify userNames or a role.' };
+    }
+
+    const assignments = await storage.get('goalAssignments', []);
+    const newAssignments = targets.map(u => ({
+      userId: u.id,
+      templateId: template.id,
+      startsOn,
+      appliedWeek: null,
+      assignedBy: currentUser.id,
+    }));
+
+    await storage.set('goalAssignments', [
+      ...assignments.filter(a => !targets.some(u => u.id === a.userId)),
+      ...newAssignments,
+    ]);
+
+    // Queue sync to Supabase
+    for (const assignment of newAssignments) {
+      await queueSyncOperation({
+        type: 'upsert',
+        table: 'goal_assignments',
+        conflictKey: 'user_id',
+        data: transformGoalAssignmentToDatabase(assignment),
+      });
+    }
+
+    // Log the action
+    await logAIAction('assign_goal_template', 'goal_templates', template.id, {
+      template: template.name,
+      users: targets.map(u => u.name),
+      startsOn,
+    }, currentUser);
+
+    if (refreshData) refreshData();
+
+    return {
+      success: true,
+      data: {
+        message: `${template.name} assigned to ${targets.length} user(s) starting ${startsOn}`,
+        template: template.name,
+        users: targets.map(u => u.name),
+        notFound: missing,
+        startsOn,
+      },
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Create team announcement
  */
@@ -1888,8 +2178,6 @@ export const createTeamAnnouncement = async (args, context) => {
   }
 
   try {
-    const feed = await storage.get('feed', []);
-
     const announcement = {
       id: generateId(),
       userId: currentUser.id,
@@ -1903,10 +2191,9 @@ export const createTeamAnnouncement = async (args, context) => {
       priority,
     };
 
-    feed.unshift(announcement);
-    await storage.set('feed', feed);
+    await storage.feed.put([announcement]);
 
-    // Queue sync to Supabase
+    // Queue sync to Supabase; the team gets a push once it is saved
     await queueSyncOperation({
       type: 'insert',
       table: 'feed_posts',
@@ -1917,6 +2204,11 @@ export const createTeamAnnouncement = async (args, context) => {
         type: 'announcement',
         created_at: new Date().toISOString(),
       },
+      event: {
+        type: WEBHOOK_EVENTS.ANNOUNCEMENT_CREATED,
+        payload: { id: announcement.id, user_id: announcement.userId, content: announcement.content },
+        userId: currentUser.id,
+      },
     });
 
     // Log the action
@@ -1979,14 +2271,13 @@ export const awardBonusXP = async (args, context) => {
 
     const previousXP = targetUser.xp || 0;
     const previousLevel = targetUser.level || 1;
+    const xpCurve = await getXpCurve();
 
     users[userIndex].xp = previousXP + amount;
+    users[userIndex].bonusXp = (targetUser.bonusXp ?? previousXP) + amount;
 
     // Check for level up
-    let newLevel = previousLevel;
-    while (users[userIndex].xp >= newLevel * 100) {
-      newLevel++;
-    }
+    const newLevel = calculateLevel(users[userIndex].xp, xpCurve);
     users[userIndex].level = newLevel;
 
     await storage.set('users', users);
@@ -1997,6 +2288,7 @@ export const awardBonusXP = async (args, context) => {
       table: 'users',
       id: targetUser.id,
       data: {
+        bonus_xp: users[userIndex].bonusXp,
         xp: users[userIndex].xp,
         level: users[userIndex].level,
       },
@@ -2211,12 +2503,14 @@ const toolImplementations = {
   getMyFeedActivity,
   getTodaysSummary,
   getChallenges,
+  getMyTasks,
   // Employee write tools
   logActivity,
   createAppointment,
   updateMyGoals,
   createFeedPost,
   incrementActivity,
+  completeTask,
   // Manager read tools
   getTeamStats,
   getUserStats,
@@ -2228,9 +2522,11 @@ const toolImplementations = {
   getUnderperformers,
   getAuditLog,
   getRewards,
+  getGoalTemplates,
   // Manager write tools
   createChallenge,
   updateUserGoals,
+  assignGoalTemplate,
   createTeamAnnouncement,
   awardBonusXP,
   archiveUser,
@@ -0,0 +1,342 @@
+/**
+ * Appointment Lifecycle for Window Depot Tracker
+ * An appointment moves from scheduled through to completed (with an
+ * outcome), cancelled or no-show, and can be rescheduled along the way.
+ * Rescheduling keeps the earlier date and time in the appointment's
+ * reschedule history (027_appointment_lifecycle.sql). Display info for
+ * statuses and outcomes (labels, colors, icons) lives with the components
+ * in App.jsx as APPOINTMENT_STATUS and APPOINTMENT_OUTCOMES.
+ */
+
+import { getToday } from './dates';
+
+/**
+ * Statuses an appointment can move to from each status
+ * Moving to 'rescheduled' needs a new date or time.
+ */
+export const APPOINTMENT_TRANSITIONS = {
+  scheduled: ['confirmed', 'in_progress', 'completed', 'cancelled', 'no_show', 'rescheduled'],
+  confirmed: ['in_progress', 'completed', 'cancelled', 'no_show', 'rescheduled'],
+  in_progress: ['completed', 'followup_needed', 'cancelled'],
+  completed: ['followup_needed'],
+  cancelled: ['rescheduled'],
+  no_show: ['rescheduled', 'followup_needed', 'cancelled'],
+  rescheduled: ['confirmed', 'in_progress', 'completed', 'cancelled', 'no_show', 'rescheduled'],
+  followup_needed: ['rescheduled', 'completed', 'cancelled'],
+};
+
+export const APPOINTMENT_STATUS_IDS = Object.keys(APPOINTMENT_TRANSITIONS);
+
+export const APPOINTMENT_OUTCOME_IDS = ['sale', 'no_sale', 'callback_needed', 'proposal_sent', 'thinking_it_over'];
+
+// Statuses after which the appointment has happened and can have an outcome
+export const OUTCOME_STATUSES = ['completed', 'followup_needed'];
+
+const MAX_SALE_AMOUNT = 10000000;
+const MAX_REASON_LENGTH = 500;
+
+/**
+ * Statuses an appointment can move to next
+ * @param {string} status - Current status
+ * @returns {string[]}
+ */
+export const getNextStatuses = (status) => APPOINTMENT_TRANSITIONS[status || 'scheduled'] || [];
+
+/**
+ * Earlier dates and times from the database format to app format
+ * @param {Array} history - appointments.reschedule_history
+ * @returns {Array}
+ */
+export const transformRescheduleHistory = (history) =>
+  (Array.isArray(history) ? history : []).map(entry => ({
+    fromDate: entry.from_date,
+    fromTime: entry.from_time || null,
+    toDate: entry.to_date,
+    toTime: entry.to_time || null,
+    reason: entry.reason || '',
+    changedBy: entry.changed_by || null,
+    changedByName: entry.changed_by_name || '',
+    changedAt: entry.changed_at,
+  }));
+
+const rescheduleHistoryToDatabase = (history) =>
+  (history || []).map(entry => ({
+    from_date: entry.fromDate,
+    from_time: entry.fromTime || null,
+    to_date: entry.toDate,
+    to_time: entry.toTime || null,
+    reason: entry.reason || '',
+    changed_by: entry.changedBy || null,
+    changed_by_name: entry.changedByName || '',
+    changed_at: entry.changedAt,
+  }));
+
+/**
+ * Lifecycle fields of an appointment in Supabase format (snake_case)
+ * @param {object} appointment - App-format appointment
+ * @returns {object}
+ */
+export const transformAppointmentLifecycleToDatabase = (appointment) => ({
+  status: appointment.status || 'scheduled',
+  duration: appointment.duration || 60,
+  outcome: appointment.outcome || null,
+  outcome_date: appointment.outcomeDate || null,
+  sale_amount: appointment.saleAmount ?? null,
+  followup_date: appointment.followupDate || null,
+  cancellation_reason: appointment.cancellationReason || null,
+  reschedule_history: rescheduleHistoryToDatabase(appointment.rescheduleHistory),
+});
+
+/**
+ * Validate a change to an appointment's lifecycle
+ * @param {object} appointment - App-format appointment before the change
+ * @param {object} changes - { status, outcome, saleAmount, followupDate,
+ *   cancellationReason, date, time, duration, rescheduleReason,
+ *   customerId, customerName }
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateAppointmentChanges = (appointment, changes) => {
+  const from = appointment.status || 'scheduled';
+  const date = changes.date ?? appointment.date;
+  const time = changes.time ?? appointment.time;
+  const isMoved = date !== appointment.date || (time || null) !== (appointment.time || null);
+  // A new date or time always makes the appointment rescheduled
+  const status = isMoved ? 'rescheduled' : changes.status ?? from;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) return 'Choose a date';
+  if (changes.customerName !== undefined && !changes.customerName.trim()) return 'Customer name is required';
+  if (status === 'rescheduled' && !isMoved && from !== 'rescheduled') {
+    return 'Choose a new date or time to reschedule';
+  }
+  if (status !== from && !getNextStatuses(from).includes(status)) {
+    return `A ${from.replace(/_/g, ' ')} appointment cannot be marked ${status.replace(/_/g, ' ')}`;
+  }
+
+  // An outcome kept from before is dropped when the status no longer allows one
+  const outcome = changes.outcome !== undefined
+    ? changes.outcome
+    : OUTCOME_STATUSES.includes(status) ? appointment.outcome : null;
+  if (changes.outcome && !APPOINTMENT_OUTCOME_IDS.includes(changes.outcome)) return 'Unknown outcome';
+  if (changes.outcome && !OUTCOME_STATUSES.includes(status)) {
+    return 'Complete the appointment before recording an outcome';
+  }
+
+  const saleAmount = changes.saleAmount !== undefined ? changes.saleAmount : appointment.saleAmount;
+  if (saleAmount !== null && saleAmount !== undefined && saleAmount !== '') {
+    const amount = Number(saleAmount);
+    if (Number.isNaN(amount) || amount < 0) return 'Sale amount must be a positive number';
+    if (amount > MAX_SALE_AMOUNT) return 'Sale amount is too large';
+  }
+
+  const followupDate = changes.followupDate !== undefined ? changes.followupDate : appointment.followupDate;
+  if ((status === 'followup_needed' || outcome === 'callback_needed') && !followupDate) {
+    return 'Choose a follow-up date';
+  }
+  if (followupDate && followupDate < getToday() && followupDate !== appointment.followupDate) {
+    return 'Follow-up date cannot be in the past';
+  }
+
+  if ((changes.cancellationReason || '').length > MAX_REASON_LENGTH) return 'Cancellation reason is too long';
+  if ((changes.rescheduleReason || '').length > MAX_REASON_LENGTH) return 'Reschedule reason is too long';
+  return null;
+};
+
+/**
+ * Apply a validated change to an appointment
+ * Moving the date or time records the old ones in the reschedule history
+ * and marks the appointment rescheduled. An outcome is dropped if the
+ * appointment goes back to not having happened (e.g. rescheduled again).
+ * A customerId in the changes moves the appointment to that customer.
+ * @param {object} appointment - App-format appointment
+ * @param {object} changes - As for validateAppointmentChanges
+ * @param {object} actor - { id, name } of the user making the change
+ * @returns {{appointment: object, data: object, rescheduled: boolean, saleDelta: number}}
+ *   data is the Supabase update; saleDelta is +1 for a new sale, -1 for one taken back
+ */
+export const applyAppointmentChanges = (appointment, changes, actor) => {
+  const date = changes.date ?? appointment.date;
+  const time = changes.time ?? appointment.time ?? null;
+  const rescheduled = date !== appointment.date || (time || null) !== (appointment.time || null);
+  const status = rescheduled ? 'rescheduled' : (changes.status ?? appointment.status ?? 'scheduled');
+  const hasOutcome = OUTCOME_STATUSES.includes(status);
+  const outcome = hasOutcome ? (changes.outcome !== undefined ? changes.outcome : appointment.outcome) || null : null;
+
+  const rescheduleHistory = rescheduled
+    ? [...(appointment.rescheduleHistory || []), {
+        fromDate: appointment.date,
+        fromTime: appointment.time || null,
+        toDate: date,
+        toTime: time,
+        reason: (changes.rescheduleReason || '').trim(),
+        changedBy: actor?.id || null,
+        changedByName: actor?.name || '',
+        changedAt: new Date().toISOString(),
+      }]
+    : appointment.rescheduleHistory || [];
+
+  const saleAmount = outcome === 'sale'
+    ? (changes.saleAmount !== undefined ? changes.saleAmount : appointment.saleAmount)
+    : null;
+  const followupDate = changes.followupDate !== undefined ? changes.followupDate : appointment.followupDate;
+  const customer = changes.customerId !== undefined
+    ? { customerId: changes.customerId || null, customerName: (changes.customerName ?? appointment.customerName).trim() }
+    : null;
+
+  const updated = {
+    ...appointment,
+    ...customer,
+    date,
+    time,
+    duration: changes.duration ?? appointment.duration ?? 60,
+    status,
+    outcome,
+    outcomeDate: outcome !== (appointment.outcome || null)
+      ? (outcome ? new Date().toISOString() : null)
+      : appointment.outcomeDate || null,
+    saleAmount: saleAmount === '' || saleAmount === null || saleAmount === undefined ? null : Number(saleAmount),
+    followupDate: status === 'followup_needed' || outcome === 'callback_needed' ? followupDate || null : null,
+    cancellationReason: status === 'cancelled'
+      ? (changes.cancellationReason ?? appointment.cancellationReason ?? '').trim()
+      : '',
+    rescheduleHistory,
+  };
+
+  const wasSale = appointment.outcome === 'sale';
+  const isSale = updated.outcome === 'sale';
+
+  return {
+    appointment: updated,
+    data: {
+      date,
+      time,
+      ...(customer ? { customer_id: customer.customerId, customer_name: customer.customerName } : {}),
+      ...transformAppointmentLifecycleToDatabase(updated),
+    },
+    rescheduled,
+    saleDelta: isSale === wasSale ? 0 : (isSale ? 1 : -1),
+  };
+};
+
+// ========================================
+// CALENDAR
+// ========================================
+
+// Cancelled appointments and no-shows free up their time
+const BLOCKING_STATUSES = APPOINTMENT_STATUS_IDS.filter(id => id !== 'cancelled' && id !== 'no_show');
+
+/**
+ * Minutes since midnight of an appointment time
+ * @param {string} time - 'HH:MM' or 'HH:MM:SS'
+ * @returns {number|null} null when there is no time
+ */
+export const timeToMinutes = (time) => {
+  const match = /^(\d{1,2}):(\d{2})/.exec(time || '');
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+/**
+ * Appointment time from minutes since midnight
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} 'HH:MM'
+ */
+export const minutesToTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+const getSpan = (appointment) => {
+  const start = timeToMinutes(appointment.time);
+  return start === null ? null : { start, end: start + (appointment.duration || 60) };
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Appointments that overlap one at a given date and time
+ * Only the same rep's appointments clash; cancelled ones and no-shows
+ * do not hold their time.
+ * @param {Array} appointments - App-format appointments
+ * @param {object} slot - { id, userId, date, time, duration }; id is left out of the result
+ * @returns {Array} Clashing appointments
+ */
+export const getConflicts = (appointments, slot) => {
+  const span = getSpan(slot);
+  if (!span) return [];
+  return (appointments || []).filter(other => {
+    if (other.id === slot.id || other.userId !== slot.userId || other.date !== slot.date) return false;
+    if (!BLOCKING_STATUSES.includes(other.status || 'scheduled')) return false;
+    const otherSpan = getSpan(other);
+    return Boolean(otherSpan) && overlaps(span, otherSpan);
+  });
+};
+
+/**
+ * Every double-booked appointment
+ * @param {Array} appointments - App-format appointments
+ * @returns {Set<string>} Ids of appointments that clash with another
+ */
+export const findDoubleBookings = (appointments) => {
+  const ids = new Set();
+  (appointments || [])
+    .filter(a => BLOCKING_STATUSES.includes(a.status || 'scheduled'))
+    .forEach(a => {
+      if (getConflicts(appointments, a).length > 0) ids.add(a.id);
+    });
+  return ids;
+};
+
+/**
+ * Side-by-side columns for one day's appointments, so overlapping ones
+ * are drawn next to each other instead of on top
+ * @param {Array} appointments - One day's appointments with a time
+ * @returns {Map<string, {lane: number, lanes: number}>} By appointment id
+ */
+export const layoutDayAppointments = (appointments) => {
+  const sorted = appointments
+    .filter(a => getSpan(a))
+    .sort((a, b) => timeToMinutes(a.time) - timeToMinutes(b.time));
+  const layout = new Map();
+
+  // Appointments that overlap, directly or through each other, share lanes
+  let group = [];
+  let groupEnd = -1;
+  const closeGroup = () => {
+    const laneEnds = [];
+    group.forEach(a => {
+      const span = getSpan(a);
+      let lane = laneEnds.findIndex(end => end <= span.start);
+      if (lane === -1) lane = laneEnds.length;
+      laneEnds[lane] = span.end;
+      layout.set(a.id, { lane, lanes: 0 });
+    });
+    group.forEach(a => { layout.get(a.id).lanes = laneEnds.length; });
+    group = [];
+  };
+
+  sorted.forEach(a => {
+    const span = getSpan(a);
+    if (group.length > 0 && span.start >= groupEnd) closeGroup();
+    group.push(a);
+    groupEnd = Math.max(groupEnd, span.end);
+  });
+  if (group.length > 0) closeGroup();
+
+  return layout;
+};
+
+const appointmentsModule = {
+  APPOINTMENT_TRANSITIONS,
+  APPOINTMENT_STATUS_IDS,
+  APPOINTMENT_OUTCOME_IDS,
+  OUTCOME_STATUSES,
+  getNextStatuses,
+  transformRescheduleHistory,
+  transformAppointmentLifecycleToDatabase,
+  validateAppointmentChanges,
+  applyAppointmentChanges,
+  timeToMinutes,
+  minutesToTime,
+  getConflicts,
+  findDoubleBookings,
+  layoutDayAppointments,
+};
+
+export default appointmentsModule;
@@ -0,0 +1,384 @@
+/**
+ * Authentication for Window Depot Tracker
+ * Binds a session to exactly one row in the users table, either through a
+ * Supabase Auth email magic link or a per-user PIN. With Supabase the PIN is
+ * checked and hashed server-side (012_user_auth.sql); the salted hash kept
+ * on the user here is this device's own copy, for signing in offline.
+ */
+
+import { supabase, isSupabaseConfigured } from './supabase';
+import storage from '../storage';
+
+const PIN_SESSION_KEY = 'authSession';
+const PIN_ITERATIONS = 100000;
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+const REMEMBERED_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// PIN of a sign-in made offline, held in memory only (never stored) so the
+// server session can be bound to that user once the device is back online
+let pendingPinBind = null;
+
+export const PIN_MIN_LENGTH = 4;
+export const PIN_MAX_LENGTH = 8;
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+
+/**
+ * Validate a PIN entered by the user
+ * @param {string} pin - Raw PIN
+ * @returns {string|null} Error message or null if valid
+ */
+export const validatePin = (pin) => {
+  if (!pin) return 'PIN is required';
+  if (!/^\d+$/.test(pin)) return 'PIN must contain digits only';
+  if (pin.length < PIN_MIN_LENGTH || pin.length > PIN_MAX_LENGTH) {
+    return `PIN must be ${PIN_MIN_LENGTH}-${PIN_MAX_LENGTH} digits`;
+  }
+  return null;
+};
+
+/**
+ * Hash a PIN with PBKDF2-SHA-256
+ * @param {string} pin - Raw PIN
+ * @param {string} salt - Hex encoded salt
+ * @returns {Promise<string>} Hex encoded hash
+ */
+export const hashPin = async (pin, salt) => {
+  const encoder = new TextEncoder();
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(pin),
+    { name: 'PBKDF2' },
+    false,
+    ['deriveBits']
+  );
+
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: 'PBKDF2',
+      salt: encoder.encode(salt),
+      iterations: PIN_ITERATIONS,
+      hash: 'SHA-256',
+    },
+    keyMaterial,
+    256
+  );
+
+  return toHex(bits);
+};
+
+/**
+ * Create the stored credential for a new PIN
+ * @param {string} pin - Raw PIN
+ * @returns {Promise<{pinHash: string, pinSalt: string}>}
+ */
+export const createPinCredential = async (pin) => {
+  const pinSalt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  const pinHash = await hashPin(pin, pinSalt);
+  return { pinHash, pinSalt };
+};
+
+/**
+ * Check a PIN against the credential cached on this device
+ * @param {object} user - User object with pinHash and pinSalt
+ * @param {string} pin - Raw PIN
+ * @returns {Promise<boolean>}
+ */
+export const verifyPin = async (user, pin) => {
+  if (!user?.pinHash || !user?.pinSalt || !pin) return false;
+  const candidate = await hashPin(pin, user.pinSalt);
+
+  // Constant-time comparison
+  if (candidate.length !== user.pinHash.length) return false;
+  let diff = 0;
+  for (let i = 0; i < candidate.length; i++) {
+    diff |= candidate.charCodeAt(i) ^ user.pinHash.charCodeAt(i);
+  }
+  return diff === 0;
+};
+
+/**
+ * Whether a user has any way to sign in yet
+ * Legacy users created before sign-in existed have neither. The server never
+ * returns PIN hashes, so `hasPin` is the flag synced from Supabase; the
+ * sign-in directory gives `hasEmail` instead of the address.
+ */
+export const hasCredentials = (user) => !!(user?.hasPin || user?.pinHash || user?.email || user?.hasEmail);
+
+/**
+ * Make sure the client has a Supabase Auth session that PIN sign-in can bind to
+ * Requires anonymous sign-ins to be enabled in the Supabase project.
+ */
+const ensureAnonymousSession = async () => {
+  const { data } = await supabase.auth.getSession();
+  if (data?.session) return data.session;
+
+  const { data: signInData, error } = await supabase.auth.signInAnonymously();
+  if (error) throw error;
+  return signInData.session;
+};
+
+/**
+ * Verify a PIN and bind the database session to the user
+ * Online with Supabase the PIN is checked server-side by bind_pin_session()
+ * so row-level security knows who is writing, and a new credential is made
+ * for this device's cache. Offline, the cached credential is used instead
+ * and the session is bound later by bindPendingPinSession().
+ * @param {object} user - User signing in
+ * @param {string} pin - Raw PIN
+ * @returns {Promise<{success: boolean, pinHash?: string, pinSalt?: string, error?: string}>}
+ */
+export const authenticatePin = async (user, pin) => {
+  if (!isSupabaseConfigured || !navigator.onLine || user.id.startsWith('temp_')) {
+    if (!(await verifyPin(user, pin))) {
+      return { success: false, error: user.pinHash ? 'Incorrect PIN' : 'Connect to the internet to sign in on this device' };
+    }
+    // The server session is still bound to whoever signed in there last
+    pendingPinBind = isSupabaseConfigured && !user.id.startsWith('temp_') ? { userId: user.id, pin } : null;
+    return { success: true, pinHash: user.pinHash, pinSalt: user.pinSalt };
+  }
+
+  if (!user.hasPin) {
+    return { success: false, error: 'No PIN is set for this account' };
+  }
+
+  try {
+    await ensureAnonymousSession();
+    const { data, error } = await supabase.rpc('bind_pin_session', {
+      p_user_id: user.id,
+      p_pin: pin,
+    });
+    // verify_user_pin() raises once too many wrong PINs lock the account
+    if (error?.code === 'P0001') return { success: false, error: error.message };
+    if (error) throw error;
+    if (!data) return { success: false, error: 'Incorrect PIN' };
+    pendingPinBind = null;
+    return { success: true, ...(await createPinCredential(pin)) };
+  } catch (error) {
+    console.error('PIN sign-in failed:', error);
+    return { success: false, error: 'Sign-in failed. Please try again.' };
+  }
+};
+
+/**
+ * Bind the server session to a user who signed in offline, with the PIN
+ * they entered then. Once the PIN is gone (the app was reloaded) or the
+ * server refuses it, they have to sign in again.
+ * @param {string} userId - Signed-in user
+ * @returns {Promise<boolean>} Whether the session is now bound to them
+ */
+export const bindPendingPinSession = async (userId) => {
+  if (!pendingPinBind || pendingPinBind.userId !== userId || !navigator.onLine) return false;
+
+  try {
+    await ensureAnonymousSession();
+    const { data, error } = await supabase.rpc('bind_pin_session', {
+      p_user_id: userId,
+      p_pin: pendingPinBind.pin,
+    });
+    // A wrong or locked-out PIN is not retried, so it cannot add to the lockout
+    if (error?.code === 'P0001') {
+      pendingPinBind = null;
+      return false;
+    }
+    if (error) throw error;
+    pendingPinBind = null;
+    return !!data;
+  } catch (error) {
+    console.error('Failed to bind PIN session:', error);
+    return false;
+  }
+};
+
+/**
+ * Set or reset a user's PIN on the server, which hashes and stores it
+ * Only managers may; a reset also lifts a lockout from wrong PINs.
+ * @param {string} userId - User ID
+ * @param {string} pin - Raw PIN
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const setUserPin = async (userId, pin) => {
+  if (!navigator.onLine) {
+    return { success: false, error: 'Connect to the internet to set a PIN' };
+  }
+
+  const { data, error } = await supabase.rpc('set_user_pin', {
+    p_user_id: userId,
+    p_pin: pin,
+  });
+  if (error) {
+    console.error('Failed to set PIN:', error);
+    return { success: false, error: 'Failed to set PIN' };
+  }
+  return data ? { success: true } : { success: false, error: 'Account not found' };
+};
+
+/**
+ * Create the first account of a new team, a manager, and sign it in
+ * The PIN is set in the same call, so no one else can set it first.
+ * @param {object} details - { name, goals, email, pin }
+ * @returns {Promise<{success: boolean, user?: object, error?: string}>} user is the Supabase row
+ */
+export const createFirstUser = async ({ name, goals, email, pin }) => {
+  try {
+    await ensureAnonymousSession();
+    const { data, error } = await supabase.rpc('create_first_user', {
+      p_name: name,
+      p_goals: goals,
+      p_email: email,
+      p_pin: pin,
+    });
+    if (error) throw error;
+    return { success: true, user: data };
+  } catch (error) {
+    console.error('Failed to create the first account:', error);
+    return { success: false, error: 'Failed to create your account. Please try again.' };
+  }
+};
+
+/**
+ * Start a PIN session for a user
+ * @param {object} user - Authenticated user
+ * @param {boolean} remember - Keep the session for 30 days instead of 12 hours
+ */
+export const startPinSession = async (user, remember = false) => {
+  const now = Date.now();
+  const session = {
+    userId: user.id,
+    method: 'pin',
+    createdAt: now,
+    expiresAt: now + (remember ? REMEMBERED_SESSION_TTL_MS : SESSION_TTL_MS),
+  };
+  await storage.set(PIN_SESSION_KEY, session);
+  return session;
+};
+
+/**
+ * Send a magic sign-in link to an email address
+ * @param {string} email - Email address of an existing team member
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const sendMagicLink = async (email) => {
+  if (!isSupabaseConfigured) {
+    return { success: false, error: 'Email sign-in requires Supabase to be configured.' };
+  }
+
+  const { error } = await supabase.auth.signInWithOtp({
+    email: email.trim().toLowerCase(),
+    options: {
+      emailRedirectTo: window.location.origin,
+    },
+  });
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+  return { success: true };
+};
+
+/**
+ * Find the users row that belongs to a Supabase Auth user, linking it by
+ * email on first sign-in (link_auth_user() checks the email server-side).
+ * @param {object} authUser - Supabase Auth user
+ * @param {array} users - App users
+ * @returns {Promise<object|null>} Matching app user
+ */
+const resolveAuthUser = async (authUser, users) => {
+  const byAuthId = users.find(u => u.authUserId === authUser.id);
+  if (byAuthId) return byAuthId;
+
+  const { data: linkedId, error } = await supabase.rpc('link_auth_user');
+  if (error) {
+    console.error('Failed to link auth user:', error);
+    return null;
+  }
+
+  const linked = linkedId && users.find(u => u.id === linkedId);
+  return linked ? { ...linked, authUserId: authUser.id } : null;
+};
+
+/**
+ * Resolve the signed-in user from the current session
+ * Checks the Supabase Auth session first, then a stored PIN session.
+ * @param {array} users - App users
+ * @returns {Promise<{user: object|null, method: string|null, error?: string}>}
+ */
+export const getSessionUser = async (users) => {
+  if (isSupabaseConfigured) {
+    try {
+      const { data } = await supabase.auth.getSession();
+      const authUser = data?.session?.user;
+      // Anonymous sessions only carry PIN sign-ins; those resolve below
+      if (authUser && !authUser.is_anonymous) {
+        const user = await resolveAuthUser(authUser, users);
+        if (user && !user.archived) {
+          return { user, method: 'email' };
+        }
+        await supabase.auth.signOut();
+        return { user: null, method: null, error: 'No active team account is linked to this email.' };
+      }
+    } catch (error) {
+      console.error('Failed to read auth session:', error);
+    }
+  }
+
+  const pinSession = await storage.get(PIN_SESSION_KEY, null);
+  if (!pinSession) return { user: null, method: null };
+
+  const user = users.find(u => u.id === pinSession.userId);
+  if (!user || user.archived || pinSession.expiresAt < Date.now()) {
+    await signOut();
+    return { user: null, method: null };
+  }
+
+  return { user, method: 'pin' };
+};
+
+/**
+ * Subscribe to Supabase Auth changes (magic link redirects, token expiry)
+ * @param {function} callback - Called with the auth event name
+ * @returns {function} Unsubscribe function
+ */
+export const onAuthChange = (callback) => {
+  if (!isSupabaseConfigured) return () => {};
+  const { data } = supabase.auth.onAuthStateChange((event) => callback(event));
+  return () => data?.subscription?.unsubscribe();
+};
+
+/**
+ * End the current session, whichever method started it
+ */
+export const signOut = async () => {
+  pendingPinBind = null;
+  await storage.delete(PIN_SESSION_KEY);
+  if (isSupabaseConfigured) {
+    try {
+      await supabase.rpc('end_pin_session');
+      await supabase.auth.signOut();
+    } catch (error) {
+      console.error('Supabase sign out failed:', error);
+    }
+  }
+};
+
+const authModule = {
+  validatePin,
+  hashPin,
+  createPinCredential,
+  verifyPin,
+  hasCredentials,
+  authenticatePin,
+  bindPendingPinSession,
+  setUserPin,
+  createFirstUser,
+  startPinSession,
+  sendMagicLink,
+  getSessionUser,
+  onAuthChange,
+  signOut,
+};
+
+export default authModule;
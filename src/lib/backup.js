@@ -0,0 +1,524 @@
+/**
+ * Backups for Window Depot Tracker
+ * Builds the JSON backup downloaded from the Admin Panel and restores one:
+ * validation, a dry-run diff against what this device has, and the records
+ * and sync queue operations for a merge or a replace. Nothing here touches
+ * storage or Supabase; App.jsx applies the result.
+ *
+ * Version 1.0 backups (users, daily logs, appointments and the feed) can
+ * still be restored. Collections a backup does not contain are left as they are.
+ */
+
+import { createActivityEvent, toActivityEventOperation } from './activityEvents';
+import { transformSnapshotToDatabase } from './snapshots';
+import { transformAppointmentLifecycleToDatabase } from './appointments';
+import { transformCustomerToDatabase } from './customers';
+import { transformDealToDatabase } from './deals';
+import { transformTaskToDatabase } from './tasks';
+
+export const BACKUP_VERSION = '2.0';
+
+export const SUPPORTED_BACKUP_VERSIONS = ['1.0', '2.0'];
+
+export const IMPORT_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace',
+};
+
+// Cached on this device only; never written to a backup file
+const USER_SECRET_FIELDS = ['pinHash', 'pinSalt'];
+
+const isTempId = (id) => String(id).startsWith('temp_');
+
+const toIso = (timestamp) => new Date(timestamp || Date.now()).toISOString();
+
+const omit = (record, fields) => {
+  const result = { ...record };
+  fields.forEach(field => delete result[field]);
+  return result;
+};
+
+// Records of an array collection, keyed by id
+const entriesById = (records) =>
+  new Map((Array.isArray(records) ? records : []).filter(record => record?.id != null).map(record => [String(record.id), record]));
+
+// Record keys join a date or user id with another; neither contains '|'
+const splitKey = (key) => key.split('|');
+
+/**
+ * What a backup holds. Each collection turns its app-state shape into a Map
+ * of record key → record for diffing, and back again.
+ *   table       - Supabase table the records are restored to, if any
+ *   keepMissing - records missing from a backup are kept, even when replacing
+ *   toRow       - Supabase row for a restored record
+ */
+const COLLECTIONS = [
+  {
+    key: 'users',
+    label: 'Team members',
+    table: 'users',
+    // Team members may have sign-in accounts, so an import never deletes them
+    keepMissing: true,
+    toEntries: (users) => new Map([...entriesById(users)].map(([id, user]) => [id, omit(user, USER_SECRET_FIELDS)])),
+    fromEntries: (entries) => [...entries.values()],
+    // Keep this device's cached PIN so the user can still sign in offline
+    restore: (user, current) => ({ ...user, ...(current ? { pinHash: current.pinHash, pinSalt: current.pinSalt } : {}) }),
+    toRow: (user) => ({
+      id: user.id,
+      name: user.name,
+      role: user.role,
+      goals: user.goals || {},
+      period_goals: user.periodGoals || {},
+    }),
+  },
+  {
+    key: 'dailyLogs',
+    label: 'Daily activity',
+    // { date: { userId: { category: count } } } → 'date|userId': counts
+    toEntries: (dailyLogs) => {
+      const entries = new Map();
+      Object.entries(dailyLogs || {}).forEach(([date, dayLogs]) => {
+        Object.entries(dayLogs || {}).forEach(([userId, counts]) => {
+          entries.set(`${date}|${userId}`, counts || {});
+        });
+      });
+      return entries;
+    },
+    fromEntries: (entries) => {
+      const dailyLogs = {};
+      entries.forEach((counts, key) => {
+        const [date, userId] = splitKey(key);
+        dailyLogs[date] = { ...dailyLogs[date], [userId]: counts };
+      });
+      return dailyLogs;
+    },
+    // Activity after the backup was taken would be lost
+    isNewer: (key, counts, exportDate) => splitKey(key)[0] >= exportDate.slice(0, 10),
+  },
+  {
+    key: 'customers',
+    label: 'Customers',
+    table: 'customers',
+    toEntries: entriesById,
+    fromEntries: (entries) => [...entries.values()].sort((a, b) => (a.name || '').localeCompare(b.name || '')),
+    toRow: (customer) => transformCustomerToDatabase(customer),
+  },
+  {
+    key: 'deals',
+    label: 'Deals',
+    table: 'deals',
+    toEntries: entriesById,
+    fromEntries: (entries) => [...entries.values()].sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || '')),
+    toRow: (deal) => transformDealToDatabase(deal),
+  },
+  {
+    key: 'appointments',
+    label: 'Appointments',
+    table: 'appointments',
+    toEntries: entriesById,
+    fromEntries: (entries) => [...entries.values()].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0)),
+    toRow: (appointment) => ({
+      id: appointment.id,
+      user_id: appointment.userId,
+      // Backups from before customers and deals leave the links as they are
+      ...(appointment.customerId !== undefined ? { customer_id: appointment.customerId } : {}),
+      ...(appointment.dealId !== undefined ? { deal_id: appointment.dealId } : {}),
+      customer_name: appointment.customerName,
+      products: appointment.products || [],
+      notes: appointment.notes || '',
+      date: appointment.date,
+      time: appointment.time || null,
+      counts_as_demo: appointment.countsAsDemo !== false,
+      // Backups from before the appointment lifecycle leave it as it is
+      ...(appointment.status ? transformAppointmentLifecycleToDatabase(appointment) : {}),
+      created_at: toIso(appointment.timestamp),
+    }),
+  },
+  // After appointments, which tasks belong to
+  {
+    key: 'tasks',
+    label: 'Follow-up tasks',
+    table: 'tasks',
+    toEntries: entriesById,
+    fromEntries: (entries) => [...entries.values()].sort((a, b) => (a.dueDate || '').localeCompare(b.dueDate || '')),
+    toRow: (task) => transformTaskToDatabase(task),
+  },
+  {
+    key: 'feed',
+    label: 'Feed posts',
+    table: 'feed_posts',
+    toEntries: entriesById,
+    fromEntries: (entries) => [...entries.values()].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0)),
+    // Comments and likes are restored on this device only; the app format
+    // does not keep a post's type, so existing posts keep theirs
+    toRow: (post, isNew) => ({
+      id: post.id,
+      user_id: post.userId,
+      content: post.content,
+      ...(isNew ? { type: post.isAuto ? 'auto' : 'manual', created_at: toIso(post.timestamp) } : {}),
+    }),
+  },
+  {
+    key: 'challenges',
+    label: 'Challenges',
+    table: 'challenges',
+    toEntries: entriesById,
+    fromEntries: (entries) => [...entries.values()],
+    toRow: (challenge) => ({
+      id: challenge.id,
+      title: challenge.title,
+      description: challenge.description || '',
+      challenge_type: challenge.challengeType,
+      goal_type: challenge.goalType,
+      goal_value: challenge.goalValue,
+      xp_reward: challenge.xpReward || 0,
+      start_date: challenge.startDate,
+      end_date: challenge.endDate,
+      is_active: challenge.isActive !== false,
+      created_by: challenge.createdBy || null,
+      target_users: challenge.targetUsers || [],
+    }),
+  },
+  {
+    key: 'userChallenges',
+    label: 'Challenge progress',
+    table: 'user_challenges',
+    toEntries: entriesById,
+    fromEntries: (entries) => [...entries.values()],
+    toRow: (userChallenge) => ({
+      id: userChallenge.id,
+      user_id: userChallenge.userId,
+      challenge_id: userChallenge.challengeId,
+      progress: userChallenge.progress || 0,
+      completed: !!userChallenge.completed,
+      completed_at: userChallenge.completedAt || null,
+    }),
+  },
+  {
+    key: 'rewards',
+    label: 'Rewards',
+    table: 'rewards',
+    toEntries: entriesById,
+    fromEntries: (entries) => [...entries.values()],
+    toRow: (reward) => ({
+      id: reward.id,
+      name: reward.name,
+      description: reward.description || '',
+      reward_type: reward.rewardType,
+      reward_category: reward.rewardCategory || null,
+      required_level: reward.requiredLevel ?? null,
+      required_achievements: reward.requiredAchievements || [],
+      icon: reward.icon || null,
+    }),
+  },
+  {
+    key: 'userRewards',
+    label: 'Earned rewards',
+    table: 'user_rewards',
+    toEntries: entriesById,
+    fromEntries: (entries) => [...entries.values()],
+    toRow: (userReward) => ({
+      id: userReward.id,
+      user_id: userReward.userId,
+      reward_id: userReward.rewardId,
+      earned_at: userReward.earnedAt || toIso(),
+      claimed: !!userReward.claimed,
+      claimed_at: userReward.claimedAt || null,
+    }),
+  },
+  {
+    key: 'dailySnapshots',
+    label: 'Daily snapshots',
+    table: 'daily_snapshots',
+    conflictKey: 'user_id,date',
+    // Snapshots are history; a replace only overwrites the days in the backup
+    keepMissing: true,
+    // { userId: [snapshot] } → 'userId|date': snapshot
+    toEntries: (snapshots) => {
+      const entries = new Map();
+      Object.entries(snapshots || {}).forEach(([userId, userSnapshots]) => {
+        (Array.isArray(userSnapshots) ? userSnapshots : []).forEach(snapshot => {
+          entries.set(`${userId}|${snapshot.date}`, snapshot);
+        });
+      });
+      return entries;
+    },
+    fromEntries: (entries) => {
+      const snapshots = {};
+      entries.forEach((snapshot, key) => {
+        const [userId] = splitKey(key);
+        snapshots[userId] = [...(snapshots[userId] || []), snapshot];
+      });
+      Object.values(snapshots).forEach(userSnapshots => userSnapshots.sort((a, b) => b.date.localeCompare(a.date)));
+      return snapshots;
+    },
+    toRow: (snapshot) => transformSnapshotToDatabase(snapshot),
+  },
+  {
+    key: 'systemSettings',
+    label: 'Team settings',
+    table: 'system_settings',
+    conflictKey: 'key',
+    toEntries: (settings) => new Map(Object.entries(settings || {})),
+    fromEntries: (entries) => Object.fromEntries(entries),
+    toRow: (value, isNew, key, actorId) => ({
+      key,
+      value,
+      updated_by: actorId,
+      updated_at: toIso(),
+    }),
+  },
+  {
+    key: 'appSettings',
+    label: 'Device settings',
+    // Settings sections; the AI API key stays on the device it was entered on
+    toEntries: (settings) => new Map(Object.entries(settings || {}).map(([section, value]) => [
+      section,
+      section === 'ai' && value ? omit(value, ['apiKey']) : value,
+    ])),
+    fromEntries: (entries) => Object.fromEntries(entries),
+    restore: (value, current, section) => (
+      section === 'ai' && current?.apiKey ? { ...value, apiKey: current.apiKey } : value
+    ),
+    keepMissing: true,
+  },
+];
+
+export const BACKUP_COLLECTIONS = COLLECTIONS.map(({ key, label }) => ({ key, label }));
+
+const getCollection = (key) => COLLECTIONS.find(collection => collection.key === key);
+
+// Deep equality for records (settings objects may come back with keys reordered)
+const isSameRecord = (a, b) => {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return (a ?? null) === (b ?? null);
+  if (typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => isSameRecord(a[key], b[key]));
+};
+
+// When a record last changed, if it says
+const getChangedAt = (record) => {
+  const value = record?.updatedAt || record?.claimedAt || record?.completedAt || record?.earnedAt ||
+    record?.timestamp || record?.createdAt;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+};
+
+// Whether this device's copy changed after the backup was taken
+const isNewerThanBackup = (collection, key, record, exportDate) => {
+  if (!exportDate || Number.isNaN(Date.parse(exportDate))) return false;
+  if (collection.isNewer) return collection.isNewer(key, record, exportDate);
+  const changedAt = getChangedAt(record);
+  return changedAt !== null && changedAt > Date.parse(exportDate);
+};
+
+/**
+ * Build a backup of everything the app keeps
+ * @param {object} data - App state: users, dailyLogs, customers, deals, tasks, appointments, feed, challenges,
+ *   userChallenges, rewards, userRewards, dailySnapshots, systemSettings, appSettings
+ * @returns {object} Backup, ready for JSON.stringify
+ */
+export const buildBackup = (data) => {
+  const backup = { version: BACKUP_VERSION, exportDate: new Date().toISOString() };
+  COLLECTIONS.forEach(collection => {
+    backup[collection.key] = collection.fromEntries(collection.toEntries(data[collection.key]));
+  });
+  return backup;
+};
+
+/**
+ * Number of records per collection, e.g. for data_backups.record_counts
+ * @param {object} backup - Backup or app state
+ * @returns {object} { collectionKey: count }
+ */
+export const countBackupRecords = (backup) =>
+  Object.fromEntries(COLLECTIONS
+    .filter(collection => backup[collection.key] !== undefined)
+    .map(collection => [collection.key, collection.toEntries(backup[collection.key]).size]));
+
+/**
+ * Check that a parsed file is a backup this version of the app can restore
+ * @param {*} backup - Parsed JSON
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateBackup = (backup) => {
+  if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+    return 'This file is not a Window Depot backup';
+  }
+  if (!backup.version) {
+    return 'This file has no backup version';
+  }
+  if (!SUPPORTED_BACKUP_VERSIONS.includes(String(backup.version))) {
+    return `Backup version ${backup.version} is not supported (expected ${SUPPORTED_BACKUP_VERSIONS.join(' or ')})`;
+  }
+  if (!Array.isArray(backup.users)) {
+    return 'Backup has no team members';
+  }
+
+  for (const collection of COLLECTIONS) {
+    const value = backup[collection.key];
+    if (value === undefined) continue;
+    const expectsArray = Array.isArray(collection.fromEntries(new Map()));
+    if (value === null || typeof value !== 'object' || Array.isArray(value) !== expectsArray) {
+      return `${collection.label} in the backup are not in the expected format`;
+    }
+    if (expectsArray && value.some(record => !record || record.id == null)) {
+      return `${collection.label} in the backup include records without an id`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Dry run of an import: how the backup differs from this device's data
+ * Records in both but different are "conflicting" when this device's copy
+ * changed after the backup was taken, and "changed" otherwise.
+ * @param {object} current - App state, same shape as a backup
+ * @param {object} backup - Validated backup
+ * @returns {Array<{key, label, added, changed, conflicting, missing, unchanged, keepMissing}>}
+ *   Record keys per collection in the backup; missing are on this device only
+ */
+export const diffBackup = (current, backup) =>
+  COLLECTIONS.filter(collection => backup[collection.key] !== undefined).map(collection => {
+    const ours = collection.toEntries(current[collection.key]);
+    const theirs = collection.toEntries(backup[collection.key]);
+    const result = {
+      key: collection.key,
+      label: collection.label,
+      added: [],
+      changed: [],
+      conflicting: [],
+      missing: [...ours.keys()].filter(key => !theirs.has(key)),
+      unchanged: 0,
+      keepMissing: !!collection.keepMissing,
+    };
+
+    theirs.forEach((record, key) => {
+      if (!ours.has(key)) {
+        result.added.push(key);
+      } else if (isSameRecord(ours.get(key), record)) {
+        result.unchanged += 1;
+      } else if (isNewerThanBackup(collection, key, ours.get(key), backup.exportDate)) {
+        result.conflicting.push(key);
+      } else {
+        result.changed.push(key);
+      }
+    });
+    return result;
+  });
+
+/**
+ * Records an import writes and removes in each collection
+ * Merge adds new records and updates changed ones, keeping this device's copy
+ * of conflicting ones. Replace makes each collection match the backup.
+ * @param {Array} diff - From diffBackup
+ * @param {string} mode - One of IMPORT_MODES
+ * @returns {Array<{key, write: Array<string>, remove: Array<string>}>}
+ */
+export const getImportPlan = (diff, mode) =>
+  diff.map(collection => ({
+    key: collection.key,
+    write: mode === IMPORT_MODES.REPLACE
+      ? [...collection.added, ...collection.changed, ...collection.conflicting]
+      : [...collection.added, ...collection.changed],
+    remove: mode === IMPORT_MODES.REPLACE && !collection.keepMissing ? collection.missing : [],
+  }));
+
+/**
+ * App state after an import
+ * @param {object} current - App state, same shape as a backup
+ * @param {object} backup - Validated backup
+ * @param {Array} plan - From getImportPlan
+ * @returns {object} Restored collections, only those the backup contains
+ */
+export const applyBackup = (current, backup, plan) =>
+  Object.fromEntries(plan.map(({ key, write, remove }) => {
+    const collection = getCollection(key);
+    const ours = collection.toEntries(current[key]);
+    const theirs = collection.toEntries(backup[key]);
+    // restore() needs the device-only fields toEntries leaves out
+    const raw = Array.isArray(current[key]) ? entriesById(current[key]) : new Map(Object.entries(current[key] || {}));
+
+    write.forEach(recordKey => {
+      const record = theirs.get(recordKey);
+      ours.set(recordKey, collection.restore ? collection.restore(record, raw.get(recordKey), recordKey) : record);
+    });
+    remove.forEach(recordKey => ours.delete(recordKey));
+    // Carry device-only fields of untouched records through
+    if (collection.restore) {
+      ours.forEach((record, recordKey) => {
+        if (!write.includes(recordKey)) ours.set(recordKey, collection.restore(record, raw.get(recordKey), recordKey));
+      });
+    }
+    return [key, collection.fromEntries(ours)];
+  }));
+
+/**
+ * Sync queue operations that bring the server in line with an import
+ * Daily activity is restored as activity events for the difference, the way
+ * it is logged; records still on temporary ids are skipped.
+ * @param {object} current - App state before the import
+ * @param {object} backup - Validated backup
+ * @param {Array} plan - From getImportPlan
+ * @param {string} actorId - Manager running the import
+ * @returns {Array} Operations for queueSyncOperation
+ */
+export const toImportOperations = (current, backup, plan, actorId) =>
+  plan.flatMap(({ key, write, remove }) => {
+    const collection = getCollection(key);
+    const ours = collection.toEntries(current[key]);
+    const theirs = collection.toEntries(backup[key]);
+
+    if (key === 'dailyLogs') {
+      return [...write, ...remove].flatMap(recordKey => {
+        const [date, userId] = splitKey(recordKey);
+        if (isTempId(userId)) return [];
+        const before = ours.get(recordKey) || {};
+        const after = theirs.get(recordKey) || {};
+        const categories = new Set([...Object.keys(before), ...Object.keys(after)]);
+        return [...categories]
+          .map(category => ({ category, delta: (after[category] || 0) - (before[category] || 0) }))
+          .filter(({ delta }) => delta !== 0)
+          .map(({ category, delta }) => toActivityEventOperation(
+            createActivityEvent({ userId, category, delta, date, createdBy: actorId })
+          ));
+      });
+    }
+    if (!collection.table) return [];
+
+    const conflictKey = collection.conflictKey || 'id';
+    const upserts = write
+      .filter(recordKey => !isTempId(recordKey))
+      .map(recordKey => ({
+        type: 'upsert',
+        table: collection.table,
+        conflictKey,
+        data: collection.toRow(theirs.get(recordKey), !ours.has(recordKey), recordKey, actorId),
+      }));
+    const deletes = remove
+      .filter(recordKey => !isTempId(recordKey))
+      .map(recordKey => ({
+        type: 'delete',
+        table: collection.table,
+        ...(conflictKey === 'id' ? {} : { conflictKey }),
+        id: recordKey,
+      }));
+    return [...upserts, ...deletes];
+  });
+
+const backupModule = {
+  BACKUP_VERSION,
+  SUPPORTED_BACKUP_VERSIONS,
+  IMPORT_MODES,
+  BACKUP_COLLECTIONS,
+  buildBackup,
+  countBackupRecords,
+  validateBackup,
+  diffBackup,
+  getImportPlan,
+  applyBackup,
+  toImportOperations,
+};
+
+export default backupModule;
@@ -0,0 +1,140 @@
+/**
+ * Activity Categories for Window Depot Tracker
+ * Categories come from the categories table (supabase/migrations/017_categories.sql)
+ * and drive every place that logs, totals or sets goals for activity.
+ * daily_logs and users.goals are keyed by category id, so adding a category
+ * needs no schema change. Inactive categories are hidden from logging and goals
+ * but their history still counts towards totals.
+ */
+
+import { MAX_GOAL } from './goals';
+
+/**
+ * Default categories (mirrors the seed in 017_categories.sql)
+ * Used when the categories table has not been synced to this device.
+ * icon is the name of a lucide-react icon.
+ */
+export const DEFAULT_CATEGORIES = [
+  { id: 'reviews', name: 'Reviews', icon: 'Star', color: '#FFC107', default_goal: 5, xp_weight: 15, active: true, sort_order: 1 },
+  { id: 'demos', name: 'Demos', icon: 'Calendar', color: '#28A745', default_goal: 3, xp_weight: 25, active: true, sort_order: 2 },
+  { id: 'callbacks', name: 'Callbacks', icon: 'Phone', color: '#0056A4', default_goal: 10, xp_weight: 5, active: true, sort_order: 3 },
+  { id: 'door_knocks', name: 'Door Knocks', icon: 'DoorOpen', color: '#6F42C1', default_goal: 20, xp_weight: 2, active: false, sort_order: 4 },
+  { id: 'in_home_measures', name: 'In-Home Measures', icon: 'Ruler', color: '#FD7E14', default_goal: 2, xp_weight: 30, active: false, sort_order: 5 },
+  { id: 'showroom_walkins', name: 'Showroom Walk-ins', icon: 'Store', color: '#17A2B8', default_goal: 5, xp_weight: 10, active: false, sort_order: 6 },
+];
+
+/**
+ * Transform a category from Supabase format (snake_case) to app format (camelCase)
+ */
+export const transformCategory = (category) => ({
+  id: category.id,
+  name: category.name,
+  icon: category.icon || 'Target',
+  color: category.color || '#6B7280',
+  defaultGoal: category.default_goal ?? category.defaultGoal ?? 0,
+  xpWeight: category.xp_weight ?? category.xpWeight ?? 0,
+  active: category.active !== false,
+  sortOrder: category.sort_order ?? category.sortOrder ?? 0,
+});
+
+/**
+ * Transform a category from app format (camelCase) to Supabase format (snake_case)
+ */
+export const transformCategoryToDatabase = (category) => ({
+  id: category.id,
+  name: category.name,
+  icon: category.icon,
+  color: category.color,
+  default_goal: category.defaultGoal,
+  xp_weight: category.xpWeight,
+  active: category.active,
+  sort_order: category.sortOrder,
+});
+
+/**
+ * App-format categories in display order, falling back to the defaults
+ * @param {Array} categories - Categories in either format (may be empty)
+ * @returns {Array}
+ */
+export const normalizeCategories = (categories) =>
+  (categories && categories.length > 0 ? categories : DEFAULT_CATEGORIES)
+    .map(transformCategory)
+    .sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+
+/**
+ * Categories that can be logged and have goals
+ */
+export const getActiveCategories = (categories) => categories.filter(c => c.active);
+
+/**
+ * Category id from a display name, e.g. 'Door Knocks' -> 'door_knocks'
+ */
+export const toCategoryId = (name) =>
+  (name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+/**
+ * XP per logged activity, keyed by category id (the categoryXp of the XP curve)
+ */
+export const getCategoryXp = (categories) =>
+  Object.fromEntries(categories.map(c => [c.id, c.xpWeight]));
+
+/**
+ * Starting goals for a new user
+ */
+export const getDefaultGoals = (categories) =>
+  Object.fromEntries(getActiveCategories(categories).map(c => [c.id, c.defaultGoal]));
+
+/**
+ * Counts for every category, with zeros for categories that have none
+ * @param {object} counts - { category: count } (may be missing)
+ * @param {Array} categories - App-format categories
+ * @returns {object}
+ */
+export const getCategoryCounts = (counts, categories) =>
+  Object.fromEntries(categories.map(c => [c.id, counts?.[c.id] || 0]));
+
+/**
+ * Total activity across all categories
+ * @param {object} counts - { category: count }
+ * @returns {number}
+ */
+export const sumCategoryCounts = (counts) =>
+  Object.values(counts || {}).reduce((sum, count) => sum + (Number(count) || 0), 0);
+
+/**
+ * Validate a category before saving it
+ * @param {object} category - App-format category
+ * @param {Array} categories - Existing categories (to check the id is unique)
+ * @param {boolean} isNew - Whether the category is being created
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateCategory = (category, categories = [], isNew = false) => {
+  if (!category.name || !category.name.trim()) return 'Category name is required';
+  if (category.name.trim().length > 40) return 'Category name must be 40 characters or less';
+  if (!/^[a-z][a-z0-9_]*$/.test(category.id || '')) return 'Category name must start with a letter';
+  if (isNew && categories.some(c => c.id === category.id)) return 'A category with this name already exists';
+  if (!/^#[0-9A-Fa-f]{6}$/.test(category.color || '')) return 'Color must be a hex value like #0056A4';
+  if (!Number.isInteger(category.defaultGoal) || category.defaultGoal < 0 || category.defaultGoal > MAX_GOAL.day) {
+    return `Default goal must be a whole number between 0 and ${MAX_GOAL.day}`;
+  }
+  if (!Number.isInteger(category.xpWeight) || category.xpWeight < 0 || category.xpWeight > 1000) {
+    return 'XP must be a whole number between 0 and 1000';
+  }
+  return null;
+};
+
+const categoriesModule = {
+  DEFAULT_CATEGORIES,
+  transformCategory,
+  transformCategoryToDatabase,
+  normalizeCategories,
+  getActiveCategories,
+  toCategoryId,
+  getCategoryXp,
+  getDefaultGoals,
+  getCategoryCounts,
+  sumCategoryCounts,
+  validateCategory,
+};
+
+export default categoriesModule;
@@ -0,0 +1,179 @@
+/**
+ * Customers for Window Depot Tracker
+ * Homeowners and leads as records of their own, shared by the team
+ * (supabase/migrations/028_customers.sql). Appointments link to a customer
+ * by customerId and keep the name as booked in customerName. The same phone
+ * number or email address cannot belong to two customers; the database
+ * enforces this and the app looks for the existing record first.
+ */
+
+export const CUSTOMER_SOURCES = [
+  { id: 'door_knock', label: 'Door Knock' },
+  { id: 'phone', label: 'Phone Call' },
+  { id: 'store', label: 'Store Walk-in' },
+  { id: 'referral', label: 'Referral' },
+  { id: 'website', label: 'Website' },
+  { id: 'event', label: 'Home Show / Event' },
+  { id: 'repeat', label: 'Repeat Customer' },
+  { id: 'other', label: 'Other' },
+];
+
+export const CUSTOMER_SOURCE_IDS = CUSTOMER_SOURCES.map(s => s.id);
+
+const MAX_NAME_LENGTH = 100;
+const MAX_FIELD_LENGTH = 200;
+const MAX_NOTES_LENGTH = 1000;
+
+/**
+ * Phone number as compared for duplicates: its last 10 digits
+ * Matches customer_phone_key() in 028_customers.sql.
+ * @param {string} phone - Phone number as entered
+ * @returns {string} '' when there are no digits
+ */
+export const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+/**
+ * Email address as compared for duplicates
+ * Matches customer_email_key() in 028_customers.sql.
+ * @param {string} email - Email address as entered
+ * @returns {string}
+ */
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Transform a customer from Supabase format (snake_case) to app format (camelCase)
+ */
+export const transformCustomer = (customer) => ({
+  id: customer.id,
+  name: customer.name,
+  address: customer.address || '',
+  phone: customer.phone || '',
+  email: customer.email || '',
+  source: customer.source || null,
+  productInterests: customer.product_interests ?? customer.productInterests ?? [],
+  notes: customer.notes || '',
+  createdBy: customer.created_by ?? customer.createdBy ?? null,
+  createdAt: customer.created_at ?? customer.createdAt ?? null,
+  updatedAt: customer.updated_at ?? customer.updatedAt ?? null,
+});
+
+/**
+ * Transform a customer from app format (camelCase) to Supabase format (snake_case)
+ */
+export const transformCustomerToDatabase = (customer) => ({
+  id: customer.id,
+  name: customer.name.trim(),
+  address: customer.address?.trim() || null,
+  phone: customer.phone?.trim() || null,
+  email: customer.email?.trim() || null,
+  source: customer.source || null,
+  product_interests: customer.productInterests || [],
+  notes: customer.notes?.trim() || null,
+  created_by: customer.createdBy || null,
+});
+
+/**
+ * Another customer with the same phone number or email address
+ * @param {Array} customers - Existing customers
+ * @param {object} customer - Customer being saved; its own record is skipped
+ * @returns {object|null} The existing customer
+ */
+export const findDuplicateCustomer = (customers, customer) => {
+  const phone = normalizePhone(customer.phone);
+  const email = normalizeEmail(customer.email);
+  if (!phone && !email) return null;
+  return (customers || []).find(other =>
+    other.id !== customer.id && (
+      (phone && normalizePhone(other.phone) === phone) ||
+      (email && normalizeEmail(other.email) === email)
+    )
+  ) || null;
+};
+
+/**
+ * Validate a customer before saving
+ * @param {object} customer - App-format customer
+ * @param {Array} customers - Existing customers, to catch duplicates
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateCustomer = (customer, customers = []) => {
+  const name = (customer.name || '').trim();
+  if (!name) return 'Customer name is required';
+  if (name.length > MAX_NAME_LENGTH) return 'Customer name is too long';
+
+  if (customer.phone && normalizePhone(customer.phone).length < 7) return 'Enter a phone number with at least 7 digits';
+  if (customer.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(customer.email.trim())) return 'Enter a valid email address';
+  if ([customer.address, customer.phone, customer.email].some(value => (value || '').length > MAX_FIELD_LENGTH)) {
+    return 'Contact details are too long';
+  }
+  if ((customer.notes || '').length > MAX_NOTES_LENGTH) return 'Notes are too long';
+  if (customer.source && !CUSTOMER_SOURCE_IDS.includes(customer.source)) return 'Unknown source';
+
+  const duplicate = findDuplicateCustomer(customers, customer);
+  if (duplicate) return `${duplicate.name} already has this phone number or email`;
+  return null;
+};
+
+/**
+ * Customers matching a search by name, phone, email or address
+ * @param {Array} customers - Customers to search
+ * @param {string} term - Search text; digits also match phone numbers however they were typed
+ * @returns {Array} Matches, by name
+ */
+export const searchCustomers = (customers, term) => {
+  const text = (term || '').trim().toLowerCase();
+  const digits = text.replace(/\D/g, '');
+  return (customers || [])
+    .filter(customer => !text ||
+      [customer.name, customer.email, customer.address].some(value => (value || '').toLowerCase().includes(text)) ||
+      (digits.length >= 3 && normalizePhone(customer.phone).includes(digits)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * A customer's appointments, newest first
+ * @param {string} customerId - Customer ID
+ * @param {Array} appointments - App-format appointments
+ * @returns {Array}
+ */
+export const getCustomerAppointments = (customerId, appointments) =>
+  (appointments || [])
+    .filter(a => a.customerId === customerId)
+    .sort((a, b) => `${b.date} ${b.time || ''}`.localeCompare(`${a.date} ${a.time || ''}`));
+
+/**
+ * Totals over a customer's appointments
+ * @param {Array} appointments - The customer's appointments
+ * @param {string} today - YYYY-MM-DD
+ * @returns {{visits: number, sales: number, saleTotal: number, lastVisit: string|null, nextVisit: string|null}}
+ *   visits counts appointments that went ahead
+ */
+export const summarizeCustomerAppointments = (appointments, today) => {
+  const active = appointments.filter(a => a.status !== 'cancelled' && a.status !== 'no_show');
+  const past = active.filter(a => a.date <= today).map(a => a.date).sort();
+  const upcoming = active.filter(a => a.date > today).map(a => a.date).sort();
+  const sales = appointments.filter(a => a.outcome === 'sale');
+  return {
+    visits: past.length,
+    sales: sales.length,
+    saleTotal: sales.reduce((sum, a) => sum + (Number(a.saleAmount) || 0), 0),
+    lastVisit: past[past.length - 1] || null,
+    nextVisit: upcoming[0] || null,
+  };
+};
+
+const customersModule = {
+  CUSTOMER_SOURCES,
+  CUSTOMER_SOURCE_IDS,
+  normalizePhone,
+  normalizeEmail,
+  transformCustomer,
+  transformCustomerToDatabase,
+  findDuplicateCustomer,
+  validateCustomer,
+  searchCustomers,
+  getCustomerAppointments,
+  summarizeCustomerAppointments,
+};
+
+export default customersModule;
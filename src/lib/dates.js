@@ -0,0 +1,250 @@
+/**
+ * Store Calendar Date Utilities for Window Depot Tracker
+ * Every "today", "this week" and "this month" in the app is computed in the
+ * store's timezone (system_settings key 'store_calendar'), not the device's
+ * local time or UTC, so the Dashboard, AI coach and snapshots agree on which
+ * day an activity belongs to. Date keys are plain 'YYYY-MM-DD' strings; date
+ * arithmetic on keys is done in UTC so it never drifts across DST changes.
+ * The api edge function mirrors these rules in
+ * supabase/functions/api/_shared/dates.ts.
+ */
+
+export const STORE_CALENDAR_SETTING_KEY = 'store_calendar';
+
+export const DEFAULT_STORE_CALENDAR = {
+  timezone: 'America/Chicago',
+  // 0 = Sunday ... 6 = Saturday
+  weekStartsOn: 0,
+};
+
+export const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+let storeCalendar = DEFAULT_STORE_CALENDAR;
+const formatters = {};
+
+/**
+ * Check that a timezone name is supported by Intl
+ * @param {string} timezone - IANA timezone, e.g. 'America/Chicago'
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Fill in missing fields of a stored calendar setting with defaults
+ * @param {object} calendar - Value of the store_calendar setting (may be partial)
+ * @returns {object} Complete calendar setting
+ */
+export const normalizeStoreCalendar = (calendar) => {
+  const source = calendar || {};
+  const weekStartsOn = Number(source.weekStartsOn);
+  return {
+    timezone: isValidTimezone(source.timezone) ? source.timezone : DEFAULT_STORE_CALENDAR.timezone,
+    weekStartsOn: Number.isInteger(weekStartsOn) && weekStartsOn >= 0 && weekStartsOn <= 6
+      ? weekStartsOn
+      : DEFAULT_STORE_CALENDAR.weekStartsOn,
+  };
+};
+
+/**
+ * Validate a calendar setting before saving it
+ * @param {object} calendar - Calendar setting
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateStoreCalendar = (calendar) => {
+  if (!isValidTimezone(calendar?.timezone)) return 'Unknown timezone';
+  if (!Number.isInteger(calendar.weekStartsOn) || calendar.weekStartsOn < 0 || calendar.weekStartsOn > 6) {
+    return 'Week start must be a day of the week';
+  }
+  return null;
+};
+
+/**
+ * Set the calendar used by every function in this module
+ * Called whenever system_settings are loaded or changed.
+ * @param {object} calendar - Value of the store_calendar setting
+ * @returns {object} The normalized calendar now in use
+ */
+export const configureStoreCalendar = (calendar) => {
+  storeCalendar = normalizeStoreCalendar(calendar);
+  return storeCalendar;
+};
+
+/**
+ * Get the calendar currently in use
+ * @returns {{timezone: string, weekStartsOn: number}}
+ */
+export const getStoreCalendar = () => storeCalendar;
+
+const getFormatter = (timezone) => {
+  if (!formatters[timezone]) {
+    formatters[timezone] = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    });
+  }
+  return formatters[timezone];
+};
+
+/**
+ * Date key (YYYY-MM-DD) of an instant in the store's timezone
+ * @param {Date|number|string} date - Instant (defaults to now)
+ * @returns {string}
+ */
+export const toDateKey = (date = new Date()) => {
+  const instant = date instanceof Date ? date : new Date(date);
+  const parts = getFormatter(storeCalendar.timezone).formatToParts(instant);
+  const part = (type) => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+};
+
+const parseDateKey = (dateKey) => new Date(`${dateKey}T00:00:00Z`);
+
+const formatDateKey = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Get today's date in the store's timezone
+ * @returns {string} YYYY-MM-DD
+ */
+export const getToday = () => toDateKey(new Date());
+
+/**
+ * Time of day of an instant in the store's timezone
+ * @param {Date|number|string} date - Instant (defaults to now)
+ * @returns {string} HH:MM (24-hour)
+ */
+export const toStoreTime = (date = new Date()) => {
+  const instant = date instanceof Date ? date : new Date(date);
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: storeCalendar.timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).format(instant);
+};
+
+/**
+ * Add (or subtract) days from a date key
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} days - Days to add, negative to subtract
+ * @returns {string} YYYY-MM-DD
+ */
+export const addDays = (dateKey, days) => {
+  const date = parseDateKey(dateKey);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDateKey(date);
+};
+
+/**
+ * Get yesterday's date in the store's timezone
+ * @returns {string} YYYY-MM-DD
+ */
+export const getYesterday = () => addDays(getToday(), -1);
+
+/**
+ * Day of the week of a date key
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {number} 0 = Sunday ... 6 = Saturday
+ */
+export const getDayOfWeek = (dateKey) => parseDateKey(dateKey).getUTCDay();
+
+/**
+ * Name of the day of the week of a date key
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string} e.g. 'Monday'
+ */
+export const getDayName = (dateKey) => DAY_NAMES[getDayOfWeek(dateKey)];
+
+/**
+ * First day of the week containing a date, using the configured week start
+ * @param {string} dateKey - YYYY-MM-DD (defaults to today)
+ * @returns {string} YYYY-MM-DD
+ */
+export const getWeekStart = (dateKey = getToday()) => {
+  const offset = (getDayOfWeek(dateKey) - storeCalendar.weekStartsOn + 7) % 7;
+  return addDays(dateKey, -offset);
+};
+
+/**
+ * Last day of the week containing a date
+ * @param {string} dateKey - YYYY-MM-DD (defaults to today)
+ * @returns {string} YYYY-MM-DD
+ */
+export const getWeekEnd = (dateKey = getToday()) => addDays(getWeekStart(dateKey), 6);
+
+/**
+ * First day of the month containing a date
+ * @param {string} dateKey - YYYY-MM-DD (defaults to today)
+ * @returns {string} YYYY-MM-DD
+ */
+export const getMonthStart = (dateKey = getToday()) => `${dateKey.slice(0, 7)}-01`;
+
+/**
+ * First day of a month some months before or after the one containing a date
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {number} months - Months to add, negative to subtract
+ * @returns {string} YYYY-MM-DD
+ */
+export const addMonths = (dateKey, months) => {
+  const date = parseDateKey(getMonthStart(dateKey));
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return formatDateKey(date);
+};
+
+/**
+ * Number of days in a range, counting both ends
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {number}
+ */
+export const daysBetween = (startDate, endDate) =>
+  Math.round((parseDateKey(endDate) - parseDateKey(startDate)) / (1000 * 60 * 60 * 24)) + 1;
+
+/**
+ * Every date key in a range, counting both ends
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {string[]}
+ */
+export const eachDayInRange = (startDate, endDate) => {
+  const dates = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+const datesModule = {
+  STORE_CALENDAR_SETTING_KEY,
+  DEFAULT_STORE_CALENDAR,
+  DAY_NAMES,
+  isValidTimezone,
+  normalizeStoreCalendar,
+  validateStoreCalendar,
+  configureStoreCalendar,
+  getStoreCalendar,
+  toDateKey,
+  getToday,
+  toStoreTime,
+  addDays,
+  getYesterday,
+  getDayOfWeek,
+  getDayName,
+  getWeekStart,
+  getWeekEnd,
+  getMonthStart,
+  addMonths,
+  daysBetween,
+  eachDayInRange,
+};
+
+export default datesModule;
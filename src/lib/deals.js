@@ -0,0 +1,235 @@
+/**
+ * Sales Pipeline for Window Depot Tracker
+ * A deal follows one customer opportunity from lead through demo and
+ * proposal to sold or lost, with the contract amount, products and chance
+ * of closing (supabase/migrations/029_deals.sql). Appointments linked to a
+ * deal move it along as their outcome is recorded; the database does this,
+ * and getDealStageForOutcome() mirrors it for offline edits. Display info
+ * for stages lives with the components in App.jsx as DEAL_STAGES.
+ */
+
+export const DEAL_STAGE_IDS = ['lead', 'demo_scheduled', 'proposal_sent', 'sold', 'lost'];
+
+export const CLOSED_DEAL_STAGES = ['sold', 'lost'];
+
+// Chance of closing when the rep hasn't set one
+export const DEAL_STAGE_PROBABILITY = {
+  lead: 10,
+  demo_scheduled: 30,
+  proposal_sent: 60,
+  sold: 100,
+  lost: 0,
+};
+
+const MAX_AMOUNT = 10000000;
+const MAX_TEXT_LENGTH = 1000;
+
+export const isClosedDeal = (deal) => CLOSED_DEAL_STAGES.includes(deal.stage);
+
+/**
+ * Transform a deal from Supabase format (snake_case) to app format (camelCase)
+ */
+export const transformDeal = (deal) => ({
+  id: deal.id,
+  userId: deal.user_id ?? deal.userId,
+  customerId: deal.customer_id ?? deal.customerId ?? null,
+  customerName: deal.customer_name ?? deal.customerName,
+  stage: deal.stage || 'lead',
+  amount: deal.amount != null ? Number(deal.amount) : null,
+  products: deal.products || [],
+  probability: deal.probability ?? null,
+  expectedCloseDate: deal.expected_close_date ?? deal.expectedCloseDate ?? null,
+  closedDate: deal.closed_date ?? deal.closedDate ?? null,
+  lostReason: deal.lost_reason ?? deal.lostReason ?? '',
+  notes: deal.notes || '',
+  createdAt: deal.created_at ?? deal.createdAt ?? null,
+  updatedAt: deal.updated_at ?? deal.updatedAt ?? null,
+});
+
+/**
+ * Transform a deal from app format (camelCase) to Supabase format (snake_case)
+ */
+export const transformDealToDatabase = (deal) => ({
+  id: deal.id,
+  user_id: deal.userId,
+  customer_id: deal.customerId || null,
+  customer_name: deal.customerName.trim(),
+  stage: deal.stage,
+  amount: deal.amount ?? null,
+  products: deal.products || [],
+  probability: deal.probability ?? null,
+  expected_close_date: deal.expectedCloseDate || null,
+  closed_date: isClosedDeal(deal) ? deal.closedDate || null : null,
+  lost_reason: deal.stage === 'lost' ? deal.lostReason?.trim() || null : null,
+  notes: deal.notes?.trim() || null,
+});
+
+/**
+ * Validate a deal before saving
+ * @param {object} deal - App-format deal
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateDeal = (deal) => {
+  if (!(deal.customerName || '').trim()) return 'Customer is required';
+  if (!DEAL_STAGE_IDS.includes(deal.stage)) return 'Unknown stage';
+  if (deal.amount != null && deal.amount !== '') {
+    const amount = Number(deal.amount);
+    if (!Number.isFinite(amount) || amount < 0) return 'Enter a valid amount';
+    if (amount > MAX_AMOUNT) return 'Amount is too large';
+  }
+  if (deal.stage === 'sold' && !(Number(deal.amount) > 0)) return 'Enter the contract amount for a sold deal';
+  if (deal.probability != null && deal.probability !== '') {
+    const probability = Number(deal.probability);
+    if (!Number.isInteger(probability) || probability < 0 || probability > 100) {
+      return 'Close probability must be a whole number from 0 to 100';
+    }
+  }
+  if ((deal.notes || '').length > MAX_TEXT_LENGTH || (deal.lostReason || '').length > MAX_TEXT_LENGTH) {
+    return 'Notes are too long';
+  }
+  return null;
+};
+
+/**
+ * Chance of closing, as set on the deal or the stage default
+ * Closed deals are certain either way.
+ * @param {object} deal - App-format deal
+ * @returns {number} 0-100
+ */
+export const getDealProbability = (deal) => {
+  if (isClosedDeal(deal) || deal.probability == null) return DEAL_STAGE_PROBABILITY[deal.stage] ?? 0;
+  return deal.probability;
+};
+
+/**
+ * A deal moved to another stage
+ * Closing stamps the closed date; reopening clears it and the lost reason.
+ * @param {object} deal - App-format deal
+ * @param {string} stage - Stage to move to
+ * @param {string} today - YYYY-MM-DD
+ * @returns {object}
+ */
+export const moveDeal = (deal, stage, today) => {
+  const closing = CLOSED_DEAL_STAGES.includes(stage);
+  return {
+    ...deal,
+    stage,
+    closedDate: closing ? (deal.stage === stage && deal.closedDate) || today : null,
+    lostReason: stage === 'lost' ? deal.lostReason : '',
+  };
+};
+
+/**
+ * Stage an appointment's outcome moves its deal to
+ * Mirrors sync_appointment_deal() in 029_deals.sql: only the outcome that
+ * closed a deal can reopen it, so a deal closed on the board stays closed.
+ * @param {string} stage - The deal's current stage
+ * @param {string|null} outcome - The appointment's new outcome
+ * @param {string|null} previousOutcome - Its outcome before, if it was already in this deal
+ * @returns {string}
+ */
+export const getDealStageForOutcome = (stage, outcome, previousOutcome = null) => {
+  const target = {
+    sale: 'sold',
+    no_sale: 'lost',
+    proposal_sent: 'proposal_sent',
+    thinking_it_over: 'proposal_sent',
+  }[outcome] || null;
+
+  if (CLOSED_DEAL_STAGES.includes(target)) return target;
+  if (CLOSED_DEAL_STAGES.includes(stage)) {
+    return ['sale', 'no_sale'].includes(previousOutcome) ? target || 'demo_scheduled' : stage;
+  }
+  if (!target) return stage === 'lead' ? 'demo_scheduled' : stage;
+  return target;
+};
+
+/**
+ * The customer's most recently updated open deal
+ * @param {Array} deals - App-format deals
+ * @param {string} customerId - Customer ID
+ * @returns {object|null}
+ */
+export const findOpenDeal = (deals, customerId) =>
+  (deals || [])
+    .filter(d => d.customerId && d.customerId === customerId && !isClosedDeal(d))
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''))[0] || null;
+
+/**
+ * Count, value and probability-weighted value of the deals in each stage
+ * @param {Array} deals - App-format deals
+ * @returns {object} { [stage]: { count, value, weighted }, open: { count, value, weighted } }
+ */
+export const summarizePipeline = (deals) => {
+  const empty = () => ({ count: 0, value: 0, weighted: 0 });
+  const summary = Object.fromEntries([...DEAL_STAGE_IDS, 'open'].map(id => [id, empty()]));
+
+  (deals || []).forEach(deal => {
+    const value = Number(deal.amount) || 0;
+    const weighted = (value * getDealProbability(deal)) / 100;
+    [deal.stage, ...(isClosedDeal(deal) ? [] : ['open'])].forEach(key => {
+      if (!summary[key]) return;
+      summary[key].count += 1;
+      summary[key].value += value;
+      summary[key].weighted += weighted;
+    });
+  });
+
+  return summary;
+};
+
+/**
+ * Every sale with its amount: sold deals, plus sales recorded on
+ * appointments outside a deal (which count on their own, as before deals)
+ * @param {Array} deals - App-format deals
+ * @param {Array} appointments - App-format appointments
+ * @returns {Array<{userId: string, date: string, amount: number, customerName: string}>}
+ */
+export const getSales = (deals, appointments) => [
+  ...(deals || [])
+    .filter(d => d.stage === 'sold')
+    .map(d => ({ userId: d.userId, date: d.closedDate, amount: Number(d.amount) || 0, customerName: d.customerName })),
+  ...(appointments || [])
+    .filter(a => a.outcome === 'sale' && !a.dealId)
+    .map(a => ({ userId: a.userId, date: a.date, amount: Number(a.saleAmount) || 0, customerName: a.customerName })),
+];
+
+/**
+ * Sales and revenue for one rep, or everyone, in a date range
+ * @param {Array} sales - Output of getSales()
+ * @param {object} options - { userId, startDate, endDate }; each is optional
+ * @returns {{sales: number, revenue: number}}
+ */
+export const sumSales = (sales, { userId, startDate, endDate } = {}) =>
+  sales
+    .filter(s => (!userId || s.userId === userId) &&
+      (!startDate || (s.date && s.date >= startDate)) &&
+      (!endDate || (s.date && s.date <= endDate)))
+    .reduce((total, s) => ({ sales: total.sales + 1, revenue: total.revenue + s.amount }), { sales: 0, revenue: 0 });
+
+/**
+ * Whole dollars, e.g. $12,500
+ * @param {number} amount
+ * @returns {string}
+ */
+export const formatCurrency = (amount) => `$${Math.round(Number(amount) || 0).toLocaleString('en-US')}`;
+
+const dealsModule = {
+  DEAL_STAGE_IDS,
+  CLOSED_DEAL_STAGES,
+  DEAL_STAGE_PROBABILITY,
+  isClosedDeal,
+  transformDeal,
+  transformDealToDatabase,
+  validateDeal,
+  getDealProbability,
+  moveDeal,
+  getDealStageForOutcome,
+  findOpenDeal,
+  summarizePipeline,
+  getSales,
+  sumSales,
+  formatCurrency,
+};
+
+export default dealsModule;
@@ -0,0 +1,195 @@
+/**
+ * Goal Templates for Window Depot Tracker
+ * Named goal plans managers assign to many users at once
+ * (supabase/migrations/019_goal_templates.sql). A template is a list of steps;
+ * each step starts a number of weeks after the assignment's start date and
+ * sets daily, weekly and/or monthly goals (see src/lib/goals.js), so a
+ * ramp-up plan raises goals week over week. A step is written to the user's
+ * goals once, when it becomes effective; manual edits in between are kept.
+ * The server applies steps with apply_goal_assignments(); this module lets
+ * the app do the same offline.
+ */
+
+import { getToday, daysBetween } from './dates';
+import { GOAL_PERIOD_IDS, getSetGoals, validateGoalValue, getGoalPeriod } from './goals';
+
+/**
+ * Transform a template from Supabase format (snake_case) to app format (camelCase)
+ */
+export const transformGoalTemplate = (template) => ({
+  id: template.id,
+  name: template.name,
+  description: template.description || '',
+  steps: [...(template.steps || [])]
+    .map(step => ({ week: Number(step.week) || 0, goals: step.goals || {} }))
+    .sort((a, b) => a.week - b.week),
+  createdBy: template.created_by ?? template.createdBy ?? null,
+  createdAt: template.created_at ?? template.createdAt ?? null,
+});
+
+/**
+ * Transform a template from app format (camelCase) to Supabase format (snake_case)
+ */
+export const transformGoalTemplateToDatabase = (template) => ({
+  id: template.id,
+  name: template.name,
+  description: template.description || null,
+  steps: template.steps,
+  created_by: template.createdBy || null,
+});
+
+/**
+ * Transform an assignment from Supabase format (snake_case) to app format (camelCase)
+ */
+export const transformGoalAssignment = (assignment) => ({
+  userId: assignment.user_id ?? assignment.userId,
+  templateId: assignment.template_id ?? assignment.templateId,
+  startsOn: assignment.starts_on ?? assignment.startsOn,
+  appliedWeek: assignment.applied_week ?? assignment.appliedWeek ?? null,
+  assignedBy: assignment.assigned_by ?? assignment.assignedBy ?? null,
+});
+
+/**
+ * Transform an assignment from app format (camelCase) to Supabase format (snake_case)
+ */
+export const transformGoalAssignmentToDatabase = (assignment) => ({
+  user_id: assignment.userId,
+  template_id: assignment.templateId,
+  starts_on: assignment.startsOn,
+  applied_week: assignment.appliedWeek ?? null,
+  assigned_by: assignment.assignedBy || null,
+});
+
+/**
+ * Empty step starting a number of weeks after the assignment start
+ * @param {number} week - Weeks after the start date
+ * @returns {object}
+ */
+export const createTemplateStep = (week = 0) => ({ week, goals: { day: {}, week: {}, month: {} } });
+
+/**
+ * A step without zero goals or empty periods, ready to save
+ * A period left out of a step keeps the user's current goals for that period.
+ * @param {object} step - Template step
+ * @returns {object}
+ */
+export const compactTemplateStep = (step) => ({
+  week: Number(step.week) || 0,
+  goals: Object.fromEntries(
+    GOAL_PERIOD_IDS
+      .map(period => [period, Object.fromEntries(getSetGoals(step.goals?.[period]).map(([c, v]) => [c, Number(v)]))])
+      .filter(([, goals]) => Object.keys(goals).length > 0)
+  ),
+});
+
+/**
+ * Step of a template in effect on a day
+ * @param {object} template - App-format template
+ * @param {string} startsOn - Assignment start date (YYYY-MM-DD)
+ * @param {string} dateKey - YYYY-MM-DD (defaults to today)
+ * @returns {object|null} Step, or null before the start date
+ */
+export const getTemplateStep = (template, startsOn, dateKey = getToday()) => {
+  if (!template || !startsOn || dateKey < startsOn) return null;
+  const weeksElapsed = Math.floor((daysBetween(startsOn, dateKey) - 1) / 7);
+  const steps = (template.steps || []).filter(step => step.week <= weeksElapsed);
+  return steps.length > 0 ? steps[steps.length - 1] : null;
+};
+
+/**
+ * Assignments whose step in effect has not been written to the user's goals yet
+ * @param {Array} assignments - App-format assignments
+ * @param {Array} templates - App-format templates
+ * @param {string} dateKey - YYYY-MM-DD (defaults to today)
+ * @returns {Array} [{ assignment, step }]
+ */
+export const getPendingAssignments = (assignments, templates, dateKey = getToday()) =>
+  (assignments || [])
+    .map(assignment => ({
+      assignment,
+      step: getTemplateStep(templates.find(t => t.id === assignment.templateId), assignment.startsOn, dateKey),
+    }))
+    .filter(({ assignment, step }) => step && step.week !== assignment.appliedWeek);
+
+/**
+ * A user with a template step written to their goals
+ * Periods the step does not mention keep the user's current goals.
+ * @param {object} user - App-format user
+ * @param {object} step - Template step
+ * @returns {object} Updated user
+ */
+export const applyTemplateStep = (user, step) => {
+  const { day, week, month } = step.goals || {};
+  return {
+    ...user,
+    goals: day || user.goals,
+    periodGoals: {
+      ...user.periodGoals,
+      ...(week && { week }),
+      ...(month && { month }),
+    },
+  };
+};
+
+/**
+ * Short description of a step's goals, e.g. 'Demos 2/day • Demos 10/week'
+ * @param {object} step - Template step
+ * @param {Array} categories - App-format categories (for names)
+ * @returns {string}
+ */
+export const describeTemplateStep = (step, categories = []) =>
+  GOAL_PERIOD_IDS.flatMap(period =>
+    getSetGoals(step.goals?.[period]).map(([category, target]) =>
+      `${categories.find(c => c.id === category)?.name || category} ${target}/${getGoalPeriod(period).noun}`
+    )
+  ).join(' • ') || 'No goals';
+
+/**
+ * Validate a template before saving it
+ * @param {object} template - App-format template
+ * @param {Array} templates - Existing templates (to check the name is unique)
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateGoalTemplate = (template, templates = []) => {
+  const name = (template.name || '').trim();
+  if (!name) return 'Template name is required';
+  if (name.length > 60) return 'Template name must be 60 characters or less';
+  if (templates.some(t => t.id !== template.id && t.name.trim().toLowerCase() === name.toLowerCase())) {
+    return 'A template with this name already exists';
+  }
+  if (!template.steps || template.steps.length === 0) return 'A template needs at least one step';
+
+  // step.week counts from 0; managers see weeks counted from 1
+  const weeks = template.steps.map(step => step.week);
+  if (weeks.some(week => !Number.isInteger(week) || week < 0 || week > 103)) {
+    return 'Steps must start between week 1 and week 104';
+  }
+  if (new Set(weeks).size !== weeks.length) return 'Two steps start in the same week';
+  if (!weeks.includes(0)) return 'The first step must start in week 1';
+
+  for (const step of template.steps) {
+    for (const period of GOAL_PERIOD_IDS) {
+      for (const value of Object.values(step.goals?.[period] || {})) {
+        const error = validateGoalValue(value, period);
+        if (error) return `Week ${step.week + 1}: ${error}`;
+      }
+    }
+  }
+  return null;
+};
+
+const goalTemplatesModule = {
+  transformGoalTemplate,
+  transformGoalTemplateToDatabase,
+  transformGoalAssignment,
+  transformGoalAssignmentToDatabase,
+  createTemplateStep,
+  compactTemplateStep,
+  getTemplateStep,
+  getPendingAssignments,
+  applyTemplateStep,
+  describeTemplateStep,
+  validateGoalTemplate,
+};
+
+export default goalTemplatesModule;
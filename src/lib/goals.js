@@ -0,0 +1,224 @@
+/**
+ * Goal Periods for Window Depot Tracker
+ * A goal is a target count per category for a period: a day, a store week or
+ * a calendar month. Daily goals live in users.goals ({ category: number }) as
+ * before; weekly and monthly goals live in users.period_goals
+ * ({ week: {...}, month: {...} }, see 018_period_goals.sql). Periods follow the
+ * store calendar in src/lib/dates.js, so a week starts on the store's
+ * configured week start day.
+ */
+
+import { getToday, addDays, getWeekStart, getWeekEnd, getMonthStart, eachDayInRange } from './dates';
+
+export const GOAL_PERIODS = [
+  { id: 'day', label: 'Daily', noun: 'day' },
+  { id: 'week', label: 'Weekly', noun: 'week' },
+  { id: 'month', label: 'Monthly', noun: 'month' },
+];
+
+export const GOAL_PERIOD_IDS = GOAL_PERIODS.map(p => p.id);
+
+/**
+ * Largest goal a user can set per category for each period
+ */
+export const MAX_GOAL = {
+  day: 1000,
+  week: 5000,
+  month: 20000,
+};
+
+/**
+ * Display info for a period id
+ * @param {string} period - 'day', 'week' or 'month'
+ * @returns {object}
+ */
+export const getGoalPeriod = (period) => GOAL_PERIODS.find(p => p.id === period) || GOAL_PERIODS[0];
+
+/**
+ * All of a user's goals by period
+ * @param {object} user - App-format user
+ * @returns {{day: object, week: object, month: object}}
+ */
+export const getUserGoals = (user) => ({
+  day: user?.goals || {},
+  week: user?.periodGoals?.week || {},
+  month: user?.periodGoals?.month || {},
+});
+
+/**
+ * Goals with a target above zero, as [category, target] pairs
+ * @param {object} goals - { category: number }
+ * @returns {Array}
+ */
+export const getSetGoals = (goals) =>
+  Object.entries(goals || {}).filter(([, target]) => Number(target) > 0);
+
+/**
+ * First day of the period that contains a date
+ * @param {string} period - 'day', 'week' or 'month'
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+export const getPeriodStart = (period, dateKey = getToday()) => {
+  if (period === 'week') return getWeekStart(dateKey);
+  if (period === 'month') return getMonthStart(dateKey);
+  return dateKey;
+};
+
+/**
+ * First and last day of the period that contains a date
+ * @param {string} period - 'day', 'week' or 'month'
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {{start: string, end: string}}
+ */
+export const getPeriodRange = (period, dateKey = getToday()) => {
+  if (period === 'week') return { start: getWeekStart(dateKey), end: getWeekEnd(dateKey) };
+  if (period === 'month') {
+    const start = getMonthStart(dateKey);
+    return { start, end: addDays(getMonthStart(addDays(start, 31)), -1) };
+  }
+  return { start: dateKey, end: dateKey };
+};
+
+const getPreviousPeriodStart = (period, start) => getPeriodStart(period, addDays(start, -1));
+
+/**
+ * A user's activity per category between two dates (inclusive)
+ * @param {object} dailyLogs - { date: { userId: { category: count } } }
+ * @param {string} userId - User ID
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {object} { category: count }
+ */
+export const sumUserCounts = (dailyLogs, userId, startDate, endDate) => {
+  const totals = {};
+  eachDayInRange(startDate, endDate).forEach(date => {
+    Object.entries(dailyLogs?.[date]?.[userId] || {}).forEach(([category, count]) => {
+      if (typeof count === 'number') totals[category] = (totals[category] || 0) + count;
+    });
+  });
+  return totals;
+};
+
+const goalsMet = (goals, counts) =>
+  goals.length > 0 && goals.every(([category, target]) => (counts[category] || 0) >= target);
+
+/**
+ * Progress towards a user's goals for the period containing a date
+ * @param {object} user - App-format user
+ * @param {object} dailyLogs - { date: { userId: { category: count } } }
+ * @param {string} period - 'day', 'week' or 'month'
+ * @param {Array} categories - App-format categories (for names and colors)
+ * @param {string} dateKey - YYYY-MM-DD (defaults to today)
+ * @returns {{period: string, start: string, end: string, items: Array, percent: number, met: boolean}}
+ */
+export const getGoalProgress = (user, dailyLogs, period, categories = [], dateKey = getToday()) => {
+  const { start, end } = getPeriodRange(period, dateKey);
+  const goals = getSetGoals(getUserGoals(user)[period]);
+  const counts = user ? sumUserCounts(dailyLogs, user.id, start, end) : {};
+
+  const items = goals.map(([category, target]) => {
+    const info = categories.find(c => c.id === category);
+    const count = counts[category] || 0;
+    return {
+      id: category,
+      name: info?.name || category,
+      color: info?.color,
+      count,
+      target,
+      percent: Math.min(100, Math.round((count / target) * 100)),
+    };
+  });
+
+  const targetTotal = items.reduce((sum, item) => sum + item.target, 0);
+  const doneTotal = items.reduce((sum, item) => sum + Math.min(item.count, item.target), 0);
+
+  return {
+    period,
+    start,
+    end,
+    items,
+    percent: targetTotal > 0 ? Math.round((doneTotal / targetTotal) * 100) : 0,
+    met: goalsMet(goals, counts),
+  };
+};
+
+/**
+ * Consecutive periods in which a user met all of their goals for that period
+ * The period in progress only extends the streak once its goals are met;
+ * until then the streak carries over from the previous period.
+ * @param {object} user - App-format user
+ * @param {object} dailyLogs - { date: { userId: { category: count } } }
+ * @param {string} period - 'day', 'week' or 'month'
+ * @param {string} dateKey - YYYY-MM-DD (defaults to today)
+ * @returns {{current: number, best: number}}
+ */
+export const calculatePeriodStreak = (user, dailyLogs, period, dateKey = getToday()) => {
+  const goals = getSetGoals(getUserGoals(user)[period]);
+  if (!user || !dailyLogs || goals.length === 0) return { current: 0, best: 0 };
+
+  const totalsByPeriod = {};
+  Object.keys(dailyLogs).forEach(date => {
+    const dayLogs = dailyLogs[date]?.[user.id];
+    if (!dayLogs || date > dateKey) return;
+    const start = getPeriodStart(period, date);
+    const totals = totalsByPeriod[start] || (totalsByPeriod[start] = {});
+    Object.entries(dayLogs).forEach(([category, count]) => {
+      if (typeof count === 'number') totals[category] = (totals[category] || 0) + count;
+    });
+  });
+
+  const starts = Object.keys(totalsByPeriod).sort();
+  if (starts.length === 0) return { current: 0, best: 0 };
+
+  // Met flags from the current period back to the first one with activity
+  const met = [];
+  for (let start = getPeriodStart(period, dateKey); start >= starts[0]; start = getPreviousPeriodStart(period, start)) {
+    met.push(goalsMet(goals, totalsByPeriod[start] || {}));
+  }
+
+  let current = 0;
+  for (let i = met[0] ? 0 : 1; i < met.length && met[i]; i++) current++;
+
+  let best = 0;
+  let run = 0;
+  met.forEach(isMet => {
+    run = isMet ? run + 1 : 0;
+    best = Math.max(best, run);
+  });
+
+  return { current, best };
+};
+
+/**
+ * Validate a goal value for a period
+ * @param {number|string} value - Goal value
+ * @param {string} period - 'day', 'week' or 'month'
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateGoalValue = (value, period = 'day') => {
+  const num = Number(value);
+  if (value === '' || value === null || value === undefined || isNaN(num)) return 'Must be a valid number';
+  if (!Number.isInteger(num)) return 'Must be a whole number';
+  if (num < 0) return 'Must be positive';
+  const max = MAX_GOAL[period] ?? MAX_GOAL.day;
+  if (num > max) return `Maximum ${getGoalPeriod(period).label.toLowerCase()} goal is ${max.toLocaleString()}`;
+  return null;
+};
+
+const goalsModule = {
+  GOAL_PERIODS,
+  GOAL_PERIOD_IDS,
+  MAX_GOAL,
+  getGoalPeriod,
+  getUserGoals,
+  getSetGoals,
+  getPeriodStart,
+  getPeriodRange,
+  sumUserCounts,
+  getGoalProgress,
+  calculatePeriodStreak,
+  validateGoalValue,
+};
+
+export default goalsModule;
@@ -0,0 +1,100 @@
+/**
+ * Notification Inbox for Window Depot Tracker
+ * The persisted notifications behind the bell in the header: mentions,
+ * comments and reactions on your posts, completed challenges, goal changes
+ * by a manager and actions the AI coach took for you. Rows are created by
+ * triggers on the server (supabase/migrations/025_notifications.sql), pulled
+ * by src/lib/sync.js and patched live by src/lib/realtime.js. Read state is
+ * read_at, written back through the sync queue so it follows the user
+ * across devices.
+ */
+
+// The newest notifications kept per user
+export const INBOX_LIMIT = 100;
+
+// Mirrors the type check in 025_notifications.sql
+export const NOTIFICATION_TYPES = {
+  mention: { label: 'Mention', icon: '@' },
+  comment: { label: 'Comment', icon: '💬' },
+  reaction: { label: 'Reaction', icon: '🔥' },
+  challenge: { label: 'Challenge', icon: '🏁' },
+  goal_change: { label: 'Goals', icon: '🎯' },
+  ai_action: { label: 'AI Coach', icon: '🤖' },
+};
+
+/**
+ * Transform a notification from Supabase format (snake_case) to app format (camelCase)
+ * @param {object} row - Row from notifications
+ * @returns {object}
+ */
+export const transformNotification = (row) => ({
+  id: row.id,
+  userId: row.user_id,
+  type: row.type,
+  title: row.title,
+  body: row.body || '',
+  actorId: row.actor_id || null,
+  entityType: row.entity_type || null,
+  entityId: row.entity_id || null,
+  view: row.view || null,
+  readAt: row.read_at || null,
+  createdAt: row.created_at,
+});
+
+/**
+ * A user's notifications, newest first
+ * @param {Array} notifications - App-format notifications (may include other users' on shared devices)
+ * @param {string} userId - Signed-in user
+ * @returns {Array}
+ */
+export const getUserNotifications = (notifications, userId) =>
+  (notifications || [])
+    .filter(notification => notification.userId === userId)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .slice(0, INBOX_LIMIT);
+
+/**
+ * Number of unread notifications
+ * @param {Array} notifications - A user's notifications
+ * @returns {number}
+ */
+export const countUnread = (notifications) =>
+  (notifications || []).filter(notification => !notification.readAt).length;
+
+/**
+ * Mark notifications read
+ * @param {Array} notifications - App-format notifications
+ * @param {Array<string>} ids - Notifications to mark
+ * @param {string} readAt - ISO timestamp
+ * @returns {Array} Updated notifications
+ */
+export const markNotificationsRead = (notifications, ids, readAt = new Date().toISOString()) =>
+  notifications.map(notification => (
+    ids.includes(notification.id) && !notification.readAt ? { ...notification, readAt } : notification
+  ));
+
+/**
+ * Sync queue operations that mark notifications read on the server
+ * @param {Array<string>} ids - Notifications to mark
+ * @param {string} readAt - ISO timestamp
+ * @returns {Array} Operations for queueSyncOperation
+ */
+export const toMarkReadOperations = (ids, readAt) =>
+  ids.map(id => ({
+    type: 'update',
+    table: 'notifications',
+    id,
+    data: { read_at: readAt },
+  }));
+
+const inboxModule = {
+  INBOX_LIMIT,
+  NOTIFICATION_TYPES,
+  transformNotification,
+  getUserNotifications,
+  countUnread,
+  markNotificationsRead,
+  toMarkReadOperations,
+};
+
+export default inboxModule;
@@ -0,0 +1,356 @@
+/**
+ * Notifications for Window Depot Tracker
+ * Delivers the alerts and reminders configured in Settings → Notifications
+ * (appSettings.notifications). While the app is on screen they show as
+ * toasts; otherwise as system notifications through the Notifications API,
+ * via the service worker when there is one (Android requires it).
+ *
+ * Reminders fire at their configured time (store timezone) while the app is
+ * open or in the background. Alerts for likes, comments, team posts and
+ * leaderboard drops are found by comparing app state before and after a
+ * change (realtime or sync), so they work for any source of the change.
+ */
+
+import storage from '../storage';
+import { getToday, getWeekStart, toStoreTime } from './dates';
+import { getGoalProgress } from './goals';
+import { sumCategoryCounts } from './categories';
+
+// Views a notification can open (?view=... when the app is not running)
+export const NOTIFICATION_VIEWS = ['dashboard', 'feed', 'leaderboard', 'challenges'];
+
+export const REMINDERS = [
+  { id: 'goal', enabledKey: 'goalReminders', timeKey: 'goalReminderTime', defaultTime: '09:00' },
+  { id: 'endOfDay', enabledKey: 'endOfDayReminder', timeKey: 'endOfDayReminderTime', defaultTime: '18:00' },
+];
+
+// Days each reminder was last sent, so it fires once a day across reloads
+const REMINDER_STATE_KEY = 'notificationReminders';
+const REMINDER_CHECK_MS = 60 * 1000;
+// A reminder missed by more than this (device asleep) is skipped for the day
+const REMINDER_GRACE_MINUTES = 30;
+
+const clickListeners = new Set();
+
+const handleClick = (data) => clickListeners.forEach(listener => listener(data || {}));
+
+// Clicks on notifications shown by the service worker come back as messages
+if (typeof navigator !== 'undefined' && navigator.serviceWorker) {
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data?.type === 'NOTIFICATION_CLICK') handleClick(event.data.data);
+  });
+}
+
+/**
+ * Whether this browser supports system notifications
+ * @returns {boolean}
+ */
+export const isNotificationSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+/**
+ * Current permission for system notifications
+ * @returns {string} 'granted', 'denied', 'default' or 'unsupported'
+ */
+export const getNotificationPermission = () =>
+  (isNotificationSupported() ? Notification.permission : 'unsupported');
+
+/**
+ * Ask for permission to show system notifications
+ * @returns {Promise<string>} The resulting permission
+ */
+export const requestNotificationPermission = async () => {
+  if (!isNotificationSupported()) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  try {
+    return await Notification.requestPermission();
+  } catch (error) {
+    console.error('Notification permission request failed:', error);
+    return Notification.permission;
+  }
+};
+
+/**
+ * Call a listener when the user clicks a notification
+ * @param {Function} listener - Receives the notification's data, e.g. { view: 'feed' }
+ * @returns {Function} Unsubscribe
+ */
+export const onNotificationClick = (listener) => {
+  clickListeners.add(listener);
+  return () => clickListeners.delete(listener);
+};
+
+/**
+ * Show a system notification, if permission was granted
+ * @param {object} notification
+ * @param {string} notification.title - Title
+ * @param {string} notification.body - Text
+ * @param {string} notification.tag - Replaces an earlier notification with the same tag
+ * @param {string} notification.view - View to open when clicked
+ * @returns {Promise<boolean>} Whether it was shown
+ */
+export const showSystemNotification = async ({ title, body, tag, view }) => {
+  if (getNotificationPermission() !== 'granted') return false;
+
+  const options = {
+    body,
+    tag,
+    icon: `${process.env.PUBLIC_URL}/logo192.png`,
+    badge: `${process.env.PUBLIC_URL}/logo192.png`,
+    data: { view },
+  };
+
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration?.active) {
+      await registration.showNotification(title, options);
+      return true;
+    }
+    const notification = new Notification(title, options);
+    notification.onclick = () => {
+      window.focus();
+      handleClick(options.data);
+      notification.close();
+    };
+    return true;
+  } catch (error) {
+    console.error('Failed to show notification:', error);
+    return false;
+  }
+};
+
+/**
+ * Show a notification as a toast while the app is on screen, otherwise as a
+ * system notification (falling back to the toast without permission)
+ * @param {object} notification - See showSystemNotification
+ * @param {Function} showInApp - Shows it inside the app, e.g. as a toast
+ * @returns {Promise<void>}
+ */
+export const deliverNotification = async (notification, showInApp) => {
+  if (document.visibilityState === 'visible') {
+    showInApp?.(notification);
+    return;
+  }
+  const shown = await showSystemNotification(notification);
+  if (!shown) showInApp?.(notification);
+};
+
+// ========================================
+// REMINDERS
+// ========================================
+
+const minutesOf = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Reminder text for today's goal progress, or null if there is nothing to remind about
+ * @param {string} reminderId - 'goal' or 'endOfDay'
+ * @param {object} user - App-format user
+ * @param {object} dailyLogs - { date: { userId: { category: count } } }
+ * @param {Array} categories - App-format categories
+ * @returns {object|null} Notification
+ */
+export const buildReminder = (reminderId, user, dailyLogs, categories) => {
+  const progress = getGoalProgress(user, dailyLogs, 'day', categories);
+  if (progress.items.length === 0 || progress.met) return null;
+
+  const remaining = progress.items
+    .filter(item => item.count < item.target)
+    .map(item => `${item.target - item.count} ${item.name.toLowerCase()}`)
+    .join(', ');
+
+  return reminderId === 'endOfDay'
+    ? {
+      title: 'Day is almost over',
+      body: `You're at ${progress.percent}% of today's goals. Still to go: ${remaining}.`,
+      tag: 'reminder-endOfDay',
+      view: 'dashboard',
+    }
+    : {
+      title: "Today's goals",
+      body: `Still to go today: ${remaining}. You've got this!`,
+      tag: 'reminder-goal',
+      view: 'dashboard',
+    };
+};
+
+/**
+ * Check every minute whether a reminder is due and deliver it once a day
+ * @param {object} options
+ * @param {Function} options.getContext - Returns { settings, user, dailyLogs, categories } as of now
+ * @param {Function} options.deliver - Delivers a notification
+ * @returns {Function} Stops the reminders
+ */
+export const scheduleReminders = ({ getContext, deliver }) => {
+  let isChecking = false;
+
+  const check = async () => {
+    if (isChecking) return;
+    isChecking = true;
+    try {
+      const { settings, user, dailyLogs, categories } = getContext();
+      if (!user) return;
+
+      const today = getToday();
+      const now = minutesOf(toStoreTime());
+      const sent = (await storage.get(REMINDER_STATE_KEY, {})) || {};
+      const key = (reminder) => `${user.id}:${reminder.id}`;
+
+      const due = REMINDERS.filter(reminder => {
+        if (!settings?.[reminder.enabledKey] || sent[key(reminder)] === today) return false;
+        const at = minutesOf(settings[reminder.timeKey] || reminder.defaultTime);
+        return now >= at && now - at <= REMINDER_GRACE_MINUTES;
+      });
+      if (due.length === 0) return;
+
+      due.forEach(reminder => {
+        sent[key(reminder)] = today;
+      });
+      await storage.set(REMINDER_STATE_KEY, sent);
+
+      for (const reminder of due) {
+        const notification = buildReminder(reminder.id, user, dailyLogs, categories);
+        if (notification) await deliver(notification);
+      }
+    } catch (error) {
+      console.error('Reminder check failed:', error);
+    } finally {
+      isChecking = false;
+    }
+  };
+
+  check();
+  const interval = setInterval(check, REMINDER_CHECK_MS);
+  return () => clearInterval(interval);
+};
+
+// ========================================
+// ALERTS FROM STATE CHANGES
+// ========================================
+
+/**
+ * Likes and comments on a user's posts, and posts by teammates, that are in
+ * the new feed but not the old one
+ * @param {Array} previousFeed - Feed before the change
+ * @param {Array} feed - Feed after the change
+ * @param {string} userId - Current user ID
+ * @param {object} settings - appSettings.notifications
+ * @param {Function} getUserName - User ID to display name
+ * @returns {Array} Notifications
+ */
+export const detectFeedNotifications = (previousFeed, feed, userId, settings, getUserName) => {
+  const previousById = new Map(previousFeed.map(post => [post.id, post]));
+  const notifications = [];
+
+  feed.forEach(post => {
+    const previous = previousById.get(post.id);
+
+    if (!previous) {
+      // Own posts (including the server copy of one made offline) are not news
+      const isOwn = post.userId === userId;
+      if (!isOwn && settings?.teamActivityAlerts) {
+        notifications.push({
+          title: `${post.userName || getUserName(post.userId) || 'A teammate'} posted`,
+          body: String(post.content || '').slice(0, 120),
+          tag: `post-${post.id}`,
+          view: 'feed',
+        });
+      }
+      return;
+    }
+
+    if (post.userId !== userId || !settings?.likeNotifications) return;
+
+    const newLikes = (post.likes || []).filter(liker => liker !== userId && !(previous.likes || []).includes(liker));
+    if (newLikes.length > 0) {
+      const names = newLikes.map(liker => getUserName(liker) || 'Someone');
+      notifications.push({
+        title: names.length === 1 ? `${names[0]} liked your post` : `${names.length} people liked your post`,
+        body: String(post.content || '').slice(0, 120),
+        tag: `likes-${post.id}`,
+        view: 'feed',
+      });
+    }
+
+    const previousCommentIds = new Set((previous.comments || []).map(comment => comment.id));
+    (post.comments || [])
+      .filter(comment => comment.userId !== userId && !previousCommentIds.has(comment.id))
+      .forEach(comment => {
+        notifications.push({
+          title: `${comment.userName || getUserName(comment.userId) || 'Someone'} commented on your post`,
+          body: String(comment.content || '').slice(0, 120),
+          tag: `comment-${comment.id}`,
+          view: 'feed',
+        });
+      });
+  });
+
+  return notifications;
+};
+
+/**
+ * A user's place on this week's leaderboard (activity total, as on the
+ * Leaderboard's default view)
+ * @param {Array} users - App-format users
+ * @param {object} dailyLogs - { date: { userId: { category: count } } }
+ * @param {string} userId - User to rank
+ * @returns {{weekStart: string, rank: number, ahead: object|null}} rank is 0 if not ranked
+ */
+export const getWeeklyRank = (users, dailyLogs, userId) => {
+  const weekStart = getWeekStart();
+  const totals = users
+    .filter(user => !user.archived)
+    .map(user => ({
+      user,
+      total: Object.entries(dailyLogs || {})
+        .filter(([date]) => date >= weekStart)
+        .reduce((sum, [, usersData]) => sum + sumCategoryCounts(usersData[user.id]), 0),
+    }))
+    .sort((a, b) => b.total - a.total);
+
+  const index = totals.findIndex(entry => entry.user.id === userId);
+  return {
+    weekStart,
+    rank: index + 1,
+    ahead: index > 0 ? totals[index - 1].user : null,
+  };
+};
+
+/**
+ * Alert when the user drops down this week's leaderboard
+ * @param {object} previous - getWeeklyRank() before the change
+ * @param {object} current - getWeeklyRank() after the change
+ * @returns {object|null} Notification
+ */
+export const detectRankDrop = (previous, current) => {
+  if (!previous?.rank || !current?.rank) return null;
+  if (previous.weekStart !== current.weekStart || current.rank <= previous.rank) return null;
+
+  return {
+    title: `You dropped to #${current.rank} this week`,
+    body: current.ahead
+      ? `${current.ahead.name} moved ahead of you. Time to catch up!`
+      : 'Someone moved ahead of you on the leaderboard.',
+    tag: 'leaderboard-rank',
+    view: 'leaderboard',
+  };
+};
+
+const notificationsModule = {
+  NOTIFICATION_VIEWS,
+  REMINDERS,
+  isNotificationSupported,
+  getNotificationPermission,
+  requestNotificationPermission,
+  onNotificationClick,
+  showSystemNotification,
+  deliverNotification,
+  buildReminder,
+  scheduleReminders,
+  detectFeedNotifications,
+  getWeeklyRank,
+  detectRankDrop,
+};
+
+export default notificationsModule;
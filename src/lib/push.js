@@ -0,0 +1,163 @@
+/**
+ * Web Push for Window Depot Tracker
+ * Subscribes this device to push notifications for team events, so
+ * announcements and new challenges reach it with the app closed. The
+ * subscription is stored in push_subscriptions (024_push_subscriptions.sql)
+ * with the events this device muted; the push-dispatcher edge function sends
+ * them and src/service-worker.js shows them.
+ *
+ * Needs REACT_APP_VAPID_PUBLIC_KEY (the public half of the edge function's
+ * VAPID keys) and a registered service worker, i.e. a production build.
+ */
+
+import { supabase, isSupabaseConfigured } from './supabase';
+import { WEBHOOK_EVENTS } from './webhooks';
+import { requestNotificationPermission } from './notifications';
+
+const VAPID_PUBLIC_KEY = process.env.REACT_APP_VAPID_PUBLIC_KEY || '';
+
+// Team events a device can opt out of (Settings → Notifications)
+export const PUSH_EVENTS = [
+  {
+    type: WEBHOOK_EVENTS.ANNOUNCEMENT_CREATED,
+    label: 'Team Announcements',
+    description: 'When a manager posts an announcement',
+  },
+  {
+    type: WEBHOOK_EVENTS.CHALLENGE_CREATED,
+    label: 'New Challenges',
+    description: 'When a challenge you are part of launches',
+  },
+];
+
+// The VAPID key is base64url; pushManager.subscribe wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+};
+
+/**
+ * Whether this browser and build can receive push notifications
+ * @returns {boolean}
+ */
+export const isPushSupported = () =>
+  isSupabaseConfigured &&
+  Boolean(VAPID_PUBLIC_KEY) &&
+  typeof navigator !== 'undefined' &&
+  'serviceWorker' in navigator &&
+  typeof window !== 'undefined' &&
+  'PushManager' in window;
+
+const getRegistration = async () => {
+  if (!isPushSupported()) return null;
+  return (await navigator.serviceWorker.getRegistration()) || null;
+};
+
+/**
+ * This device's push subscription, if it has one
+ * @returns {Promise<PushSubscription|null>}
+ */
+export const getPushSubscription = async () => {
+  try {
+    const registration = await getRegistration();
+    return registration ? await registration.pushManager.getSubscription() : null;
+  } catch (error) {
+    console.error('Failed to read push subscription:', error);
+    return null;
+  }
+};
+
+// Store the subscription for the signed-in user
+const saveSubscription = async (subscription, mutedEvents) => {
+  const { endpoint, keys } = subscription.toJSON();
+  const { error } = await supabase.rpc('save_push_subscription', {
+    p_endpoint: endpoint,
+    p_p256dh: keys.p256dh,
+    p_auth: keys.auth,
+    p_muted_events: mutedEvents || [],
+    p_user_agent: navigator.userAgent.slice(0, 200),
+  });
+  if (error) throw error;
+};
+
+/**
+ * Turn on push notifications for this device
+ * @param {Array<string>} mutedEvents - Event types not to receive
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const enablePush = async (mutedEvents = []) => {
+  const registration = await getRegistration();
+  if (!registration) {
+    return { success: false, error: 'Push notifications need the installed app or a browser that supports them.' };
+  }
+
+  const permission = await requestNotificationPermission();
+  if (permission !== 'granted') {
+    return { success: false, error: 'Notifications are blocked. Allow them in your browser settings.' };
+  }
+
+  try {
+    const subscription = (await registration.pushManager.getSubscription()) ||
+      await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(VAPID_PUBLIC_KEY),
+      });
+    await saveSubscription(subscription, mutedEvents);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to enable push notifications:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Turn off push notifications for this device
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const disablePush = async () => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return { success: true };
+
+  try {
+    const { endpoint } = subscription;
+    await subscription.unsubscribe();
+    const { error } = await supabase.from('push_subscriptions').delete().eq('endpoint', endpoint);
+    if (error) throw error;
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to disable push notifications:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Re-save this device's subscription, if it has one, for the signed-in user
+ * and their current opt-outs. Call after signing in and after the muted
+ * events change.
+ * @param {Array<string>} mutedEvents - Event types not to receive
+ * @returns {Promise<boolean>} Whether there was a subscription to save
+ */
+export const syncPushSubscription = async (mutedEvents = []) => {
+  const subscription = await getPushSubscription();
+  if (!subscription) return false;
+  try {
+    await saveSubscription(subscription, mutedEvents);
+    return true;
+  } catch (error) {
+    console.error('Failed to update push subscription:', error);
+    return false;
+  }
+};
+
+const pushModule = {
+  PUSH_EVENTS,
+  isPushSupported,
+  getPushSubscription,
+  enablePush,
+  disablePush,
+  syncPushSubscription,
+};
+
+export default pushModule;
@@ -0,0 +1,384 @@
+/**
+ * Realtime Row Changes
+ * Applies INSERT/UPDATE/DELETE payloads from Supabase Realtime to app state
+ * and IndexedDB one row at a time, instead of re-pulling whole tables, so
+ * the leaderboard and feed keep up during busy periods. If the channel
+ * drops, it reconnects with backoff and asks the app to backfill whatever
+ * changed while it was down (a delta sync, see src/lib/sync.js).
+ *
+ * DELETE payloads (and the old emoji of a reaction) need the full old row,
+ * which 023_realtime_replica_identity.sql turns on.
+ */
+
+import { supabase } from './supabase';
+import storage from '../storage';
+import {
+  transformAppointment,
+  transformChallenge,
+  transformUserChallenge,
+  getPendingActivityDelta,
+} from './sync';
+import { INBOX_LIMIT, transformNotification } from './inbox';
+import { transformCustomer } from './customers';
+import { transformDeal } from './deals';
+import { transformTask } from './tasks';
+
+// Tables patched row by row
+export const REALTIME_TABLES = [
+  'daily_logs',
+  'feed_posts',
+  'feed_reactions',
+  'appointments',
+  'challenges',
+  'user_challenges',
+  'notifications',
+  'customers',
+  'deals',
+  'tasks',
+];
+
+const LIKE_EMOJI = '👍';
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+// Entries created offline until the server copy arrives
+const isLocalId = (id) => typeof id === 'string' && (id.startsWith('temp_') || id.startsWith('local_'));
+
+// ========================================
+// STATE PATCHES
+// ========================================
+
+/**
+ * Apply a daily_logs change: { date: { userId: { category: count } } }
+ * Activity this device has not synced yet stays on top of the server count.
+ * @param {object} dailyLogs - Current daily logs
+ * @param {object} payload - Realtime payload
+ * @returns {object} Updated daily logs (the same object if nothing changed)
+ */
+export const patchDailyLogs = (dailyLogs, { eventType, new: row, old }) => {
+  const log = eventType === 'DELETE' ? old : row;
+  if (!log?.date || !log.user_id || !log.category) return dailyLogs;
+
+  const serverCount = eventType === 'DELETE' ? 0 : (row.count || 0);
+  const count = Math.max(0, serverCount + getPendingActivityDelta(log.date, log.user_id, log.category));
+  const dayLogs = dailyLogs?.[log.date] || {};
+  const userLogs = dayLogs[log.user_id] || {};
+  if (userLogs[log.category] === count) return dailyLogs;
+
+  return {
+    ...dailyLogs,
+    [log.date]: {
+      ...dayLogs,
+      [log.user_id]: { ...userLogs, [log.category]: count },
+    },
+  };
+};
+
+/**
+ * Apply a feed_posts change, keeping the post's likes and comments
+ * @param {Array} feed - Current feed, newest first
+ * @param {object} payload - Realtime payload
+ * @param {Function} getUserName - User ID to display name
+ * @returns {Array} Updated feed
+ */
+export const patchFeedPosts = (feed, { eventType, new: row, old }, getUserName) => {
+  if (eventType === 'DELETE') {
+    return old?.id ? feed.filter(post => post.id !== old.id) : feed;
+  }
+
+  const existing = feed.find(post => post.id === row.id);
+  const post = {
+    ...existing,
+    id: row.id,
+    userId: row.user_id,
+    userName: getUserName(row.user_id) || existing?.userName || 'Unknown',
+    content: row.content,
+    timestamp: new Date(row.created_at).getTime(),
+    likes: existing?.likes || [],
+    comments: existing?.comments || [],
+    isAuto: row.type === 'auto',
+  };
+  if (existing) {
+    return feed.map(item => (item.id === row.id ? post : item));
+  }
+
+  // Replace the copy this device posted offline
+  const others = feed.filter(item =>
+    !(isLocalId(item.id) && item.userId === row.user_id && item.content === row.content)
+  );
+  return [post, ...others];
+};
+
+/**
+ * Apply a feed_reactions change to the likes (👍 reactions) of its post
+ * @param {Array} feed - Current feed
+ * @param {object} payload - Realtime payload
+ * @returns {Array} Updated feed
+ */
+export const patchFeedReactions = (feed, { eventType, new: row, old }) => {
+  const reaction = eventType === 'DELETE' ? old : row;
+  if (!reaction?.post_id || ![row?.emoji, old?.emoji].includes(LIKE_EMOJI)) return feed;
+
+  const liked = eventType !== 'DELETE' && row.emoji === LIKE_EMOJI;
+  return feed.map(post => {
+    if (post.id !== reaction.post_id) return post;
+    const likes = (post.likes || []).filter(userId => userId !== reaction.user_id);
+    return { ...post, likes: liked ? [...likes, reaction.user_id] : likes };
+  });
+};
+
+/**
+ * Apply a change to a list of rows in app format
+ * @param {Array} rows - Current rows
+ * @param {object} payload - Realtime payload
+ * @param {Function} transform - Supabase row to app format
+ * @param {Function} keep - Whether the changed row belongs in the list
+ * @returns {Array} Updated rows
+ */
+export const patchRows = (rows, { eventType, new: row, old }, transform, keep = () => true) => {
+  if (eventType === 'DELETE') {
+    return old?.id ? rows.filter(item => item.id !== old.id) : rows;
+  }
+
+  const item = transform(row);
+  if (!keep(item)) return rows.filter(existing => existing.id !== item.id);
+  return rows.some(existing => existing.id === item.id)
+    ? rows.map(existing => (existing.id === item.id ? item : existing))
+    : [item, ...rows];
+};
+
+// Apply a change to appointments, replacing the copy created offline
+export const patchAppointments = (appointments, payload) => {
+  const { eventType, new: row } = payload;
+  const pending = eventType === 'INSERT'
+    ? appointments.filter(apt => !(isLocalId(apt.id) &&
+        apt.userId === row.user_id && apt.customerName === row.customer_name && apt.date === row.date))
+    : appointments;
+  return patchRows(pending, payload, transformAppointment);
+};
+
+// Apply a change to the active challenges; deactivated ones drop out
+export const patchChallenges = (challenges, payload) =>
+  patchRows(challenges, payload, transformChallenge, challenge => challenge.isActive);
+
+// Apply a change to users' challenge progress
+export const patchUserChallenges = (userChallenges, payload) =>
+  patchRows(userChallenges, payload, transformUserChallenge);
+
+// Apply a change to the inbox (only the user's own rows arrive), newest first
+export const patchNotifications = (notifications, payload) =>
+  patchRows(notifications, payload, transformNotification)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .slice(0, INBOX_LIMIT);
+
+// Apply a change to the customer list, kept in name order
+export const patchCustomers = (customers, payload) =>
+  patchRows(customers, payload, transformCustomer)
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+
+// Apply a change to the pipeline, most recently updated first
+export const patchDeals = (deals, payload) =>
+  patchRows(deals, payload, transformDeal)
+    .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+
+// Apply a change to the follow-up tasks, soonest due first, replacing the
+// copy added here when its appointment changed (src/lib/tasks.js)
+export const patchTasks = (tasks, payload) => {
+  const { eventType, new: row } = payload;
+  const pending = eventType === 'INSERT'
+    ? tasks.filter(task => !(isLocalId(task.id) && task.appointmentId === row.appointment_id))
+    : tasks;
+  return patchRows(pending, payload, transformTask)
+    .sort((a, b) => String(a.dueDate).localeCompare(String(b.dueDate)));
+};
+
+// ========================================
+// INDEXEDDB
+// ========================================
+
+// Writes run one at a time so quick changes to the same entry are not lost
+let writeChain = Promise.resolve();
+
+// Put what changed between two lists and remove what disappeared
+const writeListChange = async (store, before, after) => {
+  const afterIds = new Set(after.map(item => item.id));
+  const removed = before.filter(item => !afterIds.has(item.id)).map(item => item.id);
+  const changed = after.filter(item => !before.includes(item));
+  if (removed.length > 0) await store.remove(...removed);
+  if (changed.length > 0) await store.put(changed);
+};
+
+const writeRowChange = async (table, payload, getUserName) => {
+  const { eventType, new: row, old } = payload;
+  const changed = eventType === 'DELETE' ? old : row;
+
+  switch (table) {
+    case 'daily_logs': {
+      if (!changed?.date || !changed.user_id) return;
+      const dayLogs = await storage.dailyLogs.query({ userId: changed.user_id, from: changed.date, to: changed.date });
+      const patched = patchDailyLogs(dayLogs, payload);
+      if (patched !== dayLogs) await storage.dailyLogs.put(patched);
+      return;
+    }
+    case 'feed_posts': {
+      if (eventType === 'DELETE') {
+        if (old?.id) await storage.feed.remove(old.id);
+        return;
+      }
+      const posts = await storage.feed.query({ userId: row.user_id });
+      await writeListChange(storage.feed, posts, patchFeedPosts(posts, payload, getUserName));
+      return;
+    }
+    case 'feed_reactions': {
+      const post = changed?.post_id && await storage.feed.get(changed.post_id);
+      if (!post) return;
+      const [patched] = patchFeedReactions([post], payload);
+      if (patched !== post) await storage.feed.put([patched]);
+      return;
+    }
+    case 'appointments': {
+      if (eventType === 'DELETE') {
+        if (old?.id) await storage.appointments.remove(old.id);
+        return;
+      }
+      const appointments = await storage.appointments.query({ userId: row.user_id });
+      await writeListChange(storage.appointments, appointments, patchAppointments(appointments, payload));
+      return;
+    }
+    case 'challenges': {
+      const challenges = await storage.get('challenges', []);
+      await storage.set('challenges', patchChallenges(challenges, payload));
+      return;
+    }
+    case 'user_challenges': {
+      const userChallenges = await storage.get('userChallenges', []);
+      await storage.set('userChallenges', patchUserChallenges(userChallenges, payload));
+      return;
+    }
+    case 'notifications': {
+      const notifications = await storage.get('notifications', []);
+      await storage.set('notifications', patchNotifications(notifications, payload));
+      return;
+    }
+    case 'customers': {
+      const customers = await storage.get('customers', []);
+      await storage.set('customers', patchCustomers(customers, payload));
+      return;
+    }
+    case 'deals': {
+      const deals = await storage.get('deals', []);
+      await storage.set('deals', patchDeals(deals, payload));
+      return;
+    }
+    case 'tasks': {
+      const tasks = await storage.get('tasks', []);
+      await storage.set('tasks', patchTasks(tasks, payload));
+      return;
+    }
+    default:
+  }
+};
+
+/**
+ * Write a realtime change to IndexedDB
+ * @param {string} table - One of REALTIME_TABLES
+ * @param {object} payload - Realtime payload
+ * @param {Function} getUserName - User ID to display name
+ * @returns {Promise<void>}
+ */
+export const persistRowChange = (table, payload, getUserName = () => null) => {
+  writeChain = writeChain
+    .then(() => writeRowChange(table, payload, getUserName))
+    .catch(error => console.error(`Failed to store realtime ${table} change:`, error));
+  return writeChain;
+};
+
+// ========================================
+// SUBSCRIPTION
+// ========================================
+
+/**
+ * Subscribe to row changes on REALTIME_TABLES, reconnecting when the channel drops
+ * @param {object} handlers
+ * @param {Function} handlers.onChange - Called with (table, payload) for each change
+ * @param {Function} handlers.onBackfill - Called after reconnecting, to fetch what was missed
+ * @param {boolean} handlers.backfillOnSubscribe - Also backfill on the first connection
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToRowChanges = ({ onChange, onBackfill, backfillOnSubscribe = false }) => {
+  let channel = null;
+  let retryTimer = null;
+  let attempts = 0;
+  let needsBackfill = backfillOnSubscribe;
+  let isClosed = false;
+
+  const connect = () => {
+    const current = REALTIME_TABLES.reduce(
+      (subscription, table) => subscription.on('postgres_changes',
+        { event: '*', schema: 'public', table },
+        (payload) => onChange(table, payload)
+      ),
+      supabase.channel('row_changes')
+    );
+    channel = current;
+
+    current.subscribe((status, err) => {
+      // Ignore the old channel closing after a reconnect or unsubscribe
+      if (isClosed || channel !== current) return;
+
+      if (status === 'SUBSCRIBED') {
+        console.log('✅ Realtime row changes subscription active');
+        attempts = 0;
+        if (needsBackfill) {
+          needsBackfill = false;
+          Promise.resolve(onBackfill?.()).catch(error => console.error('Realtime backfill failed:', error));
+        }
+      } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+        console.error(`❌ Realtime row changes subscription ${status}:`, err);
+        needsBackfill = true;
+        scheduleReconnect();
+      }
+    });
+  };
+
+  const scheduleReconnect = () => {
+    if (retryTimer || isClosed) return;
+    const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempts);
+    attempts += 1;
+    retryTimer = setTimeout(async () => {
+      retryTimer = null;
+      const dropped = channel;
+      channel = null;
+      if (dropped) await supabase.removeChannel(dropped);
+      if (!isClosed) connect();
+    }, delay);
+  };
+
+  connect();
+
+  return () => {
+    isClosed = true;
+    clearTimeout(retryTimer);
+    if (channel) supabase.removeChannel(channel);
+    channel = null;
+  };
+};
+
+const realtimeModule = {
+  REALTIME_TABLES,
+  patchDailyLogs,
+  patchFeedPosts,
+  patchFeedReactions,
+  patchRows,
+  patchAppointments,
+  patchChallenges,
+  patchUserChallenges,
+  patchNotifications,
+  patchCustomers,
+  patchDeals,
+  patchTasks,
+  persistRowChange,
+  subscribeToRowChanges,
+};
+
+export default realtimeModule;
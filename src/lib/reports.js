@@ -0,0 +1,224 @@
+/**
+ * Spreadsheet Reports for Window Depot Tracker
+ * Tables for payroll and commission: activity per user per day, the
+ * appointment list, goal attainment and deals over a date range, exported as CSV
+ * (one table) or as an Excel workbook (one sheet per table). Used by the
+ * Reports and History views and by the generateReport AI tool.
+ */
+
+import { eachDayInRange, daysBetween } from './dates';
+import { getUserGoals, getSetGoals, sumUserCounts } from './goals';
+import { toCsv, toXlsx } from './spreadsheet';
+import { isClosedDeal, getDealProbability } from './deals';
+
+export const REPORT_FORMATS = ['csv', 'xlsx'];
+
+export const REPORT_DATASETS = [
+  { id: 'activity', label: 'Activity', sheet: 'Activity by Day' },
+  { id: 'appointments', label: 'Appointments', sheet: 'Appointments' },
+  { id: 'goals', label: 'Goal Attainment', sheet: 'Goal Attainment' },
+  { id: 'deals', label: 'Deals', sheet: 'Deals' },
+];
+
+export const REPORT_DATASET_IDS = REPORT_DATASETS.map(d => d.id);
+
+// 'no_show' → 'No show'
+const toLabel = (id) => {
+  const text = String(id).replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+const percent = (count, target) => (target > 0 ? Math.round((count / target) * 100) : '');
+
+const byName = (a, b) => (a.name || '').localeCompare(b.name || '');
+
+// Active categories, plus inactive ones still logged in the range
+const getReportCategories = (categories, dailyLogs, users, startDate, endDate) =>
+  categories.filter(c => c.active !== false || eachDayInRange(startDate, endDate).some(date =>
+    users.some(user => dailyLogs?.[date]?.[user.id]?.[c.id] > 0)
+  ));
+
+/**
+ * Activity per user per day, one row for every day in the range
+ * @param {object} options - { startDate, endDate, users, dailyLogs, categories }
+ * @returns {Array<Array>} Header row first
+ */
+export const buildActivityRows = ({ startDate, endDate, users, dailyLogs, categories: allCategories }) => {
+  const categories = getReportCategories(allCategories, dailyLogs, users, startDate, endDate);
+  const rows = [['Date', 'User', ...categories.map(c => c.name), 'Total', 'Daily Goals Met']];
+  const sortedUsers = [...users].sort(byName);
+
+  eachDayInRange(startDate, endDate).forEach(date => {
+    sortedUsers.forEach(user => {
+      const counts = dailyLogs?.[date]?.[user.id] || {};
+      const values = categories.map(c => counts[c.id] || 0);
+      const goals = getSetGoals(getUserGoals(user).day);
+      const met = goals.length === 0
+        ? ''
+        : goals.every(([category, target]) => (counts[category] || 0) >= target) ? 'Yes' : 'No';
+      rows.push([date, user.name, ...values, values.reduce((sum, n) => sum + n, 0), met]);
+    });
+  });
+
+  return rows;
+};
+
+/**
+ * Appointments in the range, by date and time
+ * @param {object} options - { startDate, endDate, users, appointments, products }
+ *   products is an optional [{ id, label }] list for product names
+ * @returns {Array<Array>} Header row first
+ */
+export const buildAppointmentRows = ({ startDate, endDate, users, appointments, products = [] }) => {
+  const rows = [['Date', 'Time', 'User', 'Customer', 'Products', 'Status', 'Outcome', 'Counts as Demo', 'Notes', 'Booked At']];
+  const names = new Map(users.map(u => [u.id, u.name]));
+  const productLabel = (id) => products.find(p => p.id === id)?.label || toLabel(id);
+
+  (appointments || [])
+    .filter(a => names.has(a.userId) && a.date >= startDate && a.date <= endDate)
+    .sort((a, b) => `${a.date} ${a.time || ''}`.localeCompare(`${b.date} ${b.time || ''}`))
+    .forEach(a => {
+      rows.push([
+        a.date,
+        a.time || '',
+        names.get(a.userId) || a.userName || '',
+        a.customerName || '',
+        (a.products || []).map(productLabel).join('; '),
+        a.status ? toLabel(a.status) : '',
+        a.outcome ? toLabel(a.outcome) : '',
+        a.countsAsDemo === false ? 'No' : 'Yes',
+        a.notes || '',
+        a.timestamp ? new Date(a.timestamp).toISOString() : '',
+      ]);
+    });
+
+  return rows;
+};
+
+/**
+ * Each user's activity against their daily goals for every day in the range
+ * Attainment is not capped at 100%, so beating a goal shows as more.
+ * @param {object} options - { startDate, endDate, users, dailyLogs, categories }
+ * @returns {Array<Array>} Header row first
+ */
+export const buildGoalAttainmentRows = ({ startDate, endDate, users, dailyLogs, categories }) => {
+  const rows = [['User', 'Category', 'Total', 'Daily Goal', 'Goal for Range', 'Attainment %', 'Days Goal Met', 'Days']];
+  const days = eachDayInRange(startDate, endDate);
+  const dayCount = daysBetween(startDate, endDate);
+  const categoryName = (id) => categories.find(c => c.id === id)?.name || toLabel(id);
+
+  [...users].sort(byName).forEach(user => {
+    const goals = getSetGoals(getUserGoals(user).day);
+    if (goals.length === 0) return;
+
+    const totals = sumUserCounts(dailyLogs, user.id, startDate, endDate);
+    const daysMet = (category, target) =>
+      days.filter(date => (dailyLogs?.[date]?.[user.id]?.[category] || 0) >= target).length;
+
+    let total = 0;
+    let goalForRange = 0;
+    goals.forEach(([category, target]) => {
+      const count = totals[category] || 0;
+      total += count;
+      goalForRange += target * dayCount;
+      rows.push([
+        user.name, categoryName(category), count, target, target * dayCount,
+        percent(count, target * dayCount), daysMet(category, target), dayCount,
+      ]);
+    });
+
+    const allMet = days.filter(date =>
+      goals.every(([category, target]) => (dailyLogs?.[date]?.[user.id]?.[category] || 0) >= target)
+    ).length;
+    rows.push([user.name, 'All Goals', total, '', goalForRange, percent(total, goalForRange), allMet, dayCount]);
+  });
+
+  return rows;
+};
+
+/**
+ * Deals closed in the range, by close date, then the deals still open
+ * @param {object} options - { startDate, endDate, users, deals, products }
+ * @returns {Array<Array>} Header row first
+ */
+export const buildDealRows = ({ startDate, endDate, users, deals, products = [] }) => {
+  const rows = [['Stage', 'Closed', 'User', 'Customer', 'Amount', 'Probability %', 'Weighted Amount', 'Products', 'Expected Close', 'Lost Reason', 'Notes']];
+  const names = new Map(users.map(u => [u.id, u.name]));
+  const productLabel = (id) => products.find(p => p.id === id)?.label || toLabel(id);
+  const mine = (deals || []).filter(d => names.has(d.userId));
+  const closed = mine
+    .filter(d => isClosedDeal(d) && d.closedDate >= startDate && d.closedDate <= endDate)
+    .sort((a, b) => a.closedDate.localeCompare(b.closedDate));
+  const open = mine
+    .filter(d => !isClosedDeal(d))
+    .sort((a, b) => (a.expectedCloseDate || '9999').localeCompare(b.expectedCloseDate || '9999'));
+
+  [...closed, ...open].forEach(d => {
+    const probability = getDealProbability(d);
+    rows.push([
+      toLabel(d.stage),
+      d.closedDate || '',
+      names.get(d.userId),
+      d.customerName || '',
+      d.amount ?? '',
+      probability,
+      d.amount != null ? Math.round(d.amount * probability) / 100 : '',
+      (d.products || []).map(productLabel).join('; '),
+      d.expectedCloseDate || '',
+      d.lostReason || '',
+      d.notes || '',
+    ]);
+  });
+
+  return rows;
+};
+
+const BUILDERS = {
+  activity: buildActivityRows,
+  appointments: buildAppointmentRows,
+  goals: buildGoalAttainmentRows,
+  deals: buildDealRows,
+};
+
+/**
+ * Build a report file
+ * CSV holds one dataset (activity by default); Excel holds every dataset,
+ * or just the one asked for.
+ * @param {object} options - { format, dataset, startDate, endDate, users,
+ *   dailyLogs, appointments, deals, categories, products }; users are the people to
+ *   report on
+ * @returns {{blob: Blob, fileName: string, rowCounts: object}}
+ */
+export const buildReportFile = (options) => {
+  const { format = 'xlsx', dataset, startDate, endDate } = options;
+  if (!REPORT_FORMATS.includes(format)) throw new Error(`Unknown report format ${format}`);
+  if (dataset && !BUILDERS[dataset]) throw new Error(`Unknown report dataset ${dataset}`);
+  if (!startDate || !endDate || startDate > endDate) throw new Error('Choose a start date on or before the end date');
+
+  const datasets = format === 'csv'
+    ? [REPORT_DATASETS.find(d => d.id === (dataset || 'activity'))]
+    : REPORT_DATASETS.filter(d => !dataset || d.id === dataset);
+  const tables = datasets.map(d => ({ ...d, rows: BUILDERS[d.id](options) }));
+  const rowCounts = Object.fromEntries(tables.map(t => [t.id, t.rows.length - 1]));
+
+  const name = format === 'csv' || dataset ? datasets[0].id : 'report';
+  const fileName = `window-depot-${name}-${startDate}-to-${endDate}.${format}`;
+  const blob = format === 'csv'
+    ? toCsv(tables[0].rows)
+    : toXlsx(tables.map(t => ({ name: t.sheet, rows: t.rows })));
+
+  return { blob, fileName, rowCounts };
+};
+
+const reportsModule = {
+  REPORT_FORMATS,
+  REPORT_DATASETS,
+  REPORT_DATASET_IDS,
+  buildActivityRows,
+  buildAppointmentRows,
+  buildGoalAttainmentRows,
+  buildDealRows,
+  buildReportFile,
+};
+
+export default reportsModule;
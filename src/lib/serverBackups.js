@@ -0,0 +1,120 @@
+/**
+ * Server Backups for Window Depot Tracker
+ * Backups taken by the scheduled-backup edge function, stored as one
+ * gzipped JSON file per table in the private "backups" storage bucket and
+ * listed in data_backups (supabase/migrations/026_scheduled_backups.sql).
+ * Managers can list them, run one now, download one or restore one.
+ */
+
+import { supabase, isSupabaseConfigured } from './supabase';
+
+const BUCKET = 'backups';
+
+// Stored backups shown in the Admin Panel
+export const SERVER_BACKUP_LIMIT = 30;
+
+// Call the edge function with the signed-in manager's session
+const callBackupFunction = async (body) => {
+  const { data } = await supabase.auth.getSession();
+  const accessToken = data?.session?.access_token;
+  if (!accessToken) throw new Error('Sign in again to manage backups');
+
+  const supabaseUrl = process.env.REACT_APP_SUPABASE_URL || '';
+  const response = await fetch(`${supabaseUrl}/functions/v1/scheduled-backup`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${accessToken}`,
+      apikey: process.env.REACT_APP_SUPABASE_ANON_KEY || '',
+    },
+    body: JSON.stringify(body),
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(result.error || `Backup service returned ${response.status}`);
+  return result;
+};
+
+/**
+ * Transform a backup from Supabase format (snake_case) to app format (camelCase)
+ * @param {object} row - Row from data_backups
+ * @returns {object}
+ */
+export const transformServerBackup = (row) => ({
+  id: row.id,
+  backupType: row.backup_type,
+  createdBy: row.created_by || null,
+  createdByName: row.created_by_name || '',
+  fileSize: row.file_size || 0,
+  recordCounts: row.record_counts || {},
+  storagePath: row.storage_path,
+  notes: row.notes || '',
+  createdAt: row.created_at,
+});
+
+/**
+ * Stored backups, newest first
+ * @returns {Promise<Array>} App-format backups
+ */
+export const listServerBackups = async () => {
+  if (!isSupabaseConfigured) return [];
+  const { data, error } = await supabase
+    .from('data_backups')
+    .select('*')
+    .not('storage_path', 'is', null)
+    .order('created_at', { ascending: false })
+    .limit(SERVER_BACKUP_LIMIT);
+  if (error) throw error;
+  return (data || []).map(transformServerBackup);
+};
+
+/**
+ * Back up every table now
+ * @returns {Promise<object>} The new backup, in app format
+ */
+export const runServerBackup = async () => {
+  const { backup } = await callBackupFunction({ action: 'backup' });
+  return transformServerBackup(backup);
+};
+
+/**
+ * Put a stored backup's rows back. Records deleted or changed since come
+ * back as they were; records added since are kept.
+ * @param {string} backupId - data_backups id
+ * @returns {Promise<object>} Rows restored per table
+ */
+export const restoreServerBackup = async (backupId) => {
+  const { restored } = await callBackupFunction({ action: 'restore', backup_id: backupId });
+  return restored;
+};
+
+/**
+ * A stored backup's tables as one JSON file, for keeping a copy elsewhere
+ * @param {object} backup - App-format backup
+ * @returns {Promise<Blob>} { backupId, createdAt, tables: { table: rows } }
+ */
+export const downloadServerBackup = async (backup) => {
+  const tables = {};
+  for (const table of Object.keys(backup.recordCounts)) {
+    const { data, error } = await supabase.storage
+      .from(BUCKET)
+      .download(`${backup.storagePath}/${table}.json.gz`);
+    if (error) throw error;
+    const text = await new Response(data.stream().pipeThrough(new DecompressionStream('gzip'))).text();
+    tables[table] = JSON.parse(text);
+  }
+
+  const file = { backupId: backup.id, backupType: backup.backupType, createdAt: backup.createdAt, tables };
+  return new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+};
+
+const serverBackupsModule = {
+  SERVER_BACKUP_LIMIT,
+  transformServerBackup,
+  listServerBackups,
+  runServerBackup,
+  restoreServerBackup,
+  downloadServerBackup,
+};
+
+export default serverBackupsModule;
@@ -1,22 +1,9 @@
 import { supabase } from './supabase';
 import storage from '../storage';
+import { getToday, getYesterday, addDays } from './dates';
 
-/**
- * Get yesterday's date in YYYY-MM-DD format
- */
-const getYesterdayDate = () => {
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  return `${yesterday.getFullYear()}-${String(yesterday.getMonth() + 1).padStart(2, '0')}-${String(yesterday.getDate()).padStart(2, '0')}`;
-};
-
-/**
- * Get a specific date in YYYY-MM-DD format
- */
-const formatDateString = (date) => {
-  if (typeof date === 'string') return date;
-  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
-};
+// Built-in categories that also have their own snapshot columns
+const LEGACY_CATEGORIES = ['reviews', 'demos', 'callbacks'];
 
 /**
  * Create a daily snapshot for a specific date and user
@@ -35,31 +22,17 @@ export const createDailySnapshot = (date, userId, dailyLogs, users) => {
   }
 
   // Get logs for this user on this date
-  const userLogs = dailyLogs[date]?.[userId] || {};
-
-  const reviewsCount = userLogs.reviews || 0;
-  const demosCount = userLogs.demos || 0;
-  const callbacksCount = userLogs.callbacks || 0;
-
-  const reviewsGoal = user.goals?.reviews || 0;
-  const demosGoal = user.goals?.demos || 0;
-  const callbacksGoal = user.goals?.callbacks || 0;
+  const counts = { ...(dailyLogs[date]?.[userId] || {}) };
+  const goals = { ...(user.goals || {}) };
 
   // Check if all goals were met
-  const goalsMet =
-    reviewsCount >= reviewsGoal &&
-    demosCount >= demosGoal &&
-    callbacksCount >= callbacksGoal;
+  const goalsMet = Object.entries(goals).every(([category, goal]) => (counts[category] || 0) >= (goal || 0));
 
   return {
     userId,
     date,
-    reviewsCount,
-    demosCount,
-    callbacksCount,
-    reviewsGoal,
-    demosGoal,
-    callbacksGoal,
+    counts,
+    goals,
     goalsMet,
   };
 };
@@ -67,34 +40,45 @@ export const createDailySnapshot = (date, userId, dailyLogs, users) => {
 /**
  * Transform snapshot from app format (camelCase) to Supabase format (snake_case)
  */
-const transformToDatabase = (snapshot) => {
+export const transformSnapshotToDatabase = (snapshot) => {
+  const legacyColumns = {};
+  LEGACY_CATEGORIES.forEach(category => {
+    legacyColumns[`${category}_count`] = snapshot.counts[category] || 0;
+    legacyColumns[`${category}_goal`] = snapshot.goals[category] ?? null;
+  });
+
   return {
     user_id: snapshot.userId,
     date: snapshot.date,
-    reviews_count: snapshot.reviewsCount,
-    demos_count: snapshot.demosCount,
-    callbacks_count: snapshot.callbacksCount,
-    reviews_goal: snapshot.reviewsGoal,
-    demos_goal: snapshot.demosGoal,
-    callbacks_goal: snapshot.callbacksGoal,
+    counts: snapshot.counts,
+    goals: snapshot.goals,
+    ...legacyColumns,
     goals_met: snapshot.goalsMet,
   };
 };
 
 /**
  * Transform snapshot from Supabase format (snake_case) to app format (camelCase)
+ * Snapshots written before per-category counts only have the legacy columns.
  */
 const transformFromDatabase = (snapshot) => {
+  const hasCounts = snapshot.counts && Object.keys(snapshot.counts).length > 0;
+  const counts = hasCounts ? snapshot.counts : {};
+  const goals = hasCounts ? (snapshot.goals || {}) : {};
+
+  if (!hasCounts) {
+    LEGACY_CATEGORIES.forEach(category => {
+      counts[category] = snapshot[`${category}_count`] || 0;
+      if (snapshot[`${category}_goal`] != null) goals[category] = snapshot[`${category}_goal`];
+    });
+  }
+
   return {
     id: snapshot.id,
     userId: snapshot.user_id,
     date: snapshot.date,
-    reviewsCount: snapshot.reviews_count,
-    demosCount: snapshot.demos_count,
-    callbacksCount: snapshot.callbacks_count,
-    reviewsGoal: snapshot.reviews_goal,
-    demosGoal: snapshot.demos_goal,
-    callbacksGoal: snapshot.callbacks_goal,
+    counts,
+    goals,
     goalsMet: snapshot.goals_met,
     createdAt: snapshot.created_at,
     updatedAt: snapshot.updated_at,
@@ -137,7 +121,7 @@ export const ensureDailySnapshots = async (users, dailyLogs) => {
     return;
   }
 
-  const yesterday = getYesterdayDate();
+  const yesterday = getYesterday();
 
   for (const user of users) {
     try {
@@ -150,7 +134,7 @@ export const ensureDailySnapshots = async (users, dailyLogs) => {
 
         if (snapshot) {
           // Transform to database format
-          const dbSnapshot = transformToDatabase(snapshot);
+          const dbSnapshot = transformSnapshotToDatabase(snapshot);
 
           // Upsert to database
           const { error } = await supabase
@@ -214,9 +198,7 @@ export const getSnapshotsForDateRange = async (startDate, endDate, userId = null
 export const syncSnapshotsFromSupabase = async () => {
   try {
     // Fetch all snapshots from the last 90 days
-    const ninetyDaysAgo = new Date();
-    ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
-    const startDate = formatDateString(ninetyDaysAgo);
+    const startDate = addDays(getToday(), -90);
 
     const { data, error } = await supabase
       .from('daily_snapshots')
@@ -0,0 +1,250 @@
+/**
+ * Spreadsheet Files for Window Depot Tracker
+ * Writes rows as CSV or as an Excel workbook (.xlsx) with one sheet per
+ * table, and saves files through the browser's download. The workbook is
+ * the minimal Office Open XML package (inline strings, no shared strings)
+ * in an uncompressed zip, so no spreadsheet library is needed.
+ */
+
+const encoder = new TextEncoder();
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+// Text typed by users (customer names, notes) must not become a formula in
+// a CSV; workbook cells are written as text, which is never run
+const toSafeText = (value) => {
+  const text = String(value);
+  return FORMULA_PREFIXES.includes(text[0]) && Number.isNaN(Number(text)) ? `'${text}` : text;
+};
+
+const isNumberCell = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Rows as CSV, with a byte order mark so Excel reads UTF-8
+ * @param {Array<Array>} rows - Header row first
+ * @returns {Blob}
+ */
+export const toCsv = (rows) => {
+  const csv = rows.map(row => row.map(value => {
+    if (value === null || value === undefined) return '';
+    if (isNumberCell(value)) return String(value);
+    const text = toSafeText(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',')).join('\r\n');
+  return new Blob(['\uFEFF', csv, '\r\n'], { type: 'text/csv;charset=utf-8' });
+};
+
+// ========================================
+// XLSX
+// ========================================
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+// 0 → A, 25 → Z, 26 → AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Sheet names: at most 31 characters, none of : \ / ? * [ ], unique
+const toSheetNames = (sheets) => {
+  const used = new Set();
+  return sheets.map((sheet, index) => {
+    const base = String(sheet.name || `Sheet${index + 1}`).replace(/[:\\/?*[\]]/g, ' ').slice(0, 31) || `Sheet${index + 1}`;
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n++) {
+      name = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+    }
+    used.add(name.toLowerCase());
+    return name;
+  });
+};
+
+const sheetXml = (rows) => {
+  const rowsXml = rows.map((row, rowIndex) => {
+    const cells = row.map((value, columnIndex) => {
+      if (value === null || value === undefined || value === '') return '';
+      const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+      // Style 1 is the bold header
+      const style = rowIndex === 0 ? ' s="1"' : '';
+      if (isNumberCell(value)) return `<c r="${ref}"${style}><v>${value}</v></c>`;
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${rowIndex + 1}">${cells}</row>`;
+  }).join('');
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${rowsXml}</sheetData></worksheet>`;
+};
+
+const workbookFiles = (sheets) => {
+  const names = toSheetNames(sheets);
+  const sheetEntries = sheets.map((sheet, index) => ({
+    path: `xl/worksheets/sheet${index + 1}.xml`,
+    content: sheetXml(sheet.rows),
+  }));
+
+  return [
+    {
+      path: '[Content_Types].xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheetEntries.map(entry =>
+          `<Override PartName="/${entry.path}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+        ).join('') +
+        '</Types>',
+    },
+    {
+      path: '_rels/.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>',
+    },
+    {
+      path: 'xl/workbook.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+        names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+        '</sheets></workbook>',
+    },
+    {
+      path: 'xl/_rels/workbook.xml.rels',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheetEntries.map((entry, index) =>
+          `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+        ).join('') +
+        `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>',
+    },
+    {
+      path: 'xl/styles.xml',
+      content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '</styleSheet>',
+    },
+    ...sheetEntries,
+  ];
+};
+
+// ========================================
+// ZIP (stored, no compression)
+// ========================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+const header = (size, fields) => {
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  fields.forEach(([offset, value, length]) => {
+    if (length === 2) view.setUint16(offset, value, true);
+    else view.setUint32(offset, value, true);
+  });
+  return bytes;
+};
+
+const zip = (files) => {
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.path);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    const local = header(30, [
+      [0, 0x04034B50, 4], [4, 20, 2], [6, 0x0800, 2], [8, 0, 2], [10, dosTime, 2], [12, dosDate, 2],
+      [14, crc, 4], [18, data.length, 4], [22, data.length, 4], [26, name.length, 2], [28, 0, 2],
+    ]);
+    directory.push(header(46, [
+      [0, 0x02014B50, 4], [4, 20, 2], [6, 20, 2], [8, 0x0800, 2], [10, 0, 2], [12, dosTime, 2], [14, dosDate, 2],
+      [16, crc, 4], [20, data.length, 4], [24, data.length, 4], [28, name.length, 2], [30, 0, 2], [32, 0, 2],
+      [34, 0, 2], [36, 0, 2], [38, 0, 4], [42, offset, 4],
+    ]), name);
+
+    parts.push(local, name, data);
+    offset += local.length + name.length + data.length;
+  });
+
+  const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+  const end = header(22, [
+    [0, 0x06054B50, 4], [4, 0, 2], [6, 0, 2], [8, files.length, 2], [10, files.length, 2],
+    [12, directorySize, 4], [16, offset, 4], [20, 0, 2],
+  ]);
+  return [...parts, ...directory, end];
+};
+
+/**
+ * Sheets as an Excel workbook
+ * @param {Array<{name: string, rows: Array<Array>}>} sheets - Header row first in each
+ * @returns {Blob}
+ */
+export const toXlsx = (sheets) =>
+  new Blob(zip(workbookFiles(sheets)), {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  });
+
+/**
+ * Save a file through the browser's download
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested name
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+const spreadsheetModule = {
+  toCsv,
+  toXlsx,
+  downloadBlob,
+};
+
+export default spreadsheetModule;
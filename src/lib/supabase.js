@@ -34,7 +34,9 @@ if (!supabaseUrl || !supabaseAnonKey) {
 } else {
   supabase = createClient(supabaseUrl, supabaseAnonKey, {
     auth: {
-      persistSession: false, // We're not using auth
+      persistSession: true, // Magic link sessions survive reloads
+      autoRefreshToken: true,
+      detectSessionInUrl: true,
     },
   });
 }
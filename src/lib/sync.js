@@ -1,10 +1,83 @@
 import { supabase } from './supabase';
 import storage from '../storage';
+import { normalizeCategories } from './categories';
+import { transformGoalTemplate, transformGoalAssignment } from './goalTemplates';
+import { applyActivityEvent, transformActivityEvent } from './activityEvents';
+import { INBOX_LIMIT, transformNotification } from './inbox';
+import { transformRescheduleHistory } from './appointments';
+import { transformCustomer } from './customers';
+import { transformDeal } from './deals';
+import { transformTask } from './tasks';
+import { requestBackgroundSync } from '../serviceWorkerRegistration';
+import { emitWebhookEvent } from './webhooks';
+
+// Tables whose server rows are cached, by the key column rows are cached and
+// tombstoned by. All but tasks are pulled with delta sync (022_delta_sync.sql).
+const SYNCED_TABLES = {
+  users: 'id',
+  daily_logs: 'id',
+  appointments: 'id',
+  feed_posts: 'id',
+  feed_comments: 'id',
+  feed_reactions: 'id',
+  achievements: 'id',
+  challenges: 'id',
+  user_challenges: 'id',
+  rewards: 'id',
+  user_rewards: 'id',
+  audit_log: 'id',
+  system_settings: 'key',
+  categories: 'id',
+  goal_templates: 'id',
+  goal_assignments: 'user_id',
+  customers: 'id',
+  deals: 'id',
+  tasks: 'id',
+};
+
+// Tables whose records carry a version (021_record_versions.sql).
+// Updates to these are checked against the last server copy this device saw.
+const VERSIONED_TABLES = [
+  'users', 'appointments', 'feed_posts', 'categories',
+  'goal_templates', 'goal_assignments', 'system_settings', 'customers', 'deals',
+  'tasks',
+];
+
+// Cursors older than this pull the table in full, since the server prunes
+// older tombstones (prune_sync_tombstones in 022_delta_sync.sql)
+const TOMBSTONE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Rows written by transactions still open when a pull starts carry an earlier
+// updated_at than the cursor, so each pull re-reads a short window before it
+const CURSOR_OVERLAP_MS = 60 * 1000;
+
+const SYNC_CURSORS_KEY = 'syncCursors';
+
+// Errors retrying cannot fix: permissions, constraints, bad input, unknown columns
+const PERMANENT_ERROR_CODES = ['42501', '23502', '23503', '23505', '23514', '22P02', 'PGRST204'];
+
+const MAX_RETRIES = 3;
 
 // Sync queue for offline operations
 const syncQueue = [];
+// Operations that failed for good, kept until the user retries or discards them
+const deadLetter = [];
+// Edits that clash with a newer server version, kept until the user resolves them
+const conflicts = [];
+// Last server copy of each synced row: { table: { key: row } }, loaded per table
+const serverRows = {};
+const serverRowsLoading = {};
+// Progress of the current pull from Supabase
+// userId: who the last pull ran as; null when only the sign-in directory was readable
+let pullStatus = { isPulling: false, completed: 0, total: 0, lastPulledAt: null, userId: null, tables: {} };
+const statusListeners = new Set();
 let isSyncing = false;
 let syncInterval = null;
+// User this device is signed in as, and how to bind the server session to
+// them again. Queued writes only go out while the server session is bound
+// to this user, never as whoever signed in there last.
+let sessionUser = { id: null, rebind: null };
+let needsSignIn = false;
 
 // Helper function to check if error is a missing table error (PGRST205)
 const isMissingTableError = (error) => {
@@ -20,11 +93,202 @@ const getErrorMessage = (error, tableName) => {
   return error?.message || 'Unknown error occurred';
 };
 
+const isTableNotFoundError = (error) =>
+  error?.code === 'PGRST205' ||
+  error?.message?.includes('PGRST205') ||
+  (error?.message?.includes('relation') && error?.message?.includes('does not exist'));
+
+// Deep equality for column values (JSONB objects may come back with keys reordered)
+const isSameValue = (a, b) => {
+  if (a === b) return true;
+  if (a === null || a === undefined || b === null || b === undefined) return (a ?? null) === (b ?? null);
+  if (typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => isSameValue(a[key], b[key]));
+};
+
+// Key of the record an operation writes
+const getRecordKey = (operation) => {
+  const keyColumn = SYNCED_TABLES[operation.table] || 'id';
+  const keyValue = operation.type === 'update' || operation.type === 'delete'
+    ? operation.id
+    : operation.data?.[keyColumn];
+  return String(keyValue);
+};
+
+const notifyStatusListeners = () => {
+  const status = getSyncStatus();
+  statusListeners.forEach(listener => listener(status));
+};
+
+const persistSyncState = async () => {
+  await Promise.all([
+    storage.set('syncQueue', syncQueue),
+    storage.set('syncDeadLetter', deadLetter),
+    storage.set('syncConflicts', conflicts),
+  ]);
+  notifyStatusListeners();
+};
+
+// Cached server rows of a table, loaded from IndexedDB on first use
+const loadServerRows = async (table) => {
+  if (serverRows[table]) return serverRows[table];
+  if (!serverRowsLoading[table]) {
+    serverRowsLoading[table] = storage.serverRows.getTable(table).then(rows => {
+      serverRows[table] = rows || {};
+      return serverRows[table];
+    });
+  }
+  return serverRowsLoading[table];
+};
+
+// Replace a table's cached rows, writing only the rows that changed or went away
+const saveServerRows = async (table, rows) => {
+  const cached = await loadServerRows(table);
+  const changed = Object.fromEntries(
+    Object.entries(rows).filter(([key, row]) => cached[key] !== row && !isSameValue(cached[key], row))
+  );
+  const removedKeys = Object.keys(cached).filter(key => !(key in rows));
+  serverRows[table] = rows;
+  if (Object.keys(changed).length > 0 || removedKeys.length > 0) {
+    await storage.serverRows.write(table, changed, removedKeys);
+  }
+};
+
+/**
+ * Remember the server copy of rows, so later pulls only need what changed
+ * and offline edits can be checked against it
+ * @param {string} table - Table name
+ * @param {Array} rows - Rows as returned by Supabase
+ */
+export const rememberServerRows = async (table, rows) => {
+  const keyColumn = SYNCED_TABLES[table];
+  if (!keyColumn) return;
+  const cached = await loadServerRows(table);
+  const changed = Object.fromEntries(
+    (rows || []).filter(row => row?.[keyColumn] !== undefined).map(row => [String(row[keyColumn]), row])
+  );
+  Object.assign(cached, changed);
+  await storage.serverRows.write(table, changed);
+};
+
+// Operations not yet on the server, oldest first
+const getLocalOperations = () =>
+  [...syncQueue, ...deadLetter, ...conflicts].sort((a, b) => a.timestamp - b.timestamp);
+
+/**
+ * Server rows with this device's unsynced edits applied on top, so a full
+ * sync does not wipe out changes still waiting in the queue
+ * @param {string} table - Table name
+ * @param {Array} rows - Rows as returned by Supabase
+ * @returns {Array} Rows in Supabase format
+ */
+export const applyLocalOperations = (table, rows) => {
+  const keyColumn = SYNCED_TABLES[table] || 'id';
+  return getLocalOperations()
+    .filter(op => op.table === table)
+    .reduce((result, op) => {
+      if (op.type === 'delete') {
+        return result.filter(row => row[op.conflictKey || keyColumn] !== op.id);
+      }
+      if (op.type === 'update') {
+        return result.map(row => (row[keyColumn] === op.id ? { ...row, ...op.data } : row));
+      }
+      if (op.type === 'upsert' && op.data && !Array.isArray(op.data)) {
+        const keyValue = op.data[keyColumn];
+        return result.some(row => row[keyColumn] === keyValue)
+          ? result.map(row => (row[keyColumn] === keyValue ? { ...row, ...op.data } : row))
+          : [...result, op.data];
+      }
+      return result;
+    }, rows || []);
+};
+
+let syncCursors = null;
+
+const loadCursors = async () => {
+  if (!syncCursors) syncCursors = (await storage.get(SYNC_CURSORS_KEY, {})) || {};
+  return syncCursors;
+};
+
+// Rows sorted by a column, e.g. sortRows(rows, 'created_at', true) for newest first
+const sortRows = (rows, column, descending = false) =>
+  [...rows].sort((a, b) => {
+    const order = String(a[column] ?? '').localeCompare(String(b[column] ?? ''), undefined, { numeric: true });
+    return descending ? -order : order;
+  });
+
+/**
+ * Rows of a table, fetching only those changed since the table's cursor
+ * Rows deleted on the server are dropped using its tombstones. The table is
+ * pulled in full the first time, after a long time offline, or when the
+ * server has no delta sync support (022_delta_sync.sql not applied).
+ * @param {string} table - Table name
+ * @param {object} options
+ * @param {string} options.select - Columns (and joins) to select
+ * @param {Function} options.fullQuery - Narrows a full pull, e.g. to the latest rows
+ * @param {Function} options.keep - Trims the cached rows, e.g. to the latest 1000
+ * @returns {Promise<Array>} Rows in Supabase format
+ */
+const pullTable = async (table, { select = '*', fullQuery, keep } = {}) => {
+  const keyColumn = SYNCED_TABLES[table];
+  const [cursors, cached] = await Promise.all([loadCursors(), loadServerRows(table)]);
+  const cursor = cursors[table];
+  const canPullDelta = cursor &&
+    Object.keys(cached).length > 0 &&
+    Date.now() - Date.parse(cursor) < TOMBSTONE_RETENTION_MS;
+  const since = canPullDelta ? new Date(Date.parse(cursor) - CURSOR_OVERLAP_MS).toISOString() : null;
+
+  // Server clock and deletions come first, so rows changed during the pull are read again next time
+  const { data: changes, error: changesError } = await supabase
+    .rpc('sync_deletions_since', { p_table: table, p_since: since });
+  const isDelta = canPullDelta && !changesError;
+
+  let query = supabase.from(table).select(select);
+  if (isDelta) {
+    query = query.gte('updated_at', since);
+  } else if (fullQuery) {
+    query = fullQuery(query);
+  }
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const rows = isDelta ? { ...cached } : {};
+  if (isDelta) {
+    (changes.deleted || []).forEach(key => delete rows[key]);
+  }
+  (data || []).forEach(row => {
+    rows[String(row[keyColumn])] = row;
+  });
+
+  const kept = keep ? keep(Object.values(rows)) : Object.values(rows);
+  await saveServerRows(table, Object.fromEntries(kept.map(row => [String(row[keyColumn]), row])));
+
+  if (!changesError) {
+    cursors[table] = changes.now;
+    await storage.set(SYNC_CURSORS_KEY, cursors);
+  }
+  pullStatus = {
+    ...pullStatus,
+    tables: { ...pullStatus.tables, [table]: { mode: isDelta ? 'delta' : 'full', changed: (data || []).length } },
+  };
+  return kept;
+};
+
 // Initialize sync queue from IndexedDB
 export const initSyncQueue = async () => {
   try {
-    const queue = await storage.get('syncQueue', []);
-    syncQueue.push(...queue);
+    const [queue, failed, conflicted] = await Promise.all([
+      storage.get('syncQueue', []),
+      storage.get('syncDeadLetter', []),
+      storage.get('syncConflicts', []),
+    ]);
+    // Operations queued before operations had ids get one now
+    const withId = (operation) => (operation.opId ? operation : { ...operation, opId: crypto.randomUUID() });
+    syncQueue.push(...(queue || []).map(withId));
+    deadLetter.push(...(failed || []).map(withId));
+    conflicts.push(...(conflicted || []).map(withId));
+    await persistSyncState();
     if (syncQueue.length > 0 && navigator.onLine) {
       processSyncQueue();
     }
@@ -33,42 +297,129 @@ export const initSyncQueue = async () => {
   }
 };
 
-// Add operation to sync queue
+// Add operation to sync queue. An operation's optional `event`
+// ({ type, payload, userId }) is emitted once it reaches the server.
 export const queueSyncOperation = async (operation) => {
   syncQueue.push({
     ...operation,
+    opId: crypto.randomUUID(),
     timestamp: Date.now(),
     retries: 0,
   });
-  await storage.set('syncQueue', syncQueue);
+  await persistSyncState();
   
   if (navigator.onLine && !isSyncing) {
     processSyncQueue();
+  } else if (!navigator.onLine) {
+    requestBackgroundSync();
   }
 };
 
+// Move the operation at the head of the queue to the dead-letter list
+const moveToDeadLetter = async (operation, error) => {
+  syncQueue.shift();
+  deadLetter.push({
+    ...operation,
+    error: getErrorMessage(error, operation.table),
+    failedAt: Date.now(),
+  });
+  await persistSyncState();
+};
+
+/**
+ * Set who is signed in on this device, so the queue only syncs as them
+ * Follow with checkSyncSession() to bind the server session to them.
+ * @param {string|null} userId - Signed-in user, or null when signed out
+ * @param {Function} rebind - Binds the server session to them, resolving whether it did
+ */
+export const setSyncSessionUser = (userId, rebind = null) => {
+  sessionUser = { id: userId || null, rebind };
+  needsSignIn = false;
+  notifyStatusListeners();
+};
+
+/**
+ * Whether the last pull ran as someone other than the signed-in user
+ * Before signing in it only read the sign-in directory, and some tables
+ * (tasks, AI chat history) differ per user, so it needs pulling again.
+ * @returns {boolean}
+ */
+export const isPullStale = () => !!sessionUser.id && pullStatus.userId !== sessionUser.id;
+
+const isSessionBound = async () => {
+  const { data, error } = await supabase.rpc('current_app_user_id');
+  if (error) throw error;
+  return data === sessionUser.id;
+};
+
+// Whether the server session is bound to the signed-in user, binding it
+// again if it is not (a sign-in or sign-out made offline never reached it)
+const ensureSessionBound = async () => {
+  if (!sessionUser.id) return false;
+  try {
+    if (await isSessionBound()) return true;
+    if (sessionUser.rebind && await sessionUser.rebind() && await isSessionBound()) return true;
+  } catch (error) {
+    // Unreachable server: try again on the next run
+    console.error('Failed to check the sync session:', error);
+    return false;
+  }
+  needsSignIn = true;
+  notifyStatusListeners();
+  return false;
+};
+
+/**
+ * Bind the server session to the signed-in user if it is not, then sync the
+ * queue. Run on sign-in and when the device comes back online, so direct
+ * writes go out as the right user too.
+ * @returns {Promise<boolean>} Whether the session is bound to the signed-in user
+ */
+export const checkSyncSession = async () => {
+  if (!navigator.onLine) return false;
+  const bound = await ensureSessionBound();
+  if (bound) processSyncQueue();
+  return bound;
+};
+
 // Process sync queue
-const processSyncQueue = async () => {
+export const processSyncQueue = async () => {
   if (isSyncing || syncQueue.length === 0 || !navigator.onLine) {
     return;
   }
 
   isSyncing = true;
 
+  if (!(await ensureSessionBound())) {
+    isSyncing = false;
+    return;
+  }
+
   while (syncQueue.length > 0 && navigator.onLine) {
     const operation = syncQueue[0];
     
     try {
       await executeSyncOperation(operation);
       syncQueue.shift();
-      await storage.set('syncQueue', syncQueue);
+      await persistSyncState();
+      if (operation.event) {
+        emitWebhookEvent(operation.event.type, operation.event.payload, operation.event.userId);
+      }
     } catch (error) {
-      // Check for PGRST205 error (table not found)
-      const isTableNotFound = error?.code === 'PGRST205' || 
-                             error?.message?.includes('PGRST205') ||
-                             (error?.message?.includes('relation') && error?.message?.includes('does not exist'));
-      
-      if (isTableNotFound) {
+      if (error?.code === 'SYNC_CONFLICT') {
+        // Someone else changed the same fields; let the user decide
+        syncQueue.shift();
+        conflicts.push({
+          ...operation,
+          remote: error.remote,
+          fields: error.fields,
+          detectedAt: Date.now(),
+        });
+        await persistSyncState();
+        continue;
+      }
+
+      if (isTableNotFoundError(error)) {
         const tableName = operation.table || 'unknown';
         console.warn(`⚠️ Table "${tableName}" not found in database. This usually means migrations need to be applied.`, {
           table: tableName,
@@ -78,23 +429,26 @@ const processSyncQueue = async () => {
         });
         
         // Don't retry table not found errors - they won't succeed until migrations are applied
-        syncQueue.shift();
-        await storage.set('syncQueue', syncQueue);
+        await moveToDeadLetter(operation, error);
+        continue;
+      }
+
+      if (PERMANENT_ERROR_CODES.includes(error?.code)) {
+        console.error('Sync operation rejected:', error);
+        await moveToDeadLetter(operation, error);
         continue;
       }
       
       console.error('Sync operation failed:', error);
       operation.retries++;
       
-      if (operation.retries >= 3) {
-        // Remove failed operation after 3 retries
-        syncQueue.shift();
-        await storage.set('syncQueue', syncQueue);
-        console.error('Operation failed after 3 retries:', operation);
+      if (operation.retries >= MAX_RETRIES) {
+        console.error(`Operation failed after ${MAX_RETRIES} retries:`, operation);
+        await moveToDeadLetter(operation, error);
       } else {
         // Move to end of queue for retry
         syncQueue.push(syncQueue.shift());
-        await storage.set('syncQueue', syncQueue);
+        await persistSyncState();
         break; // Wait before retrying
       }
     }
@@ -103,9 +457,85 @@ const processSyncQueue = async () => {
   isSyncing = false;
 };
 
+// Fields the edit and the server both changed since the edit's base copy
+const getConflictingFields = (data, base, remote) =>
+  Object.keys(data).filter(field =>
+    field !== 'version' &&
+    field !== 'updated_at' &&
+    !isSameValue(remote[field], base[field]) &&
+    !isSameValue(remote[field], data[field])
+  );
+
+// Write an edit to a versioned record only if the server still has the version
+// it was made from. If not, fields changed on only one side are merged and the
+// write retried; fields changed on both sides raise a SYNC_CONFLICT error.
+const executeVersionedWrite = async (operation, keyColumn, keyValue, shadow) => {
+  const { type, table, data } = operation;
+  let base = shadow;
+
+  for (let attempt = 0; attempt < MAX_RETRIES; attempt++) {
+    const { data: rows, error } = await supabase
+      .from(table)
+      .update(data)
+      .eq(keyColumn, keyValue)
+      .eq('version', base.version)
+      .select();
+    if (error) throw error;
+    if (rows?.length > 0) return rows[0];
+
+    const { data: remote, error: fetchError } = await supabase
+      .from(table)
+      .select('*')
+      .eq(keyColumn, keyValue)
+      .maybeSingle();
+    if (fetchError) throw fetchError;
+
+    if (!remote) {
+      if (type === 'upsert') return null; // Deleted on the server; write it as a new record
+      throw Object.assign(new Error('Record was deleted on another device'), {
+        code: 'SYNC_CONFLICT',
+        remote: null,
+        fields: Object.keys(data),
+      });
+    }
+    if (remote.version === base.version) {
+      // Same version but no row updated: row level security refused the write
+      throw Object.assign(new Error('You do not have permission to change this record'), { code: '42501' });
+    }
+
+    const fields = getConflictingFields(data, base, remote);
+    if (fields.length > 0) {
+      throw Object.assign(new Error('Record was changed on another device'), {
+        code: 'SYNC_CONFLICT',
+        remote,
+        fields,
+      });
+    }
+    base = remote;
+  }
+
+  throw new Error('Record kept changing on the server; will retry');
+};
+
 // Execute a sync operation
 const executeSyncOperation = async (operation) => {
   const { type, table, data, id } = operation;
+  const keyColumn = SYNCED_TABLES[table];
+  const recordKey = getRecordKey(operation);
+  const shadow = VERSIONED_TABLES.includes(table) ? (await loadServerRows(table))[recordKey] : null;
+
+  // Edits to records this device has a versioned server copy of
+  const isVersionedWrite = shadow?.version != null && data && !Array.isArray(data) && (
+    (type === 'update' && keyColumn === 'id') ||
+    (type === 'upsert' && (operation.conflictKey || 'id') === keyColumn)
+  );
+  if (isVersionedWrite) {
+    const row = await executeVersionedWrite(operation, keyColumn, type === 'update' ? id : data[keyColumn], shadow);
+    if (row) {
+      await rememberServerRows(table, [row]);
+      return row;
+    }
+  }
 
   switch (type) {
     case 'insert':
@@ -115,6 +545,7 @@ const executeSyncOperation = async (operation) => {
         .select()
         .single();
       if (insertError) throw insertError;
+      await rememberServerRows(table, [insertData]);
       return insertData;
 
     case 'update':
@@ -125,23 +556,33 @@ const executeSyncOperation = async (operation) => {
         .select()
         .single();
       if (updateError) throw updateError;
+      await rememberServerRows(table, [updateData]);
       return updateData;
 
     case 'upsert':
-      const { data: upsertData, error: upsertError } = await supabase
+      // ignoreDuplicates skips rows the server already has instead of updating them
+      const upsertQuery = supabase
         .from(table)
-        .upsert(data, { onConflict: operation.conflictKey })
-        .select()
-        .single();
+        .upsert(data, { onConflict: operation.conflictKey, ignoreDuplicates: !!operation.ignoreDuplicates })
+        .select();
+      const { data: upsertData, error: upsertError } = await (
+        operation.ignoreDuplicates ? upsertQuery.maybeSingle() : upsertQuery.single()
+      );
       if (upsertError) throw upsertError;
+      await rememberServerRows(table, [upsertData]);
       return upsertData;
 
     case 'delete':
+      // conflictKey names the key column of tables not keyed by id
       const { error: deleteError } = await supabase
         .from(table)
         .delete()
-        .eq('id', id);
+        .eq(operation.conflictKey || 'id', id);
       if (deleteError) throw deleteError;
+      if (keyColumn && (await loadServerRows(table))[recordKey]) {
+        delete serverRows[table][recordKey];
+        await storage.serverRows.write(table, {}, [recordKey]);
+      }
       return true;
 
     default:
@@ -149,6 +590,123 @@ const executeSyncOperation = async (operation) => {
   }
 };
 
+/**
+ * Pending, failed and conflicting operations, and progress of the pull from Supabase.
+ * needsSignIn is set when the queue is held because the server session
+ * could not be bound to the signed-in user.
+ * @returns {{pending: number, needsSignIn: boolean, failed: Array, conflicts: Array, pull: object}}
+ */
+export const getSyncStatus = () => ({
+  pending: syncQueue.length,
+  needsSignIn,
+  failed: [...deadLetter],
+  conflicts: [...conflicts],
+  pull: { ...pullStatus },
+});
+
+/**
+ * Call a listener with the sync status now and whenever it changes
+ * @param {Function} listener - Receives getSyncStatus()
+ * @returns {Function} Unsubscribe
+ */
+export const onSyncStatusChange = (listener) => {
+  statusListeners.add(listener);
+  listener(getSyncStatus());
+  return () => statusListeners.delete(listener);
+};
+
+/**
+ * Put a failed operation back on the queue
+ * @param {string} opId - Operation id
+ */
+export const retryFailedOperation = async (opId) => {
+  const index = deadLetter.findIndex(op => op.opId === opId);
+  if (index === -1) return false;
+  const [operation] = deadLetter.splice(index, 1);
+  const { error, failedAt, ...rest } = operation;
+  syncQueue.push({ ...rest, retries: 0 });
+  await persistSyncState();
+  processSyncQueue();
+  return true;
+};
+
+/**
+ * Drop a failed operation for good
+ * @param {string} opId - Operation id
+ */
+export const discardFailedOperation = async (opId) => {
+  const index = deadLetter.findIndex(op => op.opId === opId);
+  if (index === -1) return false;
+  deadLetter.splice(index, 1);
+  await persistSyncState();
+  return true;
+};
+
+/**
+ * Resolve a conflict by keeping this device's edit ('mine') or the server's ('theirs')
+ * Either way the server copy becomes the new base, so keeping mine writes the
+ * edit over it. Callers should reload data from Supabase afterwards.
+ * @param {string} opId - Operation id
+ * @param {string} resolution - 'mine' or 'theirs'
+ */
+export const resolveSyncConflict = async (opId, resolution) => {
+  const index = conflicts.findIndex(op => op.opId === opId);
+  if (index === -1) return false;
+  const [operation] = conflicts.splice(index, 1);
+  const { remote, fields, detectedAt, ...rest } = operation;
+
+  if (remote) await rememberServerRows(operation.table, [remote]);
+  if (resolution === 'mine') {
+    // A record deleted on the server can only be kept by recreating it
+    const requeued = remote || rest.type !== 'update'
+      ? rest
+      : { ...rest, type: 'upsert', conflictKey: SYNCED_TABLES[rest.table], data: { ...rest.data, [SYNCED_TABLES[rest.table]]: rest.id } };
+    syncQueue.push({ ...requeued, retries: 0 });
+  }
+  await persistSyncState();
+  if (resolution === 'mine') processSyncQueue();
+  return true;
+};
+
+const SYNC_TABLE_LABELS = {
+  users: 'team member',
+  appointments: 'appointment',
+  customers: 'customer',
+  deals: 'deal',
+  tasks: 'task',
+  feed_posts: 'post',
+  feed_comments: 'comment',
+  feed_likes: 'like',
+  feed_reactions: 'reaction',
+  categories: 'category',
+  goal_templates: 'goal template',
+  goal_assignments: 'goal assignment',
+  system_settings: 'setting',
+  activity_events: 'activity',
+  daily_logs: 'activity',
+  challenges: 'challenge',
+  rewards: 'reward',
+  audit_log: 'audit entry',
+  notifications: 'notification',
+};
+
+/**
+ * Short description of an operation, e.g. 'Update appointment: Jane Smith'
+ * @param {object} operation - Sync operation
+ * @returns {string}
+ */
+export const describeSyncOperation = (operation) => {
+  const verb = { insert: 'Add', update: 'Update', upsert: 'Save', delete: 'Delete' }[operation.type] || 'Change';
+  const label = SYNC_TABLE_LABELS[operation.table] || operation.table;
+  // Conflicts carry the server row, which names records an update does not
+  const data = { ...operation.remote, ...(Array.isArray(operation.data) ? {} : operation.data) };
+  const name = data.name || data.customer_name || data.key || data.category || data.content;
+  const detail = operation.table === 'activity_events' && data.delta
+    ? `${data.delta > 0 ? '+' : ''}${data.delta} ${data.category} on ${data.date}`
+    : name;
+  return `${verb} ${label}${detail ? `: ${String(detail).slice(0, 60)}` : ''}`;
+};
+
 // Start periodic sync
 export const startSyncInterval = () => {
   if (syncInterval) return;
@@ -168,50 +726,177 @@ export const stopSyncInterval = () => {
   }
 };
 
+/**
+ * Count change from this device's activity events not yet on the server
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} userId - User ID
+ * @param {string} category - Category ID
+ * @returns {number} Sum of pending deltas
+ */
+export const getPendingActivityDelta = (date, userId, category) =>
+  getLocalOperations()
+    .filter(op => op.table === 'activity_events' && op.data &&
+      op.data.date === date && op.data.user_id === userId && op.data.category === category)
+    .reduce((sum, op) => sum + (op.data.delta || 0), 0);
+
+// ========================================
+// ROW TRANSFORMS (Supabase → app format)
+// ========================================
+
+/**
+ * Appointment row to app format
+ * @param {object} apt - Row from appointments
+ * @returns {object}
+ */
+export const transformAppointment = (apt) => ({
+  id: apt.id,
+  userId: apt.user_id,
+  customerId: apt.customer_id || null,
+  dealId: apt.deal_id || null,
+  customerName: apt.customer_name,
+  date: apt.date,
+  time: apt.time,
+  products: apt.products || [],
+  notes: apt.notes || '',
+  countsAsDemo: apt.counts_as_demo,
+  duration: apt.duration || 60,
+  status: apt.status || 'scheduled',
+  outcome: apt.outcome || null,
+  outcomeDate: apt.outcome_date || null,
+  saleAmount: apt.sale_amount === null || apt.sale_amount === undefined ? null : Number(apt.sale_amount),
+  followupDate: apt.followup_date || null,
+  cancellationReason: apt.cancellation_reason || '',
+  rescheduleHistory: transformRescheduleHistory(apt.reschedule_history),
+  timestamp: new Date(apt.created_at).getTime(),
+});
+
+/**
+ * Challenge row to app format
+ * @param {object} challenge - Row from challenges
+ * @returns {object}
+ */
+export const transformChallenge = (challenge) => ({
+  id: challenge.id,
+  title: challenge.title,
+  description: challenge.description,
+  challengeType: challenge.challenge_type,
+  goalType: challenge.goal_type,
+  goalValue: challenge.goal_value,
+  xpReward: challenge.xp_reward,
+  startDate: challenge.start_date,
+  endDate: challenge.end_date,
+  isActive: challenge.is_active,
+  createdBy: challenge.created_by,
+  targetUsers: challenge.target_users || [],
+});
+
+/**
+ * User challenge row to app format
+ * @param {object} uc - Row from user_challenges
+ * @returns {object}
+ */
+export const transformUserChallenge = (uc) => ({
+  id: uc.id,
+  userId: uc.user_id,
+  challengeId: uc.challenge_id,
+  progress: uc.progress,
+  completed: uc.completed,
+  completedAt: uc.completed_at,
+});
+
+// Transform a user from Supabase format to app format
+// PIN hashes never leave the server; the credential this device cached is
+// kept so the user can still sign in offline, until the PIN is reset.
+const transformUser = (user, cached) => ({
+  id: user.id,
+  name: user.name,
+  role: user.role,
+  goals: user.goals,
+  periodGoals: user.period_goals || {},
+  createdAt: user.created_at,
+  // Auth fields
+  email: user.email || null,
+  authUserId: user.auth_user_id || null,
+  hasPin: user.has_pin || false,
+  pinUpdatedAt: user.pin_updated_at || null,
+  ...(cached?.pinHash && cached.pinUpdatedAt === (user.pin_updated_at || null)
+    ? { pinHash: cached.pinHash, pinSalt: cached.pinSalt }
+    : { pinHash: null, pinSalt: null }),
+  // Gamification fields
+  xp: user.xp || 0,
+  bonusXp: user.bonus_xp ?? user.xp ?? 0,
+  activityXp: user.activity_xp || 0,
+  level: user.level || 1,
+  achievements: user.achievements || [],
+  achievementProgress: user.achievement_progress || {},
+  currentStreak: user.current_streak || 0,
+  longestStreak: user.longest_streak || 0,
+  lastActivityDate: user.last_activity_date,
+  totalSales: user.total_sales || 0,
+  // Admin fields
+  archived: user.archived || false,
+  archivedAt: user.archived_at,
+  archivedBy: user.archived_by,
+});
+
+const logUsersSyncError = (error) => {
+  const isTableNotFound = error?.code === 'PGRST205' || 
+                         error?.message?.includes('PGRST205') ||
+                         (error?.message?.includes('relation') && error?.message?.includes('does not exist'));
+  
+  if (isTableNotFound) {
+    console.warn('⚠️ Users table not found. Migrations may need to be applied. See SUPABASE_MIGRATION_INSTRUCTIONS.md');
+  } else {
+    console.error('Failed to sync users from Supabase:', error);
+  }
+};
+
 // Sync users from Supabase to IndexedDB
 export const syncUsersFromSupabase = async () => {
   try {
-    const { data, error } = await supabase
-      .from('users')
-      .select('*')
-      .order('created_at', { ascending: true });
+    const data = sortRows(await pullTable('users'), 'created_at');
+    const localUsers = new Map(((await storage.get('users', [])) || []).map(u => [u.id, u]));
+    const users = applyLocalOperations('users', data).map(user => transformUser(user, localUsers.get(user.id)));
 
+    await storage.set('users', users);
+    return users;
+  } catch (error) {
+    logUsersSyncError(error);
+    return null;
+  }
+};
+
+// Sync the sign-in directory from Supabase to IndexedDB
+// Until someone signs in, users cannot be read (013_row_level_security.sql);
+// sign_in_directory() lists the active accounts so the sign-in screen works
+// on a new device. What this device cached about an account is kept, and the
+// rest comes with the full pull once signed in.
+export const syncSignInDirectoryFromSupabase = async () => {
+  try {
+    const { data, error } = await supabase.rpc('sign_in_directory');
     if (error) throw error;
-    
-    // Transform Supabase format to app format
-    const users = (data || []).map(user => ({
-      id: user.id,
-      name: user.name,
-      role: user.role,
-      goals: user.goals,
-      createdAt: user.created_at,
-      // Gamification fields
-      xp: user.xp || 0,
-      level: user.level || 1,
-      achievements: user.achievements || [],
-      achievementProgress: user.achievement_progress || {},
-      currentStreak: user.current_streak || 0,
-      longestStreak: user.longest_streak || 0,
-      lastActivityDate: user.last_activity_date,
-      totalSales: user.total_sales || 0,
-      // Admin fields
-      archived: user.archived || false,
-      archivedAt: user.archived_at,
-      archivedBy: user.archived_by,
-    }));
+
+    const localUsers = new Map(((await storage.get('users', [])) || []).map(u => [u.id, u]));
+    const users = data.map(entry => {
+      const cached = localUsers.get(entry.id);
+      const listed = transformUser({ ...entry, goals: {} }, cached);
+      return {
+        ...listed,
+        ...cached,
+        name: listed.name,
+        role: listed.role,
+        hasPin: listed.hasPin,
+        hasEmail: entry.has_email,
+        pinUpdatedAt: listed.pinUpdatedAt,
+        pinHash: listed.pinHash,
+        pinSalt: listed.pinSalt,
+      };
+    });
 
     await storage.set('users', users);
     return users;
   } catch (error) {
-    const isTableNotFound = error?.code === 'PGRST205' || 
-                           error?.message?.includes('PGRST205') ||
-                           (error?.message?.includes('relation') && error?.message?.includes('does not exist'));
-    
-    if (isTableNotFound) {
-      console.warn('⚠️ Users table not found. Migrations may need to be applied. See SUPABASE_MIGRATION_INSTRUCTIONS.md');
-    } else {
-      console.error('Failed to sync users from Supabase:', error);
-    }
+    logUsersSyncError(error);
     return null;
   }
 };
@@ -219,12 +904,7 @@ export const syncUsersFromSupabase = async () => {
 // Sync daily logs from Supabase to IndexedDB
 export const syncDailyLogsFromSupabase = async () => {
   try {
-    const { data, error } = await supabase
-      .from('daily_logs')
-      .select('*')
-      .order('date', { ascending: false });
-
-    if (error) throw error;
+    const data = await pullTable('daily_logs');
 
     // Transform to app format: { date: { userId: { category: count } } }
     const dailyLogs = {};
@@ -238,8 +918,15 @@ export const syncDailyLogsFromSupabase = async () => {
       dailyLogs[log.date][log.user_id][log.category] = log.count;
     });
 
-    await storage.set('dailyLogs', dailyLogs);
-    return dailyLogs;
+    // Add activity this device logged that the server has not counted yet
+    const pendingEvents = getLocalOperations().filter(op => op.table === 'activity_events' && op.data);
+    const mergedLogs = pendingEvents.reduce(
+      (logs, op) => applyActivityEvent(logs, transformActivityEvent(op.data)),
+      dailyLogs
+    );
+
+    await storage.dailyLogs.save(mergedLogs);
+    return mergedLogs;
   } catch (error) {
     const isTableNotFound = error?.code === 'PGRST205' || 
                            error?.message?.includes('PGRST205') ||
@@ -257,27 +944,12 @@ export const syncDailyLogsFromSupabase = async () => {
 // Sync appointments from Supabase to IndexedDB
 export const syncAppointmentsFromSupabase = async () => {
   try {
-    const { data, error } = await supabase
-      .from('appointments')
-      .select('*')
-      .order('created_at', { ascending: false });
-
-    if (error) throw error;
+    const data = sortRows(await pullTable('appointments'), 'created_at', true);
 
     // Transform to app format
-    const appointments = (data || []).map(apt => ({
-      id: apt.id,
-      userId: apt.user_id,
-      customerName: apt.customer_name,
-      date: apt.date,
-      time: apt.time,
-      products: apt.products || [],
-      notes: apt.notes || '',
-      countsAsDemo: apt.counts_as_demo,
-      timestamp: new Date(apt.created_at).getTime(),
-    }));
+    const appointments = applyLocalOperations('appointments', data).map(transformAppointment);
 
-    await storage.set('appointments', appointments);
+    await storage.appointments.save(appointments);
     return appointments;
   } catch (error) {
     const isTableNotFound = error?.code === 'PGRST205' || 
@@ -296,51 +968,33 @@ export const syncAppointmentsFromSupabase = async () => {
 // Sync feed from Supabase to IndexedDB
 export const syncFeedFromSupabase = async () => {
   try {
-    // Fetch posts with likes and comments
-    const { data: posts, error: postsError } = await supabase
-      .from('feed_posts')
-      .select(`
-        *,
-        user:users(name)
-      `)
-      .order('created_at', { ascending: false });
-
-    if (postsError) throw postsError;
-
-    // Fetch all likes
-    const { data: likes, error: likesError } = await supabase
-      .from('feed_likes')
-      .select('*');
-
-    if (likesError) throw likesError;
-
-    // Fetch all comments
-    const { data: comments, error: commentsError } = await supabase
-      .from('feed_comments')
-      .select(`
-        *,
-        user:users(name)
-      `)
-      .order('created_at', { ascending: true });
-
-    if (commentsError) throw commentsError;
+    // Fetch posts with likes (👍 reactions) and comments
+    const [posts, reactions, comments, cachedUsers] = await Promise.all([
+      pullTable('feed_posts', { select: '*, user:users(name)' }).then(rows => sortRows(rows, 'created_at', true)),
+      pullTable('feed_reactions'),
+      pullTable('feed_comments', { select: '*, user:users(name)' }).then(rows => sortRows(rows, 'created_at')),
+      loadServerRows('users'),
+    ]);
+    const likes = reactions.filter(reaction => reaction.emoji === '👍');
+    // Names come from the users cache so renames show on older posts too
+    const getUserName = (row) => cachedUsers[row.user_id]?.name || row.user?.name || 'Unknown';
 
     // Transform to app format
-    const feed = (posts || []).map(post => {
+    const feed = applyLocalOperations('feed_posts', posts).map(post => {
       const postLikes = (likes || []).filter(like => like.post_id === post.id);
       const postComments = (comments || []).filter(comment => comment.post_id === post.id);
 
       return {
         id: post.id,
         userId: post.user_id,
-        userName: post.user?.name || 'Unknown',
+        userName: getUserName(post),
         content: post.content,
         timestamp: new Date(post.created_at).getTime(),
         likes: postLikes.map(like => like.user_id),
         comments: postComments.map(comment => ({
           id: comment.id,
           userId: comment.user_id,
-          userName: comment.user?.name || 'Unknown',
+          userName: getUserName(comment),
           content: comment.content,
           timestamp: new Date(comment.created_at).getTime(),
         })),
@@ -348,7 +1002,7 @@ export const syncFeedFromSupabase = async () => {
       };
     });
 
-    await storage.set('feed', feed);
+    await storage.feed.save(feed);
     return feed;
   } catch (error) {
     const isTableNotFound = error?.code === 'PGRST205' || 
@@ -367,12 +1021,7 @@ export const syncFeedFromSupabase = async () => {
 // Sync achievements from Supabase to IndexedDB
 export const syncAchievementsFromSupabase = async () => {
   try {
-    const { data, error } = await supabase
-      .from('achievements')
-      .select('*')
-      .order('created_at', { ascending: true });
-
-    if (error) throw error;
+    const data = sortRows(await pullTable('achievements'), 'created_at');
 
     await storage.set('achievements', data || []);
     return data || [];
@@ -390,32 +1039,169 @@ export const syncAchievementsFromSupabase = async () => {
   }
 };
 
-// Sync challenges from Supabase to IndexedDB
-export const syncChallengesFromSupabase = async () => {
+// Sync system settings from Supabase to IndexedDB
+// Stored as { key: value } so callers can read e.g. systemSettings.xp_curve
+export const syncSystemSettingsFromSupabase = async () => {
+  try {
+    const data = await pullTable('system_settings');
+
+    const systemSettings = {};
+    applyLocalOperations('system_settings', data).forEach(setting => {
+      systemSettings[setting.key] = setting.value;
+    });
+
+    await storage.set('systemSettings', systemSettings);
+    return systemSettings;
+  } catch (error) {
+    const errorMsg = getErrorMessage(error, 'system_settings');
+    console.error('Failed to sync system settings from Supabase:', {
+      error,
+      message: errorMsg,
+      code: error?.code,
+    });
+    return null;
+  }
+};
+
+// Sync activity categories from Supabase to IndexedDB
+export const syncCategoriesFromSupabase = async () => {
+  try {
+    const data = await pullTable('categories');
+
+    const categories = normalizeCategories(applyLocalOperations('categories', data));
+    await storage.set('categories', categories);
+    return categories;
+  } catch (error) {
+    const errorMsg = getErrorMessage(error, 'categories');
+    console.error('Failed to sync categories from Supabase:', {
+      error,
+      message: errorMsg,
+      code: error?.code,
+    });
+    return null;
+  }
+};
+
+// Sync goal templates from Supabase to IndexedDB
+export const syncGoalTemplatesFromSupabase = async () => {
+  try {
+    const data = sortRows(await pullTable('goal_templates'), 'name');
+
+    const goalTemplates = applyLocalOperations('goal_templates', data).map(transformGoalTemplate);
+    await storage.set('goalTemplates', goalTemplates);
+    return goalTemplates;
+  } catch (error) {
+    const errorMsg = getErrorMessage(error, 'goal_templates');
+    console.error('Failed to sync goal templates from Supabase:', {
+      error,
+      message: errorMsg,
+      code: error?.code,
+    });
+    return null;
+  }
+};
+
+// Sync customers from Supabase to IndexedDB
+export const syncCustomersFromSupabase = async () => {
+  try {
+    const data = sortRows(await pullTable('customers'), 'name');
+
+    const customers = applyLocalOperations('customers', data).map(transformCustomer);
+    await storage.set('customers', customers);
+    return customers;
+  } catch (error) {
+    const errorMsg = getErrorMessage(error, 'customers');
+    console.error('Failed to sync customers from Supabase:', {
+      error,
+      message: errorMsg,
+      code: error?.code,
+    });
+    if (isMissingTableError(error)) {
+      console.warn('⚠️ Missing table detected. Run migration: supabase/migrations/028_customers.sql');
+    }
+    return null;
+  }
+};
+
+// Sync deals from Supabase to IndexedDB, most recently updated first
+export const syncDealsFromSupabase = async () => {
+  try {
+    const data = sortRows(await pullTable('deals'), 'updated_at', true);
+
+    const deals = applyLocalOperations('deals', data).map(transformDeal);
+    await storage.set('deals', deals);
+    return deals;
+  } catch (error) {
+    const errorMsg = getErrorMessage(error, 'deals');
+    console.error('Failed to sync deals from Supabase:', {
+      error,
+      message: errorMsg,
+      code: error?.code,
+    });
+    if (isMissingTableError(error)) {
+      console.warn('⚠️ Missing table detected. Run migration: supabase/migrations/029_deals.sql');
+    }
+    return null;
+  }
+};
+
+// Sync follow-up tasks from Supabase to IndexedDB, soonest due first
+// Reps only receive their own (030_tasks.sql); managers get the team's. What
+// a user can see depends on who is signed in, so the table is pulled in full
+// rather than as a delta of this device's cache, and the cache is replaced.
+export const syncTasksFromSupabase = async () => {
   try {
     const { data, error } = await supabase
-      .from('challenges')
+      .from('tasks')
       .select('*')
-      .eq('is_active', true)
-      .order('created_at', { ascending: false });
-
+      .order('due_date', { ascending: true });
     if (error) throw error;
+    await saveServerRows('tasks', Object.fromEntries(data.map(row => [String(row.id), row])));
+
+    const tasks = applyLocalOperations('tasks', data).map(transformTask);
+    await storage.set('tasks', tasks);
+    return tasks;
+  } catch (error) {
+    const errorMsg = getErrorMessage(error, 'tasks');
+    console.error('Failed to sync tasks from Supabase:', {
+      error,
+      message: errorMsg,
+      code: error?.code,
+    });
+    if (isMissingTableError(error)) {
+      console.warn('⚠️ Missing table detected. Run migration: supabase/migrations/030_tasks.sql');
+    }
+    return null;
+  }
+};
+
+// Sync goal template assignments from Supabase to IndexedDB
+export const syncGoalAssignmentsFromSupabase = async () => {
+  try {
+    const data = await pullTable('goal_assignments');
+
+    const goalAssignments = applyLocalOperations('goal_assignments', data).map(transformGoalAssignment);
+    await storage.set('goalAssignments', goalAssignments);
+    return goalAssignments;
+  } catch (error) {
+    const errorMsg = getErrorMessage(error, 'goal_assignments');
+    console.error('Failed to sync goal assignments from Supabase:', {
+      error,
+      message: errorMsg,
+      code: error?.code,
+    });
+    return null;
+  }
+};
+
+// Sync challenges from Supabase to IndexedDB
+export const syncChallengesFromSupabase = async () => {
+  try {
+    // Inactive challenges stay cached so a delta pull sees them reactivated
+    const data = sortRows(await pullTable('challenges'), 'created_at', true);
 
     // Transform to app format
-    const challenges = (data || []).map(challenge => ({
-      id: challenge.id,
-      title: challenge.title,
-      description: challenge.description,
-      challengeType: challenge.challenge_type,
-      goalType: challenge.goal_type,
-      goalValue: challenge.goal_value,
-      xpReward: challenge.xp_reward,
-      startDate: challenge.start_date,
-      endDate: challenge.end_date,
-      isActive: challenge.is_active,
-      createdBy: challenge.created_by,
-      targetUsers: challenge.target_users || [],
-    }));
+    const challenges = data.filter(challenge => challenge.is_active).map(transformChallenge);
 
     await storage.set('challenges', challenges);
     return challenges;
@@ -436,22 +1222,10 @@ export const syncChallengesFromSupabase = async () => {
 // Sync user challenges from Supabase to IndexedDB
 export const syncUserChallengesFromSupabase = async () => {
   try {
-    const { data, error } = await supabase
-      .from('user_challenges')
-      .select('*')
-      .order('created_at', { ascending: false });
-
-    if (error) throw error;
+    const data = sortRows(await pullTable('user_challenges'), 'created_at', true);
 
     // Transform to app format
-    const userChallenges = (data || []).map(uc => ({
-      id: uc.id,
-      userId: uc.user_id,
-      challengeId: uc.challenge_id,
-      progress: uc.progress,
-      completed: uc.completed,
-      completedAt: uc.completed_at,
-    }));
+    const userChallenges = data.map(transformUserChallenge);
 
     await storage.set('userChallenges', userChallenges);
     return userChallenges;
@@ -472,12 +1246,7 @@ export const syncUserChallengesFromSupabase = async () => {
 // Sync rewards from Supabase to IndexedDB
 export const syncRewardsFromSupabase = async () => {
   try {
-    const { data, error } = await supabase
-      .from('rewards')
-      .select('*')
-      .order('created_at', { ascending: true });
-
-    if (error) throw error;
+    const data = sortRows(await pullTable('rewards'), 'created_at');
 
     // Transform to app format
     const rewards = (data || []).map(reward => ({
@@ -510,12 +1279,7 @@ export const syncRewardsFromSupabase = async () => {
 // Sync user rewards from Supabase to IndexedDB
 export const syncUserRewardsFromSupabase = async () => {
   try {
-    const { data, error } = await supabase
-      .from('user_rewards')
-      .select('*')
-      .order('earned_at', { ascending: false });
-
-    if (error) throw error;
+    const data = sortRows(await pullTable('user_rewards'), 'earned_at', true);
 
     // Transform to app format
     const userRewards = (data || []).map(ur => ({
@@ -546,14 +1310,11 @@ export const syncUserRewardsFromSupabase = async () => {
 // Sync audit log from Supabase to IndexedDB
 export const syncAuditLogFromSupabase = async () => {
   try {
-    // Only fetch last 1000 entries
-    const { data, error } = await supabase
-      .from('audit_log')
-      .select('*')
-      .order('timestamp', { ascending: false })
-      .limit(1000);
-
-    if (error) throw error;
+    // Only keep the last 1000 entries
+    const data = await pullTable('audit_log', {
+      fullQuery: query => query.order('timestamp', { ascending: false }).limit(1000),
+      keep: rows => sortRows(rows, 'timestamp', true).slice(0, 1000),
+    });
 
     // Transform to app format
     const auditLog = (data || []).map(log => ({
@@ -583,6 +1344,37 @@ export const syncAuditLogFromSupabase = async () => {
   }
 };
 
+// Sync the signed-in user's notifications from Supabase to IndexedDB.
+// RLS only returns the user's own, so this is a short full pull rather than
+// a delta sync, which also picks up the right inbox after switching users.
+export const syncNotificationsFromSupabase = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('notifications')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(INBOX_LIMIT);
+    if (error) throw error;
+
+    // Keep read marks still waiting in the queue
+    const notifications = applyLocalOperations('notifications', data).map(transformNotification);
+
+    await storage.set('notifications', notifications);
+    return notifications;
+  } catch (error) {
+    const errorMsg = getErrorMessage(error, 'notifications');
+    console.error('Failed to sync notifications from Supabase:', {
+      error,
+      message: errorMsg,
+      code: error?.code,
+    });
+    if (isMissingTableError(error)) {
+      console.warn('⚠️ Missing table detected. Run migration: supabase/migrations/025_notifications.sql');
+    }
+    return null;
+  }
+};
+
 // Sync all data from Supabase
 export const syncAllFromSupabase = async () => {
   if (!navigator.onLine) {
@@ -590,43 +1382,53 @@ export const syncAllFromSupabase = async () => {
     return null;
   }
 
+  // Signed out, only the sign-in directory is readable; the other caches are
+  // left as they are until someone signs in and they are pulled again
+  const { data: pullUserId, error: sessionError } = await supabase.rpc('current_app_user_id');
+  if (!sessionError && !pullUserId) {
+    const users = await syncSignInDirectoryFromSupabase();
+    pullStatus = { ...pullStatus, userId: null };
+    notifyStatusListeners();
+    return users ? { users } : null;
+  }
+
+  // Each table counts towards progress as soon as it is done
+  const tracked = (promise) => promise.finally(() => {
+    pullStatus = { ...pullStatus, completed: pullStatus.completed + 1 };
+    notifyStatusListeners();
+  });
+
+  // Result key and pull for each table
+  const pulls = [
+    ['users', syncUsersFromSupabase],
+    ['dailyLogs', syncDailyLogsFromSupabase],
+    ['appointments', syncAppointmentsFromSupabase],
+    ['feed', syncFeedFromSupabase],
+    ['achievements', syncAchievementsFromSupabase],
+    ['challenges', syncChallengesFromSupabase],
+    ['userChallenges', syncUserChallengesFromSupabase],
+    ['rewards', syncRewardsFromSupabase],
+    ['userRewards', syncUserRewardsFromSupabase],
+    ['auditLog', syncAuditLogFromSupabase],
+    ['systemSettings', syncSystemSettingsFromSupabase],
+    ['categories', syncCategoriesFromSupabase],
+    ['goalTemplates', syncGoalTemplatesFromSupabase],
+    ['goalAssignments', syncGoalAssignmentsFromSupabase],
+    ['notifications', syncNotificationsFromSupabase],
+    ['customers', syncCustomersFromSupabase],
+    ['deals', syncDealsFromSupabase],
+    ['tasks', syncTasksFromSupabase],
+  ];
+
+  pullStatus = { ...pullStatus, isPulling: true, completed: 0, total: pulls.length, tables: {} };
+  notifyStatusListeners();
+
   try {
-    const [
-      users,
-      dailyLogs,
-      appointments,
-      feed,
-      achievements,
-      challenges,
-      userChallenges,
-      rewards,
-      userRewards,
-      auditLog,
-    ] = await Promise.all([
-      syncUsersFromSupabase(),
-      syncDailyLogsFromSupabase(),
-      syncAppointmentsFromSupabase(),
-      syncFeedFromSupabase(),
-      syncAchievementsFromSupabase(),
-      syncChallengesFromSupabase(),
-      syncUserChallengesFromSupabase(),
-      syncRewardsFromSupabase(),
-      syncUserRewardsFromSupabase(),
-      syncAuditLogFromSupabase(),
-    ]);
+    const results = await Promise.all(pulls.map(([, pull]) => tracked(pull())));
+
+    pullStatus = { ...pullStatus, lastPulledAt: new Date().toISOString(), userId: pullUserId || null };
 
-    return {
-      users,
-      dailyLogs,
-      appointments,
-      feed,
-      achievements,
-      challenges,
-      userChallenges,
-      rewards,
-      userRewards,
-      auditLog,
-    };
+    return Object.fromEntries(pulls.map(([key], index) => [key, results[index]]));
   } catch (error) {
     const isTableNotFound = error?.code === 'PGRST205' || 
                            error?.message?.includes('PGRST205') ||
@@ -638,5 +1440,8 @@ export const syncAllFromSupabase = async () => {
       console.error('Failed to sync all data from Supabase:', error);
     }
     return null;
+  } finally {
+    pullStatus = { ...pullStatus, isPulling: false };
+    notifyStatusListeners();
   }
 };
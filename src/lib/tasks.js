@@ -0,0 +1,122 @@
+/**
+ * Follow-up Tasks for Window Depot Tracker
+ * An appointment marked Follow-up Needed, or with the outcome Callback
+ * Needed, gets a task for its rep due on the appointment's follow-up date.
+ * The database creates, moves and removes the task as the appointment
+ * changes (supabase/migrations/030_tasks.sql); applyAppointmentToTasks()
+ * mirrors it so the task shows straight away. Completing a callback task
+ * counts one callback.
+ */
+
+export const TASK_TYPES = ['callback', 'followup'];
+
+// Category a completed task of each type adds to
+export const TASK_CATEGORY = { callback: 'callbacks' };
+
+/**
+ * Transform a task from Supabase format (snake_case) to app format (camelCase)
+ */
+export const transformTask = (task) => ({
+  id: task.id,
+  userId: task.user_id ?? task.userId,
+  appointmentId: task.appointment_id ?? task.appointmentId,
+  customerId: task.customer_id ?? task.customerId ?? null,
+  customerName: task.customer_name ?? task.customerName,
+  type: task.type || 'followup',
+  dueDate: task.due_date ?? task.dueDate,
+  completedAt: task.completed_at ?? task.completedAt ?? null,
+  createdAt: task.created_at ?? task.createdAt ?? null,
+  updatedAt: task.updated_at ?? task.updatedAt ?? null,
+});
+
+/**
+ * Transform a task from app format (camelCase) to Supabase format (snake_case)
+ */
+export const transformTaskToDatabase = (task) => ({
+  id: task.id,
+  user_id: task.userId,
+  appointment_id: task.appointmentId,
+  customer_id: task.customerId || null,
+  customer_name: task.customerName,
+  type: task.type,
+  due_date: task.dueDate,
+  completed_at: task.completedAt || null,
+});
+
+/**
+ * The follow-up an appointment calls for, if any
+ * Mirrors sync_appointment_task() in 030_tasks.sql.
+ * @param {object} appointment - App-format appointment
+ * @returns {{type: string, dueDate: string}|null}
+ */
+export const getAppointmentFollowup = (appointment) => {
+  const needed = appointment.status === 'followup_needed' || appointment.outcome === 'callback_needed';
+  if (!needed || !appointment.followupDate) return null;
+  return {
+    type: appointment.outcome === 'callback_needed' ? 'callback' : 'followup',
+    dueDate: appointment.followupDate,
+  };
+};
+
+/**
+ * Tasks after an appointment changes: its open task is added, moved to the
+ * new date or removed. A task added here has a temp_ id until the server's
+ * copy syncs.
+ * @param {Array} tasks - App-format tasks
+ * @param {object} appointment - The appointment as it is now
+ * @returns {Array}
+ */
+export const applyAppointmentToTasks = (tasks, appointment) => {
+  const followup = getAppointmentFollowup(appointment);
+  const open = tasks.find(t => t.appointmentId === appointment.id && !t.completedAt);
+
+  if (!followup) {
+    return open ? tasks.filter(t => t !== open) : tasks;
+  }
+
+  const task = {
+    ...open,
+    id: open?.id || `temp_${appointment.id}`,
+    userId: appointment.userId,
+    appointmentId: appointment.id,
+    customerId: appointment.customerId || null,
+    customerName: appointment.customerName,
+    ...followup,
+    completedAt: null,
+    updatedAt: new Date().toISOString(),
+  };
+  return open ? tasks.map(t => (t === open ? task : t)) : [...tasks, task];
+};
+
+/**
+ * Describe a task, e.g. 'Call back Pat Smith'
+ * @param {object} task - App-format task
+ * @returns {string}
+ */
+export const describeTask = (task) =>
+  `${task.type === 'callback' ? 'Call back' : 'Follow up with'} ${task.customerName}`;
+
+/**
+ * A user's open tasks due by a date, soonest first
+ * @param {Array} tasks - App-format tasks
+ * @param {string} userId - User ID
+ * @param {string} date - YYYY-MM-DD; tasks due on or before it
+ * @returns {Array}
+ */
+export const getDueTasks = (tasks, userId, date) =>
+  (tasks || [])
+    .filter(t => t.userId === userId && !t.completedAt && t.dueDate <= date)
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+
+const tasksModule = {
+  TASK_TYPES,
+  TASK_CATEGORY,
+  transformTask,
+  transformTaskToDatabase,
+  getAppointmentFollowup,
+  applyAppointmentToTasks,
+  describeTask,
+  getDueTasks,
+};
+
+export default tasksModule;
@@ -1,6 +1,8 @@
 /**
  * Webhook Event Emitter
- * Emits events to webhook dispatcher for delivery to subscribed webhooks
+ * Emits events to webhook dispatcher for delivery to subscribed webhooks.
+ * Team events in PUSH_EVENT_TYPES also go to the push dispatcher, which
+ * sends them to subscribed devices as Web Push (see src/lib/push.js).
  */
 
 import { supabase, isSupabaseConfigured } from './supabase';
@@ -41,6 +43,41 @@ export async function emitWebhookEvent(eventType, payload, userId = null) {
   } catch (error) {
     console.error('Error emitting webhook event:', error);
   }
+
+  if (PUSH_EVENT_TYPES.includes(eventType)) {
+    await sendPushEvent(eventType, payload);
+  }
+}
+
+/**
+ * Send a team event to subscribed devices as Web Push. The push dispatcher
+ * checks the session belongs to a manager and reads the event's row itself.
+ * @param {string} eventType - One of PUSH_EVENT_TYPES
+ * @param {object} payload - Event payload; needs the row's id
+ */
+async function sendPushEvent(eventType, payload) {
+  try {
+    const { data } = await supabase.auth.getSession();
+    const accessToken = data?.session?.access_token;
+    if (!accessToken) return;
+
+    const supabaseUrl = process.env.REACT_APP_SUPABASE_URL || '';
+    const response = await fetch(`${supabaseUrl}/functions/v1/push-dispatcher`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${accessToken}`,
+        apikey: process.env.REACT_APP_SUPABASE_ANON_KEY || '',
+      },
+      body: JSON.stringify({ event_type: eventType, payload }),
+    });
+
+    if (!response.ok) {
+      console.error('Failed to send push notification:', await response.text());
+    }
+  } catch (error) {
+    console.error('Error sending push notification:', error);
+  }
 }
 
 /**
@@ -55,8 +92,19 @@ export const WEBHOOK_EVENTS = {
   FEED_POST_CREATED: 'feed_post.created',
   USER_CREATED: 'user.created',
   USER_UPDATED: 'user.updated',
+  ANNOUNCEMENT_CREATED: 'announcement.created',
+  CHALLENGE_CREATED: 'challenge.created',
 };
 
+/**
+ * Events also sent to phones as Web Push
+ * (keep in sync with supabase/functions/push-dispatcher)
+ */
+export const PUSH_EVENT_TYPES = [
+  WEBHOOK_EVENTS.ANNOUNCEMENT_CREATED,
+  WEBHOOK_EVENTS.CHALLENGE_CREATED,
+];
+
 /**
  * Convenience functions for specific events
  */
@@ -94,13 +142,26 @@ export async function emitAppointmentCreated(appointment, userId) {
   }, userId);
 }
 
-export async function emitAppointmentUpdated(appointment, userId) {
-  await emitWebhookEvent(WEBHOOK_EVENTS.APPOINTMENT_UPDATED, {
+/**
+ * Payload of appointment.updated from an appointments row, so edits queued
+ * offline send the same payload when they sync
+ */
+export function getAppointmentUpdatedPayload(appointment) {
+  return {
     id: appointment.id,
     user_id: appointment.user_id,
     customer_name: appointment.customer_name,
-    appointment_date: appointment.appointment_date,
-  }, userId);
+    appointment_date: appointment.appointment_date || appointment.date,
+    time: appointment.time,
+    status: appointment.status,
+    outcome: appointment.outcome,
+    sale_amount: appointment.sale_amount,
+    followup_date: appointment.followup_date,
+  };
+}
+
+export async function emitAppointmentUpdated(appointment, userId) {
+  await emitWebhookEvent(WEBHOOK_EVENTS.APPOINTMENT_UPDATED, getAppointmentUpdatedPayload(appointment), userId);
 }
 
 export async function emitGoalAchieved(userId, goalType, date) {
@@ -0,0 +1,225 @@
+/**
+ * XP and Level Curve for Window Depot Tracker
+ * Managers define the curve in system_settings (key 'xp_curve'): multipliers
+ * for days where every goal is met and for streaks, and the total XP needed
+ * to reach each level. XP per activity (categoryXp) comes from the xp_weight
+ * of each category (src/lib/categories.js). The server applies the same rules
+ * in calculate_activity_xp() / calculate_level()
+ * (supabase/migrations/015_xp_curve.sql, 017_categories.sql).
+ */
+
+import { addDays } from './dates';
+
+export const XP_CURVE_SETTING_KEY = 'xp_curve';
+
+export const DEFAULT_XP_CURVE = {
+  // XP for each logged activity
+  categoryXp: { reviews: 15, demos: 25, callbacks: 5 },
+  // Applied to a day's activity XP when every goal is met
+  goalMultiplier: 1.5,
+  // Each consecutive goal-met day adds this much to the goal multiplier...
+  streakBonusPerDay: 0.1,
+  // ...up to this cap
+  maxStreakMultiplier: 2,
+  // Total XP needed for level 1, 2, 3, ... (later levels repeat the last gap)
+  levelThresholds: [0, 100, 250, 450, 700, 1000, 1400, 1900, 2500, 3200],
+};
+
+const toNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+/**
+ * Fill in missing fields of a stored curve with defaults
+ * @param {object} curve - Value of the xp_curve setting (may be partial)
+ * @returns {object} Complete curve
+ */
+export const normalizeXpCurve = (curve) => {
+  const source = curve || {};
+  const thresholds = Array.isArray(source.levelThresholds) && source.levelThresholds.length > 0
+    ? source.levelThresholds.map(t => Math.max(0, Math.round(toNumber(t, 0))))
+    : DEFAULT_XP_CURVE.levelThresholds;
+
+  return {
+    categoryXp: { ...DEFAULT_XP_CURVE.categoryXp, ...(source.categoryXp || {}) },
+    goalMultiplier: toNumber(source.goalMultiplier, DEFAULT_XP_CURVE.goalMultiplier),
+    streakBonusPerDay: toNumber(source.streakBonusPerDay, DEFAULT_XP_CURVE.streakBonusPerDay),
+    maxStreakMultiplier: toNumber(source.maxStreakMultiplier, DEFAULT_XP_CURVE.maxStreakMultiplier),
+    levelThresholds: thresholds,
+  };
+};
+
+/**
+ * Validate a curve before saving it
+ * @param {object} curve - Complete curve
+ * @returns {string|null} Error message or null if valid
+ */
+export const validateXpCurve = (curve) => {
+  const invalidCategory = Object.entries(curve.categoryXp || {})
+    .find(([, xp]) => !Number.isInteger(xp) || xp < 0 || xp > 1000);
+  if (invalidCategory) return `XP for ${invalidCategory[0]} must be a whole number between 0 and 1000`;
+
+  if (!(curve.goalMultiplier >= 1 && curve.goalMultiplier <= 10)) {
+    return 'Goal multiplier must be between 1 and 10';
+  }
+  if (!(curve.streakBonusPerDay >= 0 && curve.streakBonusPerDay <= 1)) {
+    return 'Streak bonus per day must be between 0 and 1';
+  }
+  if (!(curve.maxStreakMultiplier >= 1 && curve.maxStreakMultiplier <= 10)) {
+    return 'Max streak multiplier must be between 1 and 10';
+  }
+
+  const thresholds = curve.levelThresholds || [];
+  if (thresholds.length < 2) return 'Define at least two level thresholds';
+  if (thresholds[0] !== 0) return 'Level 1 must start at 0 XP';
+  if (thresholds.some((t, i) => i > 0 && t <= thresholds[i - 1])) {
+    return 'Level thresholds must increase with every level';
+  }
+  return null;
+};
+
+/**
+ * Total XP needed to reach a level
+ * @param {number} level - Level (1-based)
+ * @param {object} curve - XP curve
+ * @returns {number} XP threshold
+ */
+export const getLevelThreshold = (level, curve = DEFAULT_XP_CURVE) => {
+  const thresholds = normalizeXpCurve(curve).levelThresholds;
+  if (level <= 1) return 0;
+  if (level <= thresholds.length) return thresholds[level - 1];
+
+  const last = thresholds[thresholds.length - 1];
+  const gap = thresholds.length > 1 ? Math.max(1, last - thresholds[thresholds.length - 2]) : 100;
+  return last + (level - thresholds.length) * gap;
+};
+
+/**
+ * Level for a total XP amount
+ * @param {number} xp - Total XP
+ * @param {object} curve - XP curve
+ * @returns {number} Level
+ */
+export const calculateLevel = (xp, curve = DEFAULT_XP_CURVE) => {
+  const total = Math.max(0, xp || 0);
+  const thresholds = normalizeXpCurve(curve).levelThresholds;
+  const last = thresholds[thresholds.length - 1];
+
+  if (total < last) {
+    return Math.max(1, thresholds.filter(t => t <= total).length);
+  }
+  const gap = thresholds.length > 1 ? Math.max(1, last - thresholds[thresholds.length - 2]) : 100;
+  return thresholds.length + Math.floor((total - last) / gap);
+};
+
+/**
+ * Progress through the current level
+ * @param {number} xp - Total XP
+ * @param {object} curve - XP curve
+ * @returns {{level: number, currentLevelXP: number, xpForNextLevel: number, xpToNextLevel: number, xpProgress: number}}
+ */
+export const getLevelProgress = (xp, curve = DEFAULT_XP_CURVE) => {
+  const total = Math.max(0, xp || 0);
+  const level = calculateLevel(total, curve);
+  const levelStart = getLevelThreshold(level, curve);
+  const xpForNextLevel = getLevelThreshold(level + 1, curve) - levelStart;
+  const currentLevelXP = total - levelStart;
+
+  return {
+    level,
+    currentLevelXP,
+    xpForNextLevel,
+    xpToNextLevel: xpForNextLevel - currentLevelXP,
+    xpProgress: Math.round((currentLevelXP / xpForNextLevel) * 100),
+  };
+};
+
+/**
+ * Multiplier for a day where every goal was met
+ * @param {number} streakDays - Consecutive goal-met days including this one
+ * @param {object} curve - XP curve
+ * @returns {number}
+ */
+export const getGoalDayMultiplier = (streakDays, curve = DEFAULT_XP_CURVE) => {
+  const { goalMultiplier, streakBonusPerDay, maxStreakMultiplier } = normalizeXpCurve(curve);
+  const streakMultiplier = Math.min(1 + streakBonusPerDay * Math.max(0, streakDays - 1), maxStreakMultiplier);
+  return goalMultiplier * streakMultiplier;
+};
+
+/**
+ * Activity XP for one day
+ * @param {object} counts - { category: count } for the day
+ * @param {object} curve - XP curve
+ * @param {number} streakDays - Consecutive goal-met days including this one (0 if goals were missed)
+ * @returns {number}
+ */
+export const calculateDayXP = (counts, curve = DEFAULT_XP_CURVE, streakDays = 0) => {
+  const { categoryXp } = normalizeXpCurve(curve);
+  const base = Object.entries(counts || {})
+    .reduce((sum, [category, count]) => sum + (Number(count) || 0) * (categoryXp[category] || 0), 0);
+  return Math.round(streakDays > 0 ? base * getGoalDayMultiplier(streakDays, curve) : base);
+};
+
+/**
+ * Activity XP per day for a user, with goal and streak multipliers applied
+ * @param {object} user - User with id and goals
+ * @param {object} dailyLogs - App format: { date: { userId: { category: count } } }
+ * @param {object} curve - XP curve
+ * @returns {object} { date: xp }
+ */
+export const calculateDailyXP = (user, dailyLogs, curve = DEFAULT_XP_CURVE) => {
+  const goals = Object.entries(user?.goals || {}).filter(([, goal]) => Number(goal) > 0);
+  const result = {};
+  let streak = 0;
+  let previousDate = null;
+
+  Object.keys(dailyLogs || {}).sort().forEach(date => {
+    const counts = dailyLogs[date]?.[user.id];
+    if (!counts) return;
+
+    const allGoalsMet = goals.length > 0 && goals.every(([category, goal]) => (counts[category] || 0) >= goal);
+    if (allGoalsMet) {
+      streak = previousDate && addDays(previousDate, 1) === date ? streak + 1 : 1;
+      previousDate = date;
+    } else {
+      streak = 0;
+      previousDate = null;
+    }
+
+    result[date] = calculateDayXP(counts, curve, allGoalsMet ? streak : 0);
+  });
+
+  return result;
+};
+
+/**
+ * Total activity XP for a user, optionally limited to a date range
+ * Streaks that started before the range still count towards multipliers.
+ * @param {object} user - User with id and goals
+ * @param {object} dailyLogs - App format dailyLogs
+ * @param {object} curve - XP curve
+ * @param {string} startDate - Inclusive YYYY-MM-DD (optional)
+ * @param {string} endDate - Inclusive YYYY-MM-DD (optional)
+ * @returns {number}
+ */
+export const calculateActivityXP = (user, dailyLogs, curve = DEFAULT_XP_CURVE, startDate = null, endDate = null) =>
+  Object.entries(calculateDailyXP(user, dailyLogs, curve))
+    .filter(([date]) => (!startDate || date >= startDate) && (!endDate || date <= endDate))
+    .reduce((sum, [, xp]) => sum + xp, 0);
+
+const xpModule = {
+  XP_CURVE_SETTING_KEY,
+  DEFAULT_XP_CURVE,
+  normalizeXpCurve,
+  validateXpCurve,
+  getLevelThreshold,
+  calculateLevel,
+  getLevelProgress,
+  getGoalDayMultiplier,
+  calculateDayXP,
+  calculateDailyXP,
+  calculateActivityXP,
+};
+
+export default xpModule;
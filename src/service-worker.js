@@ -0,0 +1,135 @@
+/* eslint-disable no-restricted-globals */
+
+/**
+ * Service Worker
+ * Built by react-scripts (Workbox InjectManifest) into build/service-worker.js
+ * and registered from src/serviceWorkerRegistration.js.
+ *
+ * - Precaches the build, so the app shell opens without a connection
+ * - Serves index.html for navigations (the app routes client-side)
+ * - On Background Sync, asks an open tab to flush the sync queue
+ * - Shows Web Push messages from the push-dispatcher edge function
+ * - Opens the app on the right view when a notification is clicked
+ *
+ * Supabase requests are never cached; offline data lives in IndexedDB.
+ */
+
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+
+// Keep in sync with src/serviceWorkerRegistration.js
+const SYNC_QUEUE_TAG = 'flush-sync-queue';
+const FLUSH_TIMEOUT_MS = 60 * 1000;
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// App shell: navigations get index.html, except URLs for files or internal routes
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) =>
+    request.mode === 'navigate' &&
+    url.origin === self.location.origin &&
+    !url.pathname.startsWith('/_') &&
+    !url.pathname.match(fileExtensionRegexp),
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Same-origin images and icons that are not part of the build
+registerRoute(
+  ({ request, url }) => url.origin === self.location.origin && request.destination === 'image',
+  new StaleWhileRevalidate({
+    cacheName: 'images',
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })],
+  })
+);
+
+// Web fonts (the stylesheet from src/index.css is an opaque response)
+registerRoute(
+  ({ url }) => url.origin === 'https://fonts.googleapis.com' || url.origin === 'https://fonts.gstatic.com',
+  new CacheFirst({
+    cacheName: 'fonts',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 30, maxAgeSeconds: 365 * 24 * 60 * 60 }),
+    ],
+  })
+);
+
+// The update prompt posts this when the user chooses to reload
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Ask one open tab to process the queue, resolving with whether it emptied.
+// The queue and the signed-in session live in the page, so the worker cannot
+// send it by itself; with no tab open the sync fails and the browser retries.
+const flushSyncQueue = async () => {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (windows.length === 0) {
+    throw new Error('No open app window to flush the sync queue');
+  }
+
+  const { pending } = await new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => reject(new Error('Sync queue flush timed out')), FLUSH_TIMEOUT_MS);
+    channel.port1.onmessage = (event) => {
+      clearTimeout(timer);
+      resolve(event.data || {});
+    };
+    windows[0].postMessage({ type: 'FLUSH_SYNC_QUEUE' }, [channel.port2]);
+  });
+
+  if (pending !== 0) {
+    throw new Error('Sync queue not flushed yet');
+  }
+};
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === SYNC_QUEUE_TAG) {
+    event.waitUntil(flushSyncQueue());
+  }
+});
+
+// Team events from supabase/functions/push-dispatcher: { title, body, tag, view }
+self.addEventListener('push', (event) => {
+  let message = {};
+  try {
+    message = event.data ? event.data.json() : {};
+  } catch (error) {
+    message = { body: event.data.text() };
+  }
+
+  event.waitUntil(self.registration.showNotification(message.title || 'Window Depot Tracker', {
+    body: message.body || '',
+    tag: message.tag,
+    icon: `${process.env.PUBLIC_URL}/logo192.png`,
+    badge: `${process.env.PUBLIC_URL}/logo192.png`,
+    data: { view: message.view },
+  }));
+});
+
+// Focus an open tab on the notification's view (src/lib/notifications.js), or open one
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const data = event.notification.data || {};
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+      const client = windows[0];
+      await client.focus();
+      client.postMessage({ type: 'NOTIFICATION_CLICK', data });
+      return;
+    }
+    const view = data.view ? `?view=${encodeURIComponent(data.view)}` : '';
+    await self.clients.openWindow(`${self.registration.scope}${view}`);
+  })());
+});
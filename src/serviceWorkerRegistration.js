@@ -0,0 +1,145 @@
+// Service Worker Registration
+// Registers src/service-worker.js in production builds, tells the app when a
+// new build is waiting, and lets the sync queue ask for Background Sync.
+
+// Keep in sync with src/service-worker.js
+const SYNC_QUEUE_TAG = 'flush-sync-queue';
+
+const isLocalhost = typeof window !== 'undefined' && Boolean(
+  window.location.hostname === 'localhost' ||
+  window.location.hostname === '[::1]' ||
+  window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+let waitingRegistration = null;
+const updateListeners = new Set();
+
+const notifyUpdate = (registration) => {
+  waitingRegistration = registration;
+  updateListeners.forEach(listener => listener(registration));
+};
+
+// Watch for a new service worker finishing install while an old one controls the page
+const watchForUpdates = (registration) => {
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    notifyUpdate(registration);
+  }
+
+  registration.onupdatefound = () => {
+    const installingWorker = registration.installing;
+    if (!installingWorker) return;
+    installingWorker.onstatechange = () => {
+      if (installingWorker.state === 'installed' && navigator.serviceWorker.controller) {
+        notifyUpdate(registration);
+      }
+    };
+  };
+};
+
+/**
+ * Register the service worker (production builds only)
+ * @param {object} options
+ * @param {Function} options.onSyncRequest - Flushes the sync queue when the
+ *   worker gets a Background Sync event; resolves with { pending }
+ */
+export const register = ({ onSyncRequest } = {}) => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // The worker is served from PUBLIC_URL, so it cannot control another origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  navigator.serviceWorker.addEventListener('message', async (event) => {
+    if (event.data?.type !== 'FLUSH_SYNC_QUEUE' || !event.ports[0]) return;
+    try {
+      const result = onSyncRequest ? await onSyncRequest() : {};
+      event.ports[0].postMessage(result);
+    } catch (error) {
+      console.error('Background sync flush failed:', error);
+      event.ports[0].postMessage({ pending: -1, error: error.message });
+    }
+  });
+
+  window.addEventListener('load', async () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    try {
+      if (isLocalhost) {
+        // A different app may have left a worker on this port
+        const response = await fetch(swUrl, { headers: { 'Service-Worker': 'script' } });
+        const contentType = response.headers.get('content-type');
+        if (response.status === 404 || (contentType && !contentType.includes('javascript'))) {
+          const registration = await navigator.serviceWorker.ready;
+          await registration.unregister();
+          window.location.reload();
+          return;
+        }
+      }
+
+      const registration = await navigator.serviceWorker.register(swUrl);
+      watchForUpdates(registration);
+
+      // Installed apps can stay open for days; look for new builds hourly
+      setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+    } catch (error) {
+      if (isLocalhost) {
+        console.log('No internet connection found. App is running in offline mode.');
+      } else {
+        console.error('Error during service worker registration:', error);
+      }
+    }
+  });
+};
+
+/**
+ * Call a listener when a new build has been installed and is waiting
+ * @param {Function} listener - Receives the service worker registration
+ * @returns {Function} Unsubscribe
+ */
+export const onUpdateAvailable = (listener) => {
+  updateListeners.add(listener);
+  if (waitingRegistration) listener(waitingRegistration);
+  return () => updateListeners.delete(listener);
+};
+
+/**
+ * Activate the waiting build and reload once it takes over
+ */
+export const applyUpdate = () => {
+  const waitingWorker = waitingRegistration?.waiting;
+  if (!waitingWorker) {
+    window.location.reload();
+    return;
+  }
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+};
+
+/**
+ * Ask the browser to fire a Background Sync once the device is back online,
+ * so queued changes go out even if the app is in the background by then.
+ * Browsers without Background Sync fall back to the online event in App.jsx.
+ */
+export const requestBackgroundSync = async () => {
+  if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.sync) {
+      await registration.sync.register(SYNC_QUEUE_TAG);
+    }
+  } catch (error) {
+    console.warn('Background sync not available:', error);
+  }
+};
+
+/**
+ * Remove the service worker, e.g. to go back to online-only
+ */
+export const unregister = async () => {
+  if (!('serviceWorker' in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.unregister();
+  } catch (error) {
+    console.error(error.message);
+  }
+};
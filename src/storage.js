@@ -1,12 +1,78 @@
 // IndexedDB Storage Adapter
-// Provides window.storage API using IndexedDB for persistence
+// Provides window.storage API using IndexedDB for persistence.
+// Settings and small values live as key/value pairs in the `data` store.
+// Daily logs, appointments and feed posts have their own object stores with
+// one record per entry, so a change only writes the records it touches:
+//   storage.dailyLogs.query({ userId, from, to })
+//   storage.appointments.save(appointments)
+//   storage.feed.remove(postId)
+// The last server copy of synced rows is kept one record per row as well:
+//   storage.serverRows.getTable('customers')
 
 const DB_NAME = 'WindowDepotTracker';
-const DB_VERSION = 1;
+// 1: everything in `data`; 2: entity stores; 3: server row store
+const DB_VERSION = 3;
 const STORE_NAME = 'data';
+// Server rows are keyed by `${table}:${key}` and indexed by table
+const SERVER_ROWS_STORE = 'serverRows';
+
+// Entity stores and their indexes. Records are keyed by `id`;
+// a daily log record is `${date}:${userId}` with that user's counts.
+const ENTITY_STORES = {
+  dailyLogs: ['date', 'userId'],
+  appointments: ['date', 'userId', 'timestamp'],
+  feed: ['userId', 'timestamp'],
+};
 
 let db = null;
 
+// Daily logs are { date: { userId: { category: count } } } in the app
+const dailyLogsToRecords = (dailyLogs) =>
+  Object.entries(dailyLogs || {}).flatMap(([date, users]) =>
+    Object.entries(users || {}).map(([userId, counts]) => ({
+      id: `${date}:${userId}`,
+      date,
+      userId,
+      counts: counts || {},
+    }))
+  );
+
+const recordsToDailyLogs = (records) => {
+  const dailyLogs = {};
+  records.forEach(({ date, userId, counts }) => {
+    if (!dailyLogs[date]) dailyLogs[date] = {};
+    dailyLogs[date][userId] = counts;
+  });
+  return dailyLogs;
+};
+
+const parseStoredValue = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// Move the version 1 blobs from `data` into the entity stores
+const migrateBlobsToEntityStores = (transaction) => {
+  const dataStore = transaction.objectStore(STORE_NAME);
+  Object.keys(ENTITY_STORES).forEach(storeName => {
+    const request = dataStore.get(storeName);
+    request.onsuccess = () => {
+      const value = parseStoredValue(request.result);
+      if (!value) return;
+      const records = storeName === 'dailyLogs'
+        ? dailyLogsToRecords(value)
+        : (Array.isArray(value) ? value : []).filter(item => item?.id !== undefined);
+      const entityStore = transaction.objectStore(storeName);
+      records.forEach(record => entityStore.put(record));
+      dataStore.delete(storeName);
+    };
+  });
+};
+
 // Initialize IndexedDB
 const initDB = () => {
   return new Promise((resolve, reject) => {
@@ -24,6 +90,11 @@ const initDB = () => {
 
     request.onsuccess = () => {
       db = request.result;
+      // Let a newer version open in another tab
+      db.onversionchange = () => {
+        db.close();
+        db = null;
+      };
       resolve(db);
     };
 
@@ -32,13 +103,265 @@ const initDB = () => {
       if (!database.objectStoreNames.contains(STORE_NAME)) {
         database.createObjectStore(STORE_NAME);
       }
+
+      if (event.oldVersion < 2) {
+        Object.entries(ENTITY_STORES).forEach(([storeName, indexes]) => {
+          if (database.objectStoreNames.contains(storeName)) return;
+          const store = database.createObjectStore(storeName, { keyPath: 'id' });
+          indexes.forEach(index => store.createIndex(index, index));
+        });
+        if (event.oldVersion > 0) {
+          migrateBlobsToEntityStores(request.transaction);
+        }
+      }
+
+      if (event.oldVersion < 3) {
+        if (!database.objectStoreNames.contains(SERVER_ROWS_STORE)) {
+          const store = database.createObjectStore(SERVER_ROWS_STORE, { keyPath: 'id' });
+          store.createIndex('table', 'table');
+        }
+        // Per-table blobs of version 2; the next pull of each table refills the store
+        if (event.oldVersion > 0) {
+          request.transaction.objectStore(STORE_NAME)
+            .delete(IDBKeyRange.bound('syncRows:', 'syncRows:\uffff'));
+        }
+      }
     };
   });
 };
 
+// Run one transaction on an entity store; resolves with the result of the
+// request `work` returns (if any) once the transaction has committed
+const withEntityStore = async (storeName, mode, work) => {
+  const database = await initDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction([storeName], mode);
+    const request = work(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Deep equality for stored values, so unchanged entries are not rewritten
+const isSameValue = (a, b) => {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => isSameValue(a[key], b[key]));
+};
+
+/**
+ * Query API for one entity store
+ * @param {string} storeName - Key of ENTITY_STORES
+ * @param {object} format
+ * @param {Function} format.toRecords - App value to records
+ * @param {Function} format.fromRecords - Records to app value
+ * @param {Function} format.getSource - Object a record was built from, to spot changes by reference
+ */
+const createEntityStore = (storeName, { toRecords, fromRecords, getSource }) => {
+  // Last value written or read per record id, so save() only writes what changed
+  let known = null;
+
+  const remember = (records) => {
+    known = new Map(records.map(record => [record.id, getSource(record)]));
+  };
+
+  const readRecords = async (indexName, range) => {
+    try {
+      return await withEntityStore(storeName, 'readonly', store =>
+        (indexName ? store.index(indexName) : store).getAll(range));
+    } catch (error) {
+      console.error(`Storage read error for ${storeName}:`, error);
+      return [];
+    }
+  };
+
+  return {
+    /**
+     * Everything in the store, in app format
+     * @returns {Promise<object|Array>}
+     */
+    async getAll() {
+      const records = await readRecords();
+      remember(records);
+      return fromRecords(records);
+    },
+
+    /**
+     * One record by id, as stored (for appointments and feed, the app object)
+     * @param {string} id - Record id
+     * @returns {Promise<object|null>}
+     */
+    async get(id) {
+      try {
+        const record = await withEntityStore(storeName, 'readonly', store => store.get(id));
+        return record || null;
+      } catch (error) {
+        console.error(`Storage read error for ${storeName}:`, error);
+        return null;
+      }
+    },
+
+    /**
+     * Entries for a user and/or a date range, in app format
+     * @param {object} filter
+     * @param {string} filter.userId - Only this user's entries
+     * @param {string} filter.from - First date (YYYY-MM-DD), inclusive
+     * @param {string} filter.to - Last date (YYYY-MM-DD), inclusive
+     * @returns {Promise<object|Array>}
+     */
+    async query({ userId, from, to } = {}) {
+      const byDate = (from || to) && ENTITY_STORES[storeName].includes('date');
+      let records;
+      if (byDate) {
+        const range = from && to ? IDBKeyRange.bound(from, to)
+          : from ? IDBKeyRange.lowerBound(from)
+          : IDBKeyRange.upperBound(to);
+        records = await readRecords('date', range);
+        if (userId) records = records.filter(record => record.userId === userId);
+      } else if (userId) {
+        records = await readRecords('userId', IDBKeyRange.only(userId));
+      } else {
+        records = await readRecords();
+      }
+      return fromRecords(records);
+    },
+
+    /**
+     * Write the app's whole current value, touching only the entries that
+     * changed; entries missing from it are deleted. Changes are found by
+     * reference first, so pass new objects for changed entries (as React
+     * state updates do) rather than mutating them.
+     * @param {object|Array} value - App format
+     */
+    async save(value) {
+      const records = toRecords(value);
+      const ids = new Set(records.map(record => record.id));
+
+      if (!known) {
+        // Nothing read yet in this session: replace the store
+        await withEntityStore(storeName, 'readwrite', store => {
+          store.clear();
+          records.forEach(record => store.put(record));
+        });
+        remember(records);
+        return true;
+      }
+
+      const changed = records.filter(record => {
+        const previous = known.get(record.id);
+        const source = getSource(record);
+        return previous !== source && !isSameValue(previous, source);
+      });
+      const removed = [...known.keys()].filter(id => !ids.has(id));
+      if (changed.length > 0 || removed.length > 0) {
+        await withEntityStore(storeName, 'readwrite', store => {
+          changed.forEach(record => store.put(record));
+          removed.forEach(id => store.delete(id));
+        });
+      }
+      remember(records);
+      return true;
+    },
+
+    /**
+     * Add or replace some entries, leaving the rest of the store as it is,
+     * e.g. put([appointment]) or put({ [date]: { [userId]: counts } })
+     * @param {object|Array} value - App format, holding only the entries to write
+     */
+    async put(value) {
+      const records = toRecords(value);
+      await withEntityStore(storeName, 'readwrite', store => {
+        records.forEach(record => store.put(record));
+      });
+      if (known) records.forEach(record => known.set(record.id, getSource(record)));
+      return true;
+    },
+
+    /**
+     * Delete entries by id
+     * @param {...string} ids - Record ids
+     */
+    async remove(...ids) {
+      await withEntityStore(storeName, 'readwrite', store => {
+        ids.forEach(id => store.delete(id));
+      });
+      if (known) ids.forEach(id => known.delete(id));
+      return true;
+    },
+  };
+};
+
+const byNewest = (records) => [...records].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+
+const dailyLogs = createEntityStore('dailyLogs', {
+  toRecords: dailyLogsToRecords,
+  fromRecords: recordsToDailyLogs,
+  getSource: record => record.counts,
+});
+
+const appointments = createEntityStore('appointments', {
+  toRecords: value => (value || []).filter(item => item?.id !== undefined),
+  fromRecords: byNewest,
+  getSource: record => record,
+});
+
+const feed = createEntityStore('feed', {
+  toRecords: value => (value || []).filter(item => item?.id !== undefined),
+  fromRecords: byNewest,
+  getSource: record => record,
+});
+
+const entityStores = { dailyLogs, appointments, feed };
+
+// Last server copy of synced rows, one record per row
+const serverRows = {
+  /**
+   * Cached rows of one table
+   * @param {string} table - Table name
+   * @returns {Promise<object>} Rows by key: { key: row }
+   */
+  async getTable(table) {
+    try {
+      const records = await withEntityStore(SERVER_ROWS_STORE, 'readonly', store =>
+        store.index('table').getAll(IDBKeyRange.only(table)));
+      return Object.fromEntries(records.map(record => [record.key, record.row]));
+    } catch (error) {
+      console.error(`Storage read error for ${SERVER_ROWS_STORE}:`, error);
+      return {};
+    }
+  },
+
+  /**
+   * Add or replace rows of one table, and delete others, in one transaction
+   * @param {string} table - Table name
+   * @param {object} rows - Rows to write by key: { key: row }
+   * @param {Array<string>} removedKeys - Keys of rows to delete
+   */
+  async write(table, rows = {}, removedKeys = []) {
+    await withEntityStore(SERVER_ROWS_STORE, 'readwrite', store => {
+      Object.entries(rows).forEach(([key, row]) => store.put({ id: `${table}:${key}`, table, key, row }));
+      removedKeys.forEach(key => store.delete(`${table}:${key}`));
+    });
+    return true;
+  },
+};
+
 // Storage API implementation
 const storage = {
+  dailyLogs,
+  appointments,
+  feed,
+  serverRows,
+
   async get(key, defaultValue = null) {
+    // Whole-entity reads from before the entity stores existed
+    if (entityStores[key]) {
+      const value = await entityStores[key].getAll();
+      return Array.isArray(value) || Object.keys(value).length > 0 ? value : defaultValue;
+    }
     try {
       const database = await initDB();
       return new Promise((resolve, reject) => {
@@ -84,6 +407,9 @@ const storage = {
   },
 
   async set(key, value, retries = 3) {
+    if (entityStores[key]) {
+      return entityStores[key].save(value);
+    }
     for (let attempt = 1; attempt <= retries; attempt++) {
       try {
         const database = await initDB();
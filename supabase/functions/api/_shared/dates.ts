@@ -0,0 +1,50 @@
+/**
+ * Store Calendar Utilities
+ * Mirrors src/lib/dates.js so API clients log activity to the same day as
+ * the app: "today" is computed in the store's timezone from the
+ * system_settings 'store_calendar' value, not in UTC.
+ */
+
+export const DEFAULT_STORE_CALENDAR = {
+  timezone: 'America/Chicago',
+  weekStartsOn: 0,
+};
+
+/**
+ * Load the store calendar, falling back to the defaults
+ */
+export async function getStoreCalendar(supabase: any): Promise<{ timezone: string; weekStartsOn: number }> {
+  const { data } = await supabase
+    .from('system_settings')
+    .select('value')
+    .eq('key', 'store_calendar')
+    .maybeSingle();
+
+  return { ...DEFAULT_STORE_CALENDAR, ...(data?.value || {}) };
+}
+
+/**
+ * Date key (YYYY-MM-DD) of an instant in a timezone
+ */
+export function toDateKey(date: Date, timezone: string): string {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).formatToParts(date);
+  const part = (type: string) => parts.find(p => p.type === type)?.value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+/**
+ * Today's date in the store's timezone
+ */
+export async function getStoreToday(supabase: any): Promise<string> {
+  const { timezone } = await getStoreCalendar(supabase);
+  try {
+    return toDateKey(new Date(), timezone);
+  } catch {
+    return toDateKey(new Date(), DEFAULT_STORE_CALENDAR.timezone);
+  }
+}
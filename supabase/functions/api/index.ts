@@ -5,6 +5,7 @@
 
 import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
 import { getAuthenticatedUser, checkRateLimit, createErrorResponse, createSuccessResponse } from './_shared/auth.ts';
+import { getStoreToday } from './_shared/dates.ts';
 import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
 
 const corsHeaders = {
@@ -55,6 +56,10 @@ serve(async (req) => {
     else if (path.startsWith('/v1/daily-logs')) {
       response = await handleDailyLogsRequest(req, supabase, auth, path);
     }
+    // Activity events endpoints
+    else if (path.startsWith('/v1/activity-events')) {
+      response = await handleActivityEventsRequest(req, supabase, auth, path);
+    }
     // Appointments endpoints
     else if (path.startsWith('/v1/appointments')) {
       response = await handleAppointmentsRequest(req, supabase, auth, path);
@@ -177,24 +182,105 @@ async function handleDailyLogsRequest(
     });
   }
 
-  // POST /v1/daily-logs - Create daily log
+  // POST /v1/daily-logs - Log activity counts ({ category: count } in body.counts)
+  // Counts are added as activity events; daily_logs totals are derived from them.
+  // Older clients send the counts as top-level fields (reviews, demos, ...).
   if (path === '/v1/daily-logs' && req.method === 'POST') {
     const body = await req.json();
+    const date = body.date || await getStoreToday(supabase);
+    const userId = body.user_id || auth.userId;
+    const counts = body.counts || Object.fromEntries(
+      Object.entries(body).filter(([key, value]) => key !== 'user_id' && key !== 'date' && typeof value === 'number')
+    );
+
+    const events = Object.entries(counts)
+      .filter(([, count]) => Number.isInteger(count) && count !== 0)
+      .map(([category, count]) => ({
+        user_id: userId,
+        category,
+        delta: count,
+        date,
+        source: 'api',
+        created_by: auth.userId,
+      }));
+
+    if (events.length === 0) {
+      return createErrorResponse('counts must map category ids to non-zero whole numbers', 400);
+    }
+
+    const { data, error } = await supabase.from('activity_events').insert(events).select();
+
+    if (error) {
+      return createErrorResponse(`Failed to log activity: ${error.message}`, 500);
+    }
+
+    return createSuccessResponse({ activity_events: data || [] }, 201);
+  }
+
+  return createErrorResponse('Not found', 404);
+}
+
+// Activity events handlers
+async function handleActivityEventsRequest(
+  req: Request,
+  supabase: any,
+  auth: { userId: string },
+  path: string
+): Promise<Response> {
+  // GET /v1/activity-events - List activity events, newest first
+  if (path === '/v1/activity-events' && req.method === 'GET') {
+    const url = new URL(req.url);
+    const userId = url.searchParams.get('user_id');
+    const date = url.searchParams.get('date');
+
+    let query = supabase.from('activity_events').select('*');
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+    if (date) {
+      query = query.eq('date', date);
+    }
+
+    query = query.order('occurred_at', { ascending: false }).limit(100);
+
+    const { data, error } = await query;
+
+    if (error) {
+      return createErrorResponse(`Database error: ${error.message}`, 500);
+    }
+
+    return createSuccessResponse({
+      activity_events: data || [],
+      count: (data || []).length,
+    });
+  }
+
+  // POST /v1/activity-events - Log one activity event
+  if (path === '/v1/activity-events' && req.method === 'POST') {
+    const body = await req.json();
+
+    if (!body.category || !Number.isInteger(body.delta) || body.delta === 0) {
+      return createErrorResponse('category and a non-zero whole number delta are required', 400);
+    }
 
     const { data, error } = await supabase
-      .from('daily_logs')
+      .from('activity_events')
       .insert({
+        ...(body.id && { id: body.id }),
         user_id: body.user_id || auth.userId,
-        date: body.date || new Date().toISOString().split('T')[0],
-        reviews: body.reviews || 0,
-        demos: body.demos || 0,
-        callbacks: body.callbacks || 0,
+        category: body.category,
+        delta: body.delta,
+        date: body.date || await getStoreToday(supabase),
+        ...(body.occurred_at && { occurred_at: body.occurred_at }),
+        source: body.source === 'integration' ? 'integration' : 'api',
+        created_by: auth.userId,
       })
       .select()
       .single();
 
     if (error) {
-      return createErrorResponse(`Failed to create daily log: ${error.message}`, 500);
+      return createErrorResponse(`Failed to log activity: ${error.message}`, 500);
     }
 
     return createSuccessResponse(data, 201);
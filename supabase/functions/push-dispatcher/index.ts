@@ -0,0 +1,190 @@
+/**
+ * Push Dispatcher Edge Function
+ * Sends team events to devices in push_subscriptions as VAPID Web Push, so
+ * they arrive with the app closed. Called by src/lib/webhooks.js with the
+ * signed-in manager's session. The notification is built from the stored
+ * row, not the request, so only real announcements and challenges go out.
+ *
+ * Secrets: VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT (mailto: or https: URL)
+ */
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import webpush from 'npm:web-push@3.6.7';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+// Keep in sync with PUSH_EVENT_TYPES in src/lib/webhooks.js
+const ANNOUNCEMENT_CREATED = 'announcement.created';
+const CHALLENGE_CREATED = 'challenge.created';
+
+// Disable a subscription after this many failed sends in a row
+const MAX_FAILURES = 5;
+
+const jsonResponse = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+
+const truncate = (text: string | null, length: number) => {
+  const value = String(text || '');
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+};
+
+/**
+ * Build the notification for an event from its database row.
+ * Returns null if the row does not exist (yet) or is not that kind of event.
+ */
+async function buildNotification(supabase: any, eventType: string, payload: any) {
+  if (eventType === ANNOUNCEMENT_CREATED) {
+    const { data: post } = await supabase
+      .from('feed_posts')
+      .select('id, user_id, content, type')
+      .eq('id', payload.id)
+      .maybeSingle();
+    if (!post || post.type !== 'announcement') return null;
+
+    const { data: author } = await supabase.from('users').select('name').eq('id', post.user_id).maybeSingle();
+    return {
+      senderId: post.user_id,
+      recipients: null,
+      notification: {
+        title: `📢 ${author?.name || 'Your manager'}`,
+        body: truncate(post.content, 180),
+        tag: `announcement-${post.id}`,
+        view: 'feed',
+      },
+    };
+  }
+
+  if (eventType === CHALLENGE_CREATED) {
+    const { data: challenge } = await supabase
+      .from('challenges')
+      .select('id, title, description, xp_reward, target_users, created_by, is_active')
+      .eq('id', payload.id)
+      .maybeSingle();
+    if (!challenge || !challenge.is_active) return null;
+
+    const reward = challenge.xp_reward ? ` (+${challenge.xp_reward} XP)` : '';
+    return {
+      senderId: challenge.created_by,
+      // Challenges for selected people only go to them
+      recipients: challenge.target_users?.length ? challenge.target_users : null,
+      notification: {
+        title: `🏁 New challenge: ${truncate(challenge.title, 60)}`,
+        body: truncate(challenge.description, 160) + reward,
+        tag: `challenge-${challenge.id}`,
+        view: 'challenges',
+      },
+    };
+  }
+
+  return null;
+}
+
+serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    if (req.method !== 'POST') {
+      return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    const supabaseUrl = Deno.env.get('SUPABASE_URL') || '';
+    const anonKey = Deno.env.get('SUPABASE_ANON_KEY') || '';
+    const serviceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || '';
+    const vapidPublicKey = Deno.env.get('VAPID_PUBLIC_KEY') || '';
+    const vapidPrivateKey = Deno.env.get('VAPID_PRIVATE_KEY') || '';
+    const vapidSubject = Deno.env.get('VAPID_SUBJECT') || '';
+
+    if (!vapidPublicKey || !vapidPrivateKey || !vapidSubject) {
+      return jsonResponse({ error: 'VAPID keys are not configured' }, 500);
+    }
+    webpush.setVapidDetails(vapidSubject, vapidPublicKey, vapidPrivateKey);
+
+    // Only managers send team events; check as the caller, through RLS helpers
+    const authorization = req.headers.get('Authorization') || '';
+    const callerClient = createClient(supabaseUrl, anonKey, {
+      global: { headers: { Authorization: authorization } },
+    });
+    const { data: isManager, error: roleError } = await callerClient.rpc('is_manager');
+    if (roleError || !isManager) {
+      return jsonResponse({ error: 'Only managers can send team notifications' }, 403);
+    }
+
+    const { event_type, payload } = await req.json();
+    if (!event_type || !payload?.id) {
+      return jsonResponse({ error: 'Missing event_type or payload.id' }, 400);
+    }
+
+    const supabase = createClient(supabaseUrl, serviceKey);
+    const built = await buildNotification(supabase, event_type, payload);
+    if (!built) {
+      return jsonResponse({ error: `Nothing to send for ${event_type} ${payload.id}` }, 404);
+    }
+
+    let query = supabase
+      .from('push_subscriptions')
+      .select('id, user_id, endpoint, p256dh, auth, muted_events, failure_count')
+      .neq('user_id', built.senderId)
+      .lt('failure_count', MAX_FAILURES);
+    if (built.recipients) {
+      query = query.in('user_id', built.recipients);
+    }
+    const { data: subscriptions, error } = await query;
+
+    if (error) {
+      console.error('Database error:', error);
+      return jsonResponse({ error: 'Database error' }, 500);
+    }
+
+    const targets = (subscriptions || []).filter((s: any) => !(s.muted_events || []).includes(event_type));
+    const body = JSON.stringify(built.notification);
+
+    const results = await Promise.allSettled(targets.map(async (subscription: any) => {
+      try {
+        await webpush.sendNotification(
+          { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+          body,
+          { TTL: 24 * 60 * 60 }
+        );
+        await supabase
+          .from('push_subscriptions')
+          .update({ failure_count: 0, last_sent_at: new Date().toISOString() })
+          .eq('id', subscription.id);
+        return { id: subscription.id, success: true };
+      } catch (sendError) {
+        // 404/410: the browser dropped the subscription for good
+        if (sendError.statusCode === 404 || sendError.statusCode === 410) {
+          await supabase.from('push_subscriptions').delete().eq('id', subscription.id);
+        } else {
+          await supabase
+            .from('push_subscriptions')
+            .update({ failure_count: (subscription.failure_count || 0) + 1 })
+            .eq('id', subscription.id);
+        }
+        return { id: subscription.id, success: false, status: sendError.statusCode, error: sendError.message };
+      }
+    }));
+
+    const sent = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
+
+    return jsonResponse({
+      success: true,
+      event_type,
+      sent,
+      failed: targets.length - sent,
+      muted: (subscriptions || []).length - targets.length,
+    });
+  } catch (error) {
+    console.error('Push dispatcher error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+});
@@ -0,0 +1,281 @@
+/**
+ * Scheduled Backup Edge Function
+ * Snapshots the app's tables to the private "backups" storage bucket, one
+ * gzipped JSON file per table, records the run in data_backups and prunes
+ * backups past the backup_retention setting (026_scheduled_backups.sql).
+ *
+ * Called by pg_cron with the service role key (see
+ * SUPABASE_MIGRATION_INSTRUCTIONS.md), or by a manager from the Admin Panel:
+ *   { "action": "backup" }                       back up now
+ *   { "action": "restore", "backup_id": "..." }  restore a stored backup
+ *
+ * A restore upserts the backed-up rows, so records deleted or changed since
+ * come back as they were; records added since are kept. The rows are staged
+ * and then written in one transaction by restore_data_backup(), so a restore
+ * either completes or changes nothing.
+ */
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+const BUCKET = 'backups';
+
+// Tables in a backup and the key column restores upsert on, in the order
+// they are restored (parents before the rows that reference them)
+const BACKUP_TABLES: Array<[string, string]> = [
+  ['users', 'id'],
+  ['system_settings', 'key'],
+  ['categories', 'id'],
+  ['goal_templates', 'id'],
+  ['goal_assignments', 'user_id'],
+  ['achievements', 'id'],
+  ['challenges', 'id'],
+  ['user_challenges', 'id'],
+  ['rewards', 'id'],
+  ['user_rewards', 'id'],
+  ['activity_events', 'id'],
+  ['daily_logs', 'id'],
+  ['daily_snapshots', 'id'],
+  ['customers', 'id'],
+  ['deals', 'id'],
+  ['appointments', 'id'],
+  ['tasks', 'id'],
+  ['feed_posts', 'id'],
+  ['feed_comments', 'id'],
+  ['feed_reactions', 'id'],
+  ['audit_log', 'id'],
+];
+
+// Backed up but not restored: daily_logs is the sum of activity_events, and
+// restored events add themselves to it
+const DERIVED_TABLES = ['daily_logs'];
+
+const PAGE_SIZE = 1000;
+const RESTORE_CHUNK_SIZE = 500;
+
+const jsonResponse = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  });
+
+const isMissingTable = (error: any) =>
+  error?.code === 'PGRST205' || error?.code === '42P01';
+
+const gzip = async (text: string) =>
+  new Uint8Array(await new Response(new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'))).arrayBuffer());
+
+const gunzip = async (blob: Blob) =>
+  await new Response(blob.stream().pipeThrough(new DecompressionStream('gzip'))).text();
+
+// Every row of a table, a page at a time
+async function readTable(supabase: any, table: string, keyColumn: string) {
+  const rows: unknown[] = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .order(keyColumn)
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) return rows;
+  }
+}
+
+/**
+ * Write every table to storage and record the backup
+ */
+async function runBackup(supabase: any, actor: { id: string; name: string } | null) {
+  const startedAt = new Date();
+  const storagePath = `${actor ? 'manual' : 'scheduled'}/${startedAt.toISOString().replace(/[:.]/g, '-')}`;
+  const recordCounts: Record<string, number> = {};
+  let fileSize = 0;
+
+  for (const [table, keyColumn] of BACKUP_TABLES) {
+    let rows;
+    try {
+      rows = await readTable(supabase, table, keyColumn);
+    } catch (error) {
+      // Skip tables missing from this project
+      if (isMissingTable(error)) continue;
+      throw error;
+    }
+
+    const file = await gzip(JSON.stringify(rows));
+    const { error: uploadError } = await supabase.storage
+      .from(BUCKET)
+      .upload(`${storagePath}/${table}.json.gz`, file, { contentType: 'application/gzip', upsert: true });
+    if (uploadError) throw uploadError;
+
+    recordCounts[table] = rows.length;
+    fileSize += file.byteLength;
+  }
+
+  const { data: backup, error } = await supabase
+    .from('data_backups')
+    .insert({
+      backup_type: actor ? 'manual' : 'scheduled',
+      created_by: actor?.id || null,
+      created_by_name: actor?.name || 'Scheduled backup',
+      file_size: fileSize,
+      record_counts: recordCounts,
+      storage_path: storagePath,
+      notes: `${Object.keys(recordCounts).length} tables in ${Date.now() - startedAt.getTime()} ms`,
+    })
+    .select()
+    .single();
+  if (error) throw error;
+
+  return backup;
+}
+
+/**
+ * Delete backups past the retention setting, files first
+ */
+async function pruneBackups(supabase: any) {
+  const { data: expired, error } = await supabase.rpc('expired_data_backups');
+  if (error) throw error;
+
+  for (const backup of expired || []) {
+    const { data: files } = await supabase.storage.from(BUCKET).list(backup.storage_path);
+    if (files?.length) {
+      const { error: removeError } = await supabase.storage
+        .from(BUCKET)
+        .remove(files.map((file: any) => `${backup.storage_path}/${file.name}`));
+      if (removeError) throw removeError;
+    }
+    await supabase.from('data_backups').delete().eq('id', backup.id);
+  }
+
+  return (expired || []).length;
+}
+
+/**
+ * Stage a stored backup's rows, then write them back into their tables in
+ * one transaction
+ */
+async function restoreBackup(supabase: any, backupId: string, actor: { id: string; name: string }) {
+  const { data: backup, error } = await supabase
+    .from('data_backups')
+    .select('*')
+    .eq('id', backupId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!backup?.storage_path) return null;
+
+  const restoreId = crypto.randomUUID();
+  let restored: Record<string, number>;
+  try {
+    for (const [index, [table, keyColumn]] of BACKUP_TABLES.entries()) {
+      if (backup.record_counts?.[table] === undefined || DERIVED_TABLES.includes(table)) continue;
+
+      const { data: file, error: downloadError } = await supabase.storage
+        .from(BUCKET)
+        .download(`${backup.storage_path}/${table}.json.gz`);
+      if (downloadError) throw downloadError;
+
+      const rows = JSON.parse(await gunzip(file));
+      for (let i = 0; i < rows.length; i += RESTORE_CHUNK_SIZE) {
+        const { error: stageError } = await supabase
+          .from('data_backup_restore_rows')
+          .insert({
+            restore_id: restoreId,
+            table_name: table,
+            key_column: keyColumn,
+            table_order: index,
+            rows: rows.slice(i, i + RESTORE_CHUNK_SIZE),
+          });
+        if (stageError) throw new Error(`${table}: ${stageError.message}`);
+      }
+    }
+
+    const { data, error: restoreError } = await supabase.rpc('restore_data_backup', { p_restore_id: restoreId });
+    if (restoreError) throw restoreError;
+    restored = data || {};
+  } finally {
+    // Whatever was staged for a restore that failed
+    await supabase.from('data_backup_restore_rows').delete().eq('restore_id', restoreId);
+  }
+
+  await supabase.from('audit_log').insert({
+    user_id: actor.id,
+    user_name: actor.name,
+    action: 'backup_restored',
+    entity_type: 'data_backups',
+    entity_id: backup.id,
+    details: { backup_type: backup.backup_type, created_at: backup.created_at, tables: restored },
+  });
+
+  return restored;
+}
+
+serve(async (req) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    if (req.method !== 'POST') {
+      return jsonResponse({ error: 'Method not allowed' }, 405);
+    }
+
+    const supabaseUrl = Deno.env.get('SUPABASE_URL') || '';
+    const anonKey = Deno.env.get('SUPABASE_ANON_KEY') || '';
+    const serviceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || '';
+    const supabase = createClient(supabaseUrl, serviceKey);
+
+    const authorization = req.headers.get('Authorization') || '';
+    const body = await req.json().catch(() => ({}));
+    const action = body.action || 'backup';
+
+    // pg_cron authenticates with the service role key; anyone else must be a manager
+    let actor: { id: string; name: string } | null = null;
+    if (authorization !== `Bearer ${serviceKey}`) {
+      const callerClient = createClient(supabaseUrl, anonKey, {
+        global: { headers: { Authorization: authorization } },
+      });
+      const [{ data: isManager }, { data: userId }] = await Promise.all([
+        callerClient.rpc('is_manager'),
+        callerClient.rpc('current_app_user_id'),
+      ]);
+      if (!isManager || !userId) {
+        return jsonResponse({ error: 'Only managers can run backups' }, 403);
+      }
+      const { data: user } = await supabase.from('users').select('name').eq('id', userId).maybeSingle();
+      actor = { id: userId, name: user?.name || 'Manager' };
+    }
+
+    if (action === 'restore') {
+      if (!actor) {
+        return jsonResponse({ error: 'Restores must be run by a manager' }, 403);
+      }
+      if (!body.backup_id) {
+        return jsonResponse({ error: 'Missing backup_id' }, 400);
+      }
+      const restored = await restoreBackup(supabase, body.backup_id, actor);
+      if (!restored) {
+        return jsonResponse({ error: `No stored backup ${body.backup_id}` }, 404);
+      }
+      return jsonResponse({ success: true, restored });
+    }
+
+    if (action !== 'backup') {
+      return jsonResponse({ error: `Unknown action ${action}` }, 400);
+    }
+
+    const backup = await runBackup(supabase, actor);
+    const pruned = await pruneBackups(supabase);
+
+    return jsonResponse({ success: true, backup, pruned });
+  } catch (error) {
+    console.error('Scheduled backup error:', error);
+    return jsonResponse({ error: error.message }, 500);
+  }
+});
@@ -0,0 +1,101 @@
+-- ========================================
+-- USER AUTHENTICATION
+-- ========================================
+-- Binds each row in users to a sign-in method: a Supabase Auth account
+-- (email magic link) and/or a PIN. PINs are hashed server-side with bcrypt
+-- and kept in user_pins, which no client can read; users only says whether
+-- a PIN is set.
+
+-- ========================================
+-- 1. CREDENTIAL COLUMNS
+-- ========================================
+
+-- Email used for magic link sign-in (matched case-insensitively)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email TEXT;
+
+-- Supabase Auth user linked on first magic link sign-in
+ALTER TABLE users ADD COLUMN IF NOT EXISTS auth_user_id UUID REFERENCES auth.users(id) ON DELETE SET NULL;
+
+-- Whether a PIN is set, and when; the hash itself lives in user_pins
+ALTER TABLE users ADD COLUMN IF NOT EXISTS has_pin BOOLEAN DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS pin_updated_at TIMESTAMP WITH TIME ZONE;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_unique ON users(LOWER(email)) WHERE email IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_auth_user_id_unique ON users(auth_user_id) WHERE auth_user_id IS NOT NULL;
+
+-- ========================================
+-- 2. PIN STORAGE
+-- ========================================
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+CREATE TABLE IF NOT EXISTS user_pins (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  -- bcrypt hash from extensions.crypt()
+  pin_hash TEXT NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- No policies: only the SECURITY DEFINER functions below read or write PINs
+ALTER TABLE user_pins ENABLE ROW LEVEL SECURITY;
+
+-- Set or replace a user's PIN. The PIN is sent as entered and hashed here,
+-- so the stored hash is never a credential a client could replay.
+CREATE OR REPLACE FUNCTION set_user_pin(p_user_id UUID, p_pin TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+  IF p_pin IS NULL OR p_pin !~ '^[0-9]{4,8}$' THEN
+    RAISE EXCEPTION 'PIN must be 4-8 digits' USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE users SET has_pin = TRUE, pin_updated_at = NOW() WHERE id = p_user_id;
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+
+  INSERT INTO user_pins (user_id, pin_hash)
+  VALUES (p_user_id, extensions.crypt(p_pin, extensions.gen_salt('bf', 8)))
+  ON CONFLICT (user_id) DO UPDATE SET pin_hash = EXCLUDED.pin_hash, updated_at = NOW();
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Check a PIN as entered against the stored hash
+CREATE OR REPLACE FUNCTION verify_user_pin(p_user_id UUID, p_pin TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM user_pins p
+      JOIN users u ON u.id = p.user_id
+     WHERE p.user_id = p_user_id
+       AND p.pin_hash = extensions.crypt(COALESCE(p_pin, ''), p.pin_hash)
+       AND NOT COALESCE(u.archived, FALSE)
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- ========================================
+-- 3. SESSION HELPERS
+-- ========================================
+
+-- Returns the users row id bound to the current Supabase Auth session
+CREATE OR REPLACE FUNCTION current_app_user_id()
+RETURNS UUID AS $$
+  SELECT id FROM users WHERE auth_user_id = auth.uid() LIMIT 1;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Returns the role of the users row bound to the current session
+CREATE OR REPLACE FUNCTION current_app_user_role()
+RETURNS TEXT AS $$
+  SELECT role FROM users WHERE auth_user_id = auth.uid() LIMIT 1;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Comments
+COMMENT ON COLUMN users.email IS 'Email address for Supabase Auth magic link sign-in';
+COMMENT ON COLUMN users.auth_user_id IS 'auth.users id linked on first magic link sign-in';
+COMMENT ON COLUMN users.has_pin IS 'TRUE once a PIN has been set (hash lives in user_pins)';
+COMMENT ON COLUMN users.pin_updated_at IS 'When the PIN was last set; devices drop their offline copy when it changes';
+COMMENT ON TABLE user_pins IS 'bcrypt PIN hashes, readable only by SECURITY DEFINER functions';
+COMMENT ON FUNCTION set_user_pin IS 'Hashes and stores a user PIN';
+COMMENT ON FUNCTION verify_user_pin IS 'Checks a PIN against the stored hash';
+COMMENT ON FUNCTION current_app_user_id IS 'users.id bound to the current auth session';
+COMMENT ON FUNCTION current_app_user_role IS 'users.role bound to the current auth session';
@@ -0,0 +1,474 @@
+-- ========================================
+-- ROW LEVEL SECURITY BY ROLE
+-- ========================================
+-- Replaces the allow_all_* policies from earlier migrations with policies
+-- tied to the signed-in team member (see 012_user_auth.sql):
+--   * employees can only write their own rows (logs, appointments, posts, ...)
+--   * managers can write any team data
+--   * audit_log is append-only for everyone
+--   * reads need a signed-in team member: the anon key alone sees nothing,
+--     teammates see team data (leaderboard, feed, team views), and AI chat
+--     history is its owner's or a manager's
+-- The sign-in screen lists accounts through sign_in_directory(), which
+-- exposes names and sign-in methods only.
+--
+-- PIN sign-in uses Supabase anonymous sign-ins (Authentication > Providers >
+-- Anonymous) and binds the anonymous auth user to a users row once the PIN
+-- is verified server-side by bind_pin_session().
+--
+-- Verify with: supabase test db (see supabase/tests/rls_policies.test.sql)
+
+-- ========================================
+-- 1. PINS
+-- ========================================
+-- 012 lets any caller set a PIN. From here on only a manager's session can;
+-- the SQL editor and service role, which carry no client JWT, are not
+-- restricted, so an admin can give the first manager a PIN.
+--
+-- Wrong PINs are counted per user. Every wrong PIN from the fifth on locks
+-- the account, for 15 minutes doubling each time up to a day, until the
+-- right PIN is entered or a manager resets it.
+
+ALTER TABLE user_pins ADD COLUMN IF NOT EXISTS failed_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE user_pins ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+
+CREATE OR REPLACE FUNCTION set_user_pin(p_user_id UUID, p_pin TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+  IF COALESCE(auth.jwt() ->> 'role', '') IN ('anon', 'authenticated') AND NOT is_manager() THEN
+    RAISE EXCEPTION 'Only managers can set PINs' USING ERRCODE = '42501';
+  END IF;
+
+  IF p_pin IS NULL OR p_pin !~ '^[0-9]{4,8}$' THEN
+    RAISE EXCEPTION 'PIN must be 4-8 digits' USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE users SET has_pin = TRUE, pin_updated_at = NOW() WHERE id = p_user_id;
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+
+  INSERT INTO user_pins (user_id, pin_hash)
+  VALUES (p_user_id, extensions.crypt(p_pin, extensions.gen_salt('bf', 8)))
+  ON CONFLICT (user_id) DO UPDATE
+    SET pin_hash = EXCLUDED.pin_hash,
+        failed_attempts = 0,
+        locked_until = NULL,
+        updated_at = NOW();
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION verify_user_pin(p_user_id UUID, p_pin TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_pin user_pins;
+BEGIN
+  SELECT p.* INTO v_pin
+    FROM user_pins p
+    JOIN users u ON u.id = p.user_id
+   WHERE p.user_id = p_user_id
+     AND NOT COALESCE(u.archived, FALSE)
+     FOR UPDATE OF p;
+
+  IF NOT FOUND THEN
+    RETURN FALSE;
+  END IF;
+
+  IF v_pin.locked_until > NOW() THEN
+    RAISE EXCEPTION 'Too many incorrect PINs. Try again in % minutes or ask your manager to reset your PIN.',
+      CEIL(EXTRACT(EPOCH FROM v_pin.locked_until - NOW()) / 60)
+      USING ERRCODE = 'P0001';
+  END IF;
+
+  IF v_pin.pin_hash = extensions.crypt(COALESCE(p_pin, ''), v_pin.pin_hash) THEN
+    IF v_pin.failed_attempts > 0 THEN
+      UPDATE user_pins SET failed_attempts = 0, locked_until = NULL WHERE user_id = p_user_id;
+    END IF;
+    RETURN TRUE;
+  END IF;
+
+  UPDATE user_pins
+     SET failed_attempts = failed_attempts + 1,
+         locked_until = CASE
+           WHEN failed_attempts + 1 >= 5
+             THEN NOW() + LEAST(INTERVAL '15 minutes' * power(2, failed_attempts + 1 - 5), INTERVAL '1 day')
+         END
+   WHERE user_id = p_user_id;
+
+  RETURN FALSE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ========================================
+-- 2. SESSION BINDING
+-- ========================================
+-- Maps an anonymous auth user (PIN sign-in) to a users row.
+-- Magic link users are bound directly through users.auth_user_id.
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  auth_user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  method TEXT NOT NULL DEFAULT 'pin',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions(user_id);
+
+ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "user_sessions_select_own" ON user_sessions
+  FOR SELECT USING (auth_user_id = auth.uid());
+
+-- Redefine the 012 helpers to cover both sign-in methods
+CREATE OR REPLACE FUNCTION current_app_user_id()
+RETURNS UUID AS $$
+  SELECT COALESCE(
+    (SELECT id FROM users WHERE auth_user_id = auth.uid() AND NOT COALESCE(archived, FALSE) LIMIT 1),
+    (SELECT s.user_id FROM user_sessions s
+       JOIN users u ON u.id = s.user_id
+      WHERE s.auth_user_id = auth.uid() AND NOT COALESCE(u.archived, FALSE))
+  );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION current_app_user_role()
+RETURNS TEXT AS $$
+  SELECT role FROM users WHERE id = current_app_user_id();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION is_manager()
+RETURNS BOOLEAN AS $$
+  SELECT COALESCE(current_app_user_role() IN ('manager', 'admin'), FALSE);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Verify a PIN and bind the caller's auth session to that user
+CREATE OR REPLACE FUNCTION bind_pin_session(p_user_id UUID, p_pin TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RETURN FALSE;
+  END IF;
+
+  IF NOT verify_user_pin(p_user_id, p_pin) THEN
+    RETURN FALSE;
+  END IF;
+
+  INSERT INTO user_sessions (auth_user_id, user_id, method)
+  VALUES (auth.uid(), p_user_id, 'pin')
+  ON CONFLICT (auth_user_id) DO UPDATE SET user_id = EXCLUDED.user_id, created_at = NOW();
+
+  RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Create the first account of an empty team, a manager, with its PIN, and
+-- bind the caller's session to it. Setting the PIN in the same call leaves
+-- no window for anyone else to set it first.
+CREATE OR REPLACE FUNCTION create_first_user(p_name TEXT, p_goals JSONB, p_email TEXT, p_pin TEXT)
+RETURNS users AS $$
+DECLARE
+  v_user users;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Sign-in session required' USING ERRCODE = '42501';
+  END IF;
+
+  LOCK TABLE users IN SHARE ROW EXCLUSIVE MODE;
+  IF EXISTS (SELECT 1 FROM users) THEN
+    RAISE EXCEPTION 'The team already has accounts' USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO users (name, role, goals, email)
+  VALUES (p_name, 'manager', COALESCE(p_goals, '{}'::jsonb), NULLIF(LOWER(TRIM(p_email)), ''))
+  RETURNING * INTO v_user;
+
+  INSERT INTO user_sessions (auth_user_id, user_id, method)
+  VALUES (auth.uid(), v_user.id, 'pin')
+  ON CONFLICT (auth_user_id) DO UPDATE SET user_id = EXCLUDED.user_id, created_at = NOW();
+
+  PERFORM set_user_pin(v_user.id, p_pin);
+
+  SELECT * INTO v_user FROM users WHERE id = v_user.id;
+  RETURN v_user;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Link the caller's magic link account to the users row with the same email
+CREATE OR REPLACE FUNCTION link_auth_user()
+RETURNS UUID AS $$
+DECLARE
+  v_user_id UUID;
+BEGIN
+  IF auth.uid() IS NULL OR COALESCE(auth.jwt() ->> 'email', '') = '' THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT id INTO v_user_id FROM users WHERE auth_user_id = auth.uid();
+  IF v_user_id IS NOT NULL THEN
+    RETURN v_user_id;
+  END IF;
+
+  UPDATE users
+     SET auth_user_id = auth.uid()
+   WHERE LOWER(email) = LOWER(auth.jwt() ->> 'email')
+     AND auth_user_id IS NULL
+     AND NOT COALESCE(archived, FALSE)
+  RETURNING id INTO v_user_id;
+
+  RETURN v_user_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Accounts listed on the sign-in screen. users is only readable once signed
+-- in, so a new device lists the team from this: active accounts and how each
+-- signs in, without emails or anything else. An empty list means the team
+-- has no accounts yet and the first one can be created.
+CREATE OR REPLACE FUNCTION sign_in_directory()
+RETURNS TABLE (
+  id UUID,
+  name TEXT,
+  role TEXT,
+  has_pin BOOLEAN,
+  has_email BOOLEAN,
+  pin_updated_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ
+) AS $$
+  SELECT u.id, u.name::TEXT, u.role::TEXT, COALESCE(u.has_pin, FALSE), u.email IS NOT NULL,
+         u.pin_updated_at, u.created_at::TIMESTAMPTZ
+    FROM users u
+   WHERE NOT COALESCE(u.archived, FALSE)
+   ORDER BY u.created_at;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Drop the caller's PIN binding on sign out
+CREATE OR REPLACE FUNCTION end_pin_session()
+RETURNS VOID AS $$
+  DELETE FROM user_sessions WHERE auth_user_id = auth.uid();
+$$ LANGUAGE sql SECURITY DEFINER SET search_path = public;
+
+-- ========================================
+-- 3. USERS
+-- ========================================
+
+DO $$
+DECLARE
+  pol RECORD;
+BEGIN
+  FOR pol IN SELECT policyname FROM pg_policies WHERE schemaname = 'public' AND tablename = 'users' LOOP
+    EXECUTE format('DROP POLICY %I ON users', pol.policyname);
+  END LOOP;
+END $$;
+
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "users_select_team" ON users FOR SELECT
+  USING (current_app_user_id() IS NOT NULL);
+
+-- Managers add users; the very first account comes from create_first_user()
+CREATE POLICY "users_insert_manager" ON users FOR INSERT
+  WITH CHECK (is_manager());
+
+CREATE POLICY "users_update_self_or_manager" ON users FOR UPDATE
+  USING (id = current_app_user_id() OR is_manager())
+  WITH CHECK (id = current_app_user_id() OR is_manager());
+
+CREATE POLICY "users_delete_manager" ON users FOR DELETE
+  USING (is_manager());
+
+-- Employees may edit their own row but not promote themselves or rebind auth
+CREATE OR REPLACE FUNCTION protect_user_privileged_columns()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_user IN ('anon', 'authenticated') AND NOT is_manager() THEN
+    IF NEW.role IS DISTINCT FROM OLD.role
+       OR NEW.archived IS DISTINCT FROM OLD.archived
+       OR NEW.archived_at IS DISTINCT FROM OLD.archived_at
+       OR NEW.archived_by IS DISTINCT FROM OLD.archived_by
+       OR NEW.email IS DISTINCT FROM OLD.email
+       OR NEW.auth_user_id IS DISTINCT FROM OLD.auth_user_id THEN
+      RAISE EXCEPTION 'Only managers can change role, archive status or sign-in email'
+        USING ERRCODE = '42501';
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS protect_user_privileged_columns_trigger ON users;
+CREATE TRIGGER protect_user_privileged_columns_trigger
+  BEFORE UPDATE ON users
+  FOR EACH ROW
+  EXECUTE FUNCTION protect_user_privileged_columns();
+
+-- ========================================
+-- 4. PER-USER TABLES (own rows or manager)
+-- ========================================
+
+DO $$
+DECLARE
+  t TEXT;
+  pol RECORD;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'daily_logs', 'appointments', 'feed_posts', 'feed_comments', 'feed_likes',
+    'feed_reactions', 'feed_read_status', 'feed_filter_preferences',
+    'daily_snapshots', 'user_challenges', 'user_rewards',
+    'ai_chat_history', 'ai_tool_metrics'
+  ] LOOP
+    -- Skip tables missing from this project (feed_likes is a view since 005)
+    IF NOT EXISTS (
+      SELECT 1 FROM information_schema.tables
+       WHERE table_schema = 'public' AND table_name = t AND table_type = 'BASE TABLE'
+    ) THEN
+      CONTINUE;
+    END IF;
+
+    FOR pol IN SELECT policyname FROM pg_policies WHERE schemaname = 'public' AND tablename = t LOOP
+      EXECUTE format('DROP POLICY %I ON %I', pol.policyname, t);
+    END LOOP;
+
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', t);
+    -- A rep's AI conversations are private; the rest is team data
+    IF t = 'ai_chat_history' THEN
+      EXECUTE format(
+        'CREATE POLICY %I ON %I FOR SELECT USING (user_id = current_app_user_id() OR is_manager())',
+        t || '_select_own_or_manager', t);
+    ELSE
+      EXECUTE format('CREATE POLICY %I ON %I FOR SELECT USING (current_app_user_id() IS NOT NULL)', t || '_select_team', t);
+    END IF;
+    EXECUTE format(
+      'CREATE POLICY %I ON %I FOR INSERT WITH CHECK (user_id = current_app_user_id() OR is_manager())',
+      t || '_insert_own_or_manager', t);
+    EXECUTE format(
+      'CREATE POLICY %I ON %I FOR UPDATE USING (user_id = current_app_user_id() OR is_manager()) WITH CHECK (user_id = current_app_user_id() OR is_manager())',
+      t || '_update_own_or_manager', t);
+    EXECUTE format(
+      'CREATE POLICY %I ON %I FOR DELETE USING (user_id = current_app_user_id() OR is_manager())',
+      t || '_delete_own_or_manager', t);
+  END LOOP;
+END $$;
+
+-- ========================================
+-- 5. TEAM CONFIGURATION (manager writes)
+-- ========================================
+
+DO $$
+DECLARE
+  t TEXT;
+  pol RECORD;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['achievements', 'challenges', 'rewards', 'system_settings', 'data_backups'] LOOP
+    FOR pol IN SELECT policyname FROM pg_policies WHERE schemaname = 'public' AND tablename = t LOOP
+      EXECUTE format('DROP POLICY %I ON %I', pol.policyname, t);
+    END LOOP;
+
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', t);
+    EXECUTE format('CREATE POLICY %I ON %I FOR SELECT USING (current_app_user_id() IS NOT NULL)', t || '_select_team', t);
+    EXECUTE format('CREATE POLICY %I ON %I FOR INSERT WITH CHECK (is_manager())', t || '_insert_manager', t);
+    EXECUTE format('CREATE POLICY %I ON %I FOR UPDATE USING (is_manager()) WITH CHECK (is_manager())', t || '_update_manager', t);
+    EXECUTE format('CREATE POLICY %I ON %I FOR DELETE USING (is_manager())', t || '_delete_manager', t);
+  END LOOP;
+END $$;
+
+-- ========================================
+-- 6. ERROR LOG
+-- ========================================
+
+DROP POLICY IF EXISTS "allow_all_error_log" ON error_log;
+
+CREATE POLICY "error_log_select_manager" ON error_log FOR SELECT
+  USING (is_manager() OR user_id = current_app_user_id());
+
+CREATE POLICY "error_log_insert_signed_in" ON error_log FOR INSERT
+  WITH CHECK (current_app_user_id() IS NOT NULL AND (user_id IS NULL OR user_id = current_app_user_id()));
+
+CREATE POLICY "error_log_update_manager" ON error_log FOR UPDATE
+  USING (is_manager()) WITH CHECK (is_manager());
+
+CREATE POLICY "error_log_delete_manager" ON error_log FOR DELETE
+  USING (is_manager());
+
+-- ========================================
+-- 7. AUDIT LOG (append-only)
+-- ========================================
+
+DROP POLICY IF EXISTS "allow_all_audit_log" ON audit_log;
+DROP POLICY IF EXISTS "audit_log_select_all" ON audit_log;
+
+CREATE POLICY "audit_log_select_team" ON audit_log FOR SELECT
+  USING (current_app_user_id() IS NOT NULL);
+
+-- Signed-in users append entries for themselves; managers may log for others
+CREATE POLICY "audit_log_insert_signed_in" ON audit_log FOR INSERT
+  WITH CHECK (
+    current_app_user_id() IS NOT NULL
+    AND (user_id IS NULL OR user_id = current_app_user_id() OR is_manager())
+  );
+
+-- No UPDATE or DELETE policies. The trigger also stops table owners and the
+-- service role, except for the retention job below.
+CREATE OR REPLACE FUNCTION prevent_audit_log_mutation()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'DELETE' AND current_setting('app.audit_log_retention', true) = 'on' THEN
+    RETURN OLD;
+  END IF;
+  RAISE EXCEPTION 'audit_log is append-only' USING ERRCODE = '42501';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_audit_log_mutation_trigger ON audit_log;
+CREATE TRIGGER prevent_audit_log_mutation_trigger
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_audit_log_mutation();
+
+-- Retention job from 007, now the only path that may delete entries
+CREATE OR REPLACE FUNCTION cleanup_old_audit_logs()
+RETURNS void AS $$
+BEGIN
+  PERFORM set_config('app.audit_log_retention', 'on', true);
+  DELETE FROM audit_log
+  WHERE id NOT IN (
+    SELECT id FROM audit_log
+    ORDER BY timestamp DESC
+    LIMIT 1000
+  );
+  PERFORM set_config('app.audit_log_retention', 'off', true);
+END;
+$$ LANGUAGE plpgsql;
+
+-- ========================================
+-- 8. FUNCTION PRIVILEGES
+-- ========================================
+
+REVOKE EXECUTE ON FUNCTION cleanup_old_audit_logs() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION cleanup_old_error_logs() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION verify_user_pin(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION set_user_pin(UUID, TEXT) FROM PUBLIC, anon;
+
+GRANT EXECUTE ON FUNCTION current_app_user_id() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION current_app_user_role() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION is_manager() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION bind_pin_session(UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION set_user_pin(UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION create_first_user(TEXT, JSONB, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION link_auth_user() TO authenticated;
+GRANT EXECUTE ON FUNCTION end_pin_session() TO authenticated;
+GRANT EXECUTE ON FUNCTION sign_in_directory() TO anon, authenticated;
+
+-- Comments
+COMMENT ON TABLE user_sessions IS 'Binds anonymous auth users (PIN sign-in) to a users row';
+COMMENT ON FUNCTION is_manager IS 'TRUE when the current session belongs to a manager';
+COMMENT ON FUNCTION bind_pin_session IS 'Verifies a PIN and binds the current auth session to the user';
+COMMENT ON COLUMN user_pins.failed_attempts IS 'Wrong PINs since the last right one; from the fifth each one locks the account';
+COMMENT ON FUNCTION verify_user_pin IS 'Checks a PIN, counting wrong ones and refusing while the account is locked';
+COMMENT ON FUNCTION create_first_user IS 'Creates the first manager of an empty team with a PIN and signs it in';
+COMMENT ON FUNCTION link_auth_user IS 'Links a magic link account to the users row with a matching email';
+COMMENT ON FUNCTION sign_in_directory IS 'Active accounts and their sign-in methods, for the sign-in screen';
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- Reads and writes now require a bound session. Employees write their own
+-- rows, managers write team data, and audit_log only accepts inserts.
@@ -0,0 +1,320 @@
+-- ========================================
+-- ACHIEVEMENT ENGINE
+-- ========================================
+-- Evaluates every achievement criteria type server-side whenever activity
+-- changes: updates users.achievement_progress, grants XP, recalculates the
+-- level and posts an 'achievement' feed post for each unlock.
+-- The client mirrors these rules in src/lib/achievements.js.
+
+-- ========================================
+-- 1. LEVEL CURVE
+-- ========================================
+
+-- 100 XP per level, starting at level 1
+CREATE OR REPLACE FUNCTION calculate_level(p_xp INTEGER)
+RETURNS INTEGER AS $$
+  SELECT (GREATEST(COALESCE(p_xp, 0), 0) / 100) + 1;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- ========================================
+-- 2. ACHIEVEMENT STATS
+-- ========================================
+-- Everything the criteria measure for one user, as JSONB.
+-- Weeks start on Sunday to match the leaderboard.
+
+CREATE OR REPLACE FUNCTION achievement_stats(p_user_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_user users%ROWTYPE;
+  v_today DATE := CURRENT_DATE;
+  v_week_start DATE := CURRENT_DATE - EXTRACT(DOW FROM CURRENT_DATE)::INTEGER;
+  v_stats JSONB;
+BEGIN
+  SELECT * INTO v_user FROM users WHERE id = p_user_id;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  WITH goals AS (
+    SELECT key AS category, value::NUMERIC AS goal
+      FROM jsonb_each_text(COALESCE(v_user.goals, '{}'::JSONB))
+     WHERE value ~ '^[0-9]+(\.[0-9]+)?$' AND value::NUMERIC > 0
+  ),
+  logs AS (
+    SELECT date::DATE AS day, category, SUM(count) AS count
+      FROM daily_logs
+     WHERE user_id = p_user_id
+     GROUP BY 1, 2
+  ),
+  days AS (
+    SELECT day, SUM(count) AS total FROM logs GROUP BY day
+  ),
+  day_goals AS (
+    SELECT d.day,
+           COUNT(*) FILTER (WHERE COALESCE(l.count, 0) >= g.goal) AS goals_met,
+           MIN(COALESCE(l.count, 0) / g.goal) AS lowest_ratio
+      FROM days d
+     CROSS JOIN goals g
+      LEFT JOIN logs l ON l.day = d.day AND l.category = g.category
+     GROUP BY d.day
+  ),
+  perfect AS (
+    SELECT day, day - (ROW_NUMBER() OVER (ORDER BY day))::INTEGER AS island
+      FROM day_goals
+     WHERE lowest_ratio >= 1
+  ),
+  streaks AS (
+    SELECT COUNT(*) AS length, MAX(day) AS last_day FROM perfect GROUP BY island
+  ),
+  weeks AS (
+    SELECT day - EXTRACT(DOW FROM day)::INTEGER AS week, SUM(total) AS total
+      FROM days GROUP BY 1
+  ),
+  perfect_weeks AS (
+    SELECT day - EXTRACT(DOW FROM day)::INTEGER AS week
+      FROM perfect GROUP BY 1 HAVING COUNT(*) >= 7
+  ),
+  months AS (
+    SELECT date_trunc('month', day) AS month,
+           COALESCE(SUM(count) FILTER (WHERE category = 'callbacks'), 0) AS callbacks,
+           COALESCE(SUM(count) FILTER (WHERE category = 'demos'), 0) AS demos
+      FROM logs GROUP BY 1
+  ),
+  weekly_ranks AS (
+    SELECT l.user_id, ROW_NUMBER() OVER (ORDER BY SUM(l.count) DESC) AS rank
+      FROM daily_logs l
+      JOIN users u ON u.id = l.user_id
+     WHERE COALESCE(u.archived, FALSE) = FALSE
+       AND l.date::DATE >= v_week_start
+       AND l.date::DATE < v_week_start + 7
+     GROUP BY l.user_id
+    HAVING SUM(l.count) > 0
+  )
+  SELECT jsonb_build_object(
+    'goals_completed', COALESCE((SELECT SUM(goals_met) FROM day_goals), 0),
+    'perfect_days', (SELECT COUNT(*) FROM perfect),
+    'longest_streak', COALESCE((SELECT MAX(length) FROM streaks), 0),
+    -- Today is still in progress, so a streak ending yesterday is current
+    'current_streak', COALESCE((SELECT length FROM streaks WHERE last_day >= v_today - 1), 0),
+    'perfect_weeks', (SELECT COUNT(*) FROM perfect_weeks),
+    'best_exceed_multiplier', COALESCE((SELECT MAX(lowest_ratio) FROM day_goals), 0),
+    'leaderboard_rank', (SELECT rank FROM weekly_ranks WHERE user_id = p_user_id),
+    'best_week_activities', COALESCE((SELECT MAX(total) FROM weeks), 0),
+    'total_activities', COALESCE((SELECT SUM(total) FROM days), 0),
+    'best_month_callbacks', COALESCE((SELECT MAX(callbacks) FROM months), 0),
+    'best_month_demos', COALESCE((SELECT MAX(demos) FROM months), 0),
+    'feed_posts', (SELECT COUNT(*) FROM feed_posts
+                    WHERE user_id = p_user_id AND COALESCE(type, 'manual') <> 'auto'),
+    'likes_received', (SELECT COUNT(*) FROM feed_likes fl
+                         JOIN feed_posts fp ON fp.id = fl.post_id
+                        WHERE fp.user_id = p_user_id AND fl.user_id <> p_user_id),
+    'likes_given', (SELECT COUNT(*) FROM feed_likes WHERE user_id = p_user_id),
+    'comments_posted', (SELECT COUNT(*) FROM feed_comments WHERE user_id = p_user_id),
+    'appointments', (SELECT COUNT(*) FROM appointments WHERE user_id = p_user_id),
+    'sales', GREATEST(
+      COALESCE(v_user.total_sales, 0),
+      (SELECT COUNT(*) FROM appointments WHERE user_id = p_user_id AND outcome = 'sale')
+    ),
+    'last_activity_date', (SELECT MAX(day)::TEXT FROM days WHERE total > 0)
+  ) INTO v_stats;
+
+  RETURN v_stats;
+END;
+$$ LANGUAGE plpgsql STABLE SET search_path = public;
+
+-- ========================================
+-- 3. EVALUATOR
+-- ========================================
+-- Returns the ids of achievements unlocked by this call. Earned achievements
+-- are never revoked; progress is recalculated every time.
+
+CREATE OR REPLACE FUNCTION evaluate_achievements(p_user_id UUID)
+RETURNS TEXT[] AS $$
+DECLARE
+  v_user users%ROWTYPE;
+  v_stats JSONB;
+  v_achievement RECORD;
+  v_current NUMERIC;
+  v_target NUMERIC;
+  v_earned_at JSONB;
+  v_progress JSONB := '{}'::JSONB;
+  v_earned TEXT[];
+  v_unlocked TEXT[] := '{}';
+  v_xp_gained INTEGER := 0;
+  v_now_ms BIGINT := (EXTRACT(EPOCH FROM NOW()) * 1000)::BIGINT;
+BEGIN
+  SELECT * INTO v_user FROM users WHERE id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN v_unlocked;
+  END IF;
+
+  v_stats := achievement_stats(p_user_id);
+  v_earned := COALESCE(v_user.achievements, '{}');
+
+  FOR v_achievement IN SELECT * FROM achievements ORDER BY created_at, id LOOP
+    v_target := COALESCE((v_achievement.criteria->>'count')::NUMERIC, 1);
+
+    CASE v_achievement.criteria->>'type'
+      WHEN 'goal_completed' THEN v_current := (v_stats->>'goals_completed')::NUMERIC;
+      WHEN 'perfect_days' THEN v_current := (v_stats->>'perfect_days')::NUMERIC;
+      WHEN 'streak' THEN v_current := (v_stats->>'longest_streak')::NUMERIC;
+      WHEN 'consistency' THEN
+        v_current := (v_stats->>'longest_streak')::NUMERIC;
+        v_target := COALESCE((v_achievement.criteria->>'days')::NUMERIC, v_target);
+      WHEN 'weekly_perfect' THEN v_current := (v_stats->>'perfect_weeks')::NUMERIC;
+      WHEN 'exceed_goals' THEN
+        v_current := FLOOR((v_stats->>'best_exceed_multiplier')::NUMERIC * 10) / 10;
+        v_target := COALESCE((v_achievement.criteria->>'multiplier')::NUMERIC, 2);
+      WHEN 'leaderboard_rank' THEN
+        v_current := CASE
+          WHEN (v_stats->>'leaderboard_rank')::INTEGER <= COALESCE((v_achievement.criteria->>'rank')::INTEGER, 1)
+          THEN 1 ELSE 0 END;
+        v_target := 1;
+      WHEN 'weekly_activities' THEN v_current := (v_stats->>'best_week_activities')::NUMERIC;
+      WHEN 'total_activities' THEN v_current := (v_stats->>'total_activities')::NUMERIC;
+      WHEN 'monthly_callbacks' THEN v_current := (v_stats->>'best_month_callbacks')::NUMERIC;
+      WHEN 'monthly_demos' THEN v_current := (v_stats->>'best_month_demos')::NUMERIC;
+      WHEN 'feed_posts' THEN v_current := (v_stats->>'feed_posts')::NUMERIC;
+      WHEN 'likes_received' THEN v_current := (v_stats->>'likes_received')::NUMERIC;
+      WHEN 'likes_given' THEN v_current := (v_stats->>'likes_given')::NUMERIC;
+      WHEN 'comments_posted' THEN v_current := (v_stats->>'comments_posted')::NUMERIC;
+      WHEN 'appointments' THEN v_current := (v_stats->>'appointments')::NUMERIC;
+      WHEN 'sales' THEN v_current := (v_stats->>'sales')::NUMERIC;
+      ELSE v_current := 0;
+    END CASE;
+
+    v_current := COALESCE(v_current, 0);
+
+    IF v_achievement.id = ANY(v_earned) THEN
+      v_earned_at := COALESCE(v_user.achievement_progress->v_achievement.id->'earnedAt', 'null'::JSONB);
+    ELSIF v_current >= v_target THEN
+      v_earned := array_append(v_earned, v_achievement.id);
+      v_unlocked := array_append(v_unlocked, v_achievement.id);
+      v_xp_gained := v_xp_gained + COALESCE(v_achievement.xp_reward, 0);
+      v_earned_at := to_jsonb(v_now_ms);
+    ELSE
+      v_earned_at := 'null'::JSONB;
+    END IF;
+
+    v_progress := v_progress || jsonb_build_object(
+      v_achievement.id,
+      jsonb_build_object('current', LEAST(v_current, v_target), 'target', v_target, 'earnedAt', v_earned_at)
+    );
+  END LOOP;
+
+  -- Skip no-op updates so realtime subscribers are not woken for nothing
+  UPDATE users
+     SET achievements = v_earned,
+         achievement_progress = v_progress,
+         xp = COALESCE(xp, 0) + v_xp_gained,
+         level = calculate_level(COALESCE(xp, 0) + v_xp_gained),
+         current_streak = (v_stats->>'current_streak')::INTEGER,
+         longest_streak = GREATEST(COALESCE(longest_streak, 0), (v_stats->>'longest_streak')::INTEGER),
+         last_activity_date = COALESCE(v_stats->>'last_activity_date', last_activity_date)
+   WHERE id = p_user_id
+     AND (v_xp_gained > 0
+       OR achievement_progress IS DISTINCT FROM v_progress
+       OR current_streak IS DISTINCT FROM (v_stats->>'current_streak')::INTEGER
+       OR longest_streak IS DISTINCT FROM GREATEST(COALESCE(longest_streak, 0), (v_stats->>'longest_streak')::INTEGER)
+       OR last_activity_date IS DISTINCT FROM COALESCE(v_stats->>'last_activity_date', last_activity_date));
+
+  -- Announce each unlock on the team feed
+  INSERT INTO feed_posts (user_id, content, type, post_type, metadata)
+  SELECT p_user_id,
+         '🏆 ' || v_user.name || ' unlocked ' || a.icon || ' ' || a.name || '!',
+         'auto',
+         'achievement',
+         jsonb_build_object('achievementId', a.id, 'xpReward', a.xp_reward)
+    FROM achievements a
+   WHERE a.id = ANY(v_unlocked);
+
+  RETURN v_unlocked;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ========================================
+-- 4. TRIGGERS
+-- ========================================
+
+CREATE OR REPLACE FUNCTION trigger_evaluate_achievements()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_row RECORD;
+  v_author UUID;
+BEGIN
+  -- Achievement posts inserted by the evaluator land back here; skip them
+  IF pg_trigger_depth() > 1 THEN
+    RETURN NULL;
+  END IF;
+
+  IF TG_OP = 'DELETE' THEN
+    v_row := OLD;
+  ELSE
+    v_row := NEW;
+  END IF;
+
+  PERFORM evaluate_achievements(v_row.user_id);
+
+  -- Reactions also count towards the post author's likes received
+  IF TG_TABLE_NAME = 'feed_reactions' THEN
+    SELECT user_id INTO v_author FROM feed_posts WHERE id = v_row.post_id;
+    IF v_author IS NOT NULL AND v_author <> v_row.user_id THEN
+      PERFORM evaluate_achievements(v_author);
+    END IF;
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS evaluate_achievements_on_daily_logs ON daily_logs;
+CREATE TRIGGER evaluate_achievements_on_daily_logs
+  AFTER INSERT OR UPDATE OF count ON daily_logs
+  FOR EACH ROW
+  EXECUTE FUNCTION trigger_evaluate_achievements();
+
+DROP TRIGGER IF EXISTS evaluate_achievements_on_appointments ON appointments;
+CREATE TRIGGER evaluate_achievements_on_appointments
+  AFTER INSERT OR UPDATE OF outcome ON appointments
+  FOR EACH ROW
+  EXECUTE FUNCTION trigger_evaluate_achievements();
+
+DROP TRIGGER IF EXISTS evaluate_achievements_on_feed_posts ON feed_posts;
+CREATE TRIGGER evaluate_achievements_on_feed_posts
+  AFTER INSERT ON feed_posts
+  FOR EACH ROW
+  EXECUTE FUNCTION trigger_evaluate_achievements();
+
+DROP TRIGGER IF EXISTS evaluate_achievements_on_feed_comments ON feed_comments;
+CREATE TRIGGER evaluate_achievements_on_feed_comments
+  AFTER INSERT ON feed_comments
+  FOR EACH ROW
+  EXECUTE FUNCTION trigger_evaluate_achievements();
+
+DROP TRIGGER IF EXISTS evaluate_achievements_on_feed_reactions ON feed_reactions;
+CREATE TRIGGER evaluate_achievements_on_feed_reactions
+  AFTER INSERT OR DELETE ON feed_reactions
+  FOR EACH ROW
+  EXECUTE FUNCTION trigger_evaluate_achievements();
+
+-- ========================================
+-- 5. FUNCTION PRIVILEGES
+-- ========================================
+-- Only triggers run the evaluator; clients cannot grant themselves XP
+
+REVOKE EXECUTE ON FUNCTION evaluate_achievements(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION trigger_evaluate_achievements() FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION calculate_level(INTEGER) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION achievement_stats(UUID) TO authenticated;
+
+-- Comments
+COMMENT ON FUNCTION calculate_level IS 'Level for a total XP amount';
+COMMENT ON FUNCTION achievement_stats IS 'Activity totals, streaks and ranks that achievement criteria measure';
+COMMENT ON FUNCTION evaluate_achievements IS 'Updates achievement progress, grants XP and posts unlocks for one user';
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- Logging activity, booking appointments, posting, commenting and reacting
+-- now unlock achievements without any client involvement.
@@ -0,0 +1,385 @@
+-- ========================================
+-- XP / LEVEL CURVE
+-- ========================================
+-- Managers define the curve in system_settings (key 'xp_curve'):
+--   categoryXp          XP per logged activity, e.g. {"demos": 25}
+--   goalMultiplier      applied to a day's XP when every goal is met
+--   streakBonusPerDay   added to the multiplier per consecutive goal-met day
+--   maxStreakMultiplier cap for the streak part of the multiplier
+--   levelThresholds     total XP needed for level 1, 2, 3, ...
+--                       (levels past the table repeat the last gap)
+-- users.xp = bonus_xp (achievement rewards, manager bonuses) + activity_xp
+-- (derived from daily_logs with the curve). The client mirrors these rules
+-- in src/lib/xp.js.
+
+-- ========================================
+-- 1. DEFAULT CURVE
+-- ========================================
+
+INSERT INTO system_settings (key, value, description) VALUES
+('xp_curve', '{
+  "categoryXp": {"reviews": 15, "demos": 25, "callbacks": 5},
+  "goalMultiplier": 1.5,
+  "streakBonusPerDay": 0.1,
+  "maxStreakMultiplier": 2,
+  "levelThresholds": [0, 100, 250, 450, 700, 1000, 1400, 1900, 2500, 3200]
+}', 'XP per activity category, goal/streak multipliers and level thresholds')
+ON CONFLICT (key) DO NOTHING;
+
+-- Complete curve with defaults for any missing fields
+CREATE OR REPLACE FUNCTION get_xp_curve()
+RETURNS JSONB AS $$
+  SELECT jsonb_build_object(
+    'categoryXp', '{"reviews": 15, "demos": 25, "callbacks": 5}'::JSONB,
+    'goalMultiplier', 1.5,
+    'streakBonusPerDay', 0.1,
+    'maxStreakMultiplier', 2,
+    'levelThresholds', '[0, 100, 250, 450, 700, 1000, 1400, 1900, 2500, 3200]'::JSONB
+  ) || COALESCE((SELECT value FROM system_settings WHERE key = 'xp_curve'), '{}'::JSONB);
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+-- ========================================
+-- 2. XP COLUMNS
+-- ========================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = 'users' AND column_name = 'bonus_xp'
+  ) THEN
+    ALTER TABLE users ADD COLUMN bonus_xp INTEGER DEFAULT 0;
+    -- Until now xp only came from achievement rewards and manager bonuses
+    UPDATE users SET bonus_xp = COALESCE(xp, 0);
+  END IF;
+END $$;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS activity_xp INTEGER DEFAULT 0;
+
+-- ========================================
+-- 3. LEVELS
+-- ========================================
+
+CREATE OR REPLACE FUNCTION calculate_level(p_xp INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+  v_xp INTEGER := GREATEST(COALESCE(p_xp, 0), 0);
+  v_thresholds INTEGER[];
+  v_count INTEGER;
+  v_last INTEGER;
+  v_gap INTEGER;
+BEGIN
+  SELECT ARRAY(
+    SELECT GREATEST(ROUND(t.value::NUMERIC), 0)::INTEGER
+      FROM jsonb_array_elements_text(get_xp_curve()->'levelThresholds') WITH ORDINALITY AS t(value, position)
+     ORDER BY t.position
+  ) INTO v_thresholds;
+
+  v_count := COALESCE(array_length(v_thresholds, 1), 0);
+  IF v_count = 0 THEN
+    RETURN v_xp / 100 + 1;
+  END IF;
+
+  v_last := v_thresholds[v_count];
+  IF v_xp < v_last THEN
+    RETURN GREATEST(1, (SELECT COUNT(*) FROM unnest(v_thresholds) AS t WHERE t <= v_xp)::INTEGER);
+  END IF;
+
+  v_gap := CASE WHEN v_count > 1 THEN GREATEST(1, v_last - v_thresholds[v_count - 1]) ELSE 100 END;
+  RETURN v_count + (v_xp - v_last) / v_gap;
+END;
+$$ LANGUAGE plpgsql STABLE SET search_path = public;
+
+-- ========================================
+-- 4. ACTIVITY XP
+-- ========================================
+-- Per day: SUM(count * categoryXp). Days where every goal is met are
+-- multiplied by goalMultiplier * LEAST(1 + streakBonusPerDay * (streak - 1),
+-- maxStreakMultiplier), then rounded.
+
+CREATE OR REPLACE FUNCTION calculate_activity_xp(p_user_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+  v_curve JSONB := get_xp_curve();
+  v_goals JSONB;
+  v_xp INTEGER;
+BEGIN
+  SELECT COALESCE(goals, '{}'::JSONB) INTO v_goals FROM users WHERE id = p_user_id;
+  IF NOT FOUND THEN
+    RETURN 0;
+  END IF;
+
+  WITH goals AS (
+    SELECT key AS category, value::NUMERIC AS goal
+      FROM jsonb_each_text(v_goals)
+     WHERE value ~ '^[0-9]+(\.[0-9]+)?$' AND value::NUMERIC > 0
+  ),
+  logs AS (
+    SELECT date::DATE AS day, category, SUM(count) AS count
+      FROM daily_logs
+     WHERE user_id = p_user_id
+     GROUP BY 1, 2
+  ),
+  day_xp AS (
+    SELECT day, SUM(count * COALESCE((v_curve->'categoryXp'->>category)::NUMERIC, 0)) AS xp
+      FROM logs GROUP BY day
+  ),
+  day_goals AS (
+    SELECT d.day, MIN(COALESCE(l.count, 0) / g.goal) AS lowest_ratio
+      FROM day_xp d
+     CROSS JOIN goals g
+      LEFT JOIN logs l ON l.day = d.day AND l.category = g.category
+     GROUP BY d.day
+  ),
+  perfect AS (
+    SELECT day, day - (ROW_NUMBER() OVER (ORDER BY day))::INTEGER AS island
+      FROM day_goals
+     WHERE lowest_ratio >= 1
+  ),
+  streak_days AS (
+    SELECT day, ROW_NUMBER() OVER (PARTITION BY island ORDER BY day) AS streak
+      FROM perfect
+  )
+  SELECT COALESCE(SUM(ROUND(
+           d.xp * CASE
+             WHEN s.day IS NULL THEN 1
+             ELSE (v_curve->>'goalMultiplier')::NUMERIC
+                  * LEAST(1 + (v_curve->>'streakBonusPerDay')::NUMERIC * (s.streak - 1),
+                          (v_curve->>'maxStreakMultiplier')::NUMERIC)
+           END
+         )), 0)::INTEGER
+    INTO v_xp
+    FROM day_xp d
+    LEFT JOIN streak_days s ON s.day = d.day;
+
+  RETURN v_xp;
+END;
+$$ LANGUAGE plpgsql STABLE SET search_path = public;
+
+-- Recompute activity_xp, xp and level for one user
+CREATE OR REPLACE FUNCTION refresh_user_xp(p_user_id UUID)
+RETURNS VOID AS $$
+DECLARE
+  v_activity_xp INTEGER := calculate_activity_xp(p_user_id);
+BEGIN
+  UPDATE users
+     SET activity_xp = v_activity_xp,
+         xp = COALESCE(bonus_xp, 0) + v_activity_xp,
+         level = calculate_level(COALESCE(bonus_xp, 0) + v_activity_xp)
+   WHERE id = p_user_id
+     AND (activity_xp IS DISTINCT FROM v_activity_xp
+       OR xp IS DISTINCT FROM COALESCE(bonus_xp, 0) + v_activity_xp
+       OR level IS DISTINCT FROM calculate_level(COALESCE(bonus_xp, 0) + v_activity_xp));
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ========================================
+-- 5. EVALUATOR (rewards go to bonus_xp)
+-- ========================================
+
+CREATE OR REPLACE FUNCTION evaluate_achievements(p_user_id UUID)
+RETURNS TEXT[] AS $$
+DECLARE
+  v_user users%ROWTYPE;
+  v_stats JSONB;
+  v_achievement RECORD;
+  v_current NUMERIC;
+  v_target NUMERIC;
+  v_earned_at JSONB;
+  v_progress JSONB := '{}'::JSONB;
+  v_earned TEXT[];
+  v_unlocked TEXT[] := '{}';
+  v_xp_gained INTEGER := 0;
+  v_now_ms BIGINT := (EXTRACT(EPOCH FROM NOW()) * 1000)::BIGINT;
+BEGIN
+  SELECT * INTO v_user FROM users WHERE id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN v_unlocked;
+  END IF;
+
+  v_stats := achievement_stats(p_user_id);
+  v_earned := COALESCE(v_user.achievements, '{}');
+
+  FOR v_achievement IN SELECT * FROM achievements ORDER BY created_at, id LOOP
+    v_target := COALESCE((v_achievement.criteria->>'count')::NUMERIC, 1);
+
+    CASE v_achievement.criteria->>'type'
+      WHEN 'goal_completed' THEN v_current := (v_stats->>'goals_completed')::NUMERIC;
+      WHEN 'perfect_days' THEN v_current := (v_stats->>'perfect_days')::NUMERIC;
+      WHEN 'streak' THEN v_current := (v_stats->>'longest_streak')::NUMERIC;
+      WHEN 'consistency' THEN
+        v_current := (v_stats->>'longest_streak')::NUMERIC;
+        v_target := COALESCE((v_achievement.criteria->>'days')::NUMERIC, v_target);
+      WHEN 'weekly_perfect' THEN v_current := (v_stats->>'perfect_weeks')::NUMERIC;
+      WHEN 'exceed_goals' THEN
+        v_current := FLOOR((v_stats->>'best_exceed_multiplier')::NUMERIC * 10) / 10;
+        v_target := COALESCE((v_achievement.criteria->>'multiplier')::NUMERIC, 2);
+      WHEN 'leaderboard_rank' THEN
+        v_current := CASE
+          WHEN (v_stats->>'leaderboard_rank')::INTEGER <= COALESCE((v_achievement.criteria->>'rank')::INTEGER, 1)
+          THEN 1 ELSE 0 END;
+        v_target := 1;
+      WHEN 'weekly_activities' THEN v_current := (v_stats->>'best_week_activities')::NUMERIC;
+      WHEN 'total_activities' THEN v_current := (v_stats->>'total_activities')::NUMERIC;
+      WHEN 'monthly_callbacks' THEN v_current := (v_stats->>'best_month_callbacks')::NUMERIC;
+      WHEN 'monthly_demos' THEN v_current := (v_stats->>'best_month_demos')::NUMERIC;
+      WHEN 'feed_posts' THEN v_current := (v_stats->>'feed_posts')::NUMERIC;
+      WHEN 'likes_received' THEN v_current := (v_stats->>'likes_received')::NUMERIC;
+      WHEN 'likes_given' THEN v_current := (v_stats->>'likes_given')::NUMERIC;
+      WHEN 'comments_posted' THEN v_current := (v_stats->>'comments_posted')::NUMERIC;
+      WHEN 'appointments' THEN v_current := (v_stats->>'appointments')::NUMERIC;
+      WHEN 'sales' THEN v_current := (v_stats->>'sales')::NUMERIC;
+      ELSE v_current := 0;
+    END CASE;
+
+    v_current := COALESCE(v_current, 0);
+
+    IF v_achievement.id = ANY(v_earned) THEN
+      v_earned_at := COALESCE(v_user.achievement_progress->v_achievement.id->'earnedAt', 'null'::JSONB);
+    ELSIF v_current >= v_target THEN
+      v_earned := array_append(v_earned, v_achievement.id);
+      v_unlocked := array_append(v_unlocked, v_achievement.id);
+      v_xp_gained := v_xp_gained + COALESCE(v_achievement.xp_reward, 0);
+      v_earned_at := to_jsonb(v_now_ms);
+    ELSE
+      v_earned_at := 'null'::JSONB;
+    END IF;
+
+    v_progress := v_progress || jsonb_build_object(
+      v_achievement.id,
+      jsonb_build_object('current', LEAST(v_current, v_target), 'target', v_target, 'earnedAt', v_earned_at)
+    );
+  END LOOP;
+
+  -- Skip no-op updates so realtime subscribers are not woken for nothing
+  UPDATE users
+     SET achievements = v_earned,
+         achievement_progress = v_progress,
+         bonus_xp = COALESCE(bonus_xp, 0) + v_xp_gained,
+         current_streak = (v_stats->>'current_streak')::INTEGER,
+         longest_streak = GREATEST(COALESCE(longest_streak, 0), (v_stats->>'longest_streak')::INTEGER),
+         last_activity_date = COALESCE(v_stats->>'last_activity_date', last_activity_date)
+   WHERE id = p_user_id
+     AND (v_xp_gained > 0
+       OR achievement_progress IS DISTINCT FROM v_progress
+       OR current_streak IS DISTINCT FROM (v_stats->>'current_streak')::INTEGER
+       OR longest_streak IS DISTINCT FROM GREATEST(COALESCE(longest_streak, 0), (v_stats->>'longest_streak')::INTEGER)
+       OR last_activity_date IS DISTINCT FROM COALESCE(v_stats->>'last_activity_date', last_activity_date));
+
+  PERFORM refresh_user_xp(p_user_id);
+
+  -- Announce each unlock on the team feed
+  INSERT INTO feed_posts (user_id, content, type, post_type, metadata)
+  SELECT p_user_id,
+         '🏆 ' || v_user.name || ' unlocked ' || a.icon || ' ' || a.name || '!',
+         'auto',
+         'achievement',
+         jsonb_build_object('achievementId', a.id, 'xpReward', a.xp_reward)
+    FROM achievements a
+   WHERE a.id = ANY(v_unlocked);
+
+  RETURN v_unlocked;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ========================================
+-- 6. CURVE CHANGES AND GOAL CHANGES
+-- ========================================
+
+-- Re-level everyone when a manager edits the curve
+CREATE OR REPLACE FUNCTION refresh_xp_on_curve_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM refresh_user_xp(id) FROM users;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS refresh_xp_on_curve_change_trigger ON system_settings;
+CREATE TRIGGER refresh_xp_on_curve_change_trigger
+  AFTER INSERT OR UPDATE OF value ON system_settings
+  FOR EACH ROW
+  WHEN (NEW.key = 'xp_curve')
+  EXECUTE FUNCTION refresh_xp_on_curve_change();
+
+-- Goals decide which days earn the multiplier
+CREATE OR REPLACE FUNCTION refresh_xp_on_goal_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF pg_trigger_depth() > 1 THEN
+    RETURN NULL;
+  END IF;
+  PERFORM refresh_user_xp(NEW.id);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS refresh_xp_on_goal_change_trigger ON users;
+CREATE TRIGGER refresh_xp_on_goal_change_trigger
+  AFTER UPDATE OF goals, bonus_xp ON users
+  FOR EACH ROW
+  EXECUTE FUNCTION refresh_xp_on_goal_change();
+
+-- ========================================
+-- 7. PROTECT XP COLUMNS
+-- ========================================
+-- Employees can still edit their own goals, but XP, levels and achievements
+-- only change through the evaluator or a manager.
+
+CREATE OR REPLACE FUNCTION protect_user_privileged_columns()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_user IN ('anon', 'authenticated') AND NOT is_manager() THEN
+    IF NEW.role IS DISTINCT FROM OLD.role
+       OR NEW.archived IS DISTINCT FROM OLD.archived
+       OR NEW.archived_at IS DISTINCT FROM OLD.archived_at
+       OR NEW.archived_by IS DISTINCT FROM OLD.archived_by
+       OR NEW.email IS DISTINCT FROM OLD.email
+       OR NEW.auth_user_id IS DISTINCT FROM OLD.auth_user_id THEN
+      RAISE EXCEPTION 'Only managers can change role, archive status or sign-in email'
+        USING ERRCODE = '42501';
+    END IF;
+
+    IF NEW.xp IS DISTINCT FROM OLD.xp
+       OR NEW.bonus_xp IS DISTINCT FROM OLD.bonus_xp
+       OR NEW.activity_xp IS DISTINCT FROM OLD.activity_xp
+       OR NEW.level IS DISTINCT FROM OLD.level
+       OR NEW.achievements IS DISTINCT FROM OLD.achievements
+       OR NEW.achievement_progress IS DISTINCT FROM OLD.achievement_progress THEN
+      RAISE EXCEPTION 'XP, levels and achievements are awarded by the server'
+        USING ERRCODE = '42501';
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+-- ========================================
+-- 8. BACKFILL
+-- ========================================
+
+SELECT refresh_user_xp(id) FROM users;
+
+-- ========================================
+-- 9. FUNCTION PRIVILEGES
+-- ========================================
+
+REVOKE EXECUTE ON FUNCTION refresh_user_xp(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION refresh_xp_on_curve_change() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION refresh_xp_on_goal_change() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION evaluate_achievements(UUID) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION get_xp_curve() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION calculate_activity_xp(UUID) TO authenticated;
+
+-- Comments
+COMMENT ON COLUMN users.bonus_xp IS 'XP from achievement rewards and manager bonuses';
+COMMENT ON COLUMN users.activity_xp IS 'XP derived from daily_logs with the xp_curve setting';
+COMMENT ON FUNCTION get_xp_curve IS 'xp_curve setting merged over the defaults';
+COMMENT ON FUNCTION calculate_activity_xp IS 'Activity XP for a user with goal and streak multipliers';
+COMMENT ON FUNCTION refresh_user_xp IS 'Recomputes activity_xp, xp and level for one user';
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- XP now follows the manager-defined curve and levels use the threshold table.
@@ -0,0 +1,164 @@
+-- ========================================
+-- STORE CALENDAR
+-- ========================================
+-- The store's timezone and first day of the week live in system_settings
+-- (key 'store_calendar'), so "today" and "this week" mean the same thing on
+-- every device, in the AI coach, in the api edge function and in the
+-- achievement engine. The client mirrors these rules in src/lib/dates.js.
+
+-- ========================================
+-- 1. DEFAULT CALENDAR
+-- ========================================
+
+INSERT INTO system_settings (key, value, description) VALUES
+('store_calendar', '{"timezone": "America/Chicago", "weekStartsOn": 0}',
+ 'Store timezone and first day of the week (0 = Sunday ... 6 = Saturday)')
+ON CONFLICT (key) DO NOTHING;
+
+-- Complete calendar with defaults for any missing fields
+CREATE OR REPLACE FUNCTION get_store_calendar()
+RETURNS JSONB AS $$
+  SELECT '{"timezone": "America/Chicago", "weekStartsOn": 0}'::JSONB
+    || COALESCE((SELECT value FROM system_settings WHERE key = 'store_calendar'), '{}'::JSONB);
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+-- ========================================
+-- 2. CALENDAR HELPERS
+-- ========================================
+
+-- Today's date in the store's timezone
+CREATE OR REPLACE FUNCTION store_today()
+RETURNS DATE AS $$
+  SELECT (NOW() AT TIME ZONE (get_store_calendar()->>'timezone'))::DATE;
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+-- First day of the week containing a date
+CREATE OR REPLACE FUNCTION store_week_start(p_day DATE)
+RETURNS DATE AS $$
+  SELECT p_day - ((EXTRACT(DOW FROM p_day)::INTEGER
+                   - (get_store_calendar()->>'weekStartsOn')::INTEGER + 7) % 7);
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+-- ========================================
+-- 3. ACHIEVEMENT STATS
+-- ========================================
+-- Same as 014_achievement_engine.sql, but "today" and week boundaries
+-- follow the store calendar instead of the database's UTC clock.
+
+CREATE OR REPLACE FUNCTION achievement_stats(p_user_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_user users%ROWTYPE;
+  v_today DATE := store_today();
+  v_week_start DATE := store_week_start(store_today());
+  v_stats JSONB;
+BEGIN
+  SELECT * INTO v_user FROM users WHERE id = p_user_id;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  WITH goals AS (
+    SELECT key AS category, value::NUMERIC AS goal
+      FROM jsonb_each_text(COALESCE(v_user.goals, '{}'::JSONB))
+     WHERE value ~ '^[0-9]+(\.[0-9]+)?$' AND value::NUMERIC > 0
+  ),
+  logs AS (
+    SELECT date::DATE AS day, category, SUM(count) AS count
+      FROM daily_logs
+     WHERE user_id = p_user_id
+     GROUP BY 1, 2
+  ),
+  days AS (
+    SELECT day, SUM(count) AS total FROM logs GROUP BY day
+  ),
+  day_goals AS (
+    SELECT d.day,
+           COUNT(*) FILTER (WHERE COALESCE(l.count, 0) >= g.goal) AS goals_met,
+           MIN(COALESCE(l.count, 0) / g.goal) AS lowest_ratio
+      FROM days d
+     CROSS JOIN goals g
+      LEFT JOIN logs l ON l.day = d.day AND l.category = g.category
+     GROUP BY d.day
+  ),
+  perfect AS (
+    SELECT day, day - (ROW_NUMBER() OVER (ORDER BY day))::INTEGER AS island
+      FROM day_goals
+     WHERE lowest_ratio >= 1
+  ),
+  streaks AS (
+    SELECT COUNT(*) AS length, MAX(day) AS last_day FROM perfect GROUP BY island
+  ),
+  weeks AS (
+    SELECT store_week_start(day) AS week, SUM(total) AS total
+      FROM days GROUP BY 1
+  ),
+  perfect_weeks AS (
+    SELECT store_week_start(day) AS week
+      FROM perfect GROUP BY 1 HAVING COUNT(*) >= 7
+  ),
+  months AS (
+    SELECT date_trunc('month', day) AS month,
+           COALESCE(SUM(count) FILTER (WHERE category = 'callbacks'), 0) AS callbacks,
+           COALESCE(SUM(count) FILTER (WHERE category = 'demos'), 0) AS demos
+      FROM logs GROUP BY 1
+  ),
+  weekly_ranks AS (
+    SELECT l.user_id, ROW_NUMBER() OVER (ORDER BY SUM(l.count) DESC) AS rank
+      FROM daily_logs l
+      JOIN users u ON u.id = l.user_id
+     WHERE COALESCE(u.archived, FALSE) = FALSE
+       AND l.date::DATE >= v_week_start
+       AND l.date::DATE < v_week_start + 7
+     GROUP BY l.user_id
+    HAVING SUM(l.count) > 0
+  )
+  SELECT jsonb_build_object(
+    'goals_completed', COALESCE((SELECT SUM(goals_met) FROM day_goals), 0),
+    'perfect_days', (SELECT COUNT(*) FROM perfect),
+    'longest_streak', COALESCE((SELECT MAX(length) FROM streaks), 0),
+    -- Today is still in progress, so a streak ending yesterday is current
+    'current_streak', COALESCE((SELECT length FROM streaks WHERE last_day >= v_today - 1), 0),
+    'perfect_weeks', (SELECT COUNT(*) FROM perfect_weeks),
+    'best_exceed_multiplier', COALESCE((SELECT MAX(lowest_ratio) FROM day_goals), 0),
+    'leaderboard_rank', (SELECT rank FROM weekly_ranks WHERE user_id = p_user_id),
+    'best_week_activities', COALESCE((SELECT MAX(total) FROM weeks), 0),
+    'total_activities', COALESCE((SELECT SUM(total) FROM days), 0),
+    'best_month_callbacks', COALESCE((SELECT MAX(callbacks) FROM months), 0),
+    'best_month_demos', COALESCE((SELECT MAX(demos) FROM months), 0),
+    'feed_posts', (SELECT COUNT(*) FROM feed_posts
+                    WHERE user_id = p_user_id AND COALESCE(type, 'manual') <> 'auto'),
+    'likes_received', (SELECT COUNT(*) FROM feed_likes fl
+                         JOIN feed_posts fp ON fp.id = fl.post_id
+                        WHERE fp.user_id = p_user_id AND fl.user_id <> p_user_id),
+    'likes_given', (SELECT COUNT(*) FROM feed_likes WHERE user_id = p_user_id),
+    'comments_posted', (SELECT COUNT(*) FROM feed_comments WHERE user_id = p_user_id),
+    'appointments', (SELECT COUNT(*) FROM appointments WHERE user_id = p_user_id),
+    'sales', GREATEST(
+      COALESCE(v_user.total_sales, 0),
+      (SELECT COUNT(*) FROM appointments WHERE user_id = p_user_id AND outcome = 'sale')
+    ),
+    'last_activity_date', (SELECT MAX(day)::TEXT FROM days WHERE total > 0)
+  ) INTO v_stats;
+
+  RETURN v_stats;
+END;
+$$ LANGUAGE plpgsql STABLE SET search_path = public;
+
+-- ========================================
+-- 4. FUNCTION PRIVILEGES
+-- ========================================
+
+GRANT EXECUTE ON FUNCTION get_store_calendar() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION store_today() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION store_week_start(DATE) TO anon, authenticated;
+
+-- Comments
+COMMENT ON FUNCTION get_store_calendar IS 'store_calendar setting merged over the defaults';
+COMMENT ON FUNCTION store_today IS 'Current date in the store timezone';
+COMMENT ON FUNCTION store_week_start IS 'First day of the week containing a date, per the store calendar';
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- Dates and weeks now follow the store calendar.
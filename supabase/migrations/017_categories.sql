@@ -0,0 +1,156 @@
+-- ========================================
+-- ACTIVITY CATEGORIES
+-- ========================================
+-- Activity categories are data instead of code. daily_logs.category and the
+-- keys of users.goals are category ids, so new categories need no schema
+-- change. xp_weight replaces the categoryXp map of the xp_curve setting.
+-- Deactivating a category hides it from logging and removes it from every
+-- user's goals; its history still counts towards totals.
+-- The client mirrors this in src/lib/categories.js.
+
+-- ========================================
+-- 1. CATEGORIES TABLE
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS categories (
+  id TEXT PRIMARY KEY CHECK (id ~ '^[a-z][a-z0-9_]*$'),
+  name TEXT NOT NULL,
+  icon TEXT NOT NULL DEFAULT 'Target', -- lucide-react icon name
+  color TEXT NOT NULL DEFAULT '#6B7280',
+  default_goal INTEGER NOT NULL DEFAULT 0 CHECK (default_goal >= 0),
+  xp_weight INTEGER NOT NULL DEFAULT 0 CHECK (xp_weight >= 0),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_categories_active ON categories(active, sort_order);
+
+-- Built-in categories plus the ones the store asked for (off until a manager enables them)
+INSERT INTO categories (id, name, icon, color, default_goal, xp_weight, active, sort_order) VALUES
+('reviews', 'Reviews', 'Star', '#FFC107', 5, 15, TRUE, 1),
+('demos', 'Demos', 'Calendar', '#28A745', 3, 25, TRUE, 2),
+('callbacks', 'Callbacks', 'Phone', '#0056A4', 10, 5, TRUE, 3),
+('door_knocks', 'Door Knocks', 'DoorOpen', '#6F42C1', 20, 2, FALSE, 4),
+('in_home_measures', 'In-Home Measures', 'Ruler', '#FD7E14', 2, 30, FALSE, 5),
+('showroom_walkins', 'Showroom Walk-ins', 'Store', '#17A2B8', 5, 10, FALSE, 6)
+ON CONFLICT (id) DO NOTHING;
+
+-- ========================================
+-- 2. XP WEIGHTS
+-- ========================================
+-- Carry over any XP values a manager already customised in the curve.
+
+UPDATE categories c
+   SET xp_weight = (s.value->'categoryXp'->>c.id)::INTEGER
+  FROM system_settings s
+ WHERE s.key = 'xp_curve'
+   AND s.value->'categoryXp'->>c.id ~ '^[0-9]+$';
+
+UPDATE system_settings SET value = value - 'categoryXp' WHERE key = 'xp_curve';
+
+-- categoryXp now comes from the categories table
+CREATE OR REPLACE FUNCTION get_xp_curve()
+RETURNS JSONB AS $$
+  SELECT jsonb_build_object(
+    'goalMultiplier', 1.5,
+    'streakBonusPerDay', 0.1,
+    'maxStreakMultiplier', 2,
+    'levelThresholds', '[0, 100, 250, 450, 700, 1000, 1400, 1900, 2500, 3200]'::JSONB
+  ) || COALESCE((SELECT value FROM system_settings WHERE key = 'xp_curve'), '{}'::JSONB)
+    || jsonb_build_object(
+      'categoryXp', COALESCE((SELECT jsonb_object_agg(id, xp_weight) FROM categories), '{}'::JSONB)
+    );
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+-- ========================================
+-- 3. CATEGORY CHANGES
+-- ========================================
+
+DROP TRIGGER IF EXISTS update_categories_updated_at ON categories;
+CREATE TRIGGER update_categories_updated_at
+  BEFORE UPDATE ON categories
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Drop goals for deactivated categories and re-score XP when weights change
+CREATE OR REPLACE FUNCTION refresh_xp_on_category_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND OLD.active AND NOT NEW.active THEN
+    UPDATE users SET goals = goals - NEW.id WHERE goals ? NEW.id;
+  END IF;
+
+  PERFORM refresh_user_xp(id) FROM users;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS refresh_xp_on_category_change_trigger ON categories;
+CREATE TRIGGER refresh_xp_on_category_change_trigger
+  AFTER INSERT OR DELETE OR UPDATE OF xp_weight, active ON categories
+  FOR EACH ROW
+  EXECUTE FUNCTION refresh_xp_on_category_change();
+
+-- ========================================
+-- 4. SNAPSHOTS PER CATEGORY
+-- ========================================
+-- counts/goals hold every category; the *_count/*_goal columns are kept
+-- for the three built-in categories so older clients keep working.
+
+ALTER TABLE daily_snapshots ADD COLUMN IF NOT EXISTS counts JSONB DEFAULT '{}';
+ALTER TABLE daily_snapshots ADD COLUMN IF NOT EXISTS goals JSONB DEFAULT '{}';
+
+UPDATE daily_snapshots
+   SET counts = jsonb_build_object(
+         'reviews', COALESCE(reviews_count, 0),
+         'demos', COALESCE(demos_count, 0),
+         'callbacks', COALESCE(callbacks_count, 0)),
+       goals = jsonb_strip_nulls(jsonb_build_object(
+         'reviews', reviews_goal,
+         'demos', demos_goal,
+         'callbacks', callbacks_goal))
+ WHERE counts = '{}'::JSONB OR counts IS NULL;
+
+-- ========================================
+-- 5. ROW LEVEL SECURITY (manager writes)
+-- ========================================
+
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS categories_select_all ON categories;
+DROP POLICY IF EXISTS categories_insert_manager ON categories;
+DROP POLICY IF EXISTS categories_update_manager ON categories;
+DROP POLICY IF EXISTS categories_delete_manager ON categories;
+
+CREATE POLICY categories_select_all ON categories FOR SELECT USING (true);
+CREATE POLICY categories_insert_manager ON categories FOR INSERT WITH CHECK (is_manager());
+CREATE POLICY categories_update_manager ON categories FOR UPDATE USING (is_manager()) WITH CHECK (is_manager());
+CREATE POLICY categories_delete_manager ON categories FOR DELETE USING (is_manager());
+
+-- ========================================
+-- 6. REALTIME
+-- ========================================
+
+ALTER PUBLICATION supabase_realtime ADD TABLE categories;
+
+-- ========================================
+-- 7. FUNCTION PRIVILEGES
+-- ========================================
+
+REVOKE EXECUTE ON FUNCTION refresh_xp_on_category_change() FROM PUBLIC, anon, authenticated;
+
+-- Comments
+COMMENT ON TABLE categories IS 'Activity categories logged in daily_logs and targeted by users.goals';
+COMMENT ON COLUMN categories.icon IS 'lucide-react icon name';
+COMMENT ON COLUMN categories.default_goal IS 'Daily goal given to new users';
+COMMENT ON COLUMN categories.xp_weight IS 'XP per logged activity (categoryXp of the XP curve)';
+COMMENT ON COLUMN categories.active IS 'Inactive categories are hidden from logging and goals';
+COMMENT ON COLUMN daily_snapshots.counts IS 'Activity count per category id';
+COMMENT ON COLUMN daily_snapshots.goals IS 'Daily goal per category id';
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- Categories are now managed in the categories table.
@@ -0,0 +1,56 @@
+-- ========================================
+-- WEEKLY AND MONTHLY GOALS
+-- ========================================
+-- users.goals keeps the daily goal per category ({ category: number }) that
+-- the XP and achievement functions read. Weekly and monthly goals live next
+-- to it in users.period_goals ({ "week": {...}, "month": {...} }), keyed by
+-- category id like users.goals. Weeks follow the store calendar
+-- (016_store_calendar.sql). The client mirrors this in src/lib/goals.js.
+
+-- ========================================
+-- 1. PERIOD GOALS COLUMN
+-- ========================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS period_goals JSONB NOT NULL DEFAULT '{}';
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_period_goals_check;
+ALTER TABLE users ADD CONSTRAINT users_period_goals_check
+  CHECK (jsonb_typeof(period_goals) = 'object' AND period_goals - 'week' - 'month' = '{}'::JSONB);
+
+-- ========================================
+-- 2. CATEGORY CHANGES
+-- ========================================
+
+-- Deactivating a category also drops its weekly and monthly goals
+CREATE OR REPLACE FUNCTION refresh_xp_on_category_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND OLD.active AND NOT NEW.active THEN
+    UPDATE users SET goals = goals - NEW.id WHERE goals ? NEW.id;
+
+    UPDATE users
+       SET period_goals = period_goals
+         || CASE WHEN period_goals ? 'week'
+                 THEN jsonb_build_object('week', (period_goals->'week') - NEW.id)
+                 ELSE '{}'::JSONB END
+         || CASE WHEN period_goals ? 'month'
+                 THEN jsonb_build_object('month', (period_goals->'month') - NEW.id)
+                 ELSE '{}'::JSONB END
+     WHERE period_goals->'week' ? NEW.id OR period_goals->'month' ? NEW.id;
+  END IF;
+
+  PERFORM refresh_user_xp(id) FROM users;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION refresh_xp_on_category_change() FROM PUBLIC, anon, authenticated;
+
+-- Comments
+COMMENT ON COLUMN users.goals IS 'Daily goal per category id';
+COMMENT ON COLUMN users.period_goals IS 'Weekly and monthly goals: { "week": { category: number }, "month": { category: number } }';
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- Users can now set daily, weekly and monthly goals.
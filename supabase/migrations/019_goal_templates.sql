@@ -0,0 +1,214 @@
+-- ========================================
+-- GOAL TEMPLATES
+-- ========================================
+-- Named goal plans ("New hire - week 1", "Senior closer") that managers
+-- assign to many users at once. A template is a list of steps; each step
+-- starts a number of weeks after the assignment's start date and sets the
+-- user's daily goals (users.goals) and weekly/monthly goals
+-- (users.period_goals, 018_period_goals.sql). A ramp-up plan is a template
+-- whose later steps raise the goals week over week.
+-- A user follows at most one template. When a new step becomes effective it
+-- is written to the user's goals once; manual edits in between are kept
+-- until the next step. The client mirrors this in src/lib/goalTemplates.js.
+
+-- ========================================
+-- 1. TABLES
+-- ========================================
+
+-- steps: [{ "week": 0, "goals": { "day": {...}, "week": {...}, "month": {...} } }, ...]
+-- A period missing from a step leaves the user's goals for that period alone.
+CREATE TABLE IF NOT EXISTS goal_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL UNIQUE,
+  description TEXT,
+  steps JSONB NOT NULL DEFAULT '[]'
+    CHECK (jsonb_typeof(steps) = 'array' AND jsonb_array_length(steps) > 0),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS goal_assignments (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  template_id UUID NOT NULL REFERENCES goal_templates(id) ON DELETE CASCADE,
+  starts_on DATE NOT NULL,
+  applied_week INTEGER, -- week of the step last written to the user's goals
+  assigned_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_goal_assignments_template ON goal_assignments(template_id);
+
+DROP TRIGGER IF EXISTS update_goal_templates_updated_at ON goal_templates;
+CREATE TRIGGER update_goal_templates_updated_at
+  BEFORE UPDATE ON goal_templates
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_goal_assignments_updated_at ON goal_assignments;
+CREATE TRIGGER update_goal_assignments_updated_at
+  BEFORE UPDATE ON goal_assignments
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- ========================================
+-- 2. APPLYING STEPS
+-- ========================================
+
+-- Step of a template in effect on a day (NULL before the start date)
+CREATE OR REPLACE FUNCTION goal_template_step(p_steps JSONB, p_starts_on DATE, p_day DATE)
+RETURNS JSONB AS $$
+  SELECT step
+    FROM jsonb_array_elements(p_steps) AS step
+   WHERE p_day >= p_starts_on
+     AND (step->>'week')::INTEGER <= (p_day - p_starts_on) / 7
+   ORDER BY (step->>'week')::INTEGER DESC
+   LIMIT 1;
+$$ LANGUAGE sql IMMUTABLE SET search_path = public;
+
+-- Write every newly effective step to its user's goals; returns how many
+-- users changed. Run daily (pg_cron or an external scheduler) so ramps
+-- advance on their own; the app also calls it when it loads.
+CREATE OR REPLACE FUNCTION apply_goal_assignments(p_day DATE DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+  v_day DATE := COALESCE(p_day, store_today());
+  v_assignment RECORD;
+  v_step JSONB;
+  v_count INTEGER := 0;
+BEGIN
+  FOR v_assignment IN
+    SELECT a.user_id, a.starts_on, a.applied_week, t.steps
+      FROM goal_assignments a
+      JOIN goal_templates t ON t.id = a.template_id
+  LOOP
+    v_step := goal_template_step(v_assignment.steps, v_assignment.starts_on, v_day);
+    CONTINUE WHEN v_step IS NULL
+      OR (v_step->>'week')::INTEGER IS NOT DISTINCT FROM v_assignment.applied_week;
+
+    UPDATE users
+       SET goals = COALESCE(v_step->'goals'->'day', goals),
+           period_goals = period_goals || jsonb_strip_nulls(jsonb_build_object(
+             'week', v_step->'goals'->'week',
+             'month', v_step->'goals'->'month'))
+     WHERE id = v_assignment.user_id;
+
+    UPDATE goal_assignments
+       SET applied_week = (v_step->>'week')::INTEGER
+     WHERE user_id = v_assignment.user_id;
+
+    -- refresh_xp_on_goal_change skips nested updates, so re-score here
+    IF pg_trigger_depth() > 0 THEN
+      PERFORM refresh_user_xp(v_assignment.user_id);
+    END IF;
+
+    v_count := v_count + 1;
+  END LOOP;
+
+  RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- A new or changed assignment starts over from its first effective step
+CREATE OR REPLACE FUNCTION reset_goal_assignment()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT'
+     OR NEW.template_id IS DISTINCT FROM OLD.template_id
+     OR NEW.starts_on IS DISTINCT FROM OLD.starts_on THEN
+    NEW.applied_week := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS reset_goal_assignment_trigger ON goal_assignments;
+CREATE TRIGGER reset_goal_assignment_trigger
+  BEFORE INSERT OR UPDATE OF template_id, starts_on ON goal_assignments
+  FOR EACH ROW
+  EXECUTE FUNCTION reset_goal_assignment();
+
+CREATE OR REPLACE FUNCTION apply_goal_assignments_on_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- Edited steps are re-applied to everyone following the template
+  IF TG_TABLE_NAME = 'goal_templates' THEN
+    UPDATE goal_assignments SET applied_week = NULL WHERE template_id = NEW.id;
+  END IF;
+
+  PERFORM apply_goal_assignments();
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS apply_goal_assignments_trigger ON goal_assignments;
+CREATE TRIGGER apply_goal_assignments_trigger
+  AFTER INSERT OR UPDATE OF template_id, starts_on ON goal_assignments
+  FOR EACH ROW
+  EXECUTE FUNCTION apply_goal_assignments_on_change();
+
+DROP TRIGGER IF EXISTS apply_goal_template_steps_trigger ON goal_templates;
+CREATE TRIGGER apply_goal_template_steps_trigger
+  AFTER UPDATE OF steps ON goal_templates
+  FOR EACH ROW
+  EXECUTE FUNCTION apply_goal_assignments_on_change();
+
+-- ========================================
+-- 3. ROW LEVEL SECURITY (manager writes)
+-- ========================================
+
+ALTER TABLE goal_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE goal_assignments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS goal_templates_select_all ON goal_templates;
+DROP POLICY IF EXISTS goal_templates_insert_manager ON goal_templates;
+DROP POLICY IF EXISTS goal_templates_update_manager ON goal_templates;
+DROP POLICY IF EXISTS goal_templates_delete_manager ON goal_templates;
+
+CREATE POLICY goal_templates_select_all ON goal_templates FOR SELECT USING (true);
+CREATE POLICY goal_templates_insert_manager ON goal_templates FOR INSERT WITH CHECK (is_manager());
+CREATE POLICY goal_templates_update_manager ON goal_templates FOR UPDATE USING (is_manager()) WITH CHECK (is_manager());
+CREATE POLICY goal_templates_delete_manager ON goal_templates FOR DELETE USING (is_manager());
+
+DROP POLICY IF EXISTS goal_assignments_select_all ON goal_assignments;
+DROP POLICY IF EXISTS goal_assignments_insert_manager ON goal_assignments;
+DROP POLICY IF EXISTS goal_assignments_update_manager ON goal_assignments;
+DROP POLICY IF EXISTS goal_assignments_delete_manager ON goal_assignments;
+
+CREATE POLICY goal_assignments_select_all ON goal_assignments FOR SELECT USING (true);
+CREATE POLICY goal_assignments_insert_manager ON goal_assignments FOR INSERT WITH CHECK (is_manager());
+CREATE POLICY goal_assignments_update_manager ON goal_assignments FOR UPDATE USING (is_manager()) WITH CHECK (is_manager());
+CREATE POLICY goal_assignments_delete_manager ON goal_assignments FOR DELETE USING (is_manager());
+
+-- ========================================
+-- 4. REALTIME
+-- ========================================
+
+ALTER PUBLICATION supabase_realtime ADD TABLE goal_templates;
+ALTER PUBLICATION supabase_realtime ADD TABLE goal_assignments;
+
+-- ========================================
+-- 5. FUNCTION PRIVILEGES
+-- ========================================
+-- apply_goal_assignments only writes steps managers already assigned, so
+-- any signed-in device may advance the ramps.
+
+REVOKE EXECUTE ON FUNCTION apply_goal_assignments(DATE) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION apply_goal_assignments_on_change() FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION goal_template_step(JSONB, DATE, DATE) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION apply_goal_assignments(DATE) TO authenticated;
+
+-- Comments
+COMMENT ON TABLE goal_templates IS 'Named goal plans managers assign to users';
+COMMENT ON COLUMN goal_templates.steps IS 'Goals by period, each starting a number of weeks after the assignment start';
+COMMENT ON TABLE goal_assignments IS 'Template each user follows and when it started';
+COMMENT ON COLUMN goal_assignments.applied_week IS 'Week of the step last written to the user''s goals';
+COMMENT ON FUNCTION goal_template_step IS 'Template step in effect on a day';
+COMMENT ON FUNCTION apply_goal_assignments IS 'Writes newly effective template steps to users'' goals';
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- Managers can now assign goal templates and ramp-up plans.
@@ -0,0 +1,152 @@
+-- ========================================
+-- ACTIVITY EVENTS
+-- ========================================
+-- Every logged activity is an append-only event (+1, -1, +5 ...) instead of
+-- an absolute count written over daily_logs. Two devices logging offline no
+-- longer overwrite each other, and each event keeps when it happened and
+-- where it came from. daily_logs becomes an aggregate maintained from the
+-- events, so everything that reads it (XP, achievements, snapshots, the app)
+-- keeps working unchanged. The client mirrors this in src/lib/activityEvents.js.
+
+-- ========================================
+-- 1. EVENTS TABLE
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS activity_events (
+  -- Generated by the client so a retried sync cannot log an event twice
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  category TEXT NOT NULL,
+  delta INTEGER NOT NULL CHECK (delta <> 0),
+  date DATE NOT NULL DEFAULT store_today(),
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'ai', 'integration', 'api')),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_activity_events_user_date ON activity_events(user_id, date, category);
+CREATE INDEX IF NOT EXISTS idx_activity_events_occurred_at ON activity_events(occurred_at DESC);
+
+-- ========================================
+-- 2. BACKFILL
+-- ========================================
+-- Existing counts become one event each, so the events add up to daily_logs.
+-- Runs before the aggregate trigger exists so the counts are not doubled.
+
+INSERT INTO activity_events (user_id, category, delta, date, occurred_at, source)
+SELECT l.user_id, l.category, l.count, l.date,
+       COALESCE(l.updated_at, l.date::TIMESTAMPTZ), 'manual'
+  FROM daily_logs l
+ WHERE l.count > 0
+   AND NOT EXISTS (
+     SELECT 1 FROM activity_events e
+      WHERE e.user_id = l.user_id AND e.date = l.date AND e.category = l.category
+   );
+
+-- ========================================
+-- 3. DAILY LOG AGGREGATE
+-- ========================================
+-- Adds each event to its day's count. The row lock taken by the upsert
+-- serialises concurrent events for the same day, so none are lost. An event
+-- that would take a count below zero is rejected rather than clamped, so
+-- the events always add up to daily_logs.
+
+CREATE OR REPLACE FUNCTION apply_activity_event()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  INSERT INTO daily_logs (user_id, date, category, count, updated_at)
+  VALUES (NEW.user_id, NEW.date, NEW.category, NEW.delta, NOW())
+  ON CONFLICT (user_id, date, category) DO UPDATE
+    SET count = daily_logs.count + NEW.delta,
+        updated_at = NOW()
+  RETURNING count INTO v_count;
+
+  IF v_count < 0 THEN
+    RAISE EXCEPTION 'The % count for % cannot go below zero', NEW.category, NEW.date
+      USING ERRCODE = '23514';
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS apply_activity_event_trigger ON activity_events;
+CREATE TRIGGER apply_activity_event_trigger
+  AFTER INSERT ON activity_events
+  FOR EACH ROW
+  EXECUTE FUNCTION apply_activity_event();
+
+-- Events are history: corrections are new events, not edits
+CREATE OR REPLACE FUNCTION prevent_activity_event_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Activity events are append-only; log a correcting event instead'
+    USING ERRCODE = '42501';
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS prevent_activity_event_update_trigger ON activity_events;
+CREATE TRIGGER prevent_activity_event_update_trigger
+  BEFORE UPDATE ON activity_events
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_activity_event_update();
+
+-- ========================================
+-- 4. ROW LEVEL SECURITY
+-- ========================================
+-- Anyone signed in can read events; users append their own and managers
+-- anyone's. Clients no longer write daily_logs at all: an absolute count
+-- written there would bypass the events, so the 013 write policies go and
+-- only the trigger above (and the service role) changes it.
+
+ALTER TABLE activity_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS activity_events_select_all ON activity_events;
+DROP POLICY IF EXISTS activity_events_insert_own_or_manager ON activity_events;
+
+CREATE POLICY activity_events_select_all ON activity_events FOR SELECT USING (true);
+CREATE POLICY activity_events_insert_own_or_manager ON activity_events
+  FOR INSERT WITH CHECK (user_id = current_app_user_id() OR is_manager());
+
+DROP POLICY IF EXISTS daily_logs_insert_own_or_manager ON daily_logs;
+DROP POLICY IF EXISTS daily_logs_update_own_or_manager ON daily_logs;
+DROP POLICY IF EXISTS daily_logs_delete_own_or_manager ON daily_logs;
+
+REVOKE INSERT, UPDATE, DELETE ON daily_logs FROM anon, authenticated;
+
+-- ========================================
+-- 5. REALTIME
+-- ========================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+     WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'activity_events'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE activity_events;
+  END IF;
+END $$;
+
+-- ========================================
+-- 6. FUNCTION PRIVILEGES
+-- ========================================
+
+REVOKE EXECUTE ON FUNCTION apply_activity_event() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION prevent_activity_event_update() FROM PUBLIC, anon, authenticated;
+
+-- Comments
+COMMENT ON TABLE activity_events IS 'Append-only log of activity changes; daily_logs is their per-day total';
+COMMENT ON COLUMN activity_events.delta IS 'Change to the day''s count (negative for corrections)';
+COMMENT ON COLUMN activity_events.date IS 'Store day the activity counts towards';
+COMMENT ON COLUMN activity_events.occurred_at IS 'When the activity was logged on the device';
+COMMENT ON COLUMN activity_events.source IS 'manual, ai, integration or api';
+COMMENT ON TABLE daily_logs IS 'Per-day activity totals, maintained from activity_events; clients cannot write it';
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- Activity is now logged as events; daily_logs is derived from them and
+-- read-only to clients.
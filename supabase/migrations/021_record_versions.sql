@@ -0,0 +1,66 @@
+-- ========================================
+-- RECORD VERSIONS
+-- ========================================
+-- Records the app edits offline carry a version that goes up on every
+-- update. The sync queue (src/lib/sync.js) only writes an update when the
+-- version still matches the copy the edit was made from; otherwise it merges
+-- the fields that changed on each side, or holds the edit as a conflict for
+-- the user to resolve instead of overwriting someone else's change.
+
+-- ========================================
+-- 1. VERSION BUMP
+-- ========================================
+
+CREATE OR REPLACE FUNCTION bump_record_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.version := OLD.version + 1;
+  NEW.updated_at := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+-- ========================================
+-- 2. VERSIONED TABLES
+-- ========================================
+
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'users', 'appointments', 'feed_posts', 'categories',
+    'goal_templates', 'goal_assignments', 'system_settings'
+  ] LOOP
+    -- Skip tables missing from this project
+    IF NOT EXISTS (
+      SELECT 1 FROM information_schema.tables
+       WHERE table_schema = 'public' AND table_name = t AND table_type = 'BASE TABLE'
+    ) THEN
+      CONTINUE;
+    END IF;
+
+    EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1', t);
+    EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW()', t);
+    EXECUTE format('COMMENT ON COLUMN %I.version IS %L', t, 'Incremented on every update; used by the sync queue to detect conflicts');
+
+    EXECUTE format('DROP TRIGGER IF EXISTS bump_%s_version ON %I', t, t);
+    EXECUTE format(
+      'CREATE TRIGGER bump_%s_version BEFORE UPDATE ON %I FOR EACH ROW EXECUTE FUNCTION bump_record_version()',
+      t, t);
+  END LOOP;
+END $$;
+
+-- ========================================
+-- 3. FUNCTION PRIVILEGES
+-- ========================================
+
+REVOKE EXECUTE ON FUNCTION bump_record_version() FROM PUBLIC, anon, authenticated;
+
+-- Comments
+COMMENT ON FUNCTION bump_record_version IS 'Increments version and updated_at on every update';
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- Synced records now carry versions for conflict detection.
@@ -0,0 +1,144 @@
+-- ========================================
+-- DELTA SYNC
+-- ========================================
+-- The app used to pull every table in full on each sync. Now it keeps a
+-- cursor per table and only fetches rows with updated_at at or after it.
+-- Deleted rows leave a tombstone so devices can drop them from their cache.
+-- The client side is in src/lib/sync.js.
+
+-- ========================================
+-- 1. TOMBSTONES
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS sync_tombstones (
+  id BIGSERIAL PRIMARY KEY,
+  table_name TEXT NOT NULL,
+  record_key TEXT NOT NULL,
+  deleted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_tombstones_table_deleted ON sync_tombstones(table_name, deleted_at);
+
+-- TG_ARGV[0] is the key column the client caches rows by
+CREATE OR REPLACE FUNCTION record_sync_tombstone()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO sync_tombstones (table_name, record_key)
+  VALUES (TG_TABLE_NAME, to_jsonb(OLD)->>TG_ARGV[0]);
+  RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ========================================
+-- 2. SYNCED TABLES
+-- ========================================
+-- Every table the app pulls gets an updated_at kept current on update
+-- (021 already does this for versioned tables) and a tombstone on delete.
+
+DO $$
+DECLARE
+  t RECORD;
+BEGIN
+  FOR t IN SELECT * FROM (VALUES
+    ('users', 'id', TRUE),
+    ('daily_logs', 'id', FALSE),
+    ('appointments', 'id', TRUE),
+    ('feed_posts', 'id', TRUE),
+    ('feed_comments', 'id', FALSE),
+    ('feed_reactions', 'id', FALSE),
+    ('achievements', 'id', FALSE),
+    ('challenges', 'id', FALSE),
+    ('user_challenges', 'id', FALSE),
+    ('rewards', 'id', FALSE),
+    ('user_rewards', 'id', FALSE),
+    ('audit_log', 'id', FALSE),
+    ('system_settings', 'key', TRUE),
+    ('categories', 'id', TRUE),
+    ('goal_templates', 'id', TRUE),
+    ('goal_assignments', 'user_id', TRUE)
+  ) AS v(name, key_column, versioned) LOOP
+    -- Skip tables missing from this project
+    IF NOT EXISTS (
+      SELECT 1 FROM information_schema.tables
+       WHERE table_schema = 'public' AND table_name = t.name AND table_type = 'BASE TABLE'
+    ) THEN
+      CONTINUE;
+    END IF;
+
+    EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW()', t.name);
+    EXECUTE format('CREATE INDEX IF NOT EXISTS %I ON %I(updated_at)', 'idx_' || t.name || '_sync_updated_at', t.name);
+
+    IF NOT t.versioned THEN
+      EXECUTE format('DROP TRIGGER IF EXISTS touch_%s_updated_at ON %I', t.name, t.name);
+      EXECUTE format(
+        'CREATE TRIGGER touch_%s_updated_at BEFORE UPDATE ON %I FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()',
+        t.name, t.name);
+    END IF;
+
+    EXECUTE format('DROP TRIGGER IF EXISTS record_%s_tombstone ON %I', t.name, t.name);
+    EXECUTE format(
+      'CREATE TRIGGER record_%s_tombstone AFTER DELETE ON %I FOR EACH ROW EXECUTE FUNCTION record_sync_tombstone(%L)',
+      t.name, t.name, t.key_column);
+  END LOOP;
+END $$;
+
+-- ========================================
+-- 3. CHANGES SINCE A CURSOR
+-- ========================================
+-- Returns the server clock with the deletions, so the next cursor comes from
+-- the same clock as updated_at rather than the device's.
+
+CREATE OR REPLACE FUNCTION sync_deletions_since(p_table TEXT, p_since TIMESTAMPTZ DEFAULT NULL)
+RETURNS JSONB AS $$
+  SELECT jsonb_build_object(
+    'now', NOW(),
+    'deleted', COALESCE((
+      SELECT jsonb_agg(DISTINCT record_key)
+        FROM sync_tombstones
+       WHERE table_name = p_table
+         AND p_since IS NOT NULL
+         AND deleted_at >= p_since
+    ), '[]'::JSONB)
+  );
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+-- Tombstones only need to outlive the longest a device stays offline;
+-- devices with an older cursor pull the table in full (see src/lib/sync.js)
+CREATE OR REPLACE FUNCTION prune_sync_tombstones(p_keep INTERVAL DEFAULT INTERVAL '30 days')
+RETURNS INTEGER AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  DELETE FROM sync_tombstones WHERE deleted_at < NOW() - p_keep;
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ========================================
+-- 4. ROW LEVEL SECURITY (read only)
+-- ========================================
+
+ALTER TABLE sync_tombstones ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS sync_tombstones_select_all ON sync_tombstones;
+CREATE POLICY sync_tombstones_select_all ON sync_tombstones FOR SELECT USING (true);
+
+-- ========================================
+-- 5. FUNCTION PRIVILEGES
+-- ========================================
+
+REVOKE EXECUTE ON FUNCTION record_sync_tombstone() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION prune_sync_tombstones(INTERVAL) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION sync_deletions_since(TEXT, TIMESTAMPTZ) TO anon, authenticated;
+
+-- Comments
+COMMENT ON TABLE sync_tombstones IS 'Keys of deleted rows, so delta sync can remove them from device caches';
+COMMENT ON FUNCTION sync_deletions_since IS 'Server time and keys of rows deleted from a table since a cursor';
+COMMENT ON FUNCTION prune_sync_tombstones IS 'Deletes tombstones older than the retention period';
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- Devices now pull only rows changed since their last sync.
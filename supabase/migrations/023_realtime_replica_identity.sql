@@ -0,0 +1,44 @@
+-- ========================================
+-- REALTIME ROW CHANGES
+-- ========================================
+-- The app applies realtime changes to these tables row by row
+-- (src/lib/realtime.js). With the default replica identity a DELETE only
+-- carries the primary key, so the app cannot tell which day, user or post
+-- the deleted row belonged to. FULL sends the whole old row.
+
+-- ========================================
+-- 1. REPLICA IDENTITY
+-- ========================================
+
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'daily_logs', 'feed_posts', 'feed_reactions',
+    'appointments', 'challenges', 'user_challenges'
+  ] LOOP
+    -- Skip tables missing from this project
+    IF NOT EXISTS (
+      SELECT 1 FROM information_schema.tables
+       WHERE table_schema = 'public' AND table_name = t AND table_type = 'BASE TABLE'
+    ) THEN
+      CONTINUE;
+    END IF;
+
+    EXECUTE format('ALTER TABLE %I REPLICA IDENTITY FULL', t);
+
+    -- All of them are published by earlier migrations; make sure of it
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+       WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = t
+    ) THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE %I', t);
+    END IF;
+  END LOOP;
+END $$;
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- Realtime DELETE and UPDATE payloads now include the old row.
@@ -0,0 +1,104 @@
+-- ========================================
+-- PUSH SUBSCRIPTIONS
+-- ========================================
+-- Each device that turns on push notifications stores its Web Push
+-- subscription here. The push-dispatcher edge function sends team events
+-- (announcements, new challenges) to every subscription whose device has
+-- not muted that event, so they reach phones with the app closed. The
+-- client side is src/lib/push.js.
+
+-- ========================================
+-- 1. SUBSCRIPTIONS TABLE
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- The push service URL identifies the browser install
+  endpoint TEXT NOT NULL UNIQUE,
+  p256dh TEXT NOT NULL,
+  auth TEXT NOT NULL,
+  -- Settings are per device, so opt-outs live with the subscription
+  muted_events TEXT[] NOT NULL DEFAULT '{}',
+  user_agent TEXT,
+  failure_count INTEGER NOT NULL DEFAULT 0,
+  last_sent_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user_id ON push_subscriptions(user_id);
+
+-- ========================================
+-- 2. SAVE SUBSCRIPTION
+-- ========================================
+-- Binds the device's subscription to the signed-in user. A shared store
+-- device that switches users takes its subscription over, which the
+-- per-user policies below would not allow as a plain upsert.
+
+CREATE OR REPLACE FUNCTION save_push_subscription(
+  p_endpoint TEXT,
+  p_p256dh TEXT,
+  p_auth TEXT,
+  p_muted_events TEXT[] DEFAULT '{}',
+  p_user_agent TEXT DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+  v_user_id UUID := current_app_user_id();
+  v_id UUID;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Sign in to receive push notifications' USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, muted_events, user_agent)
+  VALUES (v_user_id, p_endpoint, p_p256dh, p_auth, COALESCE(p_muted_events, '{}'), p_user_agent)
+  ON CONFLICT (endpoint) DO UPDATE
+    SET user_id = EXCLUDED.user_id,
+        p256dh = EXCLUDED.p256dh,
+        auth = EXCLUDED.auth,
+        muted_events = EXCLUDED.muted_events,
+        user_agent = EXCLUDED.user_agent,
+        failure_count = 0,
+        updated_at = NOW()
+  RETURNING id INTO v_id;
+
+  RETURN v_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ========================================
+-- 3. ROW LEVEL SECURITY
+-- ========================================
+-- Users see and remove their own devices; writes go through
+-- save_push_subscription. The edge function uses the service role.
+
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS push_subscriptions_select_own ON push_subscriptions;
+DROP POLICY IF EXISTS push_subscriptions_delete_own ON push_subscriptions;
+
+CREATE POLICY push_subscriptions_select_own ON push_subscriptions
+  FOR SELECT USING (user_id = current_app_user_id());
+CREATE POLICY push_subscriptions_delete_own ON push_subscriptions
+  FOR DELETE USING (user_id = current_app_user_id());
+
+-- ========================================
+-- 4. FUNCTION PRIVILEGES
+-- ========================================
+
+REVOKE EXECUTE ON FUNCTION save_push_subscription(TEXT, TEXT, TEXT, TEXT[], TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION save_push_subscription(TEXT, TEXT, TEXT, TEXT[], TEXT) TO authenticated;
+
+-- Comments
+COMMENT ON TABLE push_subscriptions IS 'Web Push subscriptions, one per device, for the push-dispatcher edge function';
+COMMENT ON COLUMN push_subscriptions.endpoint IS 'Push service URL from PushSubscription.endpoint';
+COMMENT ON COLUMN push_subscriptions.muted_events IS 'Event types (src/lib/webhooks.js) this device opted out of';
+COMMENT ON COLUMN push_subscriptions.failure_count IS 'Consecutive failed sends; reset by a successful send or a re-save';
+COMMENT ON FUNCTION save_push_subscription IS 'Store this device''s push subscription for the signed-in user';
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- Devices can now subscribe to push notifications for team events.
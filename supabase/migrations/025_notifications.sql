@@ -0,0 +1,338 @@
+-- ========================================
+-- NOTIFICATION INBOX
+-- ========================================
+-- A persisted inbox per user behind the bell in the app header. Rows are
+-- written by triggers when something happens to or for a user:
+--   - mention:     @Name in a post or comment
+--   - comment:     a comment on their post
+--   - reaction:    a reaction on their post
+--   - challenge:   they completed a challenge
+--   - goal_change: someone else (a manager) changed their goals
+--   - ai_action:   the AI coach did something for them
+-- Users mark rows read (read_at) from any device. The client side is
+-- src/lib/inbox.js.
+
+-- ========================================
+-- 1. NOTIFICATIONS TABLE
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('mention', 'comment', 'reaction', 'challenge', 'goal_change', 'ai_action')),
+  title TEXT NOT NULL,
+  body TEXT,
+  -- Who caused it, if anyone
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  entity_type TEXT,
+  entity_id TEXT,
+  -- App view it opens (see NOTIFICATION_VIEWS in src/lib/notifications.js)
+  view TEXT,
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+-- ========================================
+-- 2. HELPERS
+-- ========================================
+
+-- Nobody is notified about their own actions, or while archived
+CREATE OR REPLACE FUNCTION create_notification(
+  p_user_id UUID,
+  p_type TEXT,
+  p_title TEXT,
+  p_body TEXT DEFAULT NULL,
+  p_actor_id UUID DEFAULT NULL,
+  p_entity_type TEXT DEFAULT NULL,
+  p_entity_id TEXT DEFAULT NULL,
+  p_view TEXT DEFAULT NULL
+)
+RETURNS VOID AS $$
+BEGIN
+  IF p_user_id IS NULL OR p_user_id = p_actor_id THEN
+    RETURN;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM users WHERE id = p_user_id AND NOT COALESCE(archived, FALSE)) THEN
+    RETURN;
+  END IF;
+
+  INSERT INTO notifications (user_id, type, title, body, actor_id, entity_type, entity_id, view)
+  VALUES (p_user_id, p_type, p_title, left(p_body, 280), p_actor_id, p_entity_type, p_entity_id, p_view);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Active users named with @ in a text, e.g. "great job @Jane Doe"
+CREATE OR REPLACE FUNCTION mentioned_user_ids(p_content TEXT)
+RETURNS SETOF UUID AS $$
+  SELECT id FROM users
+   WHERE NOT COALESCE(archived, FALSE)
+     AND COALESCE(name, '') <> ''
+     AND position(lower('@' || name) IN lower(COALESCE(p_content, ''))) > 0;
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+CREATE OR REPLACE FUNCTION user_display_name(p_user_id UUID)
+RETURNS TEXT AS $$
+  SELECT COALESCE((SELECT name FROM users WHERE id = p_user_id), 'Someone');
+$$ LANGUAGE sql STABLE SET search_path = public;
+
+-- ========================================
+-- 3. FEED
+-- ========================================
+
+CREATE OR REPLACE FUNCTION notify_feed_post_mentions()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_user_id UUID;
+BEGIN
+  FOR v_user_id IN SELECT mentioned_user_ids(NEW.content) LOOP
+    PERFORM create_notification(v_user_id, 'mention',
+      user_display_name(NEW.user_id) || ' mentioned you in a post', NEW.content,
+      NEW.user_id, 'feed_posts', NEW.id::TEXT, 'feed');
+  END LOOP;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION notify_feed_comment()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_post_owner UUID;
+  v_user_id UUID;
+BEGIN
+  SELECT user_id INTO v_post_owner FROM feed_posts WHERE id = NEW.post_id;
+
+  PERFORM create_notification(v_post_owner, 'comment',
+    user_display_name(NEW.user_id) || ' commented on your post', NEW.content,
+    NEW.user_id, 'feed_posts', NEW.post_id::TEXT, 'feed');
+
+  -- The post's owner already heard about this comment
+  FOR v_user_id IN SELECT mentioned_user_ids(NEW.content) LOOP
+    IF v_user_id IS DISTINCT FROM v_post_owner THEN
+      PERFORM create_notification(v_user_id, 'mention',
+        user_display_name(NEW.user_id) || ' mentioned you in a comment', NEW.content,
+        NEW.user_id, 'feed_posts', NEW.post_id::TEXT, 'feed');
+    END IF;
+  END LOOP;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION notify_feed_reaction()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_post feed_posts%ROWTYPE;
+BEGIN
+  SELECT * INTO v_post FROM feed_posts WHERE id = NEW.post_id;
+
+  PERFORM create_notification(v_post.user_id, 'reaction',
+    user_display_name(NEW.user_id) || ' reacted ' || NEW.emoji || ' to your post', v_post.content,
+    NEW.user_id, 'feed_posts', NEW.post_id::TEXT, 'feed');
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS notify_feed_post_mentions_trigger ON feed_posts;
+CREATE TRIGGER notify_feed_post_mentions_trigger
+  AFTER INSERT ON feed_posts
+  FOR EACH ROW
+  EXECUTE FUNCTION notify_feed_post_mentions();
+
+DROP TRIGGER IF EXISTS notify_feed_comment_trigger ON feed_comments;
+CREATE TRIGGER notify_feed_comment_trigger
+  AFTER INSERT ON feed_comments
+  FOR EACH ROW
+  EXECUTE FUNCTION notify_feed_comment();
+
+DROP TRIGGER IF EXISTS notify_feed_reaction_trigger ON feed_reactions;
+CREATE TRIGGER notify_feed_reaction_trigger
+  AFTER INSERT ON feed_reactions
+  FOR EACH ROW
+  EXECUTE FUNCTION notify_feed_reaction();
+
+-- ========================================
+-- 4. CHALLENGES AND GOALS
+-- ========================================
+
+CREATE OR REPLACE FUNCTION notify_challenge_completed()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_challenge challenges%ROWTYPE;
+BEGIN
+  IF NOT COALESCE(NEW.completed, FALSE) OR (TG_OP = 'UPDATE' AND COALESCE(OLD.completed, FALSE)) THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO v_challenge FROM challenges WHERE id = NEW.challenge_id;
+  PERFORM create_notification(NEW.user_id, 'challenge',
+    'Challenge complete: ' || COALESCE(v_challenge.title, 'challenge'),
+    CASE WHEN COALESCE(v_challenge.xp_reward, 0) > 0
+      THEN 'You earned ' || v_challenge.xp_reward || ' XP.'
+      ELSE 'Nice work!' END,
+    NULL, 'challenges', NEW.challenge_id::TEXT, 'challenges');
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Daily goals and weekly/monthly goals (018) both count. Changes by the user
+-- themselves or by the system (no session) are not news; goal template
+-- assignments (019) apply through this too
+CREATE OR REPLACE FUNCTION notify_goal_change()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_actor UUID := current_app_user_id();
+BEGIN
+  IF v_actor IS NULL OR (
+    NEW.goals IS NOT DISTINCT FROM OLD.goals AND
+    NEW.period_goals IS NOT DISTINCT FROM OLD.period_goals
+  ) THEN
+    RETURN NULL;
+  END IF;
+
+  PERFORM create_notification(NEW.id, 'goal_change',
+    user_display_name(v_actor) || ' updated your goals', NULL,
+    v_actor, 'users', NEW.id::TEXT, 'dashboard');
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS notify_challenge_completed_trigger ON user_challenges;
+CREATE TRIGGER notify_challenge_completed_trigger
+  AFTER INSERT OR UPDATE OF completed ON user_challenges
+  FOR EACH ROW
+  EXECUTE FUNCTION notify_challenge_completed();
+
+DROP TRIGGER IF EXISTS notify_goal_change_trigger ON users;
+CREATE TRIGGER notify_goal_change_trigger
+  AFTER UPDATE OF goals, period_goals ON users
+  FOR EACH ROW
+  EXECUTE FUNCTION notify_goal_change();
+
+-- ========================================
+-- 5. AI COACH ACTIONS
+-- ========================================
+-- The AI coach logs its actions to audit_log as ai_* (src/lib/aiTools.js).
+-- Actions on another user's record go to that user; the rest go to whoever
+-- the coach acted for, so they can see what it did.
+
+CREATE OR REPLACE FUNCTION notify_ai_action()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_recipient UUID := NEW.user_id;
+  v_actor UUID := NULL;
+  v_details JSONB := COALESCE(NEW.details, '{}');
+  v_title TEXT;
+  v_view TEXT := 'dashboard';
+BEGIN
+  -- Goal changes are covered by notify_goal_change; archived users cannot sign in
+  IF NEW.action NOT LIKE 'ai\_%' OR NEW.action IN ('ai_update_user_goals', 'ai_archive_user') THEN
+    RETURN NULL;
+  END IF;
+
+  IF NEW.entity_type = 'users'
+     AND NEW.entity_id ~* '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$'
+     AND NEW.entity_id::UUID IS DISTINCT FROM NEW.user_id THEN
+    v_recipient := NEW.entity_id::UUID;
+    v_actor := NEW.user_id;
+  END IF;
+
+  v_title := CASE NEW.action
+    WHEN 'ai_log_activity' THEN 'AI coach logged ' || COALESCE(v_details->>'count', '') || ' ' || COALESCE(v_details->>'category', 'activity')
+    WHEN 'ai_create_appointment' THEN 'AI coach booked an appointment with ' || COALESCE(v_details->>'customerName', 'a customer')
+    WHEN 'ai_update_goals' THEN 'AI coach updated your goals'
+    WHEN 'ai_create_post' THEN 'AI coach posted to the feed for you'
+    WHEN 'ai_create_announcement' THEN 'AI coach posted your announcement'
+    WHEN 'ai_create_challenge' THEN 'AI coach created the challenge ' || COALESCE(v_details->>'title', '')
+    WHEN 'ai_assign_goal_template' THEN 'AI coach assigned the ' || COALESCE(v_details->>'template', '') || ' goal plan'
+    WHEN 'ai_award_bonus_xp' THEN COALESCE(NEW.user_name, 'Your manager') || ' awarded you ' || COALESCE(v_details->>'amount', '') || ' bonus XP'
+    WHEN 'ai_create_reward' THEN 'AI coach created the reward ' || COALESCE(v_details->>'name', '')
+    ELSE 'AI coach: ' || replace(substr(NEW.action, 4), '_', ' ')
+  END;
+
+  IF NEW.action IN ('ai_create_post', 'ai_create_announcement') THEN
+    v_view := 'feed';
+  ELSIF NEW.action = 'ai_create_appointment' THEN
+    v_view := 'appointments';
+  ELSIF NEW.action = 'ai_create_challenge' THEN
+    v_view := 'challenges';
+  END IF;
+
+  PERFORM create_notification(v_recipient, 'ai_action', v_title,
+    COALESCE(v_details->>'reason', v_details->>'contentPreview'),
+    v_actor, NEW.entity_type, NEW.entity_id, v_view);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS notify_ai_action_trigger ON audit_log;
+CREATE TRIGGER notify_ai_action_trigger
+  AFTER INSERT ON audit_log
+  FOR EACH ROW
+  EXECUTE FUNCTION notify_ai_action();
+
+-- ========================================
+-- 6. ROW LEVEL SECURITY
+-- ========================================
+-- Users read, mark read and clear their own notifications. Rows are only
+-- created by the triggers above, and only read_at can be changed.
+
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS notifications_select_own ON notifications;
+DROP POLICY IF EXISTS notifications_update_own ON notifications;
+DROP POLICY IF EXISTS notifications_delete_own ON notifications;
+
+CREATE POLICY notifications_select_own ON notifications
+  FOR SELECT USING (user_id = current_app_user_id());
+CREATE POLICY notifications_update_own ON notifications
+  FOR UPDATE USING (user_id = current_app_user_id()) WITH CHECK (user_id = current_app_user_id());
+CREATE POLICY notifications_delete_own ON notifications
+  FOR DELETE USING (user_id = current_app_user_id());
+
+REVOKE INSERT, UPDATE ON notifications FROM anon, authenticated;
+GRANT UPDATE (read_at) ON notifications TO authenticated;
+
+-- ========================================
+-- 7. REALTIME
+-- ========================================
+-- Realtime applies RLS, so each device only hears about its user's rows
+
+ALTER TABLE notifications REPLICA IDENTITY FULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+     WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'notifications'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE notifications;
+  END IF;
+END $$;
+
+-- ========================================
+-- 8. FUNCTION PRIVILEGES
+-- ========================================
+
+REVOKE EXECUTE ON FUNCTION create_notification(UUID, TEXT, TEXT, TEXT, UUID, TEXT, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION notify_feed_post_mentions() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION notify_feed_comment() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION notify_feed_reaction() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION notify_challenge_completed() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION notify_goal_change() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION notify_ai_action() FROM PUBLIC, anon, authenticated;
+
+-- Comments
+COMMENT ON TABLE notifications IS 'Per-user notification inbox, written by triggers';
+COMMENT ON COLUMN notifications.type IS 'mention, comment, reaction, challenge, goal_change or ai_action';
+COMMENT ON COLUMN notifications.actor_id IS 'User who caused the notification, if any';
+COMMENT ON COLUMN notifications.view IS 'App view the notification opens';
+COMMENT ON COLUMN notifications.read_at IS 'When the user read it; NULL while unread';
+COMMENT ON FUNCTION create_notification IS 'Add a notification unless it is for the actor or an archived user';
+COMMENT ON FUNCTION mentioned_user_ids IS 'Active users mentioned as @Name in a text';
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- Users now get a synced notification inbox.
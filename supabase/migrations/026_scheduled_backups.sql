@@ -0,0 +1,178 @@
+-- ========================================
+-- SCHEDULED BACKUPS
+-- ========================================
+-- Backups used to depend on a manager clicking Export in a browser. The
+-- scheduled-backup edge function now snapshots the app's tables on a
+-- schedule, one gzipped JSON file per table in the private "backups"
+-- storage bucket, and records each run in data_backups. Old backups are
+-- pruned by the retention setting below. Managers can also run a backup,
+-- download one or restore one from the Admin Panel (src/lib/serverBackups.js).
+--
+-- Scheduling is set up once per project with pg_cron; see
+-- SUPABASE_MIGRATION_INSTRUCTIONS.md.
+
+-- ========================================
+-- 1. BACKUP RECORDS
+-- ========================================
+
+-- Folder in the backups bucket holding the backup's table files;
+-- NULL for browser exports, which are only downloaded
+ALTER TABLE data_backups ADD COLUMN IF NOT EXISTS storage_path TEXT;
+
+-- Scheduled backups are not run by anyone
+ALTER TABLE data_backups ALTER COLUMN created_by DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_data_backups_stored ON data_backups(created_at DESC)
+  WHERE storage_path IS NOT NULL;
+
+-- ========================================
+-- 2. RETENTION
+-- ========================================
+-- Stored backups older than "days" are deleted, but the newest "minimum"
+-- are always kept so a long outage does not prune every backup.
+
+INSERT INTO system_settings (key, value, description) VALUES
+('backup_retention', '{"days": 30, "minimum": 7}', 'How long scheduled backups are kept')
+ON CONFLICT (key) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION expired_data_backups(p_now TIMESTAMPTZ DEFAULT NOW())
+RETURNS SETOF data_backups AS $$
+DECLARE
+  v_retention JSONB := COALESCE((SELECT value FROM system_settings WHERE key = 'backup_retention'), '{}');
+  v_days INTEGER := GREATEST(COALESCE((v_retention->>'days')::INTEGER, 30), 1);
+  v_minimum INTEGER := GREATEST(COALESCE((v_retention->>'minimum')::INTEGER, 7), 1);
+BEGIN
+  RETURN QUERY
+  SELECT *
+  FROM data_backups
+  WHERE storage_path IS NOT NULL
+    AND created_at < p_now - make_interval(days => v_days)
+    AND id NOT IN (
+      SELECT id FROM data_backups
+      WHERE storage_path IS NOT NULL
+      ORDER BY created_at DESC
+      LIMIT v_minimum
+    )
+  ORDER BY created_at;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- ========================================
+-- 3. STORAGE BUCKET
+-- ========================================
+-- Private: the edge function writes with the service role, and managers
+-- read files through signed URLs to download a backup.
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('backups', 'backups', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS backups_select_manager ON storage.objects;
+CREATE POLICY backups_select_manager ON storage.objects
+  FOR SELECT USING (bucket_id = 'backups' AND is_manager());
+
+-- ========================================
+-- 4. RESTORES
+-- ========================================
+-- The edge function stages a backup's rows here a chunk at a time, then
+-- restore_data_backup() writes them all in one transaction, so a restore
+-- that fails partway leaves every table as it was. Staged rows are only
+-- reachable with the service role (RLS on, no policies).
+
+CREATE TABLE IF NOT EXISTS data_backup_restore_rows (
+  id BIGSERIAL PRIMARY KEY,
+  restore_id UUID NOT NULL,
+  table_name TEXT NOT NULL,
+  key_column TEXT NOT NULL,
+  -- Tables are restored in this order (parents first)
+  table_order INTEGER NOT NULL,
+  rows JSONB NOT NULL CHECK (jsonb_typeof(rows) = 'array')
+);
+
+CREATE INDEX IF NOT EXISTS idx_data_backup_restore_rows_restore
+  ON data_backup_restore_rows(restore_id, table_order);
+
+ALTER TABLE data_backup_restore_rows ENABLE ROW LEVEL SECURITY;
+
+-- Rows are upserted on their key column. Append-only tables (audit_log,
+-- activity_events) refuse every update, so rows they already have are left
+-- alone and only missing rows are added.
+CREATE OR REPLACE FUNCTION restore_data_backup(p_restore_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_table RECORD;
+  v_columns TEXT[];
+  v_updates TEXT;
+  v_restored JSONB := '{}';
+BEGIN
+  FOR v_table IN
+    SELECT table_name, key_column, SUM(jsonb_array_length(rows))::INTEGER AS row_count
+      FROM data_backup_restore_rows
+     WHERE restore_id = p_restore_id
+     GROUP BY table_name, key_column
+     ORDER BY MIN(table_order)
+  LOOP
+    -- Skip tables missing from this project
+    IF to_regclass(format('public.%I', v_table.table_name)) IS NULL THEN
+      CONTINUE;
+    END IF;
+
+    -- Columns in both the backup and the table as it is now
+    SELECT array_agg(DISTINCT a.attname::TEXT ORDER BY a.attname::TEXT) INTO v_columns
+      FROM data_backup_restore_rows s
+      CROSS JOIN LATERAL jsonb_array_elements(s.rows) AS r(row)
+      CROSS JOIN LATERAL jsonb_object_keys(r.row) AS k(key)
+      JOIN pg_attribute a
+        ON a.attrelid = format('public.%I', v_table.table_name)::REGCLASS
+       AND a.attname = k.key AND a.attnum > 0 AND NOT a.attisdropped AND a.attgenerated = ''
+     WHERE s.restore_id = p_restore_id AND s.table_name = v_table.table_name;
+
+    IF v_columns IS NULL OR NOT v_table.key_column = ANY(v_columns) THEN
+      CONTINUE;
+    END IF;
+
+    SELECT string_agg(format('%I = EXCLUDED.%I', c, c), ', ') INTO v_updates
+      FROM unnest(v_columns) AS c
+     WHERE c <> v_table.key_column;
+
+    EXECUTE format(
+      'INSERT INTO %I (%s) SELECT %s FROM data_backup_restore_rows s
+         CROSS JOIN LATERAL jsonb_populate_recordset(NULL::%I, s.rows) AS r
+        WHERE s.restore_id = $1 AND s.table_name = $2
+        ORDER BY s.id
+       ON CONFLICT (%I) %s',
+      v_table.table_name,
+      (SELECT string_agg(format('%I', c), ', ') FROM unnest(v_columns) AS c),
+      (SELECT string_agg(format('r.%I', c), ', ') FROM unnest(v_columns) AS c),
+      v_table.table_name,
+      v_table.key_column,
+      CASE WHEN v_table.table_name IN ('audit_log', 'activity_events') OR v_updates IS NULL
+        THEN 'DO NOTHING'
+        ELSE 'DO UPDATE SET ' || v_updates END
+    ) USING p_restore_id, v_table.table_name;
+
+    v_restored := v_restored || jsonb_build_object(v_table.table_name, v_table.row_count);
+  END LOOP;
+
+  DELETE FROM data_backup_restore_rows WHERE restore_id = p_restore_id;
+  RETURN v_restored;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ========================================
+-- 5. FUNCTION PRIVILEGES
+-- ========================================
+
+REVOKE EXECUTE ON FUNCTION expired_data_backups(TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION restore_data_backup(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Comments
+COMMENT ON COLUMN data_backups.storage_path IS 'Folder in the backups storage bucket with one <table>.json.gz per table';
+COMMENT ON FUNCTION expired_data_backups IS 'Stored backups past the backup_retention setting, oldest first';
+COMMENT ON TABLE data_backup_restore_rows IS 'Backup rows staged by the scheduled-backup edge function for restore_data_backup()';
+COMMENT ON FUNCTION restore_data_backup IS 'Writes a staged restore to its tables in one transaction and clears it; returns rows per table';
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- Backups can now run on a schedule and be restored from the Admin Panel.
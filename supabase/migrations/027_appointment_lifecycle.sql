@@ -0,0 +1,122 @@
+-- ========================================
+-- APPOINTMENT LIFECYCLE
+-- ========================================
+-- Appointments could only be logged and deleted. They now move through a
+-- lifecycle from the app (src/lib/appointments.js): a status, an outcome
+-- once the appointment has happened, a follow-up date, a cancellation
+-- reason and a history of reschedules. Marking an appointment a sale adds
+-- to the rep's users.total_sales; taking the sale back (or deleting the
+-- appointment) takes it off again.
+
+-- ========================================
+-- 1. LIFECYCLE COLUMNS
+-- ========================================
+-- outcome, sale_amount and outcome_date already exist (006_gamification.sql)
+
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'scheduled';
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS duration INTEGER DEFAULT 60;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS followup_date DATE;
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+-- [{ from_date, from_time, to_date, to_time, reason, changed_by, changed_by_name, changed_at }]
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS reschedule_history JSONB NOT NULL DEFAULT '[]';
+
+ALTER TABLE appointments DROP CONSTRAINT IF EXISTS appointments_status_check;
+ALTER TABLE appointments ADD CONSTRAINT appointments_status_check CHECK (status IN (
+  'scheduled', 'confirmed', 'in_progress', 'completed',
+  'cancelled', 'no_show', 'rescheduled', 'followup_needed'
+));
+
+ALTER TABLE appointments DROP CONSTRAINT IF EXISTS appointments_duration_check;
+ALTER TABLE appointments ADD CONSTRAINT appointments_duration_check CHECK (duration IS NULL OR duration BETWEEN 15 AND 480);
+
+CREATE INDEX IF NOT EXISTS idx_appointments_status ON appointments(status);
+CREATE INDEX IF NOT EXISTS idx_appointments_followup ON appointments(followup_date)
+  WHERE followup_date IS NOT NULL;
+
+-- ========================================
+-- 2. SALES COUNT
+-- ========================================
+-- Kept here rather than by the app so edits made offline, from another
+-- device or through the API all count once.
+
+CREATE OR REPLACE FUNCTION sync_appointment_sales()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_was_sale BOOLEAN := TG_OP <> 'INSERT' AND OLD.outcome IS NOT DISTINCT FROM 'sale';
+  v_is_sale BOOLEAN := TG_OP <> 'DELETE' AND NEW.outcome IS NOT DISTINCT FROM 'sale';
+BEGIN
+  IF v_was_sale AND (NOT v_is_sale OR OLD.user_id IS DISTINCT FROM NEW.user_id) THEN
+    UPDATE users SET total_sales = GREATEST(COALESCE(total_sales, 0) - 1, 0)
+    WHERE id = OLD.user_id;
+  END IF;
+
+  IF v_is_sale AND (NOT v_was_sale OR OLD.user_id IS DISTINCT FROM NEW.user_id) THEN
+    UPDATE users SET total_sales = COALESCE(total_sales, 0) + 1
+    WHERE id = NEW.user_id;
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS sync_appointment_sales_trigger ON appointments;
+CREATE TRIGGER sync_appointment_sales_trigger
+  AFTER INSERT OR UPDATE OF outcome, user_id OR DELETE ON appointments
+  FOR EACH ROW
+  EXECUTE FUNCTION sync_appointment_sales();
+
+-- ========================================
+-- 3. PROTECT SALES COUNT
+-- ========================================
+-- As with XP (015_xp_curve.sql), only the server or a manager changes
+-- total_sales; employees record sales on their appointments instead.
+
+CREATE OR REPLACE FUNCTION protect_user_privileged_columns()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF current_user IN ('anon', 'authenticated') AND NOT is_manager() THEN
+    IF NEW.role IS DISTINCT FROM OLD.role
+       OR NEW.archived IS DISTINCT FROM OLD.archived
+       OR NEW.archived_at IS DISTINCT FROM OLD.archived_at
+       OR NEW.archived_by IS DISTINCT FROM OLD.archived_by
+       OR NEW.email IS DISTINCT FROM OLD.email
+       OR NEW.auth_user_id IS DISTINCT FROM OLD.auth_user_id THEN
+      RAISE EXCEPTION 'Only managers can change role, archive status or sign-in email'
+        USING ERRCODE = '42501';
+    END IF;
+
+    IF NEW.xp IS DISTINCT FROM OLD.xp
+       OR NEW.bonus_xp IS DISTINCT FROM OLD.bonus_xp
+       OR NEW.activity_xp IS DISTINCT FROM OLD.activity_xp
+       OR NEW.level IS DISTINCT FROM OLD.level
+       OR NEW.achievements IS DISTINCT FROM OLD.achievements
+       OR NEW.achievement_progress IS DISTINCT FROM OLD.achievement_progress
+       OR NEW.total_sales IS DISTINCT FROM OLD.total_sales THEN
+      RAISE EXCEPTION 'XP, levels, achievements and sales are counted by the server'
+        USING ERRCODE = '42501';
+    END IF;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+-- ========================================
+-- 4. FUNCTION PRIVILEGES
+-- ========================================
+
+REVOKE EXECUTE ON FUNCTION sync_appointment_sales() FROM PUBLIC, anon, authenticated;
+
+-- Comments
+COMMENT ON COLUMN appointments.status IS 'scheduled, confirmed, in_progress, completed, cancelled, no_show, rescheduled or followup_needed';
+COMMENT ON COLUMN appointments.duration IS 'Length in minutes';
+COMMENT ON COLUMN appointments.followup_date IS 'When to get back to the customer';
+COMMENT ON COLUMN appointments.cancellation_reason IS 'Why the appointment was cancelled';
+COMMENT ON COLUMN appointments.reschedule_history IS 'Earlier dates and times of the appointment, oldest first';
+COMMENT ON FUNCTION sync_appointment_sales IS 'Keep users.total_sales in step with appointments marked a sale';
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- Appointments can now be confirmed, completed, cancelled and rescheduled,
+-- and sales are counted as they are recorded. Only the server or a manager
+-- changes a rep's sales count.
@@ -0,0 +1,166 @@
+-- ========================================
+-- CUSTOMERS
+-- ========================================
+-- Appointments only kept a free-text customer_name, so three visits to the
+-- same homeowner looked like three customers. Customers are now records of
+-- their own, shared by the whole team, and appointments link to one. The
+-- same phone number or email address cannot be saved twice. The client side
+-- is src/lib/customers.js.
+
+-- ========================================
+-- 1. DEDUPE KEYS
+-- ========================================
+-- The app normalizes the same way (normalizePhone and normalizeEmail in
+-- src/lib/customers.js), so it can point at the existing record first.
+
+-- Last 10 digits, so '+1 (555) 010-2030' and '555-010-2030' match
+CREATE OR REPLACE FUNCTION customer_phone_key(p_phone TEXT)
+RETURNS TEXT AS $$
+  SELECT NULLIF(right(regexp_replace(COALESCE(p_phone, ''), '[^0-9]', '', 'g'), 10), '');
+$$ LANGUAGE sql IMMUTABLE SET search_path = public;
+
+CREATE OR REPLACE FUNCTION customer_email_key(p_email TEXT)
+RETURNS TEXT AS $$
+  SELECT NULLIF(lower(btrim(COALESCE(p_email, ''))), '');
+$$ LANGUAGE sql IMMUTABLE SET search_path = public;
+
+-- ========================================
+-- 2. CUSTOMERS TABLE
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS customers (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL CHECK (btrim(name) <> ''),
+  address TEXT,
+  phone TEXT,
+  email TEXT,
+  -- How we met them (see CUSTOMER_SOURCES in src/lib/customers.js)
+  source TEXT CHECK (source IS NULL OR source IN (
+    'door_knock', 'phone', 'store', 'referral', 'website', 'event', 'repeat', 'other'
+  )),
+  -- PRODUCT_INTERESTS ids in src/App.jsx
+  product_interests TEXT[] NOT NULL DEFAULT '{}',
+  notes TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  version INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customers_phone_key ON customers(customer_phone_key(phone))
+  WHERE customer_phone_key(phone) IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_customers_email_key ON customers(customer_email_key(email))
+  WHERE customer_email_key(email) IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_customers_name ON customers(lower(name));
+CREATE INDEX IF NOT EXISTS idx_customers_sync_updated_at ON customers(updated_at);
+
+-- Synced like the other versioned tables (021_record_versions.sql, 022_delta_sync.sql)
+DROP TRIGGER IF EXISTS bump_customers_version ON customers;
+CREATE TRIGGER bump_customers_version
+  BEFORE UPDATE ON customers
+  FOR EACH ROW
+  EXECUTE FUNCTION bump_record_version();
+
+DROP TRIGGER IF EXISTS record_customers_tombstone ON customers;
+CREATE TRIGGER record_customers_tombstone
+  AFTER DELETE ON customers
+  FOR EACH ROW
+  EXECUTE FUNCTION record_sync_tombstone('id');
+
+-- ========================================
+-- 3. APPOINTMENTS
+-- ========================================
+-- customer_name stays, so appointments still read the same without a customer
+
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS customer_id UUID REFERENCES customers(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_customer_id ON appointments(customer_id)
+  WHERE customer_id IS NOT NULL;
+
+-- One customer per distinct name among existing appointments, with the
+-- products asked about on any of them. Names are all we have, so two
+-- different homeowners with the same name share a record until someone
+-- moves an appointment to a new customer.
+INSERT INTO customers (name, product_interests, created_by, created_at)
+SELECT DISTINCT ON (lower(btrim(a.customer_name)))
+  btrim(a.customer_name),
+  ARRAY(
+    SELECT DISTINCT jsonb_array_elements_text(COALESCE(to_jsonb(same.products), '[]'::JSONB))
+      FROM appointments same
+     WHERE lower(btrim(same.customer_name)) = lower(btrim(a.customer_name))
+       AND jsonb_typeof(COALESCE(to_jsonb(same.products), '[]'::JSONB)) = 'array'
+  ),
+  a.user_id,
+  a.created_at
+  FROM appointments a
+ WHERE a.customer_id IS NULL
+   AND btrim(COALESCE(a.customer_name, '')) <> ''
+   AND NOT EXISTS (SELECT 1 FROM customers c WHERE lower(c.name) = lower(btrim(a.customer_name)))
+ ORDER BY lower(btrim(a.customer_name)), a.created_at;
+
+UPDATE appointments a
+   SET customer_id = (
+     SELECT c.id FROM customers c
+      WHERE lower(c.name) = lower(btrim(a.customer_name))
+      ORDER BY c.created_at
+      LIMIT 1
+   )
+ WHERE a.customer_id IS NULL
+   AND btrim(COALESCE(a.customer_name, '')) <> '';
+
+-- ========================================
+-- 4. REALTIME
+-- ========================================
+
+ALTER TABLE customers REPLICA IDENTITY FULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+     WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'customers'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE customers;
+  END IF;
+END $$;
+
+-- ========================================
+-- 5. ROW LEVEL SECURITY
+-- ========================================
+-- A homeowner may see more than one rep, so any team member can read, add
+-- to and correct a customer's record; only managers delete one. Names,
+-- addresses and contact details are only for signed-in team members, not
+-- for anyone holding the public anon key.
+
+ALTER TABLE customers ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS customers_select_all ON customers;
+DROP POLICY IF EXISTS customers_select_team ON customers;
+CREATE POLICY customers_select_team ON customers FOR SELECT
+  USING (current_app_user_id() IS NOT NULL);
+
+DROP POLICY IF EXISTS customers_insert_own_or_manager ON customers;
+CREATE POLICY customers_insert_own_or_manager ON customers FOR INSERT
+  WITH CHECK (created_by = current_app_user_id() OR is_manager());
+
+DROP POLICY IF EXISTS customers_update_team ON customers;
+CREATE POLICY customers_update_team ON customers FOR UPDATE
+  USING (current_app_user_id() IS NOT NULL)
+  WITH CHECK (current_app_user_id() IS NOT NULL);
+
+DROP POLICY IF EXISTS customers_delete_manager ON customers;
+CREATE POLICY customers_delete_manager ON customers FOR DELETE USING (is_manager());
+
+-- Comments
+COMMENT ON TABLE customers IS 'Homeowners and leads, shared by the team; appointments link to them';
+COMMENT ON COLUMN customers.source IS 'door_knock, phone, store, referral, website, event, repeat or other';
+COMMENT ON COLUMN customers.product_interests IS 'Product ids the customer is interested in';
+COMMENT ON COLUMN appointments.customer_id IS 'Customer the appointment is with; customer_name keeps the name as booked';
+COMMENT ON FUNCTION customer_phone_key IS 'Phone number as compared for duplicates: its last 10 digits';
+COMMENT ON FUNCTION customer_email_key IS 'Email address as compared for duplicates: trimmed and lower case';
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- Customers are records of their own, and existing appointments are linked
+-- to one by name.
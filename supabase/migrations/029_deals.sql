@@ -0,0 +1,516 @@
+-- ========================================
+-- SALES PIPELINE
+-- ========================================
+-- Sales were only a count (users.total_sales) and an appointment outcome.
+-- Deals track each customer through the pipeline, lead → demo scheduled →
+-- proposal sent → sold or lost, with the contract amount, the products and
+-- the chance of closing. Appointments linked to a deal move it along as
+-- their outcome is recorded. Revenue (sold deals, plus sales recorded on
+-- appointments outside the pipeline) feeds the sales achievements. The
+-- client side is src/lib/deals.js.
+
+-- ========================================
+-- 1. DEALS TABLE
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS deals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Rep who owns the deal and is credited with the sale
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+  customer_name TEXT NOT NULL CHECK (btrim(customer_name) <> ''),
+  stage TEXT NOT NULL DEFAULT 'lead' CHECK (stage IN (
+    'lead', 'demo_scheduled', 'proposal_sent', 'sold', 'lost'
+  )),
+  -- Contract amount; quoted while open, signed once sold
+  amount NUMERIC(12, 2) CHECK (amount IS NULL OR amount >= 0),
+  -- PRODUCT_INTERESTS ids in src/App.jsx
+  products TEXT[] NOT NULL DEFAULT '{}',
+  -- Chance of closing, 0-100; NULL uses the stage's default (DEAL_STAGE_PROBABILITY in src/lib/deals.js)
+  probability INTEGER CHECK (probability IS NULL OR probability BETWEEN 0 AND 100),
+  expected_close_date DATE,
+  -- Day the deal was sold or lost; cleared when it is reopened
+  closed_date DATE,
+  lost_reason TEXT,
+  notes TEXT,
+  version INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_deals_user_id ON deals(user_id);
+CREATE INDEX IF NOT EXISTS idx_deals_customer_id ON deals(customer_id) WHERE customer_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_deals_stage ON deals(stage);
+CREATE INDEX IF NOT EXISTS idx_deals_closed_date ON deals(closed_date) WHERE closed_date IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_deals_sync_updated_at ON deals(updated_at);
+
+CREATE OR REPLACE FUNCTION stamp_deal_closed_date()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.stage IN ('sold', 'lost') THEN
+    NEW.closed_date := COALESCE(NEW.closed_date, store_today());
+  ELSE
+    NEW.closed_date := NULL;
+    NEW.lost_reason := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS stamp_deal_closed_date_trigger ON deals;
+CREATE TRIGGER stamp_deal_closed_date_trigger
+  BEFORE INSERT OR UPDATE ON deals
+  FOR EACH ROW
+  EXECUTE FUNCTION stamp_deal_closed_date();
+
+-- Synced like the other versioned tables (021_record_versions.sql, 022_delta_sync.sql)
+DROP TRIGGER IF EXISTS bump_deals_version ON deals;
+CREATE TRIGGER bump_deals_version
+  BEFORE UPDATE ON deals
+  FOR EACH ROW
+  EXECUTE FUNCTION bump_record_version();
+
+DROP TRIGGER IF EXISTS record_deals_tombstone ON deals;
+CREATE TRIGGER record_deals_tombstone
+  AFTER DELETE ON deals
+  FOR EACH ROW
+  EXECUTE FUNCTION record_sync_tombstone('id');
+
+-- ========================================
+-- 2. APPOINTMENTS MOVE THEIR DEAL ALONG
+-- ========================================
+-- Booking a demo for a lead, and recording the outcome of the demo, move the
+-- deal the same way from the app, another device or the API.
+
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS deal_id UUID REFERENCES deals(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_deal_id ON appointments(deal_id)
+  WHERE deal_id IS NOT NULL;
+
+-- Mirrors getDealStageForOutcome() in src/lib/deals.js
+CREATE OR REPLACE FUNCTION sync_appointment_deal()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_deal deals%ROWTYPE;
+  v_stage TEXT;
+  -- Only the outcome that closed a deal can reopen it; a deal closed on the
+  -- board stays closed
+  v_closed_here BOOLEAN := TG_OP = 'UPDATE'
+    AND OLD.deal_id IS NOT DISTINCT FROM NEW.deal_id
+    AND OLD.outcome IN ('sale', 'no_sale');
+BEGIN
+  SELECT * INTO v_deal FROM deals WHERE id = NEW.deal_id;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  v_stage := CASE NEW.outcome
+    WHEN 'sale' THEN 'sold'
+    WHEN 'no_sale' THEN 'lost'
+    WHEN 'proposal_sent' THEN 'proposal_sent'
+    WHEN 'thinking_it_over' THEN 'proposal_sent'
+  END;
+
+  IF v_stage IN ('sold', 'lost') THEN
+    NULL;
+  ELSIF v_deal.stage IN ('sold', 'lost') THEN
+    v_stage := CASE WHEN v_closed_here THEN COALESCE(v_stage, 'demo_scheduled') ELSE v_deal.stage END;
+  ELSIF v_stage IS NULL THEN
+    v_stage := CASE WHEN v_deal.stage = 'lead' THEN 'demo_scheduled' ELSE v_deal.stage END;
+  END IF;
+
+  UPDATE deals
+     SET stage = v_stage,
+         amount = CASE WHEN NEW.outcome = 'sale' THEN COALESCE(NEW.sale_amount, amount) ELSE amount END,
+         closed_date = CASE WHEN v_stage IN ('sold', 'lost') AND stage IS DISTINCT FROM v_stage
+                        THEN NEW.date::DATE ELSE closed_date END
+   WHERE id = v_deal.id
+     AND (stage IS DISTINCT FROM v_stage
+       OR (NEW.outcome = 'sale' AND NEW.sale_amount IS NOT NULL AND amount IS DISTINCT FROM NEW.sale_amount));
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Named to fire before evaluate_achievements_on_appointments, so the
+-- achievements see the deal already moved
+DROP TRIGGER IF EXISTS advance_deal_on_appointment ON appointments;
+CREATE TRIGGER advance_deal_on_appointment
+  AFTER INSERT OR UPDATE OF outcome, sale_amount, deal_id ON appointments
+  FOR EACH ROW
+  WHEN (NEW.deal_id IS NOT NULL)
+  EXECUTE FUNCTION sync_appointment_deal();
+
+-- ========================================
+-- 3. SALES COUNT
+-- ========================================
+-- A sold deal is one sale for its rep. A sale recorded on an appointment
+-- still counts as before (027_appointment_lifecycle.sql) unless the
+-- appointment belongs to a deal, which then counts it instead.
+
+CREATE OR REPLACE FUNCTION count_deal_sales()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_was_sold BOOLEAN := TG_OP <> 'INSERT' AND OLD.stage = 'sold';
+  v_is_sold BOOLEAN := TG_OP <> 'DELETE' AND NEW.stage = 'sold';
+BEGIN
+  IF v_was_sold AND (NOT v_is_sold OR OLD.user_id IS DISTINCT FROM NEW.user_id) THEN
+    UPDATE users SET total_sales = GREATEST(COALESCE(total_sales, 0) - 1, 0)
+    WHERE id = OLD.user_id;
+  END IF;
+
+  IF v_is_sold AND (NOT v_was_sold OR OLD.user_id IS DISTINCT FROM NEW.user_id) THEN
+    UPDATE users SET total_sales = COALESCE(total_sales, 0) + 1
+    WHERE id = NEW.user_id;
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS count_deal_sales_trigger ON deals;
+CREATE TRIGGER count_deal_sales_trigger
+  AFTER INSERT OR UPDATE OF stage, user_id OR DELETE ON deals
+  FOR EACH ROW
+  EXECUTE FUNCTION count_deal_sales();
+
+CREATE OR REPLACE FUNCTION sync_appointment_sales()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_was_sale BOOLEAN := TG_OP <> 'INSERT' AND OLD.outcome IS NOT DISTINCT FROM 'sale' AND OLD.deal_id IS NULL;
+  v_is_sale BOOLEAN := TG_OP <> 'DELETE' AND NEW.outcome IS NOT DISTINCT FROM 'sale' AND NEW.deal_id IS NULL;
+BEGIN
+  IF v_was_sale AND (NOT v_is_sale OR OLD.user_id IS DISTINCT FROM NEW.user_id) THEN
+    UPDATE users SET total_sales = GREATEST(COALESCE(total_sales, 0) - 1, 0)
+    WHERE id = OLD.user_id;
+  END IF;
+
+  IF v_is_sale AND (NOT v_was_sale OR OLD.user_id IS DISTINCT FROM NEW.user_id) THEN
+    UPDATE users SET total_sales = COALESCE(total_sales, 0) + 1
+    WHERE id = NEW.user_id;
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS sync_appointment_sales_trigger ON appointments;
+CREATE TRIGGER sync_appointment_sales_trigger
+  AFTER INSERT OR UPDATE OF outcome, user_id, deal_id OR DELETE ON appointments
+  FOR EACH ROW
+  EXECUTE FUNCTION sync_appointment_sales();
+
+-- ========================================
+-- 4. ACHIEVEMENT STATS
+-- ========================================
+-- Same as 016_store_calendar.sql, plus sold deals in 'sales' and the
+-- closed revenue in 'revenue'.
+
+CREATE OR REPLACE FUNCTION achievement_stats(p_user_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+  v_user users%ROWTYPE;
+  v_today DATE := store_today();
+  v_week_start DATE := store_week_start(store_today());
+  v_stats JSONB;
+BEGIN
+  SELECT * INTO v_user FROM users WHERE id = p_user_id;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  WITH goals AS (
+    SELECT key AS category, value::NUMERIC AS goal
+      FROM jsonb_each_text(COALESCE(v_user.goals, '{}'::JSONB))
+     WHERE value ~ '^[0-9]+(\.[0-9]+)?$' AND value::NUMERIC > 0
+  ),
+  logs AS (
+    SELECT date::DATE AS day, category, SUM(count) AS count
+      FROM daily_logs
+     WHERE user_id = p_user_id
+     GROUP BY 1, 2
+  ),
+  days AS (
+    SELECT day, SUM(count) AS total FROM logs GROUP BY day
+  ),
+  day_goals AS (
+    SELECT d.day,
+           COUNT(*) FILTER (WHERE COALESCE(l.count, 0) >= g.goal) AS goals_met,
+           MIN(COALESCE(l.count, 0) / g.goal) AS lowest_ratio
+      FROM days d
+     CROSS JOIN goals g
+      LEFT JOIN logs l ON l.day = d.day AND l.category = g.category
+     GROUP BY d.day
+  ),
+  perfect AS (
+    SELECT day, day - (ROW_NUMBER() OVER (ORDER BY day))::INTEGER AS island
+      FROM day_goals
+     WHERE lowest_ratio >= 1
+  ),
+  streaks AS (
+    SELECT COUNT(*) AS length, MAX(day) AS last_day FROM perfect GROUP BY island
+  ),
+  weeks AS (
+    SELECT store_week_start(day) AS week, SUM(total) AS total
+      FROM days GROUP BY 1
+  ),
+  perfect_weeks AS (
+    SELECT store_week_start(day) AS week
+      FROM perfect GROUP BY 1 HAVING COUNT(*) >= 7
+  ),
+  months AS (
+    SELECT date_trunc('month', day) AS month,
+           COALESCE(SUM(count) FILTER (WHERE category = 'callbacks'), 0) AS callbacks,
+           COALESCE(SUM(count) FILTER (WHERE category = 'demos'), 0) AS demos
+      FROM logs GROUP BY 1
+  ),
+  weekly_ranks AS (
+    SELECT l.user_id, ROW_NUMBER() OVER (ORDER BY SUM(l.count) DESC) AS rank
+      FROM daily_logs l
+      JOIN users u ON u.id = l.user_id
+     WHERE COALESCE(u.archived, FALSE) = FALSE
+       AND l.date::DATE >= v_week_start
+       AND l.date::DATE < v_week_start + 7
+     GROUP BY l.user_id
+    HAVING SUM(l.count) > 0
+  ),
+  sales AS (
+    SELECT amount FROM deals WHERE user_id = p_user_id AND stage = 'sold'
+    UNION ALL
+    SELECT sale_amount FROM appointments
+     WHERE user_id = p_user_id AND outcome = 'sale' AND deal_id IS NULL
+  )
+  SELECT jsonb_build_object(
+    'goals_completed', COALESCE((SELECT SUM(goals_met) FROM day_goals), 0),
+    'perfect_days', (SELECT COUNT(*) FROM perfect),
+    'longest_streak', COALESCE((SELECT MAX(length) FROM streaks), 0),
+    -- Today is still in progress, so a streak ending yesterday is current
+    'current_streak', COALESCE((SELECT length FROM streaks WHERE last_day >= v_today - 1), 0),
+    'perfect_weeks', (SELECT COUNT(*) FROM perfect_weeks),
+    'best_exceed_multiplier', COALESCE((SELECT MAX(lowest_ratio) FROM day_goals), 0),
+    'leaderboard_rank', (SELECT rank FROM weekly_ranks WHERE user_id = p_user_id),
+    'best_week_activities', COALESCE((SELECT MAX(total) FROM weeks), 0),
+    'total_activities', COALESCE((SELECT SUM(total) FROM days), 0),
+    'best_month_callbacks', COALESCE((SELECT MAX(callbacks) FROM months), 0),
+    'best_month_demos', COALESCE((SELECT MAX(demos) FROM months), 0),
+    'feed_posts', (SELECT COUNT(*) FROM feed_posts
+                    WHERE user_id = p_user_id AND COALESCE(type, 'manual') <> 'auto'),
+    'likes_received', (SELECT COUNT(*) FROM feed_likes fl
+                         JOIN feed_posts fp ON fp.id = fl.post_id
+                        WHERE fp.user_id = p_user_id AND fl.user_id <> p_user_id),
+    'likes_given', (SELECT COUNT(*) FROM feed_likes WHERE user_id = p_user_id),
+    'comments_posted', (SELECT COUNT(*) FROM feed_comments WHERE user_id = p_user_id),
+    'appointments', (SELECT COUNT(*) FROM appointments WHERE user_id = p_user_id),
+    'sales', GREATEST(COALESCE(v_user.total_sales, 0), (SELECT COUNT(*) FROM sales)),
+    'revenue', COALESCE((SELECT SUM(amount) FROM sales), 0),
+    'last_activity_date', (SELECT MAX(day)::TEXT FROM days WHERE total > 0)
+  ) INTO v_stats;
+
+  RETURN v_stats;
+END;
+$$ LANGUAGE plpgsql STABLE SET search_path = public;
+
+-- ========================================
+-- 5. EVALUATOR
+-- ========================================
+-- Same as 015_xp_curve.sql, except that a 'sales' criteria with a revenue
+-- target ({"type": "sales", "revenue": 100000}) measures closed revenue
+-- instead of the number of sales.
+
+CREATE OR REPLACE FUNCTION evaluate_achievements(p_user_id UUID)
+RETURNS TEXT[] AS $$
+DECLARE
+  v_user users%ROWTYPE;
+  v_stats JSONB;
+  v_achievement RECORD;
+  v_current NUMERIC;
+  v_target NUMERIC;
+  v_earned_at JSONB;
+  v_progress JSONB := '{}'::JSONB;
+  v_earned TEXT[];
+  v_unlocked TEXT[] := '{}';
+  v_xp_gained INTEGER := 0;
+  v_now_ms BIGINT := (EXTRACT(EPOCH FROM NOW()) * 1000)::BIGINT;
+BEGIN
+  SELECT * INTO v_user FROM users WHERE id = p_user_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN v_unlocked;
+  END IF;
+
+  v_stats := achievement_stats(p_user_id);
+  v_earned := COALESCE(v_user.achievements, '{}');
+
+  FOR v_achievement IN SELECT * FROM achievements ORDER BY created_at, id LOOP
+    v_target := COALESCE((v_achievement.criteria->>'count')::NUMERIC, 1);
+
+    CASE v_achievement.criteria->>'type'
+      WHEN 'goal_completed' THEN v_current := (v_stats->>'goals_completed')::NUMERIC;
+      WHEN 'perfect_days' THEN v_current := (v_stats->>'perfect_days')::NUMERIC;
+      WHEN 'streak' THEN v_current := (v_stats->>'longest_streak')::NUMERIC;
+      WHEN 'consistency' THEN
+        v_current := (v_stats->>'longest_streak')::NUMERIC;
+        v_target := COALESCE((v_achievement.criteria->>'days')::NUMERIC, v_target);
+      WHEN 'weekly_perfect' THEN v_current := (v_stats->>'perfect_weeks')::NUMERIC;
+      WHEN 'exceed_goals' THEN
+        v_current := FLOOR((v_stats->>'best_exceed_multiplier')::NUMERIC * 10) / 10;
+        v_target := COALESCE((v_achievement.criteria->>'multiplier')::NUMERIC, 2);
+      WHEN 'leaderboard_rank' THEN
+        v_current := CASE
+          WHEN (v_stats->>'leaderboard_rank')::INTEGER <= COALESCE((v_achievement.criteria->>'rank')::INTEGER, 1)
+          THEN 1 ELSE 0 END;
+        v_target := 1;
+      WHEN 'weekly_activities' THEN v_current := (v_stats->>'best_week_activities')::NUMERIC;
+      WHEN 'total_activities' THEN v_current := (v_stats->>'total_activities')::NUMERIC;
+      WHEN 'monthly_callbacks' THEN v_current := (v_stats->>'best_month_callbacks')::NUMERIC;
+      WHEN 'monthly_demos' THEN v_current := (v_stats->>'best_month_demos')::NUMERIC;
+      WHEN 'feed_posts' THEN v_current := (v_stats->>'feed_posts')::NUMERIC;
+      WHEN 'likes_received' THEN v_current := (v_stats->>'likes_received')::NUMERIC;
+      WHEN 'likes_given' THEN v_current := (v_stats->>'likes_given')::NUMERIC;
+      WHEN 'comments_posted' THEN v_current := (v_stats->>'comments_posted')::NUMERIC;
+      WHEN 'appointments' THEN v_current := (v_stats->>'appointments')::NUMERIC;
+      WHEN 'sales' THEN
+        IF v_achievement.criteria ? 'revenue' THEN
+          v_current := (v_stats->>'revenue')::NUMERIC;
+          v_target := (v_achievement.criteria->>'revenue')::NUMERIC;
+        ELSE
+          v_current := (v_stats->>'sales')::NUMERIC;
+        END IF;
+      ELSE v_current := 0;
+    END CASE;
+
+    v_current := COALESCE(v_current, 0);
+
+    IF v_achievement.id = ANY(v_earned) THEN
+      v_earned_at := COALESCE(v_user.achievement_progress->v_achievement.id->'earnedAt', 'null'::JSONB);
+    ELSIF v_current >= v_target THEN
+      v_earned := array_append(v_earned, v_achievement.id);
+      v_unlocked := array_append(v_unlocked, v_achievement.id);
+      v_xp_gained := v_xp_gained + COALESCE(v_achievement.xp_reward, 0);
+      v_earned_at := to_jsonb(v_now_ms);
+    ELSE
+      v_earned_at := 'null'::JSONB;
+    END IF;
+
+    v_progress := v_progress || jsonb_build_object(
+      v_achievement.id,
+      jsonb_build_object('current', LEAST(v_current, v_target), 'target', v_target, 'earnedAt', v_earned_at)
+    );
+  END LOOP;
+
+  -- Skip no-op updates so realtime subscribers are not woken for nothing
+  UPDATE users
+     SET achievements = v_earned,
+         achievement_progress = v_progress,
+         bonus_xp = COALESCE(bonus_xp, 0) + v_xp_gained,
+         current_streak = (v_stats->>'current_streak')::INTEGER,
+         longest_streak = GREATEST(COALESCE(longest_streak, 0), (v_stats->>'longest_streak')::INTEGER),
+         last_activity_date = COALESCE(v_stats->>'last_activity_date', last_activity_date)
+   WHERE id = p_user_id
+     AND (v_xp_gained > 0
+       OR achievement_progress IS DISTINCT FROM v_progress
+       OR current_streak IS DISTINCT FROM (v_stats->>'current_streak')::INTEGER
+       OR longest_streak IS DISTINCT FROM GREATEST(COALESCE(longest_streak, 0), (v_stats->>'longest_streak')::INTEGER)
+       OR last_activity_date IS DISTINCT FROM COALESCE(v_stats->>'last_activity_date', last_activity_date));
+
+  PERFORM refresh_user_xp(p_user_id);
+
+  -- Announce each unlock on the team feed
+  INSERT INTO feed_posts (user_id, content, type, post_type, metadata)
+  SELECT p_user_id,
+         '🏆 ' || v_user.name || ' unlocked ' || a.icon || ' ' || a.name || '!',
+         'auto',
+         'achievement',
+         jsonb_build_object('achievementId', a.id, 'xpReward', a.xp_reward)
+    FROM achievements a
+   WHERE a.id = ANY(v_unlocked);
+
+  RETURN v_unlocked;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Revenue also changes with the sale amount
+DROP TRIGGER IF EXISTS evaluate_achievements_on_appointments ON appointments;
+CREATE TRIGGER evaluate_achievements_on_appointments
+  AFTER INSERT OR UPDATE OF outcome, sale_amount, deal_id ON appointments
+  FOR EACH ROW
+  EXECUTE FUNCTION trigger_evaluate_achievements();
+
+DROP TRIGGER IF EXISTS evaluate_achievements_on_deals ON deals;
+CREATE TRIGGER evaluate_achievements_on_deals
+  AFTER INSERT OR UPDATE OF stage, amount, user_id ON deals
+  FOR EACH ROW
+  EXECUTE FUNCTION trigger_evaluate_achievements();
+
+INSERT INTO achievements (id, name, description, category, icon, xp_reward, tier, criteria) VALUES
+('six_figures', 'Six Figures', '$100,000 in closed sales', 'legendary', '💵', 5000, 'legendary', '{"type": "sales", "revenue": 100000}')
+ON CONFLICT (id) DO NOTHING;
+
+-- ========================================
+-- 6. REALTIME
+-- ========================================
+
+ALTER TABLE deals REPLICA IDENTITY FULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+     WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'deals'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE deals;
+  END IF;
+END $$;
+
+-- ========================================
+-- 7. ROW LEVEL SECURITY
+-- ========================================
+-- Like the other per-user tables (013_row_level_security.sql): the whole
+-- team sees the pipeline, reps work their own deals, managers all of them.
+-- Signed-out clients (the public anon key) see none.
+
+ALTER TABLE deals ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS deals_select_all ON deals;
+DROP POLICY IF EXISTS deals_select_team ON deals;
+CREATE POLICY deals_select_team ON deals FOR SELECT
+  USING (current_app_user_id() IS NOT NULL);
+
+DROP POLICY IF EXISTS deals_insert_own_or_manager ON deals;
+CREATE POLICY deals_insert_own_or_manager ON deals FOR INSERT
+  WITH CHECK (user_id = current_app_user_id() OR is_manager());
+
+DROP POLICY IF EXISTS deals_update_own_or_manager ON deals;
+CREATE POLICY deals_update_own_or_manager ON deals FOR UPDATE
+  USING (user_id = current_app_user_id() OR is_manager())
+  WITH CHECK (user_id = current_app_user_id() OR is_manager());
+
+DROP POLICY IF EXISTS deals_delete_own_or_manager ON deals;
+CREATE POLICY deals_delete_own_or_manager ON deals FOR DELETE
+  USING (user_id = current_app_user_id() OR is_manager());
+
+-- ========================================
+-- 8. FUNCTION PRIVILEGES
+-- ========================================
+
+REVOKE EXECUTE ON FUNCTION stamp_deal_closed_date() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION sync_appointment_deal() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION count_deal_sales() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION sync_appointment_sales() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION evaluate_achievements(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Comments
+COMMENT ON TABLE deals IS 'Sales pipeline: one deal per customer opportunity, from lead to sold or lost';
+COMMENT ON COLUMN deals.stage IS 'lead, demo_scheduled, proposal_sent, sold or lost';
+COMMENT ON COLUMN deals.amount IS 'Contract amount; quoted while open, signed once sold';
+COMMENT ON COLUMN deals.probability IS 'Chance of closing, 0-100; NULL uses the stage default';
+COMMENT ON COLUMN deals.closed_date IS 'Day the deal was sold or lost';
+COMMENT ON COLUMN appointments.deal_id IS 'Deal the appointment belongs to; its outcome moves the deal';
+COMMENT ON FUNCTION sync_appointment_deal IS 'Move an appointment''s deal along as the appointment is booked and its outcome recorded';
+COMMENT ON FUNCTION count_deal_sales IS 'Keep users.total_sales in step with sold deals';
+COMMENT ON FUNCTION sync_appointment_sales IS 'Keep users.total_sales in step with sales recorded on appointments outside a deal';
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- Deals track the sales pipeline, appointments move them along, and sold
+-- deals count towards sales, revenue and the sales achievements.
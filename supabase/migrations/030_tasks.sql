@@ -0,0 +1,234 @@
+-- ========================================
+-- FOLLOW-UP TASKS
+-- ========================================
+-- Marking an appointment Follow-up Needed, or recording the outcome
+-- Callback Needed, had no consequence: callbacks were remembered and counted
+-- by hand. Now the rep gets a task due on the appointment's follow-up date,
+-- shown on the Dashboard once it is due. Completing a callback task counts
+-- one callback: the server logs the activity event (020) when the task is
+-- completed, so a task completed twice (two devices, or a retried sync) is
+-- only counted once. The client side is src/lib/tasks.js.
+
+-- ========================================
+-- 1. TASKS TABLE
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS tasks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Rep who follows up; the appointment's rep
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  appointment_id UUID NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+  customer_id UUID REFERENCES customers(id) ON DELETE SET NULL,
+  customer_name TEXT NOT NULL,
+  -- callback for the Callback Needed outcome, followup for the Follow-up Needed status
+  type TEXT NOT NULL DEFAULT 'followup' CHECK (type IN ('callback', 'followup')),
+  due_date DATE NOT NULL,
+  completed_at TIMESTAMPTZ,
+  version INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- An appointment has at most one open task; completed ones are kept
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_open_appointment ON tasks(appointment_id)
+  WHERE completed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_user_due ON tasks(user_id, due_date)
+  WHERE completed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_sync_updated_at ON tasks(updated_at);
+
+-- A restored open task replaces the one its appointment has made since, so
+-- restoring a backup does not trip over the index above
+CREATE OR REPLACE FUNCTION replace_open_task()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.completed_at IS NULL THEN
+    DELETE FROM tasks
+     WHERE appointment_id = NEW.appointment_id
+       AND completed_at IS NULL
+       AND id <> NEW.id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS replace_open_task_trigger ON tasks;
+CREATE TRIGGER replace_open_task_trigger
+  BEFORE INSERT OR UPDATE OF completed_at, appointment_id ON tasks
+  FOR EACH ROW
+  EXECUTE FUNCTION replace_open_task();
+
+-- Synced like the other versioned tables (021_record_versions.sql, 022_delta_sync.sql)
+DROP TRIGGER IF EXISTS bump_tasks_version ON tasks;
+CREATE TRIGGER bump_tasks_version
+  BEFORE UPDATE ON tasks
+  FOR EACH ROW
+  EXECUTE FUNCTION bump_record_version();
+
+DROP TRIGGER IF EXISTS record_tasks_tombstone ON tasks;
+CREATE TRIGGER record_tasks_tombstone
+  AFTER DELETE ON tasks
+  FOR EACH ROW
+  EXECUTE FUNCTION record_sync_tombstone('id');
+
+-- ========================================
+-- 2. APPOINTMENTS CREATE THEIR TASK
+-- ========================================
+-- Mirrors applyAppointmentToTasks() in src/lib/tasks.js. The open task
+-- follows the appointment's follow-up date and rep, and goes away when the
+-- appointment no longer needs a follow-up.
+
+CREATE OR REPLACE FUNCTION sync_appointment_task()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_type TEXT;
+BEGIN
+  IF TG_OP = 'UPDATE'
+     AND OLD.status IS NOT DISTINCT FROM NEW.status
+     AND OLD.outcome IS NOT DISTINCT FROM NEW.outcome
+     AND OLD.followup_date IS NOT DISTINCT FROM NEW.followup_date
+     AND OLD.user_id IS NOT DISTINCT FROM NEW.user_id THEN
+    RETURN NULL;
+  END IF;
+
+  IF NEW.followup_date IS NULL
+     OR NOT (NEW.status = 'followup_needed' OR NEW.outcome IS NOT DISTINCT FROM 'callback_needed') THEN
+    DELETE FROM tasks WHERE appointment_id = NEW.id AND completed_at IS NULL;
+    RETURN NULL;
+  END IF;
+
+  v_type := CASE WHEN NEW.outcome = 'callback_needed' THEN 'callback' ELSE 'followup' END;
+
+  UPDATE tasks
+     SET user_id = NEW.user_id,
+         customer_id = NEW.customer_id,
+         customer_name = NEW.customer_name,
+         type = v_type,
+         due_date = NEW.followup_date
+   WHERE appointment_id = NEW.id
+     AND completed_at IS NULL;
+
+  IF NOT FOUND THEN
+    INSERT INTO tasks (user_id, appointment_id, customer_id, customer_name, type, due_date)
+    VALUES (NEW.user_id, NEW.id, NEW.customer_id, NEW.customer_name, v_type, NEW.followup_date);
+  END IF;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS sync_appointment_task_trigger ON appointments;
+CREATE TRIGGER sync_appointment_task_trigger
+  AFTER INSERT OR UPDATE OF status, outcome, followup_date, user_id ON appointments
+  FOR EACH ROW
+  EXECUTE FUNCTION sync_appointment_task();
+
+-- Appointments already waiting on a follow-up get their task now
+INSERT INTO tasks (user_id, appointment_id, customer_id, customer_name, type, due_date)
+SELECT a.user_id, a.id, a.customer_id, a.customer_name,
+       CASE WHEN a.outcome = 'callback_needed' THEN 'callback' ELSE 'followup' END,
+       a.followup_date
+  FROM appointments a
+ WHERE a.followup_date IS NOT NULL
+   AND (a.status = 'followup_needed' OR a.outcome = 'callback_needed')
+   AND NOT EXISTS (SELECT 1 FROM tasks t WHERE t.appointment_id = a.id AND t.completed_at IS NULL);
+
+-- ========================================
+-- 3. COMPLETED CALLBACKS COUNT
+-- ========================================
+-- Like sync_appointment_sales (027): the count follows the row, not the
+-- client. Only the open -> completed change counts, and the event takes the
+-- task's id, so completing it again adds nothing. A rep's own callback counts
+-- for them; a manager completing it for them, or a restore (no session),
+-- does not. The app shows the callback straight away and the synced
+-- daily_logs row replaces it.
+
+CREATE OR REPLACE FUNCTION count_completed_callback()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.type <> 'callback'
+     OR OLD.completed_at IS NOT NULL
+     OR NEW.completed_at IS NULL
+     OR NEW.user_id IS DISTINCT FROM current_app_user_id()
+     OR NOT EXISTS (SELECT 1 FROM categories WHERE id = 'callbacks' AND active) THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO activity_events (id, user_id, category, delta, date, occurred_at, source, created_by)
+  VALUES (NEW.id, NEW.user_id, 'callbacks', 1,
+          (NEW.completed_at AT TIME ZONE (get_store_calendar()->>'timezone'))::DATE,
+          NEW.completed_at, 'manual', NEW.user_id)
+  ON CONFLICT (id) DO NOTHING;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS count_completed_callback_trigger ON tasks;
+CREATE TRIGGER count_completed_callback_trigger
+  AFTER UPDATE OF completed_at ON tasks
+  FOR EACH ROW
+  EXECUTE FUNCTION count_completed_callback();
+
+-- ========================================
+-- 4. REALTIME
+-- ========================================
+
+ALTER TABLE tasks REPLICA IDENTITY FULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+     WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'tasks'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE tasks;
+  END IF;
+END $$;
+
+-- ========================================
+-- 5. ROW LEVEL SECURITY
+-- ========================================
+-- Tasks are the rep's own to-do list; managers see and complete everyone's.
+-- The trigger above creates them; inserts and deletes are for restoring a
+-- backup.
+
+ALTER TABLE tasks ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS tasks_select_own_or_manager ON tasks;
+CREATE POLICY tasks_select_own_or_manager ON tasks FOR SELECT
+  USING (user_id = current_app_user_id() OR is_manager());
+
+DROP POLICY IF EXISTS tasks_insert_own_or_manager ON tasks;
+CREATE POLICY tasks_insert_own_or_manager ON tasks FOR INSERT
+  WITH CHECK (user_id = current_app_user_id() OR is_manager());
+
+DROP POLICY IF EXISTS tasks_update_own_or_manager ON tasks;
+CREATE POLICY tasks_update_own_or_manager ON tasks FOR UPDATE
+  USING (user_id = current_app_user_id() OR is_manager())
+  WITH CHECK (user_id = current_app_user_id() OR is_manager());
+
+DROP POLICY IF EXISTS tasks_delete_own_or_manager ON tasks;
+CREATE POLICY tasks_delete_own_or_manager ON tasks FOR DELETE
+  USING (user_id = current_app_user_id() OR is_manager());
+
+-- ========================================
+-- 6. FUNCTION PRIVILEGES
+-- ========================================
+
+REVOKE EXECUTE ON FUNCTION replace_open_task() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION sync_appointment_task() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION count_completed_callback() FROM PUBLIC, anon, authenticated;
+
+-- Comments
+COMMENT ON TABLE tasks IS 'Follow-up tasks created for appointments that need a follow-up or callback';
+COMMENT ON COLUMN tasks.type IS 'callback (outcome Callback Needed) or followup (status Follow-up Needed)';
+COMMENT ON COLUMN tasks.due_date IS 'The appointment''s follow-up date';
+COMMENT ON COLUMN tasks.completed_at IS 'When the rep completed the task; NULL while open';
+COMMENT ON FUNCTION sync_appointment_task IS 'Create, move or remove an appointment''s open follow-up task';
+COMMENT ON FUNCTION count_completed_callback IS 'Log one callback when a rep completes their callback task';
+
+-- ========================================
+-- COMPLETION
+-- ========================================
+-- Appointments that need a follow-up or callback create a dated task for
+-- their rep; completed tasks are kept, and completed callbacks are counted.
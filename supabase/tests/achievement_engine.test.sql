@@ -0,0 +1,95 @@
+-- ========================================
+-- ACHIEVEMENT ENGINE TESTS (014_achievement_engine.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(8);
+
+-- ========================================
+-- FIXTURES (as table owner)
+-- ========================================
+
+INSERT INTO users (id, name, role, goals) VALUES
+  ('20000000-0000-0000-0000-000000000001', 'Achiever', 'employee', '{"reviews": 1, "demos": 1, "callbacks": 1}');
+
+-- Three perfect days in a row, the last one exceeding every goal by 2x
+INSERT INTO daily_logs (user_id, date, category, count) VALUES
+  ('20000000-0000-0000-0000-000000000001', TO_CHAR(store_today() - 2, 'YYYY-MM-DD'), 'reviews', 1),
+  ('20000000-0000-0000-0000-000000000001', TO_CHAR(store_today() - 2, 'YYYY-MM-DD'), 'demos', 1),
+  ('20000000-0000-0000-0000-000000000001', TO_CHAR(store_today() - 2, 'YYYY-MM-DD'), 'callbacks', 1),
+  ('20000000-0000-0000-0000-000000000001', TO_CHAR(store_today() - 1, 'YYYY-MM-DD'), 'reviews', 1),
+  ('20000000-0000-0000-0000-000000000001', TO_CHAR(store_today() - 1, 'YYYY-MM-DD'), 'demos', 1),
+  ('20000000-0000-0000-0000-000000000001', TO_CHAR(store_today() - 1, 'YYYY-MM-DD'), 'callbacks', 1),
+  ('20000000-0000-0000-0000-000000000001', TO_CHAR(store_today(), 'YYYY-MM-DD'), 'reviews', 2),
+  ('20000000-0000-0000-0000-000000000001', TO_CHAR(store_today(), 'YYYY-MM-DD'), 'demos', 2),
+  ('20000000-0000-0000-0000-000000000001', TO_CHAR(store_today(), 'YYYY-MM-DD'), 'callbacks', 2);
+
+-- ========================================
+-- UNLOCKS
+-- ========================================
+
+SELECT ok(
+  (SELECT achievements @> ARRAY['first_goal', 'streak_3', 'overachiever'] FROM users
+    WHERE id = '20000000-0000-0000-0000-000000000001'),
+  'logging activity unlocks goal, streak and overachiever achievements'
+);
+
+SELECT ok(
+  NOT (SELECT 'streak_7' = ANY(achievements) FROM users
+        WHERE id = '20000000-0000-0000-0000-000000000001'),
+  'achievements out of reach stay locked'
+);
+
+SELECT is(
+  (SELECT achievement_progress->'streak_7'->>'current' FROM users
+    WHERE id = '20000000-0000-0000-0000-000000000001'),
+  '3',
+  'progress records the current value towards locked achievements'
+);
+
+SELECT is(
+  (SELECT bonus_xp FROM users WHERE id = '20000000-0000-0000-0000-000000000001'),
+  (SELECT SUM(xp_reward)::INTEGER FROM achievements
+    WHERE id IN (SELECT UNNEST(achievements) FROM users WHERE id = '20000000-0000-0000-0000-000000000001')),
+  'bonus XP equals the rewards of every unlocked achievement'
+);
+
+SELECT is(
+  (SELECT level FROM users WHERE id = '20000000-0000-0000-0000-000000000001'),
+  (SELECT calculate_level(xp) FROM users WHERE id = '20000000-0000-0000-0000-000000000001'),
+  'level is recalculated from XP'
+);
+
+SELECT is(
+  (SELECT current_streak FROM users WHERE id = '20000000-0000-0000-0000-000000000001'),
+  3,
+  'current streak is stored on the user'
+);
+
+SELECT is(
+  (SELECT COUNT(*)::INTEGER FROM feed_posts
+    WHERE user_id = '20000000-0000-0000-0000-000000000001'
+      AND post_type = 'achievement'
+      AND metadata->>'achievementId' = 'streak_3'),
+  1,
+  'an achievement feed post is created for each unlock'
+);
+
+-- ========================================
+-- IDEMPOTENCE
+-- ========================================
+
+SELECT is(
+  evaluate_achievements('20000000-0000-0000-0000-000000000001'),
+  '{}'::TEXT[],
+  're-evaluating does not unlock anything twice'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
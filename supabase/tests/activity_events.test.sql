@@ -0,0 +1,111 @@
+-- ========================================
+-- ACTIVITY EVENT TESTS (020_activity_events.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(8);
+
+INSERT INTO auth.users (id, email) VALUES
+  ('a2000000-0000-0000-0000-00000000000a', 'logger@example.com');
+
+INSERT INTO users (id, name, role, goals, email, auth_user_id) VALUES
+  ('70000000-0000-0000-0000-000000000001', 'Logger', 'employee', '{"reviews": 5}',
+   'logger@example.com', 'a2000000-0000-0000-0000-00000000000a');
+
+-- ========================================
+-- AGGREGATE
+-- ========================================
+
+INSERT INTO activity_events (user_id, category, delta, date, source) VALUES
+  ('70000000-0000-0000-0000-000000000001', 'reviews', 1, '2025-01-06', 'manual');
+
+SELECT is(
+  (SELECT count FROM daily_logs
+    WHERE user_id = '70000000-0000-0000-0000-000000000001' AND date = '2025-01-06' AND category = 'reviews'),
+  1,
+  'the first event creates the day''s count'
+);
+
+-- Two devices logging the same day both count
+INSERT INTO activity_events (user_id, category, delta, date, source) VALUES
+  ('70000000-0000-0000-0000-000000000001', 'reviews', 1, '2025-01-06', 'manual'),
+  ('70000000-0000-0000-0000-000000000001', 'reviews', 3, '2025-01-06', 'ai');
+
+SELECT is(
+  (SELECT count FROM daily_logs
+    WHERE user_id = '70000000-0000-0000-0000-000000000001' AND date = '2025-01-06' AND category = 'reviews'),
+  5,
+  'events add to the day''s count instead of replacing it'
+);
+
+INSERT INTO activity_events (user_id, category, delta, date, source) VALUES
+  ('70000000-0000-0000-0000-000000000001', 'reviews', -1, '2025-01-06', 'manual');
+
+SELECT is(
+  (SELECT count FROM daily_logs
+    WHERE user_id = '70000000-0000-0000-0000-000000000001' AND date = '2025-01-06' AND category = 'reviews'),
+  4,
+  'negative events correct the count'
+);
+
+SELECT throws_ok(
+  $$INSERT INTO activity_events (user_id, category, delta, date, source)
+     VALUES ('70000000-0000-0000-0000-000000000001', 'reviews', -10, '2025-01-06', 'manual')$$,
+  '23514',
+  NULL,
+  'an event that would take the count below zero is rejected'
+);
+
+SELECT is(
+  (SELECT sum(delta)::INTEGER FROM activity_events
+    WHERE user_id = '70000000-0000-0000-0000-000000000001' AND date = '2025-01-06' AND category = 'reviews'),
+  (SELECT count FROM daily_logs
+    WHERE user_id = '70000000-0000-0000-0000-000000000001' AND date = '2025-01-06' AND category = 'reviews'),
+  'the events add up to the day''s count'
+);
+
+-- ========================================
+-- APPEND-ONLY
+-- ========================================
+
+SELECT throws_ok(
+  $$UPDATE activity_events SET delta = 2
+     WHERE user_id = '70000000-0000-0000-0000-000000000001'$$,
+  '42501',
+  NULL,
+  'events cannot be edited'
+);
+
+SELECT throws_ok(
+  $$INSERT INTO activity_events (user_id, category, delta, source)
+     VALUES ('70000000-0000-0000-0000-000000000001', 'reviews', 1, 'fax')$$,
+  '23514',
+  NULL,
+  'unknown sources are rejected'
+);
+
+-- ========================================
+-- DAILY LOGS ARE READ-ONLY TO CLIENTS
+-- ========================================
+
+SET LOCAL role authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "a2000000-0000-0000-0000-00000000000a", "role": "authenticated"}', true);
+
+SELECT throws_ok(
+  $$UPDATE daily_logs SET count = 99
+     WHERE user_id = '70000000-0000-0000-0000-000000000001'$$,
+  '42501',
+  NULL,
+  'clients cannot overwrite their counts directly'
+);
+
+RESET role;
+
+SELECT * FROM finish();
+
+ROLLBACK;
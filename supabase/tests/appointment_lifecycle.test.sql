@@ -0,0 +1,119 @@
+-- ========================================
+-- APPOINTMENT LIFECYCLE TESTS (027_appointment_lifecycle.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(9);
+
+-- ========================================
+-- FIXTURES (as table owner)
+-- ========================================
+
+INSERT INTO auth.users (id, email) VALUES
+  ('a2700000-0000-0000-0000-00000000000b', 'jane@example.com');
+
+INSERT INTO users (id, name, role, goals, email, auth_user_id, total_sales) VALUES
+  ('27000000-0000-0000-0000-000000000001', 'Jane Doe', 'employee', '{"demos": 3}',
+   'jane@example.com', 'a2700000-0000-0000-0000-00000000000b', 0),
+  ('27000000-0000-0000-0000-000000000002', 'Sam', 'employee', '{"demos": 3}', NULL, NULL, 0);
+
+INSERT INTO appointments (id, user_id, customer_name, date) VALUES
+  ('27000000-0000-0000-0000-0000000000a1', '27000000-0000-0000-0000-000000000001', 'Pat Customer', '2025-01-06'),
+  ('27000000-0000-0000-0000-0000000000a2', '27000000-0000-0000-0000-000000000001', 'Lee Customer', '2025-01-07');
+
+-- ========================================
+-- STATUS
+-- ========================================
+
+SELECT is(
+  (SELECT status FROM appointments WHERE id = '27000000-0000-0000-0000-0000000000a1'),
+  'scheduled',
+  'new appointments are scheduled'
+);
+
+SELECT throws_ok(
+  $$ UPDATE appointments SET status = 'maybe' WHERE id = '27000000-0000-0000-0000-0000000000a1' $$,
+  '23514',
+  NULL,
+  'unknown statuses are rejected'
+);
+
+-- ========================================
+-- SALES COUNT
+-- ========================================
+
+-- Jane records the sale herself; she cannot write total_sales directly
+SET LOCAL role authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "a2700000-0000-0000-0000-00000000000b", "role": "authenticated"}', true);
+
+UPDATE appointments SET status = 'completed', outcome = 'sale', sale_amount = 8500
+WHERE id = '27000000-0000-0000-0000-0000000000a1';
+
+SELECT throws_ok(
+  $$ UPDATE users SET total_sales = 50 WHERE id = '27000000-0000-0000-0000-000000000001' $$,
+  '42501',
+  NULL,
+  'employees cannot set their own sales count'
+);
+
+RESET role;
+
+SELECT is(
+  (SELECT total_sales FROM users WHERE id = '27000000-0000-0000-0000-000000000001'),
+  1,
+  'a sale outcome adds to the rep''s sales'
+);
+
+UPDATE appointments SET notes = 'Signed on the spot' WHERE id = '27000000-0000-0000-0000-0000000000a1';
+UPDATE appointments SET outcome = 'sale' WHERE id = '27000000-0000-0000-0000-0000000000a1';
+
+SELECT is(
+  (SELECT total_sales FROM users WHERE id = '27000000-0000-0000-0000-000000000001'),
+  1,
+  'saving a sale again does not count it twice'
+);
+
+UPDATE appointments SET outcome = 'proposal_sent' WHERE id = '27000000-0000-0000-0000-0000000000a1';
+
+SELECT is(
+  (SELECT total_sales FROM users WHERE id = '27000000-0000-0000-0000-000000000001'),
+  0,
+  'taking back a sale takes it off the rep''s sales'
+);
+
+INSERT INTO appointments (user_id, customer_name, date, status, outcome) VALUES
+  ('27000000-0000-0000-0000-000000000001', 'Kim Customer', '2025-01-08', 'completed', 'sale');
+UPDATE appointments SET user_id = '27000000-0000-0000-0000-000000000002' WHERE customer_name = 'Kim Customer';
+
+SELECT is(
+  (SELECT array_agg(total_sales ORDER BY name) FROM users WHERE id::TEXT LIKE '27000000%'),
+  ARRAY[0, 1],
+  'moving a sale to another rep moves the count'
+);
+
+DELETE FROM appointments WHERE customer_name = 'Kim Customer';
+
+SELECT is(
+  (SELECT total_sales FROM users WHERE id = '27000000-0000-0000-0000-000000000002'),
+  0,
+  'deleting a sale takes it off the rep''s sales'
+);
+
+-- ========================================
+-- RESCHEDULE HISTORY
+-- ========================================
+
+SELECT is(
+  (SELECT reschedule_history FROM appointments WHERE id = '27000000-0000-0000-0000-0000000000a2'),
+  '[]'::JSONB,
+  'appointments start with no reschedules'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
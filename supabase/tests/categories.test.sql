@@ -0,0 +1,68 @@
+-- ========================================
+-- CATEGORY TESTS (017_categories.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(5);
+
+-- ========================================
+-- SEED
+-- ========================================
+
+SELECT ok(
+  (SELECT COUNT(*) FROM categories WHERE id IN ('reviews', 'demos', 'callbacks') AND active) = 3,
+  'built-in categories are seeded and active'
+);
+
+SELECT is(
+  (SELECT active FROM categories WHERE id = 'door_knocks'),
+  FALSE,
+  'new store categories start inactive'
+);
+
+-- ========================================
+-- XP WEIGHTS
+-- ========================================
+
+INSERT INTO users (id, name, role, goals) VALUES
+  ('40000000-0000-0000-0000-000000000001', 'Knocker', 'employee', '{"reviews": 1, "door_knocks": 10}');
+
+UPDATE categories SET active = TRUE, xp_weight = 2 WHERE id = 'door_knocks';
+
+INSERT INTO daily_logs (user_id, date, category, count) VALUES
+  ('40000000-0000-0000-0000-000000000001', '2025-01-06', 'door_knocks', 5);
+
+SELECT is(
+  (get_xp_curve()->'categoryXp'->>'door_knocks')::INTEGER,
+  2,
+  'category XP in the curve comes from xp_weight'
+);
+
+UPDATE categories SET xp_weight = 4 WHERE id = 'door_knocks';
+
+SELECT is(
+  (SELECT activity_xp FROM users WHERE id = '40000000-0000-0000-0000-000000000001'),
+  20,
+  'changing a category XP weight re-scores activity XP'
+);
+
+-- ========================================
+-- DEACTIVATION
+-- ========================================
+
+UPDATE categories SET active = FALSE WHERE id = 'door_knocks';
+
+SELECT is(
+  (SELECT goals FROM users WHERE id = '40000000-0000-0000-0000-000000000001'),
+  '{"reviews": 1}'::JSONB,
+  'deactivating a category removes it from user goals'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
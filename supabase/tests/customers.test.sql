@@ -0,0 +1,123 @@
+-- ========================================
+-- CUSTOMER TESTS (028_customers.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(10);
+
+-- ========================================
+-- FIXTURES (as table owner)
+-- ========================================
+
+INSERT INTO auth.users (id, email) VALUES
+  ('a2800000-0000-0000-0000-00000000000b', 'jane@example.com'),
+  ('a2800000-0000-0000-0000-00000000000c', NULL);
+
+INSERT INTO users (id, name, role, goals, email, auth_user_id) VALUES
+  ('28000000-0000-0000-0000-000000000001', 'Jane Doe', 'employee', '{"demos": 3}',
+   'jane@example.com', 'a2800000-0000-0000-0000-00000000000b'),
+  ('28000000-0000-0000-0000-000000000002', 'Sam', 'employee', '{"demos": 3}', NULL, NULL);
+
+INSERT INTO customers (id, name, phone, email, created_by) VALUES
+  ('28000000-0000-0000-0000-0000000000c1', 'Pat Homeowner', '(555) 010-2030', 'Pat@Example.com',
+   '28000000-0000-0000-0000-000000000002');
+
+INSERT INTO appointments (id, user_id, customer_id, customer_name, date) VALUES
+  ('28000000-0000-0000-0000-0000000000a1', '28000000-0000-0000-0000-000000000002',
+   '28000000-0000-0000-0000-0000000000c1', 'Pat Homeowner', '2025-01-06');
+
+-- ========================================
+-- DEDUPE
+-- ========================================
+
+SELECT throws_ok(
+  $$ INSERT INTO customers (name, phone) VALUES ('Pat H.', '+1 555-010-2030') $$,
+  '23505',
+  NULL,
+  'the same phone number written differently is a duplicate'
+);
+
+SELECT throws_ok(
+  $$ INSERT INTO customers (name, email) VALUES ('Pat H.', ' pat@example.com') $$,
+  '23505',
+  NULL,
+  'email addresses are compared without case or spaces'
+);
+
+SELECT lives_ok(
+  $$ INSERT INTO customers (name) VALUES ('Lee Lead'), ('Kim Lead') $$,
+  'customers without a phone or email are not duplicates of each other'
+);
+
+-- ========================================
+-- ROW LEVEL SECURITY
+-- ========================================
+
+SET LOCAL role anon;
+
+SELECT is(
+  (SELECT count(*)::INT FROM customers),
+  0,
+  'the public anon key reads no customers'
+);
+
+-- An anonymous session no PIN has been bound to yet
+SET LOCAL role authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "a2800000-0000-0000-0000-00000000000c", "role": "authenticated"}', true);
+
+SELECT is(
+  (SELECT count(*)::INT FROM customers),
+  0,
+  'a session not bound to a team member reads no customers'
+);
+
+SELECT set_config('request.jwt.claims', '{"sub": "a2800000-0000-0000-0000-00000000000b", "role": "authenticated"}', true);
+
+SELECT lives_ok(
+  $$ INSERT INTO customers (name, created_by) VALUES ('Jane''s Lead', '28000000-0000-0000-0000-000000000001') $$,
+  'team members add customers'
+);
+
+UPDATE customers SET address = '12 Elm St' WHERE id = '28000000-0000-0000-0000-0000000000c1';
+DELETE FROM customers WHERE id = '28000000-0000-0000-0000-0000000000c1';
+
+RESET role;
+
+SELECT is(
+  (SELECT address FROM customers WHERE id = '28000000-0000-0000-0000-0000000000c1'),
+  '12 Elm St',
+  'team members update customers another rep added'
+);
+
+SELECT is(
+  (SELECT version FROM customers WHERE id = '28000000-0000-0000-0000-0000000000c1'),
+  2,
+  'updates bump the customer''s version'
+);
+
+SELECT is(
+  (SELECT count(*)::INT FROM customers WHERE id = '28000000-0000-0000-0000-0000000000c1'),
+  1,
+  'only managers delete customers'
+);
+
+-- ========================================
+-- APPOINTMENTS
+-- ========================================
+
+DELETE FROM customers WHERE id = '28000000-0000-0000-0000-0000000000c1';
+
+SELECT is(
+  (SELECT customer_id FROM appointments WHERE id = '28000000-0000-0000-0000-0000000000a1'),
+  NULL,
+  'deleting a customer keeps their appointments'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
@@ -0,0 +1,141 @@
+-- ========================================
+-- SALES PIPELINE TESTS (029_deals.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(12);
+
+-- ========================================
+-- FIXTURES (as table owner)
+-- ========================================
+
+INSERT INTO auth.users (id, email) VALUES
+  ('a2900000-0000-0000-0000-00000000000b', 'jane@example.com');
+
+INSERT INTO users (id, name, role, goals, email, auth_user_id, total_sales) VALUES
+  ('29000000-0000-0000-0000-000000000001', 'Jane Doe', 'employee', '{"demos": 3}',
+   'jane@example.com', 'a2900000-0000-0000-0000-00000000000b', 0),
+  ('29000000-0000-0000-0000-000000000002', 'Sam', 'employee', '{"demos": 3}', NULL, NULL, 0);
+
+INSERT INTO deals (id, user_id, customer_name, amount) VALUES
+  ('29000000-0000-0000-0000-0000000000d1', '29000000-0000-0000-0000-000000000001', 'Pat Customer', 9000),
+  ('29000000-0000-0000-0000-0000000000d2', '29000000-0000-0000-0000-000000000002', 'Lee Customer', 4000);
+
+-- ========================================
+-- STAGES
+-- ========================================
+
+SELECT is(
+  (SELECT stage FROM deals WHERE id = '29000000-0000-0000-0000-0000000000d1'),
+  'lead',
+  'new deals start as leads'
+);
+
+SELECT throws_ok(
+  $$ UPDATE deals SET stage = 'maybe' WHERE id = '29000000-0000-0000-0000-0000000000d1' $$,
+  '23514',
+  NULL,
+  'unknown stages are rejected'
+);
+
+-- ========================================
+-- APPOINTMENTS MOVE THE DEAL
+-- ========================================
+
+INSERT INTO appointments (id, user_id, customer_name, date, deal_id) VALUES
+  ('29000000-0000-0000-0000-0000000000a1', '29000000-0000-0000-0000-000000000001', 'Pat Customer',
+   '2025-01-06', '29000000-0000-0000-0000-0000000000d1');
+
+SELECT is(
+  (SELECT stage FROM deals WHERE id = '29000000-0000-0000-0000-0000000000d1'),
+  'demo_scheduled',
+  'booking a demo for a lead moves the deal on'
+);
+
+UPDATE appointments SET status = 'completed', outcome = 'sale', sale_amount = 12000
+WHERE id = '29000000-0000-0000-0000-0000000000a1';
+
+SELECT is(
+  (SELECT (stage, amount, closed_date)::TEXT FROM deals WHERE id = '29000000-0000-0000-0000-0000000000d1'),
+  '(sold,12000.00,2025-01-06)',
+  'a sale on the appointment sells the deal for the sale amount on the appointment date'
+);
+
+-- A sale outside the pipeline still counts
+INSERT INTO appointments (user_id, customer_name, date, status, outcome, sale_amount) VALUES
+  ('29000000-0000-0000-0000-000000000001', 'Kim Customer', '2025-01-07', 'completed', 'sale', 500);
+
+SELECT is(
+  (SELECT total_sales FROM users WHERE id = '29000000-0000-0000-0000-000000000001'),
+  2,
+  'the sold deal and the sale outside the pipeline count once each'
+);
+
+SELECT is(
+  (achievement_stats('29000000-0000-0000-0000-000000000001')->>'revenue')::NUMERIC,
+  12500::NUMERIC,
+  'revenue adds up sold deals and sales outside the pipeline'
+);
+
+UPDATE appointments SET outcome = 'proposal_sent' WHERE id = '29000000-0000-0000-0000-0000000000a1';
+
+SELECT is(
+  (SELECT (stage, closed_date)::TEXT FROM deals WHERE id = '29000000-0000-0000-0000-0000000000d1'),
+  '(proposal_sent,)',
+  'taking back the sale reopens the deal'
+);
+
+SELECT is(
+  (SELECT total_sales FROM users WHERE id = '29000000-0000-0000-0000-000000000001'),
+  1,
+  'taking back the sale takes it off the rep''s sales'
+);
+
+UPDATE deals SET stage = 'lost', lost_reason = 'Went with a competitor'
+WHERE id = '29000000-0000-0000-0000-0000000000d1';
+UPDATE appointments SET outcome = 'thinking_it_over' WHERE id = '29000000-0000-0000-0000-0000000000a1';
+
+SELECT is(
+  (SELECT stage FROM deals WHERE id = '29000000-0000-0000-0000-0000000000d1'),
+  'lost',
+  'a deal closed on the board stays closed'
+);
+
+-- ========================================
+-- ROW LEVEL SECURITY
+-- ========================================
+
+SET LOCAL role anon;
+
+SELECT is(
+  (SELECT count(*)::INT FROM deals),
+  0,
+  'the public anon key reads no deals'
+);
+
+SET LOCAL role authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "a2900000-0000-0000-0000-00000000000b", "role": "authenticated"}', true);
+
+UPDATE deals SET stage = 'sold' WHERE id = '29000000-0000-0000-0000-0000000000d2';
+
+SELECT lives_ok(
+  $$ INSERT INTO deals (user_id, customer_name) VALUES ('29000000-0000-0000-0000-000000000001', 'New Lead') $$,
+  'reps add their own deals'
+);
+
+RESET role;
+
+SELECT is(
+  (SELECT stage FROM deals WHERE id = '29000000-0000-0000-0000-0000000000d2'),
+  'lead',
+  'reps cannot move another rep''s deal'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
@@ -0,0 +1,51 @@
+-- ========================================
+-- DELTA SYNC TESTS (022_delta_sync.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(4);
+
+INSERT INTO users (id, name, role, goals) VALUES
+  ('90000000-0000-0000-0000-000000000001', 'Synced', 'employee', '{"reviews": 5}');
+
+INSERT INTO appointments (id, user_id, customer_name, date) VALUES
+  ('90000000-0000-0000-0000-0000000000a1', '90000000-0000-0000-0000-000000000001', 'Pat Doe', '2025-01-06');
+
+-- ========================================
+-- TOMBSTONES
+-- ========================================
+
+DELETE FROM appointments WHERE id = '90000000-0000-0000-0000-0000000000a1';
+
+SELECT is(
+  (SELECT record_key FROM sync_tombstones WHERE table_name = 'appointments' ORDER BY id DESC LIMIT 1),
+  '90000000-0000-0000-0000-0000000000a1',
+  'deleting a row leaves a tombstone with its key'
+);
+
+SELECT ok(
+  sync_deletions_since('appointments', NOW() - INTERVAL '1 minute')->'deleted'
+    ? '90000000-0000-0000-0000-0000000000a1',
+  'deletions since a cursor include the deleted key'
+);
+
+SELECT is(
+  sync_deletions_since('appointments')->'deleted',
+  '[]'::JSONB,
+  'a full pull needs no deletions'
+);
+
+-- ========================================
+-- UPDATED_AT
+-- ========================================
+
+SELECT has_column('feed_comments', 'updated_at', 'non-versioned tables get updated_at');
+
+SELECT * FROM finish();
+
+ROLLBACK;
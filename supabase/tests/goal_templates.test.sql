@@ -0,0 +1,73 @@
+-- ========================================
+-- GOAL TEMPLATE TESTS (019_goal_templates.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(6);
+
+-- ========================================
+-- STEPS
+-- ========================================
+
+INSERT INTO users (id, name, role, goals) VALUES
+  ('60000000-0000-0000-0000-000000000001', 'New Hire', 'employee', '{"reviews": 5, "demos": 3}');
+
+INSERT INTO goal_templates (id, name, steps) VALUES
+  ('61000000-0000-0000-0000-000000000001', 'New hire ramp',
+   '[{"week": 0, "goals": {"day": {"demos": 1}, "week": {"demos": 5}}},
+     {"week": 2, "goals": {"day": {"demos": 2}, "week": {"demos": 10}}}]');
+
+SELECT is(
+  goal_template_step(
+    (SELECT steps FROM goal_templates WHERE id = '61000000-0000-0000-0000-000000000001'),
+    '2025-01-06', '2025-01-05'),
+  NULL,
+  'no step is in effect before the start date'
+);
+
+SELECT is(
+  (goal_template_step(
+    (SELECT steps FROM goal_templates WHERE id = '61000000-0000-0000-0000-000000000001'),
+    '2025-01-06', '2025-01-19')->>'week')::INTEGER,
+  0,
+  'the first step lasts until the next one starts'
+);
+
+-- ========================================
+-- ASSIGNMENT
+-- ========================================
+
+INSERT INTO goal_assignments (user_id, template_id, starts_on) VALUES
+  ('60000000-0000-0000-0000-000000000001', '61000000-0000-0000-0000-000000000001', store_today() - 14);
+
+SELECT is(
+  (SELECT goals FROM users WHERE id = '60000000-0000-0000-0000-000000000001'),
+  '{"demos": 2}'::JSONB,
+  'assigning a template writes the step in effect to daily goals'
+);
+
+SELECT is(
+  (SELECT period_goals FROM users WHERE id = '60000000-0000-0000-0000-000000000001'),
+  '{"week": {"demos": 10}}'::JSONB,
+  'assigning a template writes weekly goals'
+);
+
+-- Manual edits are kept until the next step starts
+UPDATE users SET goals = '{"demos": 4}' WHERE id = '60000000-0000-0000-0000-000000000001';
+
+SELECT is(apply_goal_assignments(), 0, 'an applied step is not written again');
+
+SELECT is(
+  (SELECT goals FROM users WHERE id = '60000000-0000-0000-0000-000000000001'),
+  '{"demos": 4}'::JSONB,
+  'manual goal edits survive until the next step'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
@@ -0,0 +1,130 @@
+-- ========================================
+-- NOTIFICATION INBOX TESTS (025_notifications.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(10);
+
+-- ========================================
+-- FIXTURES (as table owner)
+-- ========================================
+
+INSERT INTO auth.users (id, email) VALUES
+  ('a2500000-0000-0000-0000-00000000000a', 'boss@example.com'),
+  ('a2500000-0000-0000-0000-00000000000b', 'jane@example.com');
+
+INSERT INTO users (id, name, role, goals, email, auth_user_id) VALUES
+  ('25000000-0000-0000-0000-000000000001', 'Boss', 'manager', '{"reviews": 5}',
+   'boss@example.com', 'a2500000-0000-0000-0000-00000000000a'),
+  ('25000000-0000-0000-0000-000000000002', 'Jane Doe', 'employee', '{"reviews": 5}',
+   'jane@example.com', 'a2500000-0000-0000-0000-00000000000b'),
+  ('25000000-0000-0000-0000-000000000003', 'Sam', 'employee', '{"reviews": 5}', NULL, NULL);
+
+INSERT INTO feed_posts (id, user_id, content, type) VALUES
+  ('25000000-0000-0000-0000-0000000000f1', '25000000-0000-0000-0000-000000000002', 'Closed two demos today', 'manual');
+
+-- ========================================
+-- FEED
+-- ========================================
+
+INSERT INTO feed_comments (post_id, user_id, content) VALUES
+  ('25000000-0000-0000-0000-0000000000f1', '25000000-0000-0000-0000-000000000003', 'Nice one! @boss take a look');
+
+SELECT is(
+  (SELECT title FROM notifications WHERE user_id = '25000000-0000-0000-0000-000000000002' AND type = 'comment'),
+  'Sam commented on your post',
+  'post owners hear about comments'
+);
+
+SELECT is(
+  (SELECT count(*)::INT FROM notifications WHERE user_id = '25000000-0000-0000-0000-000000000001' AND type = 'mention'),
+  1,
+  '@mentions match names case-insensitively'
+);
+
+INSERT INTO feed_reactions (post_id, user_id, emoji) VALUES
+  ('25000000-0000-0000-0000-0000000000f1', '25000000-0000-0000-0000-000000000002', '🔥'),
+  ('25000000-0000-0000-0000-0000000000f1', '25000000-0000-0000-0000-000000000003', '🔥');
+
+SELECT is(
+  (SELECT count(*)::INT FROM notifications WHERE user_id = '25000000-0000-0000-0000-000000000002' AND type = 'reaction'),
+  1,
+  'reacting to your own post does not notify you'
+);
+
+-- ========================================
+-- GOALS AND AI ACTIONS
+-- ========================================
+
+SET LOCAL role authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "a2500000-0000-0000-0000-00000000000a", "role": "authenticated"}', true);
+
+UPDATE users SET goals = '{"reviews": 8}' WHERE id = '25000000-0000-0000-0000-000000000002';
+UPDATE users SET period_goals = '{"week": {"reviews": 30}}' WHERE id = '25000000-0000-0000-0000-000000000003';
+
+INSERT INTO audit_log (user_id, user_name, action, entity_type, entity_id, details) VALUES
+  ('25000000-0000-0000-0000-000000000001', 'Boss', 'ai_award_bonus_xp', 'users',
+   '25000000-0000-0000-0000-000000000002', '{"amount": 50, "reason": "Great week"}'),
+  ('25000000-0000-0000-0000-000000000001', 'Boss', 'ai_log_activity', 'activity_events',
+   'event-1', '{"category": "reviews", "count": 2}');
+
+RESET role;
+
+SELECT is(
+  (SELECT title FROM notifications WHERE user_id = '25000000-0000-0000-0000-000000000002' AND type = 'goal_change'),
+  'Boss updated your goals',
+  'goal changes by a manager notify the user'
+);
+
+SELECT is(
+  (SELECT title FROM notifications WHERE user_id = '25000000-0000-0000-0000-000000000003' AND type = 'goal_change'),
+  'Boss updated your goals',
+  'weekly and monthly goal changes notify the user too'
+);
+
+SELECT is(
+  (SELECT title FROM notifications WHERE user_id = '25000000-0000-0000-0000-000000000002' AND type = 'ai_action'),
+  'Boss awarded you 50 bonus XP',
+  'AI actions on another user go to that user'
+);
+
+SELECT is(
+  (SELECT title FROM notifications WHERE user_id = '25000000-0000-0000-0000-000000000001' AND type = 'ai_action'),
+  'AI coach logged 2 reviews',
+  'other AI actions go to whoever the coach acted for'
+);
+
+-- ========================================
+-- ROW LEVEL SECURITY
+-- ========================================
+
+SET LOCAL role authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "a2500000-0000-0000-0000-00000000000b", "role": "authenticated"}', true);
+
+SELECT ok(
+  (SELECT bool_and(user_id = '25000000-0000-0000-0000-000000000002') FROM notifications),
+  'users only see their own notifications'
+);
+
+SELECT lives_ok(
+  $$ UPDATE notifications SET read_at = NOW() WHERE user_id = '25000000-0000-0000-0000-000000000002' $$,
+  'users can mark their notifications read'
+);
+
+SELECT throws_ok(
+  $$ UPDATE notifications SET title = 'Changed' WHERE user_id = '25000000-0000-0000-0000-000000000002' $$,
+  '42501',
+  NULL,
+  'only read_at can be changed'
+);
+
+RESET role;
+
+SELECT * FROM finish();
+
+ROLLBACK;
@@ -0,0 +1,54 @@
+-- ========================================
+-- PERIOD GOAL TESTS (018_period_goals.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(3);
+
+-- ========================================
+-- COLUMN
+-- ========================================
+
+INSERT INTO users (id, name, role, goals) VALUES
+  ('50000000-0000-0000-0000-000000000001', 'Closer', 'employee', '{"demos": 3}');
+
+SELECT is(
+  (SELECT period_goals FROM users WHERE id = '50000000-0000-0000-0000-000000000001'),
+  '{}'::JSONB,
+  'users start without weekly or monthly goals'
+);
+
+SELECT throws_ok(
+  $$UPDATE users SET period_goals = '{"year": {"demos": 100}}'
+     WHERE id = '50000000-0000-0000-0000-000000000001'$$,
+  '23514',
+  NULL,
+  'only week and month periods are accepted'
+);
+
+-- ========================================
+-- DEACTIVATION
+-- ========================================
+
+UPDATE categories SET active = TRUE WHERE id = 'door_knocks';
+
+UPDATE users
+   SET period_goals = '{"week": {"demos": 15, "door_knocks": 100}, "month": {"door_knocks": 400}}'
+ WHERE id = '50000000-0000-0000-0000-000000000001';
+
+UPDATE categories SET active = FALSE WHERE id = 'door_knocks';
+
+SELECT is(
+  (SELECT period_goals FROM users WHERE id = '50000000-0000-0000-0000-000000000001'),
+  '{"week": {"demos": 15}, "month": {}}'::JSONB,
+  'deactivating a category removes it from weekly and monthly goals'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
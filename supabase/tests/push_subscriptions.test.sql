@@ -0,0 +1,77 @@
+-- ========================================
+-- PUSH SUBSCRIPTION TESTS (024_push_subscriptions.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(5);
+
+-- ========================================
+-- FIXTURES (as table owner)
+-- ========================================
+
+INSERT INTO auth.users (id, email) VALUES
+  ('a2400000-0000-0000-0000-00000000000a', 'pusher-a@example.com'),
+  ('a2400000-0000-0000-0000-00000000000b', 'pusher-b@example.com');
+
+INSERT INTO users (id, name, role, goals, email, auth_user_id) VALUES
+  ('24000000-0000-0000-0000-000000000001', 'Pusher A', 'employee', '{}',
+   'pusher-a@example.com', 'a2400000-0000-0000-0000-00000000000a'),
+  ('24000000-0000-0000-0000-000000000002', 'Pusher B', 'employee', '{}',
+   'pusher-b@example.com', 'a2400000-0000-0000-0000-00000000000b');
+
+-- ========================================
+-- USER A SUBSCRIBES
+-- ========================================
+
+SET LOCAL role authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "a2400000-0000-0000-0000-00000000000a", "role": "authenticated"}', true);
+
+SELECT lives_ok(
+  $$ SELECT save_push_subscription('https://push.example.com/device-1', 'key', 'secret', ARRAY['challenge.created']) $$,
+  'a signed-in user can save a subscription'
+);
+
+SELECT is(
+  (SELECT muted_events FROM push_subscriptions WHERE endpoint = 'https://push.example.com/device-1'),
+  ARRAY['challenge.created'],
+  'muted events are stored with the subscription'
+);
+
+SELECT throws_ok(
+  $$ INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth)
+     VALUES ('24000000-0000-0000-0000-000000000002', 'https://push.example.com/forged', 'key', 'secret') $$,
+  '42501',
+  NULL,
+  'subscriptions cannot be written directly'
+);
+
+-- ========================================
+-- USER B TAKES THE DEVICE OVER
+-- ========================================
+
+SELECT set_config('request.jwt.claims', '{"sub": "a2400000-0000-0000-0000-00000000000b", "role": "authenticated"}', true);
+
+SELECT save_push_subscription('https://push.example.com/device-1', 'key', 'secret');
+
+SELECT is(
+  (SELECT count(*)::INT FROM push_subscriptions WHERE endpoint = 'https://push.example.com/device-1'),
+  1,
+  'the device''s subscription moves to the new user'
+);
+
+RESET role;
+
+SELECT is(
+  (SELECT user_id FROM push_subscriptions WHERE endpoint = 'https://push.example.com/device-1'),
+  '24000000-0000-0000-0000-000000000002'::uuid,
+  'the subscription belongs to whoever saved it last'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
@@ -0,0 +1,29 @@
+-- ========================================
+-- REALTIME REPLICA IDENTITY TESTS (023_realtime_replica_identity.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(2);
+
+SELECT is(
+  (SELECT relreplident FROM pg_class WHERE oid = 'public.daily_logs'::regclass),
+  'f'::"char",
+  'daily_logs deletes carry the whole old row'
+);
+
+SELECT ok(
+  EXISTS (
+    SELECT 1 FROM pg_publication_tables
+     WHERE pubname = 'supabase_realtime' AND tablename = 'feed_reactions'
+  ),
+  'feed_reactions changes are published'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
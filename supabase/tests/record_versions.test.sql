@@ -0,0 +1,47 @@
+-- ========================================
+-- RECORD VERSION TESTS (021_record_versions.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(4);
+
+INSERT INTO users (id, name, role, goals) VALUES
+  ('80000000-0000-0000-0000-000000000001', 'Versioned', 'employee', '{"reviews": 5}');
+
+SELECT is(
+  (SELECT version FROM users WHERE id = '80000000-0000-0000-0000-000000000001'),
+  1,
+  'new records start at version 1'
+);
+
+UPDATE users SET goals = '{"reviews": 6}' WHERE id = '80000000-0000-0000-0000-000000000001';
+
+-- XP triggers may update the row again, so only check that it moved on
+SELECT cmp_ok(
+  (SELECT version FROM users WHERE id = '80000000-0000-0000-0000-000000000001'),
+  '>',
+  1,
+  'updates bump the version'
+);
+
+-- A client that read version 1 must not overwrite a newer version
+SELECT results_eq(
+  $$ WITH changed AS (
+       UPDATE users SET goals = '{"reviews": 7}'
+        WHERE id = '80000000-0000-0000-0000-000000000001' AND version = 1
+       RETURNING 1)
+     SELECT count(*) FROM changed $$,
+  $$ VALUES (0::bigint) $$,
+  'a stale version matches no rows'
+);
+
+SELECT has_column('goal_assignments', 'version', 'goal assignments are versioned');
+
+SELECT * FROM finish();
+
+ROLLBACK;
@@ -0,0 +1,338 @@
+-- ========================================
+-- RLS POLICY TESTS (013_row_level_security.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+-- Each block switches to the authenticated role with a different JWT subject
+-- to check what employees, managers and signed-out clients can write.
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(40);
+
+-- ========================================
+-- FIXTURES (as table owner)
+-- ========================================
+
+INSERT INTO auth.users (id, email) VALUES
+  ('a0000000-0000-0000-0000-00000000000a', 'manager@example.com'),
+  ('a0000000-0000-0000-0000-00000000000b', NULL),
+  ('a0000000-0000-0000-0000-00000000000c', NULL);
+
+INSERT INTO users (id, name, role, goals, email, auth_user_id) VALUES
+  ('10000000-0000-0000-0000-000000000001', 'Test Manager', 'manager', '{"reviews": 5, "demos": 3, "callbacks": 10}',
+   'manager@example.com', 'a0000000-0000-0000-0000-00000000000a'),
+  ('10000000-0000-0000-0000-000000000002', 'Employee A', 'employee', '{"reviews": 5, "demos": 3, "callbacks": 10}', NULL, NULL),
+  ('10000000-0000-0000-0000-000000000003', 'Employee B', 'employee', '{"reviews": 5, "demos": 3, "callbacks": 10}', NULL, NULL);
+
+SELECT set_user_pin('10000000-0000-0000-0000-000000000002', '1234');
+
+-- Employee A signs in with a PIN on anonymous auth user ...b
+INSERT INTO user_sessions (auth_user_id, user_id) VALUES
+  ('a0000000-0000-0000-0000-00000000000b', '10000000-0000-0000-0000-000000000002');
+
+INSERT INTO daily_logs (user_id, date, category, count) VALUES
+  ('10000000-0000-0000-0000-000000000003', '2025-01-06', 'reviews', 2);
+
+INSERT INTO audit_log (user_id, user_name, action) VALUES
+  ('10000000-0000-0000-0000-000000000001', 'Test Manager', 'fixture');
+
+INSERT INTO ai_chat_history (user_id, session_id, role, content) VALUES
+  ('10000000-0000-0000-0000-000000000002', 'session-a', 'user', 'How am I doing this week?'),
+  ('10000000-0000-0000-0000-000000000003', 'session-b', 'user', 'Help me with a difficult customer');
+
+-- ========================================
+-- PIN STORAGE
+-- ========================================
+
+SELECT hasnt_column('users', 'pin_hash', 'PIN hashes are not stored on users');
+
+SELECT ok(
+  (SELECT pin_hash LIKE '$2%' AND pin_hash <> '1234' FROM user_pins WHERE user_id = '10000000-0000-0000-0000-000000000002'),
+  'the PIN is stored as a bcrypt hash'
+);
+
+SELECT ok(
+  (SELECT has_pin FROM users WHERE id = '10000000-0000-0000-0000-000000000002'),
+  'has_pin is set when a PIN is set'
+);
+
+SELECT hasnt_function('claim_account_pin', 'accounts cannot claim their own first PIN');
+
+-- ========================================
+-- PUBLIC ANON KEY (no session)
+-- ========================================
+
+SET LOCAL role anon;
+
+SELECT is(
+  (SELECT count(*)::INT FROM users),
+  0,
+  'the public anon key reads no users'
+);
+
+SELECT is(
+  (SELECT count(*)::INT FROM audit_log),
+  0,
+  'the public anon key reads no audit entries'
+);
+
+SELECT is(
+  (SELECT array_agg((name, has_pin, has_email)::TEXT ORDER BY name) FROM sign_in_directory()),
+  ARRAY['("Employee A",t,f)', '("Employee B",f,f)', '("Test Manager",f,t)'],
+  'the sign-in directory lists accounts and their sign-in methods'
+);
+
+-- ========================================
+-- EMPLOYEE A (PIN session)
+-- ========================================
+
+SET LOCAL role authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "a0000000-0000-0000-0000-00000000000b", "role": "authenticated"}', true);
+
+SELECT is(current_app_user_id(), '10000000-0000-0000-0000-000000000002'::uuid, 'PIN session resolves to employee A');
+SELECT ok(NOT is_manager(), 'employee A is not a manager');
+
+SELECT is(
+  (SELECT count(*)::INT FROM users),
+  3,
+  'a signed-in employee reads the team'
+);
+
+SELECT is(
+  (SELECT array_agg(session_id) FROM ai_chat_history),
+  ARRAY['session-a'],
+  'an employee reads only their own AI chat history'
+);
+
+-- Activity is logged as events; daily_logs is their total (020_activity_events.sql)
+SELECT lives_ok(
+  $$ INSERT INTO activity_events (user_id, date, category, delta)
+     VALUES ('10000000-0000-0000-0000-000000000002', '2025-01-06', 'reviews', 1) $$,
+  'employee can log their own activity'
+);
+
+SELECT throws_ok(
+  $$ INSERT INTO activity_events (user_id, date, category, delta)
+     VALUES ('10000000-0000-0000-0000-000000000003', '2025-01-06', 'demos', 1) $$,
+  '42501',
+  NULL,
+  'employee cannot log activity for a teammate'
+);
+
+SELECT throws_ok(
+  $$ UPDATE daily_logs SET count = 99
+      WHERE user_id = '10000000-0000-0000-0000-000000000003' $$,
+  '42501',
+  NULL,
+  'employee cannot change a teammate''s logs'
+);
+
+SELECT throws_ok(
+  $$ INSERT INTO appointments (user_id, customer_name, date)
+     VALUES ('10000000-0000-0000-0000-000000000003', 'Someone Else', '2025-01-06') $$,
+  '42501',
+  NULL,
+  'employee cannot book appointments for a teammate'
+);
+
+SELECT throws_ok(
+  $$ INSERT INTO feed_posts (user_id, content)
+     VALUES ('10000000-0000-0000-0000-000000000003', 'Impersonated post') $$,
+  '42501',
+  NULL,
+  'employee cannot post as a teammate'
+);
+
+SELECT results_eq(
+  $$ WITH changed AS (
+       UPDATE users SET goals = '{"reviews": 6, "demos": 3, "callbacks": 10}'
+        WHERE id = '10000000-0000-0000-0000-000000000002'
+       RETURNING 1)
+     SELECT count(*) FROM changed $$,
+  $$ VALUES (1::bigint) $$,
+  'employee can update their own goals'
+);
+
+SELECT results_eq(
+  $$ WITH changed AS (
+       UPDATE users SET goals = '{"reviews": 0, "demos": 0, "callbacks": 0}'
+        WHERE id = '10000000-0000-0000-0000-000000000003'
+       RETURNING 1)
+     SELECT count(*) FROM changed $$,
+  $$ VALUES (0::bigint) $$,
+  'employee cannot update a teammate''s goals'
+);
+
+SELECT throws_ok(
+  $$ UPDATE users SET role = 'manager' WHERE id = '10000000-0000-0000-0000-000000000002' $$,
+  '42501',
+  NULL,
+  'employee cannot promote themselves'
+);
+
+SELECT throws_ok(
+  $$ SELECT set_user_pin('10000000-0000-0000-0000-000000000003', '0000') $$,
+  '42501',
+  NULL,
+  'employee cannot set a teammate''s PIN'
+);
+
+SELECT throws_ok(
+  $$ SELECT set_user_pin('10000000-0000-0000-0000-000000000002', '0000') $$,
+  '42501',
+  NULL,
+  'employee cannot change their own PIN'
+);
+
+SELECT throws_ok(
+  $$ INSERT INTO challenges (title, description, challenge_type, goal_type, goal_value, start_date, end_date)
+     VALUES ('Sneaky', 'Not allowed', 'daily', 'activities', 1, '2025-01-06', '2025-01-06') $$,
+  '42501',
+  NULL,
+  'employee cannot create challenges'
+);
+
+SELECT lives_ok(
+  $$ INSERT INTO audit_log (user_id, user_name, action)
+     VALUES ('10000000-0000-0000-0000-000000000002', 'Employee A', 'goal_changed') $$,
+  'employee can append their own audit entries'
+);
+
+SELECT throws_ok(
+  $$ INSERT INTO audit_log (user_id, user_name, action)
+     VALUES ('10000000-0000-0000-0000-000000000003', 'Employee B', 'forged') $$,
+  '42501',
+  NULL,
+  'employee cannot write audit entries for a teammate'
+);
+
+-- ========================================
+-- MANAGER (magic link session)
+-- ========================================
+
+SELECT set_config('request.jwt.claims', '{"sub": "a0000000-0000-0000-0000-00000000000a", "role": "authenticated", "email": "manager@example.com"}', true);
+
+SELECT ok(is_manager(), 'magic link session resolves to the manager');
+
+SELECT is(
+  (SELECT count(*)::INT FROM ai_chat_history),
+  2,
+  'a manager reads the team''s AI chat history'
+);
+
+SELECT lives_ok(
+  $$ INSERT INTO activity_events (user_id, date, category, delta, created_by)
+     VALUES ('10000000-0000-0000-0000-000000000003', '2025-01-06', 'reviews', 1,
+             '10000000-0000-0000-0000-000000000001') $$,
+  'manager can correct a team member''s logs'
+);
+
+SELECT lives_ok(
+  $$ INSERT INTO challenges (title, description, challenge_type, goal_type, goal_value, start_date, end_date)
+     VALUES ('Review Rally', 'Five reviews today', 'daily', 'activities', 5, '2025-01-06', '2025-01-06') $$,
+  'manager can create challenges'
+);
+
+SELECT results_eq(
+  $$ WITH changed AS (
+       UPDATE audit_log SET action = 'rewritten' RETURNING 1)
+     SELECT count(*) FROM changed $$,
+  $$ VALUES (0::bigint) $$,
+  'manager cannot rewrite audit entries'
+);
+
+SELECT results_eq(
+  $$ WITH removed AS (
+       DELETE FROM audit_log RETURNING 1)
+     SELECT count(*) FROM removed $$,
+  $$ VALUES (0::bigint) $$,
+  'manager cannot delete audit entries'
+);
+
+-- ========================================
+-- SIGNED OUT (anonymous auth user with no binding)
+-- ========================================
+
+SELECT set_config('request.jwt.claims', '{"sub": "a0000000-0000-0000-0000-00000000000c", "role": "authenticated"}', true);
+
+SELECT is(
+  (SELECT count(*)::INT FROM users),
+  0,
+  'an unbound session reads no users'
+);
+
+SELECT throws_ok(
+  $$ INSERT INTO users (name, role, goals) VALUES ('Intruder', 'manager', '{}') $$,
+  '42501',
+  NULL,
+  'an unbound session cannot create accounts, even though it sees none'
+);
+
+SELECT throws_ok(
+  $$ INSERT INTO activity_events (user_id, date, category, delta)
+     VALUES ('10000000-0000-0000-0000-000000000002', '2025-01-07', 'reviews', 1) $$,
+  '42501',
+  NULL,
+  'unbound session cannot write logs'
+);
+
+SELECT ok(
+  NOT bind_pin_session('10000000-0000-0000-0000-000000000002', '9999'),
+  'wrong PIN does not bind a session'
+);
+
+SELECT ok(
+  bind_pin_session('10000000-0000-0000-0000-000000000002', '1234'),
+  'correct PIN binds the session'
+);
+
+-- ========================================
+-- PIN LOCKOUT
+-- ========================================
+
+SELECT results_eq(
+  $$ SELECT bind_pin_session('10000000-0000-0000-0000-000000000002', '9999') FROM generate_series(1, 5) $$,
+  $$ VALUES (false), (false), (false), (false), (false) $$,
+  'five wrong PINs are refused'
+);
+
+SELECT throws_ok(
+  $$ SELECT bind_pin_session('10000000-0000-0000-0000-000000000002', '1234') $$,
+  'P0001',
+  NULL,
+  'a locked account refuses even the right PIN'
+);
+
+SELECT set_config('request.jwt.claims', '{"sub": "a0000000-0000-0000-0000-00000000000a", "role": "authenticated", "email": "manager@example.com"}', true);
+
+SELECT ok(
+  set_user_pin('10000000-0000-0000-0000-000000000002', '5678'),
+  'manager can reset a PIN'
+);
+
+SELECT set_config('request.jwt.claims', '{"sub": "a0000000-0000-0000-0000-00000000000c", "role": "authenticated"}', true);
+
+SELECT ok(
+  bind_pin_session('10000000-0000-0000-0000-000000000002', '5678'),
+  'a reset PIN lifts the lockout'
+);
+
+-- ========================================
+-- TABLE OWNER
+-- ========================================
+
+RESET role;
+
+SELECT throws_ok(
+  $$ UPDATE audit_log SET action = 'rewritten' $$,
+  '42501',
+  'audit_log is append-only',
+  'audit_log rejects updates even for the table owner'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
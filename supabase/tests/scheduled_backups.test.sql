@@ -0,0 +1,145 @@
+-- ========================================
+-- SCHEDULED BACKUP TESTS (026_scheduled_backups.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(13);
+
+-- ========================================
+-- FIXTURES (as table owner)
+-- ========================================
+
+DELETE FROM data_backups;
+
+SELECT lives_ok(
+  $$ INSERT INTO data_backups (backup_type, created_by_name, storage_path, created_at)
+     SELECT 'scheduled', 'Scheduled backup', 'scheduled/' || n, NOW() - make_interval(days => n * 5)
+     FROM generate_series(0, 9) AS n $$,
+  'scheduled backups need no user'
+);
+
+-- A browser export from long ago, with no stored files
+INSERT INTO data_backups (backup_type, created_by, created_by_name, created_at)
+VALUES ('full_export', '26000000-0000-0000-0000-000000000001', 'Boss', NOW() - INTERVAL '200 days');
+
+-- ========================================
+-- RETENTION
+-- ========================================
+
+SELECT is(
+  (SELECT array_agg(storage_path ORDER BY created_at) FROM expired_data_backups()),
+  ARRAY['scheduled/9', 'scheduled/8', 'scheduled/7'],
+  'backups past 30 days are expired, oldest first'
+);
+
+UPDATE system_settings SET value = '{"days": 1, "minimum": 9}' WHERE key = 'backup_retention';
+
+SELECT is(
+  (SELECT array_agg(storage_path ORDER BY created_at) FROM expired_data_backups()),
+  ARRAY['scheduled/9'],
+  'the newest backups are kept however old they are'
+);
+
+SELECT ok(
+  NOT EXISTS (SELECT 1 FROM expired_data_backups() WHERE storage_path IS NULL),
+  'browser exports are never expired'
+);
+
+-- ========================================
+-- RESTORE OVER EXISTING ROWS
+-- ========================================
+
+INSERT INTO users (id, name, role, goals) VALUES
+  ('26000000-0000-0000-0000-000000000002', 'Jane Doe', 'employee', '{"reviews": 5}');
+
+INSERT INTO activity_events (id, user_id, category, delta, date) VALUES
+  ('26000000-0000-0000-0000-0000000000e1', '26000000-0000-0000-0000-000000000002', 'reviews', 2, '2025-01-06');
+
+INSERT INTO audit_log (id, user_id, user_name, action) VALUES
+  ('26000000-0000-0000-0000-0000000000c1', '26000000-0000-0000-0000-000000000002', 'Jane Doe', 'user_created');
+
+-- A backup from before Jane was renamed, holding rows that all exist already
+-- plus one event logged since
+INSERT INTO data_backup_restore_rows (restore_id, table_name, key_column, table_order, rows) VALUES
+  ('26000000-0000-0000-0000-0000000000b1', 'users', 'id', 0,
+   '[{"id": "26000000-0000-0000-0000-000000000002", "name": "Jane Smith", "role": "employee"}]'),
+  ('26000000-0000-0000-0000-0000000000b1', 'activity_events', 'id', 10,
+   '[{"id": "26000000-0000-0000-0000-0000000000e1", "user_id": "26000000-0000-0000-0000-000000000002",
+      "category": "reviews", "delta": 7, "date": "2025-01-06"},
+     {"id": "26000000-0000-0000-0000-0000000000e2", "user_id": "26000000-0000-0000-0000-000000000002",
+      "category": "reviews", "delta": 1, "date": "2025-01-06"}]'),
+  ('26000000-0000-0000-0000-0000000000b1', 'audit_log', 'id', 20,
+   '[{"id": "26000000-0000-0000-0000-0000000000c1", "action": "tampered"}]');
+
+SELECT lives_ok(
+  $$ SELECT restore_data_backup('26000000-0000-0000-0000-0000000000b1') $$,
+  'a backup restores over rows that already exist'
+);
+
+SELECT is(
+  (SELECT name FROM users WHERE id = '26000000-0000-0000-0000-000000000002'),
+  'Jane Smith',
+  'existing rows are brought back to their backed-up values'
+);
+
+SELECT is(
+  (SELECT array_agg(delta ORDER BY delta) FROM activity_events
+    WHERE user_id = '26000000-0000-0000-0000-000000000002'),
+  ARRAY[1, 2],
+  'activity events are only added, never rewritten'
+);
+
+SELECT is(
+  (SELECT count FROM daily_logs
+    WHERE user_id = '26000000-0000-0000-0000-000000000002' AND date = '2025-01-06' AND category = 'reviews'),
+  3,
+  'restored events add themselves to the daily log'
+);
+
+SELECT is(
+  (SELECT action FROM audit_log WHERE id = '26000000-0000-0000-0000-0000000000c1'),
+  'user_created',
+  'the audit log is never rewritten'
+);
+
+SELECT ok(
+  NOT EXISTS (SELECT 1 FROM data_backup_restore_rows WHERE restore_id = '26000000-0000-0000-0000-0000000000b1'),
+  'staged rows are cleared once restored'
+);
+
+-- ========================================
+-- ACCESS
+-- ========================================
+
+SELECT is(
+  (SELECT public FROM storage.buckets WHERE id = 'backups'),
+  false,
+  'the backups bucket is private'
+);
+
+SET LOCAL role authenticated;
+
+SELECT throws_ok(
+  $$ SELECT * FROM expired_data_backups() $$,
+  '42501',
+  NULL,
+  'only the service role can list expired backups'
+);
+
+SELECT throws_ok(
+  $$ SELECT restore_data_backup('26000000-0000-0000-0000-0000000000b1') $$,
+  '42501',
+  NULL,
+  'only the service role can restore a backup'
+);
+
+RESET role;
+
+SELECT * FROM finish();
+
+ROLLBACK;
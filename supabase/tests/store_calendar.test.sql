@@ -0,0 +1,42 @@
+-- ========================================
+-- STORE CALENDAR TESTS (016_store_calendar.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(5);
+
+UPDATE system_settings SET value = '{"timezone": "America/Chicago", "weekStartsOn": 0}'
+ WHERE key = 'store_calendar';
+
+-- ========================================
+-- TODAY
+-- ========================================
+
+SELECT is(
+  store_today(),
+  (NOW() AT TIME ZONE 'America/Chicago')::DATE,
+  'today follows the store timezone, not UTC'
+);
+
+-- ========================================
+-- WEEK START
+-- ========================================
+
+-- 2025-01-15 is a Wednesday
+SELECT is(store_week_start('2025-01-15'), '2025-01-12'::DATE, 'weeks start on Sunday by default');
+SELECT is(store_week_start('2025-01-12'), '2025-01-12'::DATE, 'the first day of the week is its own week start');
+
+UPDATE system_settings SET value = '{"timezone": "America/Chicago", "weekStartsOn": 1}'
+ WHERE key = 'store_calendar';
+
+SELECT is(store_week_start('2025-01-15'), '2025-01-13'::DATE, 'week start follows the setting');
+SELECT is(store_week_start('2025-01-12'), '2025-01-06'::DATE, 'Sunday belongs to the previous Monday week');
+
+SELECT * FROM finish();
+
+ROLLBACK;
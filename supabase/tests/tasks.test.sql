@@ -0,0 +1,166 @@
+-- ========================================
+-- FOLLOW-UP TASK TESTS (030_tasks.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(12);
+
+-- ========================================
+-- FIXTURES (as table owner)
+-- ========================================
+
+INSERT INTO auth.users (id, email) VALUES
+  ('a3000000-0000-0000-0000-00000000000b', 'jane@example.com');
+
+INSERT INTO users (id, name, role, goals, email, auth_user_id) VALUES
+  ('30000000-0000-0000-0000-000000000001', 'Jane Doe', 'employee', '{"demos": 3}',
+   'jane@example.com', 'a3000000-0000-0000-0000-00000000000b'),
+  ('30000000-0000-0000-0000-000000000002', 'Sam', 'employee', '{"demos": 3}', NULL, NULL);
+
+INSERT INTO appointments (id, user_id, customer_name, date) VALUES
+  ('30000000-0000-0000-0000-0000000000a1', '30000000-0000-0000-0000-000000000001', 'Pat Customer', '2025-01-06'),
+  ('30000000-0000-0000-0000-0000000000a2', '30000000-0000-0000-0000-000000000002', 'Lee Customer', '2025-01-06'),
+  ('30000000-0000-0000-0000-0000000000a3', '30000000-0000-0000-0000-000000000001', 'Kim Customer', '2025-01-06');
+
+-- ========================================
+-- APPOINTMENTS CREATE TASKS
+-- ========================================
+
+SELECT is(
+  (SELECT count(*)::INTEGER FROM tasks WHERE appointment_id = '30000000-0000-0000-0000-0000000000a1'),
+  0,
+  'an appointment without a follow-up has no task'
+);
+
+UPDATE appointments SET status = 'followup_needed', followup_date = '2025-01-10'
+WHERE id = '30000000-0000-0000-0000-0000000000a1';
+
+SELECT is(
+  (SELECT (user_id, type, due_date)::TEXT FROM tasks WHERE appointment_id = '30000000-0000-0000-0000-0000000000a1'),
+  '(30000000-0000-0000-0000-000000000001,followup,2025-01-10)',
+  'follow-up needed creates a task for the rep due on the follow-up date'
+);
+
+UPDATE appointments SET status = 'completed', outcome = 'callback_needed', followup_date = '2025-01-12'
+WHERE id = '30000000-0000-0000-0000-0000000000a1';
+
+SELECT is(
+  (SELECT array_agg((type, due_date)::TEXT) FROM tasks WHERE appointment_id = '30000000-0000-0000-0000-0000000000a1'),
+  ARRAY['(callback,2025-01-12)'],
+  'a callback outcome turns the open task into a callback on the new date'
+);
+
+UPDATE tasks SET completed_at = NOW() WHERE appointment_id = '30000000-0000-0000-0000-0000000000a1';
+UPDATE appointments SET notes = 'Left a voicemail' WHERE id = '30000000-0000-0000-0000-0000000000a1';
+
+SELECT is(
+  (SELECT count(*)::INTEGER FROM tasks WHERE appointment_id = '30000000-0000-0000-0000-0000000000a1' AND completed_at IS NULL),
+  0,
+  'editing the appointment does not bring back a completed task'
+);
+
+UPDATE appointments SET followup_date = '2025-01-20' WHERE id = '30000000-0000-0000-0000-0000000000a1';
+
+SELECT is(
+  (SELECT count(*)::INTEGER FROM tasks WHERE appointment_id = '30000000-0000-0000-0000-0000000000a1'),
+  2,
+  'a new follow-up date after completing the task adds another, keeping the completed one'
+);
+
+UPDATE appointments SET outcome = 'sale', sale_amount = 9000, followup_date = NULL
+WHERE id = '30000000-0000-0000-0000-0000000000a1';
+
+SELECT is(
+  (SELECT count(*)::INTEGER FROM tasks WHERE appointment_id = '30000000-0000-0000-0000-0000000000a1' AND completed_at IS NULL),
+  0,
+  'an appointment that no longer needs a follow-up drops its open task'
+);
+
+-- As when a backup is restored over a task the appointment made since
+INSERT INTO tasks (user_id, appointment_id, customer_name, due_date) VALUES
+  ('30000000-0000-0000-0000-000000000002', '30000000-0000-0000-0000-0000000000a2', 'Lee Customer', '2025-01-08');
+INSERT INTO tasks (user_id, appointment_id, customer_name, due_date) VALUES
+  ('30000000-0000-0000-0000-000000000002', '30000000-0000-0000-0000-0000000000a2', 'Lee Customer', '2025-01-09');
+
+SELECT is(
+  (SELECT array_agg(due_date::TEXT) FROM tasks WHERE appointment_id = '30000000-0000-0000-0000-0000000000a2' AND completed_at IS NULL),
+  ARRAY['2025-01-09'],
+  'a second open task for an appointment replaces the first'
+);
+
+-- ========================================
+-- ROW LEVEL SECURITY
+-- ========================================
+
+UPDATE appointments SET status = 'completed', outcome = 'callback_needed', followup_date = '2025-01-08'
+WHERE id IN ('30000000-0000-0000-0000-0000000000a2', '30000000-0000-0000-0000-0000000000a3');
+
+SET LOCAL role authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "a3000000-0000-0000-0000-00000000000b", "role": "authenticated"}', true);
+
+SELECT is(
+  (SELECT count(*)::INTEGER FROM tasks WHERE user_id = '30000000-0000-0000-0000-000000000002'),
+  0,
+  'reps do not see another rep''s tasks'
+);
+
+UPDATE tasks SET completed_at = NOW() WHERE appointment_id = '30000000-0000-0000-0000-0000000000a2';
+
+RESET role;
+
+SELECT ok(
+  (SELECT completed_at IS NULL FROM tasks WHERE appointment_id = '30000000-0000-0000-0000-0000000000a2'),
+  'reps cannot complete another rep''s task'
+);
+
+-- ========================================
+-- COMPLETED CALLBACKS COUNT
+-- ========================================
+
+SELECT is(
+  (SELECT count(*)::INTEGER FROM activity_events
+    WHERE user_id = '30000000-0000-0000-0000-000000000001' AND category = 'callbacks'),
+  0,
+  'completing a task without a session (as a restore does) logs no callback'
+);
+
+SET LOCAL role authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "a3000000-0000-0000-0000-00000000000b", "role": "authenticated"}', true);
+
+UPDATE tasks SET completed_at = NOW()
+WHERE appointment_id = '30000000-0000-0000-0000-0000000000a3' AND completed_at IS NULL;
+
+RESET role;
+
+SELECT is(
+  (SELECT array_agg(e.id = t.id) FROM activity_events e
+     JOIN tasks t ON t.appointment_id = '30000000-0000-0000-0000-0000000000a3'
+    WHERE e.user_id = '30000000-0000-0000-0000-000000000001' AND e.category = 'callbacks' AND e.delta = 1),
+  ARRAY[TRUE],
+  'a rep completing their callback task logs one callback'
+);
+
+SET LOCAL role authenticated;
+SELECT set_config('request.jwt.claims', '{"sub": "a3000000-0000-0000-0000-00000000000b", "role": "authenticated"}', true);
+
+-- As when a second device syncs the same completion
+UPDATE tasks SET completed_at = NOW() + INTERVAL '1 minute'
+WHERE appointment_id = '30000000-0000-0000-0000-0000000000a3';
+
+RESET role;
+
+SELECT is(
+  (SELECT count(*)::INTEGER FROM activity_events
+    WHERE user_id = '30000000-0000-0000-0000-000000000001' AND category = 'callbacks'),
+  1,
+  'completing the task again does not count the callback twice'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;
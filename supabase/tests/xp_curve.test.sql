@@ -0,0 +1,90 @@
+-- ========================================
+-- XP CURVE TESTS (015_xp_curve.sql)
+-- ========================================
+-- Run against a local Supabase stack with all migrations applied:
+--   supabase start && supabase test db
+
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS pgtap WITH SCHEMA extensions;
+
+SELECT plan(9);
+
+-- Pin the curve so the assertions do not depend on a customised project
+UPDATE system_settings SET value = '{
+  "goalMultiplier": 1.5,
+  "streakBonusPerDay": 0.1,
+  "maxStreakMultiplier": 2,
+  "levelThresholds": [0, 100, 250, 450, 700, 1000, 1400, 1900, 2500, 3200]
+}' WHERE key = 'xp_curve';
+UPDATE categories SET xp_weight = 15 WHERE id = 'reviews';
+UPDATE categories SET xp_weight = 25 WHERE id = 'demos';
+UPDATE categories SET xp_weight = 5 WHERE id = 'callbacks';
+
+-- ========================================
+-- LEVEL THRESHOLDS
+-- ========================================
+
+SELECT is(calculate_level(0), 1, 'level 1 starts at 0 XP');
+SELECT is(calculate_level(99), 1, 'level 2 is not reached before its threshold');
+SELECT is(calculate_level(250), 3, 'thresholds come from the table');
+SELECT is(calculate_level(3900), 11, 'levels past the table repeat the last gap');
+
+-- ========================================
+-- ACTIVITY XP
+-- ========================================
+
+INSERT INTO users (id, name, role, goals) VALUES
+  ('30000000-0000-0000-0000-000000000001', 'Curve Tester', 'employee', '{"reviews": 1, "demos": 1, "callbacks": 1}');
+
+-- Day 1 misses the callback goal: 15 + 25 = 40 XP
+INSERT INTO daily_logs (user_id, date, category, count) VALUES
+  ('30000000-0000-0000-0000-000000000001', '2025-01-06', 'reviews', 1),
+  ('30000000-0000-0000-0000-000000000001', '2025-01-06', 'demos', 1);
+
+SELECT is(calculate_activity_xp('30000000-0000-0000-0000-000000000001'), 40, 'activity XP uses category XP');
+
+-- Days 2 and 3 meet every goal: 45 * 1.5 = 68, then 45 * 1.5 * 1.1 = 74
+INSERT INTO daily_logs (user_id, date, category, count) VALUES
+  ('30000000-0000-0000-0000-000000000001', '2025-01-07', 'reviews', 1),
+  ('30000000-0000-0000-0000-000000000001', '2025-01-07', 'demos', 1),
+  ('30000000-0000-0000-0000-000000000001', '2025-01-07', 'callbacks', 1),
+  ('30000000-0000-0000-0000-000000000001', '2025-01-08', 'reviews', 1),
+  ('30000000-0000-0000-0000-000000000001', '2025-01-08', 'demos', 1),
+  ('30000000-0000-0000-0000-000000000001', '2025-01-08', 'callbacks', 1);
+
+SELECT is(
+  calculate_activity_xp('30000000-0000-0000-0000-000000000001'),
+  182,
+  'goal and streak multipliers apply to goal-met days'
+);
+
+SELECT is(
+  (SELECT xp FROM users WHERE id = '30000000-0000-0000-0000-000000000001'),
+  (SELECT bonus_xp + activity_xp FROM users WHERE id = '30000000-0000-0000-0000-000000000001'),
+  'xp is bonus XP plus activity XP'
+);
+
+-- ========================================
+-- CURVE CHANGES
+-- ========================================
+
+UPDATE system_settings
+   SET value = jsonb_set(value, '{goalMultiplier}', '3')
+ WHERE key = 'xp_curve';
+
+SELECT is(
+  (SELECT activity_xp FROM users WHERE id = '30000000-0000-0000-0000-000000000001'),
+  calculate_activity_xp('30000000-0000-0000-0000-000000000001'),
+  'editing the curve recalculates stored activity XP'
+);
+
+SELECT is(
+  (SELECT level FROM users WHERE id = '30000000-0000-0000-0000-000000000001'),
+  (SELECT calculate_level(xp) FROM users WHERE id = '30000000-0000-0000-0000-000000000001'),
+  'editing the curve re-levels users'
+);
+
+SELECT * FROM finish();
+
+ROLLBACK;